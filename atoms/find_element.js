@@ -1,6 +1,6 @@
-function(){"use strict";var AtomExport=(()=>{var V=Object.defineProperty;var Te=Object.getOwnPropertyDescriptor;var Oe=Object.getOwnPropertyNames;var be=Object.prototype.hasOwnProperty;var b=(e,t)=>{for(var n in t)V(e,n,{get:t[n],enumerable:!0})},Re=(e,t,n,o)=>{if(t&&typeof t=="object"||typeof t=="function")for(let r of Oe(t))!be.call(e,r)&&r!==n&&V(e,r,{get:()=>t[r],enumerable:!(o=Te(t,r))||o.enumerable});return e};var _e=e=>Re(V({},"__esModule",{value:!0}),e);var gt={};b(gt,{default:()=>k});var we={15:"element not selectable",11:"element not visible",31:"unsupported operation",30:"unsupported operation",24:"invalid cookie domain",29:"invalid coordinates",12:"invalid element state",32:"invalid selector",51:"invalid selector",52:"invalid selector",17:"javascript error",405:"unknown method",34:"move target out of bounds",27:"no such alert",7:"no such element",8:"no such frame",23:"no such window",28:"script timeout",33:"session not created",10:"stale element reference",21:"timeout",25:"unable to set cookie",26:"unexpected alert open",13:"unknown error",9:"unknown command"};function Se(e){return we[e]??"unknown error"}var f=class extends Error{code;state;isAutomationError=!0;constructor(t,n=""){super(n),this.code=t,this.state=Se(t);let o=this.state.replace(/(^|\s+)[a-z]/g,i=>i.toUpperCase().trimStart()).replace(/\s+/g,"");this.name=/Error$/.test(o)?o:`${o}Error`;let r=new Error(this.message);r.name=this.name,this.stack=r.stack||""}};var x={};b(x,{many:()=>ye,single:()=>Le});function Le(e,t){if(!e)throw new f(32,"No class name specified");if(e=e.trim(),e.includes(" "))throw new f(32,"Compound class names not permitted");try{return t.querySelector(`.${e.replace(/\./g,"\\.")}`)||null}catch{throw new f(32,"An invalid or illegal class name was specified")}}function ye(e,t){if(!e)throw new f(32,"No class name specified");if(e=e.trim(),e.includes(" "))throw new f(32,"Compound class names not permitted");try{return t.querySelectorAll(`.${e.replace(/\./g,"\\.")}`)}catch{throw new f(32,"An invalid or illegal class name was specified")}}var y={};b(y,{many:()=>F,single:()=>H});function H(e,t){if(!e)throw new f(32,"No selector specified");e=e.trim();let n;try{n=t.querySelector(e)}catch{throw new f(32,"An invalid or illegal selector was specified")}return n&&n.nodeType===Node.ELEMENT_NODE?n:null}function F(e,t){if(!e)throw new f(32,"No selector specified");e=e.trim();try{return t.querySelectorAll(e)}catch{throw new f(32,"An invalid or illegal selector was specified")}}var B={};b(B,{many:()=>Ce,single:()=>De});function R(e,t){if(t=t.toLowerCase(),t==="style")return Ae(e.style.cssText);let n=e.getAttributeNode(t);return n&&n.specified?n.value:null}function E(e,t){return e instanceof HTMLFormElement?e.nodeType===Node.ELEMENT_NODE&&(!t||t==="FORM"):!!e&&e.nodeType===Node.ELEMENT_NODE&&(!t||e.tagName.toUpperCase()===t)}function _(e){return e.nodeType===Node.DOCUMENT_NODE?e:e.ownerDocument}var Ie=/[;]+(?=(?:(?:[^"]*"){2})*[^"]*$)(?=(?:(?:[^']*'){2})*[^']*$)(?=(?:[^()]*\([^()]*\))*[^()]*$)/;function Ae(e){let t=e.split(Ie),n=[];for(let r of t){let i=r.indexOf(":");if(i>0){let s=[r.slice(0,i),r.slice(i+1)];n.push(s[0].toLowerCase(),":",s[1],";")}}let o=n.join("");return o.charAt(o.length-1)===";"?o:`${o};`}function De(e,t){let n=_(t),o=n.getElementById(e);if(o&&R(o,"id")===e&&t!==o&&t.contains(o))return o;let r=n.getElementsByTagName("*");for(let i of r)if(R(i,"id")===e&&t!==i&&t.contains(i))return i;return null}function Ce(e,t){if(!e)return[];if(!/^\d.*/.test(e))try{return[...t.querySelectorAll(`#${xe(e)}`)]}catch{return[]}return[...t.getElementsByTagName("*")].filter(o=>R(o,"id")===e)}function xe(e){return e.replace(/([\s'"\\#.:;,!?+<>=~*^$|%&@`{}\-/[\]()])/g,"\\$1")}var Q={aliceblue:"#f0f8ff",antiquewhite:"#faebd7",aqua:"#00ffff",aquamarine:"#7fffd4",azure:"#f0ffff",beige:"#f5f5dc",bisque:"#ffe4c4",black:"#000000",blanchedalmond:"#ffebcd",blue:"#0000ff",blueviolet:"#8a2be2",brown:"#a52a2a",burlywood:"#deb887",cadetblue:"#5f9ea0",chartreuse:"#7fff00",chocolate:"#d2691e",coral:"#ff7f50",cornflowerblue:"#6495ed",cornsilk:"#fff8dc",crimson:"#dc143c",cyan:"#00ffff",darkblue:"#00008b",darkcyan:"#008b8b",darkgoldenrod:"#b8860b",darkgray:"#a9a9a9",darkgreen:"#006400",darkgrey:"#a9a9a9",darkkhaki:"#bdb76b",darkmagenta:"#8b008b",darkolivegreen:"#556b2f",darkorange:"#ff8c00",darkorchid:"#9932cc",darkred:"#8b0000",darksalmon:"#e9967a",darkseagreen:"#8fbc8f",darkslateblue:"#483d8b",darkslategray:"#2f4f4f",darkslategrey:"#2f4f4f",darkturquoise:"#00ced1",darkviolet:"#9400d3",deeppink:"#ff1493",deepskyblue:"#00bfff",dimgray:"#696969",dimgrey:"#696969",dodgerblue:"#1e90ff",firebrick:"#b22222",floralwhite:"#fffaf0",forestgreen:"#228b22",fuchsia:"#ff00ff",gainsboro:"#dcdcdc",ghostwhite:"#f8f8ff",gold:"#ffd700",goldenrod:"#daa520",gray:"#808080",green:"#008000",greenyellow:"#adff2f",grey:"#808080",honeydew:"#f0fff0",hotpink:"#ff69b4",indianred:"#cd5c5c",indigo:"#4b0082",ivory:"#fffff0",khaki:"#f0e68c",lavender:"#e6e6fa",lavenderblush:"#fff0f5",lawngreen:"#7cfc00",lemonchiffon:"#fffacd",lightblue:"#add8e6",lightcoral:"#f08080",lightcyan:"#e0ffff",lightgoldenrodyellow:"#fafad2",lightgray:"#d3d3d3",lightgreen:"#90ee90",lightgrey:"#d3d3d3",lightpink:"#ffb6c1",lightsalmon:"#ffa07a",lightseagreen:"#20b2aa",lightskyblue:"#87cefa",lightslategray:"#778899",lightslategrey:"#778899",lightsteelblue:"#b0c4de",lightyellow:"#ffffe0",lime:"#00ff00",limegreen:"#32cd32",linen:"#faf0e6",magenta:"#ff00ff",maroon:"#800000",mediumaquamarine:"#66cdaa",mediumblue:"#0000cd",mediumorchid:"#ba55d3",mediumpurple:"#9370db",mediumseagreen:"#3cb371",mediumslateblue:"#7b68ee",mediumspringgreen:"#00fa9a",mediumturquoise:"#48d1cc",mediumvioletred:"#c71585",midnightblue:"#191970",mintcream:"#f5fffa",mistyrose:"#ffe4e1",moccasin:"#ffe4b5",navajowhite:"#ffdead",navy:"#000080",oldlace:"#fdf5e6",olive:"#808000",olivedrab:"#6b8e23",orange:"#ffa500",orangered:"#ff4500",orchid:"#da70d6",palegoldenrod:"#eee8aa",palegreen:"#98fb98",paleturquoise:"#afeeee",palevioletred:"#db7093",papayawhip:"#ffefd5",peachpuff:"#ffdab9",peru:"#cd853f",pink:"#ffc0cb",plum:"#dda0dd",powderblue:"#b0e0e6",purple:"#800080",red:"#ff0000",rosybrown:"#bc8f8f",royalblue:"#4169e1",saddlebrown:"#8b4513",salmon:"#fa8072",sandybrown:"#f4a460",seagreen:"#2e8b57",seashell:"#fff5ee",sienna:"#a0522d",silver:"#c0c0c0",skyblue:"#87ceeb",slateblue:"#6a5acd",slategray:"#708090",slategrey:"#708090",snow:"#fffafa",springgreen:"#00ff7f",steelblue:"#4682b4",tan:"#d2b48c",teal:"#008080",thistle:"#d8bfd8",tomato:"#ff6347",turquoise:"#40e0d0",violet:"#ee82ee",wheat:"#f5deb3",white:"#ffffff",whitesmoke:"#f5f5f5",yellow:"#ffff00",yellowgreen:"#9acd32"};var Me=new Set(["backgroundColor","borderTopColor","borderRightColor","borderBottomColor","borderLeftColor","color","outlineColor"]),ve=/#([0-9a-fA-F])([0-9a-fA-F])([0-9a-fA-F])/,Ue=/^#(?:[0-9a-f]{3}){1,2}$/i,ke=/^(?:rgba)?\((\d{1,3}),\s?(\d{1,3}),\s?(\d{1,3}),\s?(0|1|0\.\d*)\)$/i,Pe=/^(?:rgb)?\((0|[1-9]\d{0,2}),\s?(0|[1-9]\d{0,2}),\s?(0|[1-9]\d{0,2})\)$/i;function ee(e,t){if(!Me.has(e))return t;let n=He(t)||Fe(t)||Ve(t);return n?`rgba(${n.join(", ")})`:t}function Ve(e){e=e.toLowerCase();let t=Q[e];if(!t&&(t=e.charAt(0)==="#"?e:`#${e}`,t.length===4&&(t=t.replace(ve,"#$1$1$2$2$3$3")),!Ue.test(t)))return null;let n=parseInt(t.substring(1,3),16),o=parseInt(t.substring(3,5),16),r=parseInt(t.substring(5,7),16);return[n,o,r,1]}function He(e){let t=e.match(ke);if(t){let n=Number(t[1]),o=Number(t[2]),r=Number(t[3]),i=Number(t[4]);if(n>=0&&n<=255&&o>=0&&o<=255&&r>=0&&r<=255&&i>=0&&i<=1)return[n,o,r,i]}return null}function Fe(e){let t=e.match(Pe);if(t){let n=Number(t[1]),o=Number(t[2]),r=Number(t[3]);if(n>=0&&n<=255&&o>=0&&o<=255&&r>=0&&r<=255)return[n,o,r,1]}return null}var A=class{x;y;constructor(t=0,n=0){this.x=t,this.y=n}};var $=class{top;right;bottom;left;constructor(t,n,o,r){this.top=t,this.right=n,this.bottom=o,this.left=r}},h=class e{left;top;width;height;constructor(t,n,o,r){this.left=t,this.top=n,this.width=o,this.height=r}toBox(){let t=this.left+this.width,n=this.top+this.height;return new $(this.top,t,n,this.left)}intersects(t){return e.intersects(this,t)}static intersects(t,n){return t.left<=n.left+n.width&&n.left<=t.left+t.width&&t.top<=n.top+n.height&&n.top<=t.top+t.height}};function D(e,t,n){return Math.min(Math.max(e,t),n)}var ne=typeof ShadowRoot=="function";function M(e){let t=e.parentNode;for(;t&&t.nodeType!==Node.ELEMENT_NODE&&t.nodeType!==Node.DOCUMENT_NODE&&t.nodeType!==Node.DOCUMENT_FRAGMENT_NODE;)t=t.parentNode;return t&&E(t)?t:null}function p(e,t){let n=Ge(t);(n==="float"||n==="cssFloat"||n==="styleFloat")&&(n="cssFloat");let o=Ke(e,n)||se(e,n);return o===null?null:ee(n,o)}function oe(e,t=!1){function n(o){if(E(o)){let i=o;if(p(i,"display")==="none"||p(i,"content-visibility")==="hidden")return!1}let r=Xe(o);if(ne&&r instanceof ShadowRoot){if(r.host.shadowRoot&&r.host.shadowRoot!==r)return!1;r=r.host}return r&&(r.nodeType===Node.DOCUMENT_NODE||r.nodeType===Node.DOCUMENT_FRAGMENT_NODE)?!0:r&&E(r,"DETAILS")&&!r.open&&!E(o,"SUMMARY")?!1:!!r&&n(r)}return W(e,t,n)}function Be(e){let t=e.scrollingElement||e.documentElement,n=e.defaultView;return new A(n.pageXOffset||t.scrollLeft,n.pageYOffset||t.scrollTop)}function X(e,t){let n=$e(e,t),o=_(e),r=o.documentElement,i=o.body,s=p(r,"overflow"),l=!1;function a(u,d){if(u===r)return!0;let c=p(u,"display");return!(c?.startsWith("inline")||c==="contents"||d==="absolute"&&p(u,"position")==="static")}function m(u){let d=p(u,"position");if(d==="fixed")return l=!0,u===r?null:r;let c=M(u);for(;c&&!a(c,d);)c=M(c);return c}function N(u){let d=u;if(s==="visible"){if(u===r&&i)d=i;else if(u===i)return{x:"visible",y:"visible"}}let c={x:p(d,"overflow-x")??"",y:p(d,"overflow-y")??""};return u===r&&(c.x=c.x==="visible"?"auto":c.x,c.y=c.y==="visible"?"auto":c.y),c}function g(u){return u===r?Be(o):new A(u.scrollLeft,u.scrollTop)}for(let u=m(e);u;u=m(u)){let d=N(u);if(d.x==="visible"&&d.y==="visible")continue;let c=O(u);if(c.width===0||c.height===0)return"hidden";let S=n.right<c.left,C=n.bottom<c.top;if(S&&d.x==="hidden"||C&&d.y==="hidden")return"hidden";if(S&&d.x!=="visible"||C&&d.y!=="visible"){let I=g(u),he=n.right<c.left-I.x,ge=n.bottom<c.top-I.y;return he&&d.x!=="visible"||ge&&d.y!=="visible"||X(u)==="hidden"?"hidden":"scroll"}let J=n.left>=c.left+c.width,Z=n.top>=c.top+c.height;if(J&&d.x==="hidden"||Z&&d.y==="hidden")return"hidden";if(J&&d.x!=="visible"||Z&&d.y!=="visible"){if(l){let I=g(u);if(n.left>=r.scrollWidth-I.x||n.top>=r.scrollHeight-I.y)return"hidden"}return X(u)==="hidden"?"hidden":"scroll"}}return"none"}function O(e){let t=le(e);if(t)return t.rect;if(E(e,"HTML")){let o=_(e),r=o.defaultView,i=o.compatMode==="CSS1Compat"?o.documentElement:o.body;return new h(0,0,i.clientWidth||r.innerWidth,i.clientHeight||r.innerHeight)}let n;try{n=e.getBoundingClientRect()}catch{return new h(0,0,0,0)}return new h(n.left,n.top,n.right-n.left,n.bottom-n.top)}function $e(e,t){let n=O(e).toBox();if(t){let o=t instanceof h?t:new h(t.x,t.y,1,1);n.left=D(n.left+o.left,n.left,n.right),n.top=D(n.top+o.top,n.top,n.bottom),n.right=D(n.left+o.width,n.left,n.right),n.bottom=D(n.top+o.height,n.top,n.bottom)}return n}function re(e){let t=[];return ne?G(e,t):ue(e,t),qe(t)}function ie(e){let t=1,n=p(e,"opacity");n&&(t=Number(n));let o=M(e);return o&&(t*=ie(o)),t}function Xe(e){let t=e.parentNode;if(t&&t.shadowRoot&&e.assignedSlot!==void 0)return e.assignedSlot?e.assignedSlot.parentNode:null;let n=e;if(n.getDestinationInsertionPoints){let o=n.getDestinationInsertionPoints();if(o.length>0)return o[o.length-1]}return t}function We(e){if(!(e.nodeType===Node.ELEMENT_NODE||e.nodeType===Node.TEXT_NODE))return!1;let n=e;return!!(n.assignedSlot!=null||n.getDestinationInsertionPoints&&n.getDestinationInsertionPoints().length>0)}function Ge(e){return e.replace(/-([a-z])/g,(t,n)=>n.toUpperCase())}function Ke(e,t){let n=e.ownerDocument.defaultView;if(n?.getComputedStyle){let o=n.getComputedStyle(e,null);if(o)return o[t]||o.getPropertyValue(t)||""}return""}function se(e,t){let n=e.style,o=n[t];if(o===void 0&&typeof n.getPropertyValue=="function"&&(o=n.getPropertyValue(t)),o!=="inherit")return o!==void 0?o:null;let r=M(e);return r?se(r,t):null}function W(e,t,n){if(!E(e))throw new Error("Argument to isShown must be of type Element");if(E(e,"BODY"))return!0;if(E(e,"OPTION")||E(e,"OPTGROUP")){let l=e.parentNode;for(;l&&!E(l,"SELECT");)l=l.parentNode;return!!l&&W(l,!0,n)}let o=le(e);if(o)return!!o.image&&o.rect.width>0&&o.rect.height>0&&W(o.image,t,n);if(E(e,"INPUT")&&e.type.toLowerCase()==="hidden"||E(e,"NOSCRIPT"))return!1;let r=p(e,"visibility");if(r==="collapse"||r==="hidden"||!n(e)||!t&&ie(e)===0)return!1;function i(l){let a=O(l);if(a.height>0&&a.width>0)return!0;if(E(l,"PATH")&&(a.height>0||a.width>0)){let N=p(l,"stroke-width");return!!N&&parseInt(N,10)>0}let m=p(l,"visibility");return m==="collapse"||m==="hidden"||!n(l)?!1:p(l,"overflow")!=="hidden"&&[...l.childNodes].some(N=>{if(N.nodeType===Node.TEXT_NODE){let g=N.nodeValue??"";return!(/^[\s]*$/.test(g)&&/[\n\r\t]/.test(g))}return E(N)&&i(N)})}if(!i(e))return!1;function s(l){return X(l)==="hidden"&&[...l.childNodes].every(a=>!E(a)||s(a)||!i(a))}return!s(e)}function le(e){let t=E(e,"MAP");if(!t&&!E(e,"AREA"))return null;let n=t?e:e.parentNode&&E(e.parentNode,"MAP")?e.parentNode:null,o=null,r=null,i=n&&n.name;if(n&&i){let s=_(n),l=`*[usemap="#${i}"]`;if(o=H(l,s),o&&(r=O(o),!t&&e.shape.toLowerCase()!=="default")){let a=Ye(e),m=Math.min(Math.max(a.left,0),r.width),N=Math.min(Math.max(a.top,0),r.height),g=Math.min(a.width,r.width-m),u=Math.min(a.height,r.height-N);r=new h(m+r.left,N+r.top,g,u)}}return{image:o,rect:r||new h(0,0,0,0)}}function Ye(e){let t=e,n=t.shape.toLowerCase(),o=t.coords.split(",");if(n==="rect"&&o.length===4){let r=Number(o[0]),i=Number(o[1]);return new h(r,i,Number(o[2])-r,Number(o[3])-i)}else if(n==="circle"&&o.length===3){let r=Number(o[0]),i=Number(o[1]),s=Number(o[2]);return new h(r-s,i-s,2*s,2*s)}else if(n==="poly"&&o.length>2){let r=Number(o[0]),i=Number(o[1]),s=r,l=i;for(let a=2;a+1<o.length;a+=2)r=Math.min(r,Number(o[a])),s=Math.max(s,Number(o[a])),i=Math.min(i,Number(o[a+1])),l=Math.max(l,Number(o[a+1]));return new h(r,i,s-r,l-i)}return new h(0,0,0,0)}function te(e){return e.replace(/^[^\S\xa0]+|[^\S\xa0]+$/g,"")}function qe(e){let n=e.map(te).join(`
-`);return te(n).replace(/\xa0/g," ")}var je=new Set(["inline","inline-block","inline-table","none","table-cell","table-column","table-column-group"]);function ae(e,t,n,o){function r(){return t[t.length-1]||""}if(E(e,"BR"))t.push("");else{let i=E(e,"TD"),s=p(e,"display"),l=!i&&!je.has(s),a=e.previousElementSibling,m=a?p(a,"display"):"",N=p(e,"float")||p(e,"cssFloat")||p(e,"styleFloat");l&&!(m==="run-in"&&N==="none")&&!/^[\s\xa0]*$/.test(r())&&t.push("");let u=n(e),d=null,c=null;u&&(d=p(e,"white-space"),c=p(e,"text-transform"));for(let C of e.childNodes)o(C,t,u,d,c);let S=r();(i||s==="table-cell")&&S&&!S.endsWith(" ")&&(t[t.length-1]+=" "),l&&s!=="run-in"&&!/^[\s\xa0]*$/.test(S)&&t.push("")}}function ue(e,t){ae(e,t,oe,(n,o,r,i,s)=>{n.nodeType===Node.TEXT_NODE&&r?ce(n,o,i,s):E(n)&&ue(n,o)})}function ce(e,t,n,o){let r=(e.nodeValue??"").replace(/[\u200b\u200e\u200f]/g,"");r=r.replace(/(\r\n|\r|\n)/g,`
-`),(n==="normal"||n==="nowrap")&&(r=r.replace(/\n/g," ")),n==="pre"||n==="pre-wrap"?r=r.replace(/[ \f\t\v\u2028\u2029]/g,"\xA0"):r=r.replace(/[ \f\t\v\u2028\u2029]+/g," "),o==="capitalize"?(r=r.replace(/(^|[^'_0-9A-Za-z\u00C0-\u02AF\u1E00-\u1EFF\u24B6-\u24E9\u0300-\u036F\u1AB0-\u1AFF\u1DC0-\u1DFF])([A-Za-z\u00C0-\u02AF\u1E00-\u1EFF\u24B6-\u24E9])/g,(s,l,a)=>l+a.toUpperCase()),r=r.replace(/(^|[^'_0-9A-Za-z\u00C0-\u02AF\u1E00-\u1EFF\u24B6-\u24E9])([_*])([A-Za-z\u00C0-\u02AF\u1E00-\u1EFF\u24D0-\u24E9])/g,(s,l,a,m)=>l+a+m.toUpperCase())):o==="uppercase"?r=r.toUpperCase():o==="lowercase"&&(r=r.toLowerCase());let i=t.pop()||"";i.endsWith(" ")&&r.startsWith(" ")&&(r=r.substring(1)),t.push(i+r)}function v(e,t,n,o,r){if(e.nodeType===Node.TEXT_NODE&&n)ce(e,t,o,r);else if(E(e)){let i=e;if(E(e,"CONTENT")||E(e,"SLOT")){let s=e;for(;s.parentNode;)s=s.parentNode;if(s instanceof ShadowRoot){let l=e,a=E(e,"CONTENT")?l.getDistributedNodes():l.assignedNodes(),m=a.length>0?a:[...l.childNodes];for(let N of m)v(N,t,n,o,r)}else G(i,t)}else if(E(e,"SHADOW")){let s=e;for(;s.parentNode;)s=s.parentNode;if(s instanceof ShadowRoot){let l=s.olderShadowRoot;for(;l;){for(let a of l.childNodes)v(a,t,n,o,r);l=l.olderShadowRoot}}}else G(i,t)}}function G(e,t){if(e.shadowRoot){let n=p(e,"white-space"),o=p(e,"text-transform");for(let r of e.shadowRoot.childNodes)v(r,t,!0,n,o)}ae(e,t,oe,(n,o,r,i,s)=>{We(n)||v(n,o,r,i,s)})}var K={single(e,t){return U(e,t,!1)[0]??null},many(e,t){return U(e,t,!1)}},Y={single(e,t){return U(e,t,!0)[0]??null},many(e,t){return U(e,t,!0)}};function U(e,t,n){return[...F("a",t)].filter(r=>{let i=re(r);return i=i.replace(/^[\s]+|[\s]+$/g,""),n&&i.includes(e)||i===e})}var q={};b(q,{many:()=>Je,single:()=>ze});function ze(e,t){for(let n of t.getElementsByTagName("*"))if(R(n,"name")===e)return n;return null}function Je(e,t){return[...t.getElementsByTagName("*")].filter(n=>R(n,"name")===e)}var j={};b(j,{many:()=>fe,single:()=>et});var Ze={above:tt,below:nt,left:ot,near:ut,right:rt,straightAbove:it,straightBelow:st,straightLeft:lt,straightRight:at},Qe={above:T,below:T,left:T,near:T,right:T,straightAbove:T,straightBelow:T,straightLeft:T,straightRight:T};function et(e,t){let n=fe(e,t);return n.length===0?null:n[0]}function fe(e,t){if(!Object.prototype.hasOwnProperty.call(e,"root")||!Object.prototype.hasOwnProperty.call(e,"filters"))throw new f(61,`Locator not suitable for relative locators: ${JSON.stringify(e)}`);if(!Array.isArray(e.filters))throw new f(61,`Targets should be an array: ${JSON.stringify(e)}`);let n;return E(e.root)?n=[e.root]:n=Ee(e.root,t),n.length===0?[]:ct(n,e.filters)}function w(e,t){return n=>{let o=T(e),r=O(o),i=O(n);return t(r,i)}}function tt(e){return w(e,(t,n)=>n.top+n.height<=t.top)}function nt(e){return w(e,(t,n)=>n.top>=t.top+t.height)}function ot(e){return w(e,(t,n)=>n.left+n.width<=t.left)}function rt(e){return w(e,(t,n)=>n.left>=t.left+t.width)}function it(e){return w(e,(t,n)=>n.left<t.left+t.width&&n.left+n.width>t.left&&n.top+n.height<=t.top)}function st(e){return w(e,(t,n)=>n.left<t.left+t.width&&n.left+n.width>t.left&&n.top>=t.top+t.height)}function lt(e){return w(e,(t,n)=>n.top<t.top+t.height&&n.top+n.height>t.top&&n.left+n.width<=t.left)}function at(e){return w(e,(t,n)=>n.top<t.top+t.height&&n.top+n.height>t.top&&n.left>=t.left+t.width)}function ut(e,t){let n=t;!n&&typeof e.distance=="number"&&(n=e.distance),n||(n=50);let o=n;return r=>{let i=T(e);if(i===r)return!1;let s=O(i),l=O(r);return new h(s.left-o,s.top-o,s.width+o*2,s.height+o*2).intersects(l)}}function T(e){if(E(e))return e;if(typeof e=="function")return T(e());if(typeof e=="object"&&e!==null||typeof e=="function"){let t=k(e);if(!t)throw new f(7,`No element has been found by ${JSON.stringify(e)}`);return t}throw new f(61,`Selector is of wrong type: ${JSON.stringify(e)}`)}function ct(e,t){let n=[];for(let l of Array.from(e)){if(!l)continue;t.every(m=>{let N=Ze[m.kind];if(!N)throw new f(61,`Cannot find filter suitable for ${m.kind}`);return N(...m.args)(l)})&&n.push(l)}let o=t[t.length-1],r=o?o.kind:"unknown",i=Qe[r];if(!i)return n;let s=i(...o.args);return s?ft(s,n):n}function ft(e,t){let n=O(e),o={x:n.left+Math.max(1,n.width)/2,y:n.top+Math.max(1,n.height)/2};function r(i){let s=O(i),l={x:s.left+Math.max(1,s.width)/2,y:s.top+Math.max(1,s.height)/2},a=Math.pow(o.x-l.x,2),m=Math.pow(o.y-l.y,2);return Math.sqrt(a+m)}return[...t].sort((i,s)=>r(i)-r(s))}var P={};b(P,{many:()=>mt,single:()=>Et});function Et(e,t){if(e==="")throw new f(32,'Unable to locate an element with the tagName ""');return t.getElementsByTagName(e)[0]||null}function mt(e,t){if(e==="")throw new f(32,'Unable to locate an element with the tagName ""');return t.getElementsByTagName(e)}var z={};b(z,{many:()=>Nt,single:()=>dt});function dt(e,t){let n=me(t,e,9),o=n?n.singleNodeValue:null;return o!==null&&de(o,e),o}function Nt(e,t){let n=me(t,e,7),o=[];if(n)for(let r=0;r<n.snapshotLength;r++){let i=n.snapshotItem(r);i&&o.push(i)}for(let r of o)de(r,e);return o}var pt={svg:"http://www.w3.org/2000/svg"};function ht(e){return e&&pt[e]||null}function me(e,t,n){let o=_(e);if(!o.documentElement)return null;try{let r=new Map,i=o.getElementsByTagName("*");for(let a of i){let m=a.namespaceURI;if(m&&!r.has(m)){let N=a.lookupPrefix(m);if(!N){let g=m.match(/.*\/(\w+)\/?$/);N=g?g[1]:"xhtml"}r.set(m,N)}}let s=new Map;for(let[a,m]of r)s.set(m,a);let l=a=>a&&s.get(a)||null;try{return o.evaluate(t,e,l,n,null)}catch(a){if(a instanceof TypeError)return l=o.createNSResolver?o.createNSResolver(o.documentElement):ht,o.evaluate(t,e,l,n,null);throw a}}catch(r){throw new f(32,`Unable to locate an element with the xpath expression ${t} because of the following error:
-${r}`)}}function de(e,t){if(!e||e.nodeType!==Node.ELEMENT_NODE)throw new f(32,`The result of the xpath expression "${t}" is: ${e}. It should be an element.`)}var Ne={className:x,"class name":x,css:y,"css selector":y,relative:j,id:B,linkText:K,"link text":K,name:q,partialLinkText:Y,"partial link text":Y,tagName:P,"tag name":P,xpath:z};function k(e,t=document){let n=pe(e);if(n){let o=Ne[n];if(o&&typeof o.single=="function")return o.single(e[n],t)}throw new f(61,`Unsupported locator strategy: ${n}`)}function Ee(e,t=document){let n=pe(e);if(n){let o=Ne[n];if(o&&typeof o.many=="function")return o.many(e[n],t)}throw new f(61,`Unsupported locator strategy: ${n}`)}function pe(e){for(let t in e)if(Object.prototype.hasOwnProperty.call(e,t))return t;return null}return _e(gt);})();
+function(){"use strict";var AtomExport=(()=>{var $=Object.defineProperty;var Me=Object.getOwnPropertyDescriptor;var ve=Object.getOwnPropertyNames;var Ue=Object.prototype.hasOwnProperty;var R=(e,t)=>{for(var n in t)$(e,n,{get:t[n],enumerable:!0})},Pe=(e,t,n,o)=>{if(t&&typeof t=="object"||typeof t=="function")for(let r of ve(t))!Ue.call(e,r)&&r!==n&&$(e,r,{get:()=>t[r],enumerable:!(o=Me(t,r))||o.enumerable});return e};var ke=e=>Pe($({},"__esModule",{value:!0}),e);var Wt={};R(Wt,{default:()=>V});var He={15:"element not selectable",11:"element not visible",31:"unsupported operation",30:"unsupported operation",24:"invalid cookie domain",29:"invalid coordinates",12:"invalid element state",32:"invalid selector",51:"invalid selector",52:"invalid selector",17:"javascript error",405:"unknown method",34:"move target out of bounds",27:"no such alert",7:"no such element",8:"no such frame",23:"no such window",28:"script timeout",33:"session not created",10:"stale element reference",21:"timeout",25:"unable to set cookie",26:"unexpected alert open",13:"unknown error",9:"unknown command"};function Ve(e){return He[e]??"unknown error"}var c=class extends Error{code;state;isAutomationError=!0;constructor(t,n=""){super(n),this.code=t,this.state=Ve(t);let o=this.state.replace(/(^|\s+)[a-z]/g,i=>i.toUpperCase().trimStart()).replace(/\s+/g,"");this.name=/Error$/.test(o)?o:`${o}Error`;let r=new Error(this.message);r.name=this.name,this.stack=r.stack||""}};var U={};R(U,{many:()=>Fe,single:()=>Be});function Be(e,t){if(!e)throw new c(32,"No class name specified");if(e=e.trim(),e.includes(" "))throw new c(32,"Compound class names not permitted");try{return t.querySelector(`.${e.replace(/\./g,"\\.")}`)||null}catch{throw new c(32,"An invalid or illegal class name was specified")}}function Fe(e,t){if(!e)throw new c(32,"No class name specified");if(e=e.trim(),e.includes(" "))throw new c(32,"Compound class names not permitted");try{return t.querySelectorAll(`.${e.replace(/\./g,"\\.")}`)}catch{throw new c(32,"An invalid or illegal class name was specified")}}var I={};R(I,{many:()=>X,single:()=>G});function G(e,t){if(!e)throw new c(32,"No selector specified");e=e.trim();let n;try{n=t.querySelector(e)}catch{throw new c(32,"An invalid or illegal selector was specified")}return n&&n.nodeType===Node.ELEMENT_NODE?n:null}function X(e,t){if(!e)throw new c(32,"No selector specified");e=e.trim();try{return t.querySelectorAll(e)}catch{throw new c(32,"An invalid or illegal selector was specified")}}var W={};R(W,{many:()=>We,single:()=>Xe});function d(e,t){if(t=t.toLowerCase(),t==="style")return Ge(e.style.cssText);let n=e.getAttributeNode(t);return n&&n.specified?n.value:null}function u(e,t){return e instanceof HTMLFormElement?e.nodeType===Node.ELEMENT_NODE&&(!t||t==="FORM"):!!e&&e.nodeType===Node.ELEMENT_NODE&&(!t||e.tagName.toUpperCase()===t)}function _(e){return e.nodeType===Node.DOCUMENT_NODE?e:e.ownerDocument}var $e=/[;]+(?=(?:(?:[^"]*"){2})*[^"]*$)(?=(?:(?:[^']*'){2})*[^']*$)(?=(?:[^()]*\([^()]*\))*[^()]*$)/;function Ge(e){let t=e.split($e),n=[];for(let r of t){let i=r.indexOf(":");if(i>0){let s=[r.slice(0,i),r.slice(i+1)];n.push(s[0].toLowerCase(),":",s[1],";")}}let o=n.join("");return o.charAt(o.length-1)===";"?o:`${o};`}function Xe(e,t){let n=_(t),o=n.getElementById(e);if(o&&d(o,"id")===e&&t!==o&&t.contains(o))return o;let r=n.getElementsByTagName("*");for(let i of r)if(d(i,"id")===e&&t!==i&&t.contains(i))return i;return null}function We(e,t){if(!e)return[];if(!/^\d.*/.test(e))try{return[...t.querySelectorAll(`#${Ye(e)}`)]}catch{return[]}return[...t.getElementsByTagName("*")].filter(o=>d(o,"id")===e)}function Ye(e){return e.replace(/([\s'"\\#.:;,!?+<>=~*^$|%&@`{}\-/[\]()])/g,"\\$1")}var le={aliceblue:"#f0f8ff",antiquewhite:"#faebd7",aqua:"#00ffff",aquamarine:"#7fffd4",azure:"#f0ffff",beige:"#f5f5dc",bisque:"#ffe4c4",black:"#000000",blanchedalmond:"#ffebcd",blue:"#0000ff",blueviolet:"#8a2be2",brown:"#a52a2a",burlywood:"#deb887",cadetblue:"#5f9ea0",chartreuse:"#7fff00",chocolate:"#d2691e",coral:"#ff7f50",cornflowerblue:"#6495ed",cornsilk:"#fff8dc",crimson:"#dc143c",cyan:"#00ffff",darkblue:"#00008b",darkcyan:"#008b8b",darkgoldenrod:"#b8860b",darkgray:"#a9a9a9",darkgreen:"#006400",darkgrey:"#a9a9a9",darkkhaki:"#bdb76b",darkmagenta:"#8b008b",darkolivegreen:"#556b2f",darkorange:"#ff8c00",darkorchid:"#9932cc",darkred:"#8b0000",darksalmon:"#e9967a",darkseagreen:"#8fbc8f",darkslateblue:"#483d8b",darkslategray:"#2f4f4f",darkslategrey:"#2f4f4f",darkturquoise:"#00ced1",darkviolet:"#9400d3",deeppink:"#ff1493",deepskyblue:"#00bfff",dimgray:"#696969",dimgrey:"#696969",dodgerblue:"#1e90ff",firebrick:"#b22222",floralwhite:"#fffaf0",forestgreen:"#228b22",fuchsia:"#ff00ff",gainsboro:"#dcdcdc",ghostwhite:"#f8f8ff",gold:"#ffd700",goldenrod:"#daa520",gray:"#808080",green:"#008000",greenyellow:"#adff2f",grey:"#808080",honeydew:"#f0fff0",hotpink:"#ff69b4",indianred:"#cd5c5c",indigo:"#4b0082",ivory:"#fffff0",khaki:"#f0e68c",lavender:"#e6e6fa",lavenderblush:"#fff0f5",lawngreen:"#7cfc00",lemonchiffon:"#fffacd",lightblue:"#add8e6",lightcoral:"#f08080",lightcyan:"#e0ffff",lightgoldenrodyellow:"#fafad2",lightgray:"#d3d3d3",lightgreen:"#90ee90",lightgrey:"#d3d3d3",lightpink:"#ffb6c1",lightsalmon:"#ffa07a",lightseagreen:"#20b2aa",lightskyblue:"#87cefa",lightslategray:"#778899",lightslategrey:"#778899",lightsteelblue:"#b0c4de",lightyellow:"#ffffe0",lime:"#00ff00",limegreen:"#32cd32",linen:"#faf0e6",magenta:"#ff00ff",maroon:"#800000",mediumaquamarine:"#66cdaa",mediumblue:"#0000cd",mediumorchid:"#ba55d3",mediumpurple:"#9370db",mediumseagreen:"#3cb371",mediumslateblue:"#7b68ee",mediumspringgreen:"#00fa9a",mediumturquoise:"#48d1cc",mediumvioletred:"#c71585",midnightblue:"#191970",mintcream:"#f5fffa",mistyrose:"#ffe4e1",moccasin:"#ffe4b5",navajowhite:"#ffdead",navy:"#000080",oldlace:"#fdf5e6",olive:"#808000",olivedrab:"#6b8e23",orange:"#ffa500",orangered:"#ff4500",orchid:"#da70d6",palegoldenrod:"#eee8aa",palegreen:"#98fb98",paleturquoise:"#afeeee",palevioletred:"#db7093",papayawhip:"#ffefd5",peachpuff:"#ffdab9",peru:"#cd853f",pink:"#ffc0cb",plum:"#dda0dd",powderblue:"#b0e0e6",purple:"#800080",red:"#ff0000",rosybrown:"#bc8f8f",royalblue:"#4169e1",saddlebrown:"#8b4513",salmon:"#fa8072",sandybrown:"#f4a460",seagreen:"#2e8b57",seashell:"#fff5ee",sienna:"#a0522d",silver:"#c0c0c0",skyblue:"#87ceeb",slateblue:"#6a5acd",slategray:"#708090",slategrey:"#708090",snow:"#fffafa",springgreen:"#00ff7f",steelblue:"#4682b4",tan:"#d2b48c",teal:"#008080",thistle:"#d8bfd8",tomato:"#ff6347",turquoise:"#40e0d0",violet:"#ee82ee",wheat:"#f5deb3",white:"#ffffff",whitesmoke:"#f5f5f5",yellow:"#ffff00",yellowgreen:"#9acd32"};var Ke=new Set(["backgroundColor","borderTopColor","borderRightColor","borderBottomColor","borderLeftColor","color","outlineColor"]),je=/#([0-9a-fA-F])([0-9a-fA-F])([0-9a-fA-F])/,qe=/^#(?:[0-9a-f]{3}){1,2}$/i,ze=/^(?:rgba)?\((\d{1,3}),\s?(\d{1,3}),\s?(\d{1,3}),\s?(0|1|0\.\d*)\)$/i,Je=/^(?:rgb)?\((0|[1-9]\d{0,2}),\s?(0|[1-9]\d{0,2}),\s?(0|[1-9]\d{0,2})\)$/i;function ae(e,t){if(!Ke.has(e))return t;let n=Qe(t)||et(t)||Ze(t);return n?`rgba(${n.join(", ")})`:t}function Ze(e){e=e.toLowerCase();let t=le[e];if(!t&&(t=e.charAt(0)==="#"?e:`#${e}`,t.length===4&&(t=t.replace(je,"#$1$1$2$2$3$3")),!qe.test(t)))return null;let n=parseInt(t.substring(1,3),16),o=parseInt(t.substring(3,5),16),r=parseInt(t.substring(5,7),16);return[n,o,r,1]}function Qe(e){let t=e.match(ze);if(t){let n=Number(t[1]),o=Number(t[2]),r=Number(t[3]),i=Number(t[4]);if(n>=0&&n<=255&&o>=0&&o<=255&&r>=0&&r<=255&&i>=0&&i<=1)return[n,o,r,i]}return null}function et(e){let t=e.match(Je);if(t){let n=Number(t[1]),o=Number(t[2]),r=Number(t[3]);if(n>=0&&n<=255&&o>=0&&o<=255&&r>=0&&r<=255)return[n,o,r,1]}return null}var A=class{x;y;constructor(t=0,n=0){this.x=t,this.y=n}};var Y=class{top;right;bottom;left;constructor(t,n,o,r){this.top=t,this.right=n,this.bottom=o,this.left=r}},h=class e{left;top;width;height;constructor(t,n,o,r){this.left=t,this.top=n,this.width=o,this.height=r}toBox(){let t=this.left+this.width,n=this.top+this.height;return new Y(this.top,t,n,this.left)}intersects(t){return e.intersects(this,t)}static intersects(t,n){return t.left<=n.left+n.width&&n.left<=t.left+t.width&&t.top<=n.top+n.height&&n.top<=t.top+t.height}};function D(e,t,n){return Math.min(Math.max(e,t),n)}var C=typeof ShadowRoot=="function";function P(e){let t=e.parentNode;for(;t&&t.nodeType!==Node.ELEMENT_NODE&&t.nodeType!==Node.DOCUMENT_NODE&&t.nodeType!==Node.DOCUMENT_FRAGMENT_NODE;)t=t.parentNode;return t&&u(t)?t:null}function p(e,t){let n=rt(t);(n==="float"||n==="cssFloat"||n==="styleFloat")&&(n="cssFloat");let o=it(e,n)||me(e,n);return o===null?null:ae(n,o)}function ce(e,t=!1){function n(o){if(u(o)){let i=o;if(p(i,"display")==="none"||p(i,"content-visibility")==="hidden")return!1}let r=z(o);if(C&&r instanceof ShadowRoot){if(r.host.shadowRoot&&r.host.shadowRoot!==r)return!1;r=r.host}return r&&(r.nodeType===Node.DOCUMENT_NODE||r.nodeType===Node.DOCUMENT_FRAGMENT_NODE)?!0:r&&u(r,"DETAILS")&&!r.open&&!u(o,"SUMMARY")?!1:!!r&&n(r)}return j(e,t,n)}function tt(e){let t=e.scrollingElement||e.documentElement,n=e.defaultView;return new A(n.pageXOffset||t.scrollLeft,n.pageYOffset||t.scrollTop)}function K(e,t){let n=nt(e,t),o=_(e),r=o.documentElement,i=o.body,s=p(r,"overflow"),l=!1;function a(E,N){if(E===r)return!0;let m=p(E,"display");return!(m?.startsWith("inline")||m==="contents"||N==="absolute"&&p(E,"position")==="static")}function f(E){let N=p(E,"position");if(N==="fixed")return l=!0,E===r?null:r;let m=P(E);for(;m&&!a(m,N);)m=P(m);return m}function g(E){let N=E;if(s==="visible"){if(E===r&&i)N=i;else if(E===i)return{x:"visible",y:"visible"}}let m={x:p(N,"overflow-x")??"",y:p(N,"overflow-y")??""};return E===r&&(m.x=m.x==="visible"?"auto":m.x,m.y=m.y==="visible"?"auto":m.y),m}function T(E){return E===r?tt(o):new A(E.scrollLeft,E.scrollTop)}for(let E=f(e);E;E=f(E)){let N=g(E);if(N.x==="visible"&&N.y==="visible")continue;let m=O(E);if(m.width===0||m.height===0)return"hidden";let L=n.right<m.left,v=n.bottom<m.top;if(L&&N.x==="hidden"||v&&N.y==="hidden")return"hidden";if(L&&N.x!=="visible"||v&&N.y!=="visible"){let y=T(E),Ce=n.right<m.left-y.x,xe=n.bottom<m.top-y.y;return Ce&&N.x!=="visible"||xe&&N.y!=="visible"||K(E)==="hidden"?"hidden":"scroll"}let ie=n.left>=m.left+m.width,se=n.top>=m.top+m.height;if(ie&&N.x==="hidden"||se&&N.y==="hidden")return"hidden";if(ie&&N.x!=="visible"||se&&N.y!=="visible"){if(l){let y=T(E);if(n.left>=r.scrollWidth-y.x||n.top>=r.scrollHeight-y.y)return"hidden"}return K(E)==="hidden"?"hidden":"scroll"}}return"none"}function O(e){let t=de(e);if(t)return t.rect;if(u(e,"HTML")){let o=_(e),r=o.defaultView,i=o.compatMode==="CSS1Compat"?o.documentElement:o.body;return new h(0,0,i.clientWidth||r.innerWidth,i.clientHeight||r.innerHeight)}let n;try{n=e.getBoundingClientRect()}catch{return new h(0,0,0,0)}return new h(n.left,n.top,n.right-n.left,n.bottom-n.top)}function nt(e,t){let n=O(e).toBox();if(t){let o=t instanceof h?t:new h(t.x,t.y,1,1);n.left=D(n.left+o.left,n.left,n.right),n.top=D(n.top+o.top,n.top,n.bottom),n.right=D(n.left+o.width,n.left,n.right),n.bottom=D(n.top+o.height,n.top,n.bottom)}return n}function fe(e){let t=[];return C?q(e,t):Ne(e,t),lt(t)}function Ee(e){let t=1,n=p(e,"opacity");n&&(t=Number(n));let o=P(e);return o&&(t*=Ee(o)),t}function z(e){let t=e.parentNode;if(t&&t.shadowRoot&&e.assignedSlot!==void 0)return e.assignedSlot?e.assignedSlot.parentNode:null;let n=e;if(n.getDestinationInsertionPoints){let o=n.getDestinationInsertionPoints();if(o.length>0)return o[o.length-1]}return t}function ot(e){if(!(e.nodeType===Node.ELEMENT_NODE||e.nodeType===Node.TEXT_NODE))return!1;let n=e;return!!(n.assignedSlot!=null||n.getDestinationInsertionPoints&&n.getDestinationInsertionPoints().length>0)}function rt(e){return e.replace(/-([a-z])/g,(t,n)=>n.toUpperCase())}function it(e,t){let n=e.ownerDocument.defaultView;if(n?.getComputedStyle){let o=n.getComputedStyle(e,null);if(o)return o[t]||o.getPropertyValue(t)||""}return""}function me(e,t){let n=e.style,o=n[t];if(o===void 0&&typeof n.getPropertyValue=="function"&&(o=n.getPropertyValue(t)),o!=="inherit")return o!==void 0?o:null;let r=P(e);return r?me(r,t):null}function j(e,t,n){if(!u(e))throw new Error("Argument to isShown must be of type Element");if(u(e,"BODY"))return!0;if(u(e,"OPTION")||u(e,"OPTGROUP")){let l=e.parentNode;for(;l&&!u(l,"SELECT");)l=l.parentNode;return!!l&&j(l,!0,n)}let o=de(e);if(o)return!!o.image&&o.rect.width>0&&o.rect.height>0&&j(o.image,t,n);if(u(e,"INPUT")&&e.type.toLowerCase()==="hidden"||u(e,"NOSCRIPT"))return!1;let r=p(e,"visibility");if(r==="collapse"||r==="hidden"||!n(e)||!t&&Ee(e)===0)return!1;function i(l){let a=O(l);if(a.height>0&&a.width>0)return!0;if(u(l,"PATH")&&(a.height>0||a.width>0)){let g=p(l,"stroke-width");return!!g&&parseInt(g,10)>0}let f=p(l,"visibility");return f==="collapse"||f==="hidden"||!n(l)?!1:p(l,"overflow")!=="hidden"&&[...l.childNodes].some(g=>{if(g.nodeType===Node.TEXT_NODE){let T=g.nodeValue??"";return!(/^[\s]*$/.test(T)&&/[\n\r\t]/.test(T))}return u(g)&&i(g)})}if(!i(e))return!1;function s(l){return K(l)==="hidden"&&[...l.childNodes].every(a=>!u(a)||s(a)||!i(a))}return!s(e)}function de(e){let t=u(e,"MAP");if(!t&&!u(e,"AREA"))return null;let n=t?e:e.parentNode&&u(e.parentNode,"MAP")?e.parentNode:null,o=null,r=null,i=n&&n.name;if(n&&i){let s=_(n),l=`*[usemap="#${i}"]`;if(o=G(l,s),o&&(r=O(o),!t&&e.shape.toLowerCase()!=="default")){let a=st(e),f=Math.min(Math.max(a.left,0),r.width),g=Math.min(Math.max(a.top,0),r.height),T=Math.min(a.width,r.width-f),E=Math.min(a.height,r.height-g);r=new h(f+r.left,g+r.top,T,E)}}return{image:o,rect:r||new h(0,0,0,0)}}function st(e){let t=e,n=t.shape.toLowerCase(),o=t.coords.split(",");if(n==="rect"&&o.length===4){let r=Number(o[0]),i=Number(o[1]);return new h(r,i,Number(o[2])-r,Number(o[3])-i)}else if(n==="circle"&&o.length===3){let r=Number(o[0]),i=Number(o[1]),s=Number(o[2]);return new h(r-s,i-s,2*s,2*s)}else if(n==="poly"&&o.length>2){let r=Number(o[0]),i=Number(o[1]),s=r,l=i;for(let a=2;a+1<o.length;a+=2)r=Math.min(r,Number(o[a])),s=Math.max(s,Number(o[a])),i=Math.min(i,Number(o[a+1])),l=Math.max(l,Number(o[a+1]));return new h(r,i,s-r,l-i)}return new h(0,0,0,0)}function ue(e){return e.replace(/^[^\S\xa0]+|[^\S\xa0]+$/g,"")}function lt(e){let n=e.map(ue).join(`
+`);return ue(n).replace(/\xa0/g," ")}var at=new Set(["inline","inline-block","inline-table","none","table-cell","table-column","table-column-group"]);function pe(e,t,n,o){function r(){return t[t.length-1]||""}if(u(e,"BR"))t.push("");else{let i=u(e,"TD"),s=p(e,"display"),l=!i&&!at.has(s),a=e.previousElementSibling,f=a?p(a,"display"):"",g=p(e,"float")||p(e,"cssFloat")||p(e,"styleFloat");l&&!(f==="run-in"&&g==="none")&&!/^[\s\xa0]*$/.test(r())&&t.push("");let E=n(e),N=null,m=null;E&&(N=p(e,"white-space"),m=p(e,"text-transform"));for(let v of e.childNodes)o(v,t,E,N,m);let L=r();(i||s==="table-cell")&&L&&!L.endsWith(" ")&&(t[t.length-1]+=" "),l&&s!=="run-in"&&!/^[\s\xa0]*$/.test(L)&&t.push("")}}function Ne(e,t){pe(e,t,ce,(n,o,r,i,s)=>{n.nodeType===Node.TEXT_NODE&&r?ge(n,o,i,s):u(n)&&Ne(n,o)})}function ge(e,t,n,o){let r=(e.nodeValue??"").replace(/[\u200b\u200e\u200f]/g,"");r=r.replace(/(\r\n|\r|\n)/g,`
+`),(n==="normal"||n==="nowrap")&&(r=r.replace(/\n/g," ")),n==="pre"||n==="pre-wrap"?r=r.replace(/[ \f\t\v\u2028\u2029]/g,"\xA0"):r=r.replace(/[ \f\t\v\u2028\u2029]+/g," "),o==="capitalize"?(r=r.replace(/(^|[^'_0-9A-Za-z\u00C0-\u02AF\u1E00-\u1EFF\u24B6-\u24E9\u0300-\u036F\u1AB0-\u1AFF\u1DC0-\u1DFF])([A-Za-z\u00C0-\u02AF\u1E00-\u1EFF\u24B6-\u24E9])/g,(s,l,a)=>l+a.toUpperCase()),r=r.replace(/(^|[^'_0-9A-Za-z\u00C0-\u02AF\u1E00-\u1EFF\u24B6-\u24E9])([_*])([A-Za-z\u00C0-\u02AF\u1E00-\u1EFF\u24D0-\u24E9])/g,(s,l,a,f)=>l+a+f.toUpperCase())):o==="uppercase"?r=r.toUpperCase():o==="lowercase"&&(r=r.toLowerCase());let i=t.pop()||"";i.endsWith(" ")&&r.startsWith(" ")&&(r=r.substring(1)),t.push(i+r)}function k(e,t,n,o,r){if(e.nodeType===Node.TEXT_NODE&&n)ge(e,t,o,r);else if(u(e)){let i=e;if(u(e,"CONTENT")||u(e,"SLOT")){let s=e;for(;s.parentNode;)s=s.parentNode;if(s instanceof ShadowRoot){let l=e,a=u(e,"CONTENT")?l.getDistributedNodes():l.assignedNodes(),f=a.length>0?a:[...l.childNodes];for(let g of f)k(g,t,n,o,r)}else q(i,t)}else if(u(e,"SHADOW")){let s=e;for(;s.parentNode;)s=s.parentNode;if(s instanceof ShadowRoot){let l=s.olderShadowRoot;for(;l;){for(let a of l.childNodes)k(a,t,n,o,r);l=l.olderShadowRoot}}}else q(i,t)}}function q(e,t){if(e.shadowRoot){let n=p(e,"white-space"),o=p(e,"text-transform");for(let r of e.shadowRoot.childNodes)k(r,t,!0,n,o)}pe(e,t,ce,(n,o,r,i,s)=>{ot(n)||k(n,o,r,i,s)})}var J={single(e,t){return H(e,t,!1)[0]??null},many(e,t){return H(e,t,!1)}},Z={single(e,t){return H(e,t,!0)[0]??null},many(e,t){return H(e,t,!0)}};function H(e,t,n){return[...X("a",t)].filter(r=>{let i=fe(r);return i=i.replace(/^[\s]+|[\s]+$/g,""),n&&i.includes(e)||i===e})}var Q={};R(Q,{many:()=>ct,single:()=>ut});function ut(e,t){for(let n of t.getElementsByTagName("*"))if(d(n,"name")===e)return n;return null}function ct(e,t){return[...t.getElementsByTagName("*")].filter(n=>d(n,"name")===e)}var ee={};R(ee,{many:()=>he,single:()=>mt});var ft={above:dt,below:pt,left:Nt,near:Rt,right:gt,straightAbove:ht,straightBelow:Tt,straightLeft:bt,straightRight:Ot},Et={above:b,below:b,left:b,near:b,right:b,straightAbove:b,straightBelow:b,straightLeft:b,straightRight:b};function mt(e,t){let n=he(e,t);return n.length===0?null:n[0]}function he(e,t){if(!Object.prototype.hasOwnProperty.call(e,"root")||!Object.prototype.hasOwnProperty.call(e,"filters"))throw new c(61,`Locator not suitable for relative locators: ${JSON.stringify(e)}`);if(!Array.isArray(e.filters))throw new c(61,`Targets should be an array: ${JSON.stringify(e)}`);let n;return u(e.root)?n=[e.root]:n=Te(e.root,t),n.length===0?[]:wt(n,e.filters)}function S(e,t){return n=>{let o=b(e),r=O(o),i=O(n);return t(r,i)}}function dt(e){return S(e,(t,n)=>n.top+n.height<=t.top)}function pt(e){return S(e,(t,n)=>n.top>=t.top+t.height)}function Nt(e){return S(e,(t,n)=>n.left+n.width<=t.left)}function gt(e){return S(e,(t,n)=>n.left>=t.left+t.width)}function ht(e){return S(e,(t,n)=>n.left<t.left+t.width&&n.left+n.width>t.left&&n.top+n.height<=t.top)}function Tt(e){return S(e,(t,n)=>n.left<t.left+t.width&&n.left+n.width>t.left&&n.top>=t.top+t.height)}function bt(e){return S(e,(t,n)=>n.top<t.top+t.height&&n.top+n.height>t.top&&n.left+n.width<=t.left)}function Ot(e){return S(e,(t,n)=>n.top<t.top+t.height&&n.top+n.height>t.top&&n.left>=t.left+t.width)}function Rt(e,t){let n=t;!n&&typeof e.distance=="number"&&(n=e.distance),n||(n=50);let o=n;return r=>{let i=b(e);if(i===r)return!1;let s=O(i),l=O(r);return new h(s.left-o,s.top-o,s.width+o*2,s.height+o*2).intersects(l)}}function b(e){if(u(e))return e;if(typeof e=="function")return b(e());if(typeof e=="object"&&e!==null||typeof e=="function"){let t=V(e);if(!t)throw new c(7,`No element has been found by ${JSON.stringify(e)}`);return t}throw new c(61,`Selector is of wrong type: ${JSON.stringify(e)}`)}function wt(e,t){let n=[];for(let l of Array.from(e)){if(!l)continue;t.every(f=>{let g=ft[f.kind];if(!g)throw new c(61,`Cannot find filter suitable for ${f.kind}`);return g(...f.args)(l)})&&n.push(l)}let o=t[t.length-1],r=o?o.kind:"unknown",i=Et[r];if(!i)return n;let s=i(...o.args);return s?_t(s,n):n}function _t(e,t){let n=O(e),o={x:n.left+Math.max(1,n.width)/2,y:n.top+Math.max(1,n.height)/2};function r(i){let s=O(i),l={x:s.left+Math.max(1,s.width)/2,y:s.top+Math.max(1,s.height)/2},a=Math.pow(o.x-l.x,2),f=Math.pow(o.y-l.y,2);return Math.sqrt(a+f)}return[...t].sort((i,s)=>r(i)-r(s))}var oe={};R(oe,{many:()=>kt,single:()=>Pt});var St={ARTICLE:"article",ASIDE:"complementary",BUTTON:"button",DATALIST:"listbox",DD:"definition",DETAILS:"group",DIALOG:"dialog",DT:"term",FIELDSET:"group",FIGURE:"figure",FORM:"form",H1:"heading",H2:"heading",H3:"heading",H4:"heading",H5:"heading",H6:"heading",HR:"separator",LI:"listitem",MAIN:"main",MENU:"list",METER:"meter",NAV:"navigation",OL:"list",OPTION:"option",OUTPUT:"status",P:"paragraph",PROGRESS:"progressbar",TABLE:"table",TBODY:"rowgroup",TD:"cell",TEXTAREA:"textbox",TFOOT:"rowgroup",THEAD:"rowgroup",TR:"row",UL:"list"},be={button:"button",checkbox:"checkbox",color:null,file:null,hidden:null,image:"button",number:"spinbutton",radio:"radio",range:"slider",reset:"button",search:"searchbox",submit:"button"},Lt=new Set(["button","cell","checkbox","columnheader","gridcell","heading","link","menuitem","menuitemcheckbox","menuitemradio","option","radio","row","rowheader","switch","tab","tooltip","treeitem"]),It=new Set(["meter","progressbar","scrollbar","slider","spinbutton"]),Oe="article, aside, main, nav, section";function te(e){let t=(d(e,"role")??"").trim().toLowerCase().split(/\s+/)[0];if(t)return t;let n=e.tagName.toUpperCase();switch(n){case"A":case"AREA":return e.hasAttribute("href")?"link":null;case"HEADER":return e.parentElement?.closest(Oe)?null:"banner";case"FOOTER":return e.parentElement?.closest(Oe)?null:"contentinfo";case"IMG":return d(e,"alt")===""?"presentation":"img";case"INPUT":{let o=(d(e,"type")??"text").toLowerCase();return o in be?be[o]:e.hasAttribute("list")?"combobox":"textbox"}case"SECTION":return e.hasAttribute("aria-label")||e.hasAttribute("aria-labelledby")?"region":null;case"SELECT":{let o=e;return o.multiple||o.size>1?"listbox":"combobox"}case"TH":return d(e,"scope")?.toLowerCase()==="row"?"rowheader":"columnheader";default:return St[n]??null}}function ne(e){for(let n=e;n;n=xt(n))if(u(n)){let o=n;if(d(o,"aria-hidden")==="true"||p(o,"display")==="none")return!0}let t=p(e,"visibility");return t==="hidden"||t==="collapse"}function we(e){return Mt(x(e,{visited:new Set,inLabelledBy:!1,embedded:!1}))}function x(e,t){if(t.visited.has(e))return"";t.visited.add(e);try{if(!t.inLabelledBy&&ne(e))return"";if(!t.inLabelledBy){let r=(d(e,"aria-labelledby")??"").split(/\s+/).filter(Boolean),i=e.getRootNode(),s=r.map(l=>i.getElementById(l)).filter(l=>!!l).map(l=>x(l,{...t,inLabelledBy:!0,embedded:!0})).join(" ");if(s.trim())return s}let n=te(e);if(t.embedded&&n){let r=yt(e,n);if(r!==null)return r}let o=(d(e,"aria-label")??"").trim();if(o)return o;if(n!=="presentation"&&n!=="none"){let r=At(e,t);if(r.trim())return r}if(t.embedded||Lt.has(n??"")){let r=Dt(e,t);if(r.trim())return r}return d(e,"title")??d(e,"placeholder")??""}finally{t.visited.delete(e)}}function yt(e,t){return t==="textbox"?u(e,"INPUT")||u(e,"TEXTAREA")?e.value:e.textContent??"":t==="combobox"||t==="listbox"?u(e,"SELECT")?[...e.selectedOptions].map(n=>n.text).join(" "):u(e,"INPUT")?e.value:null:It.has(t)?d(e,"aria-valuetext")??d(e,"aria-valuenow")??e.value??null:null}function At(e,t){let n=o=>{let r=[...e.children].find(i=>u(i,o));return r?x(r,{...t,embedded:!0}):""};switch(e.tagName.toUpperCase()){case"INPUT":{let o=(d(e,"type")??"text").toLowerCase();return o==="submit"||o==="reset"?d(e,"value")??(o==="submit"?"Submit":"Reset"):o==="button"?d(e,"value")??"":o==="image"?d(e,"alt")??d(e,"value")??"Submit":Re(e,t)}case"SELECT":case"TEXTAREA":case"METER":case"PROGRESS":case"OUTPUT":case"BUTTON":return Re(e,t);case"IMG":case"AREA":return d(e,"alt")??"";case"FIELDSET":return n("LEGEND");case"FIGURE":return n("FIGCAPTION");case"TABLE":return n("CAPTION");default:return e.namespaceURI==="http://www.w3.org/2000/svg"?[...e.children].find(o=>o.localName==="title")?.textContent??"":""}}function Re(e,t){return[...e.labels??[]].map(o=>x(o,{...t,embedded:!0})).join(" ")}function Dt(e,t){let n={...t,embedded:!0};return Ct(e).map(o=>{if(o.nodeType===Node.TEXT_NODE)return o.textContent??"";if(!u(o))return"";let r=x(o,n);return p(o,"display")==="inline"?r:` ${r} `}).join("")}function Ct(e){if(C&&e.shadowRoot)return[...e.shadowRoot.childNodes];if(u(e,"SLOT")){let t=e.assignedNodes({flatten:!0});if(t.length)return t}return[...e.childNodes]}function xt(e){let t=z(e);return C&&t instanceof ShadowRoot?t.host:t}function Mt(e){return e.replace(/\s+/g," ").trim()}var M={};R(M,{many:()=>B,single:()=>vt});function vt(e,t){return _e(e,t,!0)[0]??null}function B(e,t){return _e(e,t,!1)}function _e(e,t,n){if(!e)throw new c(32,"No selector specified");let o=e.trim(),r=t.nodeType===Node.DOCUMENT_NODE?t:t.ownerDocument;try{r.createDocumentFragment().querySelector(o)}catch{throw new c(32,"An invalid or illegal selector was specified")}let i=[],s=a=>{for(let f of a.querySelectorAll("*"))if(f.matches(o)&&(i.push(f),n)||f.shadowRoot&&s(f.shadowRoot))return!0;return!1},l=t.shadowRoot;return l&&s(l)||s(t),i}var Ut=/^\s*([a-z-]+)\s*(?:\[\s*name\s*(\*?=)\s*(?:"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)')\s*(i)?\s*\])?\s*$/i;function Pt(e,t){let n=Se(e);return B("*",t).find(o=>Le(o,n))??null}function kt(e,t){let n=Se(e);return B("*",t).filter(o=>Le(o,n))}function Se(e){let t=Ut.exec(e??"");if(!t)throw new c(32,`Invalid role selector '${e}'. Expected a role like 'button' or 'button[name="Sign in"]'`);let[,n,o,r,i,s]=t,l=r??i;return{role:n.toLowerCase(),name:l===void 0?void 0:Ht(l.replace(/\\(.)/g,"$1")),partial:o==="*=",ignoreCase:!!s}}function Le(e,{role:t,name:n,partial:o,ignoreCase:r}){if(te(e)!==t||ne(e))return!1;if(n===void 0)return!0;let i=we(e),s=n;return r&&(i=i.toLowerCase(),s=s.toLowerCase()),o?i.includes(s):i===s}function Ht(e){return e.replace(/\s+/g," ").trim()}var F={};R(F,{many:()=>Bt,single:()=>Vt});function Vt(e,t){if(e==="")throw new c(32,'Unable to locate an element with the tagName ""');return t.getElementsByTagName(e)[0]||null}function Bt(e,t){if(e==="")throw new c(32,'Unable to locate an element with the tagName ""');return t.getElementsByTagName(e)}var re={};R(re,{many:()=>$t,single:()=>Ft});function Ft(e,t){let n=Ie(t,e,9),o=n?n.singleNodeValue:null;return o!==null&&ye(o,e),o}function $t(e,t){let n=Ie(t,e,7),o=[];if(n)for(let r=0;r<n.snapshotLength;r++){let i=n.snapshotItem(r);i&&o.push(i)}for(let r of o)ye(r,e);return o}var Gt={svg:"http://www.w3.org/2000/svg"};function Xt(e){return e&&Gt[e]||null}function Ie(e,t,n){let o=_(e);if(!o.documentElement)return null;try{let r=new Map,i=o.getElementsByTagName("*");for(let a of i){let f=a.namespaceURI;if(f&&!r.has(f)){let g=a.lookupPrefix(f);if(!g){let T=f.match(/.*\/(\w+)\/?$/);g=T?T[1]:"xhtml"}r.set(f,g)}}let s=new Map;for(let[a,f]of r)s.set(f,a);let l=a=>a&&s.get(a)||null;try{return o.evaluate(t,e,l,n,null)}catch(a){if(a instanceof TypeError)return l=o.createNSResolver?o.createNSResolver(o.documentElement):Xt,o.evaluate(t,e,l,n,null);throw a}}catch(r){throw new c(32,`Unable to locate an element with the xpath expression ${t} because of the following error:
+${r}`)}}function ye(e,t){if(!e||e.nodeType!==Node.ELEMENT_NODE)throw new c(32,`The result of the xpath expression "${t}" is: ${e}. It should be an element.`)}var Ae={className:U,"class name":U,css:I,"css selector":I,relative:ee,role:oe,shadowCss:M,"shadow css selector":M,id:W,linkText:J,"link text":J,name:Q,partialLinkText:Z,"partial link text":Z,tagName:F,"tag name":F,xpath:re};function V(e,t=document){let n=De(e);if(n){let o=Ae[n];if(o&&typeof o.single=="function")return o.single(e[n],t)}throw new c(61,`Unsupported locator strategy: ${n}`)}function Te(e,t=document){let n=De(e);if(n){let o=Ae[n];if(o&&typeof o.many=="function")return o.many(e[n],t)}throw new c(61,`Unsupported locator strategy: ${n}`)}function De(e){for(let t in e)if(Object.prototype.hasOwnProperty.call(e,t))return t;return null}return ke(Wt);})();
 
 return AtomExport.default.apply(null,arguments);}
@@ -1,6 +1,6 @@
-function(){"use strict";var AtomExport=(()=>{var H=Object.defineProperty;var ke=Object.getOwnPropertyDescriptor;var ve=Object.getOwnPropertyNames;var Ue=Object.prototype.hasOwnProperty;var O=(e,n)=>{for(var t in n)H(e,t,{get:n[t],enumerable:!0})},Pe=(e,n,t,o)=>{if(n&&typeof n=="object"||typeof n=="function")for(let r of ve(n))!Ue.call(e,r)&&r!==t&&H(e,r,{get:()=>n[r],enumerable:!(o=ke(n,r))||o.enumerable});return e};var Fe=e=>Pe(H({},"__esModule",{value:!0}),e);var Vt={};O(Vt,{default:()=>xe});var Ve={15:"element not selectable",11:"element not visible",31:"unsupported operation",30:"unsupported operation",24:"invalid cookie domain",29:"invalid coordinates",12:"invalid element state",32:"invalid selector",51:"invalid selector",52:"invalid selector",17:"javascript error",405:"unknown method",34:"move target out of bounds",27:"no such alert",7:"no such element",8:"no such frame",23:"no such window",28:"script timeout",33:"session not created",10:"stale element reference",21:"timeout",25:"unable to set cookie",26:"unexpected alert open",13:"unknown error",9:"unknown command"};function W(e){return Ve[e]??"unknown error"}var u=class extends Error{code;state;isAutomationError=!0;constructor(n,t=""){super(t),this.code=n,this.state=W(n);let o=this.state.replace(/(^|\s+)[a-z]/g,i=>i.toUpperCase().trimStart()).replace(/\s+/g,"");this.name=/Error$/.test(o)?o:`${o}Error`;let r=new Error(this.message);r.name=this.name,this.stack=r.stack||""}};var B="ELEMENT",j="element-6066-11e4-a52e-4f735466cecf",$="WINDOW";function He(e){function n(t,o){if(t==null)return null;switch(typeof t){case"string":case"number":case"boolean":return t;case"function":return t.toString();case"object":break;default:return null}let r=t;if(o.includes(r))throw new u(17,"Recursive object cannot be transferred");if("nodeType"in r&&(r.nodeType===Node.ELEMENT_NODE||r.nodeType===Node.DOCUMENT_NODE||r.nodeType===Node.DOCUMENT_FRAGMENT_NODE&&"host"in r)){let s=le(r);return{[B]:s,[j]:s}}if("document"in r)return{[$]:le(r)};if(Array.isArray(t))return t.map(s=>n(s,o));if(o=[...o,r],je(t))return Array.from(t).map(s=>n(s,o));let i={};for(let s of Object.keys(r))i[s]=n(r[s],o);return i}return n(e,[])}function M(e,n){if(Array.isArray(e))return e.map(t=>M(t,n));if(Be(e)){if(typeof e=="function")return e;let t=e;if(B in t)return A(t[B],n);if(j in t)return A(t[j],n);if($ in t)return A(t[$],n);let o={};for(let r of Object.keys(t))o[r]=M(t[r],n);return o}return e}function ue(e){return{status:0,value:He(e)}}function ce(e){let n="code"in e&&typeof e.code=="number"?e.code:13;return{status:n,value:{message:e.message,error:W(n)}}}var We=":wdc:";function le(e){let n=e.ownerDocument,t=X(n);Object.keys(t).length-1>=$e&&Xe(n||document);let o;for(let r of Object.keys(t))if(t[r]===e){o=r;break}return o||(o=We+t.nextId++,t[o]=e),o}function A(e,n){e=decodeURIComponent(e);let t=n||document,o=X(t);if(!(e in o))throw new u(10,"Element does not exist in cache");let r=o[e];if(!fe(t,r))return r;throw delete o[e],"setInterval"in r?new u(23,"Window has been closed."):new u(10,"Element is no longer attached to the DOM")}function Be(e){return typeof e=="object"&&e!==null||typeof e=="function"}function je(e){return Array.isArray(e)?!0:typeof e=="object"&&e!==null&&typeof e.length=="number"}var ae="$wdc_";function X(e){let n=e||document,t=n[ae];return t||(t=n[ae]={},t.nextId=Date.now()),t.nextId||(t.nextId=Date.now()),t}var $e=200;function fe(e,n){if("setInterval"in n)return!!n.closed;let t=n;for(;t;){if(t===e.documentElement)return!1;t.host&&t.nodeType===Node.DOCUMENT_FRAGMENT_NODE&&(t=t.host),t=t.parentNode}return!0}function Xe(e){let n=X(e);for(let t of Object.keys(n)){let o=n[t];!o||typeof o!="object"||fe(e,o)&&delete n[t]}}var k={};O(k,{many:()=>Ge,single:()=>Ke});function Ke(e,n){if(!e)throw new u(32,"No class name specified");if(e=e.trim(),e.includes(" "))throw new u(32,"Compound class names not permitted");try{return n.querySelector(`.${e.replace(/\./g,"\\.")}`)||null}catch{throw new u(32,"An invalid or illegal class name was specified")}}function Ge(e,n){if(!e)throw new u(32,"No class name specified");if(e=e.trim(),e.includes(" "))throw new u(32,"Compound class names not permitted");try{return n.querySelectorAll(`.${e.replace(/\./g,"\\.")}`)}catch{throw new u(32,"An invalid or illegal class name was specified")}}var L={};O(L,{many:()=>G,single:()=>K});function K(e,n){if(!e)throw new u(32,"No selector specified");e=e.trim();let t;try{t=n.querySelector(e)}catch{throw new u(32,"An invalid or illegal selector was specified")}return t&&t.nodeType===Node.ELEMENT_NODE?t:null}function G(e,n){if(!e)throw new u(32,"No selector specified");e=e.trim();try{return n.querySelectorAll(e)}catch{throw new u(32,"An invalid or illegal selector was specified")}}var Y={};O(Y,{many:()=>ze,single:()=>qe});function b(e,n){if(n=n.toLowerCase(),n==="style")return Je(e.style.cssText);let t=e.getAttributeNode(n);return t&&t.specified?t.value:null}function m(e,n){return e instanceof HTMLFormElement?e.nodeType===Node.ELEMENT_NODE&&(!n||n==="FORM"):!!e&&e.nodeType===Node.ELEMENT_NODE&&(!n||e.tagName.toUpperCase()===n)}function R(e){return e.nodeType===Node.DOCUMENT_NODE?e:e.ownerDocument}var Ye=/[;]+(?=(?:(?:[^"]*"){2})*[^"]*$)(?=(?:(?:[^']*'){2})*[^']*$)(?=(?:[^()]*\([^()]*\))*[^()]*$)/;function Je(e){let n=e.split(Ye),t=[];for(let r of n){let i=r.indexOf(":");if(i>0){let s=[r.slice(0,i),r.slice(i+1)];t.push(s[0].toLowerCase(),":",s[1],";")}}let o=t.join("");return o.charAt(o.length-1)===";"?o:`${o};`}function qe(e,n){let t=R(n),o=t.getElementById(e);if(o&&b(o,"id")===e&&n!==o&&n.contains(o))return o;let r=t.getElementsByTagName("*");for(let i of r)if(b(i,"id")===e&&n!==i&&n.contains(i))return i;return null}function ze(e,n){if(!e)return[];if(!/^\d.*/.test(e))try{return[...n.querySelectorAll(`#${Ze(e)}`)]}catch{return[]}return[...n.getElementsByTagName("*")].filter(o=>b(o,"id")===e)}function Ze(e){return e.replace(/([\s'"\\#.:;,!?+<>=~*^$|%&@`{}\-/[\]()])/g,"\\$1")}var me={aliceblue:"#f0f8ff",antiquewhite:"#faebd7",aqua:"#00ffff",aquamarine:"#7fffd4",azure:"#f0ffff",beige:"#f5f5dc",bisque:"#ffe4c4",black:"#000000",blanchedalmond:"#ffebcd",blue:"#0000ff",blueviolet:"#8a2be2",brown:"#a52a2a",burlywood:"#deb887",cadetblue:"#5f9ea0",chartreuse:"#7fff00",chocolate:"#d2691e",coral:"#ff7f50",cornflowerblue:"#6495ed",cornsilk:"#fff8dc",crimson:"#dc143c",cyan:"#00ffff",darkblue:"#00008b",darkcyan:"#008b8b",darkgoldenrod:"#b8860b",darkgray:"#a9a9a9",darkgreen:"#006400",darkgrey:"#a9a9a9",darkkhaki:"#bdb76b",darkmagenta:"#8b008b",darkolivegreen:"#556b2f",darkorange:"#ff8c00",darkorchid:"#9932cc",darkred:"#8b0000",darksalmon:"#e9967a",darkseagreen:"#8fbc8f",darkslateblue:"#483d8b",darkslategray:"#2f4f4f",darkslategrey:"#2f4f4f",darkturquoise:"#00ced1",darkviolet:"#9400d3",deeppink:"#ff1493",deepskyblue:"#00bfff",dimgray:"#696969",dimgrey:"#696969",dodgerblue:"#1e90ff",firebrick:"#b22222",floralwhite:"#fffaf0",forestgreen:"#228b22",fuchsia:"#ff00ff",gainsboro:"#dcdcdc",ghostwhite:"#f8f8ff",gold:"#ffd700",goldenrod:"#daa520",gray:"#808080",green:"#008000",greenyellow:"#adff2f",grey:"#808080",honeydew:"#f0fff0",hotpink:"#ff69b4",indianred:"#cd5c5c",indigo:"#4b0082",ivory:"#fffff0",khaki:"#f0e68c",lavender:"#e6e6fa",lavenderblush:"#fff0f5",lawngreen:"#7cfc00",lemonchiffon:"#fffacd",lightblue:"#add8e6",lightcoral:"#f08080",lightcyan:"#e0ffff",lightgoldenrodyellow:"#fafad2",lightgray:"#d3d3d3",lightgreen:"#90ee90",lightgrey:"#d3d3d3",lightpink:"#ffb6c1",lightsalmon:"#ffa07a",lightseagreen:"#20b2aa",lightskyblue:"#87cefa",lightslategray:"#778899",lightslategrey:"#778899",lightsteelblue:"#b0c4de",lightyellow:"#ffffe0",lime:"#00ff00",limegreen:"#32cd32",linen:"#faf0e6",magenta:"#ff00ff",maroon:"#800000",mediumaquamarine:"#66cdaa",mediumblue:"#0000cd",mediumorchid:"#ba55d3",mediumpurple:"#9370db",mediumseagreen:"#3cb371",mediumslateblue:"#7b68ee",mediumspringgreen:"#00fa9a",mediumturquoise:"#48d1cc",mediumvioletred:"#c71585",midnightblue:"#191970",mintcream:"#f5fffa",mistyrose:"#ffe4e1",moccasin:"#ffe4b5",navajowhite:"#ffdead",navy:"#000080",oldlace:"#fdf5e6",olive:"#808000",olivedrab:"#6b8e23",orange:"#ffa500",orangered:"#ff4500",orchid:"#da70d6",palegoldenrod:"#eee8aa",palegreen:"#98fb98",paleturquoise:"#afeeee",palevioletred:"#db7093",papayawhip:"#ffefd5",peachpuff:"#ffdab9",peru:"#cd853f",pink:"#ffc0cb",plum:"#dda0dd",powderblue:"#b0e0e6",purple:"#800080",red:"#ff0000",rosybrown:"#bc8f8f",royalblue:"#4169e1",saddlebrown:"#8b4513",salmon:"#fa8072",sandybrown:"#f4a460",seagreen:"#2e8b57",seashell:"#fff5ee",sienna:"#a0522d",silver:"#c0c0c0",skyblue:"#87ceeb",slateblue:"#6a5acd",slategray:"#708090",slategrey:"#708090",snow:"#fffafa",springgreen:"#00ff7f",steelblue:"#4682b4",tan:"#d2b48c",teal:"#008080",thistle:"#d8bfd8",tomato:"#ff6347",turquoise:"#40e0d0",violet:"#ee82ee",wheat:"#f5deb3",white:"#ffffff",whitesmoke:"#f5f5f5",yellow:"#ffff00",yellowgreen:"#9acd32"};var Qe=new Set(["backgroundColor","borderTopColor","borderRightColor","borderBottomColor","borderLeftColor","color","outlineColor"]),et=/#([0-9a-fA-F])([0-9a-fA-F])([0-9a-fA-F])/,tt=/^#(?:[0-9a-f]{3}){1,2}$/i,nt=/^(?:rgba)?\((\d{1,3}),\s?(\d{1,3}),\s?(\d{1,3}),\s?(0|1|0\.\d*)\)$/i,ot=/^(?:rgb)?\((0|[1-9]\d{0,2}),\s?(0|[1-9]\d{0,2}),\s?(0|[1-9]\d{0,2})\)$/i;function de(e,n){if(!Qe.has(e))return n;let t=it(n)||st(n)||rt(n);return t?`rgba(${t.join(", ")})`:n}function rt(e){e=e.toLowerCase();let n=me[e];if(!n&&(n=e.charAt(0)==="#"?e:`#${e}`,n.length===4&&(n=n.replace(et,"#$1$1$2$2$3$3")),!tt.test(n)))return null;let t=parseInt(n.substring(1,3),16),o=parseInt(n.substring(3,5),16),r=parseInt(n.substring(5,7),16);return[t,o,r,1]}function it(e){let n=e.match(nt);if(n){let t=Number(n[1]),o=Number(n[2]),r=Number(n[3]),i=Number(n[4]);if(t>=0&&t<=255&&o>=0&&o<=255&&r>=0&&r<=255&&i>=0&&i<=1)return[t,o,r,i]}return null}function st(e){let n=e.match(ot);if(n){let t=Number(n[1]),o=Number(n[2]),r=Number(n[3]);if(t>=0&&t<=255&&o>=0&&o<=255&&r>=0&&r<=255)return[t,o,r,1]}return null}var D=class{x;y;constructor(n=0,t=0){this.x=n,this.y=t}};var J=class{top;right;bottom;left;constructor(n,t,o,r){this.top=n,this.right=t,this.bottom=o,this.left=r}},g=class e{left;top;width;height;constructor(n,t,o,r){this.left=n,this.top=t,this.width=o,this.height=r}toBox(){let n=this.left+this.width,t=this.top+this.height;return new J(this.top,n,t,this.left)}intersects(n){return e.intersects(this,n)}static intersects(n,t){return n.left<=t.left+t.width&&t.left<=n.left+n.width&&n.top<=t.top+t.height&&t.top<=n.top+n.height}};function x(e,n,t){return Math.min(Math.max(e,n),t)}var Ne=typeof ShadowRoot=="function";function v(e){let n=e.parentNode;for(;n&&n.nodeType!==Node.ELEMENT_NODE&&n.nodeType!==Node.DOCUMENT_NODE&&n.nodeType!==Node.DOCUMENT_FRAGMENT_NODE;)n=n.parentNode;return n&&m(n)?n:null}function N(e,n){let t=ft(n);(t==="float"||t==="cssFloat"||t==="styleFloat")&&(t="cssFloat");let o=Et(e,t)||we(e,t);return o===null?null:de(t,o)}function ge(e,n=!1){function t(o){if(m(o)){let i=o;if(N(i,"display")==="none"||N(i,"content-visibility")==="hidden")return!1}let r=ut(o);if(Ne&&r instanceof ShadowRoot){if(r.host.shadowRoot&&r.host.shadowRoot!==r)return!1;r=r.host}return r&&(r.nodeType===Node.DOCUMENT_NODE||r.nodeType===Node.DOCUMENT_FRAGMENT_NODE)?!0:r&&m(r,"DETAILS")&&!r.open&&!m(o,"SUMMARY")?!1:!!r&&t(r)}return z(e,n,t)}function lt(e){let n=e.scrollingElement||e.documentElement,t=e.defaultView;return new D(t.pageXOffset||n.scrollLeft,t.pageYOffset||n.scrollTop)}function q(e,n){let t=at(e,n),o=R(e),r=o.documentElement,i=o.body,s=N(r,"overflow"),l=!1;function a(c,d){if(c===r)return!0;let E=N(c,"display");return!(E?.startsWith("inline")||E==="contents"||d==="absolute"&&N(c,"position")==="static")}function f(c){let d=N(c,"position");if(d==="fixed")return l=!0,c===r?null:r;let E=v(c);for(;E&&!a(E,d);)E=v(E);return E}function p(c){let d=c;if(s==="visible"){if(c===r&&i)d=i;else if(c===i)return{x:"visible",y:"visible"}}let E={x:N(d,"overflow-x")??"",y:N(d,"overflow-y")??""};return c===r&&(E.x=E.x==="visible"?"auto":E.x,E.y=E.y==="visible"?"auto":E.y),E}function h(c){return c===r?lt(o):new D(c.scrollLeft,c.scrollTop)}for(let c=f(e);c;c=f(c)){let d=p(c);if(d.x==="visible"&&d.y==="visible")continue;let E=w(c);if(E.width===0||E.height===0)return"hidden";let S=t.right<E.left,C=t.bottom<E.top;if(S&&d.x==="hidden"||C&&d.y==="hidden")return"hidden";if(S&&d.x!=="visible"||C&&d.y!=="visible"){let I=h(c),Ce=t.right<E.left-I.x,Me=t.bottom<E.top-I.y;return Ce&&d.x!=="visible"||Me&&d.y!=="visible"||q(c)==="hidden"?"hidden":"scroll"}let ie=t.left>=E.left+E.width,se=t.top>=E.top+E.height;if(ie&&d.x==="hidden"||se&&d.y==="hidden")return"hidden";if(ie&&d.x!=="visible"||se&&d.y!=="visible"){if(l){let I=h(c);if(t.left>=r.scrollWidth-I.x||t.top>=r.scrollHeight-I.y)return"hidden"}return q(c)==="hidden"?"hidden":"scroll"}}return"none"}function w(e){let n=Oe(e);if(n)return n.rect;if(m(e,"HTML")){let o=R(e),r=o.defaultView,i=o.compatMode==="CSS1Compat"?o.documentElement:o.body;return new g(0,0,i.clientWidth||r.innerWidth,i.clientHeight||r.innerHeight)}let t;try{t=e.getBoundingClientRect()}catch{return new g(0,0,0,0)}return new g(t.left,t.top,t.right-t.left,t.bottom-t.top)}function at(e,n){let t=w(e).toBox();if(n){let o=n instanceof g?n:new g(n.x,n.y,1,1);t.left=x(t.left+o.left,t.left,t.right),t.top=x(t.top+o.top,t.top,t.bottom),t.right=x(t.left+o.width,t.left,t.right),t.bottom=x(t.top+o.height,t.top,t.bottom)}return t}function he(e){let n=[];return Ne?Z(e,n):Re(e,n),dt(n)}function Te(e){let n=1,t=N(e,"opacity");t&&(n=Number(t));let o=v(e);return o&&(n*=Te(o)),n}function ut(e){let n=e.parentNode;if(n&&n.shadowRoot&&e.assignedSlot!==void 0)return e.assignedSlot?e.assignedSlot.parentNode:null;let t=e;if(t.getDestinationInsertionPoints){let o=t.getDestinationInsertionPoints();if(o.length>0)return o[o.length-1]}return n}function ct(e){if(!(e.nodeType===Node.ELEMENT_NODE||e.nodeType===Node.TEXT_NODE))return!1;let t=e;return!!(t.assignedSlot!=null||t.getDestinationInsertionPoints&&t.getDestinationInsertionPoints().length>0)}function ft(e){return e.replace(/-([a-z])/g,(n,t)=>t.toUpperCase())}function Et(e,n){let t=e.ownerDocument.defaultView;if(t?.getComputedStyle){let o=t.getComputedStyle(e,null);if(o)return o[n]||o.getPropertyValue(n)||""}return""}function we(e,n){let t=e.style,o=t[n];if(o===void 0&&typeof t.getPropertyValue=="function"&&(o=t.getPropertyValue(n)),o!=="inherit")return o!==void 0?o:null;let r=v(e);return r?we(r,n):null}function z(e,n,t){if(!m(e))throw new Error("Argument to isShown must be of type Element");if(m(e,"BODY"))return!0;if(m(e,"OPTION")||m(e,"OPTGROUP")){let l=e.parentNode;for(;l&&!m(l,"SELECT");)l=l.parentNode;return!!l&&z(l,!0,t)}let o=Oe(e);if(o)return!!o.image&&o.rect.width>0&&o.rect.height>0&&z(o.image,n,t);if(m(e,"INPUT")&&e.type.toLowerCase()==="hidden"||m(e,"NOSCRIPT"))return!1;let r=N(e,"visibility");if(r==="collapse"||r==="hidden"||!t(e)||!n&&Te(e)===0)return!1;function i(l){let a=w(l);if(a.height>0&&a.width>0)return!0;if(m(l,"PATH")&&(a.height>0||a.width>0)){let p=N(l,"stroke-width");return!!p&&parseInt(p,10)>0}let f=N(l,"visibility");return f==="collapse"||f==="hidden"||!t(l)?!1:N(l,"overflow")!=="hidden"&&[...l.childNodes].some(p=>{if(p.nodeType===Node.TEXT_NODE){let h=p.nodeValue??"";return!(/^[\s]*$/.test(h)&&/[\n\r\t]/.test(h))}return m(p)&&i(p)})}if(!i(e))return!1;function s(l){return q(l)==="hidden"&&[...l.childNodes].every(a=>!m(a)||s(a)||!i(a))}return!s(e)}function Oe(e){let n=m(e,"MAP");if(!n&&!m(e,"AREA"))return null;let t=n?e:e.parentNode&&m(e.parentNode,"MAP")?e.parentNode:null,o=null,r=null,i=t&&t.name;if(t&&i){let s=R(t),l=`*[usemap="#${i}"]`;if(o=K(l,s),o&&(r=w(o),!n&&e.shape.toLowerCase()!=="default")){let a=mt(e),f=Math.min(Math.max(a.left,0),r.width),p=Math.min(Math.max(a.top,0),r.height),h=Math.min(a.width,r.width-f),c=Math.min(a.height,r.height-p);r=new g(f+r.left,p+r.top,h,c)}}return{image:o,rect:r||new g(0,0,0,0)}}function mt(e){let n=e,t=n.shape.toLowerCase(),o=n.coords.split(",");if(t==="rect"&&o.length===4){let r=Number(o[0]),i=Number(o[1]);return new g(r,i,Number(o[2])-r,Number(o[3])-i)}else if(t==="circle"&&o.length===3){let r=Number(o[0]),i=Number(o[1]),s=Number(o[2]);return new g(r-s,i-s,2*s,2*s)}else if(t==="poly"&&o.length>2){let r=Number(o[0]),i=Number(o[1]),s=r,l=i;for(let a=2;a+1<o.length;a+=2)r=Math.min(r,Number(o[a])),s=Math.max(s,Number(o[a])),i=Math.min(i,Number(o[a+1])),l=Math.max(l,Number(o[a+1]));return new g(r,i,s-r,l-i)}return new g(0,0,0,0)}function pe(e){return e.replace(/^[^\S\xa0]+|[^\S\xa0]+$/g,"")}function dt(e){let t=e.map(pe).join(`
-`);return pe(t).replace(/\xa0/g," ")}var pt=new Set(["inline","inline-block","inline-table","none","table-cell","table-column","table-column-group"]);function be(e,n,t,o){function r(){return n[n.length-1]||""}if(m(e,"BR"))n.push("");else{let i=m(e,"TD"),s=N(e,"display"),l=!i&&!pt.has(s),a=e.previousElementSibling,f=a?N(a,"display"):"",p=N(e,"float")||N(e,"cssFloat")||N(e,"styleFloat");l&&!(f==="run-in"&&p==="none")&&!/^[\s\xa0]*$/.test(r())&&n.push("");let c=t(e),d=null,E=null;c&&(d=N(e,"white-space"),E=N(e,"text-transform"));for(let C of e.childNodes)o(C,n,c,d,E);let S=r();(i||s==="table-cell")&&S&&!S.endsWith(" ")&&(n[n.length-1]+=" "),l&&s!=="run-in"&&!/^[\s\xa0]*$/.test(S)&&n.push("")}}function Re(e,n){be(e,n,ge,(t,o,r,i,s)=>{t.nodeType===Node.TEXT_NODE&&r?_e(t,o,i,s):m(t)&&Re(t,o)})}function _e(e,n,t,o){let r=(e.nodeValue??"").replace(/[\u200b\u200e\u200f]/g,"");r=r.replace(/(\r\n|\r|\n)/g,`
-`),(t==="normal"||t==="nowrap")&&(r=r.replace(/\n/g," ")),t==="pre"||t==="pre-wrap"?r=r.replace(/[ \f\t\v\u2028\u2029]/g,"\xA0"):r=r.replace(/[ \f\t\v\u2028\u2029]+/g," "),o==="capitalize"?(r=r.replace(/(^|[^'_0-9A-Za-z\u00C0-\u02AF\u1E00-\u1EFF\u24B6-\u24E9\u0300-\u036F\u1AB0-\u1AFF\u1DC0-\u1DFF])([A-Za-z\u00C0-\u02AF\u1E00-\u1EFF\u24B6-\u24E9])/g,(s,l,a)=>l+a.toUpperCase()),r=r.replace(/(^|[^'_0-9A-Za-z\u00C0-\u02AF\u1E00-\u1EFF\u24B6-\u24E9])([_*])([A-Za-z\u00C0-\u02AF\u1E00-\u1EFF\u24D0-\u24E9])/g,(s,l,a,f)=>l+a+f.toUpperCase())):o==="uppercase"?r=r.toUpperCase():o==="lowercase"&&(r=r.toLowerCase());let i=n.pop()||"";i.endsWith(" ")&&r.startsWith(" ")&&(r=r.substring(1)),n.push(i+r)}function U(e,n,t,o,r){if(e.nodeType===Node.TEXT_NODE&&t)_e(e,n,o,r);else if(m(e)){let i=e;if(m(e,"CONTENT")||m(e,"SLOT")){let s=e;for(;s.parentNode;)s=s.parentNode;if(s instanceof ShadowRoot){let l=e,a=m(e,"CONTENT")?l.getDistributedNodes():l.assignedNodes(),f=a.length>0?a:[...l.childNodes];for(let p of f)U(p,n,t,o,r)}else Z(i,n)}else if(m(e,"SHADOW")){let s=e;for(;s.parentNode;)s=s.parentNode;if(s instanceof ShadowRoot){let l=s.olderShadowRoot;for(;l;){for(let a of l.childNodes)U(a,n,t,o,r);l=l.olderShadowRoot}}}else Z(i,n)}}function Z(e,n){if(e.shadowRoot){let t=N(e,"white-space"),o=N(e,"text-transform");for(let r of e.shadowRoot.childNodes)U(r,n,!0,t,o)}be(e,n,ge,(t,o,r,i,s)=>{ct(t)||U(t,o,r,i,s)})}var Q={single(e,n){return P(e,n,!1)[0]??null},many(e,n){return P(e,n,!1)}},ee={single(e,n){return P(e,n,!0)[0]??null},many(e,n){return P(e,n,!0)}};function P(e,n,t){return[...G("a",n)].filter(r=>{let i=he(r);return i=i.replace(/^[\s]+|[\s]+$/g,""),t&&i.includes(e)||i===e})}var te={};O(te,{many:()=>gt,single:()=>Nt});function Nt(e,n){for(let t of n.getElementsByTagName("*"))if(b(t,"name")===e)return t;return null}function gt(e,n){return[...n.getElementsByTagName("*")].filter(t=>b(t,"name")===e)}var ne={};O(ne,{many:()=>ye,single:()=>wt});var ht={above:Ot,below:bt,left:Rt,near:At,right:_t,straightAbove:yt,straightBelow:St,straightLeft:Lt,straightRight:It},Tt={above:T,below:T,left:T,near:T,right:T,straightAbove:T,straightBelow:T,straightLeft:T,straightRight:T};function wt(e,n){let t=ye(e,n);return t.length===0?null:t[0]}function ye(e,n){if(!Object.prototype.hasOwnProperty.call(e,"root")||!Object.prototype.hasOwnProperty.call(e,"filters"))throw new u(61,`Locator not suitable for relative locators: ${JSON.stringify(e)}`);if(!Array.isArray(e.filters))throw new u(61,`Targets should be an array: ${JSON.stringify(e)}`);let t;return m(e.root)?t=[e.root]:t=oe(e.root,n),t.length===0?[]:Dt(t,e.filters)}function _(e,n){return t=>{let o=T(e),r=w(o),i=w(t);return n(r,i)}}function Ot(e){return _(e,(n,t)=>t.top+t.height<=n.top)}function bt(e){return _(e,(n,t)=>t.top>=n.top+n.height)}function Rt(e){return _(e,(n,t)=>t.left+t.width<=n.left)}function _t(e){return _(e,(n,t)=>t.left>=n.left+n.width)}function yt(e){return _(e,(n,t)=>t.left<n.left+n.width&&t.left+t.width>n.left&&t.top+t.height<=n.top)}function St(e){return _(e,(n,t)=>t.left<n.left+n.width&&t.left+t.width>n.left&&t.top>=n.top+n.height)}function Lt(e){return _(e,(n,t)=>t.top<n.top+n.height&&t.top+t.height>n.top&&t.left+t.width<=n.left)}function It(e){return _(e,(n,t)=>t.top<n.top+n.height&&t.top+t.height>n.top&&t.left>=n.left+n.width)}function At(e,n){let t=n;!t&&typeof e.distance=="number"&&(t=e.distance),t||(t=50);let o=t;return r=>{let i=T(e);if(i===r)return!1;let s=w(i),l=w(r);return new g(s.left-o,s.top-o,s.width+o*2,s.height+o*2).intersects(l)}}function T(e){if(m(e))return e;if(typeof e=="function")return T(e());if(typeof e=="object"&&e!==null||typeof e=="function"){let n=F(e);if(!n)throw new u(7,`No element has been found by ${JSON.stringify(e)}`);return n}throw new u(61,`Selector is of wrong type: ${JSON.stringify(e)}`)}function Dt(e,n){let t=[];for(let l of Array.from(e)){if(!l)continue;n.every(f=>{let p=ht[f.kind];if(!p)throw new u(61,`Cannot find filter suitable for ${f.kind}`);return p(...f.args)(l)})&&t.push(l)}let o=n[n.length-1],r=o?o.kind:"unknown",i=Tt[r];if(!i)return t;let s=i(...o.args);return s?xt(s,t):t}function xt(e,n){let t=w(e),o={x:t.left+Math.max(1,t.width)/2,y:t.top+Math.max(1,t.height)/2};function r(i){let s=w(i),l={x:s.left+Math.max(1,s.width)/2,y:s.top+Math.max(1,s.height)/2},a=Math.pow(o.x-l.x,2),f=Math.pow(o.y-l.y,2);return Math.sqrt(a+f)}return[...n].sort((i,s)=>r(i)-r(s))}var V={};O(V,{many:()=>Mt,single:()=>Ct});function Ct(e,n){if(e==="")throw new u(32,'Unable to locate an element with the tagName ""');return n.getElementsByTagName(e)[0]||null}function Mt(e,n){if(e==="")throw new u(32,'Unable to locate an element with the tagName ""');return n.getElementsByTagName(e)}var re={};O(re,{many:()=>vt,single:()=>kt});function kt(e,n){let t=Se(n,e,9),o=t?t.singleNodeValue:null;return o!==null&&Le(o,e),o}function vt(e,n){let t=Se(n,e,7),o=[];if(t)for(let r=0;r<t.snapshotLength;r++){let i=t.snapshotItem(r);i&&o.push(i)}for(let r of o)Le(r,e);return o}var Ut={svg:"http://www.w3.org/2000/svg"};function Pt(e){return e&&Ut[e]||null}function Se(e,n,t){let o=R(e);if(!o.documentElement)return null;try{let r=new Map,i=o.getElementsByTagName("*");for(let a of i){let f=a.namespaceURI;if(f&&!r.has(f)){let p=a.lookupPrefix(f);if(!p){let h=f.match(/.*\/(\w+)\/?$/);p=h?h[1]:"xhtml"}r.set(f,p)}}let s=new Map;for(let[a,f]of r)s.set(f,a);let l=a=>a&&s.get(a)||null;try{return o.evaluate(n,e,l,t,null)}catch(a){if(a instanceof TypeError)return l=o.createNSResolver?o.createNSResolver(o.documentElement):Pt,o.evaluate(n,e,l,t,null);throw a}}catch(r){throw new u(32,`Unable to locate an element with the xpath expression ${n} because of the following error:
-${r}`)}}function Le(e,n){if(!e||e.nodeType!==Node.ELEMENT_NODE)throw new u(32,`The result of the xpath expression "${n}" is: ${e}. It should be an element.`)}var Ie={className:k,"class name":k,css:L,"css selector":L,relative:ne,id:Y,linkText:Q,"link text":Q,name:te,partialLinkText:ee,"partial link text":ee,tagName:V,"tag name":V,xpath:re};function F(e,n=document){let t=Ae(e);if(t){let o=Ie[t];if(o&&typeof o.single=="function")return o.single(e[t],n)}throw new u(61,`Unsupported locator strategy: ${t}`)}function oe(e,n=document){let t=Ae(e);if(t){let o=Ie[t];if(o&&typeof o.many=="function")return o.many(e[t],n)}throw new u(61,`Unsupported locator strategy: ${t}`)}function Ae(e){for(let n in e)if(Object.prototype.hasOwnProperty.call(e,n))return n;return null}function De(e){return e?A(e.WINDOW):window}function xe(e,n,t,o){return Ft(e,n,F,t,o)}function Ft(e,n,t,o,r){let i={[e]:n},s;try{let l=De(r),a=o?M(o,l.document):l.document,f=t(i,a);s=ue(f)}catch(l){s=ce(l)}return JSON.stringify(s)}return Fe(Vt);})();
+function(){"use strict";var AtomExport=(()=>{var $=Object.defineProperty;var Ye=Object.getOwnPropertyDescriptor;var Je=Object.getOwnPropertyNames;var qe=Object.prototype.hasOwnProperty;var O=(e,t)=>{for(var n in t)$(e,n,{get:t[n],enumerable:!0})},ze=(e,t,n,o)=>{if(t&&typeof t=="object"||typeof t=="function")for(let r of Je(t))!qe.call(e,r)&&r!==n&&$(e,r,{get:()=>t[r],enumerable:!(o=Ye(t,r))||o.enumerable});return e};var Ze=e=>ze($({},"__esModule",{value:!0}),e);var dn={};O(dn,{default:()=>Ge});var Qe={15:"element not selectable",11:"element not visible",31:"unsupported operation",30:"unsupported operation",24:"invalid cookie domain",29:"invalid coordinates",12:"invalid element state",32:"invalid selector",51:"invalid selector",52:"invalid selector",17:"javascript error",405:"unknown method",34:"move target out of bounds",27:"no such alert",7:"no such element",8:"no such frame",23:"no such window",28:"script timeout",33:"session not created",10:"stale element reference",21:"timeout",25:"unable to set cookie",26:"unexpected alert open",13:"unknown error",9:"unknown command"};function G(e){return Qe[e]??"unknown error"}var u=class extends Error{code;state;isAutomationError=!0;constructor(t,n=""){super(n),this.code=t,this.state=G(t);let o=this.state.replace(/(^|\s+)[a-z]/g,i=>i.toUpperCase().trimStart()).replace(/\s+/g,"");this.name=/Error$/.test(o)?o:`${o}Error`;let r=new Error(this.message);r.name=this.name,this.stack=r.stack||""}};var X="ELEMENT",K="element-6066-11e4-a52e-4f735466cecf",Y="WINDOW";function et(e){function t(n,o){if(n==null)return null;switch(typeof n){case"string":case"number":case"boolean":return n;case"function":return n.toString();case"object":break;default:return null}let r=n;if(o.includes(r))throw new u(17,"Recursive object cannot be transferred");if("nodeType"in r&&(r.nodeType===Node.ELEMENT_NODE||r.nodeType===Node.DOCUMENT_NODE||r.nodeType===Node.DOCUMENT_FRAGMENT_NODE&&"host"in r)){let s=pe(r);return{[X]:s,[K]:s}}if("document"in r)return{[Y]:pe(r)};if(Array.isArray(n))return n.map(s=>t(s,o));if(o=[...o,r],ot(n))return Array.from(n).map(s=>t(s,o));let i={};for(let s of Object.keys(r))i[s]=t(r[s],o);return i}return t(e,[])}function U(e,t){if(Array.isArray(e))return e.map(n=>U(n,t));if(nt(e)){if(typeof e=="function")return e;let n=e;if(X in n)return I(n[X],t);if(K in n)return I(n[K],t);if(Y in n)return I(n[Y],t);let o={};for(let r of Object.keys(n))o[r]=U(n[r],t);return o}return e}function Ne(e){return{status:0,value:et(e)}}function he(e){let t="code"in e&&typeof e.code=="number"?e.code:13;return{status:t,value:{message:e.message,error:G(t)}}}var tt=":wdc:";function pe(e){let t=e.ownerDocument,n=J(t);Object.keys(n).length-1>=rt&&it(t||document);let o;for(let r of Object.keys(n))if(n[r]===e){o=r;break}return o||(o=tt+n.nextId++,n[o]=e),o}function I(e,t){e=decodeURIComponent(e);let n=t||document,o=J(n);if(!(e in o))throw new u(10,"Element does not exist in cache");let r=o[e];if(!Te(n,r))return r;throw delete o[e],"setInterval"in r?new u(23,"Window has been closed."):new u(10,"Element is no longer attached to the DOM")}function nt(e){return typeof e=="object"&&e!==null||typeof e=="function"}function ot(e){return Array.isArray(e)?!0:typeof e=="object"&&e!==null&&typeof e.length=="number"}var ge="$wdc_";function J(e){let t=e||document,n=t[ge];return n||(n=t[ge]={},n.nextId=Date.now()),n.nextId||(n.nextId=Date.now()),n}var rt=200;function Te(e,t){if("setInterval"in t)return!!t.closed;let n=t;for(;n;){if(n===e.documentElement)return!1;n.host&&n.nodeType===Node.DOCUMENT_FRAGMENT_NODE&&(n=n.host),n=n.parentNode}return!0}function it(e){let t=J(e);for(let n of Object.keys(t)){let o=t[n];!o||typeof o!="object"||Te(e,o)&&delete t[n]}}var P={};O(P,{many:()=>lt,single:()=>st});function st(e,t){if(!e)throw new u(32,"No class name specified");if(e=e.trim(),e.includes(" "))throw new u(32,"Compound class names not permitted");try{return t.querySelector(`.${e.replace(/\./g,"\\.")}`)||null}catch{throw new u(32,"An invalid or illegal class name was specified")}}function lt(e,t){if(!e)throw new u(32,"No class name specified");if(e=e.trim(),e.includes(" "))throw new u(32,"Compound class names not permitted");try{return t.querySelectorAll(`.${e.replace(/\./g,"\\.")}`)}catch{throw new u(32,"An invalid or illegal class name was specified")}}var L={};O(L,{many:()=>z,single:()=>q});function q(e,t){if(!e)throw new u(32,"No selector specified");e=e.trim();let n;try{n=t.querySelector(e)}catch{throw new u(32,"An invalid or illegal selector was specified")}return n&&n.nodeType===Node.ELEMENT_NODE?n:null}function z(e,t){if(!e)throw new u(32,"No selector specified");e=e.trim();try{return t.querySelectorAll(e)}catch{throw new u(32,"An invalid or illegal selector was specified")}}var Z={};O(Z,{many:()=>ft,single:()=>ct});function m(e,t){if(t=t.toLowerCase(),t==="style")return ut(e.style.cssText);let n=e.getAttributeNode(t);return n&&n.specified?n.value:null}function c(e,t){return e instanceof HTMLFormElement?e.nodeType===Node.ELEMENT_NODE&&(!t||t==="FORM"):!!e&&e.nodeType===Node.ELEMENT_NODE&&(!t||e.tagName.toUpperCase()===t)}function _(e){return e.nodeType===Node.DOCUMENT_NODE?e:e.ownerDocument}var at=/[;]+(?=(?:(?:[^"]*"){2})*[^"]*$)(?=(?:(?:[^']*'){2})*[^']*$)(?=(?:[^()]*\([^()]*\))*[^()]*$)/;function ut(e){let t=e.split(at),n=[];for(let r of t){let i=r.indexOf(":");if(i>0){let s=[r.slice(0,i),r.slice(i+1)];n.push(s[0].toLowerCase(),":",s[1],";")}}let o=n.join("");return o.charAt(o.length-1)===";"?o:`${o};`}function ct(e,t){let n=_(t),o=n.getElementById(e);if(o&&m(o,"id")===e&&t!==o&&t.contains(o))return o;let r=n.getElementsByTagName("*");for(let i of r)if(m(i,"id")===e&&t!==i&&t.contains(i))return i;return null}function ft(e,t){if(!e)return[];if(!/^\d.*/.test(e))try{return[...t.querySelectorAll(`#${Et(e)}`)]}catch{return[]}return[...t.getElementsByTagName("*")].filter(o=>m(o,"id")===e)}function Et(e){return e.replace(/([\s'"\\#.:;,!?+<>=~*^$|%&@`{}\-/[\]()])/g,"\\$1")}var we={aliceblue:"#f0f8ff",antiquewhite:"#faebd7",aqua:"#00ffff",aquamarine:"#7fffd4",azure:"#f0ffff",beige:"#f5f5dc",bisque:"#ffe4c4",black:"#000000",blanchedalmond:"#ffebcd",blue:"#0000ff",blueviolet:"#8a2be2",brown:"#a52a2a",burlywood:"#deb887",cadetblue:"#5f9ea0",chartreuse:"#7fff00",chocolate:"#d2691e",coral:"#ff7f50",cornflowerblue:"#6495ed",cornsilk:"#fff8dc",crimson:"#dc143c",cyan:"#00ffff",darkblue:"#00008b",darkcyan:"#008b8b",darkgoldenrod:"#b8860b",darkgray:"#a9a9a9",darkgreen:"#006400",darkgrey:"#a9a9a9",darkkhaki:"#bdb76b",darkmagenta:"#8b008b",darkolivegreen:"#556b2f",darkorange:"#ff8c00",darkorchid:"#9932cc",darkred:"#8b0000",darksalmon:"#e9967a",darkseagreen:"#8fbc8f",darkslateblue:"#483d8b",darkslategray:"#2f4f4f",darkslategrey:"#2f4f4f",darkturquoise:"#00ced1",darkviolet:"#9400d3",deeppink:"#ff1493",deepskyblue:"#00bfff",dimgray:"#696969",dimgrey:"#696969",dodgerblue:"#1e90ff",firebrick:"#b22222",floralwhite:"#fffaf0",forestgreen:"#228b22",fuchsia:"#ff00ff",gainsboro:"#dcdcdc",ghostwhite:"#f8f8ff",gold:"#ffd700",goldenrod:"#daa520",gray:"#808080",green:"#008000",greenyellow:"#adff2f",grey:"#808080",honeydew:"#f0fff0",hotpink:"#ff69b4",indianred:"#cd5c5c",indigo:"#4b0082",ivory:"#fffff0",khaki:"#f0e68c",lavender:"#e6e6fa",lavenderblush:"#fff0f5",lawngreen:"#7cfc00",lemonchiffon:"#fffacd",lightblue:"#add8e6",lightcoral:"#f08080",lightcyan:"#e0ffff",lightgoldenrodyellow:"#fafad2",lightgray:"#d3d3d3",lightgreen:"#90ee90",lightgrey:"#d3d3d3",lightpink:"#ffb6c1",lightsalmon:"#ffa07a",lightseagreen:"#20b2aa",lightskyblue:"#87cefa",lightslategray:"#778899",lightslategrey:"#778899",lightsteelblue:"#b0c4de",lightyellow:"#ffffe0",lime:"#00ff00",limegreen:"#32cd32",linen:"#faf0e6",magenta:"#ff00ff",maroon:"#800000",mediumaquamarine:"#66cdaa",mediumblue:"#0000cd",mediumorchid:"#ba55d3",mediumpurple:"#9370db",mediumseagreen:"#3cb371",mediumslateblue:"#7b68ee",mediumspringgreen:"#00fa9a",mediumturquoise:"#48d1cc",mediumvioletred:"#c71585",midnightblue:"#191970",mintcream:"#f5fffa",mistyrose:"#ffe4e1",moccasin:"#ffe4b5",navajowhite:"#ffdead",navy:"#000080",oldlace:"#fdf5e6",olive:"#808000",olivedrab:"#6b8e23",orange:"#ffa500",orangered:"#ff4500",orchid:"#da70d6",palegoldenrod:"#eee8aa",palegreen:"#98fb98",paleturquoise:"#afeeee",palevioletred:"#db7093",papayawhip:"#ffefd5",peachpuff:"#ffdab9",peru:"#cd853f",pink:"#ffc0cb",plum:"#dda0dd",powderblue:"#b0e0e6",purple:"#800080",red:"#ff0000",rosybrown:"#bc8f8f",royalblue:"#4169e1",saddlebrown:"#8b4513",salmon:"#fa8072",sandybrown:"#f4a460",seagreen:"#2e8b57",seashell:"#fff5ee",sienna:"#a0522d",silver:"#c0c0c0",skyblue:"#87ceeb",slateblue:"#6a5acd",slategray:"#708090",slategrey:"#708090",snow:"#fffafa",springgreen:"#00ff7f",steelblue:"#4682b4",tan:"#d2b48c",teal:"#008080",thistle:"#d8bfd8",tomato:"#ff6347",turquoise:"#40e0d0",violet:"#ee82ee",wheat:"#f5deb3",white:"#ffffff",whitesmoke:"#f5f5f5",yellow:"#ffff00",yellowgreen:"#9acd32"};var dt=new Set(["backgroundColor","borderTopColor","borderRightColor","borderBottomColor","borderLeftColor","color","outlineColor"]),mt=/#([0-9a-fA-F])([0-9a-fA-F])([0-9a-fA-F])/,pt=/^#(?:[0-9a-f]{3}){1,2}$/i,gt=/^(?:rgba)?\((\d{1,3}),\s?(\d{1,3}),\s?(\d{1,3}),\s?(0|1|0\.\d*)\)$/i,Nt=/^(?:rgb)?\((0|[1-9]\d{0,2}),\s?(0|[1-9]\d{0,2}),\s?(0|[1-9]\d{0,2})\)$/i;function Oe(e,t){if(!dt.has(e))return t;let n=Tt(t)||bt(t)||ht(t);return n?`rgba(${n.join(", ")})`:t}function ht(e){e=e.toLowerCase();let t=we[e];if(!t&&(t=e.charAt(0)==="#"?e:`#${e}`,t.length===4&&(t=t.replace(mt,"#$1$1$2$2$3$3")),!pt.test(t)))return null;let n=parseInt(t.substring(1,3),16),o=parseInt(t.substring(3,5),16),r=parseInt(t.substring(5,7),16);return[n,o,r,1]}function Tt(e){let t=e.match(gt);if(t){let n=Number(t[1]),o=Number(t[2]),r=Number(t[3]),i=Number(t[4]);if(n>=0&&n<=255&&o>=0&&o<=255&&r>=0&&r<=255&&i>=0&&i<=1)return[n,o,r,i]}return null}function bt(e){let t=e.match(Nt);if(t){let n=Number(t[1]),o=Number(t[2]),r=Number(t[3]);if(n>=0&&n<=255&&o>=0&&o<=255&&r>=0&&r<=255)return[n,o,r,1]}return null}var D=class{x;y;constructor(t=0,n=0){this.x=t,this.y=n}};var Q=class{top;right;bottom;left;constructor(t,n,o,r){this.top=t,this.right=n,this.bottom=o,this.left=r}},h=class e{left;top;width;height;constructor(t,n,o,r){this.left=t,this.top=n,this.width=o,this.height=r}toBox(){let t=this.left+this.width,n=this.top+this.height;return new Q(this.top,t,n,this.left)}intersects(t){return e.intersects(this,t)}static intersects(t,n){return t.left<=n.left+n.width&&n.left<=t.left+t.width&&t.top<=n.top+n.height&&n.top<=t.top+t.height}};function C(e,t,n){return Math.min(Math.max(e,t),n)}var x=typeof ShadowRoot=="function";function F(e){let t=e.parentNode;for(;t&&t.nodeType!==Node.ELEMENT_NODE&&t.nodeType!==Node.DOCUMENT_NODE&&t.nodeType!==Node.DOCUMENT_FRAGMENT_NODE;)t=t.parentNode;return t&&c(t)?t:null}function p(e,t){let n=_t(t);(n==="float"||n==="cssFloat"||n==="styleFloat")&&(n="cssFloat");let o=St(e,n)||Le(e,n);return o===null?null:Oe(n,o)}function _e(e,t=!1){function n(o){if(c(o)){let i=o;if(p(i,"display")==="none"||p(i,"content-visibility")==="hidden")return!1}let r=oe(o);if(x&&r instanceof ShadowRoot){if(r.host.shadowRoot&&r.host.shadowRoot!==r)return!1;r=r.host}return r&&(r.nodeType===Node.DOCUMENT_NODE||r.nodeType===Node.DOCUMENT_FRAGMENT_NODE)?!0:r&&c(r,"DETAILS")&&!r.open&&!c(o,"SUMMARY")?!1:!!r&&n(r)}return te(e,t,n)}function wt(e){let t=e.scrollingElement||e.documentElement,n=e.defaultView;return new D(n.pageXOffset||t.scrollLeft,n.pageYOffset||t.scrollTop)}function ee(e,t){let n=Ot(e,t),o=_(e),r=o.documentElement,i=o.body,s=p(r,"overflow"),l=!1;function a(E,g){if(E===r)return!0;let d=p(E,"display");return!(d?.startsWith("inline")||d==="contents"||g==="absolute"&&p(E,"position")==="static")}function f(E){let g=p(E,"position");if(g==="fixed")return l=!0,E===r?null:r;let d=F(E);for(;d&&!a(d,g);)d=F(d);return d}function N(E){let g=E;if(s==="visible"){if(E===r&&i)g=i;else if(E===i)return{x:"visible",y:"visible"}}let d={x:p(g,"overflow-x")??"",y:p(g,"overflow-y")??""};return E===r&&(d.x=d.x==="visible"?"auto":d.x,d.y=d.y==="visible"?"auto":d.y),d}function T(E){return E===r?wt(o):new D(E.scrollLeft,E.scrollTop)}for(let E=f(e);E;E=f(E)){let g=N(E);if(g.x==="visible"&&g.y==="visible")continue;let d=w(E);if(d.width===0||d.height===0)return"hidden";let y=n.right<d.left,v=n.bottom<d.top;if(y&&g.x==="hidden"||v&&g.y==="hidden")return"hidden";if(y&&g.x!=="visible"||v&&g.y!=="visible"){let A=T(E),Xe=n.right<d.left-A.x,Ke=n.bottom<d.top-A.y;return Xe&&g.x!=="visible"||Ke&&g.y!=="visible"||ee(E)==="hidden"?"hidden":"scroll"}let de=n.left>=d.left+d.width,me=n.top>=d.top+d.height;if(de&&g.x==="hidden"||me&&g.y==="hidden")return"hidden";if(de&&g.x!=="visible"||me&&g.y!=="visible"){if(l){let A=T(E);if(n.left>=r.scrollWidth-A.x||n.top>=r.scrollHeight-A.y)return"hidden"}return ee(E)==="hidden"?"hidden":"scroll"}}return"none"}function w(e){let t=Ae(e);if(t)return t.rect;if(c(e,"HTML")){let o=_(e),r=o.defaultView,i=o.compatMode==="CSS1Compat"?o.documentElement:o.body;return new h(0,0,i.clientWidth||r.innerWidth,i.clientHeight||r.innerHeight)}let n;try{n=e.getBoundingClientRect()}catch{return new h(0,0,0,0)}return new h(n.left,n.top,n.right-n.left,n.bottom-n.top)}function Ot(e,t){let n=w(e).toBox();if(t){let o=t instanceof h?t:new h(t.x,t.y,1,1);n.left=C(n.left+o.left,n.left,n.right),n.top=C(n.top+o.top,n.top,n.bottom),n.right=C(n.left+o.width,n.left,n.right),n.bottom=C(n.top+o.height,n.top,n.bottom)}return n}function Se(e){let t=[];return x?ne(e,t):De(e,t),Lt(t)}function ye(e){let t=1,n=p(e,"opacity");n&&(t=Number(n));let o=F(e);return o&&(t*=ye(o)),t}function oe(e){let t=e.parentNode;if(t&&t.shadowRoot&&e.assignedSlot!==void 0)return e.assignedSlot?e.assignedSlot.parentNode:null;let n=e;if(n.getDestinationInsertionPoints){let o=n.getDestinationInsertionPoints();if(o.length>0)return o[o.length-1]}return t}function Rt(e){if(!(e.nodeType===Node.ELEMENT_NODE||e.nodeType===Node.TEXT_NODE))return!1;let n=e;return!!(n.assignedSlot!=null||n.getDestinationInsertionPoints&&n.getDestinationInsertionPoints().length>0)}function _t(e){return e.replace(/-([a-z])/g,(t,n)=>n.toUpperCase())}function St(e,t){let n=e.ownerDocument.defaultView;if(n?.getComputedStyle){let o=n.getComputedStyle(e,null);if(o)return o[t]||o.getPropertyValue(t)||""}return""}function Le(e,t){let n=e.style,o=n[t];if(o===void 0&&typeof n.getPropertyValue=="function"&&(o=n.getPropertyValue(t)),o!=="inherit")return o!==void 0?o:null;let r=F(e);return r?Le(r,t):null}function te(e,t,n){if(!c(e))throw new Error("Argument to isShown must be of type Element");if(c(e,"BODY"))return!0;if(c(e,"OPTION")||c(e,"OPTGROUP")){let l=e.parentNode;for(;l&&!c(l,"SELECT");)l=l.parentNode;return!!l&&te(l,!0,n)}let o=Ae(e);if(o)return!!o.image&&o.rect.width>0&&o.rect.height>0&&te(o.image,t,n);if(c(e,"INPUT")&&e.type.toLowerCase()==="hidden"||c(e,"NOSCRIPT"))return!1;let r=p(e,"visibility");if(r==="collapse"||r==="hidden"||!n(e)||!t&&ye(e)===0)return!1;function i(l){let a=w(l);if(a.height>0&&a.width>0)return!0;if(c(l,"PATH")&&(a.height>0||a.width>0)){let N=p(l,"stroke-width");return!!N&&parseInt(N,10)>0}let f=p(l,"visibility");return f==="collapse"||f==="hidden"||!n(l)?!1:p(l,"overflow")!=="hidden"&&[...l.childNodes].some(N=>{if(N.nodeType===Node.TEXT_NODE){let T=N.nodeValue??"";return!(/^[\s]*$/.test(T)&&/[\n\r\t]/.test(T))}return c(N)&&i(N)})}if(!i(e))return!1;function s(l){return ee(l)==="hidden"&&[...l.childNodes].every(a=>!c(a)||s(a)||!i(a))}return!s(e)}function Ae(e){let t=c(e,"MAP");if(!t&&!c(e,"AREA"))return null;let n=t?e:e.parentNode&&c(e.parentNode,"MAP")?e.parentNode:null,o=null,r=null,i=n&&n.name;if(n&&i){let s=_(n),l=`*[usemap="#${i}"]`;if(o=q(l,s),o&&(r=w(o),!t&&e.shape.toLowerCase()!=="default")){let a=yt(e),f=Math.min(Math.max(a.left,0),r.width),N=Math.min(Math.max(a.top,0),r.height),T=Math.min(a.width,r.width-f),E=Math.min(a.height,r.height-N);r=new h(f+r.left,N+r.top,T,E)}}return{image:o,rect:r||new h(0,0,0,0)}}function yt(e){let t=e,n=t.shape.toLowerCase(),o=t.coords.split(",");if(n==="rect"&&o.length===4){let r=Number(o[0]),i=Number(o[1]);return new h(r,i,Number(o[2])-r,Number(o[3])-i)}else if(n==="circle"&&o.length===3){let r=Number(o[0]),i=Number(o[1]),s=Number(o[2]);return new h(r-s,i-s,2*s,2*s)}else if(n==="poly"&&o.length>2){let r=Number(o[0]),i=Number(o[1]),s=r,l=i;for(let a=2;a+1<o.length;a+=2)r=Math.min(r,Number(o[a])),s=Math.max(s,Number(o[a])),i=Math.min(i,Number(o[a+1])),l=Math.max(l,Number(o[a+1]));return new h(r,i,s-r,l-i)}return new h(0,0,0,0)}function Re(e){return e.replace(/^[^\S\xa0]+|[^\S\xa0]+$/g,"")}function Lt(e){let n=e.map(Re).join(`
+`);return Re(n).replace(/\xa0/g," ")}var At=new Set(["inline","inline-block","inline-table","none","table-cell","table-column","table-column-group"]);function Ie(e,t,n,o){function r(){return t[t.length-1]||""}if(c(e,"BR"))t.push("");else{let i=c(e,"TD"),s=p(e,"display"),l=!i&&!At.has(s),a=e.previousElementSibling,f=a?p(a,"display"):"",N=p(e,"float")||p(e,"cssFloat")||p(e,"styleFloat");l&&!(f==="run-in"&&N==="none")&&!/^[\s\xa0]*$/.test(r())&&t.push("");let E=n(e),g=null,d=null;E&&(g=p(e,"white-space"),d=p(e,"text-transform"));for(let v of e.childNodes)o(v,t,E,g,d);let y=r();(i||s==="table-cell")&&y&&!y.endsWith(" ")&&(t[t.length-1]+=" "),l&&s!=="run-in"&&!/^[\s\xa0]*$/.test(y)&&t.push("")}}function De(e,t){Ie(e,t,_e,(n,o,r,i,s)=>{n.nodeType===Node.TEXT_NODE&&r?Ce(n,o,i,s):c(n)&&De(n,o)})}function Ce(e,t,n,o){let r=(e.nodeValue??"").replace(/[\u200b\u200e\u200f]/g,"");r=r.replace(/(\r\n|\r|\n)/g,`
+`),(n==="normal"||n==="nowrap")&&(r=r.replace(/\n/g," ")),n==="pre"||n==="pre-wrap"?r=r.replace(/[ \f\t\v\u2028\u2029]/g,"\xA0"):r=r.replace(/[ \f\t\v\u2028\u2029]+/g," "),o==="capitalize"?(r=r.replace(/(^|[^'_0-9A-Za-z\u00C0-\u02AF\u1E00-\u1EFF\u24B6-\u24E9\u0300-\u036F\u1AB0-\u1AFF\u1DC0-\u1DFF])([A-Za-z\u00C0-\u02AF\u1E00-\u1EFF\u24B6-\u24E9])/g,(s,l,a)=>l+a.toUpperCase()),r=r.replace(/(^|[^'_0-9A-Za-z\u00C0-\u02AF\u1E00-\u1EFF\u24B6-\u24E9])([_*])([A-Za-z\u00C0-\u02AF\u1E00-\u1EFF\u24D0-\u24E9])/g,(s,l,a,f)=>l+a+f.toUpperCase())):o==="uppercase"?r=r.toUpperCase():o==="lowercase"&&(r=r.toLowerCase());let i=t.pop()||"";i.endsWith(" ")&&r.startsWith(" ")&&(r=r.substring(1)),t.push(i+r)}function H(e,t,n,o,r){if(e.nodeType===Node.TEXT_NODE&&n)Ce(e,t,o,r);else if(c(e)){let i=e;if(c(e,"CONTENT")||c(e,"SLOT")){let s=e;for(;s.parentNode;)s=s.parentNode;if(s instanceof ShadowRoot){let l=e,a=c(e,"CONTENT")?l.getDistributedNodes():l.assignedNodes(),f=a.length>0?a:[...l.childNodes];for(let N of f)H(N,t,n,o,r)}else ne(i,t)}else if(c(e,"SHADOW")){let s=e;for(;s.parentNode;)s=s.parentNode;if(s instanceof ShadowRoot){let l=s.olderShadowRoot;for(;l;){for(let a of l.childNodes)H(a,t,n,o,r);l=l.olderShadowRoot}}}else ne(i,t)}}function ne(e,t){if(e.shadowRoot){let n=p(e,"white-space"),o=p(e,"text-transform");for(let r of e.shadowRoot.childNodes)H(r,t,!0,n,o)}Ie(e,t,_e,(n,o,r,i,s)=>{Rt(n)||H(n,o,r,i,s)})}var re={single(e,t){return V(e,t,!1)[0]??null},many(e,t){return V(e,t,!1)}},ie={single(e,t){return V(e,t,!0)[0]??null},many(e,t){return V(e,t,!0)}};function V(e,t,n){return[...z("a",t)].filter(r=>{let i=Se(r);return i=i.replace(/^[\s]+|[\s]+$/g,""),n&&i.includes(e)||i===e})}var se={};O(se,{many:()=>Dt,single:()=>It});function It(e,t){for(let n of t.getElementsByTagName("*"))if(m(n,"name")===e)return n;return null}function Dt(e,t){return[...t.getElementsByTagName("*")].filter(n=>m(n,"name")===e)}var le={};O(le,{many:()=>xe,single:()=>Mt});var Ct={above:kt,below:vt,left:Ut,near:Wt,right:Pt,straightAbove:Ft,straightBelow:Ht,straightLeft:Vt,straightRight:Bt},xt={above:b,below:b,left:b,near:b,right:b,straightAbove:b,straightBelow:b,straightLeft:b,straightRight:b};function Mt(e,t){let n=xe(e,t);return n.length===0?null:n[0]}function xe(e,t){if(!Object.prototype.hasOwnProperty.call(e,"root")||!Object.prototype.hasOwnProperty.call(e,"filters"))throw new u(61,`Locator not suitable for relative locators: ${JSON.stringify(e)}`);if(!Array.isArray(e.filters))throw new u(61,`Targets should be an array: ${JSON.stringify(e)}`);let n;return c(e.root)?n=[e.root]:n=ae(e.root,t),n.length===0?[]:jt(n,e.filters)}function S(e,t){return n=>{let o=b(e),r=w(o),i=w(n);return t(r,i)}}function kt(e){return S(e,(t,n)=>n.top+n.height<=t.top)}function vt(e){return S(e,(t,n)=>n.top>=t.top+t.height)}function Ut(e){return S(e,(t,n)=>n.left+n.width<=t.left)}function Pt(e){return S(e,(t,n)=>n.left>=t.left+t.width)}function Ft(e){return S(e,(t,n)=>n.left<t.left+t.width&&n.left+n.width>t.left&&n.top+n.height<=t.top)}function Ht(e){return S(e,(t,n)=>n.left<t.left+t.width&&n.left+n.width>t.left&&n.top>=t.top+t.height)}function Vt(e){return S(e,(t,n)=>n.top<t.top+t.height&&n.top+n.height>t.top&&n.left+n.width<=t.left)}function Bt(e){return S(e,(t,n)=>n.top<t.top+t.height&&n.top+n.height>t.top&&n.left>=t.left+t.width)}function Wt(e,t){let n=t;!n&&typeof e.distance=="number"&&(n=e.distance),n||(n=50);let o=n;return r=>{let i=b(e);if(i===r)return!1;let s=w(i),l=w(r);return new h(s.left-o,s.top-o,s.width+o*2,s.height+o*2).intersects(l)}}function b(e){if(c(e))return e;if(typeof e=="function")return b(e());if(typeof e=="object"&&e!==null||typeof e=="function"){let t=B(e);if(!t)throw new u(7,`No element has been found by ${JSON.stringify(e)}`);return t}throw new u(61,`Selector is of wrong type: ${JSON.stringify(e)}`)}function jt(e,t){let n=[];for(let l of Array.from(e)){if(!l)continue;t.every(f=>{let N=Ct[f.kind];if(!N)throw new u(61,`Cannot find filter suitable for ${f.kind}`);return N(...f.args)(l)})&&n.push(l)}let o=t[t.length-1],r=o?o.kind:"unknown",i=xt[r];if(!i)return n;let s=i(...o.args);return s?$t(s,n):n}function $t(e,t){let n=w(e),o={x:n.left+Math.max(1,n.width)/2,y:n.top+Math.max(1,n.height)/2};function r(i){let s=w(i),l={x:s.left+Math.max(1,s.width)/2,y:s.top+Math.max(1,s.height)/2},a=Math.pow(o.x-l.x,2),f=Math.pow(o.y-l.y,2);return Math.sqrt(a+f)}return[...t].sort((i,s)=>r(i)-r(s))}var fe={};O(fe,{many:()=>on,single:()=>nn});var Gt={ARTICLE:"article",ASIDE:"complementary",BUTTON:"button",DATALIST:"listbox",DD:"definition",DETAILS:"group",DIALOG:"dialog",DT:"term",FIELDSET:"group",FIGURE:"figure",FORM:"form",H1:"heading",H2:"heading",H3:"heading",H4:"heading",H5:"heading",H6:"heading",HR:"separator",LI:"listitem",MAIN:"main",MENU:"list",METER:"meter",NAV:"navigation",OL:"list",OPTION:"option",OUTPUT:"status",P:"paragraph",PROGRESS:"progressbar",TABLE:"table",TBODY:"rowgroup",TD:"cell",TEXTAREA:"textbox",TFOOT:"rowgroup",THEAD:"rowgroup",TR:"row",UL:"list"},Me={button:"button",checkbox:"checkbox",color:null,file:null,hidden:null,image:"button",number:"spinbutton",radio:"radio",range:"slider",reset:"button",search:"searchbox",submit:"button"},Xt=new Set(["button","cell","checkbox","columnheader","gridcell","heading","link","menuitem","menuitemcheckbox","menuitemradio","option","radio","row","rowheader","switch","tab","tooltip","treeitem"]),Kt=new Set(["meter","progressbar","scrollbar","slider","spinbutton"]),ke="article, aside, main, nav, section";function ue(e){let t=(m(e,"role")??"").trim().toLowerCase().split(/\s+/)[0];if(t)return t;let n=e.tagName.toUpperCase();switch(n){case"A":case"AREA":return e.hasAttribute("href")?"link":null;case"HEADER":return e.parentElement?.closest(ke)?null:"banner";case"FOOTER":return e.parentElement?.closest(ke)?null:"contentinfo";case"IMG":return m(e,"alt")===""?"presentation":"img";case"INPUT":{let o=(m(e,"type")??"text").toLowerCase();return o in Me?Me[o]:e.hasAttribute("list")?"combobox":"textbox"}case"SECTION":return e.hasAttribute("aria-label")||e.hasAttribute("aria-labelledby")?"region":null;case"SELECT":{let o=e;return o.multiple||o.size>1?"listbox":"combobox"}case"TH":return m(e,"scope")?.toLowerCase()==="row"?"rowheader":"columnheader";default:return Gt[n]??null}}function ce(e){for(let n=e;n;n=Zt(n))if(c(n)){let o=n;if(m(o,"aria-hidden")==="true"||p(o,"display")==="none")return!0}let t=p(e,"visibility");return t==="hidden"||t==="collapse"}function Ue(e){return Qt(M(e,{visited:new Set,inLabelledBy:!1,embedded:!1}))}function M(e,t){if(t.visited.has(e))return"";t.visited.add(e);try{if(!t.inLabelledBy&&ce(e))return"";if(!t.inLabelledBy){let r=(m(e,"aria-labelledby")??"").split(/\s+/).filter(Boolean),i=e.getRootNode(),s=r.map(l=>i.getElementById(l)).filter(l=>!!l).map(l=>M(l,{...t,inLabelledBy:!0,embedded:!0})).join(" ");if(s.trim())return s}let n=ue(e);if(t.embedded&&n){let r=Yt(e,n);if(r!==null)return r}let o=(m(e,"aria-label")??"").trim();if(o)return o;if(n!=="presentation"&&n!=="none"){let r=Jt(e,t);if(r.trim())return r}if(t.embedded||Xt.has(n??"")){let r=qt(e,t);if(r.trim())return r}return m(e,"title")??m(e,"placeholder")??""}finally{t.visited.delete(e)}}function Yt(e,t){return t==="textbox"?c(e,"INPUT")||c(e,"TEXTAREA")?e.value:e.textContent??"":t==="combobox"||t==="listbox"?c(e,"SELECT")?[...e.selectedOptions].map(n=>n.text).join(" "):c(e,"INPUT")?e.value:null:Kt.has(t)?m(e,"aria-valuetext")??m(e,"aria-valuenow")??e.value??null:null}function Jt(e,t){let n=o=>{let r=[...e.children].find(i=>c(i,o));return r?M(r,{...t,embedded:!0}):""};switch(e.tagName.toUpperCase()){case"INPUT":{let o=(m(e,"type")??"text").toLowerCase();return o==="submit"||o==="reset"?m(e,"value")??(o==="submit"?"Submit":"Reset"):o==="button"?m(e,"value")??"":o==="image"?m(e,"alt")??m(e,"value")??"Submit":ve(e,t)}case"SELECT":case"TEXTAREA":case"METER":case"PROGRESS":case"OUTPUT":case"BUTTON":return ve(e,t);case"IMG":case"AREA":return m(e,"alt")??"";case"FIELDSET":return n("LEGEND");case"FIGURE":return n("FIGCAPTION");case"TABLE":return n("CAPTION");default:return e.namespaceURI==="http://www.w3.org/2000/svg"?[...e.children].find(o=>o.localName==="title")?.textContent??"":""}}function ve(e,t){return[...e.labels??[]].map(o=>M(o,{...t,embedded:!0})).join(" ")}function qt(e,t){let n={...t,embedded:!0};return zt(e).map(o=>{if(o.nodeType===Node.TEXT_NODE)return o.textContent??"";if(!c(o))return"";let r=M(o,n);return p(o,"display")==="inline"?r:` ${r} `}).join("")}function zt(e){if(x&&e.shadowRoot)return[...e.shadowRoot.childNodes];if(c(e,"SLOT")){let t=e.assignedNodes({flatten:!0});if(t.length)return t}return[...e.childNodes]}function Zt(e){let t=oe(e);return x&&t instanceof ShadowRoot?t.host:t}function Qt(e){return e.replace(/\s+/g," ").trim()}var k={};O(k,{many:()=>W,single:()=>en});function en(e,t){return Pe(e,t,!0)[0]??null}function W(e,t){return Pe(e,t,!1)}function Pe(e,t,n){if(!e)throw new u(32,"No selector specified");let o=e.trim(),r=t.nodeType===Node.DOCUMENT_NODE?t:t.ownerDocument;try{r.createDocumentFragment().querySelector(o)}catch{throw new u(32,"An invalid or illegal selector was specified")}let i=[],s=a=>{for(let f of a.querySelectorAll("*"))if(f.matches(o)&&(i.push(f),n)||f.shadowRoot&&s(f.shadowRoot))return!0;return!1},l=t.shadowRoot;return l&&s(l)||s(t),i}var tn=/^\s*([a-z-]+)\s*(?:\[\s*name\s*(\*?=)\s*(?:"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)')\s*(i)?\s*\])?\s*$/i;function nn(e,t){let n=Fe(e);return W("*",t).find(o=>He(o,n))??null}function on(e,t){let n=Fe(e);return W("*",t).filter(o=>He(o,n))}function Fe(e){let t=tn.exec(e??"");if(!t)throw new u(32,`Invalid role selector '${e}'. Expected a role like 'button' or 'button[name="Sign in"]'`);let[,n,o,r,i,s]=t,l=r??i;return{role:n.toLowerCase(),name:l===void 0?void 0:rn(l.replace(/\\(.)/g,"$1")),partial:o==="*=",ignoreCase:!!s}}function He(e,{role:t,name:n,partial:o,ignoreCase:r}){if(ue(e)!==t||ce(e))return!1;if(n===void 0)return!0;let i=Ue(e),s=n;return r&&(i=i.toLowerCase(),s=s.toLowerCase()),o?i.includes(s):i===s}function rn(e){return e.replace(/\s+/g," ").trim()}var j={};O(j,{many:()=>ln,single:()=>sn});function sn(e,t){if(e==="")throw new u(32,'Unable to locate an element with the tagName ""');return t.getElementsByTagName(e)[0]||null}function ln(e,t){if(e==="")throw new u(32,'Unable to locate an element with the tagName ""');return t.getElementsByTagName(e)}var Ee={};O(Ee,{many:()=>un,single:()=>an});function an(e,t){let n=Ve(t,e,9),o=n?n.singleNodeValue:null;return o!==null&&Be(o,e),o}function un(e,t){let n=Ve(t,e,7),o=[];if(n)for(let r=0;r<n.snapshotLength;r++){let i=n.snapshotItem(r);i&&o.push(i)}for(let r of o)Be(r,e);return o}var cn={svg:"http://www.w3.org/2000/svg"};function fn(e){return e&&cn[e]||null}function Ve(e,t,n){let o=_(e);if(!o.documentElement)return null;try{let r=new Map,i=o.getElementsByTagName("*");for(let a of i){let f=a.namespaceURI;if(f&&!r.has(f)){let N=a.lookupPrefix(f);if(!N){let T=f.match(/.*\/(\w+)\/?$/);N=T?T[1]:"xhtml"}r.set(f,N)}}let s=new Map;for(let[a,f]of r)s.set(f,a);let l=a=>a&&s.get(a)||null;try{return o.evaluate(t,e,l,n,null)}catch(a){if(a instanceof TypeError)return l=o.createNSResolver?o.createNSResolver(o.documentElement):fn,o.evaluate(t,e,l,n,null);throw a}}catch(r){throw new u(32,`Unable to locate an element with the xpath expression ${t} because of the following error:
+${r}`)}}function Be(e,t){if(!e||e.nodeType!==Node.ELEMENT_NODE)throw new u(32,`The result of the xpath expression "${t}" is: ${e}. It should be an element.`)}var We={className:P,"class name":P,css:L,"css selector":L,relative:le,role:fe,shadowCss:k,"shadow css selector":k,id:Z,linkText:re,"link text":re,name:se,partialLinkText:ie,"partial link text":ie,tagName:j,"tag name":j,xpath:Ee};function B(e,t=document){let n=je(e);if(n){let o=We[n];if(o&&typeof o.single=="function")return o.single(e[n],t)}throw new u(61,`Unsupported locator strategy: ${n}`)}function ae(e,t=document){let n=je(e);if(n){let o=We[n];if(o&&typeof o.many=="function")return o.many(e[n],t)}throw new u(61,`Unsupported locator strategy: ${n}`)}function je(e){for(let t in e)if(Object.prototype.hasOwnProperty.call(e,t))return t;return null}function $e(e){return e?I(e.WINDOW):window}function Ge(e,t,n,o){return En(e,t,B,n,o)}function En(e,t,n,o,r){let i={[e]:t},s;try{let l=$e(r),a=o?U(o,l.document):l.document,f=n(i,a);s=Ne(f)}catch(l){s=he(l)}return JSON.stringify(s)}return Ze(dn);})();
 
 return AtomExport.default.apply(null,arguments);}
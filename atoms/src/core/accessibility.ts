@@ -0,0 +1,339 @@
+import {getAttribute, isElement} from './dom-core.js';
+import {getEffectiveStyle, getParentNodeInComposedDom, IS_SHADOW_DOM_ENABLED} from './dom.js';
+
+/** Implicit roles of the elements whose role does not depend on their attributes or context. */
+const TAG_ROLES: Record<string, string> = {
+  ARTICLE: 'article',
+  ASIDE: 'complementary',
+  BUTTON: 'button',
+  DATALIST: 'listbox',
+  DD: 'definition',
+  DETAILS: 'group',
+  DIALOG: 'dialog',
+  DT: 'term',
+  FIELDSET: 'group',
+  FIGURE: 'figure',
+  FORM: 'form',
+  H1: 'heading',
+  H2: 'heading',
+  H3: 'heading',
+  H4: 'heading',
+  H5: 'heading',
+  H6: 'heading',
+  HR: 'separator',
+  LI: 'listitem',
+  MAIN: 'main',
+  MENU: 'list',
+  METER: 'meter',
+  NAV: 'navigation',
+  OL: 'list',
+  OPTION: 'option',
+  OUTPUT: 'status',
+  P: 'paragraph',
+  PROGRESS: 'progressbar',
+  TABLE: 'table',
+  TBODY: 'rowgroup',
+  TD: 'cell',
+  TEXTAREA: 'textbox',
+  TFOOT: 'rowgroup',
+  THEAD: 'rowgroup',
+  TR: 'row',
+  UL: 'list',
+};
+
+/** Implicit roles of `input` elements, by type. Other types are text fields. */
+const INPUT_TYPE_ROLES: Record<string, string | null> = {
+  button: 'button',
+  checkbox: 'checkbox',
+  color: null,
+  file: null,
+  hidden: null,
+  image: 'button',
+  number: 'spinbutton',
+  radio: 'radio',
+  range: 'slider',
+  reset: 'button',
+  search: 'searchbox',
+  submit: 'button',
+};
+
+/** Roles which take their accessible name from their content. */
+const NAME_FROM_CONTENT_ROLES = new Set([
+  'button',
+  'cell',
+  'checkbox',
+  'columnheader',
+  'gridcell',
+  'heading',
+  'link',
+  'menuitem',
+  'menuitemcheckbox',
+  'menuitemradio',
+  'option',
+  'radio',
+  'row',
+  'rowheader',
+  'switch',
+  'tab',
+  'tooltip',
+  'treeitem',
+]);
+
+const RANGE_ROLES = new Set(['meter', 'progressbar', 'scrollbar', 'slider', 'spinbutton']);
+
+/** The ancestors which make `header` and `footer` elements lose their landmark role. */
+const SECTIONING_SELECTOR = 'article, aside, main, nav, section';
+
+interface NameContext {
+  /** Elements whose name is being computed, to stop at reference cycles */
+  visited: Set<Element>;
+  /** Whether the element is referenced by `aria-labelledby`, which includes hidden content */
+  inLabelledBy: boolean;
+  /** Whether the element is part of the label or the content of another element */
+  embedded: boolean;
+}
+
+/**
+ * Gets the ARIA role of an element: the first token of its `role` attribute, or its implicit
+ * role as defined by HTML-AAM for the common elements. Null if the element has no role.
+ */
+export function getRole(element: Element): string | null {
+  const explicitRole = (getAttribute(element, 'role') ?? '').trim().toLowerCase().split(/\s+/)[0];
+  if (explicitRole) {
+    return explicitRole;
+  }
+
+  const tagName = element.tagName.toUpperCase();
+  switch (tagName) {
+    case 'A':
+    case 'AREA':
+      return element.hasAttribute('href') ? 'link' : null;
+    case 'HEADER':
+      return element.parentElement?.closest(SECTIONING_SELECTOR) ? null : 'banner';
+    case 'FOOTER':
+      return element.parentElement?.closest(SECTIONING_SELECTOR) ? null : 'contentinfo';
+    case 'IMG':
+      return getAttribute(element, 'alt') === '' ? 'presentation' : 'img';
+    case 'INPUT': {
+      const type = (getAttribute(element, 'type') ?? 'text').toLowerCase();
+      if (type in INPUT_TYPE_ROLES) {
+        return INPUT_TYPE_ROLES[type];
+      }
+      return element.hasAttribute('list') ? 'combobox' : 'textbox';
+    }
+    case 'SECTION':
+      return element.hasAttribute('aria-label') || element.hasAttribute('aria-labelledby') ? 'region' : null;
+    case 'SELECT': {
+      const select = element as HTMLSelectElement;
+      return select.multiple || select.size > 1 ? 'listbox' : 'combobox';
+    }
+    case 'TH':
+      return getAttribute(element, 'scope')?.toLowerCase() === 'row' ? 'rowheader' : 'columnheader';
+    default:
+      return TAG_ROLES[tagName] ?? null;
+  }
+}
+
+/**
+ * Whether an element is excluded from the accessibility tree: it or one of its ancestors in the
+ * composed tree is `aria-hidden` or not displayed, or it is invisible.
+ */
+export function isHiddenFromAccessibility(element: Element): boolean {
+  for (let node: Node | null = element; node; node = getComposedParent(node)) {
+    if (isElement(node)) {
+      const el = node as Element;
+      if (getAttribute(el, 'aria-hidden') === 'true' || getEffectiveStyle(el, 'display') === 'none') {
+        return true;
+      }
+    }
+  }
+  const visibility = getEffectiveStyle(element, 'visibility');
+  return visibility === 'hidden' || visibility === 'collapse';
+}
+
+/**
+ * Computes the accessible name of an element, following the steps of the Accessible Name and
+ * Description Computation (https://www.w3.org/TR/accname-1.2/) for HTML content. Pseudo-element
+ * content is not taken into account.
+ */
+export function getAccessibleName(element: Element): string {
+  return normalizeWhitespace(computeName(element, {visited: new Set(), inLabelledBy: false, embedded: false}));
+}
+
+function computeName(element: Element, context: NameContext): string {
+  if (context.visited.has(element)) {
+    return '';
+  }
+  context.visited.add(element);
+  try {
+    // step 2A: hidden content is only named when it is explicitly referenced
+    if (!context.inLabelledBy && isHiddenFromAccessibility(element)) {
+      return '';
+    }
+
+    // step 2B: aria-labelledby, which is not followed from the referenced elements
+    if (!context.inLabelledBy) {
+      const ids = (getAttribute(element, 'aria-labelledby') ?? '').split(/\s+/).filter(Boolean);
+      const rootNode = element.getRootNode() as Document | ShadowRoot;
+      const labelledBy = ids
+        .map((id) => rootNode.getElementById(id))
+        .filter((label): label is HTMLElement => !!label)
+        .map((label) => computeName(label, {...context, inLabelledBy: true, embedded: true}))
+        .join(' ');
+      if (labelledBy.trim()) {
+        return labelledBy;
+      }
+    }
+
+    // step 2C: controls embedded in the label of another element contribute their value
+    const role = getRole(element);
+    if (context.embedded && role) {
+      const value = getEmbeddedControlValue(element, role);
+      if (value !== null) {
+        return value;
+      }
+    }
+
+    // step 2D: aria-label
+    const ariaLabel = (getAttribute(element, 'aria-label') ?? '').trim();
+    if (ariaLabel) {
+      return ariaLabel;
+    }
+
+    // step 2E: the labels of the host language
+    if (role !== 'presentation' && role !== 'none') {
+      const nativeName = getNativeName(element, context);
+      if (nativeName.trim()) {
+        return nativeName;
+      }
+    }
+
+    // step 2F: the content of the element
+    if (context.embedded || NAME_FROM_CONTENT_ROLES.has(role ?? '')) {
+      const contentName = getNameFromContent(element, context);
+      if (contentName.trim()) {
+        return contentName;
+      }
+    }
+
+    // step 2I: tooltips, and placeholders as the last resort of text fields
+    return getAttribute(element, 'title') ?? getAttribute(element, 'placeholder') ?? '';
+  } finally {
+    context.visited.delete(element);
+  }
+}
+
+function getEmbeddedControlValue(element: Element, role: string): string | null {
+  if (role === 'textbox') {
+    return isElement(element, 'INPUT') || isElement(element, 'TEXTAREA')
+      ? (element as HTMLInputElement).value
+      : (element.textContent ?? '');
+  }
+  if (role === 'combobox' || role === 'listbox') {
+    if (isElement(element, 'SELECT')) {
+      return [...(element as HTMLSelectElement).selectedOptions].map((option) => option.text).join(' ');
+    }
+    return isElement(element, 'INPUT') ? (element as HTMLInputElement).value : null;
+  }
+  if (RANGE_ROLES.has(role)) {
+    return (
+      getAttribute(element, 'aria-valuetext') ??
+      getAttribute(element, 'aria-valuenow') ??
+      (element as HTMLInputElement).value ??
+      null
+    );
+  }
+  return null;
+}
+
+function getNativeName(element: Element, context: NameContext): string {
+  const childName = (tagName: string) => {
+    const child = [...element.children].find((item) => isElement(item, tagName));
+    return child ? computeName(child, {...context, embedded: true}) : '';
+  };
+
+  switch (element.tagName.toUpperCase()) {
+    case 'INPUT': {
+      const type = (getAttribute(element, 'type') ?? 'text').toLowerCase();
+      if (type === 'submit' || type === 'reset') {
+        return getAttribute(element, 'value') ?? (type === 'submit' ? 'Submit' : 'Reset');
+      }
+      if (type === 'button') {
+        return getAttribute(element, 'value') ?? '';
+      }
+      if (type === 'image') {
+        return getAttribute(element, 'alt') ?? getAttribute(element, 'value') ?? 'Submit';
+      }
+      return getLabelsName(element, context);
+    }
+    case 'SELECT':
+    case 'TEXTAREA':
+    case 'METER':
+    case 'PROGRESS':
+    case 'OUTPUT':
+    case 'BUTTON':
+      return getLabelsName(element, context);
+    case 'IMG':
+    case 'AREA':
+      return getAttribute(element, 'alt') ?? '';
+    case 'FIELDSET':
+      return childName('LEGEND');
+    case 'FIGURE':
+      return childName('FIGCAPTION');
+    case 'TABLE':
+      return childName('CAPTION');
+    default:
+      if (element.namespaceURI === 'http://www.w3.org/2000/svg') {
+        return [...element.children].find((child) => child.localName === 'title')?.textContent ?? '';
+      }
+      return '';
+  }
+}
+
+function getLabelsName(element: Element, context: NameContext): string {
+  const labels = (element as HTMLInputElement).labels ?? [];
+  return [...labels].map((label) => computeName(label, {...context, embedded: true})).join(' ');
+}
+
+function getNameFromContent(element: Element, context: NameContext): string {
+  const childContext = {...context, embedded: true};
+  return getComposedChildNodes(element)
+    .map((child) => {
+      if (child.nodeType === Node.TEXT_NODE) {
+        return child.textContent ?? '';
+      }
+      if (!isElement(child)) {
+        return '';
+      }
+      const name = computeName(child as Element, childContext);
+      // block elements separate the words of their siblings
+      return getEffectiveStyle(child as Element, 'display') === 'inline' ? name : ` ${name} `;
+    })
+    .join('');
+}
+
+/**
+ * Gets the child nodes of an element in the composed tree: the content of its shadow root, or
+ * the nodes assigned to a slot.
+ */
+function getComposedChildNodes(element: Element): Node[] {
+  if (IS_SHADOW_DOM_ENABLED && element.shadowRoot) {
+    return [...element.shadowRoot.childNodes];
+  }
+  if (isElement(element, 'SLOT')) {
+    const assigned = (element as HTMLSlotElement).assignedNodes({flatten: true});
+    if (assigned.length) {
+      return assigned;
+    }
+  }
+  return [...element.childNodes];
+}
+
+function getComposedParent(node: Node): Node | null {
+  const parent = getParentNodeInComposedDom(node);
+  return IS_SHADOW_DOM_ENABLED && parent instanceof ShadowRoot ? parent.host : parent;
+}
+
+function normalizeWhitespace(text: string): string {
+  return text.replace(/\s+/g, ' ').trim();
+}
@@ -5,6 +5,8 @@ import * as id from './id.js';
 import {linkText, partialLinkText} from './link-text.js';
 import * as name from './name.js';
 import * as relative from './relative.js';
+import * as role from './role.js';
+import * as shadowCss from './shadow-css.js';
 import * as tagName from './tag-name.js';
 import * as xpath from './xpath.js';
 
@@ -26,6 +28,11 @@ const STRATEGIES: Record<string, Strategy> = {
 
   relative: relative as unknown as Strategy,
 
+  role,
+
+  shadowCss,
+  'shadow css selector': shadowCss,
+
   id,
 
   linkText,
@@ -0,0 +1,74 @@
+import {getAccessibleName, getRole, isHiddenFromAccessibility} from '../accessibility.js';
+import {BotError, ErrorCode} from '../error.js';
+import * as shadowCss from './shadow-css.js';
+
+/**
+ * The syntax of role selectors: a role, optionally followed by a condition on the accessible
+ * name in the CSS attribute selector syntax, e.g. `button[name="Sign in"]`. `*=` matches a part
+ * of the name and the `i` flag ignores the case.
+ */
+const ROLE_SELECTOR_PATTERN =
+  /^\s*([a-z-]+)\s*(?:\[\s*name\s*(\*?=)\s*(?:"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)')\s*(i)?\s*\])?\s*$/i;
+
+interface RoleSelector {
+  role: string;
+  name?: string;
+  partial: boolean;
+  ignoreCase: boolean;
+}
+
+/**
+ * Finds the first element, in the root or in the open shadow roots below it, with the given
+ * ARIA role and accessible name. Elements hidden from assistive technologies are skipped.
+ */
+export function single(target: string, root: Document | Element): Element | null {
+  const selector = parseRoleSelector(target);
+  return shadowCss.many('*', root).find((element) => matches(element, selector)) ?? null;
+}
+
+/**
+ * Finds all elements, in the root and in the open shadow roots below it, with the given ARIA
+ * role and accessible name.
+ */
+export function many(target: string, root: Document | Element): Element[] {
+  const selector = parseRoleSelector(target);
+  return shadowCss.many('*', root).filter((element) => matches(element, selector));
+}
+
+function parseRoleSelector(target: string): RoleSelector {
+  const match = ROLE_SELECTOR_PATTERN.exec(target ?? '');
+  if (!match) {
+    throw new BotError(
+      ErrorCode.INVALID_SELECTOR_ERROR,
+      `Invalid role selector '${target}'. Expected a role like 'button' or 'button[name="Sign in"]'`,
+    );
+  }
+  const [, role, operator, doubleQuoted, singleQuoted, flag] = match;
+  const quoted = doubleQuoted ?? singleQuoted;
+  return {
+    role: role.toLowerCase(),
+    name: quoted === undefined ? undefined : normalizeName(quoted.replace(/\\(.)/g, '$1')),
+    partial: operator === '*=',
+    ignoreCase: !!flag,
+  };
+}
+
+function matches(element: Element, {role, name, partial, ignoreCase}: RoleSelector): boolean {
+  if (getRole(element) !== role || isHiddenFromAccessibility(element)) {
+    return false;
+  }
+  if (name === undefined) {
+    return true;
+  }
+  let actual = getAccessibleName(element);
+  let expected = name;
+  if (ignoreCase) {
+    actual = actual.toLowerCase();
+    expected = expected.toLowerCase();
+  }
+  return partial ? actual.includes(expected) : actual === expected;
+}
+
+function normalizeName(name: string): string {
+  return name.replace(/\s+/g, ' ').trim();
+}
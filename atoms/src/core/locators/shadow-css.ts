@@ -0,0 +1,53 @@
+import {BotError, ErrorCode} from '../error.js';
+
+/**
+ * Finds the first element matching a CSS selector in the root or in any open shadow root below
+ * it. The selector itself never spans a shadow boundary: each element is matched within its own
+ * tree, so `my-app .title` does not match a `.title` of the shadow root of `my-app`.
+ */
+export function single(target: string, root: Document | Element): Element | null {
+  return search(target, root, true)[0] ?? null;
+}
+
+/**
+ * Finds all elements matching a CSS selector in the root and in the open shadow roots below it.
+ * Elements of a shadow tree come right after their host, before the host's light DOM children.
+ */
+export function many(target: string, root: Document | Element): Element[] {
+  return search(target, root, false);
+}
+
+function search(target: string, root: Document | Element, firstOnly: boolean): Element[] {
+  if (!target) {
+    throw new BotError(ErrorCode.INVALID_SELECTOR_ERROR, 'No selector specified');
+  }
+  const selector = target.trim();
+  const doc = root.nodeType === Node.DOCUMENT_NODE ? (root as Document) : (root.ownerDocument as Document);
+  try {
+    // validates the selector, even if there is no element to match it against
+    doc.createDocumentFragment().querySelector(selector);
+  } catch {
+    throw new BotError(ErrorCode.INVALID_SELECTOR_ERROR, 'An invalid or illegal selector was specified');
+  }
+
+  const results: Element[] = [];
+  const collect = (tree: Document | Element | ShadowRoot): boolean => {
+    for (const element of tree.querySelectorAll('*')) {
+      if (element.matches(selector)) {
+        results.push(element);
+        if (firstOnly) {
+          return true;
+        }
+      }
+      if (element.shadowRoot && collect(element.shadowRoot)) {
+        return true;
+      }
+    }
+    return false;
+  };
+  const rootShadow = (root as Element).shadowRoot;
+  if (!(rootShadow && collect(rootShadow))) {
+    collect(root);
+  }
+  return results;
+}
@@ -0,0 +1,71 @@
+import {log} from '../logger.js';
+import {RemoteDebuggerRealDevice} from '../remote-debugger-real-device.js';
+import {RemoteDebugger} from '../remote-debugger.js';
+import {getModuleProperties} from '../utils/index.js';
+import {COMMAND_HANDLERS} from './commands.js';
+import type {CliOutput} from './commands.js';
+import {parseCliArgs, USAGE, UsageError} from './options.js';
+import type {CliOptions} from './options.js';
+
+export interface RunCliOptions {
+  /** Where the results are printed. Defaults to the process stdout */
+  stdout?: CliOutput;
+  /** Where the errors are printed. Defaults to the process stderr */
+  stderr?: CliOutput;
+  /** Stops the commands which watch or tail events */
+  signal?: AbortSignal;
+}
+
+/**
+ * Runs the inspector command line: connects to the Web Inspector of a simulator
+ * or of a real device, runs the command and disconnects.
+ *
+ * @param argv - The arguments, without the node executable and the script paths.
+ * @param opts - Where to print and how to stop.
+ * @returns The exit code: 0 on success, 1 if the command has failed and 2 if the arguments are not valid.
+ */
+export async function runCli(argv: string[], opts: RunCliOptions = {}): Promise<number> {
+  const {stdout = process.stdout, stderr = process.stderr, signal} = opts;
+  let cliOpts: CliOptions;
+  try {
+    cliOpts = parseCliArgs(argv);
+  } catch (err: any) {
+    if (!(err instanceof UsageError)) {
+      throw err;
+    }
+    stderr.write(`${err.message}\n\n${USAGE}`);
+    return 2;
+  }
+  if (cliOpts.help || !cliOpts.command) {
+    stdout.write(cliOpts.help ? USAGE : `${getModuleProperties().version}\n`);
+    return 0;
+  }
+
+  // the logs would get mixed with the printed results otherwise
+  const previousLogLevel = log.level;
+  log.level = cliOpts.verbose ? 'debug' : 'error';
+  const rd = createDebugger(cliOpts);
+  try {
+    await rd.connect(cliOpts.timeoutMs);
+    await COMMAND_HANDLERS[cliOpts.command]({rd, opts: cliOpts, stdout, signal});
+    return 0;
+  } catch (err: any) {
+    stderr.write(`Error: ${err.message}\n`);
+    return 1;
+  } finally {
+    try {
+      await rd.disconnect();
+    } catch (err: any) {
+      log.debug(`Cannot disconnect from the Web Inspector: ${err.message}`);
+    }
+    log.level = previousLogLevel;
+  }
+}
+
+function createDebugger(opts: CliOptions): RemoteDebugger {
+  const {udid, socketPath, host, port, platformVersion, bundleId} = opts;
+  if (udid) {
+    return new RemoteDebuggerRealDevice({udid, platformVersion, bundleId});
+  }
+  return new RemoteDebugger({socketPath, host, port, platformVersion, bundleId});
+}
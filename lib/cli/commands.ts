@@ -0,0 +1,394 @@
+import nodeFs from 'node:fs';
+import path from 'node:path';
+
+import type {StringRecord} from '@appium/types';
+
+import {ATOM_NAMES} from '../atoms.js';
+import type {AtomName} from '../atoms.js';
+import type {ConsoleLogEntry} from '../console/index.js';
+import {RemoteDebugger} from '../remote-debugger.js';
+import type {RemotePage} from '../remote-page.js';
+import type {AppInfo, Page} from '../types.js';
+import {ConnectionLostError, pageArrayFromDict} from '../utils/index.js';
+import type {CliCommand, CliOptions} from './options.js';
+
+const APP_LIST_POLL_INTERVAL_MS = 500;
+const CONNECTION_CHECK_INTERVAL_MS = 500;
+const NETWORK_EVENTS = [
+  'Network.requestWillBeSent',
+  'Network.responseReceived',
+  'Network.loadingFinished',
+  'Network.loadingFailed',
+] as const;
+const CONSOLE_EVENTS = ['Console.messageAdded', 'Console.messageRepeatCountUpdated'] as const;
+
+export interface CliOutput {
+  write(text: string): unknown;
+}
+
+export interface CliContext {
+  rd: RemoteDebugger;
+  opts: CliOptions;
+  stdout: CliOutput;
+  /** Aborted on Ctrl+C, which stops the commands watching or tailing events */
+  signal?: AbortSignal;
+}
+
+/**
+ * A page of a connected application, as listed by the `pages` command.
+ */
+export interface CliPage {
+  /** The id the page is selected with: the application id without the 'PID:' prefix, and the page id */
+  id: string;
+  appIdKey: string;
+  pageIdKey: Page['id'];
+  bundleId: string;
+  title: string;
+  url: string;
+  isKey: boolean;
+}
+
+type CommandHandler = (ctx: CliContext) => Promise<void>;
+
+/**
+ * The commands of the inspector. The debugger is connected before they are run.
+ */
+export const COMMAND_HANDLERS: Record<CliCommand, CommandHandler> = {
+  apps: listApps,
+  pages: listPages,
+  watch: watchPages,
+  eval: evaluateScript,
+  atom: runAtom,
+  screenshot: takeScreenshot,
+  console: tailConsole,
+  network: tailNetwork,
+};
+
+async function listApps(ctx: CliContext): Promise<void> {
+  const apps = getApps(ctx);
+  if (ctx.opts.json) {
+    printJson(ctx, apps);
+    return;
+  }
+  for (const app of apps) {
+    printLine(ctx, formatApp(app));
+  }
+}
+
+async function listPages(ctx: CliContext): Promise<void> {
+  const pages = await fetchAllPages(ctx);
+  if (ctx.opts.json) {
+    printJson(ctx, pages);
+    return;
+  }
+  for (const page of pages) {
+    printLine(ctx, formatPage(page));
+  }
+}
+
+/**
+ * Prints the applications which connect and disconnect, and the page listings of the applications.
+ * Web Inspector only reports the page changes of the applications which have been connected to,
+ * so each new application gets connected to.
+ */
+async function watchPages(ctx: CliContext): Promise<void> {
+  const {rd} = ctx;
+  const knownApps = new Set<string>();
+  const listings = new Map<string, string>();
+  const printPages = (appIdKey: string, pages: CliPage[]) => {
+    const listing = JSON.stringify(pages);
+    if (!knownApps.has(appIdKey) || listings.get(appIdKey) === listing) {
+      return;
+    }
+    listings.set(appIdKey, listing);
+    printEvent(ctx, {event: 'pagesChanged', appIdKey, pages}, () =>
+      [`pages changed: ${appIdKey}`, ...pages.map((page) => `  ${formatPage(page)}`)].join('\n'),
+    );
+  };
+  const checkApps = async () => {
+    const apps = getApps(ctx);
+    for (const appIdKey of knownApps) {
+      if (!apps.some(({id}) => id === appIdKey)) {
+        knownApps.delete(appIdKey);
+        listings.delete(appIdKey);
+        printEvent(ctx, {event: 'appDisconnected', appIdKey}, () => `app disconnected: ${appIdKey}`);
+      }
+    }
+    for (const app of apps.filter(({id}) => !knownApps.has(id))) {
+      knownApps.add(app.id);
+      printEvent(ctx, {event: 'appConnected', app}, () => `app connected: ${formatApp(app)}`);
+      printPages(app.id, await fetchPages(ctx, app));
+    }
+  };
+  const onPageChange = ({appIdKey, pageArray}: {appIdKey: string; pageArray: Page[]}) => {
+    const app = rd.appDict[`PID:${appIdKey}`];
+    if (app) {
+      printPages(
+        app.id,
+        pageArray.map((page) => toCliPage(app, page)),
+      );
+    }
+  };
+
+  rd.on(RemoteDebugger.EVENT_PAGE_CHANGE, onPageChange);
+  // the checks are chained, so an application is only connected to once
+  let checking = checkApps();
+  const timer = setInterval(() => {
+    checking = checking.then(checkApps);
+  }, APP_LIST_POLL_INTERVAL_MS);
+  try {
+    await checking;
+    await waitForStop(ctx);
+  } finally {
+    clearInterval(timer);
+    rd.off(RemoteDebugger.EVENT_PAGE_CHANGE, onPageChange);
+    await checking;
+  }
+}
+
+async function evaluateScript(ctx: CliContext): Promise<void> {
+  const page = await openPage(ctx);
+  printResult(ctx, await page.execute(ctx.opts.args.join(' ')));
+}
+
+async function runAtom(ctx: CliContext): Promise<void> {
+  const [name, ...args] = ctx.opts.args;
+  if (!(ATOM_NAMES as readonly string[]).includes(name)) {
+    throw new Error(`Unknown atom '${name}'. Supported atoms: ${ATOM_NAMES.join(', ')}`);
+  }
+  const page = await openPage(ctx);
+  printResult(ctx, await page.executeAtom(name as AtomName, args.map(parseAtomArgument)));
+}
+
+async function takeScreenshot(ctx: CliContext): Promise<void> {
+  const [filePath] = ctx.opts.args;
+  const format = ['.jpg', '.jpeg'].includes(path.extname(filePath).toLowerCase()) ? 'jpeg' : 'png';
+  const page = await openPage(ctx);
+  const screenshot = await page.captureScreenshot({fullPage: ctx.opts.fullPage, format});
+  await nodeFs.promises.mkdir(path.dirname(filePath), {recursive: true});
+  await nodeFs.promises.writeFile(filePath, Buffer.from(screenshot, 'base64'));
+  printEvent(ctx, {path: filePath}, () => `Saved the screenshot to '${filePath}'`);
+}
+
+/**
+ * Prints the console messages of the page, starting with the ones Web Inspector
+ * has replayed when the page got selected.
+ */
+async function tailConsole(ctx: CliContext): Promise<void> {
+  const page = await openPage(ctx);
+  let lastId = -1;
+  const printNewMessages = () => {
+    for (const entry of page.getConsoleLogs().filter(({id}) => id > lastId)) {
+      lastId = entry.id;
+      printEvent(ctx, entry, () => formatConsoleEntry(entry));
+    }
+  };
+  // the page handle gets the event before the console messages are collected
+  const onMessage = () => setImmediate(printNewMessages);
+
+  for (const name of CONSOLE_EVENTS) {
+    page.on(name, onMessage);
+  }
+  try {
+    printNewMessages();
+    await waitForStop(ctx);
+  } finally {
+    for (const name of CONSOLE_EVENTS) {
+      page.off(name, onMessage);
+    }
+  }
+  printNewMessages();
+}
+
+async function tailNetwork(ctx: CliContext): Promise<void> {
+  const page = await openPage(ctx);
+  const requests = new Map<string, string>();
+  const listeners = NETWORK_EVENTS.map((method) => {
+    const listener = (params: StringRecord = {}) => {
+      printEvent(ctx, {method, params}, () => formatNetworkEvent(method, params, requests));
+    };
+    page.on(method, listener);
+    return [method, listener] as const;
+  });
+  try {
+    await waitForStop(ctx);
+  } finally {
+    for (const [method, listener] of listeners) {
+      page.off(method, listener);
+    }
+  }
+}
+
+function getApps({rd, opts}: CliContext): AppInfo[] {
+  return Object.values(rd.appDict).filter(({bundleId}) => !opts.bundleId || bundleId === opts.bundleId);
+}
+
+/**
+ * Connects to an application to get its pages. Inactive applications and the ones
+ * Web Inspector refuses to connect to have no pages.
+ */
+async function fetchPages({rd}: CliContext, app: AppInfo): Promise<CliPage[]> {
+  if (!app.isActive) {
+    return [];
+  }
+  try {
+    const [, pageDict] = await rd.requireRpcClient(true).selectApp(app.id);
+    return pageArrayFromDict(pageDict).map((page) => toCliPage(app, page));
+  } catch (err: any) {
+    rd.log.debug(`Cannot get the pages of '${app.id}': ${err.message}`);
+    return [];
+  }
+}
+
+/**
+ * Connects to the applications one by one, as Web Inspector reports the connection
+ * to an application without telling which request it answers.
+ */
+async function fetchAllPages(ctx: CliContext): Promise<CliPage[]> {
+  const pages: CliPage[] = [];
+  for (const app of getApps(ctx)) {
+    pages.push(...(await fetchPages(ctx, app)));
+  }
+  return pages;
+}
+
+/**
+ * Gets a handle to the page selected with the `--page` option, or to the first page.
+ */
+async function openPage(ctx: CliContext): Promise<RemotePage> {
+  const pages = await fetchAllPages(ctx);
+  const {page: selector} = ctx.opts;
+  const page = selector
+    ? (pages.find(({id}) => id === selector) ?? pages.find(({url}) => url.includes(selector)))
+    : pages[0];
+  if (!page) {
+    throw new Error(
+      selector
+        ? `No page matches '${selector}'. Run the 'pages' command to list the available pages`
+        : 'No page is available. Make sure the application is debuggable and has an open page',
+    );
+  }
+  return await ctx.rd.page(page.appIdKey, page.pageIdKey);
+}
+
+/**
+ * Resolves on Ctrl+C or after the `--duration` option, and rejects once the connection is lost.
+ * The applications may all go away for a while, e.g. while Safari relaunches, so the
+ * disconnect event of the debugger is not a reason to stop.
+ */
+async function waitForStop({rd, opts, signal}: CliContext): Promise<void> {
+  await new Promise<void>((resolve, reject) => {
+    let timer: NodeJS.Timeout | undefined;
+    const finish = (err?: Error) => {
+      clearTimeout(timer);
+      clearInterval(connectionCheck);
+      signal?.removeEventListener('abort', onAbort);
+      return err ? reject(err) : resolve();
+    };
+    const onAbort = () => finish();
+    const connectionCheck = setInterval(() => {
+      if (!rd.isConnected) {
+        finish(new ConnectionLostError());
+      }
+    }, CONNECTION_CHECK_INTERVAL_MS);
+    if (opts.durationMs !== undefined) {
+      timer = setTimeout(finish, opts.durationMs);
+    }
+    signal?.addEventListener('abort', onAbort);
+    if (signal?.aborted) {
+      finish();
+    }
+  });
+}
+
+function toCliPage(app: AppInfo, page: Page): CliPage {
+  return {
+    id: `${app.id.replace('PID:', '')}.${page.id}`,
+    appIdKey: app.id,
+    pageIdKey: page.id,
+    bundleId: app.bundleId,
+    title: page.title,
+    url: page.url,
+    isKey: page.isKey,
+  };
+}
+
+/**
+ * Parses an atom argument as JSON, so numbers, arrays and element handles could be passed.
+ * Anything else is passed as a string.
+ */
+function parseAtomArgument(arg: string): unknown {
+  try {
+    return JSON.parse(arg);
+  } catch {
+    return arg;
+  }
+}
+
+function formatApp(app: AppInfo): string {
+  const flags = [
+    app.isActive ? 'active' : 'inactive',
+    ...(app.isAutomationEnabled ? ['automation enabled'] : []),
+    ...(app.isProxy ? [`proxy of ${app.hostId}`] : []),
+  ];
+  return `${app.id}\t${app.bundleId}\t${app.name} (${flags.join(', ')})`;
+}
+
+function formatPage(page: CliPage): string {
+  return `${page.id}\t${page.bundleId}\t${page.title || '(untitled)'}\t${page.url}${page.isKey ? ' (key)' : ''}`;
+}
+
+function formatConsoleEntry(entry: ConsoleLogEntry): string {
+  const location = entry.url ? ` (${entry.url}${entry.line ? `:${entry.line}` : ''})` : '';
+  const repeated = entry.repeatCount > 1 ? ` x${entry.repeatCount}` : '';
+  return `[${entry.level}] ${entry.text}${repeated}${location}`;
+}
+
+/**
+ * Formats the requests, the responses and the failures. The requests are remembered by their id,
+ * so their method and URL could be printed along with their outcome.
+ */
+function formatNetworkEvent(method: string, params: StringRecord, requests: Map<string, string>): string | undefined {
+  const {requestId} = params;
+  switch (method) {
+    case 'Network.requestWillBeSent': {
+      const request = `${params.request?.method} ${params.request?.url}`;
+      requests.set(requestId, request);
+      return `request  ${request}`;
+    }
+    case 'Network.responseReceived':
+      return `response ${params.response?.status} ${requests.get(requestId) ?? params.response?.url}`;
+    case 'Network.loadingFailed':
+      return `failed   ${requests.get(requestId) ?? requestId}: ${params.errorText}`;
+    default:
+      return undefined;
+  }
+}
+
+function printResult(ctx: CliContext, result: unknown): void {
+  if (ctx.opts.json) {
+    printLine(ctx, JSON.stringify(result ?? null));
+  } else if (typeof result === 'string') {
+    printLine(ctx, result);
+  } else {
+    printLine(ctx, result === undefined ? 'undefined' : JSON.stringify(result, null, 2));
+  }
+}
+
+/**
+ * Prints an event as a JSON line, or in the text form, if there is one.
+ */
+function printEvent(ctx: CliContext, value: unknown, toText: () => string | undefined): void {
+  const text = ctx.opts.json ? JSON.stringify(value) : toText();
+  if (text !== undefined) {
+    printLine(ctx, text);
+  }
+}
+
+function printJson(ctx: CliContext, value: unknown): void {
+  printLine(ctx, JSON.stringify(value, null, 2));
+}
+
+function printLine({stdout}: CliContext, text: string): void {
+  stdout.write(`${text}\n`);
+}
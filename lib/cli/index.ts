@@ -0,0 +1,8 @@
+#!/usr/bin/env node
+import {runCli} from './cli.js';
+
+const controller = new AbortController();
+for (const signal of ['SIGINT', 'SIGTERM'] as const) {
+  process.once(signal, () => controller.abort());
+}
+process.exitCode = await runCli(process.argv.slice(2), {signal: controller.signal});
@@ -0,0 +1,180 @@
+import {parseArgs} from 'node:util';
+
+export const CLI_NAME = 'appium-remote-debugger';
+export const DEFAULT_APPS_TIMEOUT_MS = 5000;
+
+export const CLI_COMMANDS = ['apps', 'pages', 'watch', 'eval', 'atom', 'screenshot', 'console', 'network'] as const;
+
+export type CliCommand = (typeof CLI_COMMANDS)[number];
+
+const REQUIRED_ARGUMENTS: Partial<Record<CliCommand, string>> = {
+  eval: 'script',
+  atom: 'atom name',
+  screenshot: 'file',
+};
+
+export const USAGE = `Usage: ${CLI_NAME} <command> [arguments] [options]
+
+Commands:
+  apps                     List the connected applications
+  pages                    List the pages of the connected applications
+  watch                    Print the application and page changes
+  eval <script>            Evaluate JavaScript on a page and print the result
+  atom <name> [args...]    Run an atom on a page and print the result. Arguments are
+                           parsed as JSON, or passed as strings if they are not JSON
+  screenshot <file>        Save a screenshot of a page. A .jpg or .jpeg file is saved as JPEG
+  console                  Print the console messages of a page
+  network                  Print the network requests of a page
+
+Connection options:
+  --socket <path>          The Web Inspector socket of a simulator
+  --host <host>            The host of a Web Inspector proxy (default: ::1)
+  --port <port>            The port of a Web Inspector proxy
+  --udid <udid>            The UDID of a real device
+  --platform-version <v>   The iOS version, e.g. 18.0. Required with --socket and --port,
+                           and to reach real devices with iOS 18+
+  --timeout <ms>           How long to wait for the applications to be reported (default: ${DEFAULT_APPS_TIMEOUT_MS})
+
+Page options:
+  --bundle-id <id>         Only consider the applications with this bundle id
+  --page <page>            The page id, as listed by 'pages', or a part of the page URL.
+                           Defaults to the first page
+
+Output options:
+  --json                   Print JSON, one document per line for the streamed events
+  --full-page              Capture the whole document instead of the viewport
+  --duration <ms>          Stop watching or tailing after this time instead of on Ctrl+C
+  --verbose                Print the debug logs to stderr
+  -h, --help               Print this help
+  -v, --version            Print the version
+`;
+
+export interface CliOptions {
+  /** Unset if only the help or the version is requested */
+  command?: CliCommand;
+  /** The positional arguments following the command */
+  args: string[];
+  help: boolean;
+  version: boolean;
+  socketPath?: string;
+  host?: string;
+  port?: number;
+  udid?: string;
+  platformVersion?: string;
+  timeoutMs: number;
+  bundleId?: string;
+  page?: string;
+  json: boolean;
+  fullPage: boolean;
+  durationMs?: number;
+  verbose: boolean;
+}
+
+/**
+ * Thrown when the command line is not valid. The usage is printed along with its message.
+ */
+export class UsageError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+/**
+ * Parses the command line arguments of the inspector.
+ *
+ * @param argv - The arguments, without the node executable and the script paths.
+ * @returns The parsed options.
+ * @throws UsageError if the arguments are not valid.
+ */
+export function parseCliArgs(argv: string[]): CliOptions {
+  let parsed: ReturnType<typeof parseWithOptions>;
+  try {
+    parsed = parseWithOptions(argv);
+  } catch (err: any) {
+    throw new UsageError(err.message);
+  }
+  const {values, positionals} = parsed;
+  const [command, ...args] = positionals;
+  const opts: CliOptions = {
+    args,
+    help: !!values.help,
+    version: !!values.version,
+    socketPath: values.socket,
+    host: values.host,
+    port: toInteger('--port', values.port),
+    udid: values.udid,
+    platformVersion: values['platform-version'],
+    timeoutMs: toInteger('--timeout', values.timeout) ?? DEFAULT_APPS_TIMEOUT_MS,
+    bundleId: values['bundle-id'],
+    page: values.page,
+    json: !!values.json,
+    fullPage: !!values['full-page'],
+    durationMs: toInteger('--duration', values.duration),
+    verbose: !!values.verbose,
+  };
+  if (opts.help || opts.version) {
+    return opts;
+  }
+
+  if (!command) {
+    throw new UsageError('A command must be provided');
+  }
+  if (!isCliCommand(command)) {
+    throw new UsageError(`Unknown command '${command}'. Supported commands: ${CLI_COMMANDS.join(', ')}`);
+  }
+  opts.command = command;
+  const requiredArgument = REQUIRED_ARGUMENTS[command];
+  if (requiredArgument && !args.length) {
+    throw new UsageError(`The '${command}' command needs a ${requiredArgument}`);
+  }
+  if ([opts.socketPath, opts.port, opts.udid].filter((value) => value !== undefined).length !== 1) {
+    throw new UsageError('Exactly one of --socket, --port or --udid must be provided');
+  }
+  if (opts.host !== undefined && opts.port === undefined) {
+    throw new UsageError('--host must be provided along with --port');
+  }
+  // only the version of real devices could be requested, from usbmuxd
+  if (opts.udid === undefined && opts.platformVersion === undefined) {
+    throw new UsageError('--platform-version must be provided along with --socket or --port');
+  }
+  return opts;
+}
+
+function parseWithOptions(argv: string[]) {
+  return parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      socket: {type: 'string'},
+      host: {type: 'string'},
+      port: {type: 'string'},
+      udid: {type: 'string'},
+      'platform-version': {type: 'string'},
+      timeout: {type: 'string'},
+      'bundle-id': {type: 'string'},
+      page: {type: 'string'},
+      json: {type: 'boolean'},
+      'full-page': {type: 'boolean'},
+      duration: {type: 'string'},
+      verbose: {type: 'boolean'},
+      help: {type: 'boolean', short: 'h'},
+      version: {type: 'boolean', short: 'v'},
+    },
+  });
+}
+
+function isCliCommand(value: string): value is CliCommand {
+  return (CLI_COMMANDS as readonly string[]).includes(value);
+}
+
+function toInteger(name: string, value: string | undefined): number | undefined {
+  if (value === undefined) {
+    return undefined;
+  }
+  const result = Number(value);
+  if (!Number.isInteger(result) || result < 0) {
+    throw new UsageError(`${name} must be a non-negative integer, got '${value}'`);
+  }
+  return result;
+}
@@ -0,0 +1,278 @@
+import type {AppiumLogger, StringRecord} from '@appium/types';
+
+import {log as defaultLog} from '../logger.js';
+import type {AppIdKey, PageIdKey} from '../types.js';
+import {formatRemoteObject} from './remote-object.js';
+
+export const DEFAULT_CONSOLE_BUFFER_SIZE = 1000;
+
+export type ConsoleLogLevel = 'debug' | 'log' | 'info' | 'warning' | 'error';
+
+const LEVEL_SEVERITY: Record<ConsoleLogLevel, number> = {
+  debug: 0,
+  log: 1,
+  info: 1,
+  warning: 2,
+  error: 3,
+};
+const LEVEL_ALIASES: StringRecord<ConsoleLogLevel> = {
+  verbose: 'debug',
+  warn: 'warning',
+};
+
+export interface ConsoleCallFrame {
+  functionName: string;
+  url: string;
+  lineNumber: number;
+  columnNumber: number;
+}
+
+/**
+ * A console message collected from a page.
+ */
+export interface ConsoleLogEntry {
+  /** Increases monotonically with each collected message */
+  id: number;
+  /** Milliseconds since the epoch */
+  timestamp: number;
+  level: ConsoleLogLevel;
+  /** The origin of the message, e.g. 'console-api', 'javascript' or 'network' */
+  source: string;
+  /** The console API used, e.g. 'log', 'dir' or 'assert' */
+  type?: string;
+  text: string;
+  /** Readable previews of the message parameters */
+  args: string[];
+  url?: string;
+  line?: number;
+  column?: number;
+  stackTrace: ConsoleCallFrame[];
+  /** How many times the message has been logged in a row */
+  repeatCount: number;
+  networkRequestId?: string;
+  appIdKey?: AppIdKey;
+  pageIdKey?: PageIdKey;
+}
+
+export interface ConsoleLogsFilter {
+  /** Only return messages logged at or after this time, in milliseconds since the epoch */
+  since?: number | Date;
+  /** Only return messages of this level or a more severe one */
+  level?: ConsoleLogLevel;
+}
+
+export interface ConsoleCollectorOptions {
+  /** The maximum number of buffered messages. The oldest ones are dropped first */
+  maxEntries?: number;
+  log?: AppiumLogger;
+}
+
+/**
+ * The page a console message comes from.
+ */
+export interface ConsoleMessageSource {
+  appIdKey?: AppIdKey;
+  pageIdKey?: PageIdKey;
+}
+
+/**
+ * Collects Web Inspector Console domain events into a bounded buffer of normalized entries.
+ * Events are expected to be fed through {@link ConsoleCollector.handleEvent}, in the form
+ * they are delivered to `ConsoleEvent` listeners.
+ */
+export class ConsoleCollector {
+  private readonly _log: AppiumLogger;
+  private readonly _maxEntries: number;
+  /** A ring of entries, the oldest one is at `_start` */
+  private _ring: ConsoleLogEntry[];
+  private _start: number;
+  /** Keys of the buffered timestamped messages, used to ignore messages replayed on `Console.enable` */
+  private readonly _keys: Set<string>;
+  private readonly _entryKeys: WeakMap<ConsoleLogEntry, string>;
+  private _lastId: number;
+  private _droppedCount: number;
+
+  /**
+   * @param opts - Options for configuring the collector.
+   */
+  constructor(opts: ConsoleCollectorOptions = {}) {
+    const {maxEntries = DEFAULT_CONSOLE_BUFFER_SIZE} = opts;
+    if (!Number.isInteger(maxEntries) || maxEntries <= 0) {
+      throw new Error(`The console buffer size must be a positive integer. '${maxEntries}' has been provided`);
+    }
+    this._log = opts.log ?? defaultLog;
+    this._maxEntries = maxEntries;
+    this._ring = [];
+    this._start = 0;
+    this._keys = new Set();
+    this._entryKeys = new WeakMap();
+    this._lastId = 0;
+    this._droppedCount = 0;
+  }
+
+  /**
+   * The number of buffered messages.
+   */
+  get size(): number {
+    return this._ring.length;
+  }
+
+  /**
+   * Handles a Console domain event.
+   *
+   * @param method - The event name, e.g. 'Console.messageAdded'.
+   * @param params - The event parameters. For 'Console.messageAdded' this is the message itself.
+   * @param source - The page the event comes from, if known.
+   */
+  handleEvent(method: string, params: StringRecord | undefined, source: ConsoleMessageSource = {}): void {
+    if (!params) {
+      return;
+    }
+    switch (method) {
+      case 'Console.messageAdded':
+        this.onMessageAdded(params, source);
+        break;
+      case 'Console.messageRepeatCountUpdated':
+        this.onMessageRepeatCountUpdated(params, source);
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Gets copies of the buffered messages, from the oldest to the newest.
+   *
+   * @param filter - Criteria the returned messages must match.
+   * @returns The matching messages.
+   */
+  getEntries(filter: ConsoleLogsFilter = {}): ConsoleLogEntry[] {
+    const since = filter.since instanceof Date ? filter.since.getTime() : filter.since;
+    const minSeverity = filter.level ? LEVEL_SEVERITY[normalizeLevel(filter.level)] : undefined;
+    return this.entries()
+      .filter(
+        (entry) =>
+          (since === undefined || entry.timestamp >= since) &&
+          (minSeverity === undefined || LEVEL_SEVERITY[entry.level] >= minSeverity),
+      )
+      .map((entry) => structuredClone(entry));
+  }
+
+  /**
+   * Drops all the buffered messages.
+   */
+  clear(): void {
+    this._ring = [];
+    this._start = 0;
+    this._keys.clear();
+  }
+
+  private entries(): ConsoleLogEntry[] {
+    return [...this._ring.slice(this._start), ...this._ring.slice(0, this._start)];
+  }
+
+  private push(entry: ConsoleLogEntry, key?: string): void {
+    if (this._ring.length < this._maxEntries) {
+      this._ring.push(entry);
+    } else {
+      const droppedKey = this._entryKeys.get(this._ring[this._start]);
+      if (droppedKey) {
+        this._keys.delete(droppedKey);
+      }
+      this._ring[this._start] = entry;
+      this._start = (this._start + 1) % this._maxEntries;
+      if (++this._droppedCount === 1) {
+        this._log.debug(`The console buffer is full. Dropping the oldest of ${this._maxEntries} messages`);
+      }
+    }
+    if (key) {
+      this._keys.add(key);
+      this._entryKeys.set(entry, key);
+    }
+  }
+
+  private onMessageAdded(message: StringRecord, source: ConsoleMessageSource): void {
+    const hasTimestamp = isWallTime(message.timestamp);
+    const entry: ConsoleLogEntry = {
+      id: 0,
+      timestamp: hasTimestamp ? Math.round(message.timestamp * 1000) : Date.now(),
+      level: normalizeLevel(message.level),
+      source: message.source ?? 'other',
+      type: message.type,
+      text: message.text ?? '',
+      args: (message.parameters ?? []).map((param: StringRecord) => formatRemoteObject(param)),
+      url: message.url || undefined,
+      line: message.line || undefined,
+      column: message.column || undefined,
+      stackTrace: toCallFrames(message.stackTrace),
+      repeatCount: message.repeatCount || 1,
+      networkRequestId: message.networkRequestId,
+      appIdKey: source.appIdKey,
+      pageIdKey: source.pageIdKey,
+    };
+    let key: string | undefined;
+    if (hasTimestamp) {
+      // Web Inspector sends previously logged messages again once the Console domain is enabled
+      key = JSON.stringify([
+        String(entry.appIdKey),
+        String(entry.pageIdKey),
+        entry.timestamp,
+        entry.level,
+        entry.source,
+        entry.text,
+        entry.url,
+        entry.line,
+        entry.column,
+      ]);
+      if (this._keys.has(key)) {
+        return;
+      }
+    }
+    entry.id = ++this._lastId;
+    this.push(entry, key);
+  }
+
+  private onMessageRepeatCountUpdated(params: StringRecord, source: ConsoleMessageSource): void {
+    const entry = this.entries().findLast(
+      ({appIdKey, pageIdKey}) =>
+        (source.appIdKey === undefined || String(appIdKey) === String(source.appIdKey)) &&
+        (source.pageIdKey === undefined || String(pageIdKey) === String(source.pageIdKey)),
+    );
+    if (entry && Number.isInteger(params.count)) {
+      entry.repeatCount = params.count;
+    }
+  }
+}
+
+function normalizeLevel(level: unknown): ConsoleLogLevel {
+  const name = String(level ?? '').toLowerCase();
+  if (name in LEVEL_SEVERITY) {
+    return name as ConsoleLogLevel;
+  }
+  return LEVEL_ALIASES[name] ?? 'log';
+}
+
+/**
+ * Console message timestamps are seconds since the epoch on recent platforms,
+ * and are either missing or monotonic on the older ones.
+ */
+function isWallTime(timestamp: unknown): timestamp is number {
+  return typeof timestamp === 'number' && timestamp > 1e9 && timestamp < 1e11;
+}
+
+/**
+ * Stack traces are delivered as arrays of call frames on older platforms,
+ * and as `Console.StackTrace` objects on the newer ones.
+ */
+function toCallFrames(stackTrace: unknown): ConsoleCallFrame[] {
+  const callFrames = Array.isArray(stackTrace) ? stackTrace : (stackTrace as StringRecord)?.callFrames;
+  if (!Array.isArray(callFrames)) {
+    return [];
+  }
+  return callFrames.map(({functionName, url, lineNumber, columnNumber}) => ({
+    functionName: functionName ?? '',
+    url: url ?? '',
+    lineNumber: lineNumber ?? 0,
+    columnNumber: columnNumber ?? 0,
+  }));
+}
@@ -0,0 +1,4 @@
+export {ConsoleCollector, DEFAULT_CONSOLE_BUFFER_SIZE} from './console-collector.js';
+export type * from './console-collector.js';
+export {formatObjectPreview, formatRemoteObject} from './remote-object.js';
+export type * from './remote-object.js';
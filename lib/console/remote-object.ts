@@ -0,0 +1,113 @@
+import type {StringRecord} from '@appium/types';
+
+/**
+ * A mirror object referencing an original JavaScript object, see
+ * https://github.com/WebKit/WebKit/blob/main/Source/JavaScriptCore/inspector/protocol/Runtime.json
+ */
+export interface RemoteObject {
+  type: string;
+  subtype?: string;
+  className?: string;
+  value?: any;
+  description?: string;
+  objectId?: string;
+  size?: number;
+  preview?: ObjectPreview;
+}
+
+export interface ObjectPreview {
+  type: string;
+  subtype?: string;
+  description?: string;
+  lossless?: boolean;
+  overflow?: boolean;
+  properties?: PropertyPreview[];
+  entries?: {key?: ObjectPreview; value: ObjectPreview}[];
+  size?: number;
+}
+
+export interface PropertyPreview {
+  name: string;
+  type: string;
+  subtype?: string;
+  value?: string;
+  valuePreview?: ObjectPreview;
+  internal?: boolean;
+}
+
+const ELLIPSIS = '…';
+const DEFAULT_OBJECT_DESCRIPTION = 'Object';
+
+/**
+ * Formats a remote object into a readable string, similar to what
+ * Web Inspector shows in its console.
+ *
+ * @param obj - The remote object.
+ * @param nested - Whether the object is a part of another object. Nested strings are quoted.
+ * @returns The readable representation of the object.
+ */
+export function formatRemoteObject(obj: RemoteObject | StringRecord | undefined, nested = false): string {
+  if (!obj) {
+    return 'undefined';
+  }
+  switch (obj.type) {
+    case 'undefined':
+      return 'undefined';
+    case 'string':
+      return nested ? JSON.stringify(obj.value) : String(obj.value);
+    case 'number':
+    case 'boolean':
+    case 'bigint':
+      return obj.description ?? String(obj.value);
+    case 'object':
+      if (obj.subtype === 'null') {
+        return 'null';
+      }
+      if (obj.preview) {
+        return formatObjectPreview(obj.preview);
+      }
+      return obj.description ?? obj.className ?? DEFAULT_OBJECT_DESCRIPTION;
+    default:
+      return obj.description ?? String(obj.value ?? obj.type);
+  }
+}
+
+/**
+ * Formats an object preview, as delivered with remote objects or property previews.
+ *
+ * @param preview - The object preview.
+ * @returns The readable representation of the previewed object.
+ */
+export function formatObjectPreview(preview: ObjectPreview): string {
+  const {subtype, description, overflow, properties = [], entries} = preview;
+  if (preview.type !== 'object' || ['null', 'regexp', 'date', 'error', 'node', 'class'].includes(subtype ?? '')) {
+    return subtype === 'null' ? 'null' : (description ?? preview.type);
+  }
+  const tail = overflow ? [ELLIPSIS] : [];
+  if (entries) {
+    const items = entries.map(({key, value}) =>
+      key ? `${formatObjectPreview(key)} => ${formatObjectPreview(value)}` : formatObjectPreview(value),
+    );
+    return `${description ?? DEFAULT_OBJECT_DESCRIPTION} {${[...items, ...tail].join(', ')}}`;
+  }
+  const visibleProperties = properties.filter(({internal}) => !internal);
+  if (subtype === 'array') {
+    return `[${[...visibleProperties.map(formatPropertyPreview), ...tail].join(', ')}]`;
+  }
+  const items = visibleProperties.map((property) => `${property.name}: ${formatPropertyPreview(property)}`);
+  const body = `{${[...items, ...tail].join(', ')}}`;
+  return description && description !== DEFAULT_OBJECT_DESCRIPTION ? `${description} ${body}` : body;
+}
+
+function formatPropertyPreview(property: PropertyPreview): string {
+  if (property.valuePreview) {
+    return formatObjectPreview(property.valuePreview);
+  }
+  if (property.type === 'string') {
+    return JSON.stringify(property.value ?? '');
+  }
+  if (property.subtype === 'null') {
+    return 'null';
+  }
+  return property.value ?? property.type;
+}
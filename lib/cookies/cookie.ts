@@ -0,0 +1,146 @@
+export type CookieSameSite = 'None' | 'Lax' | 'Strict';
+
+/**
+ * A cookie, as represented by the `Page.Cookie` type of the WebKit protocol.
+ */
+export interface Cookie {
+  name: string;
+  value: string;
+  /** The domain of the cookie. A leading dot means the cookie is also sent to subdomains */
+  domain: string;
+  path: string;
+  /** The expiration date in milliseconds since the epoch, or 0 for session cookies */
+  expires: number;
+  session: boolean;
+  httpOnly: boolean;
+  secure: boolean;
+  sameSite: CookieSameSite;
+}
+
+/**
+ * The cookie properties accepted when setting a cookie. Only the name and the value are required.
+ */
+export interface CookieInit {
+  name: string;
+  value: string;
+  /** Defaults to the host of the page the cookie is set on */
+  domain?: string;
+  /** Defaults to '/' */
+  path?: string;
+  /**
+   * The expiration date, as a Date or in milliseconds since the epoch.
+   * Cookies without it are session cookies
+   */
+  expires?: number | Date;
+  /** Whether it is a session cookie, which ignores `expires`. Defaults to true if `expires` is not set */
+  session?: boolean;
+  httpOnly?: boolean;
+  secure?: boolean;
+  /** Case-insensitive. Defaults to 'None', like Safari does for cookies without the attribute */
+  sameSite?: CookieSameSite | Lowercase<CookieSameSite>;
+}
+
+/**
+ * Criteria cookies must match. All of them must match if several are provided.
+ */
+export interface CookieFilter {
+  /** Matches cookies of this domain and of its subdomains, regardless of a leading dot */
+  domain?: string;
+  name?: string;
+}
+
+const SAME_SITE_VALUES: readonly CookieSameSite[] = ['None', 'Lax', 'Strict'];
+const BOOLEAN_PROPERTIES = ['session', 'httpOnly', 'secure'] as const;
+
+/**
+ * Validates the cookie properties and fills in the defaults.
+ *
+ * @param init - The cookie properties.
+ * @param defaultDomain - The domain to use if the cookie has none.
+ * @returns The complete cookie.
+ * @throws Error describing the first invalid property.
+ */
+export function toCookie(init: CookieInit, defaultDomain?: string): Cookie {
+  if (!init || typeof init !== 'object') {
+    throw new Error(`A cookie must be an object. '${JSON.stringify(init)}' has been given`);
+  }
+  const {name, value, domain = defaultDomain, path = '/', expires, sameSite = 'None'} = init;
+  const describe = () => (typeof name === 'string' && name ? `The cookie '${name}'` : 'A cookie');
+
+  if (typeof name !== 'string' || !name || /[\s;=]/.test(name)) {
+    throw new Error(`${describe()} must have a non-empty name without whitespace, ';' or '='`);
+  }
+  if (typeof value !== 'string') {
+    throw new Error(`${describe()} must have a string value. '${JSON.stringify(value)}' has been given`);
+  }
+  if (typeof domain !== 'string' || !domain) {
+    throw new Error(`${describe()} must have a domain`);
+  }
+  if (typeof path !== 'string' || !path.startsWith('/')) {
+    throw new Error(`${describe()} must have a path starting with '/'. '${path}' has been given`);
+  }
+  for (const property of BOOLEAN_PROPERTIES) {
+    if (init[property] !== undefined && typeof init[property] !== 'boolean') {
+      throw new Error(`${describe()} must have a boolean '${property}'. '${init[property]}' has been given`);
+    }
+  }
+  const normalizedSameSite = SAME_SITE_VALUES.find((item) => item.toLowerCase() === `${sameSite}`.toLowerCase());
+  if (!normalizedSameSite) {
+    throw new Error(
+      `${describe()} must have 'sameSite' set to one of ${SAME_SITE_VALUES.join(', ')}. '${sameSite}' has been given`,
+    );
+  }
+  const expiresMs = expires instanceof Date ? expires.getTime() : expires;
+  if (expiresMs !== undefined && !(Number.isFinite(expiresMs) && expiresMs >= 0)) {
+    throw new Error(
+      `${describe()} must expire at a valid date or a non-negative number of milliseconds since the epoch. ` +
+        `'${expires}' has been given`,
+    );
+  }
+
+  const session = init.session ?? !expiresMs;
+  return {
+    name,
+    value,
+    domain,
+    path,
+    expires: session ? 0 : (expiresMs ?? 0),
+    session,
+    httpOnly: init.httpOnly ?? false,
+    secure: init.secure ?? false,
+    sameSite: normalizedSameSite,
+  };
+}
+
+/**
+ * Checks whether a cookie matches the filter.
+ *
+ * @param cookie - The cookie to check.
+ * @param filter - The criteria to match.
+ * @returns True if the cookie matches all the criteria.
+ */
+export function matchesCookieFilter(cookie: Cookie, {domain, name}: CookieFilter = {}): boolean {
+  if (name !== undefined && cookie.name !== name) {
+    return false;
+  }
+  if (domain === undefined) {
+    return true;
+  }
+  const cookieDomain = stripLeadingDot(cookie.domain).toLowerCase();
+  const expectedDomain = stripLeadingDot(domain).toLowerCase();
+  return cookieDomain === expectedDomain || cookieDomain.endsWith(`.${expectedDomain}`);
+}
+
+/**
+ * Gets a URL the cookie is sent to, as required to delete it.
+ *
+ * @param cookie - The cookie.
+ * @returns The URL.
+ */
+export function toCookieUrl({domain, path, secure}: Pick<Cookie, 'domain' | 'path' | 'secure'>): string {
+  return `${secure ? 'https' : 'http'}://${stripLeadingDot(domain)}${path}`;
+}
+
+function stripLeadingDot(domain: string): string {
+  return domain.startsWith('.') ? domain.slice(1) : domain;
+}
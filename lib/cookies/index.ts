@@ -0,0 +1,3 @@
+export {matchesCookieFilter, toCookie, toCookieUrl} from './cookie.js';
+export type * from './cookie.js';
+export {parseNetscapeCookies, toNetscapeCookies} from './netscape.js';
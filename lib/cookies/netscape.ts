@@ -0,0 +1,91 @@
+import type {Cookie} from './cookie.js';
+import {toCookie} from './cookie.js';
+
+const NETSCAPE_HEADER = '# Netscape HTTP Cookie File';
+const HTTP_ONLY_PREFIX = '#HttpOnly_';
+const FIELDS_COUNT = 7;
+
+/**
+ * Serializes cookies into the Netscape cookies.txt format, as read by curl or wget.
+ * The format has no place for the SameSite attribute, so it is lost.
+ *
+ * @param cookies - The cookies to serialize.
+ * @returns The content of the cookies file.
+ */
+export function toNetscapeCookies(cookies: Cookie[]): string {
+  const lines = [NETSCAPE_HEADER, ''];
+  for (const {name, value, domain, path, expires, session, httpOnly, secure} of cookies) {
+    lines.push(
+      [
+        `${httpOnly ? HTTP_ONLY_PREFIX : ''}${domain}`,
+        toFlag(domain.startsWith('.')),
+        path,
+        toFlag(secure),
+        session ? 0 : Math.floor(expires / 1000),
+        name,
+        value,
+      ].join('\t'),
+    );
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Parses the content of a Netscape cookies.txt file.
+ *
+ * @param content - The content of the cookies file.
+ * @returns The cookies. Their SameSite attribute is 'None', as the format does not keep it.
+ * @throws Error if a line is malformed or describes an invalid cookie.
+ */
+export function parseNetscapeCookies(content: string): Cookie[] {
+  const cookies: Cookie[] = [];
+  for (const [index, rawLine] of content.split(/\r?\n/).entries()) {
+    // the value is the last field and may be empty, so the trailing tab must be kept
+    let line = rawLine.trimStart();
+    let httpOnly = false;
+    if (line.startsWith(HTTP_ONLY_PREFIX)) {
+      line = line.slice(HTTP_ONLY_PREFIX.length);
+      httpOnly = true;
+    } else if (!line || line.startsWith('#')) {
+      continue;
+    }
+
+    const fields = line.split('\t');
+    if (fields.length !== FIELDS_COUNT) {
+      throw new Error(
+        `Line ${index + 1} of the cookies file must have ${FIELDS_COUNT} tab-separated fields, ` +
+          `but it has ${fields.length}`,
+      );
+    }
+    const [domain, , path, secure, expires, name, value] = fields;
+    const expiresSeconds = Number(expires);
+    if (!Number.isInteger(expiresSeconds) || expiresSeconds < 0) {
+      throw new Error(`Line ${index + 1} of the cookies file has an invalid expiration time '${expires}'`);
+    }
+    try {
+      cookies.push(
+        toCookie({
+          name,
+          value,
+          domain,
+          path,
+          expires: expiresSeconds * 1000,
+          session: expiresSeconds === 0,
+          httpOnly,
+          secure: parseFlag(secure),
+        }),
+      );
+    } catch (err: any) {
+      throw new Error(`Line ${index + 1} of the cookies file is invalid: ${err.message}`);
+    }
+  }
+  return cookies;
+}
+
+function toFlag(value: boolean): string {
+  return value ? 'TRUE' : 'FALSE';
+}
+
+function parseFlag(value: string): boolean {
+  return value.toUpperCase() === 'TRUE';
+}
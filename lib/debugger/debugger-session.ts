@@ -0,0 +1,206 @@
+import type {StringRecord} from '@appium/types';
+
+import type {RemoteObject} from '../console/index.js';
+
+/**
+ * A location in a parsed script. Line and column numbers are zero-based.
+ */
+export interface ScriptLocation {
+  scriptId: string;
+  lineNumber: number;
+  columnNumber?: number;
+}
+
+/**
+ * A script reported by `Debugger.scriptParsed`.
+ */
+export interface ParsedScript {
+  scriptId: string;
+  /** The URL of the script, or an empty string for inline and evaluated scripts */
+  url: string;
+  startLine: number;
+  startColumn: number;
+  endLine: number;
+  endColumn: number;
+  isContentScript?: boolean;
+  /** The value of the `//# sourceURL` comment, if any */
+  sourceURL?: string;
+  sourceMapURL?: string;
+  module?: boolean;
+}
+
+export interface BreakpointOptions {
+  /** The URL of the scripts to set the breakpoint in. Either `url` or `urlRegex` must be provided */
+  url?: string;
+  /** A pattern matching URLs of the scripts to set the breakpoint in */
+  urlRegex?: string | RegExp;
+  /** Zero-based line number */
+  lineNumber: number;
+  /** Zero-based column number */
+  columnNumber?: number;
+  /** An expression evaluated when the breakpoint is hit. The execution only pauses if it is truthy */
+  condition?: string;
+  /** How many times the breakpoint is hit before the execution pauses */
+  ignoreCount?: number;
+  /** Whether to continue the execution once the breakpoint is hit */
+  autoContinue?: boolean;
+}
+
+/**
+ * A breakpoint set by URL. It is resolved to a location in each matching script,
+ * including scripts parsed after the breakpoint has been set.
+ */
+export interface Breakpoint {
+  breakpointId: string;
+  url?: string;
+  urlRegex?: string;
+  lineNumber: number;
+  columnNumber?: number;
+  condition?: string;
+  locations: ScriptLocation[];
+}
+
+export interface Scope {
+  /** 'global', 'with', 'closure', 'catch', 'functionName', 'globalLexicalEnvironment' or 'nestedLexical' */
+  type: string;
+  name?: string;
+  object: RemoteObject;
+  empty?: boolean;
+}
+
+export interface CallFrame {
+  callFrameId: string;
+  functionName: string;
+  location: ScriptLocation;
+  /** The URL of the script the frame belongs to, if it has been parsed */
+  url?: string;
+  scopeChain: Scope[];
+  this: RemoteObject;
+  isTailDeleted?: boolean;
+}
+
+/**
+ * The state of a paused debugger, as reported by `Debugger.paused`.
+ */
+export interface PausedState {
+  /** e.g. 'Breakpoint', 'DebuggerStatement', 'exception' or 'other' */
+  reason: string;
+  data?: StringRecord;
+  callFrames: CallFrame[];
+  asyncStackTrace?: StringRecord;
+}
+
+/**
+ * Tracks the Debugger domain state of a single page: parsed scripts,
+ * breakpoints and whether the execution is paused. Events are expected to be
+ * fed through {@link DebuggerSession.handleEvent}, in the form they are delivered
+ * to `DebuggerEvent` listeners.
+ */
+export class DebuggerSession {
+  private readonly _scripts: Map<string, ParsedScript>;
+  private readonly _breakpoints: Map<string, Breakpoint>;
+  private _pausedState?: PausedState;
+
+  constructor() {
+    this._scripts = new Map();
+    this._breakpoints = new Map();
+  }
+
+  /**
+   * The state of the paused execution, or undefined if the page is running.
+   */
+  get pausedState(): PausedState | undefined {
+    return this._pausedState;
+  }
+
+  /**
+   * Handles a Debugger domain event.
+   *
+   * @param method - The event name, e.g. 'Debugger.paused'.
+   * @param params - The event parameters.
+   */
+  handleEvent(method: string, params: StringRecord = {}): void {
+    switch (method) {
+      case 'Debugger.scriptParsed':
+        if (params.scriptId) {
+          this._scripts.set(params.scriptId, params as ParsedScript);
+        }
+        break;
+      case 'Debugger.globalObjectCleared':
+        // the page has navigated. Breakpoints set by URL are kept by Web Inspector
+        // and resolved again once matching scripts get parsed
+        this._scripts.clear();
+        this._pausedState = undefined;
+        for (const breakpoint of this._breakpoints.values()) {
+          breakpoint.locations = [];
+        }
+        break;
+      case 'Debugger.breakpointResolved':
+        this._breakpoints.get(params.breakpointId)?.locations.push(params.location);
+        break;
+      case 'Debugger.paused':
+        this._pausedState = {
+          reason: params.reason,
+          data: params.data,
+          callFrames: (params.callFrames ?? []).map((frame: CallFrame) => ({
+            ...frame,
+            url: this._scripts.get(frame.location?.scriptId)?.url,
+          })),
+          asyncStackTrace: params.asyncStackTrace,
+        };
+        break;
+      case 'Debugger.resumed':
+        this._pausedState = undefined;
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Gets the scripts parsed since the page has been loaded.
+   *
+   * @param url - Only return scripts whose URL contains this string or matches this pattern.
+   * @returns The parsed scripts.
+   */
+  getScripts(url?: string | RegExp): ParsedScript[] {
+    const scripts = [...this._scripts.values()];
+    if (url === undefined) {
+      return scripts;
+    }
+    return scripts.filter((script) => (url instanceof RegExp ? url.test(script.url) : script.url.includes(url)));
+  }
+
+  /**
+   * Gets a parsed script.
+   *
+   * @param scriptId - The script identifier.
+   * @returns The script, or undefined if it has not been parsed.
+   */
+  getScript(scriptId: string): ParsedScript | undefined {
+    return this._scripts.get(scriptId);
+  }
+
+  getBreakpoints(): Breakpoint[] {
+    return [...this._breakpoints.values()];
+  }
+
+  addBreakpoint(breakpoint: Breakpoint): void {
+    this._breakpoints.set(breakpoint.breakpointId, breakpoint);
+  }
+
+  /**
+   * @returns True if the breakpoint has been known.
+   */
+  removeBreakpoint(breakpointId: string): boolean {
+    return this._breakpoints.delete(breakpointId);
+  }
+
+  /**
+   * Drops the paused state once a resume or step command has been sent,
+   * so it is not mistaken for the state of the next pause.
+   */
+  markResumed(): void {
+    this._pausedState = undefined;
+  }
+}
@@ -0,0 +1,2 @@
+export {DebuggerSession} from './debugger-session.js';
+export type * from './debugger-session.js';
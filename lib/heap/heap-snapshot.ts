@@ -0,0 +1,186 @@
+/**
+ * A JavaScriptCore heap snapshot, as returned by `Heap.snapshot` or delivered
+ * by the heap tracking events.
+ */
+export interface HeapSnapshot {
+  /** Monotonic timestamp of the snapshot, in seconds */
+  timestamp: number;
+  /** The snapshot JSON, which could be imported in Web Inspector as is */
+  snapshotData: string;
+  /** The file the snapshot has been saved to, if any */
+  path?: string;
+}
+
+/**
+ * The live objects of a class in a heap snapshot. Sizes are the own sizes of the objects,
+ * in bytes, excluding the objects they reference.
+ */
+export interface HeapClassSummary {
+  className: string;
+  count: number;
+  size: number;
+}
+
+export interface HeapSnapshotSummary {
+  count: number;
+  size: number;
+  /** Sorted by size, the largest first */
+  classes: HeapClassSummary[];
+}
+
+/**
+ * The change of the live objects of a class between two snapshots.
+ */
+export interface HeapClassGrowth extends HeapClassSummary {
+  countDelta: number;
+  sizeDelta: number;
+  /** The objects allocated after the first snapshot and still alive in the second one */
+  newCount: number;
+  newSize: number;
+}
+
+export interface HeapSnapshotDiff {
+  countDelta: number;
+  sizeDelta: number;
+  newCount: number;
+  newSize: number;
+  /** The classes whose objects changed, sorted by size growth, the largest first */
+  classes: HeapClassGrowth[];
+}
+
+export interface HeapSnapshotOptions {
+  /** Whether to count the engine internal objects, which Web Inspector hides by default */
+  includeInternal?: boolean;
+}
+
+interface HeapNode {
+  id: number;
+  size: number;
+  className: string;
+}
+
+/** The flag of the nodes which are engine internals */
+const INTERNAL_NODE_FLAG = 1;
+/** The root node gathers the references of all the GC roots */
+const ROOT_NODE_ID = 0;
+
+/**
+ * Summarizes the live objects of a heap snapshot by their class.
+ *
+ * @param snapshot - The snapshot, or its JSON.
+ * @param opts - Summary options.
+ * @returns The number and the size of the objects of each class.
+ * @throws Error if the snapshot is not a JavaScriptCore heap snapshot.
+ */
+export function summarizeHeapSnapshot(
+  snapshot: HeapSnapshot | string,
+  opts: HeapSnapshotOptions = {},
+): HeapSnapshotSummary {
+  const summaries = new Map<string, HeapClassSummary>();
+  for (const {className, size} of parseHeapNodes(snapshot, opts)) {
+    const summary = summaries.get(className) ?? {className, count: 0, size: 0};
+    summary.count++;
+    summary.size += size;
+    summaries.set(className, summary);
+  }
+  const classes = [...summaries.values()].sort(bySizeDescending);
+  return {
+    count: sum(classes, ({count}) => count),
+    size: sum(classes, ({size}) => size),
+    classes,
+  };
+}
+
+/**
+ * Compares the live objects of two heap snapshots of the same page, by their class.
+ * Object ids are kept for the whole inspection session, so the objects allocated
+ * between the snapshots and not collected yet, which are the usual suspects
+ * of a leak, are reported separately.
+ *
+ * @param before - The first snapshot, or its JSON.
+ * @param after - The second snapshot, or its JSON.
+ * @param opts - Comparison options.
+ * @returns The growth of the heap, overall and by class.
+ * @throws Error if a snapshot is not a JavaScriptCore heap snapshot.
+ */
+export function diffHeapSnapshots(
+  before: HeapSnapshot | string,
+  after: HeapSnapshot | string,
+  opts: HeapSnapshotOptions = {},
+): HeapSnapshotDiff {
+  const growths = new Map<string, HeapClassGrowth>();
+  const getGrowth = (className: string) => {
+    let growth = growths.get(className);
+    if (!growth) {
+      growth = {className, count: 0, size: 0, countDelta: 0, sizeDelta: 0, newCount: 0, newSize: 0};
+      growths.set(className, growth);
+    }
+    return growth;
+  };
+
+  const previousIds = new Set<number>();
+  for (const {id, size, className} of parseHeapNodes(before, opts)) {
+    previousIds.add(id);
+    const growth = getGrowth(className);
+    growth.countDelta--;
+    growth.sizeDelta -= size;
+  }
+  for (const {id, size, className} of parseHeapNodes(after, opts)) {
+    const growth = getGrowth(className);
+    growth.count++;
+    growth.size += size;
+    growth.countDelta++;
+    growth.sizeDelta += size;
+    if (!previousIds.has(id)) {
+      growth.newCount++;
+      growth.newSize += size;
+    }
+  }
+
+  const classes = [...growths.values()]
+    .filter(({countDelta, sizeDelta, newCount}) => countDelta || sizeDelta || newCount)
+    .sort((a, b) => b.sizeDelta - a.sizeDelta || b.newSize - a.newSize || a.className.localeCompare(b.className));
+  return {
+    countDelta: sum(classes, ({countDelta}) => countDelta),
+    sizeDelta: sum(classes, ({sizeDelta}) => sizeDelta),
+    newCount: sum(classes, ({newCount}) => newCount),
+    newSize: sum(classes, ({newSize}) => newSize),
+    classes,
+  };
+}
+
+function parseHeapNodes(snapshot: HeapSnapshot | string, {includeInternal = false}: HeapSnapshotOptions): HeapNode[] {
+  const snapshotData = typeof snapshot === 'string' ? snapshot : snapshot?.snapshotData;
+  let json: any;
+  try {
+    json = JSON.parse(snapshotData);
+  } catch (err: any) {
+    throw new Error(`The heap snapshot is not valid JSON: ${err.message}`);
+  }
+  const {nodes, nodeClassNames, type} = json ?? {};
+  if (!Array.isArray(nodes) || !Array.isArray(nodeClassNames)) {
+    throw new Error('The heap snapshot has no nodes. Is it a JavaScriptCore heap snapshot?');
+  }
+
+  // the nodes are flattened: id, size, class name index and flags, followed by
+  // the label and the addresses of the cell in GC debugging snapshots
+  const fieldCount = type === 'GCDebugging' ? 7 : 4;
+  const result: HeapNode[] = [];
+  for (let i = 0; i + fieldCount <= nodes.length; i += fieldCount) {
+    const id = nodes[i];
+    const flags = nodes[i + 3];
+    if (id === ROOT_NODE_ID || (!includeInternal && flags & INTERNAL_NODE_FLAG)) {
+      continue;
+    }
+    result.push({id, size: nodes[i + 1], className: nodeClassNames[nodes[i + 2]] ?? '(unknown)'});
+  }
+  return result;
+}
+
+function bySizeDescending(a: HeapClassSummary, b: HeapClassSummary): number {
+  return b.size - a.size || a.className.localeCompare(b.className);
+}
+
+function sum<T>(items: T[], getValue: (item: T) => number): number {
+  return items.reduce((total, item) => total + getValue(item), 0);
+}
@@ -0,0 +1,4 @@
+export {diffHeapSnapshots, summarizeHeapSnapshot} from './heap-snapshot.js';
+export {MemoryRecorder} from './memory-recorder.js';
+export type * from './heap-snapshot.js';
+export type * from './memory-recorder.js';
@@ -0,0 +1,154 @@
+import type {StringRecord} from '@appium/types';
+
+/**
+ * The memory categories of the `Memory.CategoryData` protocol type.
+ */
+export type MemoryCategory = 'javascript' | 'jit' | 'images' | 'layers' | 'page' | 'other';
+
+/**
+ * A `Memory.memoryPressure` protocol event.
+ */
+export interface MemoryPressureEvent {
+  /** Monotonic timestamp, in seconds */
+  timestamp: number;
+  severity: 'critical' | 'non-critical';
+}
+
+/**
+ * The memory used by the page during the tracking, in bytes.
+ */
+export interface MemoryUsage {
+  latest: number;
+  peak: number;
+}
+
+export interface GarbageCollectionSummary {
+  full: number;
+  partial: number;
+  durationMs: number;
+}
+
+/**
+ * The summary of the memory used by a page during a tracking session.
+ */
+export interface MemoryUsageSummary {
+  durationMs: number;
+  sampleCount: number;
+  total: MemoryUsage;
+  categories: Partial<Record<MemoryCategory, MemoryUsage>>;
+  pressureEvents: MemoryPressureEvent[];
+  garbageCollections: GarbageCollectionSummary;
+}
+
+/**
+ * A `Memory.Event` protocol type: the memory used by each category at a point in time.
+ */
+interface MemorySample {
+  timestamp: number;
+  categories: {type: MemoryCategory; size: number}[];
+}
+
+/**
+ * A `Heap.GarbageCollection` protocol type. Times are in seconds.
+ */
+interface GarbageCollection {
+  type: 'full' | 'partial';
+  startTime: number;
+  endTime: number;
+}
+
+/**
+ * Collects the Memory domain events and the garbage collections of the Heap domain,
+ * and summarizes them. Events are expected to be fed through {@link MemoryRecorder.handleEvent},
+ * in the form they are delivered to `MemoryEvent` listeners.
+ */
+export class MemoryRecorder {
+  private readonly _samples: MemorySample[];
+  private readonly _pressureEvents: MemoryPressureEvent[];
+  private readonly _garbageCollections: GarbageCollection[];
+  private _startTime?: number;
+  private _endTime?: number;
+
+  constructor() {
+    this._samples = [];
+    this._pressureEvents = [];
+    this._garbageCollections = [];
+  }
+
+  /**
+   * Handles a Memory or Heap domain event.
+   *
+   * @param method - The event name, e.g. 'Memory.trackingUpdate'.
+   * @param params - The event parameters.
+   */
+  handleEvent(method: string, params: StringRecord): void {
+    switch (method) {
+      case 'Memory.trackingStart':
+        this._startTime ??= params?.timestamp;
+        break;
+      case 'Memory.trackingComplete':
+        this._endTime = params?.timestamp;
+        break;
+      case 'Memory.trackingUpdate':
+        if (params?.event) {
+          this._samples.push(params.event);
+        }
+        break;
+      case 'Memory.memoryPressure':
+        if (params) {
+          this._pressureEvents.push({timestamp: params.timestamp, severity: params.severity});
+        }
+        break;
+      case 'Heap.garbageCollected':
+        if (params?.collection) {
+          this._garbageCollections.push(params.collection);
+        }
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Summarizes the memory usage recorded so far.
+   *
+   * @returns The memory usage summary.
+   */
+  getSummary(): MemoryUsageSummary {
+    const total: MemoryUsage = {latest: 0, peak: 0};
+    const categories: Partial<Record<MemoryCategory, MemoryUsage>> = {};
+    for (const {categories: sizes = []} of this._samples) {
+      let sampleTotal = 0;
+      for (const {type, size} of sizes) {
+        const usage = (categories[type] ??= {latest: 0, peak: 0});
+        usage.latest = size;
+        usage.peak = Math.max(usage.peak, size);
+        sampleTotal += size;
+      }
+      total.latest = sampleTotal;
+      total.peak = Math.max(total.peak, sampleTotal);
+    }
+
+    const timestamps = this._samples.map(({timestamp}) => timestamp);
+    const startTime = this._startTime ?? (timestamps.length ? Math.min(...timestamps) : 0);
+    const endTime = this._endTime ?? (timestamps.length ? Math.max(...timestamps) : startTime);
+    return {
+      durationMs: toMilliseconds(endTime - startTime),
+      sampleCount: this._samples.length,
+      total,
+      categories,
+      pressureEvents: [...this._pressureEvents],
+      garbageCollections: {
+        full: this._garbageCollections.filter(({type}) => type === 'full').length,
+        partial: this._garbageCollections.filter(({type}) => type === 'partial').length,
+        durationMs: toMilliseconds(
+          this._garbageCollections.reduce((duration, {startTime: start, endTime: end}) => duration + end - start, 0),
+        ),
+      },
+    };
+  }
+}
+
+function toMilliseconds(seconds: number): number {
+  return Math.round(seconds * 1e6) / 1e3;
+}
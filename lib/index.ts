@@ -1,8 +1,85 @@
 import {ATOM_NAMES} from './atoms.js';
 import type {AtomName} from './atoms.js';
+import type {ConsoleCallFrame, ConsoleLogEntry, ConsoleLogLevel, ConsoleLogsFilter} from './console/index.js';
+import type {Cookie, CookieFilter, CookieInit, CookieSameSite} from './cookies/index.js';
+import type {Breakpoint, BreakpointOptions, CallFrame, ParsedScript, PausedState} from './debugger/index.js';
+import {diffHeapSnapshots, summarizeHeapSnapshot} from './heap/index.js';
+import type {
+  GarbageCollectionSummary,
+  HeapClassGrowth,
+  HeapClassSummary,
+  HeapSnapshot,
+  HeapSnapshotDiff,
+  HeapSnapshotOptions,
+  HeapSnapshotSummary,
+  MemoryCategory,
+  MemoryPressureEvent,
+  MemoryUsage,
+  MemoryUsageSummary,
+} from './heap/index.js';
+import type {CookiesFormat, ExportCookiesOptions, ImportCookiesOptions} from './mixins/cookies.js';
+import type {ScopeVariable, ScopeVariables, ScopeVariablesOptions} from './mixins/debugger.js';
+import type {ElementHandle, HighlightConfig, QuerySelectorOptions, RGBAColor} from './mixins/dom.js';
+import type {
+  ColorScheme,
+  ContrastPreference,
+  EmulatedMedia,
+  Emulation,
+  EmulationOptions,
+  NetworkConditions,
+  NetworkConditionsPreset,
+  ReducedMotion,
+  ViewportSize,
+} from './mixins/emulation.js';
+import type {HeapTrackingResult, TakeHeapSnapshotOptions} from './mixins/memory.js';
+import type {HarCaptureOptions} from './mixins/network.js';
+import type {ElementScreenshotOptions, ScreenshotCaptureOptions, ScreenshotImageOptions} from './mixins/screenshot.js';
+import type {
+  IndexedDBDatabaseState,
+  IndexedDBIndexState,
+  IndexedDBObjectStoreState,
+  IndexedDBRecord,
+  OriginStorageState,
+  StorageItem,
+  StorageState,
+  StorageStateOptions,
+} from './mixins/storage.js';
+import type {
+  Har,
+  HarEntry,
+  InterceptedRequest,
+  InterceptionAction,
+  InterceptionHandler,
+  InterceptionOptions,
+} from './network/index.js';
+import type {
+  ProtocolCommands,
+  ProtocolDomain,
+  ProtocolDomainName,
+  ProtocolDomains,
+  ProtocolEventListener,
+  ProtocolEvents,
+  ProtocolTarget,
+} from './protocol/index.js';
+import type * as Protocol from './protocol/generated/types.js';
 import {RemoteDebuggerRealDevice} from './remote-debugger-real-device.js';
 import {RemoteDebugger, REMOTE_DEBUGGER_PORT} from './remote-debugger.js';
-import type {RemoteDebuggerRealDeviceOptions, RemoteDebuggerOptions} from './types.js';
+import {RemotePage} from './remote-page.js';
+import type {PageScopedMethod} from './remote-page.js';
+import type {NavigationTiming, PerformanceMetrics, TracingOptions} from './mixins/tracing.js';
+import {readSessionRecording} from './rpc/session-recorder.js';
+import type {SessionRecordingEntry, SessionRecordingHeader, RecordedMessage} from './rpc/session-recorder.js';
+import type {
+  LongTask,
+  TimelineMetrics,
+  Trace,
+  TraceEvent,
+  TraceSample,
+  TraceStackFrame,
+  TracingInstrument,
+} from './tracing/index.js';
+import type {RemoteDebuggerRealDeviceOptions, RemoteDebuggerOptions, ReconnectOptions} from './types.js';
+import {ConnectionLostError, ProtocolParamsError, UnsupportedCommandError} from './utils/index.js';
 
 export function createRemoteDebugger(opts: RemoteDebuggerRealDeviceOptions, realDevice: true): RemoteDebuggerRealDevice;
 export function createRemoteDebugger(opts: RemoteDebuggerOptions, realDevice: false): RemoteDebugger;
@@ -22,5 +99,29 @@ export function createRemoteDebugger(
     : new RemoteDebugger(opts as RemoteDebuggerOptions);
 }
 
-export {RemoteDebugger, RemoteDebuggerRealDevice, REMOTE_DEBUGGER_PORT, ATOM_NAMES};
-export type {RemoteDebuggerRealDeviceOptions, RemoteDebuggerOptions, AtomName};
+export {RemoteDebugger, RemoteDebuggerRealDevice, RemotePage, REMOTE_DEBUGGER_PORT, ATOM_NAMES, ConnectionLostError};
+export {ProtocolParamsError, UnsupportedCommandError};
+export {readSessionRecording};
+export {diffHeapSnapshots, summarizeHeapSnapshot};
+export type {RemoteDebuggerRealDeviceOptions, RemoteDebuggerOptions, ReconnectOptions, AtomName, PageScopedMethod};
+export type {ConsoleCallFrame, ConsoleLogEntry, ConsoleLogLevel, ConsoleLogsFilter};
+export type {Breakpoint, BreakpointOptions, CallFrame, ParsedScript, PausedState};
+export type {Cookie, CookieFilter, CookieInit, CookieSameSite};
+export type {CookiesFormat, ExportCookiesOptions, ImportCookiesOptions};
+export type {ScopeVariable, ScopeVariables, ScopeVariablesOptions};
+export type {ElementHandle, HighlightConfig, QuerySelectorOptions, RGBAColor};
+export type {Har, HarEntry, HarCaptureOptions};
+export type {ElementScreenshotOptions, ScreenshotCaptureOptions, ScreenshotImageOptions};
+export type {StorageState, StorageStateOptions, OriginStorageState, StorageItem};
+export type {IndexedDBDatabaseState, IndexedDBIndexState, IndexedDBObjectStoreState, IndexedDBRecord};
+export type {InterceptedRequest, InterceptionAction, InterceptionHandler, InterceptionOptions};
+export type {Trace, TraceEvent, TraceSample, TraceStackFrame, TracingInstrument, TracingOptions};
+export type {LongTask, NavigationTiming, PerformanceMetrics, TimelineMetrics};
+export type {Emulation, EmulationOptions, EmulatedMedia, ColorScheme, ContrastPreference, ReducedMotion};
+export type {NetworkConditions, NetworkConditionsPreset, ViewportSize};
+export type {HeapSnapshot, HeapSnapshotOptions, HeapTrackingResult, TakeHeapSnapshotOptions};
+export type {HeapClassGrowth, HeapClassSummary, HeapSnapshotDiff, HeapSnapshotSummary};
+export type {GarbageCollectionSummary, MemoryCategory, MemoryPressureEvent, MemoryUsage, MemoryUsageSummary};
+export type {SessionRecordingEntry, SessionRecordingHeader, RecordedMessage};
+export type {Protocol, ProtocolCommands, ProtocolEvents, ProtocolEventListener, ProtocolTarget};
+export type {ProtocolDomain, ProtocolDomainName, ProtocolDomains};
@@ -1,10 +1,12 @@
 import {timing, util} from '@appium/support';
-import {retryInterval, waitForCondition} from 'asyncbox';
+import {retryInterval, sleep, waitForCondition} from 'asyncbox';
 
+import {isSamePattern} from '../network/index.js';
 import type {RemoteDebugger} from '../remote-debugger.js';
-import {NEW_APP_CONNECTED_ERROR, EMPTY_PAGE_DICTIONARY_ERROR} from '../rpc/rpc-client.js';
-import type {AppDict, Page, AppIdKey, PageIdKey, AppPage} from '../types.js';
-import {pageArrayFromDict, WEB_CONTENT_BUNDLE_ID, appIdsForBundle} from '../utils/index.js';
+import {NEW_APP_CONNECTED_ERROR, EMPTY_PAGE_DICTIONARY_ERROR, CONNECTION_LOST_EVENT} from '../rpc/rpc-client.js';
+import type {RpcClient} from '../rpc/rpc-client.js';
+import type {AppDict, Page, AppIdKey, PageIdKey, AppPage, ReconnectOptions} from '../types.js';
+import {pageArrayFromDict, WEB_CONTENT_BUNDLE_ID, appIdsForBundle, checkProtocolResponse} from '../utils/index.js';
 import {events} from './events.js';
 import {
   setAppIdKey,
@@ -17,6 +19,23 @@ import {
   getBundleId,
   getAdditionalBundleIds,
   getIgnoredBundleIds,
+  getPageIdKey,
+  setAppDict,
+  getClientEventListeners,
+  getNetworkRecorder,
+  getTracingSessions,
+  getHeapTrackings,
+  getMemoryTrackings,
+  getInterceptionListeners,
+  setInterceptionListeners,
+  getInterceptions,
+  getDebuggerSessions,
+  getDocumentNodeIds,
+  getEmulations,
+  getPageHandles,
+  getReconnectOptions,
+  getReconnection,
+  setReconnection,
 } from './property-accessors.js';
 
 const APP_CONNECT_TIMEOUT_MS = 0;
@@ -29,6 +48,21 @@ const WEB_CONTENT_PROCESS_BUNDLE_ID = 'process-com.apple.WebKit.WebContent';
 const SAFARI_VIEW_PROCESS_BUNDLE_ID = 'process-SafariViewService';
 const SAFARI_VIEW_BUNDLE_ID = 'com.apple.SafariViewService';
 const WILDCARD_BUNDLE_ID = '*';
+const RECONNECT_APP_TIMEOUT_MS = 10000;
+const DEFAULT_RECONNECT_OPTIONS: Required<ReconnectOptions> = {
+  maxAttempts: 5,
+  initialDelayMs: 500,
+  maxDelayMs: 10000,
+  backoffFactor: 2,
+};
+
+/**
+ * The application and the page to select again after reconnecting.
+ */
+interface PageLocation {
+  bundleId: string;
+  url: string;
+}
 
 /**
  * Sends a connection key request to the Web Inspector.
@@ -63,15 +97,7 @@ export async function connect(this: RemoteDebugger, timeout: number = APP_CONNEC
   const rpcClient = this.requireRpcClient();
 
   // listen for basic debugger-level events
-  rpcClient.on('_rpc_reportSetup:', () => {});
-  rpcClient.on('_rpc_forwardGetListing:', this.onPageChange.bind(this));
-  rpcClient.on('_rpc_reportConnectedApplicationList:', this.onConnectedApplicationList.bind(this));
-  rpcClient.on('_rpc_applicationConnected:', this.onAppConnect.bind(this));
-  rpcClient.on('_rpc_applicationDisconnected:', this.onAppDisconnect.bind(this));
-  rpcClient.on('_rpc_applicationUpdated:', this.onAppUpdate.bind(this));
-  rpcClient.on('_rpc_reportConnectedDriverList:', this.onConnectedDriverList.bind(this));
-  rpcClient.on('_rpc_reportCurrentState:', this.onCurrentState.bind(this));
-  rpcClient.on('Page.frameDetached', this.frameDetached.bind(this));
+  listenForDebuggerEvents(this, rpcClient);
 
   await rpcClient.connect();
 
@@ -107,11 +133,74 @@ export async function connect(this: RemoteDebugger, timeout: number = APP_CONNEC
  * emitting a disconnect event, and performing cleanup via teardown.
  */
 export async function disconnect(this: RemoteDebugger): Promise<void> {
+  const reconnection = getReconnection(this);
+  if (reconnection) {
+    reconnection.aborted = true;
+  }
   await getRcpClient(this)?.disconnect();
   this.emit(events.EVENT_DISCONNECT, true);
   this.teardown();
 }
 
+/**
+ * Handles the unexpected loss of the Web Inspector connection. If the `reconnect` option
+ * has been provided, tries to re-establish the connection with backoff, and selects
+ * the previously selected page again by the bundle id of its app and its URL.
+ * Emits the reconnect event on success, or disconnects after the last failed attempt.
+ *
+ * @param err - The error describing the lost connection.
+ */
+export async function onConnectionLost(this: RemoteDebugger, err: Error): Promise<void> {
+  const reconnectOptions = getReconnectOptions(this);
+  if (!reconnectOptions || getReconnection(this)) {
+    return;
+  }
+  const {maxAttempts, initialDelayMs, maxDelayMs, backoffFactor} = {
+    ...DEFAULT_RECONNECT_OPTIONS,
+    ...reconnectOptions,
+  };
+  const pageLocation = getSelectedPageLocation(this);
+  const reconnection = {aborted: false};
+  setReconnection(this, reconnection);
+  this.log.info(`Trying to reconnect after the connection loss: ${err.message}`);
+  endLostRecordings(this, pageLocation !== undefined);
+  // each attempt creates a new client, so the listeners and the recorder of the lost one go away
+  await getRcpClient(this)?.disconnect();
+
+  let delayMs = initialDelayMs;
+  try {
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      this.log.debug(`Reconnecting in ${delayMs}ms (attempt ${attempt} of ${maxAttempts})`);
+      await sleep(delayMs);
+      if (reconnection.aborted) {
+        return;
+      }
+
+      let rpcClient: RpcClient | undefined;
+      try {
+        await this.initRpcClient();
+        rpcClient = this.requireRpcClient();
+        await reestablishConnection(this, rpcClient, pageLocation, reconnection);
+        this.log.info(`Reconnected to the Web Inspector after ${util.pluralize('attempt', attempt, true)}`);
+        this.emit(events.EVENT_RECONNECT, attempt);
+        return;
+      } catch (e: any) {
+        this.log.warn(`Reconnection attempt ${attempt} of ${maxAttempts} has failed: ${e.message}`);
+        await rpcClient?.disconnect();
+        if (reconnection.aborted) {
+          return;
+        }
+      }
+      delayMs = Math.min(delayMs * backoffFactor, maxDelayMs);
+    }
+  } finally {
+    setReconnection(this, undefined);
+  }
+
+  this.log.error(`Could not reconnect to the Web Inspector after ${util.pluralize('attempt', maxAttempts, true)}`);
+  await this.disconnect();
+}
+
 /**
  * Selects an application from the available connected applications.
  * Searches for an app matching the provided URL and bundle IDs, then returns
@@ -445,3 +534,214 @@ function logApplicationDictionary(this: RemoteDebugger): void {
     }
   }
 }
+
+/**
+ * Registers the handlers of debugger-level events on a new RPC client.
+ */
+function listenForDebuggerEvents(instance: RemoteDebugger, rpcClient: RpcClient): void {
+  rpcClient.on('_rpc_reportSetup:', () => {});
+  rpcClient.on('_rpc_forwardGetListing:', instance.onPageChange.bind(instance));
+  rpcClient.on('_rpc_reportConnectedApplicationList:', instance.onConnectedApplicationList.bind(instance));
+  rpcClient.on('_rpc_applicationConnected:', instance.onAppConnect.bind(instance));
+  rpcClient.on('_rpc_applicationDisconnected:', instance.onAppDisconnect.bind(instance));
+  rpcClient.on('_rpc_applicationUpdated:', instance.onAppUpdate.bind(instance));
+  rpcClient.on('_rpc_reportConnectedDriverList:', instance.onConnectedDriverList.bind(instance));
+  rpcClient.on('_rpc_reportCurrentState:', instance.onCurrentState.bind(instance));
+  rpcClient.on('Page.frameDetached', instance.frameDetached.bind(instance));
+  rpcClient.on('ConsoleEvent', instance.onConsoleEvent.bind(instance));
+  rpcClient.on('DebuggerEvent', instance.onDebuggerEvent.bind(instance));
+  rpcClient.on('DOM.documentUpdated', instance.onDocumentUpdated.bind(instance));
+  rpcClient.on('TargetEvent', instance.onTargetEvent.bind(instance));
+  rpcClient.on(CONNECTION_LOST_EVENT, (err: Error) => {
+    instance
+      .onConnectionLost(err)
+      .catch((e) => instance.log.error(`Could not handle the connection loss: ${e.message}`));
+  });
+}
+
+/**
+ * Connects a new RPC client in place of the lost one, restores the listeners
+ * which were registered on the lost client, selects the same page again
+ * and applies its interceptions to it.
+ */
+async function reestablishConnection(
+  instance: RemoteDebugger,
+  rpcClient: RpcClient,
+  pageLocation: PageLocation | undefined,
+  reconnection: {aborted: boolean},
+): Promise<void> {
+  // everything known about the apps and their targets is reported again, so the existing
+  // page handles might point to pages which do not exist anymore
+  for (const handle of Object.values(getPageHandles(instance))) {
+    handle.detach();
+  }
+  setAppDict(instance, {});
+  setAppIdKey(instance, undefined);
+  setPageIdKey(instance, undefined);
+  const pageRecords = [
+    getDebuggerSessions(instance),
+    getDocumentNodeIds(instance),
+    getEmulations(instance),
+    getPageHandles(instance),
+  ];
+  for (const record of pageRecords) {
+    for (const key of Object.keys(record)) {
+      delete record[key];
+    }
+  }
+
+  listenForDebuggerEvents(instance, rpcClient);
+  for (const [eventName, listeners] of Object.entries(getClientEventListeners(instance))) {
+    for (const listener of listeners) {
+      rpcClient.on(eventName, listener);
+    }
+  }
+  const networkRecorder = getNetworkRecorder(instance);
+  if (networkRecorder) {
+    rpcClient.on('NetworkEvent', networkRecorder.listener);
+  }
+  for (const [eventName, listener] of Object.entries(getInterceptionListeners(instance) ?? {})) {
+    rpcClient.on(eventName, listener);
+  }
+
+  await rpcClient.connect();
+  if (reconnection.aborted) {
+    throw new Error('The reconnection has been cancelled');
+  }
+  await instance.setConnectionKey();
+  if (pageLocation) {
+    await selectPageAtLocation(instance, rpcClient, pageLocation);
+    await reapplyInterceptions(instance, rpcClient);
+  }
+}
+
+/**
+ * Ends the recordings which cannot be carried over to a new connection, and emits
+ * the reconnect error event naming them, if any. The Web Inspector forgets the tracing
+ * sessions and the heap and memory trackings along with the connection, and only
+ * the interceptions of the selected page could be applied again, once it is found.
+ */
+function endLostRecordings(instance: RemoteDebugger, keepSelectedPage: boolean): void {
+  const ended: string[] = [];
+  const recordings = {
+    tracing: getTracingSessions(instance),
+    'heap tracking': getHeapTrackings(instance),
+    'memory tracking': getMemoryTrackings(instance),
+  };
+  for (const [name, record] of Object.entries(recordings)) {
+    for (const key of Object.keys(record)) {
+      ended.push(`the ${name} of the page '${key}'`);
+      delete record[key];
+    }
+  }
+
+  const appIdKey = getAppIdKey(instance);
+  const pageIdKey = getPageIdKey(instance);
+  const interceptions = getInterceptions(instance);
+  const lostInterceptions = interceptions.filter(
+    (item) =>
+      !keepSelectedPage || String(item.appIdKey) !== String(appIdKey) || String(item.pageIdKey) !== String(pageIdKey),
+  );
+  for (const interception of lostInterceptions) {
+    ended.push(
+      `the interception of '${interception.url}' on the page '${interception.appIdKey}/${interception.pageIdKey}'`,
+    );
+    interceptions.splice(interceptions.indexOf(interception), 1);
+  }
+  if (interceptions.length === 0) {
+    setInterceptionListeners(instance, undefined);
+  }
+
+  if (ended.length) {
+    const message = `The connection loss has ended ${ended.join(', ')}`;
+    instance.log.warn(message);
+    instance.emit(events.EVENT_RECONNECT_ERROR, new Error(message));
+  }
+}
+
+/**
+ * Moves the interceptions of the lost page to the page selected again, and enables them there.
+ * Only the interceptions of the lost page are left by {@link endLostRecordings}.
+ */
+async function reapplyInterceptions(instance: RemoteDebugger, rpcClient: RpcClient): Promise<void> {
+  const interceptions = getInterceptions(instance);
+  const appIdKey = getAppIdKey(instance);
+  const pageIdKey = getPageIdKey(instance);
+  if (!interceptions.length || !appIdKey || !pageIdKey) {
+    return;
+  }
+  instance.log.debug(
+    `Intercepting ${util.pluralize('pattern', interceptions.length, true)} again on page '${pageIdKey}' of app '${appIdKey}'`,
+  );
+  for (const interception of interceptions) {
+    interception.appIdKey = appIdKey;
+    interception.pageIdKey = pageIdKey;
+  }
+  const res = await rpcClient.send('Network.setInterceptionEnabled', {appIdKey, pageIdKey, enabled: true});
+  checkProtocolResponse('Network.setInterceptionEnabled', res);
+  const patterns = interceptions.filter(
+    (interception, index) => interceptions.findIndex((item) => isSamePattern(item, interception)) === index,
+  );
+  for (const {url, caseSensitive, isRegex, stage} of patterns) {
+    const res = await rpcClient.send('Network.addInterception', {
+      appIdKey,
+      pageIdKey,
+      url,
+      caseSensitive,
+      isRegex,
+      stage,
+    });
+    checkProtocolResponse('Network.addInterception', res);
+  }
+}
+
+/**
+ * Finds the page with the given URL in the apps with the given bundle id and selects it.
+ */
+async function selectPageAtLocation(
+  instance: RemoteDebugger,
+  rpcClient: RpcClient,
+  {bundleId, url}: PageLocation,
+): Promise<void> {
+  let appIdKeys: string[] = [];
+  try {
+    await waitForCondition(
+      () => {
+        appIdKeys = appIdsForBundle(bundleId, getAppDict(instance));
+        return appIdKeys.length > 0;
+      },
+      {
+        waitMs: RECONNECT_APP_TIMEOUT_MS,
+        intervalMs: APP_CONNECT_INTERVAL_MS,
+      },
+    );
+  } catch {
+    throw new Error(`The application '${bundleId}' has not been reported after reconnecting`);
+  }
+
+  for (const appIdKey of appIdKeys) {
+    const [actualAppIdKey, pageDict] = await rpcClient.selectApp(appIdKey);
+    const pages = pageArrayFromDict(pageDict);
+    getAppDict(instance)[actualAppIdKey].pageArray = pages;
+    const page = pages.find((item) => item.url === url);
+    if (page) {
+      await instance.selectPage(actualAppIdKey, page.id);
+      return;
+    }
+  }
+  throw new Error(`The page '${url}' of the application '${bundleId}' has not been found after reconnecting`);
+}
+
+/**
+ * Gets the bundle id of the selected app and the URL of the selected page, if any.
+ */
+function getSelectedPageLocation(instance: RemoteDebugger): PageLocation | undefined {
+  const appIdKey = getAppIdKey(instance);
+  const pageIdKey = getPageIdKey(instance);
+  if (!appIdKey || pageIdKey === undefined) {
+    return;
+  }
+  const app = getAppDict(instance)[appIdKey];
+  const page = app?.pageArray?.find(({id}) => String(id) === String(pageIdKey));
+  return app && page ? {bundleId: app.bundleId, url: page.url} : undefined;
+}
@@ -0,0 +1,58 @@
+import type {StringRecord} from '@appium/types';
+
+import type {ConsoleLogEntry, ConsoleLogsFilter} from '../console/index.js';
+import type {RemoteDebugger} from '../remote-debugger.js';
+import type {MessageOrigin} from '../types.js';
+import {getAppIdKey, getConsoleCollector, getPageIdKey, getRcpClient} from './property-accessors.js';
+
+/**
+ * Handles the aggregated `ConsoleEvent` and collects console messages of all the
+ * inspected pages. Collected messages are kept when the page listing changes
+ * or another page gets selected.
+ *
+ * @param err - Error object if an error occurred, null or undefined otherwise.
+ * @param params - The event parameters.
+ * @param method - The name of the Console domain event.
+ * @param origin - The application and target the event comes from.
+ */
+export function onConsoleEvent(
+  this: RemoteDebugger,
+  err: Error | null | undefined,
+  params: StringRecord | undefined,
+  method: string,
+  origin: MessageOrigin = {},
+): void {
+  if (err) {
+    return;
+  }
+  const appIdKey = origin.appIdKey ?? getAppIdKey(this);
+  const pageIdKey = getRcpClient(this)?.getPageIdKeyForTarget(appIdKey, origin.targetId);
+  getConsoleCollector(this).handleEvent(method, params, {appIdKey, pageIdKey});
+}
+
+/**
+ * Gets the console messages collected since the debugger has been created.
+ * The buffer is bounded by the `consoleBufferSize` option, so the oldest
+ * messages might have been dropped.
+ *
+ * @param filter - Criteria the returned messages must match.
+ * @returns The matching messages, from the oldest to the newest.
+ */
+export function getConsoleLogs(this: RemoteDebugger, filter: ConsoleLogsFilter = {}): ConsoleLogEntry[] {
+  return getConsoleCollector(this).getEntries(filter);
+}
+
+/**
+ * Drops the collected console messages and clears the console of the current page, if any.
+ */
+export async function clearConsoleLogs(this: RemoteDebugger): Promise<void> {
+  getConsoleCollector(this).clear();
+  const appIdKey = getAppIdKey(this);
+  const pageIdKey = getPageIdKey(this);
+  const rpcClient = getRcpClient(this);
+  if (!appIdKey || !pageIdKey || !rpcClient?.isConnected) {
+    return;
+  }
+  this.log.debug(`Clearing console messages of page '${pageIdKey}'`);
+  await rpcClient.send('Console.clearMessages', {appIdKey, pageIdKey});
+}
@@ -1,15 +1,34 @@
 import type {StringRecord} from '@appium/types';
 
+import type {Cookie, CookieFilter, CookieInit} from '../cookies/index.js';
+import {matchesCookieFilter, parseNetscapeCookies, toCookie, toCookieUrl, toNetscapeCookies} from '../cookies/index.js';
 import type {RemoteDebugger} from '../remote-debugger.js';
+import {checkProtocolResponse, ConnectionLostError} from '../utils/index.js';
 import {getAppIdKey, getPageIdKey} from './property-accessors.js';
 
+const PAGE_HOSTNAME_SCRIPT = 'return window.location.hostname';
+
+export type CookiesFormat = 'json' | 'netscape';
+
+export interface ExportCookiesOptions extends CookieFilter {
+  /** Defaults to 'json' */
+  format?: CookiesFormat;
+}
+
+export interface ImportCookiesOptions {
+  /** Detected from the content if not set */
+  format?: CookiesFormat;
+  /** Whether to delete all the cookies of the page before the import. Defaults to false */
+  clear?: boolean;
+}
+
 /**
  * Retrieves all cookies for the current page by sending a Page.getCookies
  * command to the remote debugger.
  *
  * @returns A promise that resolves to a dictionary containing the cookies.
  */
-export async function getCookies(this: RemoteDebugger): Promise<StringRecord> {
+export async function getCookies(this: RemoteDebugger): Promise<{cookies: Cookie[]}> {
   this.log.debug('Getting cookies');
   return await this.requireRpcClient().send('Page.getCookies', {
     appIdKey: getAppIdKey(this),
@@ -19,7 +38,8 @@ export async function getCookies(this: RemoteDebugger): Promise<StringRecord> {
 
 /**
  * Sets a cookie on the current page by sending a Page.setCookie command
- * to the remote debugger.
+ * to the remote debugger. The cookie is sent as it is, use {@link importCookies}
+ * to have it validated first.
  *
  * @param cookie - Dictionary containing the cookie properties to set.
  * @returns A promise that resolves when the cookie has been set.
@@ -50,3 +70,125 @@ export async function deleteCookie(this: RemoteDebugger, cookieName: string, url
     url,
   });
 }
+
+/**
+ * Retrieves the cookies of the current page matching the filter.
+ *
+ * @param filter - The criteria the cookies must match. All the cookies are returned if omitted.
+ * @returns The matching cookies.
+ */
+export async function getAllCookies(this: RemoteDebugger, filter: CookieFilter = {}): Promise<Cookie[]> {
+  const {cookies = []} = checkProtocolResponse('Page.getCookies', await this.getCookies());
+  return cookies.filter((cookie) => matchesCookieFilter(cookie, filter));
+}
+
+/**
+ * Deletes the cookies of the current page matching the filter.
+ *
+ * @param filter - The criteria the cookies must match. All the cookies are deleted if omitted.
+ * @returns The number of deleted cookies.
+ */
+export async function deleteAllCookies(this: RemoteDebugger, filter: CookieFilter = {}): Promise<number> {
+  const cookies = await this.getAllCookies(filter);
+  for (const cookie of cookies) {
+    checkProtocolResponse('Page.deleteCookie', await this.deleteCookie(cookie.name, toCookieUrl(cookie)));
+  }
+  this.log.debug(`Deleted ${cookies.length} cookie${cookies.length === 1 ? '' : 's'}`);
+  return cookies.length;
+}
+
+/**
+ * Serializes the cookies of the current page, for example to restore a login later.
+ *
+ * @param opts - The format and the criteria the exported cookies must match.
+ * @returns The cookies, as a JSON array or as the content of a Netscape cookies.txt file.
+ */
+export async function exportCookies(this: RemoteDebugger, opts: ExportCookiesOptions = {}): Promise<string> {
+  const {format = 'json', ...filter} = opts;
+  const cookies = await this.getAllCookies(filter);
+  switch (format) {
+    case 'json':
+      return JSON.stringify(cookies, null, 2);
+    case 'netscape':
+      return toNetscapeCookies(cookies);
+    default:
+      throw new Error(`The cookies format '${format}' is not supported. Only 'json' and 'netscape' are`);
+  }
+}
+
+/**
+ * Sets the given cookies on the current page. All the cookies are validated before
+ * any of them is set.
+ *
+ * @param data - The cookies, or their serialization as produced by {@link exportCookies}.
+ * @param opts - The import options.
+ * @returns The number of imported cookies.
+ * @throws Error if a cookie is invalid or if WebKit rejects it.
+ */
+export async function importCookies(
+  this: RemoteDebugger,
+  data: string | CookieInit[],
+  opts: ImportCookiesOptions = {},
+): Promise<number> {
+  const {format, clear = false} = opts;
+  const inits = typeof data === 'string' ? parseCookies(data, format) : data;
+  if (!Array.isArray(inits)) {
+    throw new Error(`The cookies to import must be an array. '${JSON.stringify(inits)}' has been given`);
+  }
+  const defaultDomain = inits.some((init) => !init?.domain) ? await getPageHostname(this) : undefined;
+  const cookies = inits.map((init, index) => {
+    try {
+      return toCookie(init, defaultDomain);
+    } catch (err: any) {
+      throw new Error(`The cookie at index ${index} cannot be imported: ${err.message}`);
+    }
+  });
+
+  if (clear) {
+    await this.deleteAllCookies();
+  }
+  for (const cookie of cookies) {
+    await sendCookie(this, cookie);
+  }
+  this.log.debug(`Imported ${cookies.length} cookie${cookies.length === 1 ? '' : 's'}`);
+  return cookies.length;
+}
+
+function parseCookies(data: string, format?: CookiesFormat): CookieInit[] {
+  const actualFormat = format ?? (/^\s*\[/.test(data) ? 'json' : 'netscape');
+  switch (actualFormat) {
+    case 'json':
+      try {
+        return JSON.parse(data);
+      } catch (err: any) {
+        throw new Error(`The cookies cannot be parsed as JSON: ${err.message}`);
+      }
+    case 'netscape':
+      return parseNetscapeCookies(data);
+    default:
+      throw new Error(`The cookies format '${actualFormat}' is not supported. Only 'json' and 'netscape' are`);
+  }
+}
+
+async function sendCookie(instance: RemoteDebugger, cookie: Cookie): Promise<any> {
+  instance.log.debug(`Setting cookie '${cookie.name}' for '${cookie.domain}${cookie.path}'`);
+  try {
+    const res = await instance.requireRpcClient().send('Page.setCookie', {
+      appIdKey: getAppIdKey(instance),
+      pageIdKey: getPageIdKey(instance),
+      cookie,
+    });
+    return checkProtocolResponse('Page.setCookie', res);
+  } catch (err: any) {
+    if (err instanceof ConnectionLostError) {
+      throw err;
+    }
+    throw new Error(
+      `WebKit has rejected the cookie '${cookie.name}' for '${cookie.domain}${cookie.path}': ${err.message}`,
+    );
+  }
+}
+
+async function getPageHostname(instance: RemoteDebugger): Promise<string> {
+  return await instance.executeAtom<string>('execute_script', [PAGE_HOSTNAME_SCRIPT, []]);
+}
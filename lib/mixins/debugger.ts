@@ -0,0 +1,322 @@
+import type {StringRecord} from '@appium/types';
+import {waitForCondition} from 'asyncbox';
+
+import {formatRemoteObject} from '../console/index.js';
+import type {RemoteObject} from '../console/index.js';
+import {DebuggerSession} from '../debugger/index.js';
+import type {Breakpoint, BreakpointOptions, ParsedScript, PausedState} from '../debugger/index.js';
+import type {RemoteDebugger} from '../remote-debugger.js';
+import type {AppIdKey, MessageOrigin, PageIdKey} from '../types.js';
+import {checkProtocolResponse} from '../utils/index.js';
+import {getAppIdKey, getDebuggerSessions, getPageIdKey, getRcpClient} from './property-accessors.js';
+
+const PAUSE_TIMEOUT_MS = 5000;
+const PAUSE_CHECK_INTERVAL_MS = 100;
+
+/**
+ * A variable of a scope of a paused call frame.
+ */
+export interface ScopeVariable {
+  name: string;
+  /** Undefined for accessor properties */
+  value?: RemoteObject;
+  /** A readable representation of the value */
+  preview: string;
+}
+
+export interface ScopeVariables {
+  type: string;
+  name?: string;
+  variables: ScopeVariable[];
+}
+
+export interface ScopeVariablesOptions {
+  /**
+   * Whether to include the variables of the global scope. These are all the
+   * properties of the window object, so they are skipped by default.
+   */
+  includeGlobal?: boolean;
+}
+
+/**
+ * Handles the aggregated `DebuggerEvent` and keeps track of parsed scripts,
+ * breakpoints and the paused state of each inspected page.
+ *
+ * @param err - Error object if an error occurred, null or undefined otherwise.
+ * @param params - The event parameters.
+ * @param method - The name of the Debugger domain event.
+ * @param origin - The application and target the event comes from.
+ */
+export function onDebuggerEvent(
+  this: RemoteDebugger,
+  err: Error | null | undefined,
+  params: StringRecord | undefined,
+  method: string,
+  origin: MessageOrigin = {},
+): void {
+  if (err) {
+    return;
+  }
+  const appIdKey = origin.appIdKey ?? getAppIdKey(this);
+  let pageIdKey = getRcpClient(this)?.getPageIdKeyForTarget(appIdKey, origin.targetId);
+  if (pageIdKey === undefined && String(appIdKey) === String(getAppIdKey(this))) {
+    // targets are not mapped to pages before provisional navigations are committed
+    pageIdKey = getPageIdKey(this);
+  }
+  if (!appIdKey || pageIdKey === undefined) {
+    return;
+  }
+  getDebuggerSession(this, appIdKey, pageIdKey).handleEvent(method, params);
+}
+
+/**
+ * Gets the scripts parsed in the current page.
+ *
+ * @param url - Only return scripts whose URL contains this string or matches this pattern.
+ * @returns The parsed scripts.
+ */
+export function getParsedScripts(this: RemoteDebugger, url?: string | RegExp): ParsedScript[] {
+  return requireDebuggerSession(this).session.getScripts(url);
+}
+
+/**
+ * Retrieves the source code of a parsed script.
+ *
+ * @param scriptId - The script identifier, as reported by {@link getParsedScripts}.
+ * @returns The source code.
+ */
+export async function getScriptSource(this: RemoteDebugger, scriptId: string): Promise<string> {
+  const {scriptSource} = await sendDebuggerCommand(this, 'Debugger.getScriptSource', {scriptId});
+  return scriptSource;
+}
+
+/**
+ * Sets a breakpoint in all the scripts of the current page matching the given URL,
+ * including the ones to be parsed later.
+ *
+ * @param opts - Breakpoint options.
+ * @returns The breakpoint, with the locations it has been resolved to so far.
+ * @throws Error if neither URL nor URL pattern is provided.
+ */
+export async function setBreakpoint(this: RemoteDebugger, opts: BreakpointOptions): Promise<Breakpoint> {
+  const {url, lineNumber, columnNumber, condition, ignoreCount, autoContinue} = opts;
+  const urlRegex = opts.urlRegex instanceof RegExp ? opts.urlRegex.source : opts.urlRegex;
+  if (!url && !urlRegex) {
+    throw new Error('Either a script URL or a URL pattern must be provided to set a breakpoint');
+  }
+  if (!Number.isInteger(lineNumber) || lineNumber < 0) {
+    throw new Error(`The breakpoint line number must be a non-negative integer. '${lineNumber}' has been provided`);
+  }
+  this.log.debug(
+    `Setting a breakpoint at ${url ?? `/${urlRegex}/`}:${lineNumber}${condition ? ` if '${condition}'` : ''}`,
+  );
+  const {breakpointId, locations = []} = await sendDebuggerCommand(this, 'Debugger.setBreakpointByUrl', {
+    url,
+    urlRegex,
+    lineNumber,
+    columnNumber,
+    options: {condition, ignoreCount, autoContinue},
+  });
+  const breakpoint: Breakpoint = {breakpointId, url, urlRegex, lineNumber, columnNumber, condition, locations};
+  requireDebuggerSession(this).session.addBreakpoint(breakpoint);
+  return breakpoint;
+}
+
+/**
+ * Removes a breakpoint set with {@link setBreakpoint}.
+ *
+ * @param breakpointId - The breakpoint identifier.
+ */
+export async function removeBreakpoint(this: RemoteDebugger, breakpointId: string): Promise<void> {
+  this.log.debug(`Removing the breakpoint '${breakpointId}'`);
+  await sendDebuggerCommand(this, 'Debugger.removeBreakpoint', {breakpointId});
+  requireDebuggerSession(this).session.removeBreakpoint(breakpointId);
+}
+
+/**
+ * Gets the breakpoints set in the current page.
+ *
+ * @returns The breakpoints.
+ */
+export function getBreakpoints(this: RemoteDebugger): Breakpoint[] {
+  return requireDebuggerSession(this).session.getBreakpoints();
+}
+
+/**
+ * Pauses the JavaScript execution of the current page as soon as possible.
+ * Use {@link waitForPause} to get the call frames once the page is paused.
+ */
+export async function pauseExecution(this: RemoteDebugger): Promise<void> {
+  this.log.debug('Pausing the JavaScript execution');
+  await sendDebuggerCommand(this, 'Debugger.pause');
+}
+
+/**
+ * Resumes the paused JavaScript execution of the current page.
+ */
+export async function resumeExecution(this: RemoteDebugger): Promise<void> {
+  await step(this, 'Debugger.resume');
+}
+
+/**
+ * Executes the current statement of the paused page and pauses at the next one.
+ */
+export async function stepOver(this: RemoteDebugger): Promise<void> {
+  await step(this, 'Debugger.stepOver');
+}
+
+/**
+ * Steps into the function called by the current statement of the paused page.
+ */
+export async function stepInto(this: RemoteDebugger): Promise<void> {
+  await step(this, 'Debugger.stepInto');
+}
+
+/**
+ * Steps out of the current function of the paused page.
+ */
+export async function stepOut(this: RemoteDebugger): Promise<void> {
+  await step(this, 'Debugger.stepOut');
+}
+
+/**
+ * Gets the state of the paused JavaScript execution of the current page.
+ *
+ * @returns The paused state with the call frames, or undefined if the page is not paused.
+ */
+export function getPausedState(this: RemoteDebugger): PausedState | undefined {
+  return requireDebuggerSession(this).session.pausedState;
+}
+
+/**
+ * Waits until the JavaScript execution of the current page is paused, e.g. because
+ * a breakpoint has been hit.
+ *
+ * @param timeoutMs - How long to wait, in milliseconds. Defaults to 5000.
+ * @returns The paused state with the call frames.
+ * @throws Error if the page has not been paused in time.
+ */
+export async function waitForPause(this: RemoteDebugger, timeoutMs: number = PAUSE_TIMEOUT_MS): Promise<PausedState> {
+  const {session} = requireDebuggerSession(this);
+  try {
+    await waitForCondition(() => !!session.pausedState, {
+      waitMs: timeoutMs,
+      intervalMs: PAUSE_CHECK_INTERVAL_MS,
+    });
+  } catch {
+    throw new Error(`The JavaScript execution has not been paused within ${timeoutMs}ms`);
+  }
+  return session.pausedState as PausedState;
+}
+
+/**
+ * Evaluates an expression in the context of a call frame of the paused page.
+ *
+ * @param callFrameId - The call frame identifier, as reported by {@link getPausedState}.
+ * @param expression - The expression to evaluate.
+ * @returns The value of the expression.
+ * @throws Error if the page is not paused or the expression throws.
+ */
+export async function evaluateOnCallFrame<R = any>(
+  this: RemoteDebugger,
+  callFrameId: string,
+  expression: string,
+): Promise<R> {
+  requirePausedState(this);
+  const res = await sendDebuggerCommand(this, 'Debugger.evaluateOnCallFrame', {
+    callFrameId,
+    expression,
+    returnByValue: true,
+  });
+  // values are unwrapped by the message handler, and only undefined results are left as remote objects
+  return (isRemoteObjectResult(res) ? undefined : res) as R;
+}
+
+/**
+ * Lists the variables of each scope of a call frame of the paused page,
+ * from the innermost to the outermost scope.
+ *
+ * @param callFrameId - The call frame identifier, as reported by {@link getPausedState}.
+ * @param opts - Scope variables options.
+ * @returns The variables of each scope.
+ * @throws Error if the page is not paused or the call frame is unknown.
+ */
+export async function getScopeVariables(
+  this: RemoteDebugger,
+  callFrameId: string,
+  opts: ScopeVariablesOptions = {},
+): Promise<ScopeVariables[]> {
+  const {includeGlobal = false} = opts;
+  const callFrame = requirePausedState(this).callFrames.find((frame) => frame.callFrameId === callFrameId);
+  if (!callFrame) {
+    throw new Error(`There is no call frame with id '${callFrameId}'`);
+  }
+  const result: ScopeVariables[] = [];
+  for (const {type, name, object, empty} of callFrame.scopeChain ?? []) {
+    if ((type === 'global' && !includeGlobal) || !object?.objectId) {
+      continue;
+    }
+    const variables: ScopeVariable[] = [];
+    if (!empty) {
+      const {properties = []} = await sendDebuggerCommand(this, 'Runtime.getProperties', {
+        objectId: object.objectId,
+        ownProperties: true,
+        generatePreview: true,
+      });
+      for (const property of properties) {
+        variables.push({
+          name: property.name,
+          value: property.value,
+          preview: property.value ? formatRemoteObject(property.value, true) : '(accessor)',
+        });
+      }
+    }
+    result.push({type, name, variables});
+  }
+  return result;
+}
+
+function getDebuggerSession(instance: RemoteDebugger, appIdKey: AppIdKey, pageIdKey: PageIdKey): DebuggerSession {
+  const key = `${appIdKey}/${pageIdKey}`;
+  getDebuggerSessions(instance)[key] ??= new DebuggerSession();
+  return getDebuggerSessions(instance)[key];
+}
+
+function requireDebuggerSession(instance: RemoteDebugger): {
+  appIdKey: AppIdKey;
+  pageIdKey: PageIdKey;
+  session: DebuggerSession;
+} {
+  const appIdKey = getAppIdKey(instance);
+  const pageIdKey = getPageIdKey(instance);
+  if (!appIdKey || pageIdKey === undefined) {
+    throw new Error('A page must be selected before its scripts could be debugged');
+  }
+  return {appIdKey, pageIdKey, session: getDebuggerSession(instance, appIdKey, pageIdKey)};
+}
+
+function requirePausedState(instance: RemoteDebugger): PausedState {
+  const pausedState = requireDebuggerSession(instance).session.pausedState;
+  if (!pausedState) {
+    throw new Error('The JavaScript execution is not paused');
+  }
+  return pausedState;
+}
+
+async function step(instance: RemoteDebugger, command: string): Promise<void> {
+  const {session} = requireDebuggerSession(instance);
+  requirePausedState(instance);
+  instance.log.debug(`Sending '${command}'`);
+  session.markResumed();
+  await sendDebuggerCommand(instance, command);
+}
+
+async function sendDebuggerCommand(instance: RemoteDebugger, command: string, opts: StringRecord = {}): Promise<any> {
+  const {appIdKey, pageIdKey} = requireDebuggerSession(instance);
+  const res = await instance.requireRpcClient(true).send(command, {appIdKey, pageIdKey, ...opts});
+  return checkProtocolResponse(command, res);
+}
+
+function isRemoteObjectResult(res: any): boolean {
+  return !!res && typeof res === 'object' && typeof res.result?.type === 'string' && 'wasThrown' in res;
+}
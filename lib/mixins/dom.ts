@@ -0,0 +1,255 @@
+import type {StringRecord} from '@appium/types';
+
+import {getAtom, getScriptForAtom} from '../atoms.js';
+import type {RemoteDebugger} from '../remote-debugger.js';
+import {checkProtocolResponse, convertJavascriptEvaluationResult} from '../utils/index.js';
+import {getAppIdKey, getDocumentNodeIds, getPageIdKey} from './property-accessors.js';
+
+const ELEMENT_KEY = 'ELEMENT';
+const W3C_ELEMENT_KEY = 'element-6066-11e4-a52e-4f735466cecf';
+const DEFAULT_HIGHLIGHT_CONFIG: HighlightConfig = {
+  showInfo: true,
+  contentColor: {r: 111, g: 168, b: 220, a: 0.66},
+  paddingColor: {r: 147, g: 196, b: 125, a: 0.55},
+  borderColor: {r: 255, g: 229, b: 153, a: 0.66},
+  marginColor: {r: 246, g: 178, b: 107, a: 0.66},
+};
+
+/**
+ * An element reference, as returned by atoms.
+ */
+export interface ElementHandle {
+  [ELEMENT_KEY]: string;
+  [W3C_ELEMENT_KEY]: string;
+}
+
+export interface RGBAColor {
+  r: number;
+  g: number;
+  b: number;
+  a?: number;
+}
+
+export interface HighlightConfig {
+  /** Whether to show the element info tooltip */
+  showInfo?: boolean;
+  contentColor?: RGBAColor;
+  paddingColor?: RGBAColor;
+  borderColor?: RGBAColor;
+  marginColor?: RGBAColor;
+}
+
+export interface QuerySelectorOptions {
+  /** The node to search in. Defaults to the document */
+  nodeId?: number;
+}
+
+/**
+ * Handles `DOM.documentUpdated`, after which all the node ids of the page are invalid
+ * and the document must be requested again. The event does not tell which page it
+ * comes from, so all the cached documents are dropped.
+ */
+export function onDocumentUpdated(this: RemoteDebugger): void {
+  const documentNodeIds = getDocumentNodeIds(this);
+  for (const key of Object.keys(documentNodeIds)) {
+    delete documentNodeIds[key];
+  }
+}
+
+/**
+ * Finds the first node matching a CSS selector with the DOM domain,
+ * without running any JavaScript in the page.
+ *
+ * @param selector - The CSS selector.
+ * @param opts - Query options.
+ * @returns The id of the matching node, or null if there is none.
+ */
+export async function querySelector(
+  this: RemoteDebugger,
+  selector: string,
+  opts: QuerySelectorOptions = {},
+): Promise<number | null> {
+  const {nodeId} = await queryNodes(this, 'DOM.querySelector', selector, opts);
+  return nodeId || null;
+}
+
+/**
+ * Finds all the nodes matching a CSS selector with the DOM domain,
+ * without running any JavaScript in the page.
+ *
+ * @param selector - The CSS selector.
+ * @param opts - Query options.
+ * @returns The ids of the matching nodes.
+ */
+export async function querySelectorAll(
+  this: RemoteDebugger,
+  selector: string,
+  opts: QuerySelectorOptions = {},
+): Promise<number[]> {
+  const {nodeIds} = await queryNodes(this, 'DOM.querySelectorAll', selector, opts);
+  return nodeIds ?? [];
+}
+
+/**
+ * Gets the markup of a node.
+ *
+ * @param nodeId - The node id.
+ * @returns The outer HTML of the node.
+ */
+export async function getOuterHTML(this: RemoteDebugger, nodeId: number): Promise<string> {
+  const {outerHTML} = await sendDomCommand(this, 'DOM.getOuterHTML', {nodeId});
+  return outerHTML;
+}
+
+/**
+ * Gets the attributes of an element node.
+ *
+ * @param nodeId - The node id.
+ * @returns The attribute values by attribute name.
+ */
+export async function getAttributes(this: RemoteDebugger, nodeId: number): Promise<StringRecord<string>> {
+  const {attributes = []} = await sendDomCommand(this, 'DOM.getAttributes', {nodeId});
+  // attributes come as a flat list of interleaved names and values
+  const result: StringRecord<string> = {};
+  for (let i = 0; i < attributes.length; i += 2) {
+    result[attributes[i]] = attributes[i + 1];
+  }
+  return result;
+}
+
+/**
+ * Converts a node id into an element handle, which could be passed to atoms.
+ * This requires running JavaScript in the page.
+ *
+ * @param nodeId - The id of an element node.
+ * @returns The element handle.
+ */
+export async function resolveNode(this: RemoteDebugger, nodeId: number): Promise<ElementHandle> {
+  const {object} = await sendDomCommand(this, 'DOM.resolveNode', {nodeId});
+  try {
+    const executeScript = (await getAtom('execute_script')).toString('utf8');
+    const res = await sendDomCommand(this, 'Runtime.callFunctionOn', {
+      objectId: object.objectId,
+      // the atom caches the element and wraps it into a handle
+      functionDeclaration: `function () { var node = this; return (${executeScript})(function () { return node; }, [], true); }`,
+      returnByValue: true,
+    });
+    return convertJavascriptEvaluationResult(res);
+  } finally {
+    await releaseObject(this, object.objectId);
+  }
+}
+
+/**
+ * Converts an element handle returned by atoms into a node id.
+ * This requires running JavaScript in the page.
+ *
+ * @param element - The element handle, or its key.
+ * @returns The node id.
+ */
+export async function requestNode(this: RemoteDebugger, element: ElementHandle | string): Promise<number> {
+  const key = typeof element === 'string' ? element : (element[W3C_ELEMENT_KEY] ?? element[ELEMENT_KEY]);
+  if (!key) {
+    throw new Error(`An element handle must be provided. '${JSON.stringify(element)}' has been given`);
+  }
+  const {result: object} = await sendDomCommand(this, 'Runtime.evaluate', {
+    expression: await getScriptForAtom('get_element_from_cache', [key]),
+    returnByValue: false,
+  });
+  if (!object?.objectId) {
+    throw new Error(`The element '${key}' cannot be found`);
+  }
+  try {
+    // the document must be requested before any node could be pushed to the client
+    await getDocumentNodeId(this);
+    const {nodeId} = await sendDomCommand(this, 'DOM.requestNode', {objectId: object.objectId});
+    return nodeId;
+  } finally {
+    await releaseObject(this, object.objectId);
+  }
+}
+
+/**
+ * Highlights a node in the page, the same way Web Inspector does it when the node is hovered.
+ *
+ * @param nodeId - The node id.
+ * @param config - How to highlight the node.
+ */
+export async function highlightNode(
+  this: RemoteDebugger,
+  nodeId: number,
+  config: HighlightConfig = DEFAULT_HIGHLIGHT_CONFIG,
+): Promise<void> {
+  await sendDomCommand(this, 'DOM.highlightNode', {nodeId, highlightConfig: config});
+}
+
+/**
+ * Removes the highlight set with {@link highlightNode}.
+ */
+export async function hideHighlight(this: RemoteDebugger): Promise<void> {
+  await sendDomCommand(this, 'DOM.hideHighlight');
+}
+
+/**
+ * Takes a screenshot of a node with `Page.snapshotNode`, without running any JavaScript in the page.
+ *
+ * @param nodeId - The node id.
+ * @returns A base64-encoded PNG image (without the data URL prefix).
+ */
+export async function snapshotNode(this: RemoteDebugger, nodeId: number): Promise<string> {
+  const {dataURL} = await sendDomCommand(this, 'Page.snapshotNode', {nodeId});
+  if (!dataURL) {
+    throw new Error(`Cannot take a snapshot of the node ${nodeId}`);
+  }
+  return dataURL.replace(/^data:image\/png;base64,/, '');
+}
+
+/**
+ * Gets the id of the document node of the current page. It is cached, because
+ * requesting the document invalidates all the node ids known so far.
+ */
+async function getDocumentNodeId(instance: RemoteDebugger, refresh = false): Promise<number> {
+  const key = `${getAppIdKey(instance)}/${getPageIdKey(instance)}`;
+  const documentNodeIds = getDocumentNodeIds(instance);
+  if (refresh || documentNodeIds[key] === undefined) {
+    const {root} = await sendDomCommand(instance, 'DOM.getDocument');
+    documentNodeIds[key] = root.nodeId;
+  }
+  return documentNodeIds[key];
+}
+
+async function queryNodes(
+  instance: RemoteDebugger,
+  command: string,
+  selector: string,
+  opts: QuerySelectorOptions,
+): Promise<StringRecord> {
+  if (opts.nodeId !== undefined) {
+    return await sendDomCommand(instance, command, {nodeId: opts.nodeId, selector});
+  }
+  try {
+    return await sendDomCommand(instance, command, {nodeId: await getDocumentNodeId(instance), selector});
+  } catch (err: any) {
+    // the cached document might belong to a target which is gone after a navigation
+    instance.log.debug(`Requesting the document again, as the query has failed: ${err.message}`);
+    return await sendDomCommand(instance, command, {nodeId: await getDocumentNodeId(instance, true), selector});
+  }
+}
+
+async function releaseObject(instance: RemoteDebugger, objectId: string): Promise<void> {
+  try {
+    await sendDomCommand(instance, 'Runtime.releaseObject', {objectId});
+  } catch (err: any) {
+    instance.log.debug(`Cannot release the remote object '${objectId}': ${err.message}`);
+  }
+}
+
+async function sendDomCommand(instance: RemoteDebugger, command: string, opts: StringRecord = {}): Promise<any> {
+  const appIdKey = getAppIdKey(instance);
+  const pageIdKey = getPageIdKey(instance);
+  if (!appIdKey || pageIdKey === undefined) {
+    throw new Error('A page must be selected before its DOM could be inspected');
+  }
+  const res = await instance.requireRpcClient(true).send(command, {appIdKey, pageIdKey, ...opts});
+  return checkProtocolResponse(command, res);
+}
@@ -0,0 +1,248 @@
+import type {StringRecord} from '@appium/types';
+
+import type {RemoteDebugger} from '../remote-debugger.js';
+import {checkProtocolResponse} from '../utils/index.js';
+import {getAppIdKey, getEmulations, getPageIdKey} from './property-accessors.js';
+
+export type EmulatedMedia = 'screen' | 'print';
+export type ColorScheme = 'light' | 'dark';
+export type ReducedMotion = 'reduce' | 'no-preference';
+export type ContrastPreference = 'more' | 'no-preference';
+export type NetworkConditionsPreset = keyof typeof NETWORK_CONDITIONS_PRESETS;
+
+export interface ViewportSize {
+  width: number;
+  height: number;
+}
+
+export interface NetworkConditions {
+  /** The maximum throughput of the page, in bytes per second */
+  bytesPerSecondLimit: number;
+}
+
+/**
+ * The overrides of {@link emulate}. Omitted options are left as they are, and `null`
+ * removes the override of an option.
+ */
+export interface EmulationOptions {
+  /** The screen size exposed to the page and its media queries, in CSS pixels */
+  viewport?: ViewportSize | null;
+  media?: EmulatedMedia | null;
+  colorScheme?: ColorScheme | null;
+  reducedMotion?: ReducedMotion | null;
+  contrast?: ContrastPreference | null;
+  javaScriptEnabled?: boolean | null;
+  imagesEnabled?: boolean | null;
+  cacheDisabled?: boolean | null;
+  /** A preset or a custom throughput limit. WebKit does not emulate the latency */
+  networkConditions?: NetworkConditionsPreset | NetworkConditions | null;
+}
+
+/** The overrides applied to a page */
+export type Emulation = {[K in keyof EmulationOptions]?: NonNullable<EmulationOptions[K]>};
+
+type EmulationName = keyof EmulationOptions;
+
+interface EmulationCommand {
+  method: string;
+  params: StringRecord;
+}
+
+interface EmulationFeature {
+  /** Throws if the value cannot be emulated */
+  validate: (value: any) => void;
+  /** The command applying the value, or removing the override if the value is null */
+  toCommand: (value: any) => EmulationCommand;
+}
+
+/**
+ * The throughput of common connections, in bytes per second.
+ */
+const NETWORK_CONDITIONS_PRESETS = {
+  edge: kilobitsToBytes(240),
+  '3g': kilobitsToBytes(780),
+  dsl: kilobitsToBytes(2000),
+  '4g': kilobitsToBytes(9000),
+  wifi: kilobitsToBytes(30000),
+} as const;
+
+const EMULATION_FEATURES: Record<EmulationName, EmulationFeature> = {
+  viewport: {
+    validate: (value: ViewportSize) => {
+      if (![value?.width, value?.height].every((size) => Number.isInteger(size) && size > 0)) {
+        throw new Error(`The viewport size must have positive integer dimensions. ${JSON.stringify(value)} was given`);
+      }
+    },
+    toCommand: (value: ViewportSize | null) => ({
+      method: 'Page.setScreenSizeOverride',
+      params: {width: value?.width, height: value?.height},
+    }),
+  },
+  media: {
+    validate: oneOf('media', ['screen', 'print']),
+    toCommand: (value: EmulatedMedia | null) => ({method: 'Page.setEmulatedMedia', params: {media: value ?? ''}}),
+  },
+  colorScheme: {
+    validate: oneOf('colorScheme', ['light', 'dark']),
+    toCommand: (value: ColorScheme | null) => toUserPreferenceCommand('PrefersColorScheme', value),
+  },
+  reducedMotion: {
+    validate: oneOf('reducedMotion', ['reduce', 'no-preference']),
+    toCommand: (value: ReducedMotion | null) => toUserPreferenceCommand('PrefersReducedMotion', value),
+  },
+  contrast: {
+    validate: oneOf('contrast', ['more', 'no-preference']),
+    toCommand: (value: ContrastPreference | null) => toUserPreferenceCommand('PrefersContrast', value),
+  },
+  javaScriptEnabled: {
+    validate: oneOf('javaScriptEnabled', [true, false]),
+    toCommand: (value: boolean | null) => toSettingCommand('ScriptEnabled', value),
+  },
+  imagesEnabled: {
+    validate: oneOf('imagesEnabled', [true, false]),
+    toCommand: (value: boolean | null) => toSettingCommand('ImagesEnabled', value),
+  },
+  cacheDisabled: {
+    validate: oneOf('cacheDisabled', [true, false]),
+    // the caching is enabled when the page gets initialized
+    toCommand: (value: boolean | null) => ({
+      method: 'Network.setResourceCachingDisabled',
+      params: {disabled: value ?? false},
+    }),
+  },
+  networkConditions: {
+    validate: (value: NetworkConditionsPreset | NetworkConditions) => {
+      if (typeof value === 'string') {
+        oneOf('networkConditions', Object.keys(NETWORK_CONDITIONS_PRESETS))(value);
+      } else if (!(Number.isInteger(value?.bytesPerSecondLimit) && value.bytesPerSecondLimit > 0)) {
+        throw new Error(
+          `The network conditions must be a preset or a positive integer 'bytesPerSecondLimit'. ` +
+            `${JSON.stringify(value)} was given`,
+        );
+      }
+    },
+    toCommand: (value: NetworkConditionsPreset | NetworkConditions | null) => ({
+      method: 'Network.setEmulatedConditions',
+      params: {
+        bytesPerSecondLimit: typeof value === 'string' ? NETWORK_CONDITIONS_PRESETS[value] : value?.bytesPerSecondLimit,
+      },
+    }),
+  },
+};
+
+/**
+ * Emulates the device and the environment of the current page. The overrides stay
+ * until they are removed, by passing `null` or with {@link resetEmulation}, or until
+ * the page is closed. All the options are validated before any of them gets applied.
+ *
+ * @param opts - The overrides to apply or to remove.
+ * @returns The overrides applied to the page.
+ * @throws Error if an option is invalid, no page is selected or WebKit rejects an override.
+ */
+export async function emulate(this: RemoteDebugger, opts: EmulationOptions): Promise<Emulation> {
+  const names = (Object.keys(opts) as EmulationName[]).filter((name) => opts[name] !== undefined);
+  const unknownNames = names.filter((name) => !(name in EMULATION_FEATURES));
+  if (unknownNames.length) {
+    throw new Error(
+      `Unknown emulation options: ${unknownNames.join(', ')}. ` +
+        `Only ${Object.keys(EMULATION_FEATURES).join(', ')} are supported`,
+    );
+  }
+  for (const name of names) {
+    if (opts[name] !== null) {
+      EMULATION_FEATURES[name].validate(opts[name]);
+    }
+  }
+
+  const emulation = getPageEmulation(this);
+  for (const name of names) {
+    const value = opts[name];
+    this.log.debug(`${value === null ? 'Removing the emulated' : 'Emulating the'} ${name}`);
+    await sendEmulationCommand(this, EMULATION_FEATURES[name].toCommand(value));
+    if (value === null) {
+      delete emulation[name];
+    } else {
+      (emulation as StringRecord)[name] = value;
+    }
+  }
+  return {...emulation};
+}
+
+/**
+ * Gets the overrides applied to the current page with {@link emulate}.
+ *
+ * @returns The overrides applied to the page.
+ */
+export function getEmulation(this: RemoteDebugger): Emulation {
+  return {...getPageEmulation(this)};
+}
+
+/**
+ * Removes all the overrides applied to the current page with {@link emulate}, so that
+ * they do not leak into the next test. Every override is removed, even if removing
+ * one of them fails.
+ *
+ * @throws Error naming the overrides which could not be removed. They are still
+ *         reported by {@link getEmulation}.
+ */
+export async function resetEmulation(this: RemoteDebugger): Promise<void> {
+  const emulation = getPageEmulation(this);
+  const failures: string[] = [];
+  for (const name of Object.keys(emulation) as EmulationName[]) {
+    try {
+      await sendEmulationCommand(this, EMULATION_FEATURES[name].toCommand(null));
+      delete emulation[name];
+    } catch (err: any) {
+      failures.push(`${name} (${err.message})`);
+    }
+  }
+  if (failures.length) {
+    throw new Error(`Cannot remove the emulated ${failures.join(', ')}`);
+  }
+}
+
+async function sendEmulationCommand(instance: RemoteDebugger, {method, params}: EmulationCommand): Promise<void> {
+  const res = await instance.requireRpcClient().send(method, {
+    appIdKey: getAppIdKey(instance),
+    pageIdKey: getPageIdKey(instance),
+    ...params,
+  });
+  checkProtocolResponse(method, res);
+}
+
+function getPageEmulation(instance: RemoteDebugger): Emulation {
+  const appIdKey = getAppIdKey(instance);
+  const pageIdKey = getPageIdKey(instance);
+  if (!appIdKey || !pageIdKey) {
+    throw new Error('A page must be selected before it could be emulated');
+  }
+  const key = `${appIdKey}/${pageIdKey}`;
+  const emulations = getEmulations(instance);
+  emulations[key] ??= {};
+  return emulations[key];
+}
+
+function toUserPreferenceCommand(name: string, value: string | null): EmulationCommand {
+  // the protocol values are the CSS values in PascalCase, e.g. 'NoPreference'
+  const preferenceValue = value?.replace(/(^|-)([a-z])/g, (_match, _dash, letter: string) => letter.toUpperCase());
+  return {method: 'Page.overrideUserPreference', params: {name, value: preferenceValue}};
+}
+
+function toSettingCommand(setting: string, value: boolean | null): EmulationCommand {
+  return {method: 'Page.overrideSetting', params: {setting, value: value ?? undefined}};
+}
+
+function oneOf(name: string, values: readonly unknown[]): (value: unknown) => void {
+  return (value) => {
+    if (!values.includes(value)) {
+      throw new Error(
+        `The ${name} emulation must be one of ${values.map((item) => JSON.stringify(item)).join(', ')}. ` +
+          `${JSON.stringify(value)} was given`,
+      );
+    }
+  };
+}
+
+function kilobitsToBytes(kilobitsPerSecond: number): number {
+  return (kilobitsPerSecond * 1000) / 8;
+}
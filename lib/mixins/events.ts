@@ -7,6 +7,8 @@ export const events = {
   EVENT_PAGE_CHANGE: 'remote_debugger_page_change',
   EVENT_FRAMES_DETACHED: 'remote_debugger_frames_detached',
   EVENT_DISCONNECT: 'remote_debugger_disconnect',
+  EVENT_RECONNECT: 'remote_debugger_reconnect',
+  EVENT_RECONNECT_ERROR: 'remote_debugger_reconnect_error',
 } as const;
 
 /**
@@ -32,6 +34,8 @@ export function removeClientEventListener(this: RemoteDebugger, eventName: strin
   for (const listener of getClientEventListeners(this)[eventName] || []) {
     this.requireRpcClient().off(eventName, listener);
   }
+  // removed listeners must not be registered again after reconnecting
+  delete getClientEventListeners(this)[eventName];
 }
 
 /**
@@ -0,0 +1,255 @@
+import nodeFs from 'node:fs';
+import path from 'node:path';
+import {Readable} from 'node:stream';
+import {pipeline} from 'node:stream/promises';
+
+import {withTimeout} from 'asyncbox';
+
+import {MemoryRecorder} from '../heap/index.js';
+import type {HeapSnapshot, MemoryUsageSummary} from '../heap/index.js';
+import type {RemoteDebugger} from '../remote-debugger.js';
+import type {EventListener} from '../types.js';
+import {checkProtocolResponse, TimeoutError} from '../utils/index.js';
+import {getAppIdKey, getHeapTrackings, getMemoryTrackings, getPageIdKey, getRcpClient} from './property-accessors.js';
+
+const MEMORY_EVENT = 'MemoryEvent';
+const HEAP_TRACKING_COMPLETE_TIMEOUT_MS = 30000;
+const SNAPSHOT_CHUNK_LENGTH = 1024 * 1024;
+
+export interface TakeHeapSnapshotOptions {
+  /**
+   * The file to save the snapshot to. Web Inspector imports it in the JavaScript
+   * Allocations timeline, where it is usually named with the `.heapsnapshot` extension
+   */
+  path?: string;
+}
+
+/**
+ * The snapshots taken by Web Inspector when the heap tracking starts and stops.
+ */
+export interface HeapTrackingResult {
+  start: HeapSnapshot;
+  end: HeapSnapshot;
+}
+
+/**
+ * A heap tracking in progress on a page.
+ */
+export interface HeapTracking {
+  listener: EventListener;
+  snapshots: Partial<HeapTrackingResult>;
+  /** Resolved once the snapshot of the end of the tracking has been received */
+  completed: Promise<void>;
+}
+
+/**
+ * A memory tracking in progress on a page.
+ */
+export interface MemoryTracking {
+  recorder: MemoryRecorder;
+  listener: EventListener;
+}
+
+/**
+ * Takes a snapshot of the JavaScript heap of the current page. JavaScriptCore
+ * collects the garbage before taking it, so it only has the live objects.
+ *
+ * @param opts - Snapshot options.
+ * @returns The snapshot.
+ * @throws Error if no page is selected, the snapshot fails or cannot be saved.
+ */
+export async function takeHeapSnapshot(
+  this: RemoteDebugger,
+  opts: TakeHeapSnapshotOptions = {},
+): Promise<HeapSnapshot> {
+  const appIdKey = getAppIdKey(this);
+  const pageIdKey = getPageIdKey(this);
+  if (!appIdKey || !pageIdKey) {
+    throw new Error('A page must be selected before its heap could be captured');
+  }
+  this.log.debug('Taking a heap snapshot');
+  const res = await this.requireRpcClient().send('Heap.snapshot', {appIdKey, pageIdKey});
+  const {timestamp, snapshotData} = checkProtocolResponse('Heap.snapshot', res) ?? {};
+  if (typeof snapshotData !== 'string') {
+    throw new Error('Web Inspector has not returned the heap snapshot data');
+  }
+  const snapshot: HeapSnapshot = {timestamp, snapshotData};
+  if (opts.path) {
+    await saveHeapSnapshot(snapshotData, opts.path);
+    this.log.debug(`Saved the heap snapshot of ${snapshotData.length} characters to '${opts.path}'`);
+    snapshot.path = opts.path;
+  }
+  return snapshot;
+}
+
+/**
+ * Starts tracking the JavaScript heap of the current page. Web Inspector takes a heap
+ * snapshot when the tracking starts and when it stops. Only one heap tracking could be
+ * active on a page at a time.
+ *
+ * @throws Error if the heap of the page is already tracked or no page is selected.
+ */
+export async function startHeapTracking(this: RemoteDebugger): Promise<void> {
+  const appIdKey = getAppIdKey(this);
+  const pageIdKey = getPageIdKey(this);
+  if (!appIdKey || !pageIdKey) {
+    throw new Error('A page must be selected before its heap could be tracked');
+  }
+  const key = `${appIdKey}/${pageIdKey}`;
+  // the trackings are kept by the debugger, so they are shared with the page handles
+  const trackings = getHeapTrackings(this);
+  if (trackings[key]) {
+    throw new Error(`The heap of the page '${pageIdKey}' is already tracked. Call stopHeapTracking() first`);
+  }
+
+  this.log.debug(`Starting to track the heap of the page '${pageIdKey}'`);
+  const rpcClient = this.requireRpcClient();
+  const snapshots: Partial<HeapTrackingResult> = {};
+  let onComplete: () => void = () => {};
+  const completed = new Promise<void>((resolve) => {
+    onComplete = () => resolve();
+  });
+  const listener: EventListener = (err, params, method, origin) => {
+    if (err || !params || !getRcpClient(this)?.isFromPage(origin, appIdKey, pageIdKey)) {
+      return;
+    }
+    if (method === 'Heap.trackingStart') {
+      snapshots.start = {timestamp: params.timestamp, snapshotData: params.snapshotData};
+    } else if (method === 'Heap.trackingComplete') {
+      snapshots.end = {timestamp: params.timestamp, snapshotData: params.snapshotData};
+      onComplete();
+    }
+  };
+  rpcClient.on(MEMORY_EVENT, listener);
+  trackings[key] = {listener, snapshots, completed};
+  try {
+    checkProtocolResponse('Heap.startTracking', await rpcClient.send('Heap.startTracking', {appIdKey, pageIdKey}));
+  } catch (err) {
+    // the client might have been replaced by a reconnection meanwhile
+    getRcpClient(this)?.off(MEMORY_EVENT, listener);
+    delete trackings[key];
+    throw err;
+  }
+}
+
+/**
+ * Stops the heap tracking of the current page started with {@link startHeapTracking}.
+ * The returned snapshots could be compared with `diffHeapSnapshots()` to find the objects
+ * which are not collected.
+ *
+ * @returns The snapshots of the start and of the end of the tracking.
+ * @throws Error if the heap of the page is not tracked, or if a snapshot has not been received.
+ */
+export async function stopHeapTracking(this: RemoteDebugger): Promise<HeapTrackingResult> {
+  const appIdKey = getAppIdKey(this);
+  const pageIdKey = getPageIdKey(this);
+  const key = `${appIdKey}/${pageIdKey}`;
+  const trackings = getHeapTrackings(this);
+  const tracking = trackings[key];
+  if (!tracking) {
+    throw new Error('The heap of the page is not tracked. Call startHeapTracking() first');
+  }
+  this.log.debug(`Stopping to track the heap of the page '${pageIdKey}'`);
+  delete trackings[key];
+  const rpcClient = this.requireRpcClient();
+  const {snapshots} = tracking;
+  try {
+    checkProtocolResponse('Heap.stopTracking', await rpcClient.send('Heap.stopTracking', {appIdKey, pageIdKey}));
+    await withTimeout(
+      tracking.completed,
+      HEAP_TRACKING_COMPLETE_TIMEOUT_MS,
+      new TimeoutError(`No heap snapshot has been received after ${HEAP_TRACKING_COMPLETE_TIMEOUT_MS}ms`),
+    );
+  } finally {
+    rpcClient.off(MEMORY_EVENT, tracking.listener);
+  }
+  const {start, end} = snapshots;
+  if (!start || !end) {
+    throw new Error(`Web Inspector has not sent the heap snapshot of the ${start ? 'end' : 'start'} of the tracking`);
+  }
+  return {start, end};
+}
+
+/**
+ * Starts tracking the memory used by the current page, by category, along with
+ * the memory pressure notifications and the garbage collections. Only one memory
+ * tracking could be active on a page at a time.
+ *
+ * @throws Error if the memory of the page is already tracked or no page is selected.
+ */
+export async function startMemoryTracking(this: RemoteDebugger): Promise<void> {
+  const appIdKey = getAppIdKey(this);
+  const pageIdKey = getPageIdKey(this);
+  if (!appIdKey || !pageIdKey) {
+    throw new Error('A page must be selected before its memory could be tracked');
+  }
+  const key = `${appIdKey}/${pageIdKey}`;
+  const trackings = getMemoryTrackings(this);
+  if (trackings[key]) {
+    throw new Error(`The memory of the page '${pageIdKey}' is already tracked. Call stopMemoryTracking() first`);
+  }
+
+  this.log.debug(`Starting to track the memory of the page '${pageIdKey}'`);
+  const rpcClient = this.requireRpcClient();
+  const recorder = new MemoryRecorder();
+  const listener: EventListener = (err, params, method, origin) => {
+    if (!err && params && method && getRcpClient(this)?.isFromPage(origin, appIdKey, pageIdKey)) {
+      recorder.handleEvent(method, params);
+    }
+  };
+  rpcClient.on(MEMORY_EVENT, listener);
+  trackings[key] = {recorder, listener};
+  try {
+    // the memory pressure is only reported by an enabled domain
+    for (const command of ['Memory.enable', 'Memory.startTracking']) {
+      checkProtocolResponse(command, await rpcClient.send(command, {appIdKey, pageIdKey}));
+    }
+  } catch (err) {
+    getRcpClient(this)?.off(MEMORY_EVENT, listener);
+    delete trackings[key];
+    throw err;
+  }
+}
+
+/**
+ * Stops the memory tracking of the current page started with {@link startMemoryTracking}.
+ *
+ * @returns The summary of the memory used during the tracking.
+ * @throws Error if the memory of the page is not tracked.
+ */
+export async function stopMemoryTracking(this: RemoteDebugger): Promise<MemoryUsageSummary> {
+  const appIdKey = getAppIdKey(this);
+  const pageIdKey = getPageIdKey(this);
+  const key = `${appIdKey}/${pageIdKey}`;
+  const trackings = getMemoryTrackings(this);
+  const tracking = trackings[key];
+  if (!tracking) {
+    throw new Error('The memory of the page is not tracked. Call startMemoryTracking() first');
+  }
+  this.log.debug(`Stopping to track the memory of the page '${pageIdKey}'`);
+  delete trackings[key];
+  const rpcClient = getRcpClient(this);
+  try {
+    // the session might have been already disconnected
+    if (rpcClient?.isConnected) {
+      const res = await rpcClient.send('Memory.stopTracking', {appIdKey, pageIdKey});
+      checkProtocolResponse('Memory.stopTracking', res);
+    }
+  } finally {
+    rpcClient?.off(MEMORY_EVENT, tracking.listener);
+  }
+  return tracking.recorder.getSummary();
+}
+
+/**
+ * Writes the snapshot in chunks, as snapshots of large pages take hundreds of megabytes.
+ */
+async function saveHeapSnapshot(snapshotData: string, filePath: string): Promise<void> {
+  await nodeFs.promises.mkdir(path.dirname(filePath), {recursive: true});
+  const chunks = function* () {
+    for (let offset = 0; offset < snapshotData.length; offset += SNAPSHOT_CHUNK_LENGTH) {
+      yield snapshotData.slice(offset, offset + SNAPSHOT_CHUNK_LENGTH);
+    }
+  };
+  await pipeline(Readable.from(chunks()), nodeFs.createWriteStream(filePath));
+}
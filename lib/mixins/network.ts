@@ -0,0 +1,355 @@
+import {util} from '@appium/support';
+import type {StringRecord} from '@appium/types';
+
+import type {RemoteDebugger} from '../remote-debugger.js';
+import {
+  NetworkRecorder,
+  isSamePattern,
+  matchesPattern,
+  toInterceptionCommand,
+  toProtocolPattern,
+} from '../network/index.js';
+import type {
+  Har,
+  InterceptedRequest,
+  Interception,
+  InterceptionAction,
+  InterceptionOptions,
+  InterceptionStage,
+  ResponseBody,
+} from '../network/index.js';
+import type {RpcClient} from '../rpc/rpc-client.js';
+import type {AppIdKey, EventListener, MessageOrigin, PageIdKey} from '../types.js';
+import {checkProtocolResponse, getModuleProperties} from '../utils/index.js';
+import {
+  getAppIdKey,
+  getInterceptionListeners,
+  getInterceptionLock,
+  getInterceptions,
+  getNetworkRecorder,
+  getPageIdKey,
+  getRcpClient,
+  setInterceptionListeners,
+  setNetworkRecorder,
+} from './property-accessors.js';
+
+const NETWORK_EVENT = 'NetworkEvent';
+const INTERCEPTION_EVENTS: Record<InterceptionStage, string> = {
+  request: 'Network.requestIntercepted',
+  response: 'Network.responseIntercepted',
+};
+const HAR_CREATOR_NAME = 'appium-remote-debugger';
+
+/**
+ * Options for HAR capture.
+ */
+export interface HarCaptureOptions {
+  /**
+   * Whether to retrieve response bodies with `Network.getResponseBody`
+   * and store them in the archive. Defaults to false.
+   */
+  captureContent?: boolean;
+}
+
+/**
+ * Starts assembling network events of the current session into an HTTP Archive.
+ * Only one capture could be active at a time.
+ *
+ * @param opts - HAR capture options.
+ * @throws Error if a HAR capture is already in progress.
+ */
+export async function startHarCapture(this: RemoteDebugger, opts: HarCaptureOptions = {}): Promise<void> {
+  if (getNetworkRecorder(this)) {
+    throw new Error('HAR capture is already in progress. Call stopHarCapture() first');
+  }
+  const {captureContent = false} = opts;
+  this.log.debug(`Starting HAR capture${captureContent ? ' with response bodies' : ''}`);
+
+  const recorder = new NetworkRecorder({
+    creator: {name: HAR_CREATOR_NAME, version: getModuleProperties().version},
+    captureContent,
+    getResponseBody: async (requestId: string, origin: MessageOrigin): Promise<ResponseBody> =>
+      await getResponseBody(this, requestId, origin),
+    log: this.log,
+  });
+  const listener: EventListener = (err, event, method, origin) => {
+    if (!err && event && method) {
+      recorder.handleEvent(method, event, origin);
+    }
+  };
+  this.requireRpcClient().on(NETWORK_EVENT, listener);
+  setNetworkRecorder(this, {recorder, listener});
+}
+
+/**
+ * Stops the HAR capture started with {@link startHarCapture}.
+ * Waits for pending response bodies to be retrieved.
+ *
+ * @returns The captured HTTP Archive.
+ * @throws Error if no HAR capture is in progress.
+ */
+export async function stopHarCapture(this: RemoteDebugger): Promise<Har> {
+  const capture = getNetworkRecorder(this);
+  if (!capture) {
+    throw new Error('HAR capture has not been started. Call startHarCapture() first');
+  }
+  this.log.debug('Stopping HAR capture');
+  setNetworkRecorder(this, undefined);
+  // the session might have been already disconnected
+  getRcpClient(this)?.off(NETWORK_EVENT, capture.listener);
+  const har = await capture.recorder.toHar();
+  this.log.debug(`Captured ${util.pluralize('entry', har.log.entries.length, true)} into the HAR`);
+  return har;
+}
+
+/**
+ * Starts intercepting requests of the current page whose URL matches the given pattern.
+ * The handler decides whether each intercepted request is continued, modified, failed,
+ * or fulfilled with a canned response. If several interceptions match a request,
+ * the most recently added one handles it.
+ *
+ * @param opts - Interception options.
+ * @returns The identifier of the interception, to be used with {@link removeInterception}.
+ * @throws Error if no page is selected or the options are invalid.
+ */
+export async function addInterception(this: RemoteDebugger, opts: InterceptionOptions): Promise<string> {
+  const {handler} = opts;
+  if (typeof handler !== 'function') {
+    throw new Error('An interception handler function must be provided');
+  }
+  const appIdKey = getAppIdKey(this);
+  const pageIdKey = getPageIdKey(this);
+  if (!appIdKey || !pageIdKey) {
+    throw new Error('A page must be selected before network requests could be intercepted');
+  }
+  const pattern = toProtocolPattern(opts);
+  const interception: Interception = {id: util.uuidV4(), appIdKey, pageIdKey, handler, ...pattern};
+  this.log.debug(
+    `Intercepting ${pattern.stage}s matching ${pattern.isRegex ? 'regex ' : ''}'${pattern.url}' ` +
+      `on page '${pageIdKey}' of app '${appIdKey}'`,
+  );
+
+  const rpcClient = this.requireRpcClient();
+  const lock = getInterceptionLock(this);
+  try {
+    // whether the interception is enabled and which patterns are added depends on the interceptions of the page
+    await lock.acquire(toInterceptionLockKey(interception), async () => {
+      const interceptions = getInterceptions(this);
+      const pageInterceptions = interceptions.filter((item) => isSamePage(item, interception));
+      if (!getInterceptionListeners(this)) {
+        addInterceptionListeners(this, rpcClient);
+      }
+      let isEnabled = pageInterceptions.length > 0;
+      try {
+        if (!isEnabled) {
+          await setInterceptionEnabled(rpcClient, appIdKey, pageIdKey, true);
+          isEnabled = true;
+        }
+        if (!pageInterceptions.some((item) => isSamePattern(item, pattern))) {
+          const res = await rpcClient.send('Network.addInterception', {appIdKey, pageIdKey, ...pattern});
+          checkProtocolResponse('Network.addInterception', res);
+        }
+      } catch (err) {
+        // leave the page as it was before the call
+        if (isEnabled && pageInterceptions.length === 0) {
+          try {
+            await setInterceptionEnabled(rpcClient, appIdKey, pageIdKey, false);
+          } catch (e: any) {
+            this.log.debug(`Cannot disable the interception on page '${pageIdKey}' of app '${appIdKey}': ${e.message}`);
+          }
+        }
+        throw err;
+      }
+      interceptions.push(interception);
+    });
+  } catch (err) {
+    // the listeners are shared by all the pages, so they are kept while other interceptions are being added
+    if (getInterceptions(this).length === 0 && !lock.isBusy()) {
+      removeInterceptionListeners(this);
+    }
+    throw err;
+  }
+  return interception.id;
+}
+
+/**
+ * Stops an interception added with {@link addInterception}.
+ * Interception is disabled for the page once its last interception is removed.
+ * The interception is kept if Web Inspector fails to remove it.
+ *
+ * @param id - The interception identifier.
+ * @throws Error if there is no interception with the given identifier.
+ */
+export async function removeInterception(this: RemoteDebugger, id: string): Promise<void> {
+  const interception = getInterceptions(this).find((item) => item.id === id);
+  if (!interception) {
+    throw new Error(`There is no network interception with id '${id}'`);
+  }
+  const lock = getInterceptionLock(this);
+  await lock.acquire(toInterceptionLockKey(interception), async () => {
+    const interceptions = getInterceptions(this);
+    // it might have been removed by a concurrent call
+    if (!interceptions.includes(interception)) {
+      throw new Error(`There is no network interception with id '${id}'`);
+    }
+    const {appIdKey, pageIdKey} = interception;
+    this.log.debug(`Removing the interception of '${interception.url}' on page '${pageIdKey}' of app '${appIdKey}'`);
+
+    const rpcClient = this.requireRpcClient();
+    const pageInterceptions = interceptions.filter((item) => item !== interception && isSamePage(item, interception));
+    if (!pageInterceptions.some((item) => isSamePattern(item, interception))) {
+      const {url, caseSensitive, isRegex, stage} = interception;
+      const res = await rpcClient.send('Network.removeInterception', {
+        appIdKey,
+        pageIdKey,
+        url,
+        caseSensitive,
+        isRegex,
+        stage,
+      });
+      checkProtocolResponse('Network.removeInterception', res);
+    }
+    if (pageInterceptions.length === 0) {
+      await setInterceptionEnabled(rpcClient, appIdKey, pageIdKey, false);
+    }
+    interceptions.splice(interceptions.indexOf(interception), 1);
+  });
+  if (getInterceptions(this).length === 0 && !lock.isBusy()) {
+    removeInterceptionListeners(this);
+  }
+}
+
+/**
+ * Stops all the network interceptions.
+ */
+export async function removeAllInterceptions(this: RemoteDebugger): Promise<void> {
+  // removal mutates the list of interceptions
+  const ids = getInterceptions(this).map(({id}) => id);
+  for (const id of ids) {
+    await this.removeInterception(id);
+  }
+}
+
+/**
+ * Gets the response body of a request from the page it comes from, which is not necessarily
+ * the selected one.
+ */
+async function getResponseBody(rd: RemoteDebugger, requestId: string, origin: MessageOrigin): Promise<ResponseBody> {
+  const rpcClient = rd.requireRpcClient();
+  const appIdKey = origin.appIdKey ?? getAppIdKey(rd);
+  const res = await rpcClient.send('Network.getResponseBody', {
+    appIdKey,
+    pageIdKey: rpcClient.getPageIdKeyForTarget(appIdKey, origin.targetId) ?? getPageIdKey(rd),
+    targetId: origin.targetId,
+    requestId,
+  });
+  return checkProtocolResponse('Network.getResponseBody', res);
+}
+
+/**
+ * Finds the interception responsible for an intercepted request and answers
+ * the request with the action chosen by its handler. The request is continued
+ * if the handler fails, so the page is never left hanging.
+ */
+async function handleInterceptedRequest(
+  this: RemoteDebugger,
+  stage: InterceptionStage,
+  params: StringRecord,
+  origin: MessageOrigin = {},
+): Promise<void> {
+  const intercepted: InterceptedRequest = {
+    requestId: params.requestId,
+    stage,
+    url: (stage === 'request' ? params.request?.url : params.response?.url) ?? '',
+    ...(stage === 'request' ? {request: params.request} : {response: params.response}),
+  };
+  const rpcClient = getRcpClient(this);
+  if (!rpcClient) {
+    return;
+  }
+  const appIdKey = origin.appIdKey ?? getAppIdKey(this);
+  // provisional targets are not mapped to pages yet, so any page of the app could be matched then
+  const pageIdKey = rpcClient.getPageIdKeyForTarget(appIdKey, origin.targetId);
+  const candidates = getInterceptions(this).filter(
+    (item) =>
+      String(item.appIdKey) === String(appIdKey) &&
+      (pageIdKey === undefined || String(item.pageIdKey) === String(pageIdKey)) &&
+      item.stage === stage &&
+      matchesPattern(item, intercepted.url),
+  );
+  const interception = candidates.at(-1);
+  const sendOpts = {
+    appIdKey: interception?.appIdKey ?? appIdKey,
+    pageIdKey: interception?.pageIdKey ?? pageIdKey ?? getPageIdKey(this),
+    targetId: origin.targetId,
+  };
+
+  let action: InterceptionAction = {action: 'continue'};
+  if (interception) {
+    try {
+      action = (await interception.handler(intercepted)) || action;
+    } catch (err: any) {
+      this.log.warn(`The interception handler of '${intercepted.url}' has failed, continuing: ${err.message}`);
+    }
+  } else {
+    this.log.debug(`No interception matches the ${stage} of '${intercepted.url}', continuing`);
+  }
+
+  try {
+    const [command, commandParams] = toInterceptionCommand(intercepted, action);
+    checkProtocolResponse(command, await rpcClient.send(command, {...sendOpts, ...commandParams}));
+  } catch (err: any) {
+    this.log.warn(`Cannot apply the '${action.action}' action to '${intercepted.url}': ${err.message}`);
+    if (action.action !== 'continue') {
+      try {
+        const res = await rpcClient.send('Network.interceptContinue', {
+          ...sendOpts,
+          requestId: intercepted.requestId,
+          stage,
+        });
+        checkProtocolResponse('Network.interceptContinue', res);
+      } catch (e: any) {
+        this.log.warn(`Cannot continue the intercepted ${stage} of '${intercepted.url}': ${e.message}`);
+      }
+    }
+  }
+}
+
+async function setInterceptionEnabled(
+  rpcClient: RpcClient,
+  appIdKey: AppIdKey,
+  pageIdKey: PageIdKey,
+  enabled: boolean,
+): Promise<void> {
+  const res = await rpcClient.send('Network.setInterceptionEnabled', {appIdKey, pageIdKey, enabled});
+  checkProtocolResponse('Network.setInterceptionEnabled', res);
+}
+
+function addInterceptionListeners(rd: RemoteDebugger, rpcClient: RpcClient): void {
+  const listeners: Record<string, EventListener> = {};
+  for (const [stage, eventName] of Object.entries(INTERCEPTION_EVENTS)) {
+    listeners[eventName] = (err, params, origin) => {
+      if (!err && params) {
+        void handleInterceptedRequest.call(rd, stage as InterceptionStage, params, origin as MessageOrigin);
+      }
+    };
+    rpcClient.on(eventName, listeners[eventName]);
+  }
+  setInterceptionListeners(rd, listeners);
+}
+
+function removeInterceptionListeners(rd: RemoteDebugger): void {
+  const rpcClient = getRcpClient(rd);
+  for (const [eventName, listener] of Object.entries(getInterceptionListeners(rd) ?? {})) {
+    rpcClient?.off(eventName, listener);
+  }
+  setInterceptionListeners(rd, undefined);
+}
+
+function isSamePage(a: Interception, b: Interception): boolean {
+  return String(a.appIdKey) === String(b.appIdKey) && String(a.pageIdKey) === String(b.pageIdKey);
+}
+
+function toInterceptionLockKey({appIdKey, pageIdKey}: Interception): string {
+  return `${appIdKey}/${pageIdKey}`;
+}
@@ -0,0 +1,77 @@
+import type {StringRecord} from '@appium/types';
+
+import type {RemoteDebugger} from '../remote-debugger.js';
+import {RemotePage} from '../remote-page.js';
+import type {AppIdKey, MessageOrigin, PageIdKey} from '../types.js';
+import {getPageHandles, getRcpClient} from './property-accessors.js';
+
+/**
+ * Gets a handle to a page, which could be driven independently of the selected page
+ * and of the other handles. The page gets initialized if it has not been yet,
+ * while the other pages stay initialized.
+ *
+ * @param appIdKey - The application identifier key.
+ * @param pageIdKey - The page identifier key.
+ * @param skipReadyCheck - If true, skips waiting for the page to be ready.
+ * @returns The handle to the page. The same handle is returned for the same page.
+ */
+export async function page(
+  this: RemoteDebugger,
+  appIdKey: AppIdKey,
+  pageIdKey: PageIdKey,
+  skipReadyCheck: boolean = false,
+): Promise<RemotePage> {
+  const fullAppIdKey = `${appIdKey}`.startsWith('PID:') ? `${appIdKey}` : `PID:${appIdKey}`;
+  const pageReadinessDetector = skipReadyCheck
+    ? undefined
+    : {
+        timeoutMs: this.pageLoadMs,
+        readinessDetector: (readyState: string) => this.isPageLoadingCompleted(readyState),
+      };
+  this.log.debug(`Getting a handle to page '${pageIdKey}' on app '${fullAppIdKey}'`);
+  await this.requireRpcClient().selectPage(fullAppIdKey, pageIdKey, pageReadinessDetector);
+
+  const handles = getPageHandles(this);
+  const key = toPageHandleKey(fullAppIdKey, pageIdKey);
+  handles[key] ??= new RemotePage(this, fullAppIdKey, pageIdKey);
+  return handles[key];
+}
+
+/**
+ * Gets the handles created with {@link page}.
+ *
+ * @returns The page handles, in creation order.
+ */
+export function getPages(this: RemoteDebugger): RemotePage[] {
+  return Object.values(getPageHandles(this));
+}
+
+/**
+ * Handles the aggregated `TargetEvent` by re-emitting the event from the handle
+ * of the page the target belongs to, if there is one.
+ *
+ * @param err - Error object if an error occurred, null or undefined otherwise.
+ * @param method - The name of the event.
+ * @param params - The event parameters.
+ * @param origin - The application and target the event comes from.
+ */
+export function onTargetEvent(
+  this: RemoteDebugger,
+  err: Error | null | undefined,
+  method: string,
+  params: StringRecord | undefined,
+  origin: MessageOrigin = {},
+): void {
+  if (err || !origin.appIdKey) {
+    return;
+  }
+  const pageIdKey = getRcpClient(this)?.getPageIdKeyForTarget(origin.appIdKey, origin.targetId);
+  if (pageIdKey === undefined) {
+    return;
+  }
+  getPageHandles(this)[toPageHandleKey(origin.appIdKey, pageIdKey)]?.emit(method, params);
+}
+
+function toPageHandleKey(appIdKey: AppIdKey, pageIdKey: PageIdKey): string {
+  return `${appIdKey}/${pageIdKey}`;
+}
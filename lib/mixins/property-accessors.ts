@@ -9,6 +9,11 @@ export function getAppDict(instance: RemoteDebugger): (typeof instance)['_appDic
   return instance['_appDict'];
 }
 
+/** Sets the app dictionary. */
+export function setAppDict(instance: RemoteDebugger, value: (typeof instance)['_appDict']): void {
+  instance['_appDict'] = value;
+}
+
 /** Gets the currently selected application id key. */
 export function getAppIdKey(instance: RemoteDebugger): (typeof instance)['_appIdKey'] {
   return instance['_appIdKey'];
@@ -123,3 +128,96 @@ export function getPageLoadStartegy(instance: RemoteDebugger): (typeof instance)
 export function getPageReadyTimeout(instance: RemoteDebugger): (typeof instance)['_pageReadyTimeout'] {
   return instance['_pageReadyTimeout'];
 }
+
+/** Gets the active HAR capture, if any. */
+export function getNetworkRecorder(instance: RemoteDebugger): (typeof instance)['_networkRecorder'] {
+  return instance['_networkRecorder'];
+}
+
+/** Sets the active HAR capture. */
+export function setNetworkRecorder(instance: RemoteDebugger, value: (typeof instance)['_networkRecorder']): void {
+  instance['_networkRecorder'] = value;
+}
+
+/** Gets the collector of console messages. */
+export function getConsoleCollector(instance: RemoteDebugger): (typeof instance)['_consoleCollector'] {
+  return instance['_consoleCollector'];
+}
+
+/** Gets the Debugger domain state of each inspected page. */
+export function getDebuggerSessions(instance: RemoteDebugger): (typeof instance)['_debuggerSessions'] {
+  return instance['_debuggerSessions'];
+}
+
+/** Gets the handles of the pages driven independently. */
+export function getPageHandles(instance: RemoteDebugger): (typeof instance)['_pageHandles'] {
+  return instance['_pageHandles'];
+}
+
+/** Gets the cached document node ids of the inspected pages. */
+export function getDocumentNodeIds(instance: RemoteDebugger): (typeof instance)['_documentNodeIds'] {
+  return instance['_documentNodeIds'];
+}
+
+/** Gets the emulation overrides applied to the inspected pages. */
+export function getEmulations(instance: RemoteDebugger): (typeof instance)['_emulations'] {
+  return instance['_emulations'];
+}
+
+/** Gets the active network interceptions. */
+export function getInterceptions(instance: RemoteDebugger): (typeof instance)['_interceptions'] {
+  return instance['_interceptions'];
+}
+
+/** Gets the lock serializing the changes of the network interceptions of each page. */
+export function getInterceptionLock(instance: RemoteDebugger): (typeof instance)['_interceptionLock'] {
+  return instance['_interceptionLock'];
+}
+
+/** Gets the listeners of intercepted network requests, if registered. */
+export function getInterceptionListeners(instance: RemoteDebugger): (typeof instance)['_interceptionListeners'] {
+  return instance['_interceptionListeners'];
+}
+
+/** Sets the listeners of intercepted network requests. */
+export function setInterceptionListeners(
+  instance: RemoteDebugger,
+  value: (typeof instance)['_interceptionListeners'],
+): void {
+  instance['_interceptionListeners'] = value;
+}
+
+/** Gets the policy of re-establishing a lost connection, if configured. */
+export function getReconnectOptions(instance: RemoteDebugger): (typeof instance)['_reconnectOptions'] {
+  return instance['_reconnectOptions'];
+}
+
+/** Gets the state of the reconnection in progress, if any. */
+export function getReconnection(instance: RemoteDebugger): (typeof instance)['_reconnection'] {
+  return instance['_reconnection'];
+}
+
+/** Sets the state of the reconnection in progress. */
+export function setReconnection(instance: RemoteDebugger, value: (typeof instance)['_reconnection']): void {
+  instance['_reconnection'] = value;
+}
+
+/** Gets the tracing sessions in progress on the inspected pages. */
+export function getTracingSessions(instance: RemoteDebugger): (typeof instance)['_tracingSessions'] {
+  return instance['_tracingSessions'];
+}
+
+/** Gets the recorders of the last finished tracing sessions of the inspected pages. */
+export function getLastTraceRecorders(instance: RemoteDebugger): (typeof instance)['_lastTraceRecorders'] {
+  return instance['_lastTraceRecorders'];
+}
+
+/** Gets the heap trackings in progress on the inspected pages. */
+export function getHeapTrackings(instance: RemoteDebugger): (typeof instance)['_heapTrackings'] {
+  return instance['_heapTrackings'];
+}
+
+/** Gets the memory trackings in progress on the inspected pages. */
+export function getMemoryTrackings(instance: RemoteDebugger): (typeof instance)['_memoryTrackings'] {
+  return instance['_memoryTrackings'];
+}
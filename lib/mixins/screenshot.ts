@@ -1,43 +1,186 @@
-import type {Rect} from '@appium/types';
+import {util} from '@appium/support';
+import type {Element, Rect} from '@appium/types';
+import type {Sharp} from 'sharp';
 
 import type {RemoteDebugger} from '../remote-debugger.js';
 import {getAppIdKey, getPageIdKey} from './property-accessors.js';
 
+// WebKit fails to render snapshots which are too large, so bigger areas are captured in tiles
+export const MAX_SNAPSHOT_TILE_SIZE = 4096;
+const DEFAULT_JPEG_QUALITY = 80;
+const VIEWPORT_RECT_SCRIPT = 'return {x: 0, y: 0, width: window.innerWidth, height: window.innerHeight}';
+const DOCUMENT_SIZE_SCRIPT = `
+  var root = document.documentElement;
+  var body = document.body || root;
+  return {
+    width: Math.max(root.scrollWidth, body.scrollWidth, root.clientWidth),
+    height: Math.max(root.scrollHeight, body.scrollHeight, root.clientHeight)
+  };
+`;
+// the element rect is relative to its own frame, so the offsets of all parent frames are added
+const ELEMENT_RECT_SCRIPT = `
+  var el = arguments[0];
+  var rect = el.getBoundingClientRect();
+  var x = rect.left;
+  var y = rect.top;
+  var win = el.ownerDocument.defaultView;
+  while (win.frameElement) {
+    var frameRect = win.frameElement.getBoundingClientRect();
+    x += frameRect.left + win.frameElement.clientLeft;
+    y += frameRect.top + win.frameElement.clientTop;
+    win = win.parent;
+  }
+  return {x: x + win.pageXOffset, y: y + win.pageYOffset, width: rect.width, height: rect.height};
+`;
+
+/**
+ * Options for encoding a screenshot.
+ */
+export interface ScreenshotImageOptions {
+  /** The image format. Defaults to 'png'. */
+  format?: 'png' | 'jpeg';
+  /** The JPEG quality, from 1 to 100. Defaults to 80. */
+  quality?: number;
+  /**
+   * The number of image pixels per CSS pixel. By default, the image keeps
+   * the device pixel ratio of the screen.
+   */
+  scale?: number;
+}
+
 /**
  * Options for capturing a screenshot.
  */
-export interface ScreenshotCaptureOptions {
+export interface ScreenshotCaptureOptions extends ScreenshotImageOptions {
   /** The rectangle to capture. If null, captures the whole viewport. */
   rect?: Rect | null;
   /** The coordinate system to use for the rectangle. */
   coordinateSystem?: 'Viewport' | 'Page';
+  /** Whether to capture the whole scrollable document. If true, `rect` is ignored. */
+  fullPage?: boolean;
 }
 
 /**
- * Captures a screenshot of a rectangular area of the page or the entire viewport.
+ * Options for capturing a screenshot of an element.
+ */
+export interface ElementScreenshotOptions extends ScreenshotImageOptions {
+  /** The frames the element belongs to, as passed to atoms. */
+  frames?: string[];
+}
+
+/**
+ * Captures a screenshot of a rectangular area of the page, the entire viewport or the whole document.
  * If no rectangle is provided, captures the full viewport by default.
  *
  * @param opts - Screenshot capture options. If not provided, captures the entire viewport.
  *               - rect: The rectangle to capture. If null, captures the whole viewport.
  *               - coordinateSystem: The coordinate system to use ('Viewport' or 'Page').
  *                                  Defaults to 'Viewport'.
+ *               - fullPage: Whether to capture the whole scrollable document.
+ *               - format, quality, scale: How to encode the image.
  * @returns A promise that resolves to a base64-encoded string of the screenshot
  *          (without the data URL prefix).
  */
 export async function captureScreenshot(this: RemoteDebugger, opts: ScreenshotCaptureOptions = {}): Promise<string> {
-  const {rect = null, coordinateSystem = 'Viewport'} = opts;
-  this.log.debug('Capturing screenshot');
+  const {rect = null, coordinateSystem = 'Viewport', fullPage = false, ...imageOpts} = opts;
+  validateImageOptions(imageOpts);
 
-  const arect =
-    rect ??
-    (await this.executeAtom<Rect>('execute_script', [
-      'return {x: 0, y: 0, width: window.innerWidth, height: window.innerHeight}',
+  if (fullPage) {
+    this.log.debug('Capturing full page screenshot');
+    const {width, height} = await this.executeAtom<Pick<Rect, 'width' | 'height'>>('execute_script', [
+      DOCUMENT_SIZE_SCRIPT,
       [],
-    ]));
-  const response = await this.requireRpcClient().send('Page.snapshotRect', {
-    ...arect,
-    appIdKey: getAppIdKey(this),
-    pageIdKey: getPageIdKey(this),
+    ]);
+    return await captureArea(this, {x: 0, y: 0, width, height}, 'Page', imageOpts);
+  }
+
+  this.log.debug('Capturing screenshot');
+  const arect = rect ?? (await this.executeAtom<Rect>('execute_script', [VIEWPORT_RECT_SCRIPT, []]));
+  return await captureArea(this, arect, coordinateSystem, imageOpts);
+}
+
+/**
+ * Captures a screenshot of an element, even if it is scrolled out of the viewport.
+ *
+ * @param element - The element handle returned by atoms, or its id.
+ * @param opts - Screenshot capture options.
+ *               - frames: The frames the element belongs to.
+ *               - format, quality, scale: How to encode the image.
+ * @returns A promise that resolves to a base64-encoded string of the screenshot
+ *          (without the data URL prefix).
+ */
+export async function captureElementScreenshot(
+  this: RemoteDebugger,
+  element: Element | string,
+  opts: ElementScreenshotOptions = {},
+): Promise<string> {
+  const {frames = [], ...imageOpts} = opts;
+  validateImageOptions(imageOpts);
+
+  const elementId = util.unwrapElement(element);
+  this.log.debug(`Capturing screenshot of the element '${elementId}'`);
+  const rect = await this.executeAtom<Rect>(
+    'execute_script',
+    [ELEMENT_RECT_SCRIPT, [util.wrapElement(elementId)]],
+    frames,
+  );
+  if (!rect.width || !rect.height) {
+    throw new Error(`Cannot capture a screenshot of the element '${elementId}', because it has no size`);
+  }
+  return await captureArea(this, rect, 'Page', imageOpts);
+}
+
+/**
+ * Splits a rectangle into tiles WebKit is able to render.
+ *
+ * @param rect - The rectangle to split.
+ * @param maxSize - The maximum width and height of a tile.
+ * @returns The tiles, row by row.
+ */
+export function splitIntoTiles(rect: Rect, maxSize: number = MAX_SNAPSHOT_TILE_SIZE): Rect[] {
+  const tiles: Rect[] = [];
+  for (let dy = 0; dy < rect.height; dy += maxSize) {
+    for (let dx = 0; dx < rect.width; dx += maxSize) {
+      tiles.push({
+        x: rect.x + dx,
+        y: rect.y + dy,
+        width: Math.min(maxSize, rect.width - dx),
+        height: Math.min(maxSize, rect.height - dy),
+      });
+    }
+  }
+  return tiles;
+}
+
+async function captureArea(
+  instance: RemoteDebugger,
+  rect: Rect,
+  coordinateSystem: 'Viewport' | 'Page',
+  opts: ScreenshotImageOptions,
+): Promise<string> {
+  const tiles = splitIntoTiles(rect);
+  if (tiles.length > 1) {
+    instance.log.debug(`Capturing ${rect.width}x${rect.height} area in ${tiles.length} tiles`);
+  }
+  const images: string[] = [];
+  for (const tile of tiles) {
+    images.push(await snapshotRect(instance, tile, coordinateSystem));
+  }
+  if (images.length === 1 && (opts.format ?? 'png') === 'png' && opts.scale === undefined) {
+    return images[0];
+  }
+  return await composeImage(rect, tiles, images, opts);
+}
+
+async function snapshotRect(
+  instance: RemoteDebugger,
+  rect: Rect,
+  coordinateSystem: 'Viewport' | 'Page',
+): Promise<string> {
+  const response = await instance.requireRpcClient().send('Page.snapshotRect', {
+    ...rect,
+    appIdKey: getAppIdKey(instance),
+    pageIdKey: getPageIdKey(instance),
     coordinateSystem,
   });
 
@@ -47,3 +190,78 @@ export async function captureScreenshot(this: RemoteDebugger, opts: ScreenshotCa
 
   return response.dataURL.replace(/^data:image\/png;base64,/, '');
 }
+
+/**
+ * Stitches the captured tiles together and encodes the result with the requested format and scale.
+ */
+async function composeImage(
+  rect: Rect,
+  tiles: Rect[],
+  images: string[],
+  opts: ScreenshotImageOptions,
+): Promise<string> {
+  const {format = 'png', quality = DEFAULT_JPEG_QUALITY, scale} = opts;
+  const sharp = await requireSharp();
+  const buffers = images.map((image) => Buffer.from(image, 'base64'));
+
+  let image: Sharp;
+  if (buffers.length === 1) {
+    image = sharp(buffers[0]);
+  } else {
+    // tiles are rendered with the device pixel ratio, which is not known beforehand
+    const {width: tileWidth = tiles[0].width} = await sharp(buffers[0]).metadata();
+    const ratio = tileWidth / tiles[0].width;
+    const canvas = sharp({
+      create: {
+        width: Math.round(rect.width * ratio),
+        height: Math.round(rect.height * ratio),
+        channels: 4,
+        background: {r: 0, g: 0, b: 0, alpha: 0},
+      },
+    }).composite(
+      tiles.map((tile, index) => ({
+        input: buffers[index],
+        left: Math.round((tile.x - rect.x) * ratio),
+        top: Math.round((tile.y - rect.y) * ratio),
+      })),
+    );
+    // sharp resizes before compositing, so the stitched image must be materialized first
+    image = sharp(await canvas.png().toBuffer());
+  }
+
+  if (scale !== undefined) {
+    image = image.resize({
+      width: Math.max(1, Math.round(rect.width * scale)),
+      height: Math.max(1, Math.round(rect.height * scale)),
+      fit: 'fill',
+    });
+  }
+  const result =
+    format === 'jpeg'
+      ? await image.flatten({background: '#ffffff'}).jpeg({quality}).toBuffer()
+      : await image.png().toBuffer();
+  return result.toString('base64');
+}
+
+function validateImageOptions({format, quality, scale}: ScreenshotImageOptions): void {
+  if (format !== undefined && !['png', 'jpeg'].includes(format)) {
+    throw new Error(`The screenshot format must be either 'png' or 'jpeg'. '${format}' has been given`);
+  }
+  if (quality !== undefined && !(Number.isInteger(quality) && quality >= 1 && quality <= 100)) {
+    throw new Error(`The screenshot quality must be an integer from 1 to 100. '${quality}' has been given`);
+  }
+  if (scale !== undefined && !(Number.isFinite(scale) && scale > 0)) {
+    throw new Error(`The screenshot scale must be a positive number. '${scale}' has been given`);
+  }
+}
+
+async function requireSharp(): Promise<typeof import('sharp').default> {
+  try {
+    return (await import('sharp')).default;
+  } catch (err: any) {
+    throw new Error(
+      `The 'sharp' module is required to stitch, scale or convert screenshots. ` +
+        `Install it with 'npm install sharp': ${err.message}`,
+    );
+  }
+}
@@ -0,0 +1,404 @@
+import type {StringRecord} from '@appium/types';
+
+import type {AtomName} from '../atoms.js';
+import type {RemoteDebugger} from '../remote-debugger.js';
+import {checkProtocolResponse} from '../utils/index.js';
+import {getAppIdKey, getPageIdKey} from './property-accessors.js';
+
+const INDEXED_DB_PAGE_SIZE = 100;
+const INDEXED_DB_RESTORE_TIMEOUT_MS = 30000;
+const MAIN_ORIGIN_SCRIPT = 'return window.location.origin';
+const STRINGIFY_FUNCTION = 'function () { return JSON.stringify(this); }';
+// the IndexedDB domain is read-only, so databases are recreated by the page itself
+const RESTORE_INDEXED_DB_SCRIPT = `
+  var databases = arguments[0];
+  var done = arguments[arguments.length - 1];
+  function fail(message) {
+    done({error: message});
+  }
+  function restore(index) {
+    if (index >= databases.length) {
+      return done({error: null});
+    }
+    var db = databases[index];
+    var deletion = indexedDB.deleteDatabase(db.name);
+    deletion.onblocked = function () {
+      fail("The database '" + db.name + "' is in use by the page and cannot be replaced");
+    };
+    deletion.onerror = function () {
+      fail("The database '" + db.name + "' cannot be deleted: " + deletion.error);
+    };
+    deletion.onsuccess = function () {
+      var request = indexedDB.open(db.name, db.version);
+      request.onupgradeneeded = function () {
+        db.objectStores.forEach(function (storeState) {
+          var store = request.result.createObjectStore(storeState.name, {
+            keyPath: storeState.keyPath,
+            autoIncrement: storeState.autoIncrement
+          });
+          storeState.indexes.forEach(function (indexState) {
+            store.createIndex(indexState.name, indexState.keyPath, {
+              unique: indexState.unique,
+              multiEntry: indexState.multiEntry
+            });
+          });
+          storeState.records.forEach(function (record) {
+            if (storeState.keyPath === null) {
+              store.put(record.value, record.key);
+            } else {
+              store.put(record.value);
+            }
+          });
+        });
+      };
+      request.onerror = function () {
+        fail("The database '" + db.name + "' cannot be created: " + request.error);
+      };
+      request.onsuccess = function () {
+        request.result.close();
+        restore(index + 1);
+      };
+    };
+  }
+  restore(0);
+`;
+
+/**
+ * A key/value pair of the local or the session storage.
+ */
+export interface StorageItem {
+  name: string;
+  value: string;
+}
+
+export interface IndexedDBIndexState {
+  name: string;
+  keyPath: string | string[];
+  unique: boolean;
+  multiEntry: boolean;
+}
+
+export interface IndexedDBRecord {
+  /** The primary key of the record */
+  key: any;
+  value: any;
+}
+
+export interface IndexedDBObjectStoreState {
+  name: string;
+  /** The key path of the store, or null if keys are stored out of line */
+  keyPath: string | string[] | null;
+  autoIncrement: boolean;
+  indexes: IndexedDBIndexState[];
+  records: IndexedDBRecord[];
+}
+
+export interface IndexedDBDatabaseState {
+  name: string;
+  version: number;
+  objectStores: IndexedDBObjectStoreState[];
+}
+
+/**
+ * The storage of a single security origin, e.g. 'https://example.com'.
+ */
+export interface OriginStorageState {
+  origin: string;
+  localStorage: StorageItem[];
+  sessionStorage: StorageItem[];
+  indexedDB: IndexedDBDatabaseState[];
+}
+
+/**
+ * The browser storage of a page, which could be saved as JSON and applied to another page.
+ */
+export interface StorageState {
+  origins: OriginStorageState[];
+}
+
+export interface StorageStateOptions {
+  /** Whether to include IndexedDB databases. Defaults to true */
+  indexedDB?: boolean;
+}
+
+interface StorageArea {
+  isLocalStorage: boolean;
+  atoms: {keys: AtomName; getItem: AtomName; setItem: AtomName; clear: AtomName};
+}
+
+const LOCAL_STORAGE: StorageArea = {
+  isLocalStorage: true,
+  atoms: {
+    keys: 'get_local_storage_keys',
+    getItem: 'get_local_storage_item',
+    setItem: 'set_local_storage_item',
+    clear: 'clear_local_storage',
+  },
+};
+const SESSION_STORAGE: StorageArea = {
+  isLocalStorage: false,
+  atoms: {
+    keys: 'get_session_storage_keys',
+    getItem: 'get_session_storage_item',
+    setItem: 'set_session_storage_item',
+    clear: 'clear_session_storage',
+  },
+};
+
+/**
+ * Captures the local storage, the session storage and the IndexedDB databases of all
+ * the security origins loaded in the selected page, including its frames.
+ * Storage items are read with the DOMStorage domain, falling back to atoms for the
+ * origin of the page itself. IndexedDB values are converted to JSON, so values
+ * which are not JSON-compatible (e.g. dates or blobs) are not preserved.
+ *
+ * @param opts - What to capture.
+ * @returns The storage state, which could be saved as JSON.
+ */
+export async function getStorageState(this: RemoteDebugger, opts: StorageStateOptions = {}): Promise<StorageState> {
+  const {indexedDB: includeIndexedDB = true} = opts;
+  const {mainOrigin, origins} = await getSecurityOrigins(this);
+  this.log.debug(`Capturing the storage state of ${origins.join(', ')}`);
+
+  const result: OriginStorageState[] = [];
+  for (const origin of origins) {
+    const isMainOrigin = origin === mainOrigin;
+    result.push({
+      origin,
+      localStorage: await getStorageItems(this, origin, LOCAL_STORAGE, isMainOrigin),
+      sessionStorage: await getStorageItems(this, origin, SESSION_STORAGE, isMainOrigin),
+      indexedDB: includeIndexedDB ? await getIndexedDBDatabases(this, origin) : [],
+    });
+  }
+  return {origins: result};
+}
+
+/**
+ * Replaces the storage of the origins loaded in the selected page with the given state.
+ * Origins which are not loaded are skipped, so the page should be navigated to the origin first.
+ * The storage items of each origin are cleared before the new ones are set. The IndexedDB
+ * databases in the state are recreated by the page, which is only possible for the origin
+ * of the page itself and only if the page does not keep them open.
+ *
+ * @param state - The storage state, as returned by {@link getStorageState}.
+ */
+export async function setStorageState(this: RemoteDebugger, state: StorageState): Promise<void> {
+  if (!Array.isArray(state?.origins)) {
+    throw new Error(`The storage state must have the 'origins' array. '${JSON.stringify(state)}' has been given`);
+  }
+  const {mainOrigin, origins} = await getSecurityOrigins(this);
+
+  for (const originState of state.origins) {
+    const {origin, localStorage = [], sessionStorage = [], indexedDB = []} = originState;
+    if (!origins.includes(origin)) {
+      this.log.warn(`Skipping the storage of '${origin}', because it is not loaded in the page`);
+      continue;
+    }
+    this.log.debug(`Restoring the storage state of '${origin}'`);
+    const isMainOrigin = origin === mainOrigin;
+    await setStorageItems(this, origin, LOCAL_STORAGE, localStorage, isMainOrigin);
+    await setStorageItems(this, origin, SESSION_STORAGE, sessionStorage, isMainOrigin);
+    if (indexedDB.length === 0) {
+      continue;
+    }
+    if (!isMainOrigin) {
+      this.log.warn(`Skipping the IndexedDB databases of '${origin}', because it is not the origin of the page`);
+      continue;
+    }
+    const {error} = await this.executeAtomAsync<{error: string | null}>('execute_async_script', [
+      RESTORE_INDEXED_DB_SCRIPT,
+      [indexedDB],
+      INDEXED_DB_RESTORE_TIMEOUT_MS,
+    ]);
+    if (error) {
+      throw new Error(error);
+    }
+  }
+}
+
+/**
+ * Gets the security origins of the page and all its frames, the origin of the page first.
+ */
+async function getSecurityOrigins(instance: RemoteDebugger): Promise<{mainOrigin: string; origins: string[]}> {
+  let frameTree: StringRecord;
+  try {
+    ({frameTree} = await sendStorageCommand(instance, 'Page.getResourceTree'));
+  } catch (err: any) {
+    instance.log.debug(`Cannot get the frame tree, only the page origin is used: ${err.message}`);
+    const mainOrigin = await instance.executeAtom<string>('execute_script', [MAIN_ORIGIN_SCRIPT, []]);
+    return {mainOrigin, origins: [mainOrigin]};
+  }
+
+  const origins: string[] = [];
+  const collect = ({frame, childFrames = []}: StringRecord) => {
+    const origin = frame?.securityOrigin;
+    // opaque origins, like the one of 'about:blank', have no storage
+    if (origin && origin !== 'null' && origin !== '://' && !origins.includes(origin)) {
+      origins.push(origin);
+    }
+    for (const child of childFrames) {
+      collect(child);
+    }
+  };
+  collect(frameTree);
+  return {mainOrigin: frameTree.frame?.securityOrigin, origins};
+}
+
+async function getStorageItems(
+  instance: RemoteDebugger,
+  securityOrigin: string,
+  area: StorageArea,
+  isMainOrigin: boolean,
+): Promise<StorageItem[]> {
+  try {
+    const {entries} = await sendStorageCommand(instance, 'DOMStorage.getDOMStorageItems', {
+      storageId: {securityOrigin, isLocalStorage: area.isLocalStorage},
+    });
+    return (entries as [string, string][]).map(([name, value]) => ({name, value}));
+  } catch (err: any) {
+    if (!isMainOrigin) {
+      throw err;
+    }
+    instance.log.debug(`Reading the storage of '${securityOrigin}' with atoms: ${err.message}`);
+  }
+
+  const items: StorageItem[] = [];
+  for (const name of await instance.executeAtom<string[]>(area.atoms.keys, [])) {
+    items.push({name, value: await instance.executeAtom<string>(area.atoms.getItem, [name])});
+  }
+  return items;
+}
+
+async function setStorageItems(
+  instance: RemoteDebugger,
+  securityOrigin: string,
+  area: StorageArea,
+  items: StorageItem[],
+  isMainOrigin: boolean,
+): Promise<void> {
+  const storageId = {securityOrigin, isLocalStorage: area.isLocalStorage};
+  try {
+    await sendStorageCommand(instance, 'DOMStorage.clearDOMStorageItems', {storageId});
+    for (const {name, value} of items) {
+      await sendStorageCommand(instance, 'DOMStorage.setDOMStorageItem', {storageId, key: name, value});
+    }
+    return;
+  } catch (err: any) {
+    if (!isMainOrigin) {
+      throw err;
+    }
+    instance.log.debug(`Writing the storage of '${securityOrigin}' with atoms: ${err.message}`);
+  }
+
+  await instance.executeAtom(area.atoms.clear, []);
+  for (const {name, value} of items) {
+    await instance.executeAtom(area.atoms.setItem, [name, value]);
+  }
+}
+
+async function getIndexedDBDatabases(
+  instance: RemoteDebugger,
+  securityOrigin: string,
+): Promise<IndexedDBDatabaseState[]> {
+  const {databaseNames} = await sendStorageCommand(instance, 'IndexedDB.requestDatabaseNames', {securityOrigin});
+  const databases: IndexedDBDatabaseState[] = [];
+  for (const databaseName of databaseNames as string[]) {
+    const {databaseWithObjectStores: database} = await sendStorageCommand(instance, 'IndexedDB.requestDatabase', {
+      securityOrigin,
+      databaseName,
+    });
+    const objectStores: IndexedDBObjectStoreState[] = [];
+    for (const store of database.objectStores as StringRecord[]) {
+      objectStores.push({
+        name: store.name,
+        keyPath: toKeyPath(store.keyPath),
+        autoIncrement: !!store.autoIncrement,
+        indexes: (store.indexes as StringRecord[]).map(({name, keyPath, unique, multiEntry}) => ({
+          name,
+          keyPath: toKeyPath(keyPath) ?? '',
+          unique: !!unique,
+          multiEntry: !!multiEntry,
+        })),
+        records: await getIndexedDBRecords(instance, securityOrigin, databaseName, store.name),
+      });
+    }
+    databases.push({name: database.name, version: database.version, objectStores});
+  }
+  return databases;
+}
+
+async function getIndexedDBRecords(
+  instance: RemoteDebugger,
+  securityOrigin: string,
+  databaseName: string,
+  objectStoreName: string,
+): Promise<IndexedDBRecord[]> {
+  const records: IndexedDBRecord[] = [];
+  let hasMore = true;
+  while (hasMore) {
+    const res = await sendStorageCommand(instance, 'IndexedDB.requestData', {
+      securityOrigin,
+      databaseName,
+      objectStoreName,
+      indexName: '',
+      skipCount: records.length,
+      pageSize: INDEXED_DB_PAGE_SIZE,
+    });
+    const entries: StringRecord[] = res.objectStoreDataEntries ?? [];
+    for (const {primaryKey, value} of entries) {
+      records.push({
+        key: await toJsonValue(instance, primaryKey),
+        value: await toJsonValue(instance, value),
+      });
+    }
+    hasMore = !!res.hasMore && entries.length > 0;
+  }
+  return records;
+}
+
+/**
+ * Converts the `IndexedDB.KeyPath` protocol type to the key path used by the IndexedDB API.
+ */
+function toKeyPath(keyPath: StringRecord | undefined): string | string[] | null {
+  switch (keyPath?.type) {
+    case 'string':
+      return keyPath.string;
+    case 'array':
+      return keyPath.array;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Gets the JSON value of a `Runtime.RemoteObject`, releasing the object afterwards.
+ */
+async function toJsonValue(instance: RemoteDebugger, remoteObject: StringRecord): Promise<any> {
+  if (!remoteObject?.objectId) {
+    return remoteObject?.value ?? null;
+  }
+  try {
+    const json = await sendStorageCommand(instance, 'Runtime.callFunctionOn', {
+      objectId: remoteObject.objectId,
+      functionDeclaration: STRINGIFY_FUNCTION,
+      returnByValue: true,
+    });
+    return typeof json === 'string' ? JSON.parse(json) : null;
+  } finally {
+    try {
+      await sendStorageCommand(instance, 'Runtime.releaseObject', {objectId: remoteObject.objectId});
+    } catch (err: any) {
+      instance.log.debug(`Cannot release the remote object '${remoteObject.objectId}': ${err.message}`);
+    }
+  }
+}
+
+async function sendStorageCommand(instance: RemoteDebugger, command: string, opts: StringRecord = {}): Promise<any> {
+  const appIdKey = getAppIdKey(instance);
+  const pageIdKey = getPageIdKey(instance);
+  if (!appIdKey || pageIdKey === undefined) {
+    throw new Error('A page must be selected before its storage could be accessed');
+  }
+  const res = await instance.requireRpcClient(true).send(command, {appIdKey, pageIdKey, ...opts});
+  return checkProtocolResponse(command, res);
+}
@@ -0,0 +1,208 @@
+import {withTimeout} from 'asyncbox';
+
+import type {RemoteDebugger} from '../remote-debugger.js';
+import {TraceRecorder, TRACING_INSTRUMENTS} from '../tracing/index.js';
+import type {TimelineMetrics, Trace, TracingInstrument} from '../tracing/index.js';
+import type {EventListener} from '../types.js';
+import {checkProtocolResponse, TimeoutError} from '../utils/index.js';
+import {
+  getAppIdKey,
+  getLastTraceRecorders,
+  getPageIdKey,
+  getRcpClient,
+  getTracingSessions,
+} from './property-accessors.js';
+
+const TRACING_EVENT = 'TracingEvent';
+const SCRIPT_PROFILER_COMPLETE_EVENT = 'ScriptProfiler.trackingComplete';
+const SCRIPT_PROFILER_COMPLETE_TIMEOUT_MS = 5000;
+const NAVIGATION_TIMING_SCRIPT = `
+  var entry = performance.getEntriesByType ? performance.getEntriesByType('navigation')[0] : null;
+  if (entry) {
+    return {
+      type: entry.type,
+      timeToFirstByteMs: entry.responseStart,
+      responseEndMs: entry.responseEnd,
+      domInteractiveMs: entry.domInteractive,
+      domContentLoadedMs: entry.domContentLoadedEventEnd,
+      loadMs: entry.loadEventEnd
+    };
+  }
+  var timing = performance.timing;
+  if (!timing || !timing.navigationStart) {
+    return null;
+  }
+  function since(value) {
+    return value ? value - timing.navigationStart : 0;
+  }
+  return {
+    type: ['navigate', 'reload', 'back_forward'][performance.navigation.type] || 'navigate',
+    timeToFirstByteMs: since(timing.responseStart),
+    responseEndMs: since(timing.responseEnd),
+    domInteractiveMs: since(timing.domInteractive),
+    domContentLoadedMs: since(timing.domContentLoadedEventEnd),
+    loadMs: since(timing.loadEventEnd)
+  };
+`;
+
+/**
+ * Options for tracing.
+ */
+export interface TracingOptions {
+  /** The instruments to record. Defaults to all of them */
+  instruments?: TracingInstrument[];
+}
+
+/**
+ * The Navigation Timing of the current document. Times are in milliseconds since
+ * the navigation start, or 0 if the phase has not been reached yet.
+ */
+export interface NavigationTiming {
+  type: string;
+  timeToFirstByteMs: number;
+  responseEndMs: number;
+  domInteractiveMs: number;
+  domContentLoadedMs: number;
+  loadMs: number;
+}
+
+/**
+ * A tracing session in progress on a page.
+ */
+export interface TracingSession {
+  recorder: TraceRecorder;
+  listener: EventListener;
+  instruments: TracingInstrument[];
+  /** Resolved once the script profiler samples of the page have been received */
+  samplesReceived: Promise<void>;
+}
+
+export interface PerformanceMetrics {
+  /** The main thread work of the tracing session in progress or of the last one, if any */
+  timeline: TimelineMetrics | null;
+  /** Null if the page has no navigation timing, like blank pages */
+  navigation: NavigationTiming | null;
+}
+
+/**
+ * Starts recording a performance trace of the current page with the Timeline domain.
+ * Only one tracing session could be active on a page at a time, but several pages
+ * could be traced at once through their page handles.
+ *
+ * @param opts - Tracing options.
+ * @throws Error if tracing is already in progress, no page is selected or an instrument is unknown.
+ */
+export async function startTracing(this: RemoteDebugger, opts: TracingOptions = {}): Promise<void> {
+  const {instruments = [...TRACING_INSTRUMENTS]} = opts;
+  if (!Array.isArray(instruments) || !instruments.length) {
+    throw new Error('At least one tracing instrument must be provided');
+  }
+  const unknownInstruments = instruments.filter((instrument) => !TRACING_INSTRUMENTS.includes(instrument));
+  if (unknownInstruments.length) {
+    throw new Error(
+      `Unknown tracing instruments: ${unknownInstruments.join(', ')}. ` +
+        `Only ${TRACING_INSTRUMENTS.join(', ')} are supported`,
+    );
+  }
+  const appIdKey = getAppIdKey(this);
+  const pageIdKey = getPageIdKey(this);
+  if (!appIdKey || !pageIdKey) {
+    throw new Error('A page must be selected before it could be traced');
+  }
+  const key = `${appIdKey}/${pageIdKey}`;
+  // the sessions are kept by the debugger, so they are shared with the page handles
+  const sessions = getTracingSessions(this);
+  if (sessions[key]) {
+    throw new Error(`Tracing of the page '${pageIdKey}' is already in progress. Call stopTracing() first`);
+  }
+
+  this.log.debug(`Starting to trace the page '${pageIdKey}' with the ${instruments.join(', ')} instruments`);
+  const rpcClient = this.requireRpcClient();
+  const recorder = new TraceRecorder();
+  let onSamples: () => void = () => {};
+  const samplesReceived = new Promise<void>((resolve) => {
+    onSamples = () => resolve();
+  });
+  const listener: EventListener = (err, params, method, origin) => {
+    if (err || !params || !method || !getRcpClient(this)?.isFromPage(origin, appIdKey, pageIdKey)) {
+      return;
+    }
+    recorder.handleEvent(method, params);
+    if (method === SCRIPT_PROFILER_COMPLETE_EVENT) {
+      onSamples();
+    }
+  };
+  rpcClient.on(TRACING_EVENT, listener);
+  sessions[key] = {recorder, listener, instruments, samplesReceived};
+  try {
+    const res = await rpcClient.send('Timeline.setInstruments', {appIdKey, pageIdKey, instruments});
+    checkProtocolResponse('Timeline.setInstruments', res);
+    checkProtocolResponse('Timeline.start', await rpcClient.send('Timeline.start', {appIdKey, pageIdKey}));
+  } catch (err) {
+    // the client might have been replaced by a reconnection meanwhile
+    getRcpClient(this)?.off(TRACING_EVENT, listener);
+    delete sessions[key];
+    throw err;
+  }
+}
+
+/**
+ * Stops the tracing of the current page started with {@link startTracing}. Waits for
+ * the script profiler samples, which are only delivered once the recording stops.
+ *
+ * @returns The trace in the Trace Event Format, loadable in Perfetto or chrome://tracing.
+ * @throws Error if the current page is not being traced.
+ */
+export async function stopTracing(this: RemoteDebugger): Promise<Trace> {
+  const appIdKey = getAppIdKey(this);
+  const pageIdKey = getPageIdKey(this);
+  const key = `${appIdKey}/${pageIdKey}`;
+  const sessions = getTracingSessions(this);
+  const tracing = sessions[key];
+  if (!tracing) {
+    throw new Error('Tracing of the page has not been started. Call startTracing() first');
+  }
+  this.log.debug(`Stopping to trace the page '${pageIdKey}'`);
+  delete sessions[key];
+  const rpcClient = getRcpClient(this);
+  try {
+    // the session might have been already disconnected
+    if (rpcClient?.isConnected) {
+      checkProtocolResponse('Timeline.stop', await rpcClient.send('Timeline.stop', {appIdKey, pageIdKey}));
+      if (tracing.instruments.includes('ScriptProfiler')) {
+        await withTimeout(
+          tracing.samplesReceived,
+          SCRIPT_PROFILER_COMPLETE_TIMEOUT_MS,
+          new TimeoutError(
+            `No script profiler samples have been received after ${SCRIPT_PROFILER_COMPLETE_TIMEOUT_MS}ms`,
+          ),
+        ).catch((err: Error) => this.log.debug(err.message));
+      }
+    }
+  } finally {
+    rpcClient?.off(TRACING_EVENT, tracing.listener);
+  }
+  getLastTraceRecorders(this)[key] = tracing.recorder;
+  const trace = tracing.recorder.toTrace();
+  this.log.debug(`Captured ${trace.traceEvents.length} trace events and ${trace.samples.length} samples`);
+  return trace;
+}
+
+/**
+ * Summarizes the performance of the current page: the main thread work recorded by the
+ * tracing session in progress or by the last one, and the navigation timing of the document.
+ *
+ * @returns The performance metrics.
+ */
+export async function getPerformanceMetrics(this: RemoteDebugger): Promise<PerformanceMetrics> {
+  const key = `${getAppIdKey(this)}/${getPageIdKey(this)}`;
+  const recorder = getTracingSessions(this)[key]?.recorder ?? getLastTraceRecorders(this)[key];
+  if (!recorder) {
+    this.log.debug('No trace has been recorded, so only the navigation timing is available');
+  }
+  const navigation = await this.executeAtom<NavigationTiming | null>('execute_script', [NAVIGATION_TIMING_SCRIPT, []]);
+  return {
+    timeline: recorder?.getTimelineMetrics() ?? null,
+    navigation: navigation ?? null,
+  };
+}
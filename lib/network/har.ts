@@ -0,0 +1,106 @@
+/**
+ * Types of the HTTP Archive format, version 1.2.
+ * See http://www.softwareishard.com/blog/har-12-spec/
+ */
+
+export interface Har {
+  log: HarLog;
+}
+
+export interface HarLog {
+  version: '1.2';
+  creator: HarCreator;
+  pages?: HarPage[];
+  entries: HarEntry[];
+  comment?: string;
+}
+
+export interface HarCreator {
+  name: string;
+  version: string;
+}
+
+export interface HarPage {
+  startedDateTime: string;
+  id: string;
+  title: string;
+  pageTimings: {onContentLoad?: number; onLoad?: number};
+}
+
+export interface HarNameValue {
+  name: string;
+  value: string;
+}
+
+export interface HarCookie extends HarNameValue {
+  path?: string;
+  domain?: string;
+  expires?: string;
+  httpOnly?: boolean;
+  secure?: boolean;
+}
+
+export interface HarPostData {
+  mimeType: string;
+  text: string;
+}
+
+export interface HarRequest {
+  method: string;
+  url: string;
+  httpVersion: string;
+  cookies: HarCookie[];
+  headers: HarNameValue[];
+  queryString: HarNameValue[];
+  postData?: HarPostData;
+  headersSize: number;
+  bodySize: number;
+}
+
+export interface HarContent {
+  size: number;
+  compression?: number;
+  mimeType: string;
+  text?: string;
+  encoding?: string;
+}
+
+export interface HarResponse {
+  status: number;
+  statusText: string;
+  httpVersion: string;
+  cookies: HarCookie[];
+  headers: HarNameValue[];
+  content: HarContent;
+  redirectURL: string;
+  headersSize: number;
+  bodySize: number;
+  /** Non-standard: the reason of a failed request */
+  _error?: string;
+}
+
+export interface HarTimings {
+  blocked?: number;
+  dns?: number;
+  connect?: number;
+  send: number;
+  wait: number;
+  receive: number;
+  ssl?: number;
+}
+
+export interface HarEntry {
+  pageref?: string;
+  startedDateTime: string;
+  time: number;
+  request: HarRequest;
+  response: HarResponse;
+  cache: Record<string, never>;
+  timings: HarTimings;
+  serverIPAddress?: string;
+  connection?: string;
+  /** Non-standard: the resource type reported by Web Inspector, e.g. 'Document' or 'XHR' */
+  _resourceType?: string;
+  /** Non-standard: set if the response has been served from a cache */
+  _fromCache?: 'memory' | 'disk';
+}
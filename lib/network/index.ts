@@ -0,0 +1,5 @@
+export {NetworkRecorder} from './network-recorder.js';
+export type {NetworkRecorderOptions, ResponseBody} from './network-recorder.js';
+export type * from './har.js';
+export {isSamePattern, matchesPattern, toInterceptionCommand, toProtocolPattern} from './interception.js';
+export type * from './interception.js';
@@ -0,0 +1,234 @@
+import http from 'node:http';
+
+import type {StringRecord} from '@appium/types';
+
+import type {AppIdKey, PageIdKey} from '../types.js';
+
+export type InterceptionStage = 'request' | 'response';
+
+/**
+ * Error types accepted by `Network.interceptRequestWithError`.
+ */
+export type InterceptionErrorType = 'General' | 'AccessControl' | 'Cancellation' | 'Timeout';
+
+/**
+ * A request or response paused by Web Inspector.
+ */
+export interface InterceptedRequest {
+  requestId: string;
+  stage: InterceptionStage;
+  /** The URL of the intercepted request */
+  url: string;
+  /** The request as reported by `Network.requestIntercepted`. Only set for the request stage */
+  request?: StringRecord;
+  /** The response as reported by `Network.responseIntercepted`. Only set for the response stage */
+  response?: StringRecord;
+}
+
+/**
+ * Lets the request or response through unchanged.
+ */
+export interface ContinueAction {
+  action: 'continue';
+}
+
+/**
+ * Modifies the request before it is sent. Only supported for the request stage.
+ * Headers are merged into the original ones, and a null value removes the header.
+ */
+export interface ModifyAction {
+  action: 'modify';
+  url?: string;
+  method?: string;
+  headers?: Record<string, string | null>;
+  /** The new request body */
+  postData?: string | Buffer;
+}
+
+/**
+ * Fails the request. Only supported for the request stage.
+ */
+export interface FailAction {
+  action: 'fail';
+  /** Defaults to 'General' */
+  errorType?: InterceptionErrorType;
+}
+
+/**
+ * Responds with the given content. For the request stage the request never reaches
+ * the network, for the response stage the original response is replaced.
+ */
+export interface FulfillAction {
+  action: 'fulfill';
+  /** Defaults to 200 */
+  status?: number;
+  statusText?: string;
+  headers?: Record<string, string>;
+  /** Defaults to the Content-Type header value, or 'text/plain' */
+  mimeType?: string;
+  body?: string | Buffer;
+}
+
+export type InterceptionAction = ContinueAction | ModifyAction | FailAction | FulfillAction;
+
+/**
+ * Decides what to do with an intercepted request. Returning nothing continues the request.
+ */
+export type InterceptionHandler = (
+  intercepted: InterceptedRequest,
+) => InterceptionAction | void | Promise<InterceptionAction | void>;
+
+export interface InterceptionOptions {
+  /**
+   * URLs to intercept. Strings match any URL containing them, regular expressions
+   * are evaluated by Web Inspector. An empty string matches all URLs.
+   */
+  urlPattern?: string | RegExp;
+  /** Whether string patterns are case sensitive. Defaults to false */
+  caseSensitive?: boolean;
+  /** Defaults to 'request' */
+  stage?: InterceptionStage;
+  handler: InterceptionHandler;
+}
+
+/**
+ * The pattern as it is sent to `Network.addInterception`.
+ */
+export interface ProtocolInterceptionPattern {
+  url: string;
+  caseSensitive: boolean;
+  isRegex: boolean;
+  stage: InterceptionStage;
+}
+
+/**
+ * An interception added to a page.
+ */
+export interface Interception extends ProtocolInterceptionPattern {
+  id: string;
+  appIdKey: AppIdKey;
+  pageIdKey: PageIdKey;
+  handler: InterceptionHandler;
+}
+
+/**
+ * Converts interception options to the parameters of `Network.addInterception`.
+ *
+ * @param opts - The interception options.
+ * @returns The protocol pattern.
+ */
+export function toProtocolPattern(opts: Omit<InterceptionOptions, 'handler'>): ProtocolInterceptionPattern {
+  const {urlPattern = '', caseSensitive = false, stage = 'request'} = opts;
+  if (stage !== 'request' && stage !== 'response') {
+    throw new Error(`The interception stage must be either 'request' or 'response'. '${stage}' has been provided`);
+  }
+  return urlPattern instanceof RegExp
+    ? {url: urlPattern.source, caseSensitive: !urlPattern.flags.includes('i'), isRegex: true, stage}
+    : {url: String(urlPattern), caseSensitive, isRegex: false, stage};
+}
+
+/**
+ * Checks whether two patterns are identical from Web Inspector's point of view.
+ */
+export function isSamePattern(a: ProtocolInterceptionPattern, b: ProtocolInterceptionPattern): boolean {
+  return a.url === b.url && a.caseSensitive === b.caseSensitive && a.isRegex === b.isRegex && a.stage === b.stage;
+}
+
+/**
+ * Checks whether a URL matches a pattern the same way Web Inspector does it.
+ *
+ * @param pattern - The protocol pattern.
+ * @param url - The URL to check.
+ * @returns True if the URL matches.
+ */
+export function matchesPattern(pattern: ProtocolInterceptionPattern, url: string): boolean {
+  if (!pattern.url) {
+    return true;
+  }
+  if (pattern.isRegex) {
+    try {
+      return new RegExp(pattern.url, pattern.caseSensitive ? '' : 'i').test(url);
+    } catch {
+      return false;
+    }
+  }
+  return pattern.caseSensitive ? url.includes(pattern.url) : url.toLowerCase().includes(pattern.url.toLowerCase());
+}
+
+/**
+ * Builds the protocol command answering an intercepted request.
+ *
+ * @param intercepted - The intercepted request.
+ * @param action - The action chosen by the interception handler.
+ * @returns The command name and its parameters.
+ * @throws Error if the action is not supported for the interception stage.
+ */
+export function toInterceptionCommand(
+  intercepted: InterceptedRequest,
+  action: InterceptionAction,
+): [string, StringRecord] {
+  const {requestId, stage} = intercepted;
+  switch (action.action) {
+    case 'continue':
+      return ['Network.interceptContinue', {requestId, stage}];
+    case 'modify': {
+      if (stage !== 'request') {
+        throw new Error(`Requests could only be modified at the 'request' interception stage`);
+      }
+      const headers: StringRecord = {...intercepted.request?.headers};
+      for (const [name, value] of Object.entries(action.headers ?? {})) {
+        for (const existingName of Object.keys(headers)) {
+          if (existingName.toLowerCase() === name.toLowerCase()) {
+            delete headers[existingName];
+          }
+        }
+        if (value !== null) {
+          headers[name] = value;
+        }
+      }
+      return [
+        'Network.interceptWithRequest',
+        {
+          requestId,
+          url: action.url,
+          method: action.method,
+          headers,
+          postData: action.postData === undefined ? undefined : toBuffer(action.postData).toString('base64'),
+        },
+      ];
+    }
+    case 'fail':
+      if (stage !== 'request') {
+        throw new Error(`Requests could only be failed at the 'request' interception stage`);
+      }
+      return ['Network.interceptRequestWithError', {requestId, errorType: action.errorType ?? 'General'}];
+    case 'fulfill': {
+      const status = action.status ?? 200;
+      const headers = {...action.headers};
+      const contentTypeHeader = Object.keys(headers).find((name) => name.toLowerCase() === 'content-type');
+      const mimeType =
+        action.mimeType ?? (contentTypeHeader ? headers[contentTypeHeader].split(';')[0].trim() : 'text/plain');
+      if (!contentTypeHeader) {
+        headers['Content-Type'] = mimeType;
+      }
+      return [
+        stage === 'request' ? 'Network.interceptRequestWithResponse' : 'Network.interceptWithResponse',
+        {
+          requestId,
+          content: toBuffer(action.body ?? '').toString('base64'),
+          base64Encoded: true,
+          mimeType,
+          status,
+          statusText: action.statusText ?? http.STATUS_CODES[status] ?? '',
+          headers,
+        },
+      ];
+    }
+    default:
+      throw new Error(`Unknown interception action: ${JSON.stringify(action)}`);
+  }
+}
+
+function toBuffer(value: string | Buffer): Buffer {
+  return Buffer.isBuffer(value) ? value : Buffer.from(value, 'utf8');
+}
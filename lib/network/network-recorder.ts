@@ -0,0 +1,470 @@
+import type {AppiumLogger, StringRecord} from '@appium/types';
+
+import {log as defaultLog} from '../logger.js';
+import type {MessageOrigin} from '../types.js';
+import type {Har, HarCookie, HarEntry, HarNameValue, HarTimings} from './har.js';
+
+const HAR_VERSION = '1.2';
+
+/**
+ * The result of the `Network.getResponseBody` protocol command.
+ */
+export interface ResponseBody {
+  body: string;
+  base64Encoded: boolean;
+}
+
+export interface NetworkRecorderOptions {
+  /** The HAR creator details */
+  creator: {name: string; version: string};
+  /** Whether to fetch response bodies once requests finish loading. Defaults to false */
+  captureContent?: boolean;
+  /**
+   * Retrieves the body of a finished request from the page the request comes from.
+   * Required if `captureContent` is set
+   */
+  getResponseBody?: (requestId: string, origin: MessageOrigin) => Promise<ResponseBody>;
+  log?: AppiumLogger;
+}
+
+/**
+ * The state of a single request collected from the Network domain events.
+ * Redirects produce a separate record for each hop.
+ */
+interface RequestRecord {
+  requestId: string;
+  resourceType?: string;
+  /** Seconds since the epoch */
+  wallTime: number;
+  /** Monotonic timestamps, in seconds */
+  startTimestamp: number;
+  responseTimestamp?: number;
+  endTimestamp?: number;
+  request: StringRecord;
+  response?: StringRecord;
+  metrics?: StringRecord;
+  dataLength: number;
+  encodedDataLength: number;
+  errorText?: string;
+  fromCache?: 'memory' | 'disk';
+  redirectURL?: string;
+  content?: {text: string; encoding?: string};
+  /** The application and target the request comes from */
+  origin: MessageOrigin;
+}
+
+/**
+ * Assembles Web Inspector Network domain events into HTTP Archive (HAR 1.2) entries.
+ * Events are expected to be fed through {@link NetworkRecorder.handleEvent}, in the form
+ * they are delivered to `NetworkEvent` listeners.
+ */
+export class NetworkRecorder {
+  private readonly _opts: NetworkRecorderOptions;
+  private readonly _log: AppiumLogger;
+  private readonly _records: RequestRecord[];
+  private readonly _activeRecords: Map<string, RequestRecord>;
+  private readonly _pendingBodies: Set<Promise<void>>;
+  /** The difference between wall time and monotonic timestamps, in seconds */
+  private _wallTimeOffset?: number;
+
+  /**
+   * @param opts - Options for configuring the recorder.
+   */
+  constructor(opts: NetworkRecorderOptions) {
+    this._opts = opts;
+    this._log = opts.log ?? defaultLog;
+    this._records = [];
+    this._activeRecords = new Map();
+    this._pendingBodies = new Set();
+  }
+
+  /**
+   * Handles a Network domain event.
+   *
+   * @param method - The event name, e.g. 'Network.requestWillBeSent'.
+   * @param params - The event parameters.
+   * @param origin - The application and target the event comes from.
+   */
+  handleEvent(method: string, params: StringRecord, origin: MessageOrigin = {}): void {
+    if (!params?.requestId) {
+      return;
+    }
+    switch (method) {
+      case 'Network.requestWillBeSent':
+        this.onRequestWillBeSent(params, origin);
+        break;
+      case 'Network.responseReceived':
+        this.onResponseReceived(params);
+        break;
+      case 'Network.dataReceived':
+        this.onDataReceived(params);
+        break;
+      case 'Network.loadingFinished':
+        this.onLoadingFinished(params);
+        break;
+      case 'Network.loadingFailed':
+        this.onLoadingFailed(params);
+        break;
+      case 'Network.requestServedFromMemoryCache':
+        this.onRequestServedFromMemoryCache(params, origin);
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Waits until all pending response bodies are retrieved and builds the archive.
+   *
+   * @returns The HAR document with an entry for each request that received a response or failed.
+   */
+  async toHar(): Promise<Har> {
+    while (this._pendingBodies.size) {
+      await Promise.allSettled(this._pendingBodies);
+    }
+    const records = this._records.filter(({response, errorText}) => response || errorText);
+    if (records.length < this._records.length) {
+      this._log.debug(`Skipping ${this._records.length - records.length} request(s) without a response from the HAR`);
+    }
+    return {
+      log: {
+        version: HAR_VERSION,
+        creator: {...this._opts.creator},
+        entries: records.sort((a, b) => a.wallTime - b.wallTime).map((record) => toHarEntry(record)),
+      },
+    };
+  }
+
+  private onRequestWillBeSent(params: StringRecord, origin: MessageOrigin): void {
+    const {requestId, request, timestamp, walltime, type, redirectResponse} = params;
+    if (Number.isFinite(walltime) && Number.isFinite(timestamp)) {
+      this._wallTimeOffset = walltime - timestamp;
+    }
+    const previous = this._activeRecords.get(requestId);
+    if (previous && redirectResponse) {
+      previous.response = redirectResponse;
+      previous.responseTimestamp ??= timestamp;
+      previous.endTimestamp = timestamp;
+      previous.redirectURL = request?.url ?? '';
+    }
+    const record: RequestRecord = {
+      requestId,
+      resourceType: type,
+      wallTime: walltime ?? this.toWallTime(timestamp),
+      startTimestamp: timestamp,
+      request: request ?? {},
+      dataLength: 0,
+      encodedDataLength: 0,
+      origin,
+    };
+    this._records.push(record);
+    this._activeRecords.set(requestId, record);
+  }
+
+  private onResponseReceived(params: StringRecord): void {
+    const record = this._activeRecords.get(params.requestId);
+    if (!record) {
+      return;
+    }
+    record.response = params.response;
+    record.responseTimestamp = params.timestamp;
+    record.resourceType = params.type ?? record.resourceType;
+    if (params.response?.source === 'memory-cache' || params.response?.source === 'disk-cache') {
+      record.fromCache = params.response.source === 'memory-cache' ? 'memory' : 'disk';
+    }
+  }
+
+  private onDataReceived(params: StringRecord): void {
+    const record = this._activeRecords.get(params.requestId);
+    if (!record) {
+      return;
+    }
+    record.dataLength += params.dataLength ?? 0;
+    record.encodedDataLength += params.encodedDataLength ?? 0;
+  }
+
+  private onLoadingFinished(params: StringRecord): void {
+    const record = this._activeRecords.get(params.requestId);
+    if (!record) {
+      return;
+    }
+    this._activeRecords.delete(params.requestId);
+    record.endTimestamp = params.timestamp;
+    record.metrics = params.metrics;
+    if (this._opts.captureContent) {
+      this.fetchContent(record);
+    }
+  }
+
+  private onLoadingFailed(params: StringRecord): void {
+    const record = this._activeRecords.get(params.requestId);
+    if (!record) {
+      return;
+    }
+    this._activeRecords.delete(params.requestId);
+    record.endTimestamp = params.timestamp;
+    record.errorText = params.canceled ? 'Canceled' : params.errorText || 'Unknown error';
+  }
+
+  private onRequestServedFromMemoryCache(params: StringRecord, origin: MessageOrigin): void {
+    const {requestId, timestamp, resource = {}} = params;
+    this._records.push({
+      requestId,
+      resourceType: resource.type,
+      wallTime: this.toWallTime(timestamp),
+      startTimestamp: timestamp,
+      responseTimestamp: timestamp,
+      endTimestamp: timestamp,
+      request: {url: resource.url, method: 'GET', headers: {}},
+      response: {
+        url: resource.url,
+        status: 200,
+        statusText: 'OK',
+        headers: {},
+        mimeType: resource.mimeType,
+        ...resource.response,
+      },
+      dataLength: resource.bodySize ?? 0,
+      encodedDataLength: 0,
+      fromCache: 'memory',
+      origin,
+    });
+  }
+
+  private fetchContent(record: RequestRecord): void {
+    const {getResponseBody} = this._opts;
+    if (!getResponseBody) {
+      return;
+    }
+    const promise = (async () => {
+      try {
+        const {body, base64Encoded} = await getResponseBody(record.requestId, record.origin);
+        record.content = base64Encoded ? {text: body, encoding: 'base64'} : {text: body};
+      } catch (err: any) {
+        this._log.debug(`Cannot retrieve the response body of request '${record.requestId}': ${err.message}`);
+      }
+    })();
+    this._pendingBodies.add(promise);
+    void promise.finally(() => this._pendingBodies.delete(promise));
+  }
+
+  private toWallTime(timestamp: number): number {
+    return Number.isFinite(timestamp) && this._wallTimeOffset !== undefined
+      ? timestamp + this._wallTimeOffset
+      : Date.now() / 1000;
+  }
+}
+
+/**
+ * Converts a request record into a HAR entry.
+ */
+function toHarEntry(record: RequestRecord): HarEntry {
+  const {request, response = {}, metrics = {}} = record;
+  const requestHeaders = toHarHeaders(metrics.requestHeaders ?? response.requestHeaders ?? request.headers);
+  const responseHeaders = toHarHeaders(response.headers);
+  const httpVersion = toHttpVersion(metrics.protocol);
+  const requestContentType = findHeader(requestHeaders, 'content-type');
+  const timings = toHarTimings(record);
+
+  const entry: HarEntry = {
+    startedDateTime: new Date(record.wallTime * 1000).toISOString(),
+    time: sumTimings(timings),
+    request: {
+      method: request.method ?? 'GET',
+      url: request.url ?? '',
+      httpVersion,
+      cookies: parseRequestCookies(findHeader(requestHeaders, 'cookie')),
+      headers: requestHeaders,
+      queryString: toQueryString(request.url),
+      ...(request.postData === undefined
+        ? {}
+        : {postData: {mimeType: requestContentType ?? '', text: String(request.postData)}}),
+      headersSize: metrics.requestHeaderBytesSent ?? -1,
+      bodySize: request.postData === undefined ? 0 : Buffer.byteLength(String(request.postData)),
+    },
+    response: {
+      status: response.status ?? 0,
+      statusText: response.statusText ?? '',
+      httpVersion,
+      cookies: parseResponseCookies(findHeader(responseHeaders, 'set-cookie')),
+      headers: responseHeaders,
+      content: {
+        size: metrics.responseBodyDecodedSize ?? record.dataLength,
+        mimeType: response.mimeType ?? findHeader(responseHeaders, 'content-type') ?? '',
+        ...record.content,
+      },
+      redirectURL: record.redirectURL ?? '',
+      headersSize: metrics.responseHeaderBytesReceived ?? -1,
+      bodySize: record.fromCache ? 0 : (metrics.responseBodyBytesReceived ?? record.encodedDataLength),
+      ...(record.errorText ? {_error: record.errorText} : {}),
+    },
+    cache: {},
+    timings,
+  };
+  if (metrics.remoteAddress) {
+    entry.serverIPAddress = String(metrics.remoteAddress)
+      .replace(/:\d+$/, '')
+      .replace(/^\[(.*)\]$/, '$1');
+  }
+  if (metrics.connectionIdentifier) {
+    entry.connection = String(metrics.connectionIdentifier);
+  }
+  if (record.resourceType) {
+    entry._resourceType = record.resourceType;
+  }
+  if (record.fromCache) {
+    entry._fromCache = record.fromCache;
+  }
+  return entry;
+}
+
+/**
+ * Builds HAR timings, preferring the detailed resource timing reported with the response.
+ * Timings that are not available are set to -1, as the HAR specification requires.
+ */
+function toHarTimings(record: RequestRecord): HarTimings {
+  const toMs = (seconds: number) => Math.max(0, seconds * 1000);
+  const totalMs = record.endTimestamp === undefined ? 0 : toMs(record.endTimestamp - record.startTimestamp);
+  const responseMs =
+    record.responseTimestamp === undefined ? totalMs : toMs(record.responseTimestamp - record.startTimestamp);
+
+  const timing: StringRecord | undefined = record.response?.timing;
+  const span = (start?: number, end?: number) =>
+    Number.isFinite(start) && Number.isFinite(end) && (start as number) >= 0 && (end as number) >= (start as number)
+      ? (end as number) - (start as number)
+      : -1;
+  if (!timing || span(timing.requestStart, timing.responseStart) < 0) {
+    return {
+      blocked: -1,
+      dns: -1,
+      connect: -1,
+      ssl: -1,
+      send: 0,
+      wait: responseMs,
+      receive: Math.max(0, totalMs - responseMs),
+    };
+  }
+
+  // all the timing properties, except startTime and fetchStart, are milliseconds relative to fetchStart
+  const blocked =
+    Number.isFinite(timing.startTime) && Number.isFinite(timing.fetchStart)
+      ? toMs(timing.fetchStart - timing.startTime)
+      : -1;
+  const dns = span(timing.domainLookupStart, timing.domainLookupEnd);
+  const connect = span(timing.connectStart, timing.connectEnd);
+  const ssl = span(timing.secureConnectionStart, timing.connectEnd);
+  const wait = span(timing.requestStart, timing.responseStart);
+  const receive = span(timing.responseStart, timing.responseEnd);
+  return {
+    blocked,
+    dns,
+    connect,
+    ssl,
+    send: 0,
+    wait,
+    receive: receive >= 0 ? receive : Math.max(0, totalMs - responseMs),
+  };
+}
+
+function sumTimings({blocked, dns, connect, send, wait, receive}: HarTimings): number {
+  // ssl time is included into connect, so it is not summed up separately
+  return [blocked, dns, connect, send, wait, receive]
+    .filter((value): value is number => value !== undefined && value > 0)
+    .reduce((acc, value) => acc + value, 0);
+}
+
+function toHttpVersion(protocol?: string): string {
+  if (!protocol) {
+    return '';
+  }
+  return /^http\/\d/i.test(protocol) ? protocol.toUpperCase() : protocol;
+}
+
+/**
+ * Converts Web Inspector headers into HAR name/value pairs. Headers having
+ * several values are reported by Web Inspector joined with new lines.
+ */
+function toHarHeaders(headers?: StringRecord): HarNameValue[] {
+  const result: HarNameValue[] = [];
+  for (const [name, value] of Object.entries(headers ?? {})) {
+    for (const line of String(value).split('\n')) {
+      result.push({name, value: line});
+    }
+  }
+  return result;
+}
+
+function findHeader(headers: HarNameValue[], name: string): string | undefined {
+  const matches = headers.filter((header) => header.name.toLowerCase() === name);
+  return matches.length ? matches.map(({value}) => value).join('\n') : undefined;
+}
+
+function toQueryString(url?: string): HarNameValue[] {
+  if (!url) {
+    return [];
+  }
+  try {
+    return [...new URL(url).searchParams].map(([name, value]) => ({name, value}));
+  } catch {
+    return [];
+  }
+}
+
+function parseRequestCookies(header?: string): HarCookie[] {
+  if (!header) {
+    return [];
+  }
+  return header
+    .split(/;\s*/)
+    .filter(Boolean)
+    .map((pair) => {
+      const separatorIndex = pair.indexOf('=');
+      return separatorIndex < 0
+        ? {name: pair.trim(), value: ''}
+        : {name: pair.slice(0, separatorIndex).trim(), value: pair.slice(separatorIndex + 1).trim()};
+    });
+}
+
+function parseResponseCookies(header?: string): HarCookie[] {
+  if (!header) {
+    return [];
+  }
+  const cookies: HarCookie[] = [];
+  for (const line of header.split('\n').filter(Boolean)) {
+    const [pair, ...attributes] = line.split(/;\s*/);
+    const [cookie] = parseRequestCookies(pair);
+    if (!cookie?.name) {
+      continue;
+    }
+    for (const attribute of attributes) {
+      const separatorIndex = attribute.indexOf('=');
+      const name = (separatorIndex < 0 ? attribute : attribute.slice(0, separatorIndex)).trim().toLowerCase();
+      const value = separatorIndex < 0 ? '' : attribute.slice(separatorIndex + 1).trim();
+      switch (name) {
+        case 'path':
+          cookie.path = value;
+          break;
+        case 'domain':
+          cookie.domain = value;
+          break;
+        case 'expires': {
+          const date = new Date(value);
+          if (!Number.isNaN(date.getTime())) {
+            cookie.expires = date.toISOString();
+          }
+          break;
+        }
+        case 'httponly':
+          cookie.httpOnly = true;
+          break;
+        case 'secure':
+          cookie.secure = true;
+          break;
+        default:
+          break;
+      }
+    }
+    cookies.push(cookie);
+  }
+  return cookies;
+}
@@ -0,0 +1,84 @@
+import type {StringRecord} from '@appium/types';
+
+import type {AppIdKey, MessageOrigin, PageIdKey, TargetId} from '../types.js';
+import {PROTOCOL_COMMANDS} from './generated/schema.js';
+import type {ProtocolCommands, ProtocolEvents} from './generated/types.js';
+
+/**
+ * The page a protocol command is sent to.
+ */
+export interface ProtocolTarget {
+  appIdKey?: AppIdKey;
+  pageIdKey?: PageIdKey;
+  /** defaults to the target of the page */
+  targetId?: TargetId;
+}
+
+export type ProtocolEventListener<TEvent> = (event: TEvent, origin: MessageOrigin) => void;
+
+/**
+ * Sends the commands and subscribes to the events of the protocol domains.
+ */
+export interface ProtocolDomainsBackend {
+  /** sends a command and resolves with its result */
+  send: (method: string, params: StringRecord, target: ProtocolTarget) => Promise<any>;
+  /** calls the listener with the payload of each event with this method, until the returned function is called */
+  on: (method: string, listener: ProtocolEventListener<any>) => () => void;
+}
+
+type DomainOf<TMethod> = TMethod extends `${infer TDomain}.${string}` ? TDomain : never;
+
+export type ProtocolDomainName = DomainOf<keyof ProtocolCommands>;
+
+type ProtocolCommandMethod<TCommand extends {params: any; result: any}> =
+  // the parameters can be left out if none of them is required
+  Record<never, never> extends TCommand['params']
+    ? (params?: TCommand['params'], target?: ProtocolTarget) => Promise<TCommand['result']>
+    : (params: TCommand['params'], target?: ProtocolTarget) => Promise<TCommand['result']>;
+
+type DomainCommands<TDomain extends string> = {
+  [
+    TMethod in keyof ProtocolCommands as TMethod extends `${TDomain}.${infer TName}` ? TName : never
+  ]: ProtocolCommandMethod<ProtocolCommands[TMethod]>;
+};
+
+type DomainEvents<TDomain extends string> = {
+  [
+    TMethod in keyof ProtocolEvents as TMethod extends `${TDomain}.${infer TName}` ? TName : never
+  ]: ProtocolEvents[TMethod];
+};
+
+/**
+ * The commands of a protocol domain, plus `on()` to listen to its events.
+ */
+export type ProtocolDomain<TDomain extends string> = DomainCommands<TDomain> & {
+  on<TEvent extends keyof DomainEvents<TDomain> & string>(
+    event: TEvent,
+    listener: ProtocolEventListener<DomainEvents<TDomain>[TEvent]>,
+  ): () => void;
+};
+
+/**
+ * Typed wrappers of the protocol commands and events, generated from the WebKit
+ * protocol schemas, e.g. `domains.Network.getResponseBody({requestId}, {appIdKey, pageIdKey})`.
+ */
+export type ProtocolDomains = {[TDomain in ProtocolDomainName]: ProtocolDomain<TDomain>};
+
+/**
+ * Creates the typed wrappers of all the commands of the protocol schemas.
+ *
+ * @param backend - Sends the commands and subscribes to the events.
+ * @returns The wrappers, by domain.
+ */
+export function createProtocolDomains(backend: ProtocolDomainsBackend): ProtocolDomains {
+  const domains: StringRecord<StringRecord> = {};
+  for (const method of Object.keys(PROTOCOL_COMMANDS)) {
+    const [domain, command] = method.split('.');
+    domains[domain] ??= {
+      on: (event: string, listener: ProtocolEventListener<any>) => backend.on(`${domain}.${event}`, listener),
+    };
+    domains[domain][command] = async (params: StringRecord = {}, target: ProtocolTarget = {}) =>
+      await backend.send(method, params, target);
+  }
+  return domains as ProtocolDomains;
+}
@@ -0,0 +1,528 @@
+// Generated by scripts/generate-protocol.mjs from the inspector/ schemas. Do not edit by hand,
+// change the schemas and run 'npm run generate:protocol' instead.
+
+import type {ProtocolAvailability, ProtocolCommandSchema} from '../../types.js';
+
+/**
+ * The parameters of the protocol commands, by their method names.
+ */
+export const PROTOCOL_COMMANDS: Readonly<Record<string, ProtocolCommandSchema>> = {
+  'Animation.enable': {parameters: []},
+  'Animation.disable': {parameters: []},
+  'ApplicationCache.getFramesWithManifests': {parameters: []},
+  'ApplicationCache.enable': {parameters: []},
+  'ApplicationCache.disable': {parameters: []},
+  'Browser.enable': {parameters: []},
+  'Browser.disable': {parameters: []},
+  'CPUProfiler.startTracking': {parameters: []},
+  'CPUProfiler.stopTracking': {parameters: []},
+  'CSS.enable': {parameters: []},
+  'CSS.disable': {parameters: []},
+  'Canvas.enable': {parameters: []},
+  'Canvas.disable': {parameters: []},
+  'Console.enable': {parameters: []},
+  'Console.disable': {parameters: []},
+  'Console.clearMessages': {parameters: []},
+  'Console.getLoggingChannels': {parameters: []},
+  'Console.setLoggingChannelLevel': {
+    parameters: [
+      {
+        name: 'source',
+        type: 'string',
+        enum: [
+          'xml',
+          'javascript',
+          'network',
+          'console-api',
+          'storage',
+          'appcache',
+          'rendering',
+          'css',
+          'accessibility',
+          'security',
+          'content-blocker',
+          'media',
+          'mediasource',
+          'webrtc',
+          'itp-debug',
+          'private-click-measurement',
+          'payment-request',
+          'other',
+        ],
+      },
+      {name: 'level', type: 'string', enum: ['off', 'basic', 'verbose']},
+    ],
+  },
+  'DOM.getDocument': {parameters: []},
+  'DOM.requestChildNodes': {
+    parameters: [
+      {name: 'nodeId', type: 'integer'},
+      {name: 'depth', optional: true, type: 'integer'},
+    ],
+  },
+  'DOM.querySelector': {
+    parameters: [
+      {name: 'nodeId', type: 'integer'},
+      {name: 'selector', type: 'string'},
+    ],
+  },
+  'DOM.querySelectorAll': {
+    parameters: [
+      {name: 'nodeId', type: 'integer'},
+      {name: 'selector', type: 'string'},
+    ],
+  },
+  'DOM.setNodeName': {
+    parameters: [
+      {name: 'nodeId', type: 'integer'},
+      {name: 'name', type: 'string'},
+    ],
+  },
+  'DOM.setNodeValue': {
+    parameters: [
+      {name: 'nodeId', type: 'integer'},
+      {name: 'value', type: 'string'},
+    ],
+  },
+  'DOM.removeNode': {parameters: [{name: 'nodeId', type: 'integer'}]},
+  'DOM.setAttributeValue': {
+    parameters: [
+      {name: 'nodeId', type: 'integer'},
+      {name: 'name', type: 'string'},
+      {name: 'value', type: 'string'},
+    ],
+  },
+  'DOM.removeAttribute': {
+    parameters: [
+      {name: 'nodeId', type: 'integer'},
+      {name: 'name', type: 'string'},
+    ],
+  },
+  'DOM.getOuterHTML': {parameters: [{name: 'nodeId', type: 'integer'}]},
+  'DOM.setOuterHTML': {
+    parameters: [
+      {name: 'nodeId', type: 'integer'},
+      {name: 'outerHTML', type: 'string'},
+    ],
+  },
+  'DOM.highlightNode': {
+    parameters: [
+      {name: 'nodeId', optional: true, type: 'integer'},
+      {name: 'objectId', optional: true, type: 'string'},
+      {name: 'highlightConfig', type: 'object'},
+      {name: 'showRulers', optional: true, type: 'boolean'},
+    ],
+  },
+  'DOM.hideHighlight': {parameters: []},
+  'DOM.resolveNode': {
+    parameters: [
+      {name: 'nodeId', optional: true, type: 'integer'},
+      {name: 'objectId', optional: true, type: 'string'},
+      {name: 'frameId', optional: true, type: 'string'},
+      {name: 'executionContextId', optional: true, type: 'integer'},
+      {name: 'objectGroup', optional: true, type: 'string'},
+    ],
+  },
+  'DOM.getAttributes': {parameters: [{name: 'nodeId', type: 'integer'}]},
+  'DOM.requestNode': {parameters: [{name: 'objectId', type: 'string'}]},
+  'DOM.focus': {parameters: [{name: 'nodeId', type: 'integer'}]},
+  'DOMStorage.enable': {parameters: []},
+  'DOMStorage.disable': {parameters: []},
+  'DOMStorage.getDOMStorageItems': {parameters: [{name: 'storageId', type: 'object'}]},
+  'DOMStorage.setDOMStorageItem': {
+    parameters: [
+      {name: 'storageId', type: 'object'},
+      {name: 'key', type: 'string'},
+      {name: 'value', type: 'string'},
+    ],
+  },
+  'DOMStorage.removeDOMStorageItem': {
+    parameters: [
+      {name: 'storageId', type: 'object'},
+      {name: 'key', type: 'string'},
+    ],
+  },
+  'DOMStorage.clearDOMStorageItems': {parameters: [{name: 'storageId', type: 'object'}]},
+  'Database.enable': {parameters: []},
+  'Database.disable': {parameters: []},
+  'Debugger.enable': {parameters: []},
+  'Debugger.disable': {parameters: []},
+  'Debugger.setAsyncStackTraceDepth': {parameters: [{name: 'depth', type: 'integer'}]},
+  'Debugger.setBreakpointsActive': {parameters: [{name: 'active', type: 'boolean'}]},
+  'Debugger.setBreakpointByUrl': {
+    parameters: [
+      {name: 'lineNumber', type: 'integer'},
+      {name: 'url', optional: true, type: 'string'},
+      {name: 'urlRegex', optional: true, type: 'string'},
+      {name: 'columnNumber', optional: true, type: 'integer'},
+      {name: 'options', optional: true, type: 'object'},
+    ],
+  },
+  'Debugger.setBreakpoint': {
+    parameters: [
+      {name: 'location', type: 'object'},
+      {name: 'options', optional: true, type: 'object'},
+    ],
+  },
+  'Debugger.removeBreakpoint': {parameters: [{name: 'breakpointId', type: 'string'}]},
+  'Debugger.continueToLocation': {parameters: [{name: 'location', type: 'object'}]},
+  'Debugger.stepNext': {parameters: []},
+  'Debugger.stepOver': {parameters: []},
+  'Debugger.stepInto': {parameters: []},
+  'Debugger.stepOut': {parameters: []},
+  'Debugger.pause': {parameters: []},
+  'Debugger.resume': {parameters: []},
+  'Debugger.getScriptSource': {parameters: [{name: 'scriptId', type: 'string'}]},
+  'Debugger.setPauseOnExceptions': {
+    parameters: [
+      {name: 'state', type: 'string', enum: ['none', 'uncaught', 'all']},
+      {name: 'options', optional: true, type: 'object'},
+    ],
+  },
+  'Debugger.setPauseOnAssertions': {
+    parameters: [
+      {name: 'enabled', type: 'boolean'},
+      {name: 'options', optional: true, type: 'object'},
+    ],
+  },
+  'Debugger.setPauseForInternalScripts': {parameters: [{name: 'shouldPause', type: 'boolean'}]},
+  'Debugger.evaluateOnCallFrame': {
+    parameters: [
+      {name: 'callFrameId', type: 'string'},
+      {name: 'expression', type: 'string'},
+      {name: 'objectGroup', optional: true, type: 'string'},
+      {name: 'includeCommandLineAPI', optional: true, type: 'boolean'},
+      {name: 'doNotPauseOnExceptionsAndMuteConsole', optional: true, type: 'boolean'},
+      {name: 'returnByValue', optional: true, type: 'boolean'},
+      {name: 'generatePreview', optional: true, type: 'boolean'},
+      {name: 'saveResult', optional: true, type: 'boolean'},
+      {name: 'emulateUserGesture', optional: true, type: 'boolean'},
+    ],
+  },
+  'Heap.enable': {parameters: []},
+  'Heap.disable': {parameters: []},
+  'Heap.gc': {parameters: []},
+  'Heap.snapshot': {parameters: []},
+  'Heap.startTracking': {parameters: []},
+  'Heap.stopTracking': {parameters: []},
+  'Heap.getPreview': {parameters: [{name: 'heapObjectId', type: 'integer'}]},
+  'Heap.getRemoteObject': {
+    parameters: [
+      {name: 'heapObjectId', type: 'integer'},
+      {name: 'objectGroup', optional: true, type: 'string'},
+    ],
+  },
+  'IndexedDB.enable': {parameters: []},
+  'IndexedDB.disable': {parameters: []},
+  'IndexedDB.requestDatabaseNames': {parameters: [{name: 'securityOrigin', type: 'string'}]},
+  'IndexedDB.requestDatabase': {
+    parameters: [
+      {name: 'securityOrigin', type: 'string'},
+      {name: 'databaseName', type: 'string'},
+    ],
+  },
+  'IndexedDB.requestData': {
+    parameters: [
+      {name: 'securityOrigin', type: 'string'},
+      {name: 'databaseName', type: 'string'},
+      {name: 'objectStoreName', type: 'string'},
+      {name: 'indexName', type: 'string'},
+      {name: 'skipCount', type: 'integer'},
+      {name: 'pageSize', type: 'integer'},
+      {name: 'keyRange', optional: true, type: 'object'},
+    ],
+  },
+  'IndexedDB.clearObjectStore': {
+    parameters: [
+      {name: 'securityOrigin', type: 'string'},
+      {name: 'databaseName', type: 'string'},
+      {name: 'objectStoreName', type: 'string'},
+    ],
+  },
+  'Inspector.enable': {parameters: []},
+  'Inspector.disable': {parameters: []},
+  'Inspector.initialized': {parameters: []},
+  'LayerTree.enable': {parameters: []},
+  'LayerTree.disable': {parameters: []},
+  'Memory.enable': {parameters: []},
+  'Memory.disable': {parameters: []},
+  'Memory.startTracking': {parameters: []},
+  'Memory.stopTracking': {parameters: []},
+  'Network.enable': {parameters: []},
+  'Network.disable': {parameters: []},
+  'Network.setExtraHTTPHeaders': {parameters: [{name: 'headers', type: 'object'}]},
+  'Network.getResponseBody': {parameters: [{name: 'requestId', type: 'string'}]},
+  'Network.setResourceCachingDisabled': {parameters: [{name: 'disabled', type: 'boolean'}]},
+  'Network.loadResource': {
+    parameters: [
+      {name: 'frameId', type: 'string'},
+      {name: 'url', type: 'string'},
+    ],
+  },
+  'Network.getSerializedCertificate': {parameters: [{name: 'requestId', type: 'string'}]},
+  'Network.resolveWebSocket': {
+    parameters: [
+      {name: 'requestId', type: 'string'},
+      {name: 'objectGroup', optional: true, type: 'string'},
+    ],
+  },
+  'Network.setInterceptionEnabled': {parameters: [{name: 'enabled', type: 'boolean'}]},
+  'Network.addInterception': {
+    parameters: [
+      {name: 'url', type: 'string'},
+      {name: 'stage', type: 'string', enum: ['request', 'response']},
+      {name: 'caseSensitive', optional: true, type: 'boolean'},
+      {name: 'isRegex', optional: true, type: 'boolean'},
+    ],
+  },
+  'Network.removeInterception': {
+    parameters: [
+      {name: 'url', type: 'string'},
+      {name: 'stage', type: 'string', enum: ['request', 'response']},
+      {name: 'caseSensitive', optional: true, type: 'boolean'},
+      {name: 'isRegex', optional: true, type: 'boolean'},
+    ],
+  },
+  'Network.interceptContinue': {
+    parameters: [
+      {name: 'requestId', type: 'string'},
+      {name: 'stage', type: 'string', enum: ['request', 'response']},
+    ],
+  },
+  'Network.interceptWithRequest': {
+    parameters: [
+      {name: 'requestId', type: 'string'},
+      {name: 'url', optional: true, type: 'string'},
+      {name: 'method', optional: true, type: 'string'},
+      {name: 'headers', optional: true, type: 'object'},
+      {name: 'postData', optional: true, type: 'string'},
+    ],
+  },
+  'Network.interceptWithResponse': {
+    parameters: [
+      {name: 'requestId', type: 'string'},
+      {name: 'content', type: 'string'},
+      {name: 'base64Encoded', type: 'boolean'},
+      {name: 'mimeType', optional: true, type: 'string'},
+      {name: 'status', optional: true, type: 'integer'},
+      {name: 'statusText', optional: true, type: 'string'},
+      {name: 'headers', optional: true, type: 'object'},
+    ],
+  },
+  'Network.interceptRequestWithResponse': {
+    parameters: [
+      {name: 'requestId', type: 'string'},
+      {name: 'content', type: 'string'},
+      {name: 'base64Encoded', type: 'boolean'},
+      {name: 'mimeType', type: 'string'},
+      {name: 'status', type: 'integer'},
+      {name: 'statusText', type: 'string'},
+      {name: 'headers', type: 'object'},
+    ],
+  },
+  'Network.interceptRequestWithError': {
+    parameters: [
+      {name: 'requestId', type: 'string'},
+      {name: 'errorType', type: 'string', enum: ['General', 'AccessControl', 'Cancellation', 'Timeout']},
+    ],
+  },
+  'Network.setEmulatedConditions': {parameters: [{name: 'bytesPerSecondLimit', optional: true, type: 'integer'}]},
+  'Page.enable': {parameters: []},
+  'Page.disable': {parameters: []},
+  'Page.reload': {
+    parameters: [
+      {name: 'ignoreCache', optional: true, type: 'boolean'},
+      {name: 'revalidateAllResources', optional: true, type: 'boolean'},
+    ],
+  },
+  'Page.navigate': {parameters: [{name: 'url', type: 'string'}]},
+  'Page.overrideUserAgent': {parameters: [{name: 'value', optional: true, type: 'string'}]},
+  'Page.overrideSetting': {
+    parameters: [
+      {
+        name: 'setting',
+        type: 'string',
+        enum: [
+          'PrivateClickMeasurementDebugModeEnabled',
+          'AuthorAndUserStylesEnabled',
+          'ICECandidateFilteringEnabled',
+          'ITPDebugModeEnabled',
+          'ImagesEnabled',
+          'MediaCaptureRequiresSecureConnection',
+          'MockCaptureDevicesEnabled',
+          'NeedsSiteSpecificQuirks',
+          'ScriptEnabled',
+          'ShowDebugBorders',
+          'ShowRepaintCounter',
+          'WebSecurityEnabled',
+        ],
+      },
+      {name: 'value', optional: true, type: 'boolean'},
+    ],
+  },
+  'Page.overrideUserPreference': {
+    parameters: [
+      {name: 'name', type: 'string', enum: ['PrefersReducedMotion', 'PrefersContrast', 'PrefersColorScheme']},
+      {name: 'value', optional: true, type: 'string', enum: ['NoPreference', 'Reduce', 'More', 'Light', 'Dark']},
+    ],
+  },
+  'Page.getCookies': {parameters: []},
+  'Page.setCookie': {
+    parameters: [
+      {name: 'cookie', type: 'object'},
+      {name: 'shouldPartition', optional: true, type: 'boolean'},
+    ],
+  },
+  'Page.deleteCookie': {
+    parameters: [
+      {name: 'cookieName', type: 'string'},
+      {name: 'url', type: 'string'},
+    ],
+  },
+  'Page.getResourceTree': {parameters: []},
+  'Page.getResourceContent': {
+    parameters: [
+      {name: 'frameId', type: 'string'},
+      {name: 'url', type: 'string'},
+    ],
+  },
+  'Page.setBootstrapScript': {parameters: [{name: 'source', optional: true, type: 'string'}]},
+  'Page.searchInResource': {
+    parameters: [
+      {name: 'frameId', type: 'string'},
+      {name: 'url', type: 'string'},
+      {name: 'query', type: 'string'},
+      {name: 'caseSensitive', optional: true, type: 'boolean'},
+      {name: 'isRegex', optional: true, type: 'boolean'},
+      {name: 'requestId', optional: true, type: 'string'},
+    ],
+  },
+  'Page.searchInResources': {
+    parameters: [
+      {name: 'text', type: 'string'},
+      {name: 'caseSensitive', optional: true, type: 'boolean'},
+      {name: 'isRegex', optional: true, type: 'boolean'},
+    ],
+  },
+  'Page.setShowRulers': {parameters: [{name: 'result', type: 'boolean'}]},
+  'Page.setShowPaintRects': {parameters: [{name: 'result', type: 'boolean'}]},
+  'Page.setEmulatedMedia': {parameters: [{name: 'media', type: 'string'}]},
+  'Page.snapshotNode': {parameters: [{name: 'nodeId', type: 'integer'}]},
+  'Page.snapshotRect': {
+    parameters: [
+      {name: 'x', type: 'integer'},
+      {name: 'y', type: 'integer'},
+      {name: 'width', type: 'integer'},
+      {name: 'height', type: 'integer'},
+      {name: 'coordinateSystem', type: 'string', enum: ['Viewport', 'Page']},
+    ],
+  },
+  'Page.archive': {parameters: []},
+  'Page.setScreenSizeOverride': {
+    parameters: [
+      {name: 'width', optional: true, type: 'integer'},
+      {name: 'height', optional: true, type: 'integer'},
+    ],
+  },
+  'Runtime.parse': {parameters: [{name: 'source', type: 'string'}]},
+  'Runtime.evaluate': {
+    parameters: [
+      {name: 'expression', type: 'string'},
+      {name: 'objectGroup', optional: true, type: 'string'},
+      {name: 'includeCommandLineAPI', optional: true, type: 'boolean'},
+      {name: 'doNotPauseOnExceptionsAndMuteConsole', optional: true, type: 'boolean'},
+      {name: 'contextId', optional: true, type: 'integer'},
+      {name: 'returnByValue', optional: true, type: 'boolean'},
+      {name: 'generatePreview', optional: true, type: 'boolean'},
+      {name: 'saveResult', optional: true, type: 'boolean'},
+      {name: 'emulateUserGesture', optional: true, type: 'boolean'},
+    ],
+  },
+  'Runtime.awaitPromise': {
+    parameters: [
+      {name: 'promiseObjectId', type: 'string'},
+      {name: 'returnByValue', optional: true, type: 'boolean'},
+      {name: 'generatePreview', optional: true, type: 'boolean'},
+      {name: 'saveResult', optional: true, type: 'boolean'},
+    ],
+  },
+  'Runtime.callFunctionOn': {
+    parameters: [
+      {name: 'objectId', type: 'string'},
+      {name: 'functionDeclaration', type: 'string'},
+      {name: 'arguments', optional: true, type: 'array', items: {type: 'object'}},
+      {name: 'doNotPauseOnExceptionsAndMuteConsole', optional: true, type: 'boolean'},
+      {name: 'returnByValue', optional: true, type: 'boolean'},
+      {name: 'generatePreview', optional: true, type: 'boolean'},
+      {name: 'emulateUserGesture', optional: true, type: 'boolean'},
+      {name: 'awaitPromise', optional: true, type: 'boolean'},
+    ],
+  },
+  'Runtime.getPreview': {parameters: [{name: 'objectId', type: 'string'}]},
+  'Runtime.getProperties': {
+    parameters: [
+      {name: 'objectId', type: 'string'},
+      {name: 'ownProperties', optional: true, type: 'boolean'},
+      {name: 'fetchStart', optional: true, type: 'integer'},
+      {name: 'fetchCount', optional: true, type: 'integer'},
+      {name: 'generatePreview', optional: true, type: 'boolean'},
+    ],
+  },
+  'Runtime.getDisplayableProperties': {
+    parameters: [
+      {name: 'objectId', type: 'string'},
+      {name: 'fetchStart', optional: true, type: 'integer'},
+      {name: 'fetchCount', optional: true, type: 'integer'},
+      {name: 'generatePreview', optional: true, type: 'boolean'},
+    ],
+  },
+  'Runtime.releaseObject': {parameters: [{name: 'objectId', type: 'string'}]},
+  'Runtime.releaseObjectGroup': {parameters: [{name: 'objectGroup', type: 'string'}]},
+  'Runtime.enable': {parameters: []},
+  'Runtime.disable': {parameters: []},
+  'Runtime.setSavedResultAlias': {parameters: [{name: 'alias', optional: true, type: 'string'}]},
+  'ScriptProfiler.startTracking': {parameters: [{name: 'includeSamples', optional: true, type: 'boolean'}]},
+  'ScriptProfiler.stopTracking': {parameters: []},
+  'ServiceWorker.getInitializationInfo': {parameters: []},
+  'Target.exists': {parameters: []},
+  'Target.setPauseOnStart': {parameters: [{name: 'pauseOnStart', type: 'boolean'}]},
+  'Target.resume': {parameters: [{name: 'targetId', type: 'string'}]},
+  'Target.sendMessageToTarget': {
+    parameters: [
+      {name: 'targetId', type: 'string'},
+      {name: 'message', type: 'string'},
+    ],
+  },
+  'Timeline.enable': {parameters: []},
+  'Timeline.disable': {parameters: []},
+  'Timeline.start': {parameters: [{name: 'maxCallStackDepth', optional: true, type: 'integer'}]},
+  'Timeline.stop': {parameters: []},
+  'Timeline.setAutoCaptureEnabled': {parameters: [{name: 'enabled', type: 'boolean'}]},
+  'Timeline.setInstruments': {
+    parameters: [
+      {
+        name: 'instruments',
+        type: 'array',
+        items: {
+          type: 'string',
+          enum: ['ScriptProfiler', 'Timeline', 'CPU', 'Memory', 'Heap', 'Animation', 'Screenshot'],
+        },
+      },
+    ],
+  },
+  'Worker.enable': {parameters: []},
+  'Worker.disable': {parameters: []},
+  'Worker.initialized': {parameters: [{name: 'workerId', type: 'string'}]},
+  'Worker.sendMessageToWorker': {
+    parameters: [
+      {name: 'workerId', type: 'string'},
+      {name: 'message', type: 'string'},
+    ],
+  },
+};
+
+/**
+ * The iOS versions supporting the protocol domains and commands, by their names.
+ * Domains and commands which are not listed are supported by all the iOS versions.
+ */
+export const IOS_AVAILABILITY: Readonly<Record<string, ProtocolAvailability>> = {};
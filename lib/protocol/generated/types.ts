@@ -0,0 +1,3637 @@
+// Generated by scripts/generate-protocol.mjs from the inspector/ schemas. Do not edit by hand,
+// change the schemas and run 'npm run generate:protocol' instead.
+
+/** Domain for tracking/modifying Web Animations, as well as CSS (declarative) animations and transitions. */
+export namespace Animation {
+  /** Parameters of 'Animation.enable'. */
+  export type EnableParams = Record<string, never>;
+
+  /** Result of 'Animation.enable'. */
+  export type EnableResult = Record<string, never>;
+
+  /** Parameters of 'Animation.disable'. */
+  export type DisableParams = Record<string, never>;
+
+  /** Result of 'Animation.disable'. */
+  export type DisableResult = Record<string, never>;
+}
+
+export namespace ApplicationCache {
+  /** Parameters of 'ApplicationCache.getFramesWithManifests'. */
+  export type GetFramesWithManifestsParams = Record<string, never>;
+
+  /** Result of 'ApplicationCache.getFramesWithManifests'. */
+  export type GetFramesWithManifestsResult = {
+    /** Array of frame identifiers with manifest urls for each frame containing a document associated with some application cache. */
+    frameIds: Record<string, any>[];
+  };
+
+  /** Parameters of 'ApplicationCache.enable'. */
+  export type EnableParams = Record<string, never>;
+
+  /** Result of 'ApplicationCache.enable'. */
+  export type EnableResult = Record<string, never>;
+
+  /** Parameters of 'ApplicationCache.disable'. */
+  export type DisableParams = Record<string, never>;
+
+  /** Result of 'ApplicationCache.disable'. */
+  export type DisableResult = Record<string, never>;
+}
+
+/** The Browser domain contains commands and events related to getting information about the browser. */
+export namespace Browser {
+  /** Parameters of 'Browser.enable'. */
+  export type EnableParams = Record<string, never>;
+
+  /** Result of 'Browser.enable'. */
+  export type EnableResult = Record<string, never>;
+
+  /** Parameters of 'Browser.disable'. */
+  export type DisableParams = Record<string, never>;
+
+  /** Result of 'Browser.disable'. */
+  export type DisableResult = Record<string, never>;
+}
+
+/** CPUProfiler domain exposes cpu usage tracking. */
+export namespace CPUProfiler {
+  /** CPU usage for an individual thread. */
+  export interface ThreadInfo {
+    /** Some thread identification information. */
+    name: string;
+    /** CPU usage for this thread. This should not exceed 100% for an individual thread. */
+    usage: number;
+    /** Type of thread. There should be a single main thread. */
+    type?: 'main' | 'webkit';
+    /** A thread may be associated with a target, such as a Worker, in the process. */
+    targetId?: string;
+  }
+
+  export interface Event {
+    timestamp: number;
+    /** Percent of total cpu usage. If there are multiple cores the usage may be greater than 100%. */
+    usage: number;
+    /** Per-thread CPU usage information. Does not include the main thread. */
+    threads?: ThreadInfo[];
+  }
+
+  /** Parameters of 'CPUProfiler.startTracking'. */
+  export type StartTrackingParams = Record<string, never>;
+
+  /** Result of 'CPUProfiler.startTracking'. */
+  export type StartTrackingResult = Record<string, never>;
+
+  /** Parameters of 'CPUProfiler.stopTracking'. */
+  export type StopTrackingParams = Record<string, never>;
+
+  /** Result of 'CPUProfiler.stopTracking'. */
+  export type StopTrackingResult = Record<string, never>;
+
+  /** Tracking started. */
+  export type TrackingStartEvent = {
+    timestamp: number;
+  };
+
+  /** Periodic tracking updates with event data. */
+  export type TrackingUpdateEvent = {
+    event: Event;
+  };
+
+  /** Tracking stopped. */
+  export type TrackingCompleteEvent = {
+    timestamp: number;
+  };
+}
+
+/** This domain exposes CSS read/write operations. All CSS objects, like stylesheets, rules, and styles, have an associated `id` used in subsequent operations on the related object. Each object type has a specific `id` structure, and those are not interchangeable between objects of different kinds. CSS objects can be loaded using the `get*ForNode()` calls (which accept a DOM node id). Alternatively, a client can discover all the existing stylesheets with the `getAllStyleSheets()` method and subsequently load the required stylesheet contents using the `getStyleSheet[Text]()` methods. */
+export namespace CSS {
+  /** Parameters of 'CSS.enable'. */
+  export type EnableParams = Record<string, never>;
+
+  /** Result of 'CSS.enable'. */
+  export type EnableResult = Record<string, never>;
+
+  /** Parameters of 'CSS.disable'. */
+  export type DisableParams = Record<string, never>;
+
+  /** Result of 'CSS.disable'. */
+  export type DisableResult = Record<string, never>;
+}
+
+/** Canvas domain allows tracking of canvases that have an associated graphics context. Tracks canvases in the DOM and CSS canvases created with -webkit-canvas. */
+export namespace Canvas {
+  /** Parameters of 'Canvas.enable'. */
+  export type EnableParams = Record<string, never>;
+
+  /** Result of 'Canvas.enable'. */
+  export type EnableResult = Record<string, never>;
+
+  /** Parameters of 'Canvas.disable'. */
+  export type DisableParams = Record<string, never>;
+
+  /** Result of 'Canvas.disable'. */
+  export type DisableResult = Record<string, never>;
+}
+
+/** Console domain defines methods and events for interaction with the JavaScript console. Console collects messages created by means of the JavaScript Console API. One needs to enable this domain using `enable` command in order to start receiving the console messages. Browser collects messages issued while console domain is not enabled as well and reports them using `messageAdded` notification upon enabling. */
+export namespace Console {
+  /** Channels for different types of log messages. */
+  export type ChannelSource =
+    | 'xml'
+    | 'javascript'
+    | 'network'
+    | 'console-api'
+    | 'storage'
+    | 'appcache'
+    | 'rendering'
+    | 'css'
+    | 'accessibility'
+    | 'security'
+    | 'content-blocker'
+    | 'media'
+    | 'mediasource'
+    | 'webrtc'
+    | 'itp-debug'
+    | 'private-click-measurement'
+    | 'payment-request'
+    | 'other';
+
+  /** Level of logging. */
+  export type ChannelLevel = 'off' | 'basic' | 'verbose';
+
+  /** The reason the console is being cleared. */
+  export type ClearReason = 'console-api' | 'main-frame-navigation';
+
+  /** Logging channel. */
+  export interface Channel {
+    source: ChannelSource;
+    level: ChannelLevel;
+  }
+
+  /** Console message. */
+  export interface ConsoleMessage {
+    source: ChannelSource;
+    /** Message severity. */
+    level: 'log' | 'info' | 'warning' | 'error' | 'debug';
+    /** Message text. */
+    text: string;
+    /** Console message type. */
+    type?:
+      | 'log'
+      | 'dir'
+      | 'dirxml'
+      | 'table'
+      | 'trace'
+      | 'clear'
+      | 'startGroup'
+      | 'startGroupCollapsed'
+      | 'endGroup'
+      | 'assert'
+      | 'timing'
+      | 'profile'
+      | 'profileEnd'
+      | 'image';
+    /** URL of the message origin. */
+    url?: string;
+    /** Line number in the resource that generated this message. */
+    line?: number;
+    /** Column number on the line in the resource that generated this message. */
+    column?: number;
+    /** Repeat count for repeated messages. */
+    repeatCount?: number;
+    /** Message parameters in case of the formatted message. */
+    parameters?: Runtime.RemoteObject[];
+    /** JavaScript stack trace for assertions and error messages. */
+    stackTrace?: StackTrace;
+    /** Identifier of the network request associated with this message. */
+    networkRequestId?: Network.RequestId;
+    /** Time when this message was added. Currently only used when an expensive operation happens to make sure that the frontend can account for it. */
+    timestamp?: number;
+  }
+
+  /** Stack entry for console errors and assertions. */
+  export interface CallFrame {
+    /** JavaScript function name. */
+    functionName: string;
+    /** JavaScript script name or url. */
+    url: string;
+    /** Script identifier. */
+    scriptId: Debugger.ScriptId;
+    /** JavaScript script line number. */
+    lineNumber: number;
+    /** JavaScript script column number. */
+    columnNumber: number;
+  }
+
+  /** Call frames for async function calls, console assertions, and error messages. */
+  export interface StackTrace {
+    callFrames: CallFrame[];
+    /** Whether the first item in `callFrames` is the native function that scheduled the asynchronous operation (e.g. setTimeout). */
+    topCallFrameIsBoundary?: boolean;
+    /** Whether one or more frames have been truncated from the bottom of the stack. */
+    truncated?: boolean;
+    /** Parent StackTrace. */
+    parentStackTrace?: StackTrace;
+  }
+
+  /** Parameters of 'Console.enable'. */
+  export type EnableParams = Record<string, never>;
+
+  /** Result of 'Console.enable'. */
+  export type EnableResult = Record<string, never>;
+
+  /** Parameters of 'Console.disable'. */
+  export type DisableParams = Record<string, never>;
+
+  /** Result of 'Console.disable'. */
+  export type DisableResult = Record<string, never>;
+
+  /** Parameters of 'Console.clearMessages'. */
+  export type ClearMessagesParams = Record<string, never>;
+
+  /** Result of 'Console.clearMessages'. */
+  export type ClearMessagesResult = Record<string, never>;
+
+  /** Parameters of 'Console.getLoggingChannels'. */
+  export type GetLoggingChannelsParams = Record<string, never>;
+
+  /** Result of 'Console.getLoggingChannels'. */
+  export type GetLoggingChannelsResult = {
+    /** Logging channels. */
+    channels: Channel[];
+  };
+
+  /** Parameters of 'Console.setLoggingChannelLevel'. */
+  export type SetLoggingChannelLevelParams = {
+    /** Logging channel to modify. */
+    source: ChannelSource;
+    /** New level. */
+    level: ChannelLevel;
+  };
+
+  /** Result of 'Console.setLoggingChannelLevel'. */
+  export type SetLoggingChannelLevelResult = Record<string, never>;
+
+  /** Issued when new console message is added. */
+  export type MessageAddedEvent = {
+    /** Console message that has been added. */
+    message: ConsoleMessage;
+  };
+
+  /** Issued when subsequent message(s) are equal to the previous one(s). */
+  export type MessageRepeatCountUpdatedEvent = {
+    /** New repeat count value. */
+    count: number;
+    /** Timestamp of the latest message. */
+    timestamp?: number;
+  };
+
+  /** Issued when console is cleared. This happens either upon `clearMessages` command or after page navigation. */
+  export type MessagesClearedEvent = {
+    /** The reason the console is being cleared. */
+    reason: ClearReason;
+  };
+
+  /** Issued from console.takeHeapSnapshot. */
+  export type HeapSnapshotEvent = {
+    timestamp: number;
+    /** Snapshot at the end of tracking. */
+    snapshotData: Heap.HeapSnapshotData;
+    /** Optional title provided to console.takeHeapSnapshot. */
+    title?: string;
+  };
+}
+
+/** This domain exposes DOM read/write operations. Each DOM Node is represented with its mirror object that has an `id`. This `id` can be used to get additional information on the Node, resolve it into the JavaScript object wrapper, etc. It is important that client receives DOM events only for the nodes that are known to the client. Backend keeps track of the nodes that were sent to the client and never sends the same node twice. It is client's responsibility to collect information about the nodes that were sent to the client. */
+export namespace DOM {
+  /** Unique DOM node identifier. */
+  export type NodeId = number;
+
+  /** Unique event listener identifier. */
+  export type EventListenerId = number;
+
+  /** Pseudo element type. */
+  export type PseudoType = 'before' | 'after';
+
+  /** Shadow root type. */
+  export type ShadowRootType = 'user-agent' | 'open' | 'closed';
+
+  /** DOM interaction is implemented in terms of mirror objects that represent the actual DOM nodes. DOMNode is a base node mirror type. */
+  export interface Node {
+    /** Node identifier that is passed into the rest of the DOM messages as the `nodeId`. Backend will only push node with given `id` once. It is aware of all requested nodes and will only fire DOM events for nodes known to the client. */
+    nodeId: NodeId;
+    /** `Node`'s nodeType. */
+    nodeType: number;
+    /** `Node`'s nodeName. */
+    nodeName: string;
+    /** `Node`'s localName. */
+    localName: string;
+    /** `Node`'s nodeValue. */
+    nodeValue: string;
+    /** Identifier of the containing frame. */
+    frameId?: Network.FrameId;
+    /** Child count for `Container` nodes. */
+    childNodeCount?: number;
+    /** Child nodes of this node when requested with children. */
+    children?: Node[];
+    /** Attributes of the `Element` node in the form of flat array `[name1, value1, name2, value2]`. */
+    attributes?: string[];
+    /** Document URL that `Document` or `FrameOwner` node points to. */
+    documentURL?: string;
+    /** Base URL that `Document` or `FrameOwner` node uses for URL completion. */
+    baseURL?: string;
+    /** `DocumentType`'s publicId. */
+    publicId?: string;
+    /** `DocumentType`'s systemId. */
+    systemId?: string;
+    /** `Document`'s XML version in case of XML documents. */
+    xmlVersion?: string;
+    /** `Attr`'s name. */
+    name?: string;
+    /** `Attr`'s value. */
+    value?: string;
+    /** Pseudo element type for this node. */
+    pseudoType?: PseudoType;
+    /** Shadow root type. */
+    shadowRootType?: ShadowRootType;
+    /** Custom element state. */
+    customElementState?: 'builtin' | 'custom' | 'waiting' | 'failed';
+    /** Content document for frame owner elements. */
+    contentDocument?: Node;
+    /** Shadow root list for given element host. */
+    shadowRoots?: Node[];
+    /** Content document fragment for template elements */
+    templateContent?: Node;
+    /** Pseudo elements associated with this node. */
+    pseudoElements?: Node[];
+  }
+
+  /** A structure holding an RGBA color. */
+  export interface RGBAColor {
+    /** The red component, in the [0-255] range. */
+    r: number;
+    /** The green component, in the [0-255] range. */
+    g: number;
+    /** The blue component, in the [0-255] range. */
+    b: number;
+    /** The alpha component, in the [0-1] range (default: 1). */
+    a?: number;
+  }
+
+  /** Configuration data for the highlighting of page elements. */
+  export interface HighlightConfig {
+    /** Whether the node info tooltip should be shown (default: false). */
+    showInfo?: boolean;
+    /** The content box highlight fill color (default: transparent). */
+    contentColor?: RGBAColor;
+    /** The padding highlight fill color (default: transparent). */
+    paddingColor?: RGBAColor;
+    /** The border highlight fill color (default: transparent). */
+    borderColor?: RGBAColor;
+    /** The margin highlight fill color (default: transparent). */
+    marginColor?: RGBAColor;
+  }
+
+  /** Parameters of 'DOM.getDocument'. */
+  export type GetDocumentParams = Record<string, never>;
+
+  /** Result of 'DOM.getDocument'. */
+  export type GetDocumentResult = {
+    /** Resulting node. */
+    root: Node;
+  };
+
+  /** Parameters of 'DOM.requestChildNodes'. */
+  export type RequestChildNodesParams = {
+    /** Id of the node to get children for. */
+    nodeId: NodeId;
+    /** The maximum depth at which children should be retrieved, defaults to 1. Use -1 for the entire subtree or provide an integer larger than 0. */
+    depth?: number;
+  };
+
+  /** Result of 'DOM.requestChildNodes'. */
+  export type RequestChildNodesResult = Record<string, never>;
+
+  /** Parameters of 'DOM.querySelector'. */
+  export type QuerySelectorParams = {
+    /** Id of the node to query upon. */
+    nodeId: NodeId;
+    /** Selector string. */
+    selector: string;
+  };
+
+  /** Result of 'DOM.querySelector'. */
+  export type QuerySelectorResult = {
+    /** Query selector result. */
+    nodeId?: NodeId;
+  };
+
+  /** Parameters of 'DOM.querySelectorAll'. */
+  export type QuerySelectorAllParams = {
+    /** Id of the node to query upon. */
+    nodeId: NodeId;
+    /** Selector string. */
+    selector: string;
+  };
+
+  /** Result of 'DOM.querySelectorAll'. */
+  export type QuerySelectorAllResult = {
+    /** Query selector result. */
+    nodeIds: NodeId[];
+  };
+
+  /** Parameters of 'DOM.setNodeName'. */
+  export type SetNodeNameParams = {
+    /** Id of the node to set name for. */
+    nodeId: NodeId;
+    /** New node's name. */
+    name: string;
+  };
+
+  /** Result of 'DOM.setNodeName'. */
+  export type SetNodeNameResult = {
+    /** New node's id. */
+    nodeId: NodeId;
+  };
+
+  /** Parameters of 'DOM.setNodeValue'. */
+  export type SetNodeValueParams = {
+    /** Id of the node to set value for. */
+    nodeId: NodeId;
+    /** New node's value. */
+    value: string;
+  };
+
+  /** Result of 'DOM.setNodeValue'. */
+  export type SetNodeValueResult = Record<string, never>;
+
+  /** Parameters of 'DOM.removeNode'. */
+  export type RemoveNodeParams = {
+    /** Id of the node to remove. */
+    nodeId: NodeId;
+  };
+
+  /** Result of 'DOM.removeNode'. */
+  export type RemoveNodeResult = Record<string, never>;
+
+  /** Parameters of 'DOM.setAttributeValue'. */
+  export type SetAttributeValueParams = {
+    /** Id of the element to set attribute for. */
+    nodeId: NodeId;
+    /** Attribute name. */
+    name: string;
+    /** Attribute value. */
+    value: string;
+  };
+
+  /** Result of 'DOM.setAttributeValue'. */
+  export type SetAttributeValueResult = Record<string, never>;
+
+  /** Parameters of 'DOM.removeAttribute'. */
+  export type RemoveAttributeParams = {
+    /** Id of the element to remove attribute from. */
+    nodeId: NodeId;
+    /** Name of the attribute to remove. */
+    name: string;
+  };
+
+  /** Result of 'DOM.removeAttribute'. */
+  export type RemoveAttributeResult = Record<string, never>;
+
+  /** Parameters of 'DOM.getOuterHTML'. */
+  export type GetOuterHTMLParams = {
+    /** Id of the node to get markup for. */
+    nodeId: NodeId;
+  };
+
+  /** Result of 'DOM.getOuterHTML'. */
+  export type GetOuterHTMLResult = {
+    /** Outer HTML markup. */
+    outerHTML: string;
+  };
+
+  /** Parameters of 'DOM.setOuterHTML'. */
+  export type SetOuterHTMLParams = {
+    /** Id of the node to set markup for. */
+    nodeId: NodeId;
+    /** Outer HTML markup to set. */
+    outerHTML: string;
+  };
+
+  /** Result of 'DOM.setOuterHTML'. */
+  export type SetOuterHTMLResult = Record<string, never>;
+
+  /** Parameters of 'DOM.highlightNode'. */
+  export type HighlightNodeParams = {
+    /** Identifier of the node to highlight. */
+    nodeId?: NodeId;
+    /** JavaScript object id of the node to be highlighted. */
+    objectId?: Runtime.RemoteObjectId;
+    /** A descriptor for the highlight appearance. */
+    highlightConfig: HighlightConfig;
+    /** If provided, used to configure a ruler overlay shown during element selection. This overrides DOM.setInspectModeEnabled. */
+    showRulers?: boolean;
+  };
+
+  /** Result of 'DOM.highlightNode'. */
+  export type HighlightNodeResult = Record<string, never>;
+
+  /** Parameters of 'DOM.hideHighlight'. */
+  export type HideHighlightParams = Record<string, never>;
+
+  /** Result of 'DOM.hideHighlight'. */
+  export type HideHighlightResult = Record<string, never>;
+
+  /** Parameters of 'DOM.resolveNode'. */
+  export type ResolveNodeParams = {
+    /** Id of the node to resolve. */
+    nodeId?: NodeId;
+    /** Source element handle. */
+    objectId?: Runtime.RemoteObjectId;
+    /** Id of the frame to resolve the owner element. */
+    frameId?: Network.FrameId;
+    /** Specifies in which execution context to adopt to. */
+    executionContextId?: Runtime.ExecutionContextId;
+    /** Symbolic group name that can be used to release multiple objects. */
+    objectGroup?: string;
+  };
+
+  /** Result of 'DOM.resolveNode'. */
+  export type ResolveNodeResult = {
+    /** JavaScript object wrapper for given node. */
+    object: Runtime.RemoteObject;
+  };
+
+  /** Parameters of 'DOM.getAttributes'. */
+  export type GetAttributesParams = {
+    /** Id of the node to retrieve attibutes for. */
+    nodeId: NodeId;
+  };
+
+  /** Result of 'DOM.getAttributes'. */
+  export type GetAttributesResult = {
+    /** An interleaved array of node attribute names and values. */
+    attributes: string[];
+  };
+
+  /** Parameters of 'DOM.requestNode'. */
+  export type RequestNodeParams = {
+    /** JavaScript object id to convert into node. */
+    objectId: Runtime.RemoteObjectId;
+  };
+
+  /** Result of 'DOM.requestNode'. */
+  export type RequestNodeResult = {
+    /** Node id for given object. */
+    nodeId: NodeId;
+  };
+
+  /** Parameters of 'DOM.focus'. */
+  export type FocusParams = {
+    /** Id of the node to focus. */
+    nodeId: NodeId;
+  };
+
+  /** Result of 'DOM.focus'. */
+  export type FocusResult = Record<string, never>;
+
+  /** Fired when `Document` has been totally updated. Node ids are no longer valid. */
+  export type DocumentUpdatedEvent = Record<string, never>;
+
+  /** Fired when backend wants to provide client with the missing DOM structure. This happens upon most of the calls requesting node ids. */
+  export type SetChildNodesEvent = {
+    /** Parent node id to populate with children. */
+    parentId: NodeId;
+    /** Child nodes array. */
+    nodes: Node[];
+  };
+
+  /** Fired when `Element`'s attribute is modified. */
+  export type AttributeModifiedEvent = {
+    /** Id of the node that has changed. */
+    nodeId: NodeId;
+    /** Attribute name. */
+    name: string;
+    /** Attribute value. */
+    value: string;
+  };
+
+  /** Fired when `Element`'s attribute is removed. */
+  export type AttributeRemovedEvent = {
+    /** Id of the node that has changed. */
+    nodeId: NodeId;
+    /** A ttribute name. */
+    name: string;
+  };
+
+  /** Mirrors `DOMNodeInserted` event. */
+  export type ChildNodeInsertedEvent = {
+    /** Id of the node that has changed. */
+    parentNodeId: NodeId;
+    /** Id of the previous sibling. */
+    previousNodeId: NodeId;
+    /** Inserted node data. */
+    node: Node;
+  };
+
+  /** Mirrors `DOMNodeRemoved` event. */
+  export type ChildNodeRemovedEvent = {
+    /** Parent id. */
+    parentNodeId: NodeId;
+    /** Id of the node that has been removed. */
+    nodeId: NodeId;
+  };
+}
+
+/** Query and modify DOM storage. */
+export namespace DOMStorage {
+  /** DOM Storage identifier. */
+  export interface StorageId {
+    /** Security origin for the storage. */
+    securityOrigin: string;
+    /** Whether the storage is local storage (not session storage). */
+    isLocalStorage: boolean;
+  }
+
+  /** DOM Storage item. */
+  export type Item = string[];
+
+  /** Parameters of 'DOMStorage.enable'. */
+  export type EnableParams = Record<string, never>;
+
+  /** Result of 'DOMStorage.enable'. */
+  export type EnableResult = Record<string, never>;
+
+  /** Parameters of 'DOMStorage.disable'. */
+  export type DisableParams = Record<string, never>;
+
+  /** Result of 'DOMStorage.disable'. */
+  export type DisableResult = Record<string, never>;
+
+  /** Parameters of 'DOMStorage.getDOMStorageItems'. */
+  export type GetDOMStorageItemsParams = {
+    storageId: StorageId;
+  };
+
+  /** Result of 'DOMStorage.getDOMStorageItems'. */
+  export type GetDOMStorageItemsResult = {
+    entries: Item[];
+  };
+
+  /** Parameters of 'DOMStorage.setDOMStorageItem'. */
+  export type SetDOMStorageItemParams = {
+    storageId: StorageId;
+    key: string;
+    value: string;
+  };
+
+  /** Result of 'DOMStorage.setDOMStorageItem'. */
+  export type SetDOMStorageItemResult = Record<string, never>;
+
+  /** Parameters of 'DOMStorage.removeDOMStorageItem'. */
+  export type RemoveDOMStorageItemParams = {
+    storageId: StorageId;
+    key: string;
+  };
+
+  /** Result of 'DOMStorage.removeDOMStorageItem'. */
+  export type RemoveDOMStorageItemResult = Record<string, never>;
+
+  /** Parameters of 'DOMStorage.clearDOMStorageItems'. */
+  export type ClearDOMStorageItemsParams = {
+    storageId: StorageId;
+  };
+
+  /** Result of 'DOMStorage.clearDOMStorageItems'. */
+  export type ClearDOMStorageItemsResult = Record<string, never>;
+
+  export type DomStorageItemsClearedEvent = {
+    storageId: StorageId;
+  };
+
+  export type DomStorageItemRemovedEvent = {
+    storageId: StorageId;
+    key: string;
+  };
+
+  export type DomStorageItemAddedEvent = {
+    storageId: StorageId;
+    key: string;
+    newValue: string;
+  };
+
+  export type DomStorageItemUpdatedEvent = {
+    storageId: StorageId;
+    key: string;
+    oldValue: string;
+    newValue: string;
+  };
+}
+
+export namespace Database {
+  /** Parameters of 'Database.enable'. */
+  export type EnableParams = Record<string, never>;
+
+  /** Result of 'Database.enable'. */
+  export type EnableResult = Record<string, never>;
+
+  /** Parameters of 'Database.disable'. */
+  export type DisableParams = Record<string, never>;
+
+  /** Result of 'Database.disable'. */
+  export type DisableResult = Record<string, never>;
+}
+
+/** Debugger domain exposes JavaScript debugging capabilities. It allows setting and removing breakpoints, stepping through execution, exploring stack traces, etc. */
+export namespace Debugger {
+  /** Breakpoint identifier. */
+  export type BreakpointId = string;
+
+  /** Breakpoint action identifier. */
+  export type BreakpointActionIdentifier = number;
+
+  /** Unique script identifier. */
+  export type ScriptId = string;
+
+  /** Call frame identifier. */
+  export type CallFrameId = string;
+
+  /** Location in the source code. */
+  export interface Location {
+    /** Script identifier as reported in the `Debugger.scriptParsed`. */
+    scriptId: ScriptId;
+    /** Line number in the script (0-based). */
+    lineNumber: number;
+    /** Column number in the script (0-based). */
+    columnNumber?: number;
+  }
+
+  /** Action to perform when a breakpoint is triggered. */
+  export interface BreakpointAction {
+    /** Different kinds of breakpoint actions. */
+    type: 'log' | 'evaluate' | 'sound' | 'probe';
+    /** Data associated with this breakpoint type (e.g. for type "eval" this is the JavaScript string to evaluate). */
+    data?: string;
+    /** A frontend-assigned identifier for this breakpoint action. */
+    id?: BreakpointActionIdentifier;
+    /** Indicates whether this action should be executed with a user gesture or not. Defaults to `false`. */
+    emulateUserGesture?: boolean;
+  }
+
+  /** Extra options that modify breakpoint behavior. */
+  export interface BreakpointOptions {
+    /** Expression to use as a breakpoint condition. When specified, debugger will only stop on the breakpoint if this expression evaluates to true. */
+    condition?: string;
+    /** Actions to perform automatically when the breakpoint is triggered. */
+    actions?: BreakpointAction[];
+    /** Automatically continue after hitting this breakpoint and running actions. */
+    autoContinue?: boolean;
+    /** Number of times to ignore this breakpoint, before stopping on the breakpoint and running actions. */
+    ignoreCount?: number;
+  }
+
+  /** Scope description. */
+  export interface Scope {
+    /** Object representing the scope. For `global` and `with` scopes it represents the actual object; for the rest of the scopes, it is artificial transient object enumerating scope variables as its properties. */
+    object: Runtime.RemoteObject;
+    /** Scope type. */
+    type: 'global' | 'with' | 'closure' | 'catch' | 'functionName' | 'globalLexicalEnvironment' | 'nestedLexical';
+    /** Name associated with the scope. */
+    name?: string;
+    /** Location if available of the scope definition. */
+    location?: Location;
+    /** Whether the scope has any variables. */
+    empty?: boolean;
+  }
+
+  /** JavaScript call frame. Array of call frames form the call stack. */
+  export interface CallFrame {
+    /** Call frame identifier. This identifier is only valid while the virtual machine is paused. */
+    callFrameId: CallFrameId;
+    /** Name of the JavaScript function called on this call frame. */
+    functionName: string;
+    /** Location in the source code. */
+    location: Location;
+    /** Scope chain for given call frame. */
+    scopeChain: Scope[];
+    /** `this` object for this call frame. */
+    this: Runtime.RemoteObject;
+    /** Is the current frame tail deleted from a tail call. */
+    isTailDeleted: boolean;
+  }
+
+  /** Parameters of 'Debugger.enable'. */
+  export type EnableParams = Record<string, never>;
+
+  /** Result of 'Debugger.enable'. */
+  export type EnableResult = Record<string, never>;
+
+  /** Parameters of 'Debugger.disable'. */
+  export type DisableParams = Record<string, never>;
+
+  /** Result of 'Debugger.disable'. */
+  export type DisableResult = Record<string, never>;
+
+  /** Parameters of 'Debugger.setAsyncStackTraceDepth'. */
+  export type SetAsyncStackTraceDepthParams = {
+    /** Async stack trace depth. */
+    depth: number;
+  };
+
+  /** Result of 'Debugger.setAsyncStackTraceDepth'. */
+  export type SetAsyncStackTraceDepthResult = Record<string, never>;
+
+  /** Parameters of 'Debugger.setBreakpointsActive'. */
+  export type SetBreakpointsActiveParams = {
+    /** New value for breakpoints active state. */
+    active: boolean;
+  };
+
+  /** Result of 'Debugger.setBreakpointsActive'. */
+  export type SetBreakpointsActiveResult = Record<string, never>;
+
+  /** Parameters of 'Debugger.setBreakpointByUrl'. */
+  export type SetBreakpointByUrlParams = {
+    /** Line number to set breakpoint at. */
+    lineNumber: number;
+    /** URL of the resources to set breakpoint on. */
+    url?: string;
+    /** Regex pattern for the URLs of the resources to set breakpoints on. Either `url` or `urlRegex` must be specified. */
+    urlRegex?: string;
+    /** Offset in the line to set breakpoint at. */
+    columnNumber?: number;
+    /** Options to apply to this breakpoint to modify its behavior. */
+    options?: BreakpointOptions;
+  };
+
+  /** Result of 'Debugger.setBreakpointByUrl'. */
+  export type SetBreakpointByUrlResult = {
+    /** Id of the created breakpoint for further reference. */
+    breakpointId: BreakpointId;
+    /** List of the locations this breakpoint resolved into upon addition. */
+    locations: Location[];
+  };
+
+  /** Parameters of 'Debugger.setBreakpoint'. */
+  export type SetBreakpointParams = {
+    /** Location to set breakpoint in. */
+    location: Location;
+    /** Options to apply to this breakpoint to modify its behavior. */
+    options?: BreakpointOptions;
+  };
+
+  /** Result of 'Debugger.setBreakpoint'. */
+  export type SetBreakpointResult = {
+    /** Id of the created breakpoint for further reference. */
+    breakpointId: BreakpointId;
+    /** Location this breakpoint resolved into. */
+    actualLocation: Location;
+  };
+
+  /** Parameters of 'Debugger.removeBreakpoint'. */
+  export type RemoveBreakpointParams = {
+    breakpointId: BreakpointId;
+  };
+
+  /** Result of 'Debugger.removeBreakpoint'. */
+  export type RemoveBreakpointResult = Record<string, never>;
+
+  /** Parameters of 'Debugger.continueToLocation'. */
+  export type ContinueToLocationParams = {
+    /** Location to continue to. */
+    location: Location;
+  };
+
+  /** Result of 'Debugger.continueToLocation'. */
+  export type ContinueToLocationResult = Record<string, never>;
+
+  /** Parameters of 'Debugger.stepNext'. */
+  export type StepNextParams = Record<string, never>;
+
+  /** Result of 'Debugger.stepNext'. */
+  export type StepNextResult = Record<string, never>;
+
+  /** Parameters of 'Debugger.stepOver'. */
+  export type StepOverParams = Record<string, never>;
+
+  /** Result of 'Debugger.stepOver'. */
+  export type StepOverResult = Record<string, never>;
+
+  /** Parameters of 'Debugger.stepInto'. */
+  export type StepIntoParams = Record<string, never>;
+
+  /** Result of 'Debugger.stepInto'. */
+  export type StepIntoResult = Record<string, never>;
+
+  /** Parameters of 'Debugger.stepOut'. */
+  export type StepOutParams = Record<string, never>;
+
+  /** Result of 'Debugger.stepOut'. */
+  export type StepOutResult = Record<string, never>;
+
+  /** Parameters of 'Debugger.pause'. */
+  export type PauseParams = Record<string, never>;
+
+  /** Result of 'Debugger.pause'. */
+  export type PauseResult = Record<string, never>;
+
+  /** Parameters of 'Debugger.resume'. */
+  export type ResumeParams = Record<string, never>;
+
+  /** Result of 'Debugger.resume'. */
+  export type ResumeResult = Record<string, never>;
+
+  /** Parameters of 'Debugger.getScriptSource'. */
+  export type GetScriptSourceParams = {
+    /** Id of the script to get source for. */
+    scriptId: ScriptId;
+  };
+
+  /** Result of 'Debugger.getScriptSource'. */
+  export type GetScriptSourceResult = {
+    /** Script source. */
+    scriptSource: string;
+  };
+
+  /** Parameters of 'Debugger.setPauseOnExceptions'. */
+  export type SetPauseOnExceptionsParams = {
+    /** Pause on exceptions mode. */
+    state: 'none' | 'uncaught' | 'all';
+    /** Options to apply to this breakpoint to modify its behavior. */
+    options?: BreakpointOptions;
+  };
+
+  /** Result of 'Debugger.setPauseOnExceptions'. */
+  export type SetPauseOnExceptionsResult = Record<string, never>;
+
+  /** Parameters of 'Debugger.setPauseOnAssertions'. */
+  export type SetPauseOnAssertionsParams = {
+    enabled: boolean;
+    /** Options to apply to this breakpoint to modify its behavior. */
+    options?: BreakpointOptions;
+  };
+
+  /** Result of 'Debugger.setPauseOnAssertions'. */
+  export type SetPauseOnAssertionsResult = Record<string, never>;
+
+  /** Parameters of 'Debugger.setPauseForInternalScripts'. */
+  export type SetPauseForInternalScriptsParams = {
+    shouldPause: boolean;
+  };
+
+  /** Result of 'Debugger.setPauseForInternalScripts'. */
+  export type SetPauseForInternalScriptsResult = Record<string, never>;
+
+  /** Parameters of 'Debugger.evaluateOnCallFrame'. */
+  export type EvaluateOnCallFrameParams = {
+    /** Call frame identifier to evaluate on. */
+    callFrameId: CallFrameId;
+    /** Expression to evaluate. */
+    expression: string;
+    /** String object group name to put result into (allows rapid releasing resulting object handles using `releaseObjectGroup`). */
+    objectGroup?: string;
+    /** Specifies whether command line API should be available to the evaluated expression, defaults to false. */
+    includeCommandLineAPI?: boolean;
+    /** Specifies whether evaluation should stop on exceptions and mute console. Overrides setPauseOnException state. */
+    doNotPauseOnExceptionsAndMuteConsole?: boolean;
+    /** Whether the result is expected to be a JSON object that should be sent by value. */
+    returnByValue?: boolean;
+    /** Whether preview should be generated for the result. */
+    generatePreview?: boolean;
+    /** Whether the resulting value should be considered for saving in the $n history. */
+    saveResult?: boolean;
+    /** Whether the expression should be considered to be in a user gesture or not. */
+    emulateUserGesture?: boolean;
+  };
+
+  /** Result of 'Debugger.evaluateOnCallFrame'. */
+  export type EvaluateOnCallFrameResult = {
+    /** Object wrapper for the evaluation result. */
+    result: Runtime.RemoteObject;
+    /** True if the result was thrown during the evaluation. */
+    wasThrown?: boolean;
+    /** If the result was saved, this is the $n index that can be used to access the value. */
+    savedResultIndex?: number;
+  };
+
+  /** Called when global has been cleared and debugger client should reset its state. Happens upon navigation or reload. */
+  export type GlobalObjectClearedEvent = Record<string, never>;
+
+  /** Fired when virtual machine parses script. This event is also fired for all known and uncollected scripts upon enabling debugger. */
+  export type ScriptParsedEvent = {
+    /** Identifier of the script parsed. */
+    scriptId: ScriptId;
+    /** URL of the script parsed (if any). */
+    url: string;
+    /** Line offset of the script within the resource with given URL (for script tags). */
+    startLine: number;
+    /** Column offset of the script within the resource with given URL. */
+    startColumn: number;
+    /** Last line of the script. */
+    endLine: number;
+    /** Length of the last line of the script. */
+    endColumn: number;
+    /** Determines whether this script is a user extension script. */
+    isContentScript?: boolean;
+    /** sourceURL name of the script (if any). */
+    sourceURL?: string;
+    /** URL of source map associated with script (if any). */
+    sourceMapURL?: string;
+    /** True if this script was parsed as a module. */
+    module?: boolean;
+  };
+
+  /** Fired when virtual machine fails to parse the script. */
+  export type ScriptFailedToParseEvent = {
+    /** URL of the script that failed to parse. */
+    url: string;
+    /** Source text of the script that failed to parse. */
+    scriptSource: string;
+    /** Line offset of the script within the resource. */
+    startLine: number;
+    /** Line with error. */
+    errorLine: number;
+    /** Parse error message. */
+    errorMessage: string;
+  };
+
+  /** Fired when breakpoint is resolved to an actual script and location. */
+  export type BreakpointResolvedEvent = {
+    /** Breakpoint unique identifier. */
+    breakpointId: BreakpointId;
+    /** Actual breakpoint location. */
+    location: Location;
+  };
+
+  /** Fired when the virtual machine stopped on breakpoint or exception or any other stop criteria. */
+  export type PausedEvent = {
+    /** Call stack the virtual machine stopped on. */
+    callFrames: CallFrame[];
+    /** Pause reason. */
+    reason:
+      | 'URL'
+      | 'DOM'
+      | 'AnimationFrame'
+      | 'Interval'
+      | 'Listener'
+      | 'Timeout'
+      | 'exception'
+      | 'assert'
+      | 'CSPViolation'
+      | 'DebuggerStatement'
+      | 'Breakpoint'
+      | 'PauseOnNextStatement'
+      | 'Microtask'
+      | 'FunctionCall'
+      | 'BlackboxedScript'
+      | 'other';
+    /** Object containing break-specific auxiliary properties. */
+    data?: Record<string, any>;
+    /** Linked list of asynchronous StackTraces. */
+    asyncStackTrace?: Console.StackTrace;
+  };
+
+  /** Fired when the virtual machine resumed execution. */
+  export type ResumedEvent = Record<string, never>;
+
+  /** Fires when a new probe sample is collected. */
+  export type DidSampleProbeEvent = {
+    /** A collected probe sample. */
+    sample: Record<string, any>;
+  };
+
+  /** Fired when a "sound" breakpoint action is triggered on a breakpoint. */
+  export type PlayBreakpointActionSoundEvent = {
+    /** Breakpoint action identifier. */
+    breakpointActionId: BreakpointActionIdentifier;
+  };
+}
+
+/** Exposes generic types to be used by any domain. */
+export namespace GenericTypes {
+  /** Search match in a resource. */
+  export interface SearchMatch {
+    /** Line number in resource content. */
+    lineNumber: number;
+    /** Line with match content. */
+    lineContent: string;
+  }
+}
+
+/** Heap domain exposes JavaScript heap attributes and capabilities. */
+export namespace Heap {
+  /** Information about a garbage collection. */
+  export interface GarbageCollection {
+    /** The type of garbage collection. */
+    type: 'full' | 'partial';
+    startTime: number;
+    endTime: number;
+  }
+
+  /** JavaScriptCore HeapSnapshot JSON data. */
+  export type HeapSnapshotData = string;
+
+  /** Parameters of 'Heap.enable'. */
+  export type EnableParams = Record<string, never>;
+
+  /** Result of 'Heap.enable'. */
+  export type EnableResult = Record<string, never>;
+
+  /** Parameters of 'Heap.disable'. */
+  export type DisableParams = Record<string, never>;
+
+  /** Result of 'Heap.disable'. */
+  export type DisableResult = Record<string, never>;
+
+  /** Parameters of 'Heap.gc'. */
+  export type GcParams = Record<string, never>;
+
+  /** Result of 'Heap.gc'. */
+  export type GcResult = Record<string, never>;
+
+  /** Parameters of 'Heap.snapshot'. */
+  export type SnapshotParams = Record<string, never>;
+
+  /** Result of 'Heap.snapshot'. */
+  export type SnapshotResult = {
+    timestamp: number;
+    snapshotData: HeapSnapshotData;
+  };
+
+  /** Parameters of 'Heap.startTracking'. */
+  export type StartTrackingParams = Record<string, never>;
+
+  /** Result of 'Heap.startTracking'. */
+  export type StartTrackingResult = Record<string, never>;
+
+  /** Parameters of 'Heap.stopTracking'. */
+  export type StopTrackingParams = Record<string, never>;
+
+  /** Result of 'Heap.stopTracking'. */
+  export type StopTrackingResult = Record<string, never>;
+
+  /** Parameters of 'Heap.getPreview'. */
+  export type GetPreviewParams = {
+    /** Identifier of the heap object within the snapshot. */
+    heapObjectId: number;
+  };
+
+  /** Result of 'Heap.getPreview'. */
+  export type GetPreviewResult = {
+    /** String value. */
+    string?: string;
+    /** Function details. */
+    functionDetails?: Record<string, any>;
+    /** Object preview. */
+    preview?: Runtime.ObjectPreview;
+  };
+
+  /** Parameters of 'Heap.getRemoteObject'. */
+  export type GetRemoteObjectParams = {
+    /** Identifier of the heap object within the snapshot. */
+    heapObjectId: number;
+    /** Symbolic group name that can be used to release multiple objects. */
+    objectGroup?: string;
+  };
+
+  /** Result of 'Heap.getRemoteObject'. */
+  export type GetRemoteObjectResult = {
+    /** Resulting object. */
+    result: Runtime.RemoteObject;
+  };
+
+  /** Information about the garbage collection. */
+  export type GarbageCollectedEvent = {
+    collection: GarbageCollection;
+  };
+
+  /** Tracking started. */
+  export type TrackingStartEvent = {
+    timestamp: number;
+    /** Snapshot at the start of tracking. */
+    snapshotData: HeapSnapshotData;
+  };
+
+  /** Tracking stopped. */
+  export type TrackingCompleteEvent = {
+    timestamp: number;
+    /** Snapshot at the end of tracking. */
+    snapshotData: HeapSnapshotData;
+  };
+}
+
+export namespace IndexedDB {
+  /** Database with an array of object stores. */
+  export interface DatabaseWithObjectStores {
+    /** Database name. */
+    name: string;
+    /** Database version. */
+    version: number;
+    /** Object stores in this database. */
+    objectStores: ObjectStore[];
+  }
+
+  /** Object store. */
+  export interface ObjectStore {
+    /** Object store name. */
+    name: string;
+    /** Object store key path. */
+    keyPath: KeyPath;
+    /** If true, object store has auto increment flag set. */
+    autoIncrement: boolean;
+    /** Indexes in this object store. */
+    indexes: ObjectStoreIndex[];
+  }
+
+  /** Object store index. */
+  export interface ObjectStoreIndex {
+    /** Index name. */
+    name: string;
+    /** Index key path. */
+    keyPath: KeyPath;
+    /** If true, index is unique. */
+    unique: boolean;
+    /** If true, index allows multiple entries for a key. */
+    multiEntry: boolean;
+  }
+
+  /** Key. */
+  export interface Key {
+    /** Key type. */
+    type: 'number' | 'string' | 'date' | 'array';
+    /** Number value. */
+    number?: number;
+    /** String value. */
+    string?: string;
+    /** Date value. */
+    date?: number;
+    /** Array value. */
+    array?: Key[];
+  }
+
+  /** Key range. */
+  export interface KeyRange {
+    /** Lower bound. */
+    lower?: Key;
+    /** Upper bound. */
+    upper?: Key;
+    /** If true lower bound is open. */
+    lowerOpen: boolean;
+    /** If true upper bound is open. */
+    upperOpen: boolean;
+  }
+
+  /** Data entry. */
+  export interface DataEntry {
+    /** Key. */
+    key: Runtime.RemoteObject;
+    /** Primary key. */
+    primaryKey: Runtime.RemoteObject;
+    /** Value. */
+    value: Runtime.RemoteObject;
+  }
+
+  /** Key path. */
+  export interface KeyPath {
+    /** Key path type. */
+    type: 'null' | 'string' | 'array';
+    /** String value. */
+    string?: string;
+    /** Array value. */
+    array?: string[];
+  }
+
+  /** Parameters of 'IndexedDB.enable'. */
+  export type EnableParams = Record<string, never>;
+
+  /** Result of 'IndexedDB.enable'. */
+  export type EnableResult = Record<string, never>;
+
+  /** Parameters of 'IndexedDB.disable'. */
+  export type DisableParams = Record<string, never>;
+
+  /** Result of 'IndexedDB.disable'. */
+  export type DisableResult = Record<string, never>;
+
+  /** Parameters of 'IndexedDB.requestDatabaseNames'. */
+  export type RequestDatabaseNamesParams = {
+    /** Security origin. */
+    securityOrigin: string;
+  };
+
+  /** Result of 'IndexedDB.requestDatabaseNames'. */
+  export type RequestDatabaseNamesResult = {
+    /** Database names for origin. */
+    databaseNames: string[];
+  };
+
+  /** Parameters of 'IndexedDB.requestDatabase'. */
+  export type RequestDatabaseParams = {
+    /** Security origin. */
+    securityOrigin: string;
+    /** Database name. */
+    databaseName: string;
+  };
+
+  /** Result of 'IndexedDB.requestDatabase'. */
+  export type RequestDatabaseResult = {
+    /** Database with an array of object stores. */
+    databaseWithObjectStores: DatabaseWithObjectStores;
+  };
+
+  /** Parameters of 'IndexedDB.requestData'. */
+  export type RequestDataParams = {
+    /** Security origin. */
+    securityOrigin: string;
+    /** Database name. */
+    databaseName: string;
+    /** Object store name. */
+    objectStoreName: string;
+    /** Index name, empty string for object store data requests. */
+    indexName: string;
+    /** Number of records to skip. */
+    skipCount: number;
+    /** Number of records to fetch. */
+    pageSize: number;
+    /** Key range. */
+    keyRange?: KeyRange;
+  };
+
+  /** Result of 'IndexedDB.requestData'. */
+  export type RequestDataResult = {
+    /** Array of object store data entries. */
+    objectStoreDataEntries: DataEntry[];
+    /** If true, there are more entries to fetch in the given range. */
+    hasMore: boolean;
+  };
+
+  /** Parameters of 'IndexedDB.clearObjectStore'. */
+  export type ClearObjectStoreParams = {
+    /** Security origin. */
+    securityOrigin: string;
+    /** Database name. */
+    databaseName: string;
+    /** Object store name. */
+    objectStoreName: string;
+  };
+
+  /** Result of 'IndexedDB.clearObjectStore'. */
+  export type ClearObjectStoreResult = Record<string, never>;
+}
+
+export namespace Inspector {
+  /** Parameters of 'Inspector.enable'. */
+  export type EnableParams = Record<string, never>;
+
+  /** Result of 'Inspector.enable'. */
+  export type EnableResult = Record<string, never>;
+
+  /** Parameters of 'Inspector.disable'. */
+  export type DisableParams = Record<string, never>;
+
+  /** Result of 'Inspector.disable'. */
+  export type DisableResult = Record<string, never>;
+
+  /** Parameters of 'Inspector.initialized'. */
+  export type InitializedParams = Record<string, never>;
+
+  /** Result of 'Inspector.initialized'. */
+  export type InitializedResult = Record<string, never>;
+
+  export type EvaluateForTestInFrontendEvent = {
+    script: string;
+  };
+
+  export type InspectEvent = {
+    object: Runtime.RemoteObject;
+    hints: Record<string, any>;
+  };
+}
+
+export namespace LayerTree {
+  /** Parameters of 'LayerTree.enable'. */
+  export type EnableParams = Record<string, never>;
+
+  /** Result of 'LayerTree.enable'. */
+  export type EnableResult = Record<string, never>;
+
+  /** Parameters of 'LayerTree.disable'. */
+  export type DisableParams = Record<string, never>;
+
+  /** Result of 'LayerTree.disable'. */
+  export type DisableResult = Record<string, never>;
+}
+
+/** Memory domain exposes page memory tracking. */
+export namespace Memory {
+  export interface Event {
+    timestamp: number;
+    /** Breakdown of memory in categories. */
+    categories: CategoryData[];
+  }
+
+  export interface CategoryData {
+    /** Category type. */
+    type: 'javascript' | 'jit' | 'images' | 'layers' | 'page' | 'other';
+    /** Category size in bytes. */
+    size: number;
+  }
+
+  /** Parameters of 'Memory.enable'. */
+  export type EnableParams = Record<string, never>;
+
+  /** Result of 'Memory.enable'. */
+  export type EnableResult = Record<string, never>;
+
+  /** Parameters of 'Memory.disable'. */
+  export type DisableParams = Record<string, never>;
+
+  /** Result of 'Memory.disable'. */
+  export type DisableResult = Record<string, never>;
+
+  /** Parameters of 'Memory.startTracking'. */
+  export type StartTrackingParams = Record<string, never>;
+
+  /** Result of 'Memory.startTracking'. */
+  export type StartTrackingResult = Record<string, never>;
+
+  /** Parameters of 'Memory.stopTracking'. */
+  export type StopTrackingParams = Record<string, never>;
+
+  /** Result of 'Memory.stopTracking'. */
+  export type StopTrackingResult = Record<string, never>;
+
+  /** Memory pressure was encountered. */
+  export type MemoryPressureEvent = {
+    timestamp: number;
+    /** The severity of the memory pressure event. */
+    severity: 'critical' | 'non-critical';
+  };
+
+  /** Tracking started. */
+  export type TrackingStartEvent = {
+    timestamp: number;
+  };
+
+  /** Periodic tracking updates with event data. */
+  export type TrackingUpdateEvent = {
+    event: Event;
+  };
+
+  /** Tracking stopped. */
+  export type TrackingCompleteEvent = {
+    timestamp: number;
+  };
+}
+
+/** Network domain allows tracking network activities of the page. It exposes information about http, file, data and other requests and responses, their headers, bodies, timing, etc. */
+export namespace Network {
+  /** Unique loader identifier. */
+  export type LoaderId = string;
+
+  /** Unique frame identifier. */
+  export type FrameId = string;
+
+  /** Unique request identifier. */
+  export type RequestId = string;
+
+  /** Elapsed seconds since frontend connected. */
+  export type Timestamp = number;
+
+  /** Number of seconds since epoch. */
+  export type Walltime = number;
+
+  /** Controls how much referrer information is sent with the request. */
+  export type ReferrerPolicy =
+    | 'empty-string'
+    | 'no-referrer'
+    | 'no-referrer-when-downgrade'
+    | 'same-origin'
+    | 'origin'
+    | 'strict-origin'
+    | 'origin-when-cross-origin'
+    | 'strict-origin-when-cross-origin'
+    | 'unsafe-url';
+
+  /** Request / response headers as keys / values of JSON object. */
+  export type Headers = Record<string, any>;
+
+  /** Timing information for the request. */
+  export interface ResourceTiming {
+    /** Request is initiated */
+    startTime: Timestamp;
+    /** Started redirect resolution. */
+    redirectStart: Timestamp;
+    /** Finished redirect resolution. */
+    redirectEnd: Timestamp;
+    /** Resource fetching started. */
+    fetchStart: Timestamp;
+    /** Started DNS address resolve in milliseconds relative to fetchStart. */
+    domainLookupStart: number;
+    /** Finished DNS address resolve in milliseconds relative to fetchStart. */
+    domainLookupEnd: number;
+    /** Started connecting to the remote host in milliseconds relative to fetchStart. */
+    connectStart: number;
+    /** Connected to the remote host in milliseconds relative to fetchStart. */
+    connectEnd: number;
+    /** Started SSL handshake in milliseconds relative to fetchStart. */
+    secureConnectionStart: number;
+    /** Started sending request in milliseconds relative to fetchStart. */
+    requestStart: number;
+    /** Started receiving response headers in milliseconds relative to fetchStart. */
+    responseStart: number;
+    /** Finished receiving response headers in milliseconds relative to fetchStart. */
+    responseEnd: number;
+  }
+
+  /** HTTP request data. */
+  export interface Request {
+    /** Request URL. */
+    url: string;
+    /** HTTP request method. */
+    method: string;
+    /** HTTP request headers. */
+    headers: Headers;
+    /** HTTP POST request data. */
+    postData?: string;
+    /** The level of included referrer information. */
+    referrerPolicy?: ReferrerPolicy;
+    /** The base64 cryptographic hash of the resource. */
+    integrity?: string;
+  }
+
+  /** HTTP response data. */
+  export interface Response {
+    /** Response URL. This URL can be different from CachedResource.url in case of redirect. */
+    url: string;
+    /** HTTP response status code. */
+    status: number;
+    /** HTTP response status text. */
+    statusText: string;
+    /** HTTP response headers. */
+    headers: Headers;
+    /** Resource mimeType as determined by the browser. */
+    mimeType: string;
+    /** Specifies where the response came from. */
+    source: 'unknown' | 'network' | 'memory-cache' | 'disk-cache' | 'service-worker' | 'inspector-override';
+    /** Refined HTTP request headers that were actually transmitted over the network. */
+    requestHeaders?: Headers;
+    /** Timing information for the given request. */
+    timing?: ResourceTiming;
+    /** The security information of the given request. */
+    security?: Security.Security;
+  }
+
+  /** Network load metrics. */
+  export interface Metrics {
+    /** Network protocol. ALPN Protocol ID Identification Sequence, as per RFC 7301 (for example, http/2, http/1.1, spdy/3.1) */
+    protocol?: string;
+    /** Network priority. */
+    priority?: 'low' | 'medium' | 'high';
+    /** Connection identifier. */
+    connectionIdentifier?: string;
+    /** Remote IP address. */
+    remoteAddress?: string;
+    /** Refined HTTP request headers that were actually transmitted over the network. */
+    requestHeaders?: Headers;
+    /** Total HTTP request header bytes sent over the network. */
+    requestHeaderBytesSent?: number;
+    /** Total HTTP request body bytes sent over the network. */
+    requestBodyBytesSent?: number;
+    /** Total HTTP response header bytes received over the network. */
+    responseHeaderBytesReceived?: number;
+    /** Total HTTP response body bytes received over the network. */
+    responseBodyBytesReceived?: number;
+    /** Total decoded response body size in bytes. */
+    responseBodyDecodedSize?: number;
+    /** Connection information for the completed request. */
+    securityConnection?: Security.Connection;
+    /** Whether or not the connection was proxied through a server. If `true`, the `remoteAddress` will be for the proxy server, not the server that provided the resource to the proxy server. */
+    isProxyConnection?: boolean;
+  }
+
+  /** WebSocket request data. */
+  export interface WebSocketRequest {
+    /** HTTP response headers. */
+    headers: Headers;
+  }
+
+  /** WebSocket response data. */
+  export interface WebSocketResponse {
+    /** HTTP response status code. */
+    status: number;
+    /** HTTP response status text. */
+    statusText: string;
+    /** HTTP response headers. */
+    headers: Headers;
+  }
+
+  /** WebSocket frame data. */
+  export interface WebSocketFrame {
+    /** WebSocket frame opcode. */
+    opcode: number;
+    /** WebSocket frame mask. */
+    mask: boolean;
+    /** WebSocket frame payload data, binary frames (opcode = 2) are base64-encoded. */
+    payloadData: string;
+    /** WebSocket frame payload length in bytes. */
+    payloadLength: number;
+  }
+
+  /** Information about the cached resource. */
+  export interface CachedResource {
+    /** Resource URL. This is the url of the original network request. */
+    url: string;
+    /** Type of this resource. */
+    type: Page.ResourceType;
+    /** Cached response data. */
+    response?: Response;
+    /** Cached response body size. */
+    bodySize: number;
+    /** URL of source map associated with this resource (if any). */
+    sourceMapURL?: string;
+  }
+
+  /** Information about the request initiator. */
+  export interface Initiator {
+    /** Type of this initiator. */
+    type: 'parser' | 'script' | 'other';
+    /** Initiator JavaScript stack trace, set for Script only. */
+    stackTrace?: Console.StackTrace;
+    /** Initiator URL, set for Parser type only. */
+    url?: string;
+    /** Initiator line number, set for Parser type only. */
+    lineNumber?: number;
+    /** Set if the load was triggered by a DOM node, in addition to the other initiator information. */
+    nodeId?: DOM.NodeId;
+  }
+
+  /** Different stages of a network request. */
+  export type NetworkStage = 'request' | 'response';
+
+  /** Different stages of a network request. */
+  export type ResourceErrorType = 'General' | 'AccessControl' | 'Cancellation' | 'Timeout';
+
+  /** Parameters of 'Network.enable'. */
+  export type EnableParams = Record<string, never>;
+
+  /** Result of 'Network.enable'. */
+  export type EnableResult = Record<string, never>;
+
+  /** Parameters of 'Network.disable'. */
+  export type DisableParams = Record<string, never>;
+
+  /** Result of 'Network.disable'. */
+  export type DisableResult = Record<string, never>;
+
+  /** Parameters of 'Network.setExtraHTTPHeaders'. */
+  export type SetExtraHTTPHeadersParams = {
+    /** Map with extra HTTP headers. */
+    headers: Headers;
+  };
+
+  /** Result of 'Network.setExtraHTTPHeaders'. */
+  export type SetExtraHTTPHeadersResult = Record<string, never>;
+
+  /** Parameters of 'Network.getResponseBody'. */
+  export type GetResponseBodyParams = {
+    /** Identifier of the network request to get content for. */
+    requestId: RequestId;
+  };
+
+  /** Result of 'Network.getResponseBody'. */
+  export type GetResponseBodyResult = {
+    /** Response body. */
+    body: string;
+    /** True, if content was sent as base64. */
+    base64Encoded: boolean;
+  };
+
+  /** Parameters of 'Network.setResourceCachingDisabled'. */
+  export type SetResourceCachingDisabledParams = {
+    /** Whether to prevent usage of the resource cache. */
+    disabled: boolean;
+  };
+
+  /** Result of 'Network.setResourceCachingDisabled'. */
+  export type SetResourceCachingDisabledResult = Record<string, never>;
+
+  /** Parameters of 'Network.loadResource'. */
+  export type LoadResourceParams = {
+    /** Frame to load the resource from. */
+    frameId: FrameId;
+    /** URL of the resource to load. */
+    url: string;
+  };
+
+  /** Result of 'Network.loadResource'. */
+  export type LoadResourceResult = {
+    /** Resource content. */
+    content: string;
+    /** Resource mimeType. */
+    mimeType: string;
+    /** HTTP response status code. */
+    status: number;
+  };
+
+  /** Parameters of 'Network.getSerializedCertificate'. */
+  export type GetSerializedCertificateParams = {
+    requestId: RequestId;
+  };
+
+  /** Result of 'Network.getSerializedCertificate'. */
+  export type GetSerializedCertificateResult = {
+    /** Represents a base64 encoded WebCore::CertificateInfo object. */
+    serializedCertificate: string;
+  };
+
+  /** Parameters of 'Network.resolveWebSocket'. */
+  export type ResolveWebSocketParams = {
+    /** Identifier of the WebSocket resource to resolve. */
+    requestId: RequestId;
+    /** Symbolic group name that can be used to release multiple objects. */
+    objectGroup?: string;
+  };
+
+  /** Result of 'Network.resolveWebSocket'. */
+  export type ResolveWebSocketResult = {
+    /** JavaScript object wrapper for given node. */
+    object: Runtime.RemoteObject;
+  };
+
+  /** Parameters of 'Network.setInterceptionEnabled'. */
+  export type SetInterceptionEnabledParams = {
+    enabled: boolean;
+  };
+
+  /** Result of 'Network.setInterceptionEnabled'. */
+  export type SetInterceptionEnabledResult = Record<string, never>;
+
+  /** Parameters of 'Network.addInterception'. */
+  export type AddInterceptionParams = {
+    /** URL pattern to intercept, intercept everything if not specified or empty */
+    url: string;
+    /** Stage to intercept. */
+    stage: NetworkStage;
+    /** If false, ignores letter casing of `url` parameter. */
+    caseSensitive?: boolean;
+    /** If true, treats `url` parameter as a regular expression. */
+    isRegex?: boolean;
+  };
+
+  /** Result of 'Network.addInterception'. */
+  export type AddInterceptionResult = Record<string, never>;
+
+  /** Parameters of 'Network.removeInterception'. */
+  export type RemoveInterceptionParams = {
+    url: string;
+    /** Stage to intercept. */
+    stage: NetworkStage;
+    /** If false, ignores letter casing of `url` parameter. */
+    caseSensitive?: boolean;
+    /** If true, treats `url` parameter as a regular expression. */
+    isRegex?: boolean;
+  };
+
+  /** Result of 'Network.removeInterception'. */
+  export type RemoveInterceptionResult = Record<string, never>;
+
+  /** Parameters of 'Network.interceptContinue'. */
+  export type InterceptContinueParams = {
+    /** Identifier for the intercepted Network request or response to continue. */
+    requestId: RequestId;
+    /** Stage to continue. */
+    stage: NetworkStage;
+  };
+
+  /** Result of 'Network.interceptContinue'. */
+  export type InterceptContinueResult = Record<string, never>;
+
+  /** Parameters of 'Network.interceptWithRequest'. */
+  export type InterceptWithRequestParams = {
+    /** Identifier for the intercepted Network request or response to continue. */
+    requestId: RequestId;
+    /** HTTP request url. */
+    url?: string;
+    /** HTTP request method. */
+    method?: string;
+    /** HTTP response headers. Pass through original values if unmodified. */
+    headers?: Headers;
+    /** HTTP POST request data, base64-encoded. */
+    postData?: string;
+  };
+
+  /** Result of 'Network.interceptWithRequest'. */
+  export type InterceptWithRequestResult = Record<string, never>;
+
+  /** Parameters of 'Network.interceptWithResponse'. */
+  export type InterceptWithResponseParams = {
+    /** Identifier for the intercepted Network response to modify. */
+    requestId: RequestId;
+    content: string;
+    /** True, if content was sent as base64. */
+    base64Encoded: boolean;
+    /** MIME Type for the data. */
+    mimeType?: string;
+    /** HTTP response status code. Pass through original values if unmodified. */
+    status?: number;
+    /** HTTP response status text. Pass through original values if unmodified. */
+    statusText?: string;
+    /** HTTP response headers. Pass through original values if unmodified. */
+    headers?: Headers;
+  };
+
+  /** Result of 'Network.interceptWithResponse'. */
+  export type InterceptWithResponseResult = Record<string, never>;
+
+  /** Parameters of 'Network.interceptRequestWithResponse'. */
+  export type InterceptRequestWithResponseParams = {
+    /** Identifier for the intercepted Network response to modify. */
+    requestId: RequestId;
+    content: string;
+    /** True, if content was sent as base64. */
+    base64Encoded: boolean;
+    /** MIME Type for the data. */
+    mimeType: string;
+    /** HTTP response status code. */
+    status: number;
+    /** HTTP response status text. */
+    statusText: string;
+    /** HTTP response headers. */
+    headers: Headers;
+  };
+
+  /** Result of 'Network.interceptRequestWithResponse'. */
+  export type InterceptRequestWithResponseResult = Record<string, never>;
+
+  /** Parameters of 'Network.interceptRequestWithError'. */
+  export type InterceptRequestWithErrorParams = {
+    /** Identifier for the intercepted Network request to fail. */
+    requestId: RequestId;
+    /** Deliver error reason for the request failure. */
+    errorType: ResourceErrorType;
+  };
+
+  /** Result of 'Network.interceptRequestWithError'. */
+  export type InterceptRequestWithErrorResult = Record<string, never>;
+
+  /** Parameters of 'Network.setEmulatedConditions'. */
+  export type SetEmulatedConditionsParams = {
+    /** Limits the bytes per second of requests if positive. Removes any limits if zero or not provided. */
+    bytesPerSecondLimit?: number;
+  };
+
+  /** Result of 'Network.setEmulatedConditions'. */
+  export type SetEmulatedConditionsResult = Record<string, never>;
+
+  /** Fired when page is about to send HTTP request. */
+  export type RequestWillBeSentEvent = {
+    /** Request identifier. */
+    requestId: RequestId;
+    /** Frame identifier. */
+    frameId: FrameId;
+    /** Loader identifier. */
+    loaderId: LoaderId;
+    /** URL of the document this request is loaded for. */
+    documentURL: string;
+    /** Request data. */
+    request: Request;
+    timestamp: Timestamp;
+    walltime: Walltime;
+    /** Request initiator. */
+    initiator: Initiator;
+    /** Redirect response data. */
+    redirectResponse?: Response;
+    /** Resource type. */
+    type?: Page.ResourceType;
+    /** Identifier for the context of where the load originated. In general this is the target identifier. For Workers this will be the workerId. */
+    targetId?: string;
+  };
+
+  /** Fired when HTTP response is available. */
+  export type ResponseReceivedEvent = {
+    /** Request identifier. */
+    requestId: RequestId;
+    /** Frame identifier. */
+    frameId: FrameId;
+    /** Loader identifier. */
+    loaderId: LoaderId;
+    /** Timestamp. */
+    timestamp: Timestamp;
+    /** Resource type. */
+    type: Page.ResourceType;
+    /** Response data. */
+    response: Response;
+  };
+
+  /** Fired when data chunk was received over the network. */
+  export type DataReceivedEvent = {
+    /** Request identifier. */
+    requestId: RequestId;
+    timestamp: Timestamp;
+    /** Data chunk length. */
+    dataLength: number;
+    /** Actual bytes received (might be less than dataLength for compressed encodings). */
+    encodedDataLength: number;
+  };
+
+  /** Fired when HTTP request has finished loading. */
+  export type LoadingFinishedEvent = {
+    /** Request identifier. */
+    requestId: RequestId;
+    timestamp: Timestamp;
+    /** URL of source map associated with this resource (if any). */
+    sourceMapURL?: string;
+    /** Network metrics. */
+    metrics?: Metrics;
+  };
+
+  /** Fired when HTTP request has failed to load. */
+  export type LoadingFailedEvent = {
+    /** Request identifier. */
+    requestId: RequestId;
+    timestamp: Timestamp;
+    /** User friendly error message. */
+    errorText: string;
+    /** True if loading was canceled. */
+    canceled?: boolean;
+  };
+
+  /** Fired when HTTP request has been served from memory cache. */
+  export type RequestServedFromMemoryCacheEvent = {
+    /** Request identifier. */
+    requestId: RequestId;
+    /** Frame identifier. */
+    frameId: FrameId;
+    /** Loader identifier. */
+    loaderId: LoaderId;
+    /** URL of the document this request is loaded for. */
+    documentURL: string;
+    timestamp: Timestamp;
+    /** Request initiator. */
+    initiator: Initiator;
+    /** Cached resource data. */
+    resource: CachedResource;
+  };
+
+  /** Fired when HTTP request has been intercepted. The frontend must respond with `Network.interceptContinue`, `Network.interceptWithRequest`` or `Network.interceptWithResponse`` to resolve this request. */
+  export type RequestInterceptedEvent = {
+    /** Identifier for this intercepted network. Corresponds with an earlier `Network.requestWillBeSent`. */
+    requestId: RequestId;
+    /** Original request content that would proceed if this is continued. */
+    request: Request;
+  };
+
+  /** Fired when HTTP response has been intercepted. The frontend must response with `Network.interceptContinue` or `Network.interceptWithResponse`` to continue this response. */
+  export type ResponseInterceptedEvent = {
+    /** Identifier for this intercepted network. Corresponds with an earlier `Network.requestWillBeSent`. */
+    requestId: RequestId;
+    /** Original response content that would proceed if this is continued. */
+    response: Response;
+  };
+
+  /** Fired when WebSocket is about to initiate handshake. */
+  export type WebSocketWillSendHandshakeRequestEvent = {
+    /** Request identifier. */
+    requestId: RequestId;
+    timestamp: Timestamp;
+    walltime: Walltime;
+    /** WebSocket request data. */
+    request: WebSocketRequest;
+  };
+
+  /** Fired when WebSocket handshake response becomes available. */
+  export type WebSocketHandshakeResponseReceivedEvent = {
+    /** Request identifier. */
+    requestId: RequestId;
+    timestamp: Timestamp;
+    /** WebSocket response data. */
+    response: WebSocketResponse;
+  };
+
+  /** Fired upon WebSocket creation. */
+  export type WebSocketCreatedEvent = {
+    /** Request identifier. */
+    requestId: RequestId;
+    /** WebSocket request URL. */
+    url: string;
+  };
+
+  /** Fired when WebSocket is closed. */
+  export type WebSocketClosedEvent = {
+    /** Request identifier. */
+    requestId: RequestId;
+    timestamp: Timestamp;
+  };
+
+  /** Fired when WebSocket frame is received. */
+  export type WebSocketFrameReceivedEvent = {
+    /** Request identifier. */
+    requestId: RequestId;
+    timestamp: Timestamp;
+    /** WebSocket response data. */
+    response: WebSocketFrame;
+  };
+
+  /** Fired when WebSocket frame error occurs. */
+  export type WebSocketFrameErrorEvent = {
+    /** Request identifier. */
+    requestId: RequestId;
+    timestamp: Timestamp;
+    /** WebSocket frame error message. */
+    errorMessage: string;
+  };
+
+  /** Fired when WebSocket frame is sent. */
+  export type WebSocketFrameSentEvent = {
+    /** Request identifier. */
+    requestId: RequestId;
+    timestamp: Timestamp;
+    /** WebSocket response data. */
+    response: WebSocketFrame;
+  };
+}
+
+/** Actions and events related to the inspected page belong to the page domain. */
+export namespace Page {
+  /** List of settings able to be overridden by WebInspector. */
+  export type Setting =
+    | 'PrivateClickMeasurementDebugModeEnabled'
+    | 'AuthorAndUserStylesEnabled'
+    | 'ICECandidateFilteringEnabled'
+    | 'ITPDebugModeEnabled'
+    | 'ImagesEnabled'
+    | 'MediaCaptureRequiresSecureConnection'
+    | 'MockCaptureDevicesEnabled'
+    | 'NeedsSiteSpecificQuirks'
+    | 'ScriptEnabled'
+    | 'ShowDebugBorders'
+    | 'ShowRepaintCounter'
+    | 'WebSecurityEnabled';
+
+  /** A user preference that can be overriden by Web Inspector, like an accessibility preference. */
+  export interface UserPreference {
+    /** Preference name. */
+    name: UserPreferenceName;
+    /** Preference value. */
+    value: UserPreferenceValue;
+  }
+
+  /** User preference name. */
+  export type UserPreferenceName = 'PrefersReducedMotion' | 'PrefersContrast' | 'PrefersColorScheme';
+
+  /** User preference value. */
+  export type UserPreferenceValue = 'NoPreference' | 'Reduce' | 'More' | 'Light' | 'Dark';
+
+  /** Resource type as it was perceived by the rendering engine. */
+  export type ResourceType =
+    | 'Document'
+    | 'StyleSheet'
+    | 'Image'
+    | 'Font'
+    | 'Script'
+    | 'XHR'
+    | 'Fetch'
+    | 'Ping'
+    | 'Beacon'
+    | 'WebSocket'
+    | 'EventSource'
+    | 'Other';
+
+  /** Coordinate system used by supplied coordinates. */
+  export type CoordinateSystem = 'Viewport' | 'Page';
+
+  /** Same-Site policy of a cookie. */
+  export type CookieSameSitePolicy = 'None' | 'Lax' | 'Strict';
+
+  /** Information about the Frame on the page. */
+  export interface Frame {
+    /** Frame unique identifier. */
+    id: string;
+    /** Parent frame identifier. */
+    parentId?: string;
+    /** Identifier of the loader associated with this frame. */
+    loaderId: Network.LoaderId;
+    /** Frame's name as specified in the tag. */
+    name?: string;
+    /** Frame document's URL. */
+    url: string;
+    /** Frame document's security origin. */
+    securityOrigin: string;
+    /** Frame document's mimeType as determined by the browser. */
+    mimeType: string;
+  }
+
+  export interface FrameResource {
+    /** Resource URL. */
+    url: string;
+    /** Type of this resource. */
+    type: ResourceType;
+    /** Resource mimeType as determined by the browser. */
+    mimeType: string;
+    /** True if the resource failed to load. */
+    failed?: boolean;
+    /** True if the resource was canceled during loading. */
+    canceled?: boolean;
+    /** URL of source map associated with this resource (if any). */
+    sourceMapURL?: string;
+    /** Identifier for the context of where the load originated. In general this is the target identifier. For Workers this will be the workerId. */
+    targetId?: string;
+  }
+
+  /** Information about the Frame hierarchy along with their cached resources. */
+  export interface FrameResourceTree {
+    /** Frame information for this tree item. */
+    frame: Frame;
+    /** Child frames. */
+    childFrames?: FrameResourceTree[];
+    /** Information about frame resources. */
+    resources: FrameResource[];
+  }
+
+  /** Search result for resource. */
+  export interface SearchResult {
+    /** Resource URL. */
+    url: string;
+    /** Resource frame id. */
+    frameId: Network.FrameId;
+    /** Number of matches in the resource content. */
+    matchesCount: number;
+    /** Network request id. */
+    requestId?: Network.RequestId;
+  }
+
+  /** Cookie object */
+  export interface Cookie {
+    /** Cookie name. */
+    name: string;
+    /** Cookie value. */
+    value: string;
+    /** Cookie domain. */
+    domain: string;
+    /** Cookie path. */
+    path: string;
+    /** Cookie expires. */
+    expires: number;
+    /** True in case of session cookie. */
+    session: boolean;
+    /** True if cookie is http-only. */
+    httpOnly: boolean;
+    /** True if cookie is secure. */
+    secure: boolean;
+    /** Cookie Same-Site policy. */
+    sameSite: CookieSameSitePolicy;
+  }
+
+  /** Parameters of 'Page.enable'. */
+  export type EnableParams = Record<string, never>;
+
+  /** Result of 'Page.enable'. */
+  export type EnableResult = Record<string, never>;
+
+  /** Parameters of 'Page.disable'. */
+  export type DisableParams = Record<string, never>;
+
+  /** Result of 'Page.disable'. */
+  export type DisableResult = Record<string, never>;
+
+  /** Parameters of 'Page.reload'. */
+  export type ReloadParams = {
+    /** If true, the page is reloaded from its origin without using cached resources. */
+    ignoreCache?: boolean;
+    /** If true, all cached subresources will be revalidated when the main resource loads. Otherwise, only expired cached subresources will be revalidated (the default behavior for most WebKit clients). */
+    revalidateAllResources?: boolean;
+  };
+
+  /** Result of 'Page.reload'. */
+  export type ReloadResult = Record<string, never>;
+
+  /** Parameters of 'Page.navigate'. */
+  export type NavigateParams = {
+    /** URL to navigate the page to. */
+    url: string;
+  };
+
+  /** Result of 'Page.navigate'. */
+  export type NavigateResult = Record<string, never>;
+
+  /** Parameters of 'Page.overrideUserAgent'. */
+  export type OverrideUserAgentParams = {
+    /** Value to override the user agent with. If this value is not provided, the override is removed. Overrides are removed when Web Inspector closes/disconnects. */
+    value?: string;
+  };
+
+  /** Result of 'Page.overrideUserAgent'. */
+  export type OverrideUserAgentResult = Record<string, never>;
+
+  /** Parameters of 'Page.overrideSetting'. */
+  export type OverrideSettingParams = {
+    setting: Setting;
+    /** Value to override the setting with. If this value is not provided, the override is removed. Overrides are removed when Web Inspector closes/disconnects. */
+    value?: boolean;
+  };
+
+  /** Result of 'Page.overrideSetting'. */
+  export type OverrideSettingResult = Record<string, never>;
+
+  /** Parameters of 'Page.overrideUserPreference'. */
+  export type OverrideUserPreferenceParams = {
+    name: UserPreferenceName;
+    /** Value to override the user preference with. If this value is not provided, the override is removed. Overrides are removed when Web Inspector closes/disconnects. */
+    value?: UserPreferenceValue;
+  };
+
+  /** Result of 'Page.overrideUserPreference'. */
+  export type OverrideUserPreferenceResult = Record<string, never>;
+
+  /** Parameters of 'Page.getCookies'. */
+  export type GetCookiesParams = Record<string, never>;
+
+  /** Result of 'Page.getCookies'. */
+  export type GetCookiesResult = {
+    /** Array of cookie objects. */
+    cookies: Cookie[];
+  };
+
+  /** Parameters of 'Page.setCookie'. */
+  export type SetCookieParams = {
+    cookie: Cookie;
+    /** If true, then cookie's partition key should be set. */
+    shouldPartition?: boolean;
+  };
+
+  /** Result of 'Page.setCookie'. */
+  export type SetCookieResult = Record<string, never>;
+
+  /** Parameters of 'Page.deleteCookie'. */
+  export type DeleteCookieParams = {
+    /** Name of the cookie to remove. */
+    cookieName: string;
+    /** URL to match cookie domain and path. */
+    url: string;
+  };
+
+  /** Result of 'Page.deleteCookie'. */
+  export type DeleteCookieResult = Record<string, never>;
+
+  /** Parameters of 'Page.getResourceTree'. */
+  export type GetResourceTreeParams = Record<string, never>;
+
+  /** Result of 'Page.getResourceTree'. */
+  export type GetResourceTreeResult = {
+    /** Present frame / resource tree structure. */
+    frameTree: FrameResourceTree;
+  };
+
+  /** Parameters of 'Page.getResourceContent'. */
+  export type GetResourceContentParams = {
+    /** Frame id to get resource for. */
+    frameId: Network.FrameId;
+    /** URL of the resource to get content for. */
+    url: string;
+  };
+
+  /** Result of 'Page.getResourceContent'. */
+  export type GetResourceContentResult = {
+    /** Resource content. */
+    content: string;
+    /** True, if content was served as base64. */
+    base64Encoded: boolean;
+  };
+
+  /** Parameters of 'Page.setBootstrapScript'. */
+  export type SetBootstrapScriptParams = {
+    /** If `source` is provided (and not empty), it will be injected into all future global objects as soon as they are created. Omitting `source` will stop this from happening. */
+    source?: string;
+  };
+
+  /** Result of 'Page.setBootstrapScript'. */
+  export type SetBootstrapScriptResult = Record<string, never>;
+
+  /** Parameters of 'Page.searchInResource'. */
+  export type SearchInResourceParams = {
+    /** Frame id for resource to search in. */
+    frameId: Network.FrameId;
+    /** URL of the resource to search in. */
+    url: string;
+    /** String to search for. */
+    query: string;
+    /** If true, search is case sensitive. */
+    caseSensitive?: boolean;
+    /** If true, treats string parameter as regex. */
+    isRegex?: boolean;
+    /** Request id for resource to search in. */
+    requestId?: Network.RequestId;
+  };
+
+  /** Result of 'Page.searchInResource'. */
+  export type SearchInResourceResult = {
+    /** List of search matches. */
+    result: GenericTypes.SearchMatch[];
+  };
+
+  /** Parameters of 'Page.searchInResources'. */
+  export type SearchInResourcesParams = {
+    /** String to search for. */
+    text: string;
+    /** If true, search is case sensitive. */
+    caseSensitive?: boolean;
+    /** If true, treats string parameter as regex. */
+    isRegex?: boolean;
+  };
+
+  /** Result of 'Page.searchInResources'. */
+  export type SearchInResourcesResult = {
+    /** List of search results. */
+    result: SearchResult[];
+  };
+
+  /** Parameters of 'Page.setShowRulers'. */
+  export type SetShowRulersParams = {
+    /** True for showing rulers */
+    result: boolean;
+  };
+
+  /** Result of 'Page.setShowRulers'. */
+  export type SetShowRulersResult = Record<string, never>;
+
+  /** Parameters of 'Page.setShowPaintRects'. */
+  export type SetShowPaintRectsParams = {
+    /** True for showing paint rectangles */
+    result: boolean;
+  };
+
+  /** Result of 'Page.setShowPaintRects'. */
+  export type SetShowPaintRectsResult = Record<string, never>;
+
+  /** Parameters of 'Page.setEmulatedMedia'. */
+  export type SetEmulatedMediaParams = {
+    /** Media type to emulate. Empty string disables the override. */
+    media: string;
+  };
+
+  /** Result of 'Page.setEmulatedMedia'. */
+  export type SetEmulatedMediaResult = Record<string, never>;
+
+  /** Parameters of 'Page.snapshotNode'. */
+  export type SnapshotNodeParams = {
+    /** Id of the node to snapshot. */
+    nodeId: DOM.NodeId;
+  };
+
+  /** Result of 'Page.snapshotNode'. */
+  export type SnapshotNodeResult = {
+    /** Base64-encoded image data (PNG). */
+    dataURL: string;
+  };
+
+  /** Parameters of 'Page.snapshotRect'. */
+  export type SnapshotRectParams = {
+    /** X coordinate */
+    x: number;
+    /** Y coordinate */
+    y: number;
+    /** Rectangle width */
+    width: number;
+    /** Rectangle height */
+    height: number;
+    /** Indicates the coordinate system of the supplied rectangle. */
+    coordinateSystem: CoordinateSystem;
+  };
+
+  /** Result of 'Page.snapshotRect'. */
+  export type SnapshotRectResult = {
+    /** Base64-encoded image data (PNG). */
+    dataURL: string;
+  };
+
+  /** Parameters of 'Page.archive'. */
+  export type ArchiveParams = Record<string, never>;
+
+  /** Result of 'Page.archive'. */
+  export type ArchiveResult = {
+    /** Base64-encoded web archive. */
+    data: string;
+  };
+
+  /** Parameters of 'Page.setScreenSizeOverride'. */
+  export type SetScreenSizeOverrideParams = {
+    /** Screen width */
+    width?: number;
+    /** Screen height */
+    height?: number;
+  };
+
+  /** Result of 'Page.setScreenSizeOverride'. */
+  export type SetScreenSizeOverrideResult = Record<string, never>;
+
+  export type DomContentEventFiredEvent = {
+    timestamp: number;
+  };
+
+  export type LoadEventFiredEvent = {
+    timestamp: number;
+  };
+
+  /** Fired once navigation of the frame has completed. Frame is now associated with the new loader. */
+  export type FrameNavigatedEvent = {
+    /** Frame object. */
+    frame: Frame;
+  };
+
+  /** Fired when frame has been detached from its parent. */
+  export type FrameDetachedEvent = {
+    /** Id of the frame that has been detached. */
+    frameId: Network.FrameId;
+  };
+
+  /** Fired when frame has started loading. */
+  export type FrameStartedLoadingEvent = {
+    /** Id of the frame that has started loading. */
+    frameId: Network.FrameId;
+  };
+
+  /** Fired when frame has stopped loading. */
+  export type FrameStoppedLoadingEvent = {
+    /** Id of the frame that has stopped loading. */
+    frameId: Network.FrameId;
+  };
+
+  /** Fired when frame schedules a potential navigation. */
+  export type FrameScheduledNavigationEvent = {
+    /** Id of the frame that has scheduled a navigation. */
+    frameId: Network.FrameId;
+    /** Delay (in seconds) until the navigation is scheduled to begin. The navigation is not guaranteed to start. */
+    delay: number;
+  };
+
+  /** Fired when frame no longer has a scheduled navigation. */
+  export type FrameClearedScheduledNavigationEvent = {
+    /** Id of the frame that has cleared its scheduled navigation. */
+    frameId: Network.FrameId;
+  };
+
+  /** Fired when the default value of a user preference changes at the system level. */
+  export type DefaultUserPreferencesDidChangeEvent = {
+    /** List of user preferences that can be overriden and their new system (default) values. */
+    preferences: UserPreference[];
+  };
+}
+
+/** Runtime domain exposes JavaScript runtime by means of remote evaluation and mirror objects. Evaluation results are returned as mirror object that expose object type, string representation and unique identifier that can be used for further object interaction. Original objects are maintained in memory unless they are either explicitly released or are released along with the other objects in their object group. */
+export namespace Runtime {
+  /** Unique object identifier. */
+  export type RemoteObjectId = string;
+
+  /** Mirror object referencing original JavaScript object. */
+  export interface RemoteObject {
+    /** Object type. */
+    type: 'object' | 'function' | 'undefined' | 'string' | 'number' | 'boolean' | 'symbol' | 'bigint';
+    /** Object subtype hint. Specified for `object` `function` (for class) type values only. */
+    subtype?:
+      | 'array'
+      | 'null'
+      | 'node'
+      | 'regexp'
+      | 'date'
+      | 'error'
+      | 'map'
+      | 'set'
+      | 'weakmap'
+      | 'weakset'
+      | 'iterator'
+      | 'class'
+      | 'proxy'
+      | 'weakref';
+    /** Object class (constructor) name. Specified for `object` type values only. */
+    className?: string;
+    /** Remote object value (in case of primitive values or JSON values if it was requested). */
+    value?: any;
+    /** String representation of the object. */
+    description?: string;
+    /** Unique object identifier (for non-primitive values). */
+    objectId?: RemoteObjectId;
+    /** Size of the array/collection. Specified for array/map/set/weakmap/weakset object type values only. */
+    size?: number;
+    /** Remote object for the class prototype. Specified for class object type values only. */
+    classPrototype?: RemoteObject;
+    /** Preview containing abbreviated property values. Specified for `object` type values only. */
+    preview?: ObjectPreview;
+  }
+
+  /** Object containing abbreviated remote object value. */
+  export interface ObjectPreview {
+    /** Object type. */
+    type: 'object' | 'function' | 'undefined' | 'string' | 'number' | 'boolean' | 'symbol' | 'bigint';
+    /** Object subtype hint. Specified for `object` type values only. */
+    subtype?:
+      | 'array'
+      | 'null'
+      | 'node'
+      | 'regexp'
+      | 'date'
+      | 'error'
+      | 'map'
+      | 'set'
+      | 'weakmap'
+      | 'weakset'
+      | 'iterator'
+      | 'class'
+      | 'proxy'
+      | 'weakref';
+    /** String representation of the object. */
+    description?: string;
+    /** Determines whether preview is lossless (contains all information of the original object). */
+    lossless: boolean;
+    /** True iff some of the properties of the original did not fit. */
+    overflow?: boolean;
+    /** List of the properties. */
+    properties?: PropertyPreview[];
+    /** List of the entries. Specified for `map` and `set` subtype values only. */
+    entries?: EntryPreview[];
+    /** Size of the array/collection. Specified for array/map/set/weakmap/weakset object type values only. */
+    size?: number;
+  }
+
+  export interface PropertyPreview {
+    /** Property name. */
+    name: string;
+    /** Object type. */
+    type: 'object' | 'function' | 'undefined' | 'string' | 'number' | 'boolean' | 'symbol' | 'bigint' | 'accessor';
+    /** Object subtype hint. Specified for `object` type values only. */
+    subtype?:
+      | 'array'
+      | 'null'
+      | 'node'
+      | 'regexp'
+      | 'date'
+      | 'error'
+      | 'map'
+      | 'set'
+      | 'weakmap'
+      | 'weakset'
+      | 'iterator'
+      | 'class'
+      | 'proxy'
+      | 'weakref';
+    /** User-friendly property value string. */
+    value?: string;
+    /** Nested value preview. */
+    valuePreview?: ObjectPreview;
+    /** True if this is a private field. */
+    isPrivate?: boolean;
+    /** True if this is an internal property. */
+    internal?: boolean;
+  }
+
+  export interface EntryPreview {
+    /** Entry key. Specified for map-like collection entries. */
+    key?: ObjectPreview;
+    /** Entry value. */
+    value: ObjectPreview;
+  }
+
+  /** Object property descriptor. */
+  export interface PropertyDescriptor {
+    /** Property name or symbol description. */
+    name: string;
+    /** The value associated with the property. */
+    value?: RemoteObject;
+    /** True if the value associated with the property may be changed (data descriptors only). */
+    writable?: boolean;
+    /** A function which serves as a getter for the property, or `undefined` if there is no getter (accessor descriptors only). */
+    get?: RemoteObject;
+    /** A function which serves as a setter for the property, or `undefined` if there is no setter (accessor descriptors only). */
+    set?: RemoteObject;
+    /** True if the result was thrown during the evaluation. */
+    wasThrown?: boolean;
+    /** True if the type of this property descriptor may be changed and if the property may be deleted from the corresponding object. */
+    configurable?: boolean;
+    /** True if this property shows up during enumeration of the properties on the corresponding object. */
+    enumerable?: boolean;
+    /** True if the property is owned for the object. */
+    isOwn?: boolean;
+    /** Property symbol object, if the property is a symbol. */
+    symbol?: RemoteObject;
+    /** True if the property is a private field. */
+    isPrivate?: boolean;
+    /** True if the property value came from a native getter. */
+    nativeGetter?: boolean;
+  }
+
+  /** Object internal property descriptor. This property isn't normally visible in JavaScript code. */
+  export interface InternalPropertyDescriptor {
+    /** Conventional property name. */
+    name: string;
+    /** The value associated with the property. */
+    value?: RemoteObject;
+  }
+
+  /** Represents function call argument. Either remote object id `objectId` or primitive `value` or neither of (for undefined) them should be specified. */
+  export interface CallArgument {
+    /** Primitive value. */
+    value?: any;
+    /** Remote object handle. */
+    objectId?: RemoteObjectId;
+  }
+
+  /** Id of an execution context. */
+  export type ExecutionContextId = number;
+
+  /** Type of the execution context. */
+  export type ExecutionContextType = 'normal' | 'user' | 'internal';
+
+  /** Description of an isolated world. */
+  export interface ExecutionContextDescription {
+    /** Unique id of the execution context. It can be used to specify in which execution context script evaluation should be performed. */
+    id: ExecutionContextId;
+    type: ExecutionContextType;
+    /** Human readable name describing given context. */
+    name: string;
+    /** Id of the owning frame. */
+    frameId: Network.FrameId;
+  }
+
+  /** Syntax error type: "none" for no error, "irrecoverable" for unrecoverable errors, "unterminated-literal" for when there is an unterminated literal, "recoverable" for when the expression is unfinished but valid so far. */
+  export type SyntaxErrorType = 'none' | 'irrecoverable' | 'unterminated-literal' | 'recoverable';
+
+  /** Range of an error in source code. */
+  export interface ErrorRange {
+    /** Start offset of range (inclusive). */
+    startOffset: number;
+    /** End offset of range (exclusive). */
+    endOffset: number;
+  }
+
+  /** Parameters of 'Runtime.parse'. */
+  export type ParseParams = {
+    /** Source code to parse. */
+    source: string;
+  };
+
+  /** Result of 'Runtime.parse'. */
+  export type ParseResult = {
+    /** Parse result. */
+    result: SyntaxErrorType;
+    /** Parse error message. */
+    message?: string;
+    /** Range in the source where the error occurred. */
+    range?: ErrorRange;
+  };
+
+  /** Parameters of 'Runtime.evaluate'. */
+  export type EvaluateParams = {
+    /** Expression to evaluate. */
+    expression: string;
+    /** Symbolic group name that can be used to release multiple objects. */
+    objectGroup?: string;
+    /** Determines whether Command Line API should be available during the evaluation. */
+    includeCommandLineAPI?: boolean;
+    /** Specifies whether evaluation should stop on exceptions and mute console. Overrides setPauseOnException state. */
+    doNotPauseOnExceptionsAndMuteConsole?: boolean;
+    /** Specifies in which isolated context to perform evaluation. Each content script lives in an isolated context and this parameter may be used to specify one of those contexts. If the parameter is omitted or 0 the evaluation will be performed in the context of the inspected page. */
+    contextId?: ExecutionContextId;
+    /** Whether the result is expected to be a JSON object that should be sent by value. */
+    returnByValue?: boolean;
+    /** Whether preview should be generated for the result. */
+    generatePreview?: boolean;
+    /** Whether the resulting value should be considered for saving in the $n history. */
+    saveResult?: boolean;
+    /** Whether the expression should be considered to be in a user gesture or not. */
+    emulateUserGesture?: boolean;
+  };
+
+  /** Result of 'Runtime.evaluate'. */
+  export type EvaluateResult = {
+    /** Evaluation result. */
+    result: RemoteObject;
+    /** True if the result was thrown during the evaluation. */
+    wasThrown?: boolean;
+    /** If the result was saved, this is the $n index that can be used to access the value. */
+    savedResultIndex?: number;
+  };
+
+  /** Parameters of 'Runtime.awaitPromise'. */
+  export type AwaitPromiseParams = {
+    /** Identifier of the promise. */
+    promiseObjectId: RemoteObjectId;
+    /** Whether the result is expected to be a JSON object that should be sent by value. */
+    returnByValue?: boolean;
+    /** Whether preview should be generated for the result. */
+    generatePreview?: boolean;
+    /** Whether the resulting value should be considered for saving in the $n history. */
+    saveResult?: boolean;
+  };
+
+  /** Result of 'Runtime.awaitPromise'. */
+  export type AwaitPromiseResult = {
+    /** Evaluation result. */
+    result: RemoteObject;
+    /** True if the result was thrown during the evaluation. */
+    wasThrown?: boolean;
+    /** If the result was saved, this is the $n index that can be used to access the value. */
+    savedResultIndex?: number;
+  };
+
+  /** Parameters of 'Runtime.callFunctionOn'. */
+  export type CallFunctionOnParams = {
+    /** Identifier of the object to call function on. */
+    objectId: RemoteObjectId;
+    /** Declaration of the function to call. */
+    functionDeclaration: string;
+    /** Call arguments. All call arguments must belong to the same JavaScript world as the target object. */
+    arguments?: CallArgument[];
+    /** Specifies whether function call should stop on exceptions and mute console. Overrides setPauseOnException state. */
+    doNotPauseOnExceptionsAndMuteConsole?: boolean;
+    /** Whether the result is expected to be a JSON object which should be sent by value. */
+    returnByValue?: boolean;
+    /** Whether preview should be generated for the result. */
+    generatePreview?: boolean;
+    /** Whether the expression should be considered to be in a user gesture or not. */
+    emulateUserGesture?: boolean;
+    /** Whether to automatically await returned promise. */
+    awaitPromise?: boolean;
+  };
+
+  /** Result of 'Runtime.callFunctionOn'. */
+  export type CallFunctionOnResult = {
+    /** Call result. */
+    result: RemoteObject;
+    /** True if the result was thrown during the evaluation. */
+    wasThrown?: boolean;
+  };
+
+  /** Parameters of 'Runtime.getPreview'. */
+  export type GetPreviewParams = {
+    /** Identifier of the object to return a preview for. */
+    objectId: RemoteObjectId;
+  };
+
+  /** Result of 'Runtime.getPreview'. */
+  export type GetPreviewResult = {
+    preview: ObjectPreview;
+  };
+
+  /** Parameters of 'Runtime.getProperties'. */
+  export type GetPropertiesParams = {
+    /** Identifier of the object to return properties for. */
+    objectId: RemoteObjectId;
+    /** If true, returns properties belonging only to the object itself, not to its prototype chain. */
+    ownProperties?: boolean;
+    /** If provided skip to this value before collecting values. Otherwise, start at the beginning. Has no effect when the `objectId` is for a `iterator`/`WeakMap`/`WeakSet` object. */
+    fetchStart?: number;
+    /** If provided only return `fetchCount` values. Otherwise, return values all the way to the end. */
+    fetchCount?: number;
+    /** Whether preview should be generated for property values. */
+    generatePreview?: boolean;
+  };
+
+  /** Result of 'Runtime.getProperties'. */
+  export type GetPropertiesResult = {
+    /** Object properties. */
+    properties: PropertyDescriptor[];
+    /** Internal object properties. Only included if `fetchStart` is 0. */
+    internalProperties?: InternalPropertyDescriptor[];
+  };
+
+  /** Parameters of 'Runtime.getDisplayableProperties'. */
+  export type GetDisplayablePropertiesParams = {
+    /** Identifier of the object to return properties for. */
+    objectId: RemoteObjectId;
+    /** If provided skip to this value before collecting values. Otherwise, start at the beginning. Has no effect when the `objectId` is for a `iterator`/`WeakMap`/`WeakSet` object. */
+    fetchStart?: number;
+    /** If provided only return `fetchCount` values. Otherwise, return values all the way to the end. */
+    fetchCount?: number;
+    /** Whether preview should be generated for property values. */
+    generatePreview?: boolean;
+  };
+
+  /** Result of 'Runtime.getDisplayableProperties'. */
+  export type GetDisplayablePropertiesResult = {
+    /** Object properties. */
+    properties: PropertyDescriptor[];
+    /** Internal object properties. Only included if `fetchStart` is 0. */
+    internalProperties?: InternalPropertyDescriptor[];
+  };
+
+  /** Parameters of 'Runtime.releaseObject'. */
+  export type ReleaseObjectParams = {
+    /** Identifier of the object to release. */
+    objectId: RemoteObjectId;
+  };
+
+  /** Result of 'Runtime.releaseObject'. */
+  export type ReleaseObjectResult = Record<string, never>;
+
+  /** Parameters of 'Runtime.releaseObjectGroup'. */
+  export type ReleaseObjectGroupParams = {
+    /** Symbolic object group name. */
+    objectGroup: string;
+  };
+
+  /** Result of 'Runtime.releaseObjectGroup'. */
+  export type ReleaseObjectGroupResult = Record<string, never>;
+
+  /** Parameters of 'Runtime.enable'. */
+  export type EnableParams = Record<string, never>;
+
+  /** Result of 'Runtime.enable'. */
+  export type EnableResult = Record<string, never>;
+
+  /** Parameters of 'Runtime.disable'. */
+  export type DisableParams = Record<string, never>;
+
+  /** Result of 'Runtime.disable'. */
+  export type DisableResult = Record<string, never>;
+
+  /** Parameters of 'Runtime.setSavedResultAlias'. */
+  export type SetSavedResultAliasParams = {
+    /** Passing an empty/null string will clear the alias. */
+    alias?: string;
+  };
+
+  /** Result of 'Runtime.setSavedResultAlias'. */
+  export type SetSavedResultAliasResult = Record<string, never>;
+
+  /** Issued when new execution context is created. */
+  export type ExecutionContextCreatedEvent = {
+    /** A newly created execution context. */
+    context: ExecutionContextDescription;
+  };
+}
+
+/** Profiler domain exposes JavaScript evaluation timing and profiling. */
+export namespace ScriptProfiler {
+  export type EventType = 'API' | 'Microtask' | 'Other';
+
+  export interface Event {
+    startTime: number;
+    endTime: number;
+    type: EventType;
+  }
+
+  export interface ExpressionLocation {
+    /** 1-based. */
+    line: number;
+    /** 1-based. */
+    column: number;
+  }
+
+  export interface StackFrame {
+    /** Unique script identifier. */
+    sourceID: Debugger.ScriptId;
+    /** A displayable name for the stack frame. i.e function name, (program), etc. */
+    name: string;
+    /** -1 if unavailable. 1-based if available. */
+    line: number;
+    /** -1 if unavailable. 1-based if available. */
+    column: number;
+    url: string;
+    expressionLocation?: ExpressionLocation;
+  }
+
+  export interface StackTrace {
+    timestamp: number;
+    /** First array item is the bottom of the call stack and last array item is the top of the call stack. */
+    stackFrames: StackFrame[];
+  }
+
+  export interface Samples {
+    stackTraces: StackTrace[];
+  }
+
+  /** Parameters of 'ScriptProfiler.startTracking'. */
+  export type StartTrackingParams = {
+    /** Start the sampling profiler, defaults to false. */
+    includeSamples?: boolean;
+  };
+
+  /** Result of 'ScriptProfiler.startTracking'. */
+  export type StartTrackingResult = Record<string, never>;
+
+  /** Parameters of 'ScriptProfiler.stopTracking'. */
+  export type StopTrackingParams = Record<string, never>;
+
+  /** Result of 'ScriptProfiler.stopTracking'. */
+  export type StopTrackingResult = Record<string, never>;
+
+  /** Tracking started. */
+  export type TrackingStartEvent = {
+    timestamp: number;
+  };
+
+  /** Periodic tracking updates with event data. */
+  export type TrackingUpdateEvent = {
+    event: Event;
+  };
+
+  /** Tracking stopped. Includes any buffered data during tracking, such as profiling information. */
+  export type TrackingCompleteEvent = {
+    timestamp: number;
+    /** Stack traces. */
+    samples?: Samples;
+  };
+}
+
+/** Security domain allows the frontend to query for information relating to the security of the page (e.g. HTTPS info, TLS info, user activity, etc.). */
+export namespace Security {
+  /** Information about a SSL connection to display in the frontend. */
+  export interface Connection {
+    protocol?: string;
+    cipher?: string;
+  }
+
+  /** Information about a SSL certificate to display in the frontend. */
+  export interface Certificate {
+    subject?: string;
+    validFrom?: Network.Walltime;
+    validUntil?: Network.Walltime;
+    /** DNS names listed on the certificate. */
+    dnsNames?: string[];
+    /** IP addresses listed on the certificate. */
+    ipAddresses?: string[];
+  }
+
+  /** Security information for a given Network.Response. */
+  export interface Security {
+    connection?: Connection;
+    certificate?: Certificate;
+  }
+}
+
+/** Actions and events related to the inspected service worker. */
+export namespace ServiceWorker {
+  /** Parameters of 'ServiceWorker.getInitializationInfo'. */
+  export type GetInitializationInfoParams = Record<string, never>;
+
+  /** Result of 'ServiceWorker.getInitializationInfo'. */
+  export type GetInitializationInfoResult = {
+    info: Record<string, any>;
+  };
+}
+
+export namespace Target {
+  /** Description of a target. */
+  export interface TargetInfo {
+    /** Unique identifier for the target. */
+    targetId: string;
+    type: 'frame' | 'page' | 'service-worker' | 'worker';
+    /** Whether this is a provisional page target. */
+    isProvisional?: boolean;
+    /** Whether the target is paused on start and has to be explicitely resumed by inspector. */
+    isPaused?: boolean;
+  }
+
+  /** Parameters of 'Target.exists'. */
+  export type ExistsParams = Record<string, never>;
+
+  /** Result of 'Target.exists'. */
+  export type ExistsResult = Record<string, never>;
+
+  /** Parameters of 'Target.setPauseOnStart'. */
+  export type SetPauseOnStartParams = {
+    /** If set to true, new targets will be paused on start waiting for resume command. */
+    pauseOnStart: boolean;
+  };
+
+  /** Result of 'Target.setPauseOnStart'. */
+  export type SetPauseOnStartResult = Record<string, never>;
+
+  /** Parameters of 'Target.resume'. */
+  export type ResumeParams = {
+    targetId: string;
+  };
+
+  /** Result of 'Target.resume'. */
+  export type ResumeResult = Record<string, never>;
+
+  /** Parameters of 'Target.sendMessageToTarget'. */
+  export type SendMessageToTargetParams = {
+    targetId: string;
+    /** JSON Inspector Protocol message (command) to be dispatched on the backend. */
+    message: string;
+  };
+
+  /** Result of 'Target.sendMessageToTarget'. */
+  export type SendMessageToTargetResult = Record<string, never>;
+
+  export type TargetCreatedEvent = {
+    targetInfo: TargetInfo;
+  };
+
+  export type DidCommitProvisionalTargetEvent = {
+    /** ID of the old target that is swapped with the committed one. */
+    oldTargetId: string;
+    /** ID of the committed target. */
+    newTargetId: string;
+  };
+
+  export type TargetDestroyedEvent = {
+    targetId: string;
+  };
+
+  export type DispatchMessageFromTargetEvent = {
+    targetId: string;
+    /** JSON Inspector Protocol message (response or event) to be dispatched on the frontend. */
+    message: string;
+  };
+}
+
+/** Timeline provides its clients with instrumentation records that are generated during the page runtime. Timeline instrumentation can be started and stopped using corresponding commands. While timeline is started, it is generating timeline event records. */
+export namespace Timeline {
+  /** Timeline record type. */
+  export type EventType =
+    | 'EventDispatch'
+    | 'ScheduleStyleRecalculation'
+    | 'RecalculateStyles'
+    | 'InvalidateLayout'
+    | 'Layout'
+    | 'Paint'
+    | 'Composite'
+    | 'RenderingFrame'
+    | 'TimerInstall'
+    | 'TimerRemove'
+    | 'TimerFire'
+    | 'EvaluateScript'
+    | 'TimeStamp'
+    | 'Time'
+    | 'TimeEnd'
+    | 'FunctionCall'
+    | 'ProbeSample'
+    | 'ConsoleProfile'
+    | 'RequestAnimationFrame'
+    | 'CancelAnimationFrame'
+    | 'FireAnimationFrame'
+    | 'ObserverCallback'
+    | 'Screenshot';
+
+  /** Instrument types. */
+  export type Instrument = 'ScriptProfiler' | 'Timeline' | 'CPU' | 'Memory' | 'Heap' | 'Animation' | 'Screenshot';
+
+  /** Timeline record contains information about the recorded activity. */
+  export interface TimelineEvent {
+    /** Event type. */
+    type: EventType;
+    /** Event data. */
+    data: Record<string, any>;
+    /** Nested records. */
+    children?: TimelineEvent[];
+  }
+
+  /** Parameters of 'Timeline.enable'. */
+  export type EnableParams = Record<string, never>;
+
+  /** Result of 'Timeline.enable'. */
+  export type EnableResult = Record<string, never>;
+
+  /** Parameters of 'Timeline.disable'. */
+  export type DisableParams = Record<string, never>;
+
+  /** Result of 'Timeline.disable'. */
+  export type DisableResult = Record<string, never>;
+
+  /** Parameters of 'Timeline.start'. */
+  export type StartParams = {
+    /** Samples JavaScript stack traces up to `maxCallStackDepth`, defaults to 5. */
+    maxCallStackDepth?: number;
+  };
+
+  /** Result of 'Timeline.start'. */
+  export type StartResult = Record<string, never>;
+
+  /** Parameters of 'Timeline.stop'. */
+  export type StopParams = Record<string, never>;
+
+  /** Result of 'Timeline.stop'. */
+  export type StopResult = Record<string, never>;
+
+  /** Parameters of 'Timeline.setAutoCaptureEnabled'. */
+  export type SetAutoCaptureEnabledParams = {
+    /** New auto capture state. */
+    enabled: boolean;
+  };
+
+  /** Result of 'Timeline.setAutoCaptureEnabled'. */
+  export type SetAutoCaptureEnabledResult = Record<string, never>;
+
+  /** Parameters of 'Timeline.setInstruments'. */
+  export type SetInstrumentsParams = {
+    /** Instruments to enable. */
+    instruments: Instrument[];
+  };
+
+  /** Result of 'Timeline.setInstruments'. */
+  export type SetInstrumentsResult = Record<string, never>;
+
+  /** Fired for every instrumentation event while timeline is started. */
+  export type EventRecordedEvent = {
+    /** Timeline event record data. */
+    record: TimelineEvent;
+  };
+
+  /** Fired when recording has started. */
+  export type RecordingStartedEvent = {
+    /** Start time of this new recording. */
+    startTime: number;
+  };
+
+  /** Fired when recording has stopped. */
+  export type RecordingStoppedEvent = {
+    /** End time of this recording. */
+    endTime: number;
+  };
+
+  /** Fired when auto capture started. */
+  export type AutoCaptureStartedEvent = Record<string, never>;
+}
+
+export namespace Worker {
+  /** Parameters of 'Worker.enable'. */
+  export type EnableParams = Record<string, never>;
+
+  /** Result of 'Worker.enable'. */
+  export type EnableResult = Record<string, never>;
+
+  /** Parameters of 'Worker.disable'. */
+  export type DisableParams = Record<string, never>;
+
+  /** Result of 'Worker.disable'. */
+  export type DisableResult = Record<string, never>;
+
+  /** Parameters of 'Worker.initialized'. */
+  export type InitializedParams = {
+    workerId: string;
+  };
+
+  /** Result of 'Worker.initialized'. */
+  export type InitializedResult = Record<string, never>;
+
+  /** Parameters of 'Worker.sendMessageToWorker'. */
+  export type SendMessageToWorkerParams = {
+    workerId: string;
+    /** JSON Inspector Protocol message (command) to be dispatched on the backend. */
+    message: string;
+  };
+
+  /** Result of 'Worker.sendMessageToWorker'. */
+  export type SendMessageToWorkerResult = Record<string, never>;
+}
+
+/**
+ * The parameters and the results of the protocol commands, by their method names.
+ */
+export interface ProtocolCommands {
+  /** Enables Canvas domain events. */
+  'Animation.enable': {params: Animation.EnableParams; result: Animation.EnableResult};
+  /** Disables Canvas domain events. */
+  'Animation.disable': {params: Animation.DisableParams; result: Animation.DisableResult};
+  /** Returns array of frame identifiers with manifest urls for each frame containing a document associated with some application cache. */
+  'ApplicationCache.getFramesWithManifests': {
+    params: ApplicationCache.GetFramesWithManifestsParams;
+    result: ApplicationCache.GetFramesWithManifestsResult;
+  };
+  /** Enables application cache domain notifications. */
+  'ApplicationCache.enable': {params: ApplicationCache.EnableParams; result: ApplicationCache.EnableResult};
+  /** Disable application cache domain notifications. */
+  'ApplicationCache.disable': {params: ApplicationCache.DisableParams; result: ApplicationCache.DisableResult};
+  /** Enables Browser domain events. */
+  'Browser.enable': {params: Browser.EnableParams; result: Browser.EnableResult};
+  /** Disables Browser domain events. */
+  'Browser.disable': {params: Browser.DisableParams; result: Browser.DisableResult};
+  /** Start tracking cpu usage. */
+  'CPUProfiler.startTracking': {params: CPUProfiler.StartTrackingParams; result: CPUProfiler.StartTrackingResult};
+  /** Stop tracking cpu usage. This will produce a `trackingComplete` event. */
+  'CPUProfiler.stopTracking': {params: CPUProfiler.StopTrackingParams; result: CPUProfiler.StopTrackingResult};
+  /** Enables the CSS agent for the given page. Clients should not assume that the CSS agent has been enabled until the result of this command is received. */
+  'CSS.enable': {params: CSS.EnableParams; result: CSS.EnableResult};
+  /** Disables the CSS agent for the given page. */
+  'CSS.disable': {params: CSS.DisableParams; result: CSS.DisableResult};
+  /** Enables Canvas domain events. */
+  'Canvas.enable': {params: Canvas.EnableParams; result: Canvas.EnableResult};
+  /** Disables Canvas domain events. */
+  'Canvas.disable': {params: Canvas.DisableParams; result: Canvas.DisableResult};
+  /** Enables console domain, sends the messages collected so far to the client by means of the `messageAdded` notification. */
+  'Console.enable': {params: Console.EnableParams; result: Console.EnableResult};
+  /** Disables console domain, prevents further console messages from being reported to the client. */
+  'Console.disable': {params: Console.DisableParams; result: Console.DisableResult};
+  /** Clears console messages collected in the browser. */
+  'Console.clearMessages': {params: Console.ClearMessagesParams; result: Console.ClearMessagesResult};
+  /** List of the different message sources that are non-default logging channels. */
+  'Console.getLoggingChannels': {params: Console.GetLoggingChannelsParams; result: Console.GetLoggingChannelsResult};
+  /** Modify the level of a channel. */
+  'Console.setLoggingChannelLevel': {
+    params: Console.SetLoggingChannelLevelParams;
+    result: Console.SetLoggingChannelLevelResult;
+  };
+  /** Returns the root DOM node to the caller. */
+  'DOM.getDocument': {params: DOM.GetDocumentParams; result: DOM.GetDocumentResult};
+  /** Requests that children of the node with given id are returned to the caller in form of `setChildNodes` events where not only immediate children are retrieved, but all children down to the specified depth. */
+  'DOM.requestChildNodes': {params: DOM.RequestChildNodesParams; result: DOM.RequestChildNodesResult};
+  /** Executes `querySelector` on a given node. */
+  'DOM.querySelector': {params: DOM.QuerySelectorParams; result: DOM.QuerySelectorResult};
+  /** Executes `querySelectorAll` on a given node. */
+  'DOM.querySelectorAll': {params: DOM.QuerySelectorAllParams; result: DOM.QuerySelectorAllResult};
+  /** Sets node name for a node with given id. */
+  'DOM.setNodeName': {params: DOM.SetNodeNameParams; result: DOM.SetNodeNameResult};
+  /** Sets node value for a node with given id. */
+  'DOM.setNodeValue': {params: DOM.SetNodeValueParams; result: DOM.SetNodeValueResult};
+  /** Removes node with given id. */
+  'DOM.removeNode': {params: DOM.RemoveNodeParams; result: DOM.RemoveNodeResult};
+  /** Sets attribute for an element with given id. */
+  'DOM.setAttributeValue': {params: DOM.SetAttributeValueParams; result: DOM.SetAttributeValueResult};
+  /** Removes attribute with given name from an element with given id. */
+  'DOM.removeAttribute': {params: DOM.RemoveAttributeParams; result: DOM.RemoveAttributeResult};
+  /** Returns node's HTML markup. */
+  'DOM.getOuterHTML': {params: DOM.GetOuterHTMLParams; result: DOM.GetOuterHTMLResult};
+  /** Sets node HTML markup, returns new node id. */
+  'DOM.setOuterHTML': {params: DOM.SetOuterHTMLParams; result: DOM.SetOuterHTMLResult};
+  /** Highlights DOM node with given id or with the given JavaScript object wrapper. Either nodeId or objectId must be specified. */
+  'DOM.highlightNode': {params: DOM.HighlightNodeParams; result: DOM.HighlightNodeResult};
+  /** Hides DOM node highlight. */
+  'DOM.hideHighlight': {params: DOM.HideHighlightParams; result: DOM.HideHighlightResult};
+  /** Resolves JavaScript node object for given node id. */
+  'DOM.resolveNode': {params: DOM.ResolveNodeParams; result: DOM.ResolveNodeResult};
+  /** Returns attributes for the specified node. */
+  'DOM.getAttributes': {params: DOM.GetAttributesParams; result: DOM.GetAttributesResult};
+  /** Requests that the node is sent to the caller given the JavaScript node object reference. All nodes that form the path from the node to the root are also sent to the client as a series of `setChildNodes` notifications. */
+  'DOM.requestNode': {params: DOM.RequestNodeParams; result: DOM.RequestNodeResult};
+  /** Focuses the given element. */
+  'DOM.focus': {params: DOM.FocusParams; result: DOM.FocusResult};
+  /** Enables storage tracking, storage events will now be delivered to the client. */
+  'DOMStorage.enable': {params: DOMStorage.EnableParams; result: DOMStorage.EnableResult};
+  /** Disables storage tracking, prevents storage events from being sent to the client. */
+  'DOMStorage.disable': {params: DOMStorage.DisableParams; result: DOMStorage.DisableResult};
+  'DOMStorage.getDOMStorageItems': {
+    params: DOMStorage.GetDOMStorageItemsParams;
+    result: DOMStorage.GetDOMStorageItemsResult;
+  };
+  'DOMStorage.setDOMStorageItem': {
+    params: DOMStorage.SetDOMStorageItemParams;
+    result: DOMStorage.SetDOMStorageItemResult;
+  };
+  'DOMStorage.removeDOMStorageItem': {
+    params: DOMStorage.RemoveDOMStorageItemParams;
+    result: DOMStorage.RemoveDOMStorageItemResult;
+  };
+  'DOMStorage.clearDOMStorageItems': {
+    params: DOMStorage.ClearDOMStorageItemsParams;
+    result: DOMStorage.ClearDOMStorageItemsResult;
+  };
+  /** Enables database tracking, database events will now be delivered to the client. */
+  'Database.enable': {params: Database.EnableParams; result: Database.EnableResult};
+  /** Disables database tracking, prevents database events from being sent to the client. */
+  'Database.disable': {params: Database.DisableParams; result: Database.DisableResult};
+  /** Enables debugger for the given page. Clients should not assume that the debugging has been enabled until the result for this command is received. */
+  'Debugger.enable': {params: Debugger.EnableParams; result: Debugger.EnableResult};
+  /** Disables debugger for given page. */
+  'Debugger.disable': {params: Debugger.DisableParams; result: Debugger.DisableResult};
+  /** Set the async stack trace depth for the page. A value of zero disables recording of async stack traces. */
+  'Debugger.setAsyncStackTraceDepth': {
+    params: Debugger.SetAsyncStackTraceDepthParams;
+    result: Debugger.SetAsyncStackTraceDepthResult;
+  };
+  /** Activates / deactivates all breakpoints on the page. */
+  'Debugger.setBreakpointsActive': {
+    params: Debugger.SetBreakpointsActiveParams;
+    result: Debugger.SetBreakpointsActiveResult;
+  };
+  /** Sets JavaScript breakpoint at given location specified either by URL or URL regex. Once this command is issued, all existing parsed scripts will have breakpoints resolved and returned in `locations` property. Further matching script parsing will result in subsequent `breakpointResolved` events issued. This logical breakpoint will survive page reloads. */
+  'Debugger.setBreakpointByUrl': {params: Debugger.SetBreakpointByUrlParams; result: Debugger.SetBreakpointByUrlResult};
+  /** Sets JavaScript breakpoint at a given location. */
+  'Debugger.setBreakpoint': {params: Debugger.SetBreakpointParams; result: Debugger.SetBreakpointResult};
+  /** Removes JavaScript breakpoint. */
+  'Debugger.removeBreakpoint': {params: Debugger.RemoveBreakpointParams; result: Debugger.RemoveBreakpointResult};
+  /** Continues execution until specific location is reached. This will trigger either a Debugger.paused or Debugger.resumed event. */
+  'Debugger.continueToLocation': {params: Debugger.ContinueToLocationParams; result: Debugger.ContinueToLocationResult};
+  /** Steps over the expression. This will trigger either a Debugger.paused or Debugger.resumed event. */
+  'Debugger.stepNext': {params: Debugger.StepNextParams; result: Debugger.StepNextResult};
+  /** Steps over the statement. This will trigger either a Debugger.paused or Debugger.resumed event. */
+  'Debugger.stepOver': {params: Debugger.StepOverParams; result: Debugger.StepOverResult};
+  /** Steps into the function call. This will trigger either a Debugger.paused or Debugger.resumed event. */
+  'Debugger.stepInto': {params: Debugger.StepIntoParams; result: Debugger.StepIntoResult};
+  /** Steps out of the function call. This will trigger either a Debugger.paused or Debugger.resumed event. */
+  'Debugger.stepOut': {params: Debugger.StepOutParams; result: Debugger.StepOutResult};
+  /** Stops on the next JavaScript statement. */
+  'Debugger.pause': {params: Debugger.PauseParams; result: Debugger.PauseResult};
+  /** Resumes JavaScript execution. This will trigger a Debugger.resumed event. */
+  'Debugger.resume': {params: Debugger.ResumeParams; result: Debugger.ResumeResult};
+  /** Returns source for the script with given id. */
+  'Debugger.getScriptSource': {params: Debugger.GetScriptSourceParams; result: Debugger.GetScriptSourceResult};
+  /** Defines pause on exceptions state. Can be set to stop on all exceptions, uncaught exceptions or no exceptions. Initial pause on exceptions state is `none`. */
+  'Debugger.setPauseOnExceptions': {
+    params: Debugger.SetPauseOnExceptionsParams;
+    result: Debugger.SetPauseOnExceptionsResult;
+  };
+  /** Set pause on assertions state. Assertions are console.assert assertions. */
+  'Debugger.setPauseOnAssertions': {
+    params: Debugger.SetPauseOnAssertionsParams;
+    result: Debugger.SetPauseOnAssertionsResult;
+  };
+  /** Change whether to pause in the debugger for internal scripts. The default value is false. */
+  'Debugger.setPauseForInternalScripts': {
+    params: Debugger.SetPauseForInternalScriptsParams;
+    result: Debugger.SetPauseForInternalScriptsResult;
+  };
+  /** Evaluates expression on a given call frame. */
+  'Debugger.evaluateOnCallFrame': {
+    params: Debugger.EvaluateOnCallFrameParams;
+    result: Debugger.EvaluateOnCallFrameResult;
+  };
+  /** Enables Heap domain events. */
+  'Heap.enable': {params: Heap.EnableParams; result: Heap.EnableResult};
+  /** Disables Heap domain events. */
+  'Heap.disable': {params: Heap.DisableParams; result: Heap.DisableResult};
+  /** Trigger a full garbage collection. */
+  'Heap.gc': {params: Heap.GcParams; result: Heap.GcResult};
+  /** Take a heap snapshot. */
+  'Heap.snapshot': {params: Heap.SnapshotParams; result: Heap.SnapshotResult};
+  /** Start tracking heap changes. This will produce a `trackingStart` event. */
+  'Heap.startTracking': {params: Heap.StartTrackingParams; result: Heap.StartTrackingResult};
+  /** Stop tracking heap changes. This will produce a `trackingComplete` event. */
+  'Heap.stopTracking': {params: Heap.StopTrackingParams; result: Heap.StopTrackingResult};
+  /** Returns a preview (string, Debugger.FunctionDetails, or Runtime.ObjectPreview) for a Heap.HeapObjectId. */
+  'Heap.getPreview': {params: Heap.GetPreviewParams; result: Heap.GetPreviewResult};
+  /** Returns the strongly referenced Runtime.RemoteObject for a Heap.HeapObjectId. */
+  'Heap.getRemoteObject': {params: Heap.GetRemoteObjectParams; result: Heap.GetRemoteObjectResult};
+  /** Enables events from backend. */
+  'IndexedDB.enable': {params: IndexedDB.EnableParams; result: IndexedDB.EnableResult};
+  /** Disables events from backend. */
+  'IndexedDB.disable': {params: IndexedDB.DisableParams; result: IndexedDB.DisableResult};
+  /** Requests database names for given security origin. */
+  'IndexedDB.requestDatabaseNames': {
+    params: IndexedDB.RequestDatabaseNamesParams;
+    result: IndexedDB.RequestDatabaseNamesResult;
+  };
+  /** Requests database with given name in given frame. */
+  'IndexedDB.requestDatabase': {params: IndexedDB.RequestDatabaseParams; result: IndexedDB.RequestDatabaseResult};
+  /** Requests data from object store or index. */
+  'IndexedDB.requestData': {params: IndexedDB.RequestDataParams; result: IndexedDB.RequestDataResult};
+  /** Clears all entries from an object store. */
+  'IndexedDB.clearObjectStore': {params: IndexedDB.ClearObjectStoreParams; result: IndexedDB.ClearObjectStoreResult};
+  /** Enables inspector domain notifications. */
+  'Inspector.enable': {params: Inspector.EnableParams; result: Inspector.EnableResult};
+  /** Disables inspector domain notifications. */
+  'Inspector.disable': {params: Inspector.DisableParams; result: Inspector.DisableResult};
+  /** Sent by the frontend after all initialization messages have been sent. */
+  'Inspector.initialized': {params: Inspector.InitializedParams; result: Inspector.InitializedResult};
+  /** Enables compositing tree inspection. */
+  'LayerTree.enable': {params: LayerTree.EnableParams; result: LayerTree.EnableResult};
+  /** Disables compositing tree inspection. */
+  'LayerTree.disable': {params: LayerTree.DisableParams; result: LayerTree.DisableResult};
+  /** Enables Memory domain events. */
+  'Memory.enable': {params: Memory.EnableParams; result: Memory.EnableResult};
+  /** Disables Memory domain events. */
+  'Memory.disable': {params: Memory.DisableParams; result: Memory.DisableResult};
+  /** Start tracking memory. This will produce a `trackingStart` event. */
+  'Memory.startTracking': {params: Memory.StartTrackingParams; result: Memory.StartTrackingResult};
+  /** Stop tracking memory. This will produce a `trackingComplete` event. */
+  'Memory.stopTracking': {params: Memory.StopTrackingParams; result: Memory.StopTrackingResult};
+  /** Enables network tracking, network events will now be delivered to the client. */
+  'Network.enable': {params: Network.EnableParams; result: Network.EnableResult};
+  /** Disables network tracking, prevents network events from being sent to the client. */
+  'Network.disable': {params: Network.DisableParams; result: Network.DisableResult};
+  /** Specifies whether to always send extra HTTP headers with the requests from this page. */
+  'Network.setExtraHTTPHeaders': {params: Network.SetExtraHTTPHeadersParams; result: Network.SetExtraHTTPHeadersResult};
+  /** Returns content served for the given request. */
+  'Network.getResponseBody': {params: Network.GetResponseBodyParams; result: Network.GetResponseBodyResult};
+  /** Toggles whether the resource cache may be used when loading resources in the inspected page. If `true`, the resource cache will not be used when loading resources. */
+  'Network.setResourceCachingDisabled': {
+    params: Network.SetResourceCachingDisabledParams;
+    result: Network.SetResourceCachingDisabledResult;
+  };
+  /** Loads a resource in the context of a frame on the inspected page without cross origin checks. */
+  'Network.loadResource': {params: Network.LoadResourceParams; result: Network.LoadResourceResult};
+  /** Fetches a serialized secure certificate for the given requestId to be displayed via InspectorFrontendHost.showCertificate. */
+  'Network.getSerializedCertificate': {
+    params: Network.GetSerializedCertificateParams;
+    result: Network.GetSerializedCertificateResult;
+  };
+  /** Resolves JavaScript WebSocket object for given request id. */
+  'Network.resolveWebSocket': {params: Network.ResolveWebSocketParams; result: Network.ResolveWebSocketResult};
+  /** Enable interception of network requests. */
+  'Network.setInterceptionEnabled': {
+    params: Network.SetInterceptionEnabledParams;
+    result: Network.SetInterceptionEnabledResult;
+  };
+  /** Add an interception. */
+  'Network.addInterception': {params: Network.AddInterceptionParams; result: Network.AddInterceptionResult};
+  /** Remove an interception. */
+  'Network.removeInterception': {params: Network.RemoveInterceptionParams; result: Network.RemoveInterceptionResult};
+  /** Continue request or response without modifications. */
+  'Network.interceptContinue': {params: Network.InterceptContinueParams; result: Network.InterceptContinueResult};
+  /** Replace intercepted request with the provided one. */
+  'Network.interceptWithRequest': {
+    params: Network.InterceptWithRequestParams;
+    result: Network.InterceptWithRequestResult;
+  };
+  /** Provide response content for an intercepted response. */
+  'Network.interceptWithResponse': {
+    params: Network.InterceptWithResponseParams;
+    result: Network.InterceptWithResponseResult;
+  };
+  /** Provide response for an intercepted request. Request completely bypasses the network in this case and is immediately fulfilled with the provided data. */
+  'Network.interceptRequestWithResponse': {
+    params: Network.InterceptRequestWithResponseParams;
+    result: Network.InterceptRequestWithResponseResult;
+  };
+  /** Fail request with given error type. */
+  'Network.interceptRequestWithError': {
+    params: Network.InterceptRequestWithErrorParams;
+    result: Network.InterceptRequestWithErrorResult;
+  };
+  /** Emulate various network conditions (e.g. bytes per second, latency, etc.). */
+  'Network.setEmulatedConditions': {
+    params: Network.SetEmulatedConditionsParams;
+    result: Network.SetEmulatedConditionsResult;
+  };
+  /** Enables page domain notifications. */
+  'Page.enable': {params: Page.EnableParams; result: Page.EnableResult};
+  /** Disables page domain notifications. */
+  'Page.disable': {params: Page.DisableParams; result: Page.DisableResult};
+  /** Reloads the main frame of the inspected page. */
+  'Page.reload': {params: Page.ReloadParams; result: Page.ReloadResult};
+  /** Navigates current page to the given URL. */
+  'Page.navigate': {params: Page.NavigateParams; result: Page.NavigateResult};
+  /** Override's the user agent of the inspected page */
+  'Page.overrideUserAgent': {params: Page.OverrideUserAgentParams; result: Page.OverrideUserAgentResult};
+  /** Allows the frontend to override the inspected page's settings. */
+  'Page.overrideSetting': {params: Page.OverrideSettingParams; result: Page.OverrideSettingResult};
+  /** Allows the frontend to override the user's preferences on the inspected page. */
+  'Page.overrideUserPreference': {params: Page.OverrideUserPreferenceParams; result: Page.OverrideUserPreferenceResult};
+  /** Returns all browser cookies. Depending on the backend support, will return detailed cookie information in the `cookies` field. */
+  'Page.getCookies': {params: Page.GetCookiesParams; result: Page.GetCookiesResult};
+  /** Sets a new browser cookie with the given name, domain, and path. */
+  'Page.setCookie': {params: Page.SetCookieParams; result: Page.SetCookieResult};
+  /** Deletes browser cookie with given name, domain, and path. */
+  'Page.deleteCookie': {params: Page.DeleteCookieParams; result: Page.DeleteCookieResult};
+  /** Returns present frame / resource tree structure. */
+  'Page.getResourceTree': {params: Page.GetResourceTreeParams; result: Page.GetResourceTreeResult};
+  /** Returns content of the given resource. */
+  'Page.getResourceContent': {params: Page.GetResourceContentParams; result: Page.GetResourceContentResult};
+  'Page.setBootstrapScript': {params: Page.SetBootstrapScriptParams; result: Page.SetBootstrapScriptResult};
+  /** Searches for given string in resource content. */
+  'Page.searchInResource': {params: Page.SearchInResourceParams; result: Page.SearchInResourceResult};
+  /** Searches for given string in frame / resource tree structure. */
+  'Page.searchInResources': {params: Page.SearchInResourcesParams; result: Page.SearchInResourcesResult};
+  /** Requests that backend draw rulers in the inspector overlay */
+  'Page.setShowRulers': {params: Page.SetShowRulersParams; result: Page.SetShowRulersResult};
+  /** Requests that backend shows paint rectangles */
+  'Page.setShowPaintRects': {params: Page.SetShowPaintRectsParams; result: Page.SetShowPaintRectsResult};
+  /** Emulates the given media for CSS media queries. */
+  'Page.setEmulatedMedia': {params: Page.SetEmulatedMediaParams; result: Page.SetEmulatedMediaResult};
+  /** Capture a snapshot of the specified node that does not include unrelated layers. */
+  'Page.snapshotNode': {params: Page.SnapshotNodeParams; result: Page.SnapshotNodeResult};
+  /** Capture a snapshot of the page within the specified rectangle and coordinate system. */
+  'Page.snapshotRect': {params: Page.SnapshotRectParams; result: Page.SnapshotRectResult};
+  /** Grab an archive of the page. */
+  'Page.archive': {params: Page.ArchiveParams; result: Page.ArchiveResult};
+  /** Overrides screen size exposed to DOM and used in media queries for testing with provided values. */
+  'Page.setScreenSizeOverride': {params: Page.SetScreenSizeOverrideParams; result: Page.SetScreenSizeOverrideResult};
+  /** Parses JavaScript source code for errors. */
+  'Runtime.parse': {params: Runtime.ParseParams; result: Runtime.ParseResult};
+  /** Evaluates expression on global object. */
+  'Runtime.evaluate': {params: Runtime.EvaluateParams; result: Runtime.EvaluateResult};
+  /** Calls the async callback when the promise with the given ID gets settled. */
+  'Runtime.awaitPromise': {params: Runtime.AwaitPromiseParams; result: Runtime.AwaitPromiseResult};
+  /** Calls function with given declaration on the given object. Object group of the result is inherited from the target object. */
+  'Runtime.callFunctionOn': {params: Runtime.CallFunctionOnParams; result: Runtime.CallFunctionOnResult};
+  /** Returns a preview for the given object. */
+  'Runtime.getPreview': {params: Runtime.GetPreviewParams; result: Runtime.GetPreviewResult};
+  /** Returns properties of a given object. Object group of the result is inherited from the target object. */
+  'Runtime.getProperties': {params: Runtime.GetPropertiesParams; result: Runtime.GetPropertiesResult};
+  /** Returns displayable properties of a given object. Object group of the result is inherited from the target object. Displayable properties are own properties, internal properties, and native getters in the prototype chain (assumed to be bindings and treated like own properties for the frontend). */
+  'Runtime.getDisplayableProperties': {
+    params: Runtime.GetDisplayablePropertiesParams;
+    result: Runtime.GetDisplayablePropertiesResult;
+  };
+  /** Releases remote object with given id. */
+  'Runtime.releaseObject': {params: Runtime.ReleaseObjectParams; result: Runtime.ReleaseObjectResult};
+  /** Releases all remote objects that belong to a given group. */
+  'Runtime.releaseObjectGroup': {params: Runtime.ReleaseObjectGroupParams; result: Runtime.ReleaseObjectGroupResult};
+  /** Enables reporting of execution contexts creation by means of `executionContextCreated` event. When the reporting gets enabled the event will be sent immediately for each existing execution context. */
+  'Runtime.enable': {params: Runtime.EnableParams; result: Runtime.EnableResult};
+  /** Disables reporting of execution contexts creation. */
+  'Runtime.disable': {params: Runtime.DisableParams; result: Runtime.DisableResult};
+  /** Allows a custom prefix to be used when saving results, in addition to the default $n. */
+  'Runtime.setSavedResultAlias': {params: Runtime.SetSavedResultAliasParams; result: Runtime.SetSavedResultAliasResult};
+  /** Start tracking script evaluations. */
+  'ScriptProfiler.startTracking': {
+    params: ScriptProfiler.StartTrackingParams;
+    result: ScriptProfiler.StartTrackingResult;
+  };
+  /** Stop tracking script evaluations. This will produce a `trackingComplete` event. */
+  'ScriptProfiler.stopTracking': {params: ScriptProfiler.StopTrackingParams; result: ScriptProfiler.StopTrackingResult};
+  /** Returns the initialization information for this target. */
+  'ServiceWorker.getInitializationInfo': {
+    params: ServiceWorker.GetInitializationInfoParams;
+    result: ServiceWorker.GetInitializationInfoResult;
+  };
+  /** Checks whether the backend supports the Target domain. Removed from WebKit in iOS 13.4. */
+  'Target.exists': {params: Target.ExistsParams; result: Target.ExistsResult};
+  /** If set to true, new targets will be paused on start waiting for resume command. Other commands can be dispatched on the target before it is resumed. */
+  'Target.setPauseOnStart': {params: Target.SetPauseOnStartParams; result: Target.SetPauseOnStartResult};
+  /** Will resume target if it was paused on start. */
+  'Target.resume': {params: Target.ResumeParams; result: Target.ResumeResult};
+  /** Send an Inspector Protocol message to be dispatched to a Target's agents. */
+  'Target.sendMessageToTarget': {params: Target.SendMessageToTargetParams; result: Target.SendMessageToTargetResult};
+  /** Enables Timeline domain events. */
+  'Timeline.enable': {params: Timeline.EnableParams; result: Timeline.EnableResult};
+  /** Disables Timeline domain events. */
+  'Timeline.disable': {params: Timeline.DisableParams; result: Timeline.DisableResult};
+  /** Starts capturing instrumentation events. */
+  'Timeline.start': {params: Timeline.StartParams; result: Timeline.StartResult};
+  /** Stops capturing instrumentation events. */
+  'Timeline.stop': {params: Timeline.StopParams; result: Timeline.StopResult};
+  /** Toggle auto capture state. If `true` the backend will disable breakpoints and start capturing on navigation. The backend will fire the `autoCaptureStarted` event when an auto capture starts. The frontend should stop the auto capture when appropriate and re-enable breakpoints. */
+  'Timeline.setAutoCaptureEnabled': {
+    params: Timeline.SetAutoCaptureEnabledParams;
+    result: Timeline.SetAutoCaptureEnabledResult;
+  };
+  /** Instruments to enable when capture starts on the backend (e.g. auto capture or programmatic capture). */
+  'Timeline.setInstruments': {params: Timeline.SetInstrumentsParams; result: Timeline.SetInstrumentsResult};
+  /** Enable Worker domain events. */
+  'Worker.enable': {params: Worker.EnableParams; result: Worker.EnableResult};
+  /** Disable Worker domain events. */
+  'Worker.disable': {params: Worker.DisableParams; result: Worker.DisableResult};
+  /** Sent after the frontend has sent all initialization messages and can resume this worker. This command is required to allow execution in the worker. */
+  'Worker.initialized': {params: Worker.InitializedParams; result: Worker.InitializedResult};
+  /** Send an Inspector Protocol message to be dispatched to a Worker's agents. */
+  'Worker.sendMessageToWorker': {params: Worker.SendMessageToWorkerParams; result: Worker.SendMessageToWorkerResult};
+}
+
+/**
+ * The payloads of the protocol events, by their method names.
+ */
+export interface ProtocolEvents {
+  'CPUProfiler.trackingStart': CPUProfiler.TrackingStartEvent;
+  'CPUProfiler.trackingUpdate': CPUProfiler.TrackingUpdateEvent;
+  'CPUProfiler.trackingComplete': CPUProfiler.TrackingCompleteEvent;
+  'Console.messageAdded': Console.MessageAddedEvent;
+  'Console.messageRepeatCountUpdated': Console.MessageRepeatCountUpdatedEvent;
+  'Console.messagesCleared': Console.MessagesClearedEvent;
+  'Console.heapSnapshot': Console.HeapSnapshotEvent;
+  'DOM.documentUpdated': DOM.DocumentUpdatedEvent;
+  'DOM.setChildNodes': DOM.SetChildNodesEvent;
+  'DOM.attributeModified': DOM.AttributeModifiedEvent;
+  'DOM.attributeRemoved': DOM.AttributeRemovedEvent;
+  'DOM.childNodeInserted': DOM.ChildNodeInsertedEvent;
+  'DOM.childNodeRemoved': DOM.ChildNodeRemovedEvent;
+  'DOMStorage.domStorageItemsCleared': DOMStorage.DomStorageItemsClearedEvent;
+  'DOMStorage.domStorageItemRemoved': DOMStorage.DomStorageItemRemovedEvent;
+  'DOMStorage.domStorageItemAdded': DOMStorage.DomStorageItemAddedEvent;
+  'DOMStorage.domStorageItemUpdated': DOMStorage.DomStorageItemUpdatedEvent;
+  'Debugger.globalObjectCleared': Debugger.GlobalObjectClearedEvent;
+  'Debugger.scriptParsed': Debugger.ScriptParsedEvent;
+  'Debugger.scriptFailedToParse': Debugger.ScriptFailedToParseEvent;
+  'Debugger.breakpointResolved': Debugger.BreakpointResolvedEvent;
+  'Debugger.paused': Debugger.PausedEvent;
+  'Debugger.resumed': Debugger.ResumedEvent;
+  'Debugger.didSampleProbe': Debugger.DidSampleProbeEvent;
+  'Debugger.playBreakpointActionSound': Debugger.PlayBreakpointActionSoundEvent;
+  'Heap.garbageCollected': Heap.GarbageCollectedEvent;
+  'Heap.trackingStart': Heap.TrackingStartEvent;
+  'Heap.trackingComplete': Heap.TrackingCompleteEvent;
+  'Inspector.evaluateForTestInFrontend': Inspector.EvaluateForTestInFrontendEvent;
+  'Inspector.inspect': Inspector.InspectEvent;
+  'Memory.memoryPressure': Memory.MemoryPressureEvent;
+  'Memory.trackingStart': Memory.TrackingStartEvent;
+  'Memory.trackingUpdate': Memory.TrackingUpdateEvent;
+  'Memory.trackingComplete': Memory.TrackingCompleteEvent;
+  'Network.requestWillBeSent': Network.RequestWillBeSentEvent;
+  'Network.responseReceived': Network.ResponseReceivedEvent;
+  'Network.dataReceived': Network.DataReceivedEvent;
+  'Network.loadingFinished': Network.LoadingFinishedEvent;
+  'Network.loadingFailed': Network.LoadingFailedEvent;
+  'Network.requestServedFromMemoryCache': Network.RequestServedFromMemoryCacheEvent;
+  'Network.requestIntercepted': Network.RequestInterceptedEvent;
+  'Network.responseIntercepted': Network.ResponseInterceptedEvent;
+  'Network.webSocketWillSendHandshakeRequest': Network.WebSocketWillSendHandshakeRequestEvent;
+  'Network.webSocketHandshakeResponseReceived': Network.WebSocketHandshakeResponseReceivedEvent;
+  'Network.webSocketCreated': Network.WebSocketCreatedEvent;
+  'Network.webSocketClosed': Network.WebSocketClosedEvent;
+  'Network.webSocketFrameReceived': Network.WebSocketFrameReceivedEvent;
+  'Network.webSocketFrameError': Network.WebSocketFrameErrorEvent;
+  'Network.webSocketFrameSent': Network.WebSocketFrameSentEvent;
+  'Page.domContentEventFired': Page.DomContentEventFiredEvent;
+  'Page.loadEventFired': Page.LoadEventFiredEvent;
+  'Page.frameNavigated': Page.FrameNavigatedEvent;
+  'Page.frameDetached': Page.FrameDetachedEvent;
+  'Page.frameStartedLoading': Page.FrameStartedLoadingEvent;
+  'Page.frameStoppedLoading': Page.FrameStoppedLoadingEvent;
+  'Page.frameScheduledNavigation': Page.FrameScheduledNavigationEvent;
+  'Page.frameClearedScheduledNavigation': Page.FrameClearedScheduledNavigationEvent;
+  'Page.defaultUserPreferencesDidChange': Page.DefaultUserPreferencesDidChangeEvent;
+  'Runtime.executionContextCreated': Runtime.ExecutionContextCreatedEvent;
+  'ScriptProfiler.trackingStart': ScriptProfiler.TrackingStartEvent;
+  'ScriptProfiler.trackingUpdate': ScriptProfiler.TrackingUpdateEvent;
+  'ScriptProfiler.trackingComplete': ScriptProfiler.TrackingCompleteEvent;
+  'Target.targetCreated': Target.TargetCreatedEvent;
+  'Target.didCommitProvisionalTarget': Target.DidCommitProvisionalTargetEvent;
+  'Target.targetDestroyed': Target.TargetDestroyedEvent;
+  'Target.dispatchMessageFromTarget': Target.DispatchMessageFromTargetEvent;
+  'Timeline.eventRecorded': Timeline.EventRecordedEvent;
+  'Timeline.recordingStarted': Timeline.RecordingStartedEvent;
+  'Timeline.recordingStopped': Timeline.RecordingStoppedEvent;
+  'Timeline.autoCaptureStarted': Timeline.AutoCaptureStartedEvent;
+}
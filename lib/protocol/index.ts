@@ -1,210 +1,33 @@
+import {util} from '@appium/support';
 import type {StringRecord} from '@appium/types';
 
-import type {RemoteCommandOpts, ProtocolCommandOpts} from '../types.js';
+import type {
+  RemoteCommandOpts,
+  ProtocolCommandOpts,
+  ProtocolAvailability,
+  ProtocolValueSchema,
+  ProtocolParameterSchema,
+} from '../types.js';
+import {ProtocolParamsError, UnsupportedCommandError} from '../utils/errors.js';
+import {IOS_AVAILABILITY, PROTOCOL_COMMANDS} from './generated/schema.js';
+
+export {createProtocolDomains} from './domains.js';
+export type {
+  ProtocolDomain,
+  ProtocolDomainName,
+  ProtocolDomains,
+  ProtocolDomainsBackend,
+  ProtocolEventListener,
+  ProtocolTarget,
+} from './domains.js';
+export type {ProtocolCommands, ProtocolEvents} from './generated/types.js';
 
 const OBJECT_GROUP = 'console';
 
-// See https://github.com/WebKit/webkit/tree/master/Source/JavaScriptCore/inspector/protocol
-const COMMANDS = {
-  // https://github.com/WebKit/WebKit/blob/main/Source/JavaScriptCore/inspector/protocol/Animation.json
-  //#region ANIMATION DOMAIN
-  'Animation.enable': [], // Enables Canvas domain events
-  'Animation.disable': [], // Disables Canvas domain events
-  //#endregion
-
-  // https://github.com/WebKit/WebKit/blob/main/Source/JavaScriptCore/inspector/protocol/ApplicationCache.json
-  //#region APPLICATIONCACHE DOMAIN
-  'ApplicationCache.enable': [],
-  'ApplicationCache.disable': [],
-  'ApplicationCache.getFramesWithManifests': [],
-  //#endregion
-
-  // https://github.com/WebKit/WebKit/blob/main/Source/JavaScriptCore/inspector/protocol/Audit.json
-  //#region AUDIT DOMAIN
-  //#endregion
-
-  // https://github.com/WebKit/WebKit/blob/main/Source/JavaScriptCore/inspector/protocol/Browser.json
-  //#region BROWSER DOMAIN
-  'Browser.enable': [], // Enables Browser domain events. e.g. extentionsEnabled
-  'Browser.disable': [], // Disables Browser domain events
-  //#endregion
-
-  // https://github.com/WebKit/WebKit/blob/main/Source/JavaScriptCore/inspector/protocol/Canvas.json
-  //#region CANVAS DOMAIN
-  'Canvas.enable': [],
-  'Canvas.disable': [],
-  //#endregion
-
-  // https://github.com/WebKit/WebKit/blob/main/Source/JavaScriptCore/inspector/protocol/CPUProfiler.json
-  //#region CPUPROFILER DOMAIN
-  'CPUProfiler.startTracking': [],
-  'CPUProfiler.stopTracking': [],
-  //#endregion
-
-  // https://github.com/WebKit/WebKit/blob/main/Source/JavaScriptCore/inspector/protocol/Console.json
-  //#region CONSOLE DOMAIN
-  'Console.disable': [],
-  'Console.enable': [],
-  'Console.clearMessages': [],
-  'Console.getLoggingChannels': [],
-  'Console.setLoggingChannelLevel': ['source', 'level'],
-  //#endregion
-
-  // https://github.com/WebKit/WebKit/blob/main/Source/JavaScriptCore/inspector/protocol/CSS.json
-  //#region CSS DOMAIN
-  'CSS.enable': [],
-  'CSS.disable': [],
-  //#endregion
-
-  // https://github.com/WebKit/WebKit/blob/main/Source/JavaScriptCore/inspector/protocol/Database.json
-  //#region DATABASE DOMAIN
-  'Database.enable': [],
-  'Database.disable': [],
-  //#endregion
-
-  // https://github.com/WebKit/WebKit/blob/main/Source/JavaScriptCore/inspector/protocol/Debugger.json
-  //#region DEBUGGER DOMAIN
-  'Debugger.enable': [],
-  'Debugger.disable': [],
-  'Debugger.setAsyncStackTraceDepth': ['depth'],
-  'Debugger.setBreakpointsActive': ['active'],
-  'Debugger.setPauseForInternalScripts': ['shouldPause'],
-  'Debugger.setPauseOnAssertions': ['enabled'],
-  'Debugger.setPauseOnExceptions': ['state'],
-  //#endregion
-
-  // https://github.com/WebKit/WebKit/blob/main/Source/JavaScriptCore/inspector/protocol/DOM.json
-  //#region DOM DOMAIN
-  'DOM.getDocument': [],
-  //#endregion
-
-  // https://github.com/WebKit/WebKit/blob/main/Source/JavaScriptCore/inspector/protocol/DOMDebugger.json
-  //#region DOMDEBUGGER DOMAIN
-  //#endregion
-
-  // https://github.com/WebKit/WebKit/blob/main/Source/JavaScriptCore/inspector/protocol/DOMStorage.json
-  //#region DOMSTORAGE DOMAIN
-  'DOMStorage.enable': [],
-  'DOMStorage.disable': [],
-  'DOMStorage.getDOMStorageItems': ['storageId'],
-  'DOMStorage.clearDOMStorageItems': ['storageId'],
-
-  //#endregion
-
-  // https://github.com/WebKit/WebKit/blob/main/Source/JavaScriptCore/inspector/protocol/Heap.json
-  //#region HEAP DOMAIN
-  'Heap.enable': [],
-  'Heap.disable': [],
-  'Heap.gc': [],
-  //#endregion
-
-  // https://github.com/WebKit/WebKit/blob/main/Source/JavaScriptCore/inspector/protocol/IndexedDB.json
-  //#region INDEXEDDB DOMAIN
-  'IndexedDB.enable': [],
-  'IndexedDB.disable': [],
-  //#endregion
-
-  // https://github.com/WebKit/WebKit/blob/main/Source/JavaScriptCore/inspector/protocol/Inspector.json
-  //#region INSPECTOR DOMAIN
-  'Inspector.enable': [],
-  'Inspector.disable': [],
-  'Inspector.initialized': [],
-  //#endregion
-
-  // https://github.com/WebKit/WebKit/blob/main/Source/JavaScriptCore/inspector/protocol/LayerTree.json
-  //#region LAYERTREE DOMAIN
-  'LayerTree.enable': [],
-  'LayerTree.disable': [],
-  //#endregion
-
-  // https://github.com/WebKit/WebKit/blob/main/Source/JavaScriptCore/inspector/protocol/Memory.json
-  //#region MEMORY DOMAIN
-  'Memory.enable': [],
-  'Memory.disable': [],
-  //#endregion
-
-  // https://github.com/WebKit/WebKit/blob/main/Source/JavaScriptCore/inspector/protocol/Network.json
-  //#region NETWORK DOMAIN
-  'Network.disable': [],
-  'Network.enable': [],
-  'Network.setExtraHTTPHeaders': ['headers'],
-  'Network.setResourceCachingDisabled': ['disabled'],
-  'Network.setEmulatedConditions': ['bytesPerSecondLimit'],
-  //#endregion
-
-  // https://github.com/WebKit/WebKit/blob/main/Source/JavaScriptCore/inspector/protocol/Page.json
-  //#region PAGE DOMAIN
-  'Page.enable': [],
-  'Page.disable': [],
-  'Page.reload': ['ignoreCache', 'revalidateAllResources'],
-  'Page.overrideUserAgent': ['value'],
-  'Page.overrideSetting': ['setting', 'value'],
-  'Page.overrideUserPreference': ['name', 'value'],
-  'Page.getCookies': [],
-  'Page.setCookie': ['cookie'],
-  'Page.deleteCookie': ['cookieName', 'url'],
-  'Page.getResourceTree': [],
-  'Page.getResourceContent': ['frameId', 'url'],
-  'Page.searchInResource': ['frameId', 'url', 'query', 'caseSensitive', 'isRegex', 'requestId'],
-  'Page.searchInResources': ['text', 'caseSensitive', 'isRegex'],
-  'Page.setShowRulers': ['result'],
-  'Page.setShowPaintRects': ['result'],
-  'Page.setEmulatedMedia': ['media'],
-  'Page.snapshotNode': ['nodeId'],
-  'Page.snapshotRect': ['x', 'y', 'width', 'height', 'coordinateSystem'],
-  'Page.archive': ['data'],
-  'Page.setScreenSizeOverride': ['width', 'height'],
-
-  //#endregion
-
-  // https://github.com/WebKit/WebKit/blob/main/Source/JavaScriptCore/inspector/protocol/Runtime.json
-  //#region RUNTIME DOMAIN
-  'Runtime.awaitPromise': ['promiseObjectId', 'returnByValue', 'generatePreview', 'saveResult'],
-  'Runtime.callFunctionOn': ['objectId', 'functionDeclaration', 'arguments', 'returnByValue'],
-  'Runtime.evaluate': ['expression', 'returnByValue', 'contextId'],
-  'Runtime.enable': [],
-  'Runtime.disable': [],
-  //#endregion
-
-  // https://github.com/WebKit/WebKit/blob/main/Source/JavaScriptCore/inspector/protocol/ScriptProfiler.json
-  //#region SCRIPTPROFILER DOMAIN
-  //#endregion
-
-  // https://github.com/WebKit/WebKit/blob/main/Source/JavaScriptCore/inspector/protocol/ServiceWorker.json
-  //#region SERVICEWORKER DOMAIN
-  'ServiceWorker.getInitializationInfo': [], // returns '{ "name": "info", "$ref": "Configuration" }'
-  //#endregion
-
-  // https://github.com/WebKit/WebKit/blob/main/Source/JavaScriptCore/inspector/protocol/Target.json
-  //#region TARGET DOMAIN
-  'Target.exists': [], // removed since WebKit in 13.4
-  'Target.setPauseOnStart': ['pauseOnStart'],
-  'Target.resume': ['targetId'],
-  //#endregion
-
-  // https://github.com/WebKit/WebKit/blob/main/Source/JavaScriptCore/inspector/protocol/Timeline.json
-  //#region TIMELINE DOMAIN
-  'Timeline.enable': [],
-  'Timeline.disable': [],
-  'Timeline.start': [],
-  'Timeline.stop': [],
-  'Timeline.setAutoCaptureEnabled': ['enabled'],
-  'Timeline.setInstruments': ['instruments'],
-  //#endregion
-
-  // https://github.com/WebKit/WebKit/blob/main/Source/JavaScriptCore/inspector/protocol/Worker.json
-  //#region WORKER DOMAIN
-  'Worker.enable': [],
-  'Worker.disable': [],
-  'Worker.initialized': ['workerId'],
-  'Worker.sendMessageToWorker': ['workerId', 'message'],
-  //#endregion
-} as const;
-
 /**
  * Generates a protocol command object based on the command name and options.
- * Extracts only the parameters that are defined for the specific command in the
- * WebKit Inspector protocol specification.
+ * The parameters of the command, as defined in the WebKit Inspector protocol
+ * schemas (see inspector/protocol), are taken from the options.
  *
  * @param id - The command identifier.
  * @param method - The protocol method name (e.g., 'Page.reload', 'Runtime.evaluate').
@@ -213,7 +36,7 @@ const COMMANDS = {
  *                 with default values (objectGroup, includeCommandLineAPI, etc.).
  *                 If true, only the specified parameters are included.
  * @returns A ProtocolCommandOpts object with id, method, and params.
- * @throws Error if the command method is unknown.
+ * @throws Error if the method is not defined in the schemas.
  */
 export function getProtocolCommand(
   id: string,
@@ -221,13 +44,15 @@ export function getProtocolCommand(
   opts: RemoteCommandOpts,
   direct: boolean = false,
 ): ProtocolCommandOpts {
-  const paramNames = COMMANDS[method as keyof typeof COMMANDS];
-  if (!paramNames) {
+  const schema = PROTOCOL_COMMANDS[method];
+  if (!schema) {
     throw new Error(`Unknown command: '${method}'`);
   }
 
-  const params: StringRecord = (paramNames as readonly string[]).reduce(function (acc: StringRecord, name: string) {
-    acc[name] = opts[name];
+  const params: StringRecord = schema.parameters.reduce(function (acc: StringRecord, {name}) {
+    if (opts[name] !== undefined) {
+      acc[name] = opts[name];
+    }
     return acc;
   }, {} as StringRecord);
   const result: ProtocolCommandOpts = {
@@ -248,3 +73,97 @@ export function getProtocolCommand(
   }
   return result;
 }
+
+/**
+ * Checks whether a protocol command is supported on an iOS version, according to
+ * the iOS versions its domain and itself are available in. These are found in
+ * the protocol snapshots of the iOS versions (see inspector/versions).
+ *
+ * @param method - The protocol method name (e.g., 'Network.addInterception').
+ * @param platformVersion - The iOS version. Nothing is checked if it is unknown.
+ * @param availability - The iOS versions of the domains and the commands, by their names.
+ * @throws UnsupportedCommandError if the command is not supported on this iOS version.
+ */
+export function assertCommandSupported(
+  method: string,
+  platformVersion?: string,
+  availability: Readonly<Record<string, ProtocolAvailability>> = IOS_AVAILABILITY,
+): void {
+  if (!platformVersion) {
+    return;
+  }
+  const [domain] = method.split('.');
+  for (const [name, range] of [
+    [domain, availability[domain]],
+    [method, availability[method]],
+  ] as [string, ProtocolAvailability | undefined][]) {
+    const {since, until} = range ?? {};
+    if (since && util.compareVersions(platformVersion, '<', since)) {
+      throw new UnsupportedCommandError(
+        `'${method}' is not supported on iOS ${platformVersion}: '${name}' needs iOS ${since} or newer`,
+      );
+    }
+    if (until && util.compareVersions(platformVersion, '>=', until)) {
+      throw new UnsupportedCommandError(
+        `'${method}' is not supported on iOS ${platformVersion}: '${name}' has been removed in iOS ${until}`,
+      );
+    }
+  }
+}
+
+/**
+ * Checks the parameters of a protocol command against its schema: the required
+ * parameters must be present, and the values must have the types and the enumerated
+ * values of the schema. Nested objects are not checked.
+ *
+ * @param method - The protocol method name (e.g., 'Network.getResponseBody').
+ * @param params - The parameters of the command. Other properties are ignored.
+ * @throws ProtocolParamsError if a parameter is missing or does not match its schema.
+ */
+export function validateProtocolParams(method: string, params: StringRecord): void {
+  for (const parameter of PROTOCOL_COMMANDS[method]?.parameters ?? []) {
+    const value = params[parameter.name];
+    if (value === undefined || value === null) {
+      if (!parameter.optional) {
+        throw new ProtocolParamsError(`'${method}' needs the '${parameter.name}' parameter`);
+      }
+      continue;
+    }
+    const mismatch = describeMismatch(parameter, value);
+    if (mismatch) {
+      throw new ProtocolParamsError(`The '${parameter.name}' parameter of '${method}' ${mismatch}`);
+    }
+  }
+}
+
+function describeMismatch(schema: ProtocolValueSchema | ProtocolParameterSchema, value: any): string | undefined {
+  if (!hasType(schema.type, value)) {
+    return `must be ${/^[aeiou]/.test(schema.type) ? 'an' : 'a'} ${schema.type}, got ${JSON.stringify(value)}`;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return `must be one of ${schema.enum.map((item) => `'${item}'`).join(', ')}, got ${JSON.stringify(value)}`;
+  }
+  if (schema.type === 'array' && schema.items) {
+    for (const [index, item] of (value as any[]).entries()) {
+      const mismatch = describeMismatch(schema.items, item);
+      if (mismatch) {
+        return `has an invalid item at index ${index}: it ${mismatch}`;
+      }
+    }
+  }
+}
+
+function hasType(type: ProtocolValueSchema['type'], value: any): boolean {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value);
+    case 'object':
+      return util.isPlainObject(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'any':
+      return true;
+    default:
+      return typeof value === type;
+  }
+}
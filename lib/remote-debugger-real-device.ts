@@ -22,6 +22,10 @@ export class RemoteDebuggerRealDevice extends RemoteDebugger {
   }
 
   override async initRpcClient(): Promise<void> {
+    if (this._sessionReplayPath) {
+      return await super.initRpcClient();
+    }
+
     const commonOpts = {
       bundleId: this._bundleId,
       platformVersion: this._platformVersion,
@@ -33,6 +37,9 @@ export class RemoteDebuggerRealDevice extends RemoteDebugger {
       udid: this._udid,
       pageLoadTimeoutMs: this._pageLoadMs,
       targetCreationTimeoutMs: this._targetCreationTimeoutMs,
+      sessionRecordingPath: this._sessionRecordingPath,
+      validateProtocolParams: this._validateProtocolParams,
+      checkCommandAvailability: this._checkCommandAvailability,
     };
 
     this._useWebInspectorShim = canUseWebInspectorShim(this._platformVersion);
@@ -1,20 +1,38 @@
 import {EventEmitter} from 'node:events';
 
 import type {AppiumLogger, StringRecord} from '@appium/types';
+import AsyncLock from 'async-lock';
 import type {CancellablePromise} from 'asyncbox';
 
 import {log as defaultLog} from './logger.js';
+import {ConsoleCollector} from './console/index.js';
 import * as connectMixins from './mixins/connect.js';
+import * as consoleMixins from './mixins/console.js';
 import * as cookieMixins from './mixins/cookies.js';
+import * as debuggerMixins from './mixins/debugger.js';
+import * as domMixins from './mixins/dom.js';
+import * as emulationMixins from './mixins/emulation.js';
+import type {Emulation} from './mixins/emulation.js';
 import * as eventMixins from './mixins/events.js';
 import * as executeMixins from './mixins/execute.js';
+import * as memoryMixins from './mixins/memory.js';
+import type {HeapTracking, MemoryTracking} from './mixins/memory.js';
 import * as messageHandlerMixins from './mixins/message-handlers.js';
 import * as miscellaneousMixins from './mixins/misc.js';
 import * as navigationMixins from './mixins/navigate.js';
+import * as networkMixins from './mixins/network.js';
+import * as pageMixins from './mixins/pages.js';
 import * as screenshotMixins from './mixins/screenshot.js';
-import {RpcClientSimulator} from './rpc/index.js';
+import * as storageMixins from './mixins/storage.js';
+import * as tracingMixins from './mixins/tracing.js';
+import type {TracingSession} from './mixins/tracing.js';
+import {RpcClientReplay, RpcClientSimulator} from './rpc/index.js';
+import type {DebuggerSession} from './debugger/index.js';
+import type {Interception, NetworkRecorder} from './network/index.js';
+import type {RemotePage} from './remote-page.js';
 import type {RpcClient} from './rpc/rpc-client.js';
-import type {RemoteDebuggerOptions, AppDict, EventListener, PageIdKey, AppIdKey} from './types.js';
+import type {TraceRecorder} from './tracing/index.js';
+import type {RemoteDebuggerOptions, AppDict, EventListener, PageIdKey, AppIdKey, ReconnectOptions} from './types.js';
 import {getModuleProperties} from './utils/index.js';
 
 export const REMOTE_DEBUGGER_PORT = 27753;
@@ -25,6 +43,8 @@ export class RemoteDebugger extends EventEmitter {
   // events
   static readonly EVENT_PAGE_CHANGE: string;
   static readonly EVENT_DISCONNECT: string;
+  static readonly EVENT_RECONNECT: string;
+  static readonly EVENT_RECONNECT_ERROR: string;
   static readonly EVENT_FRAMES_DETACHED: string;
 
   // methods
@@ -40,21 +60,71 @@ export class RemoteDebugger extends EventEmitter {
   selectApp = connectMixins.selectApp;
   connect = connectMixins.connect;
   selectPage = connectMixins.selectPage;
+  page = pageMixins.page;
+  getPages = pageMixins.getPages;
   navToUrl = navigationMixins.navToUrl;
   getCookies = cookieMixins.getCookies;
   setCookie = cookieMixins.setCookie;
   deleteCookie = cookieMixins.deleteCookie;
+  getAllCookies = cookieMixins.getAllCookies;
+  deleteAllCookies = cookieMixins.deleteAllCookies;
+  exportCookies = cookieMixins.exportCookies;
+  importCookies = cookieMixins.importCookies;
   captureScreenshot = screenshotMixins.captureScreenshot;
+  captureElementScreenshot = screenshotMixins.captureElementScreenshot;
+  getStorageState = storageMixins.getStorageState;
+  setStorageState = storageMixins.setStorageState;
   addClientEventListener = eventMixins.addClientEventListener;
   removeClientEventListener = eventMixins.removeClientEventListener;
   startConsole = eventMixins.startConsole;
   stopConsole = eventMixins.stopConsole;
   startNetwork = eventMixins.startNetwork;
   stopNetwork = eventMixins.stopNetwork;
+  getConsoleLogs = consoleMixins.getConsoleLogs;
+  clearConsoleLogs = consoleMixins.clearConsoleLogs;
+  getParsedScripts = debuggerMixins.getParsedScripts;
+  getScriptSource = debuggerMixins.getScriptSource;
+  setBreakpoint = debuggerMixins.setBreakpoint;
+  removeBreakpoint = debuggerMixins.removeBreakpoint;
+  getBreakpoints = debuggerMixins.getBreakpoints;
+  pauseExecution = debuggerMixins.pauseExecution;
+  resumeExecution = debuggerMixins.resumeExecution;
+  stepOver = debuggerMixins.stepOver;
+  stepInto = debuggerMixins.stepInto;
+  stepOut = debuggerMixins.stepOut;
+  getPausedState = debuggerMixins.getPausedState;
+  waitForPause = debuggerMixins.waitForPause;
+  evaluateOnCallFrame = debuggerMixins.evaluateOnCallFrame;
+  getScopeVariables = debuggerMixins.getScopeVariables;
+  querySelector = domMixins.querySelector;
+  querySelectorAll = domMixins.querySelectorAll;
+  getOuterHTML = domMixins.getOuterHTML;
+  getAttributes = domMixins.getAttributes;
+  resolveNode = domMixins.resolveNode;
+  requestNode = domMixins.requestNode;
+  highlightNode = domMixins.highlightNode;
+  hideHighlight = domMixins.hideHighlight;
+  snapshotNode = domMixins.snapshotNode;
+  startHarCapture = networkMixins.startHarCapture;
+  stopHarCapture = networkMixins.stopHarCapture;
+  addInterception = networkMixins.addInterception;
+  removeInterception = networkMixins.removeInterception;
+  removeAllInterceptions = networkMixins.removeAllInterceptions;
   launchSafari = miscellaneousMixins.launchSafari;
   startTimeline = miscellaneousMixins.startTimeline;
   stopTimeline = miscellaneousMixins.stopTimeline;
+  startTracing = tracingMixins.startTracing;
+  stopTracing = tracingMixins.stopTracing;
+  getPerformanceMetrics = tracingMixins.getPerformanceMetrics;
+  takeHeapSnapshot = memoryMixins.takeHeapSnapshot;
+  startHeapTracking = memoryMixins.startHeapTracking;
+  stopHeapTracking = memoryMixins.stopHeapTracking;
+  startMemoryTracking = memoryMixins.startMemoryTracking;
+  stopMemoryTracking = memoryMixins.stopMemoryTracking;
   overrideUserAgent = miscellaneousMixins.overrideUserAgent;
+  emulate = emulationMixins.emulate;
+  getEmulation = emulationMixins.getEmulation;
+  resetEmulation = emulationMixins.resetEmulation;
   garbageCollect = miscellaneousMixins.garbageCollect;
   isJavascriptExecutionBlocked = miscellaneousMixins.isJavascriptExecutionBlocked;
 
@@ -66,6 +136,11 @@ export class RemoteDebugger extends EventEmitter {
   onAppUpdate = messageHandlerMixins.onAppUpdate;
   onConnectedDriverList = messageHandlerMixins.onConnectedDriverList;
   onCurrentState = messageHandlerMixins.onCurrentState;
+  onConsoleEvent = consoleMixins.onConsoleEvent;
+  onDebuggerEvent = debuggerMixins.onDebuggerEvent;
+  onDocumentUpdated = domMixins.onDocumentUpdated;
+  onTargetEvent = pageMixins.onTargetEvent;
+  onConnectionLost = connectMixins.onConnectionLost;
   frameDetached = navigationMixins.frameDetached;
 
   protected _skippedApps: string[];
@@ -76,7 +151,21 @@ export class RemoteDebugger extends EventEmitter {
   protected _connectedDrivers?: StringRecord[];
   protected _currentState?: string;
   protected _pageLoadDelay?: CancellablePromise<void>;
+  protected readonly _consoleCollector: ConsoleCollector;
+  protected _debuggerSessions: StringRecord<DebuggerSession> = {};
+  protected _documentNodeIds: StringRecord<number> = {};
+  protected _emulations: StringRecord<Emulation> = {};
+  protected _pageHandles: StringRecord<RemotePage> = {};
+  protected _networkRecorder?: {recorder: NetworkRecorder; listener: EventListener};
+  protected _interceptions: Interception[] = [];
+  protected readonly _interceptionLock: AsyncLock = new AsyncLock();
+  protected _tracingSessions: StringRecord<TracingSession> = {};
+  protected _lastTraceRecorders: StringRecord<TraceRecorder> = {};
+  protected _heapTrackings: StringRecord<HeapTracking> = {};
+  protected _memoryTrackings: StringRecord<MemoryTracking> = {};
+  protected _interceptionListeners?: StringRecord<EventListener>;
   protected _rpcClient: RpcClient | null = null;
+  protected _reconnection?: {aborted: boolean};
   protected _pageLoading: boolean = false;
   protected _navigatingToPage: boolean = false;
   protected _allowNavigationWithoutReload: boolean;
@@ -101,6 +190,11 @@ export class RemoteDebugger extends EventEmitter {
   protected readonly _webInspectorMaxFrameLength?: number;
   protected readonly _fullPageInitialization?: boolean;
   protected readonly _targetCreationTimeoutMs?: number;
+  protected readonly _sessionRecordingPath?: string;
+  protected readonly _sessionReplayPath?: string;
+  protected readonly _reconnectOptions?: ReconnectOptions;
+  protected readonly _validateProtocolParams?: boolean;
+  protected readonly _checkCommandAvailability?: boolean;
 
   constructor(opts: RemoteDebuggerOptions = {}) {
     super();
@@ -130,6 +224,12 @@ export class RemoteDebugger extends EventEmitter {
       fullPageInitialization,
       pageLoadStrategy,
       targetCreationTimeoutMs,
+      sessionRecordingPath,
+      sessionReplayPath,
+      consoleBufferSize,
+      reconnect,
+      validateProtocolParams,
+      checkCommandAvailability,
     } = opts;
 
     this._bundleId = bundleId;
@@ -159,9 +259,15 @@ export class RemoteDebugger extends EventEmitter {
 
     this._fullPageInitialization = fullPageInitialization;
     this._targetCreationTimeoutMs = targetCreationTimeoutMs;
+    this._sessionRecordingPath = sessionRecordingPath;
+    this._sessionReplayPath = sessionReplayPath;
+    this._reconnectOptions = reconnect;
+    this._validateProtocolParams = validateProtocolParams;
+    this._checkCommandAvailability = checkCommandAvailability;
 
     this._pageLoadStrategy = pageLoadStrategy;
     this._skippedApps = [];
+    this._consoleCollector = new ConsoleCollector({maxEntries: consoleBufferSize, log: this.log});
 
     this.setup();
   }
@@ -225,6 +331,17 @@ export class RemoteDebugger extends EventEmitter {
     this._currentState = undefined;
     this._connectedDrivers = undefined;
     this._pageLoadDelay = undefined;
+    this._debuggerSessions = {};
+    this._documentNodeIds = {};
+    this._emulations = {};
+    this._pageHandles = {};
+    this._networkRecorder = undefined;
+    this._tracingSessions = {};
+    this._lastTraceRecorders = {};
+    this._heapTrackings = {};
+    this._memoryTrackings = {};
+    this._interceptions = [];
+    this._interceptionListeners = undefined;
 
     this._rpcClient = null;
     this._clientEventListeners = {};
@@ -242,6 +359,8 @@ export class RemoteDebugger extends EventEmitter {
 
     for (const evt of [
       RemoteDebugger.EVENT_DISCONNECT,
+      RemoteDebugger.EVENT_RECONNECT,
+      RemoteDebugger.EVENT_RECONNECT_ERROR,
       RemoteDebugger.EVENT_PAGE_CHANGE,
       RemoteDebugger.EVENT_FRAMES_DETACHED,
     ]) {
@@ -250,6 +369,21 @@ export class RemoteDebugger extends EventEmitter {
   }
 
   async initRpcClient(): Promise<void> {
+    if (this._sessionReplayPath) {
+      this._rpcClient = new RpcClientReplay({
+        bundleId: this._bundleId,
+        platformVersion: this._platformVersion,
+        isSafari: this._isSafari,
+        fullPageInitialization: this._fullPageInitialization,
+        pageLoadTimeoutMs: this._pageLoadMs,
+        targetCreationTimeoutMs: this._targetCreationTimeoutMs,
+        replayPath: this._sessionReplayPath,
+        validateProtocolParams: this._validateProtocolParams,
+        checkCommandAvailability: this._checkCommandAvailability,
+      });
+      return;
+    }
+
     this._rpcClient = new RpcClientSimulator({
       bundleId: this._bundleId,
       platformVersion: this._platformVersion,
@@ -264,6 +398,9 @@ export class RemoteDebugger extends EventEmitter {
       webInspectorMaxFrameLength: this._webInspectorMaxFrameLength,
       pageLoadTimeoutMs: this._pageLoadMs,
       targetCreationTimeoutMs: this._targetCreationTimeoutMs,
+      sessionRecordingPath: this._sessionRecordingPath,
+      validateProtocolParams: this._validateProtocolParams,
+      checkCommandAvailability: this._checkCommandAvailability,
     });
   }
 }
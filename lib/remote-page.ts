@@ -0,0 +1,218 @@
+import {EventEmitter} from 'node:events';
+import {types} from 'node:util';
+
+import type {ConsoleLogEntry, ConsoleLogsFilter} from './console/index.js';
+import type {RemoteDebugger} from './remote-debugger.js';
+import type {AppIdKey, PageIdKey} from './types.js';
+import {ConnectionLostError} from './utils/index.js';
+
+/**
+ * The `RemoteDebugger` operations which only deal with a single page.
+ */
+export const PAGE_SCOPED_METHODS = [
+  'execute',
+  'executeAtom',
+  'executeAtomAsync',
+  'checkPageIsReady',
+  'cancelPageLoad',
+  'waitForDom',
+  'navToUrl',
+  'getCookies',
+  'setCookie',
+  'deleteCookie',
+  'getAllCookies',
+  'deleteAllCookies',
+  'exportCookies',
+  'importCookies',
+  'captureScreenshot',
+  'captureElementScreenshot',
+  'getStorageState',
+  'setStorageState',
+  'getParsedScripts',
+  'getScriptSource',
+  'setBreakpoint',
+  'removeBreakpoint',
+  'getBreakpoints',
+  'pauseExecution',
+  'resumeExecution',
+  'stepOver',
+  'stepInto',
+  'stepOut',
+  'getPausedState',
+  'waitForPause',
+  'evaluateOnCallFrame',
+  'getScopeVariables',
+  'querySelector',
+  'querySelectorAll',
+  'getOuterHTML',
+  'getAttributes',
+  'resolveNode',
+  'requestNode',
+  'highlightNode',
+  'hideHighlight',
+  'snapshotNode',
+  'startTimeline',
+  'stopTimeline',
+  'startTracing',
+  'stopTracing',
+  'getPerformanceMetrics',
+  'takeHeapSnapshot',
+  'startHeapTracking',
+  'stopHeapTracking',
+  'startMemoryTracking',
+  'stopMemoryTracking',
+  'overrideUserAgent',
+  'emulate',
+  'getEmulation',
+  'resetEmulation',
+  'garbageCollect',
+  'isJavascriptExecutionBlocked',
+] as const satisfies readonly (keyof RemoteDebugger)[];
+
+export type PageScopedMethod = (typeof PAGE_SCOPED_METHODS)[number];
+
+type PageScopedApi = {[K in PageScopedMethod]: OmitThisParameter<RemoteDebugger[K]>};
+
+/**
+ * A handle to a single page of an inspected application. It exposes the page-level
+ * operations of `RemoteDebugger`, scoped to that page, so several pages could be
+ * driven at once without switching the selected page.
+ *
+ * The handle emits the protocol events of its page under their names,
+ * e.g. 'Console.messageAdded' or 'Page.loadEventFired', with the event parameters.
+ *
+ * Handles are detached when the debugger reconnects to the Web Inspector, because the pages
+ * are reported again and might get new identifiers. The operations of a detached handle fail
+ * with `ConnectionLostError`, so a new handle must be requested with `page()`.
+ */
+export class RemotePage extends EventEmitter implements PageScopedApi {
+  readonly appIdKey: AppIdKey;
+  readonly pageIdKey: PageIdKey;
+  protected readonly _remoteDebugger: RemoteDebugger;
+  protected _detached: boolean = false;
+
+  // the operations are bound in the constructor
+  declare readonly execute: PageScopedApi['execute'];
+  declare readonly executeAtom: PageScopedApi['executeAtom'];
+  declare readonly executeAtomAsync: PageScopedApi['executeAtomAsync'];
+  declare readonly checkPageIsReady: PageScopedApi['checkPageIsReady'];
+  declare readonly cancelPageLoad: PageScopedApi['cancelPageLoad'];
+  declare readonly waitForDom: PageScopedApi['waitForDom'];
+  declare readonly navToUrl: PageScopedApi['navToUrl'];
+  declare readonly getCookies: PageScopedApi['getCookies'];
+  declare readonly setCookie: PageScopedApi['setCookie'];
+  declare readonly deleteCookie: PageScopedApi['deleteCookie'];
+  declare readonly getAllCookies: PageScopedApi['getAllCookies'];
+  declare readonly deleteAllCookies: PageScopedApi['deleteAllCookies'];
+  declare readonly exportCookies: PageScopedApi['exportCookies'];
+  declare readonly importCookies: PageScopedApi['importCookies'];
+  declare readonly captureScreenshot: PageScopedApi['captureScreenshot'];
+  declare readonly captureElementScreenshot: PageScopedApi['captureElementScreenshot'];
+  declare readonly getStorageState: PageScopedApi['getStorageState'];
+  declare readonly setStorageState: PageScopedApi['setStorageState'];
+  declare readonly getParsedScripts: PageScopedApi['getParsedScripts'];
+  declare readonly getScriptSource: PageScopedApi['getScriptSource'];
+  declare readonly setBreakpoint: PageScopedApi['setBreakpoint'];
+  declare readonly removeBreakpoint: PageScopedApi['removeBreakpoint'];
+  declare readonly getBreakpoints: PageScopedApi['getBreakpoints'];
+  declare readonly pauseExecution: PageScopedApi['pauseExecution'];
+  declare readonly resumeExecution: PageScopedApi['resumeExecution'];
+  declare readonly stepOver: PageScopedApi['stepOver'];
+  declare readonly stepInto: PageScopedApi['stepInto'];
+  declare readonly stepOut: PageScopedApi['stepOut'];
+  declare readonly getPausedState: PageScopedApi['getPausedState'];
+  declare readonly waitForPause: PageScopedApi['waitForPause'];
+  declare readonly evaluateOnCallFrame: PageScopedApi['evaluateOnCallFrame'];
+  declare readonly getScopeVariables: PageScopedApi['getScopeVariables'];
+  declare readonly querySelector: PageScopedApi['querySelector'];
+  declare readonly querySelectorAll: PageScopedApi['querySelectorAll'];
+  declare readonly getOuterHTML: PageScopedApi['getOuterHTML'];
+  declare readonly getAttributes: PageScopedApi['getAttributes'];
+  declare readonly resolveNode: PageScopedApi['resolveNode'];
+  declare readonly requestNode: PageScopedApi['requestNode'];
+  declare readonly highlightNode: PageScopedApi['highlightNode'];
+  declare readonly hideHighlight: PageScopedApi['hideHighlight'];
+  declare readonly snapshotNode: PageScopedApi['snapshotNode'];
+  declare readonly startTimeline: PageScopedApi['startTimeline'];
+  declare readonly stopTimeline: PageScopedApi['stopTimeline'];
+  declare readonly startTracing: PageScopedApi['startTracing'];
+  declare readonly stopTracing: PageScopedApi['stopTracing'];
+  declare readonly getPerformanceMetrics: PageScopedApi['getPerformanceMetrics'];
+  declare readonly takeHeapSnapshot: PageScopedApi['takeHeapSnapshot'];
+  declare readonly startHeapTracking: PageScopedApi['startHeapTracking'];
+  declare readonly stopHeapTracking: PageScopedApi['stopHeapTracking'];
+  declare readonly startMemoryTracking: PageScopedApi['startMemoryTracking'];
+  declare readonly stopMemoryTracking: PageScopedApi['stopMemoryTracking'];
+  declare readonly overrideUserAgent: PageScopedApi['overrideUserAgent'];
+  declare readonly emulate: PageScopedApi['emulate'];
+  declare readonly getEmulation: PageScopedApi['getEmulation'];
+  declare readonly resetEmulation: PageScopedApi['resetEmulation'];
+  declare readonly garbageCollect: PageScopedApi['garbageCollect'];
+  declare readonly isJavascriptExecutionBlocked: PageScopedApi['isJavascriptExecutionBlocked'];
+
+  /**
+   * @param remoteDebugger - The debugger the page belongs to.
+   * @param appIdKey - The application identifier key.
+   * @param pageIdKey - The page identifier key.
+   */
+  constructor(remoteDebugger: RemoteDebugger, appIdKey: AppIdKey, pageIdKey: PageIdKey) {
+    super();
+    this.appIdKey = appIdKey;
+    this.pageIdKey = pageIdKey;
+    this._remoteDebugger = remoteDebugger;
+
+    // mixins read the page from the instance they are called on, so they are called on
+    // a view of the debugger which has its own page and page loading state
+    const context: RemoteDebugger = Object.create(remoteDebugger, {
+      _appIdKey: {value: appIdKey, writable: true},
+      _pageIdKey: {value: pageIdKey, writable: true},
+      _pageLoading: {value: false, writable: true},
+      _navigatingToPage: {value: false, writable: true},
+      _pageLoadDelay: {value: undefined, writable: true},
+    });
+    for (const name of PAGE_SCOPED_METHODS) {
+      const method = remoteDebugger[name] as (...args: any[]) => any;
+      const isAsync = types.isAsyncFunction(method);
+      (this as any)[name] = (...args: any[]) => {
+        if (this._detached) {
+          const err = new ConnectionLostError(
+            `The handle to page '${pageIdKey}' of app '${appIdKey}' has been detached by a reconnection. ` +
+              `Get a new handle with page()`,
+          );
+          if (isAsync) {
+            return Promise.reject(err);
+          }
+          throw err;
+        }
+        return method.apply(context, args);
+      };
+    }
+  }
+
+  /**
+   * Whether the handle has been detached from its page by a reconnection.
+   */
+  get isDetached(): boolean {
+    return this._detached;
+  }
+
+  /**
+   * Detaches the handle from its page, so that its operations fail from now on.
+   * Called by the debugger once the connection has been re-established.
+   */
+  detach(): void {
+    this._detached = true;
+  }
+
+  /**
+   * Gets the console messages collected from this page.
+   *
+   * @param filter - Criteria the returned messages must match.
+   * @returns The matching messages, from the oldest to the newest.
+   */
+  getConsoleLogs(filter: ConsoleLogsFilter = {}): ConsoleLogEntry[] {
+    return this._remoteDebugger
+      .getConsoleLogs(filter)
+      .filter(({appIdKey, pageIdKey}) => appIdKey === this.appIdKey && String(pageIdKey) === String(this.pageIdKey));
+  }
+}
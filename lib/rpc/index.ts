@@ -1,3 +1,4 @@
 export {RpcClientSimulator} from './rpc-client-simulator.js';
 export {RpcClientRealDevice} from './rpc-client-real-device.js';
 export {RpcClientRealDeviceShim} from './rpc-client-real-device-shim.js';
+export {RpcClientReplay} from './rpc-client-replay.js';
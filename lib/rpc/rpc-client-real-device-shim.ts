@@ -69,11 +69,10 @@ export class RpcClientRealDeviceShim extends RpcClient {
    * Closes the service connection and cleans up resources.
    */
   override async disconnect(): Promise<void> {
-    if (!this.isConnected) {
-      return;
+    if (this.isConnected) {
+      log.debug('Disconnecting from WebInspector shim service');
     }
-
-    log.debug('Disconnecting from WebInspector shim service');
+    // the listeners and the recorder are cleaned up after a connection loss as well
     await super.disconnect();
 
     // Stop the message listener
@@ -133,7 +132,7 @@ export class RpcClientRealDeviceShim extends RpcClient {
    */
   override async receive(data: any): Promise<void> {
     if (this.isConnected && data) {
-      await this.messageHandler.handleMessage(data);
+      await this.handleReceivedMessage(data);
     }
   }
 
@@ -165,7 +164,12 @@ export class RpcClientRealDeviceShim extends RpcClient {
           log.error('Error in shim message listener', err);
         }
       } finally {
+        // the listener only stops by itself if the service has gone away
+        const isUnexpectedStop = this.isListening;
         this.isListening = false;
+        if (isUnexpectedStop && this.isConnected) {
+          this.handleConnectionLost('the shim message listener has stopped');
+        }
       }
     })();
   }
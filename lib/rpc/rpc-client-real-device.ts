@@ -30,6 +30,7 @@ export class RpcClientRealDevice extends RpcClient {
 
     this.service.listenMessage(this.receive.bind(this));
     this.isConnected = true;
+    this.watchServiceSocket();
   }
 
   /**
@@ -37,11 +38,10 @@ export class RpcClientRealDevice extends RpcClient {
    * Closes the service connection and cleans up resources.
    */
   override async disconnect(): Promise<void> {
-    if (!this.isConnected) {
-      return;
+    if (this.isConnected) {
+      log.debug('Disconnecting from remote debugger');
     }
-
-    log.debug('Disconnecting from remote debugger');
+    // the listeners and the recorder are cleaned up after a connection loss as well
     await super.disconnect();
     this.service?.close();
     this.isConnected = false;
@@ -59,6 +59,30 @@ export class RpcClientRealDevice extends RpcClient {
     this.service.sendMessage(cmd);
   }
 
+  /**
+   * Reports the connection as lost when the socket of the Web Inspector service goes away,
+   * e.g. when the device is unplugged or usbmuxd is restarted.
+   */
+  protected watchServiceSocket(): void {
+    const socket = this.service?._socketClient;
+    if (!socket) {
+      log.debug('The Web Inspector service has no socket, so its connection loss cannot be detected');
+      return;
+    }
+    socket.once('close', () => {
+      if (this.isConnected) {
+        log.debug('Web Inspector service socket disconnected');
+        this.handleConnectionLost('the Web Inspector service socket has been closed');
+      }
+      this.isConnected = false;
+    });
+    socket.on('error', (err: Error) => {
+      if (this.isConnected) {
+        this.handleConnectionLost(`Web Inspector service socket error: ${err.message}`);
+      }
+    });
+  }
+
   /**
    * Receives data from the Web Inspector service and handles it.
    *
@@ -66,7 +90,7 @@ export class RpcClientRealDevice extends RpcClient {
    */
   override async receive(data: any): Promise<void> {
     if (this.isConnected) {
-      await this.messageHandler.handleMessage(data);
+      await this.handleReceivedMessage(data);
     }
   }
 }
@@ -0,0 +1,265 @@
+import type {StringRecord} from '@appium/types';
+import {sleep} from 'asyncbox';
+
+import {log} from '../logger.js';
+import type {RemoteCommand, RpcClientOptions} from '../types.js';
+import {RpcClient} from './rpc-client.js';
+import {deserializeMessage, readSessionRecording, serializeMessage} from './session-recorder.js';
+import type {RecordedMessage} from './session-recorder.js';
+
+/**
+ * Options specific to RpcClientReplay.
+ */
+export interface RpcClientReplayOptions extends RpcClientOptions {
+  /** The path to a JSONL file created with the `sessionRecordingPath` option */
+  replayPath: string;
+  /**
+   * Whether to keep the recorded delays between received messages.
+   * By default messages are replayed as fast as possible.
+   */
+  replayWithTiming?: boolean;
+}
+
+/**
+ * RPC client that replays a session recorded with the `sessionRecordingPath` option
+ * instead of talking to a real Web Inspector. Every sent message is matched against
+ * the next recorded outgoing message, and the messages that had been received after it
+ * are fed back to the message handler, with message and sender identifiers adjusted
+ * to the ones used by the current session.
+ */
+export class RpcClientReplay extends RpcClient {
+  protected readonly replayPath: string;
+  protected readonly replayWithTiming: boolean;
+  protected entries: RecordedMessage[];
+  protected consumed: Set<number>;
+  protected cursor: number;
+  protected playback: Promise<void>;
+  protected readonly recordedToActualIds: Map<number, number>;
+  protected readonly recordedToActualSenderIds: Map<string, string>;
+
+  /**
+   * @param opts - Options for configuring the replay client.
+   */
+  constructor(opts: RpcClientReplayOptions) {
+    super(opts);
+
+    this.replayPath = opts.replayPath;
+    this.replayWithTiming = !!opts.replayWithTiming;
+    this.entries = [];
+    this.consumed = new Set();
+    this.cursor = 0;
+    this.playback = Promise.resolve();
+    this.recordedToActualIds = new Map();
+    this.recordedToActualSenderIds = new Map();
+  }
+
+  /**
+   * Gets whether all the recorded messages have been replayed.
+   */
+  get isExhausted(): boolean {
+    return this.cursor >= this.entries.length;
+  }
+
+  /**
+   * Loads the recording and replays the messages received before the first sent one.
+   */
+  override async connect(): Promise<void> {
+    if (this.isConnected) {
+      return;
+    }
+    log.debug(`Replaying Web Inspector session from '${this.replayPath}'`);
+    this.entries = (await readSessionRecording(this.replayPath)).filter(
+      (entry): entry is RecordedMessage => entry.type !== 'header',
+    );
+    this.consumed.clear();
+    this.cursor = 0;
+    this.recordedToActualIds.clear();
+    this.recordedToActualSenderIds.clear();
+    this.isConnected = true;
+    this.schedulePlayback();
+  }
+
+  /**
+   * Stops the replay.
+   */
+  override async disconnect(): Promise<void> {
+    if (this.isConnected) {
+      log.debug('Disconnecting from the replayed session');
+    }
+    await super.disconnect();
+    this.isConnected = false;
+  }
+
+  /**
+   * Matches the message against the recording and schedules
+   * the replay of the messages received in response to it.
+   *
+   * @param cmd - The command to send.
+   * @throws Error if the message does not match the recording.
+   */
+  override async sendMessage(cmd: RemoteCommand): Promise<void> {
+    if (!this.isConnected) {
+      throw new Error('The RPC client is not connected. Have you called `connect()` before sending a message?');
+    }
+    // messages received before this one must be delivered first
+    await this.playback;
+
+    const actual = serializeMessage(cmd);
+    const index = this.findRecordedMessage(actual);
+    if (index === undefined) {
+      const expected = this.entries[this.cursor];
+      throw new Error(
+        `The replayed session diverged from the recording at entry #${this.cursor + 1}. ` +
+          `Sent: ${describeMessage(actual)}; ` +
+          `expected: ${expected ? describeMessage(expected.message) : 'no more messages'}`,
+      );
+    }
+    this.mapIds(this.entries[index].message, actual);
+    this.consumed.add(index);
+    this.advanceCursor();
+    this.schedulePlayback();
+  }
+
+  /**
+   * Received messages are only produced by the replay itself.
+   *
+   * @param data - The data to handle.
+   */
+  override async receive(data: any): Promise<void> {
+    if (this.isConnected && data) {
+      await this.handleReceivedMessage(data);
+    }
+  }
+
+  /**
+   * Looks for a recorded outgoing message matching the given one among
+   * the consecutive outgoing messages starting from the cursor, since
+   * concurrently sent messages might be sent in a different order.
+   */
+  protected findRecordedMessage(actual: StringRecord): number | undefined {
+    for (let index = this.cursor; index < this.entries.length && this.entries[index].type === 'send'; index++) {
+      if (
+        !this.consumed.has(index) &&
+        getMessageSignature(this.entries[index].message) === getMessageSignature(actual)
+      ) {
+        return index;
+      }
+    }
+    return undefined;
+  }
+
+  protected advanceCursor(): void {
+    while (this.consumed.has(this.cursor)) {
+      this.cursor++;
+    }
+  }
+
+  protected schedulePlayback(): void {
+    this.playback = this.playback
+      .then(() => this.playReceivedMessages())
+      .catch((err) => {
+        log.error(`Cannot replay a recorded message: ${err.message}`);
+      });
+  }
+
+  protected async playReceivedMessages(): Promise<void> {
+    while (this.isConnected && this.entries[this.cursor]?.type === 'receive') {
+      const index = this.cursor;
+      const {elapsedMs, message} = this.entries[index];
+      const previousElapsedMs = index > 0 ? this.entries[index - 1].elapsedMs : elapsedMs;
+      if (this.replayWithTiming && elapsedMs > previousElapsedMs) {
+        await sleep(elapsedMs - previousElapsedMs);
+      } else {
+        // let the sender register its response listeners first
+        await new Promise((resolve) => setImmediate(resolve));
+      }
+      this.consumed.add(index);
+      this.advanceCursor();
+      await this.receive(deserializeMessage(this.remapIds(message)));
+    }
+  }
+
+  /**
+   * Remembers which message and sender identifiers of the current session correspond
+   * to the recorded ones, so received responses could be routed properly. Each page
+   * has its own sender, which is the destination of the messages of its targets.
+   */
+  protected mapIds(recorded: StringRecord, actual: StringRecord): void {
+    const recordedSenderId = recorded.__argument?.WIRSenderKey;
+    const actualSenderId = actual.__argument?.WIRSenderKey;
+    if (typeof recordedSenderId === 'string' && typeof actualSenderId === 'string') {
+      this.recordedToActualSenderIds.set(recordedSenderId, actualSenderId);
+    }
+
+    const recordedData = recorded.__argument?.WIRSocketDataKey;
+    const actualData = actual.__argument?.WIRSocketDataKey;
+    if (!recordedData || !actualData) {
+      return;
+    }
+    const pairs: [any, any][] = [[recordedData.id, actualData.id]];
+    if (recordedData.method === 'Target.sendMessageToTarget') {
+      pairs.push([parseJson(recordedData.params?.message)?.id, parseJson(actualData.params?.message)?.id]);
+    }
+    for (const [recordedId, actualId] of pairs) {
+      if (Number.isInteger(recordedId) && Number.isInteger(actualId)) {
+        this.recordedToActualIds.set(recordedId, actualId);
+      }
+    }
+  }
+
+  protected remapIds(message: StringRecord): StringRecord {
+    const destinationId = message.__argument?.WIRDestinationKey;
+    if (this.recordedToActualSenderIds.has(destinationId)) {
+      message = {
+        ...message,
+        __argument: {...message.__argument, WIRDestinationKey: this.recordedToActualSenderIds.get(destinationId)},
+      };
+    }
+    const data = message.__argument?.WIRMessageDataKey;
+    if (!data || typeof data !== 'object') {
+      return message;
+    }
+    const remappedData = this.remapId(data);
+    if (remappedData.method === 'Target.dispatchMessageFromTarget' && typeof data.params?.message === 'string') {
+      const innerMessage = parseJson(data.params.message);
+      if (innerMessage) {
+        remappedData.params = {...data.params, message: JSON.stringify(this.remapId(innerMessage))};
+      }
+    }
+    return {...message, __argument: {...message.__argument, WIRMessageDataKey: remappedData}};
+  }
+
+  private remapId(data: StringRecord): StringRecord {
+    return this.recordedToActualIds.has(data.id) ? {...data, id: this.recordedToActualIds.get(data.id)} : {...data};
+  }
+}
+
+/**
+ * Builds a string identifying a sent message regardless of its message identifiers.
+ */
+function getMessageSignature(message: StringRecord): string {
+  const data = message.__argument?.WIRSocketDataKey;
+  const parts = [message.__selector];
+  if (data?.method) {
+    parts.push(data.method);
+  }
+  if (data?.method === 'Target.sendMessageToTarget') {
+    parts.push(data.params?.targetId, parseJson(data.params?.message)?.method);
+  }
+  return parts.join('|');
+}
+
+function describeMessage(message: StringRecord): string {
+  return `'${getMessageSignature(message).split('|').filter(Boolean).join(' ')}'`;
+}
+
+function parseJson(value: any): StringRecord | undefined {
+  if (typeof value !== 'string') {
+    return undefined;
+  }
+  try {
+    return JSON.parse(value);
+  } catch {
+    return undefined;
+  }
+}
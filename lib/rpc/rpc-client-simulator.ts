@@ -88,11 +88,15 @@ export class RpcClientSimulator extends RpcClient {
     this.socket.on('close', () => {
       if (this.isConnected) {
         log.debug('Debugger socket disconnected');
+        this.handleConnectionLost('the debugger socket has been closed');
       }
       this.isConnected = false;
       this.socket = null;
     });
     this.socket.on('end', () => {
+      if (this.isConnected) {
+        this.handleConnectionLost('the debugger socket has been ended by the other side');
+      }
       this.isConnected = false;
     });
     this.service = await services.startWebInspectorService(this.udid, {
@@ -120,7 +124,7 @@ export class RpcClientSimulator extends RpcClient {
       this.socket.on('error', (err) => {
         if (this.isConnected) {
           log.error(`Socket error: ${err.message}`);
-          this.isConnected = false;
+          this.handleConnectionLost(`socket error: ${err.message}`);
         }
 
         // the connection was refused, so reject the connect promise
@@ -134,11 +138,10 @@ export class RpcClientSimulator extends RpcClient {
    * Closes the socket and service connection, and cleans up resources.
    */
   override async disconnect(): Promise<void> {
-    if (!this.isConnected) {
-      return;
+    if (this.isConnected) {
+      log.debug('Disconnecting from remote debugger');
     }
-
-    log.debug('Disconnecting from remote debugger');
+    // the listeners and the recorder are cleaned up after a connection loss as well
     await super.disconnect();
     this.service?.close();
     this.isConnected = false;
@@ -194,6 +197,6 @@ export class RpcClientSimulator extends RpcClient {
         data[key] = data[key].toString('utf8');
       }
     }
-    await this.messageHandler.handleMessage(data);
+    await this.handleReceivedMessage(data);
   }
 }
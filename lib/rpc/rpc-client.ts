@@ -6,8 +6,11 @@ import AsyncLock from 'async-lock';
 import {sleep, waitForCondition, withTimeout} from 'asyncbox';
 
 import {log} from '../logger.js';
+import {assertCommandSupported, createProtocolDomains, validateProtocolParams} from '../protocol/index.js';
+import type {ProtocolDomains, ProtocolEventListener} from '../protocol/index.js';
 import type {
   AppIdKey,
+  MessageOrigin,
   PageIdKey,
   TargetId,
   TargetInfo,
@@ -18,9 +21,15 @@ import type {
   RpcClientOptions,
   RemoteCommandId,
 } from '../types.js';
-import {convertJavascriptEvaluationResult, defaults} from '../utils/index.js';
+import {
+  ConnectionLostError,
+  checkProtocolResponse,
+  convertJavascriptEvaluationResult,
+  defaults,
+} from '../utils/index.js';
 import {RemoteMessages} from './remote-messages.js';
 import RpcMessageHandler from './rpc-message-handler.js';
+import {SessionRecorder} from './session-recorder.js';
 
 const DATA_LOG_LENGTH = 200;
 const MIN_WAIT_FOR_TARGET_TIMEOUT_MS = 30000;
@@ -32,6 +41,7 @@ const NO_TARGET_PRESENT_YET_ERRORS = [`domain was not found`, `some arguments of
 export const NEW_APP_CONNECTED_ERROR = 'New application has connected';
 export const EMPTY_PAGE_DICTIONARY_ERROR = 'Empty page dictionary received';
 const ON_PAGE_INITIALIZED_EVENT = 'onPageInitialized';
+export const CONNECTION_LOST_EVENT = 'connectionLost';
 
 /**
  * Details about a pending page target notification.
@@ -73,6 +83,7 @@ export class RpcClient {
   protected readonly messageHandler: RpcMessageHandler;
   protected readonly remoteMessages: RemoteMessages;
   protected connected: boolean;
+  protected connectionLost: boolean;
   protected readonly isSafari: boolean;
   protected readonly connId: string;
   protected readonly senderId: string;
@@ -90,10 +101,17 @@ export class RpcClient {
   protected readonly _targets: AppToTargetsMap;
   protected readonly _targetSubscriptions: EventEmitter;
   protected _pendingTargetNotification?: PendingPageTargetDetails;
+  protected readonly _pendingTargetNotifications: Map<string, PendingPageTargetDetails>;
+  protected readonly _pageSenderIds: Map<string, string>;
   protected readonly _targetCreationTimeoutMs: number;
-  protected readonly _provisionedPages: Set<PageIdKey>;
+  protected readonly _provisionedPages: Set<string>;
   protected readonly _pageSelectionLock: AsyncLock;
   protected readonly _pageSelectionMonitor: EventEmitter;
+  protected readonly sessionRecorder?: SessionRecorder;
+  protected readonly _pendingRequests: Set<(err: Error) => void>;
+  protected readonly validateProtocolParams: boolean;
+  protected readonly checkCommandAvailability: boolean;
+  protected _domains?: ProtocolDomains;
 
   /**
    * @param opts - Options for configuring the RPC client.
@@ -111,11 +129,15 @@ export class RpcClient {
       udid,
       pageLoadTimeoutMs,
       targetCreationTimeoutMs = DEFAULT_TARGET_CREATION_TIMEOUT_MS,
+      sessionRecordingPath,
+      validateProtocolParams = false,
+      checkCommandAvailability = false,
     } = opts;
 
     this.isSafari = isSafari;
 
     this.connected = false;
+    this.connectionLost = false;
     this.connId = util.uuidV4();
     this.senderId = util.uuidV4();
     this.msgId = 0;
@@ -132,14 +154,23 @@ export class RpcClient {
 
     this.bundleId = bundleId;
     this.platformVersion = platformVersion;
+    this.validateProtocolParams = validateProtocolParams;
+    this.checkCommandAvailability = checkCommandAvailability;
 
     this._contexts = [];
     this._targets = {};
     this._targetSubscriptions = new EventEmitter();
     this._provisionedPages = new Set();
+    this._pendingTargetNotifications = new Map();
+    this._pageSenderIds = new Map();
     this._pageSelectionLock = new AsyncLock();
     this._pageSelectionMonitor = new EventEmitter();
     this._targetCreationTimeoutMs = targetCreationTimeoutMs;
+    this._pendingRequests = new Set();
+
+    if (sessionRecordingPath) {
+      this.sessionRecorder = new SessionRecorder(sessionRecordingPath, {platformVersion, bundleId});
+    }
 
     this.remoteMessages = new RemoteMessages();
 
@@ -150,6 +181,8 @@ export class RpcClient {
     this.messageHandler.on('Target.targetDestroyed', this.removeTarget.bind(this));
     this.messageHandler.on('Runtime.executionContextCreated', this.onExecutionContextCreated.bind(this));
     this.messageHandler.on('Heap.garbageCollected', this.onGarbageCollected.bind(this));
+    this.messageHandler.on('_rpc_forwardGetListing:', this.onPageListing.bind(this));
+    this.messageHandler.on('_rpc_applicationDisconnected:', this.onAppDisconnected.bind(this));
   }
 
   /**
@@ -188,6 +221,34 @@ export class RpcClient {
     return this._targetSubscriptions;
   }
 
+  /**
+   * Gets the typed wrappers of the protocol commands and events, generated from the
+   * WebKit protocol schemas. The commands are sent to the given page, and reject if
+   * the Web Inspector returns an error. The event listeners get the events of all
+   * the page targets, along with the application and the target they come from, e.g.
+   * `await rpcClient.domains.Network.getResponseBody({requestId}, {appIdKey, pageIdKey})`.
+   *
+   * @returns The wrappers, by domain.
+   */
+  get domains(): ProtocolDomains {
+    this._domains ??= createProtocolDomains({
+      send: async (method, params, target) =>
+        checkProtocolResponse(method, await this.send(method, {...target, ...params, rawResult: true})),
+      on: (method, listener: ProtocolEventListener<any>) => {
+        const targetListener = (err: Error | undefined, eventMethod: string, params: any, origin: MessageOrigin) => {
+          if (!err && eventMethod === method) {
+            listener(params, origin);
+          }
+        };
+        this.messageHandler.on('TargetEvent', targetListener);
+        return () => {
+          this.messageHandler.off('TargetEvent', targetListener);
+        };
+      },
+    });
+    return this._domains;
+  }
+
   /**
    * Sets the connection status.
    *
@@ -229,16 +290,27 @@ export class RpcClient {
    * **Console events:**
    * - `Console.messageAdded` - Emitted when a console message is added (args: error, message)
    * - `Console.messageRepeatCountUpdated` - Emitted when a console message repeat count is updated
-   * - `ConsoleEvent` - Aggregate event for all Console.* events (args: error, params, methodName)
+   * - `ConsoleEvent` - Aggregate event for all Console.* events (args: error, params, methodName, origin)
+   *
+   * **Debugger events:**
+   * - `DebuggerEvent` - Aggregate event for all Debugger.* events (args: error, params, methodName, origin)
    *
    * **Network events:**
-   * - `NetworkEvent` - Aggregate event for all Network.* events (args: error, params, methodName)
+   * - `Network.requestIntercepted` - Emitted when an intercepted request is paused (args: error, params, origin)
+   * - `Network.responseIntercepted` - Emitted when an intercepted response is paused (args: error, params, origin)
+   * - `NetworkEvent` - Aggregate event for all Network.* events (args: error, params, methodName, origin)
    *
    * **Timeline events:**
    * - `Timeline.eventRecorded` - Emitted when a timeline event is recorded (args: error, record)
+   * - `TracingEvent` - Aggregate event for all Timeline.*, ScriptProfiler.* and CPUProfiler.* events
+   *   (args: error, params, methodName, origin)
    *
    * **Heap events:**
    * - `Heap.garbageCollected` - Emitted when garbage collection occurs
+   * - `MemoryEvent` - Aggregate event for all Heap.* and Memory.* events (args: error, params, methodName, origin)
+   *
+   * **Connection events:**
+   * - `connectionLost` - Emitted when the connection goes away unexpectedly (args: error)
    *
    * **Message ID events:**
    * - Any numeric string (message ID) - Emitted for command responses (args: error, result)
@@ -366,13 +438,35 @@ export class RpcClient {
    * @returns A promise that resolves based on waitForResponse:
    *          - If true: resolves to the response value
    *          - If false: resolves to the full options object
+   * @throws UnsupportedCommandError if the protocol command is not supported on the iOS version,
+   *         when `checkCommandAvailability` is set.
+   * @throws ProtocolParamsError if the parameters are not valid, when `validateProtocolParams` is set.
    */
   async sendToDevice<TWaitForResponse extends boolean = true>(
     command: string,
     opts: RemoteCommandOpts,
     waitForResponse: TWaitForResponse = true as TWaitForResponse,
   ): Promise<TWaitForResponse extends true ? any : RemoteCommandOpts> {
-    return await new Promise<any>((resolve, reject) => {
+    if (command.includes('.')) {
+      // protocol commands fail fast, instead of waiting for the Web Inspector to reject them
+      if (this.checkCommandAvailability) {
+        assertCommandSupported(command, this.platformVersion);
+      }
+      if (this.validateProtocolParams) {
+        validateProtocolParams(command, opts);
+      }
+    }
+    let failRequest: ((err: Error) => void) | undefined;
+    const request = new Promise<any>((resolve, reject) => {
+      if (this.connectionLost) {
+        return reject(
+          new ConnectionLostError(`Cannot send '${command}', because the Web Inspector connection has been lost`),
+        );
+      }
+      // in-flight requests are failed if the connection goes away
+      failRequest = reject;
+      this._pendingRequests.add(reject);
+
       void (async () => {
         // promise to be resolved whenever remote debugger
         // replies to our request
@@ -396,7 +490,7 @@ export class RpcClient {
         const fullOpts: RemoteCommandOpts & RemoteCommandId = defaults(
           {
             connId: this.connId,
-            senderId: this.senderId,
+            senderId: this.getSenderId(appIdKey, pageIdKey),
             targetId,
             id: msgId.toString(),
           },
@@ -458,14 +552,14 @@ export class RpcClient {
             resolve(args);
           });
         } else if (hasSocketData) {
-          this.messageHandler.once(msgId.toString(), (err: Error | null, value: any) => {
+          this.messageHandler.once(msgId.toString(), (err: Error | null, value: any, rawValue: any) => {
             if (err) {
               return reject(new Error(`Remote debugger error with code '${(err as any).code}': ${err.message}`));
             }
             log.debug(
               `Received data response from send (id: ${msgId}): '${util.truncateString(JSON.stringify(value), DATA_LOG_LENGTH)}'`,
             );
-            resolve(value);
+            resolve(opts.rawResult ? rawValue : value);
           });
         } else {
           // nothing else is handling things, so just resolve when the message is sent
@@ -480,6 +574,7 @@ export class RpcClient {
           ` (id: ${msgId}): '${command}'`;
         log.debug(msg);
         try {
+          this.sessionRecorder?.record('send', finalCommand);
           await this.sendMessage(finalCommand);
           if (!messageHandled) {
             // There are no handlers waiting for a response before resolving,
@@ -491,6 +586,13 @@ export class RpcClient {
         }
       })().catch(reject);
     });
+    try {
+      return await request;
+    } finally {
+      if (failRequest) {
+        this._pendingRequests.delete(failRequest);
+      }
+    }
   }
 
   /**
@@ -507,6 +609,33 @@ export class RpcClient {
    */
   async disconnect(): Promise<void> {
     this.messageHandler.removeAllListeners();
+    this._pendingTargetNotification = undefined;
+    this._pendingTargetNotifications.clear();
+    await this.sessionRecorder?.close();
+  }
+
+  /**
+   * Marks the connection as lost, fails all in-flight requests with {@link ConnectionLostError}
+   * and emits the `connectionLost` event. Subclasses should call it when their connection
+   * goes away without `disconnect` being called.
+   *
+   * @param reason - The description of what happened to the connection.
+   */
+  protected handleConnectionLost(reason: string): void {
+    if (this.connectionLost) {
+      return;
+    }
+    log.warn(`The Web Inspector connection has been lost: ${reason}`);
+    this.connectionLost = true;
+    this.isConnected = false;
+
+    const err = new ConnectionLostError(`The Web Inspector connection has been lost: ${reason}`);
+    const pendingRequests = [...this._pendingRequests];
+    this._pendingRequests.clear();
+    for (const reject of pendingRequests) {
+      reject(err);
+    }
+    this.messageHandler.emit(CONNECTION_LOST_EVENT, err);
   }
 
   /**
@@ -531,6 +660,18 @@ export class RpcClient {
     throw new Error(`Sub-classes need to implement a 'receive' function`);
   }
 
+  /**
+   * Dispatches a message received from the device to the message handler,
+   * recording it first if session recording is enabled.
+   * Subclasses should call it from their `receive` implementation.
+   *
+   * @param data - The plist message received from the device.
+   */
+  protected async handleReceivedMessage(data: StringRecord): Promise<void> {
+    this.sessionRecorder?.record('receive', data);
+    await this.messageHandler.handleMessage(data);
+  }
+
   /**
    * Handles the creation of a new target for an application and page.
    * Initializes the page and waits for readiness if configured.
@@ -539,13 +680,18 @@ export class RpcClient {
    * @param app - The application identifier key.
    * @param targetInfo - Information about the created target.
    */
-  async addTarget(err: Error | undefined, app: AppIdKey, targetInfo: TargetInfo): Promise<void> {
+  async addTarget(
+    err: Error | undefined,
+    app: AppIdKey,
+    targetInfo: TargetInfo,
+    destinationId?: string,
+  ): Promise<void> {
     if (targetInfo?.targetId == null) {
       log.info(`Received 'Target.targetCreated' event for app '${app}' with no target. Skipping`);
       return;
     }
 
-    const pendingPageTargetDetails = this._getPendingPageTargetDetails(app, targetInfo);
+    const pendingPageTargetDetails = this._getPendingPageTargetDetails(app, targetInfo, destinationId);
     if (!pendingPageTargetDetails) {
       return;
     }
@@ -579,7 +725,7 @@ export class RpcClient {
         `Provisional target created for app '${appIdKey}' and page '${pageIdKey}': '${JSON.stringify(targetInfo)}'`,
       );
 
-      this._provisionedPages.add(pageIdKey);
+      this._provisionedPages.add(toPageSelectionKey(appIdKey, pageIdKey));
       try {
         await this.targets[appIdKey].lock.acquire(String(pageIdKey), async () => {
           let wasInitialized: boolean;
@@ -630,9 +776,8 @@ export class RpcClient {
       await this.targets[appIdKey].lock.acquire(String(pageIdKey), async () => {
         let wasInitialized = false;
         try {
-          if (this._provisionedPages.has(pageIdKey)) {
+          if (this._provisionedPages.delete(toPageSelectionKey(appIdKey, pageIdKey))) {
             log.debug(`Page '${pageIdKey}' has been already provisioned`);
-            this._provisionedPages.delete(pageIdKey);
           } else {
             wasInitialized = await this._initializePage(appIdKey, pageIdKey);
           }
@@ -730,6 +875,42 @@ export class RpcClient {
     log.debug(`Target '${targetInfo.targetId}' deleted for app '${app}', but no such target exists`);
   }
 
+  /**
+   * Forgets the pending target notifications of the pages which are not listed by
+   * their application anymore. A destroyed target does not tell that its page is gone,
+   * because pages navigating to another process get a new target.
+   *
+   * @param err - Error if one occurred, undefined otherwise.
+   * @param appIdKey - The application identifier key.
+   * @param pageDict - The pages of the application, keyed by their identifiers.
+   */
+  onPageListing(err: Error | undefined, appIdKey: AppIdKey, pageDict: StringRecord): void {
+    if (err || !pageDict) {
+      return;
+    }
+    const pageIdKeys = Object.values(pageDict).map((page) => String(page.WIRPageIdentifierKey));
+    for (const [selectionKey, {appIdKey: app, pageIdKey}] of this._pendingTargetNotifications) {
+      if (app === appIdKey && !pageIdKeys.includes(String(pageIdKey))) {
+        this._pendingTargetNotifications.delete(selectionKey);
+      }
+    }
+  }
+
+  /**
+   * Forgets the pending target notifications of the pages of a disconnected application.
+   *
+   * @param err - Error if one occurred, undefined otherwise.
+   * @param dict - The application information.
+   */
+  onAppDisconnected(err: Error | undefined, dict: StringRecord): void {
+    const appIdKey = dict?.WIRApplicationIdentifierKey;
+    for (const [selectionKey, {appIdKey: app}] of this._pendingTargetNotifications) {
+      if (app === appIdKey) {
+        this._pendingTargetNotifications.delete(selectionKey);
+      }
+    }
+  }
+
   /**
    * Gets the target ID for a specific app and page combination.
    *
@@ -745,6 +926,64 @@ export class RpcClient {
     return target && typeof target === 'string' ? target : undefined;
   }
 
+  /**
+   * Gets the page a target belongs to.
+   *
+   * @param appIdKey - The application identifier key.
+   * @param targetId - The target identifier.
+   * @returns The page identifier key if the target is known, undefined otherwise.
+   */
+  getPageIdKeyForTarget(appIdKey?: AppIdKey, targetId?: TargetId): PageIdKey | undefined {
+    if (!appIdKey || !targetId) {
+      return;
+    }
+    for (const [pageIdKey, target] of Object.entries(this.targets[appIdKey] ?? {})) {
+      if (target === targetId) {
+        return pageIdKey;
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * Tells whether a message comes from the given page. The messages of targets which are
+   * not mapped to a page yet, like the provisional ones, are attributed to every page of their application.
+   *
+   * @param origin - The application and target the message has been sent from.
+   * @param appIdKey - The application identifier key.
+   * @param pageIdKey - The page identifier key.
+   * @returns True if the message could come from the page.
+   */
+  isFromPage(origin: MessageOrigin | undefined, appIdKey: AppIdKey, pageIdKey: PageIdKey): boolean {
+    if (origin?.appIdKey !== undefined && String(origin.appIdKey) !== String(appIdKey)) {
+      return false;
+    }
+    const originPageIdKey = this.getPageIdKeyForTarget(appIdKey, origin?.targetId);
+    return originPageIdKey === undefined || String(originPageIdKey) === String(pageIdKey);
+  }
+
+  /**
+   * Gets the sender identifier used to talk to a page. Each page gets its own
+   * identifier, which Web Inspector sends back as the destination of the messages
+   * coming from that page, so targets of several pages could be told apart.
+   *
+   * @param appIdKey - The application identifier key.
+   * @param pageIdKey - The page identifier key.
+   * @returns The sender identifier of the page, or the one of the client if no page is given.
+   */
+  getSenderId(appIdKey?: AppIdKey, pageIdKey?: PageIdKey): string {
+    if (!appIdKey || pageIdKey === undefined || pageIdKey === null) {
+      return this.senderId;
+    }
+    const selectionKey = toPageSelectionKey(appIdKey, pageIdKey);
+    let senderId = this._pageSenderIds.get(selectionKey);
+    if (!senderId) {
+      senderId = util.uuidV4();
+      this._pageSenderIds.set(selectionKey, senderId);
+    }
+    return senderId;
+  }
+
   /**
    * Selects a page within an application, setting up the Web Inspector session
    * and waiting for the page to be initialized. Mimics the steps that Desktop
@@ -760,8 +999,11 @@ export class RpcClient {
     pageReadinessDetector?: PageReadinessDetector,
   ): Promise<void> {
     await this._pageSelectionLock.acquire(toPageSelectionKey(appIdKey, pageIdKey), async () => {
+      const selectionKey = toPageSelectionKey(appIdKey, pageIdKey);
       this._pendingTargetNotification = {appIdKey, pageIdKey, pageReadinessDetector};
-      this._provisionedPages.clear();
+      // other pages stay initialized, so only the state of this one is reset
+      this._pendingTargetNotifications.set(selectionKey, this._pendingTargetNotification);
+      this._provisionedPages.delete(selectionKey);
 
       if (this.getTarget(appIdKey, pageIdKey)) {
         log.debug(`Page '${pageIdKey}' is already selected for app '${appIdKey}'`);
@@ -1174,9 +1416,14 @@ export class RpcClient {
    *
    * @param appId - The application identifier key.
    * @param targetInfo - Information about the target.
+   * @param destinationId - The sender identifier the event has been addressed to, if known.
    * @returns The pending page target details if there's a match, undefined otherwise.
    */
-  private _getPendingPageTargetDetails(appId: AppIdKey, targetInfo: TargetInfo): PendingPageTargetDetails | undefined {
+  private _getPendingPageTargetDetails(
+    appId: AppIdKey,
+    targetInfo: TargetInfo,
+    destinationId?: string,
+  ): PendingPageTargetDetails | undefined {
     const logInfo = (message: string): undefined =>
       void log.info(
         `Skipping 'Target.targetCreated' event ${message} for app '${appId}': ${JSON.stringify(targetInfo)}`,
@@ -1192,6 +1439,14 @@ export class RpcClient {
       return logInfo(`with type '${targetInfo.type}'`);
     }
 
+    // the destination tells which page the target belongs to, if several pages are selected
+    for (const [selectionKey, senderId] of this._pageSenderIds) {
+      const pendingNotification = this._pendingTargetNotifications.get(selectionKey);
+      if (senderId === destinationId && pendingNotification?.appIdKey === appId) {
+        return {...pendingNotification};
+      }
+    }
+
     return this._pendingTargetNotification.appIdKey === appId
       ? {...this._pendingTargetNotification}
       : logInfo('with different app id');
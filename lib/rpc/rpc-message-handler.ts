@@ -4,6 +4,10 @@ import {util} from '@appium/support';
 import type {StringRecord} from '@appium/types';
 
 import {log} from '../logger.js';
+import type {MessageOrigin} from '../types.js';
+
+const TRACING_DOMAINS = ['Timeline', 'ScriptProfiler', 'CPUProfiler'];
+const MEMORY_DOMAINS = ['Heap', 'Memory'];
 
 /**
  * Represents a data message from the Web Inspector.
@@ -106,12 +110,13 @@ export default class RpcMessageHandler extends EventEmitter {
    * If msgId is provided, emits a message-specific event.
    * Otherwise, emits method-based events with appropriate argument mapping.
    *
-   * @param msgId - If not empty, emits an event with this ID: <msgId, error, result>.
+   * @param msgId - If not empty, emits an event with this ID: <msgId, error, result, rawResult>.
    *                If empty, emits method-based events: <name, error, ...args>.
    * @param method - The method name from the data message.
    * @param params - The parameters from the data message.
    * @param result - The result from the data message.
    * @param error - Any error that occurred during message processing.
+   * @param origin - The application and target the message has been sent from.
    */
   private async dispatchDataMessage(
     msgId: string,
@@ -119,13 +124,16 @@ export default class RpcMessageHandler extends EventEmitter {
     params: StringRecord | undefined,
     result: any,
     error: Error | undefined,
+    origin: MessageOrigin = {},
   ): Promise<void> {
     if (msgId) {
       if (this.listenerCount(msgId)) {
+        // the raw result is passed along for the callers which need the whole evaluation result
+        const rawResult = result;
         if (Object.hasOwn(result?.result ?? {}, 'value')) {
           result = result.result.value;
         }
-        this.emit(msgId, error, result);
+        this.emit(msgId, error, result, rawResult);
       } else {
         log.error(
           `Web Inspector returned data for message '${msgId}' ` +
@@ -137,6 +145,11 @@ export default class RpcMessageHandler extends EventEmitter {
       return;
     }
 
+    if (method && origin.targetId) {
+      // all target events with their raw parameters, so they could be routed to the page they come from
+      this.emit('TargetEvent', error, method, params, origin);
+    }
+
     const eventNames: string[] = method ? [method] : [];
     let args: any[] = [params];
 
@@ -158,20 +171,42 @@ export default class RpcMessageHandler extends EventEmitter {
       case 'Runtime.executionContextCreated':
         args = [params?.context];
         break;
+      case 'Network.requestIntercepted':
+      case 'Network.responseIntercepted':
+        // intercepted requests must be answered on the page they come from
+        this.emit(method, error, params, origin);
+        this.emit('NetworkEvent', error, params, method, origin);
+        return;
       default:
         // pass
         break;
     }
 
     if (method?.startsWith('Network.')) {
-      // aggregate Network events, and add original method name to the arguments
+      // aggregate Network events, and add original method name and the message origin to the arguments
       eventNames.push('NetworkEvent');
-      args.push(method);
+      args.push(method, origin);
     }
     if (method?.startsWith('Console.')) {
-      // aggregate Console events, and add original method name to the arguments
+      // aggregate Console events, and add original method name and the message origin to the arguments
       eventNames.push('ConsoleEvent');
-      args.push(method);
+      args.push(method, origin);
+    }
+    if (method?.startsWith('Debugger.')) {
+      // aggregate Debugger events, and add original method name and the message origin to the arguments
+      eventNames.push('DebuggerEvent');
+      args.push(method, origin);
+    }
+
+    if (method && TRACING_DOMAINS.some((domain) => method.startsWith(`${domain}.`))) {
+      // aggregate profiling events, and add original method name and the message origin to the arguments
+      eventNames.push('TracingEvent');
+      args.push(method, origin);
+    }
+    if (method && MEMORY_DOMAINS.some((domain) => method.startsWith(`${domain}.`))) {
+      // aggregate memory events, and add original method name and the message origin to the arguments
+      eventNames.push('MemoryEvent');
+      args.push(method, origin);
     }
 
     for (const name of eventNames) {
@@ -223,7 +258,8 @@ export default class RpcMessageHandler extends EventEmitter {
         const app = plist.__argument.WIRApplicationIdentifierKey;
         const args =
           method === 'Target.didCommitProvisionalTarget' ? params : (params.targetInfo ?? {targetId: params.targetId});
-        this.emit(method, null, app, args);
+        // the destination is the sender identifier of the page the target belongs to
+        this.emit(method, null, app, args, plist.__argument.WIRDestinationKey);
         return;
       }
       case 'Target.dispatchMessageFromTarget': {
@@ -242,7 +278,10 @@ export default class RpcMessageHandler extends EventEmitter {
           }
         }
 
-        await this.dispatchDataMessage(msgId, method, params, result, parseError());
+        await this.dispatchDataMessage(msgId, method, params, result, parseError(), {
+          appIdKey: plist.__argument.WIRApplicationIdentifierKey,
+          targetId: dataKey.params?.targetId,
+        });
         return;
       }
       default: {
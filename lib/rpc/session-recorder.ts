@@ -0,0 +1,187 @@
+import nodeFs from 'node:fs';
+import path from 'node:path';
+
+import {fs, timing} from '@appium/support';
+import type {StringRecord} from '@appium/types';
+
+import {log} from '../logger.js';
+import type {RemoteCommand} from '../types.js';
+
+export const SESSION_RECORDING_VERSION = 1;
+
+/**
+ * Keys of Web Inspector messages whose payload is a JSON document
+ * transferred as a buffer (or string). Recordings store them parsed.
+ */
+const DATA_KEYS = ['WIRSocketDataKey', 'WIRMessageDataKey'] as const;
+
+export type RecordedMessageDirection = 'send' | 'receive';
+
+/**
+ * The first line of every recorded session.
+ */
+export interface SessionRecordingHeader {
+  type: 'header';
+  version: number;
+  createdAt: string;
+  platformVersion?: string;
+  bundleId?: string;
+}
+
+/**
+ * A single message exchanged with the Web Inspector.
+ */
+export interface RecordedMessage {
+  type: RecordedMessageDirection;
+  /** Milliseconds elapsed since the recording has been started */
+  elapsedMs: number;
+  message: RemoteCommand | StringRecord;
+}
+
+export type SessionRecordingEntry = SessionRecordingHeader | RecordedMessage;
+
+/**
+ * Writes Web Inspector communication into a JSONL file, one entry per line.
+ * The file is appended to, so several sessions could be recorded into the same file,
+ * each of them starting with its own header line.
+ */
+export class SessionRecorder {
+  private readonly _filePath: string;
+  private readonly _timer: timing.Timer;
+  private _stream?: nodeFs.WriteStream;
+
+  /**
+   * @param filePath - The path to the JSONL file to record to.
+   * @param header - Additional details to store in the header line.
+   */
+  constructor(filePath: string, header: Pick<SessionRecordingHeader, 'platformVersion' | 'bundleId'> = {}) {
+    this._filePath = filePath;
+    this._timer = new timing.Timer().start();
+    nodeFs.mkdirSync(path.dirname(filePath), {recursive: true});
+    this._stream = nodeFs.createWriteStream(filePath, {flags: 'a'});
+    this._stream.on('error', (err) => {
+      log.warn(`Cannot record Web Inspector communication to '${this._filePath}': ${err.message}`);
+    });
+    log.info(`Recording Web Inspector communication to '${filePath}'`);
+    this.write({
+      type: 'header',
+      version: SESSION_RECORDING_VERSION,
+      createdAt: new Date().toISOString(),
+      ...header,
+    });
+  }
+
+  /**
+   * Gets the path to the recording file.
+   */
+  get filePath(): string {
+    return this._filePath;
+  }
+
+  /**
+   * Records a message sent to or received from the Web Inspector.
+   *
+   * @param type - The direction of the message.
+   * @param message - The plist message as it has been sent or received.
+   */
+  record(type: RecordedMessageDirection, message: RemoteCommand | StringRecord): void {
+    this.write({
+      type,
+      elapsedMs: Math.round(this._timer.getDuration().asMilliSeconds),
+      message: serializeMessage(message),
+    });
+  }
+
+  /**
+   * Flushes pending entries and closes the recording file.
+   */
+  async close(): Promise<void> {
+    const stream = this._stream;
+    if (!stream) {
+      return;
+    }
+    this._stream = undefined;
+    await new Promise<void>((resolve) => stream.end(resolve));
+  }
+
+  private write(entry: SessionRecordingEntry): void {
+    this._stream?.write(`${JSON.stringify(entry)}\n`);
+  }
+}
+
+/**
+ * Reads a session recording created by {@link SessionRecorder}.
+ *
+ * @param filePath - The path to the JSONL file.
+ * @returns The list of recorded entries, including headers.
+ * @throws Error if the file contains a line that is not a valid recording entry.
+ */
+export async function readSessionRecording(filePath: string): Promise<SessionRecordingEntry[]> {
+  const content = await fs.readFile(filePath, 'utf8');
+  const entries: SessionRecordingEntry[] = [];
+  for (const [index, line] of content.split('\n').entries()) {
+    if (!line.trim()) {
+      continue;
+    }
+    let entry: SessionRecordingEntry;
+    try {
+      entry = JSON.parse(line);
+    } catch (err: any) {
+      throw new Error(`Line ${index + 1} of the session recording '${filePath}' is not valid JSON: ${err.message}`, {
+        cause: err,
+      });
+    }
+    if (!['header', 'send', 'receive'].includes(entry?.type)) {
+      throw new Error(`Line ${index + 1} of the session recording '${filePath}' has an unknown entry type`);
+    }
+    if (entry.type === 'header' && entry.version > SESSION_RECORDING_VERSION) {
+      throw new Error(
+        `The session recording '${filePath}' has version ${entry.version}, ` +
+          `but only versions up to ${SESSION_RECORDING_VERSION} are supported`,
+      );
+    }
+    entries.push(entry);
+  }
+  return entries;
+}
+
+/**
+ * Converts a plist message into a JSON-friendly form. Data keys carrying
+ * JSON documents are parsed, so the recording stays human-readable.
+ *
+ * @param message - The plist message.
+ * @returns The serializable message.
+ */
+export function serializeMessage(message: RemoteCommand | StringRecord): StringRecord {
+  const argument: StringRecord = {...message.__argument};
+  for (const key of DATA_KEYS) {
+    const value = argument[key];
+    if (value === undefined || value === null) {
+      continue;
+    }
+    try {
+      argument[key] = JSON.parse(Buffer.isBuffer(value) ? value.toString('utf8') : String(value));
+    } catch {
+      argument[key] = Buffer.isBuffer(value) ? value.toString('utf8') : value;
+    }
+  }
+  return {__selector: message.__selector, __argument: argument};
+}
+
+/**
+ * Converts a recorded message back into the form the message handler receives
+ * from the Web Inspector, i.e. with data keys serialized to JSON strings.
+ *
+ * @param message - The recorded message.
+ * @returns The plist message.
+ */
+export function deserializeMessage(message: StringRecord): StringRecord {
+  const argument: StringRecord = {...message.__argument};
+  for (const key of DATA_KEYS) {
+    const value = argument[key];
+    if (value !== undefined && value !== null && typeof value !== 'string') {
+      argument[key] = JSON.stringify(value);
+    }
+  }
+  return {__selector: message.__selector, __argument: argument};
+}
@@ -0,0 +1,9 @@
+export {MockWebInspectorServer, toEvaluationResult} from './mock-web-inspector-server.js';
+export type {
+  MockApplication,
+  MockPage,
+  MockCommandContext,
+  MockCommandHandler,
+  MockReceivedCommand,
+  MockWebInspectorServerOptions,
+} from './mock-web-inspector-server.js';
@@ -0,0 +1,728 @@
+import {EventEmitter} from 'node:events';
+import net from 'node:net';
+
+import {plist, util} from '@appium/support';
+import type {StringRecord} from '@appium/types';
+
+import {log} from '../logger.js';
+import type {AppIdKey, PageIdKey, TargetId, TargetInfo, TargetType} from '../types.js';
+
+const HEADER_LENGTH = 4;
+const DEFAULT_HOST = '127.0.0.1';
+const MISSING_TARGET_ERROR = 'Missing target for given targetId';
+const SERVER_ERROR_CODE = -32000;
+
+/**
+ * A page advertised by a mocked application.
+ */
+export interface MockPage {
+  id: PageIdKey;
+  url: string;
+  title: string;
+  /** The page `WIRTypeKey`. Defaults to 'WIRTypeWebPage'. */
+  type?: string;
+  /** Whether the page is the key (frontmost) one of its application. */
+  isKey?: boolean;
+}
+
+/**
+ * An application advertised via `_rpc_reportConnectedApplicationList:`.
+ */
+export interface MockApplication {
+  /** The application identifier key, e.g. 'PID:42' */
+  id: string;
+  bundleId: string;
+  name?: string;
+  isProxy?: boolean;
+  hostId?: string;
+  isActive?: boolean;
+  isAutomationEnabled?: boolean;
+  pages?: MockPage[];
+}
+
+/**
+ * Details about the command being handled, passed to every command handler.
+ */
+export interface MockCommandContext {
+  method: string;
+  appIdKey?: AppIdKey;
+  pageIdKey?: PageIdKey;
+  /** Only set for commands sent through `Target.sendMessageToTarget` */
+  targetId?: TargetId;
+}
+
+/**
+ * Produces the protocol `result` object for a command. Throwing rejects the command
+ * with the thrown error's message.
+ */
+export type MockCommandHandler = (params: StringRecord, context: MockCommandContext) => any;
+
+/**
+ * A protocol command received by the server, as recorded in `receivedCommands`.
+ */
+export interface MockReceivedCommand extends MockCommandContext {
+  id?: number;
+  params: StringRecord;
+}
+
+export interface MockWebInspectorServerOptions {
+  /** Listen on this unix domain socket. Takes priority over `host`/`port` */
+  socketPath?: string;
+  /** The TCP host to listen on. Defaults to 127.0.0.1 */
+  host?: string;
+  /** The TCP port to listen on. Defaults to a random free port */
+  port?: number;
+  /** Applications to advertise once a client sets its connection key */
+  applications?: MockApplication[];
+  /**
+   * Whether to create a (non provisional) page target as soon as a client
+   * forwards the socket setup for a page, like WebKit does. Defaults to true.
+   */
+  autoCreateTargets?: boolean;
+  /** The value reported by `_rpc_reportCurrentState:`, if any */
+  automationAvailability?: string;
+  /** Handler for commands that have no dedicated handler set */
+  defaultCommandHandler?: MockCommandHandler;
+}
+
+interface TargetEntry {
+  appIdKey: string;
+  pageIdKey: PageIdKey;
+  info: TargetInfo;
+}
+
+/**
+ * A scriptable fake of the Web Inspector daemon, speaking the same length-prefixed
+ * binary plist framing as `webinspectord`. It allows running `RpcClientSimulator`
+ * and `RemoteDebugger` against a fully controlled endpoint, without a simulator.
+ *
+ * The server emits the following events:
+ * - `connection` - a client has connected (args: socket)
+ * - `message` - a raw plist has been received (args: plist)
+ * - `command` - a protocol command has been received (args: MockReceivedCommand)
+ * - `launchApplication` - a client requested an application launch (args: bundleId)
+ */
+export class MockWebInspectorServer extends EventEmitter {
+  readonly receivedCommands: MockReceivedCommand[];
+  protected readonly _applications: Map<string, MockApplication>;
+  protected readonly _targets: Map<TargetId, TargetEntry>;
+  protected readonly _commandHandlers: Map<string, MockCommandHandler>;
+  protected readonly _senderKeys: Map<string, string>;
+  protected readonly _sockets: Set<net.Socket>;
+  protected readonly _autoCreateTargets: boolean;
+  protected readonly _automationAvailability?: string;
+  protected readonly _defaultCommandHandler: MockCommandHandler;
+  protected readonly _socketPath?: string;
+  protected readonly _host: string;
+  protected _port?: number;
+  protected _server: net.Server | null;
+  protected _targetCounter: number;
+
+  /**
+   * @param opts - Options for configuring the server.
+   */
+  constructor(opts: MockWebInspectorServerOptions = {}) {
+    super();
+
+    const {
+      socketPath,
+      host = DEFAULT_HOST,
+      port = 0,
+      applications = [],
+      autoCreateTargets = true,
+      automationAvailability,
+      defaultCommandHandler = defaultHandler,
+    } = opts;
+
+    this._socketPath = socketPath;
+    this._host = host;
+    this._port = port;
+    this._autoCreateTargets = autoCreateTargets;
+    this._automationAvailability = automationAvailability;
+    this._defaultCommandHandler = defaultCommandHandler;
+
+    this._applications = new Map(applications.map((app) => [app.id, structuredClone(app)]));
+    this._targets = new Map();
+    this._commandHandlers = new Map();
+    this._senderKeys = new Map();
+    this._sockets = new Set();
+    this._server = null;
+    this._targetCounter = 0;
+    this.receivedCommands = [];
+  }
+
+  /**
+   * Gets the TCP port the server listens on, once started.
+   */
+  get port(): number | undefined {
+    return this._socketPath ? undefined : this._port;
+  }
+
+  /**
+   * Gets the unix domain socket path the server listens on, if any.
+   */
+  get socketPath(): string | undefined {
+    return this._socketPath;
+  }
+
+  /**
+   * Gets whether the server is listening for connections.
+   */
+  get isListening(): boolean {
+    return !!this._server?.listening;
+  }
+
+  /**
+   * Gets a copy of the currently advertised applications.
+   */
+  get applications(): MockApplication[] {
+    return [...this._applications.values()].map((app) => structuredClone(app));
+  }
+
+  /**
+   * Starts listening for client connections.
+   */
+  async start(): Promise<void> {
+    if (this._server) {
+      return;
+    }
+
+    const server = net.createServer(this.onConnection.bind(this));
+    await new Promise<void>((resolve, reject) => {
+      server.once('error', reject);
+      const onListening = () => {
+        server.off('error', reject);
+        resolve();
+      };
+      if (this._socketPath) {
+        server.listen(this._socketPath, onListening);
+      } else {
+        server.listen(this._port, this._host, onListening);
+      }
+    });
+    const address = server.address();
+    if (address && typeof address === 'object') {
+      this._port = address.port;
+    }
+    this._server = server;
+    log.debug(`Mock Web Inspector listening on ${this._socketPath ?? `${this._host}:${this._port}`}`);
+  }
+
+  /**
+   * Closes all client connections and stops listening.
+   */
+  async stop(): Promise<void> {
+    this.dropConnections();
+
+    const server = this._server;
+    if (!server) {
+      return;
+    }
+    this._server = null;
+    await new Promise<void>((resolve) => server.close(() => resolve()));
+    log.debug('Mock Web Inspector stopped');
+  }
+
+  /**
+   * Drops all client connections, as if `webinspectord` went away, but keeps listening.
+   */
+  dropConnections(): void {
+    for (const socket of this._sockets) {
+      socket.destroy();
+    }
+    this._sockets.clear();
+  }
+
+  /**
+   * Sets the handler for a protocol method, e.g. 'Runtime.evaluate'.
+   *
+   * @param method - The protocol method name.
+   * @param handler - The handler producing the command result.
+   */
+  setCommandHandler(method: string, handler: MockCommandHandler): void {
+    this._commandHandlers.set(method, handler);
+  }
+
+  /**
+   * Removes the dedicated handler for a protocol method, so the default handler is used.
+   *
+   * @param method - The protocol method name.
+   */
+  removeCommandHandler(method: string): void {
+    this._commandHandlers.delete(method);
+  }
+
+  /**
+   * Advertises a new application to the connected clients.
+   *
+   * @param app - The application to add.
+   */
+  addApplication(app: MockApplication): void {
+    this._applications.set(app.id, structuredClone(app));
+    this.broadcast('_rpc_applicationConnected:', toApplicationDict(app));
+  }
+
+  /**
+   * Updates an application's properties and notifies the connected clients.
+   *
+   * @param appIdKey - The application identifier key.
+   * @param props - The properties to change.
+   */
+  updateApplication(appIdKey: string, props: Partial<Omit<MockApplication, 'id' | 'pages'>>): void {
+    const app = this.requireApplication(appIdKey);
+    Object.assign(app, props);
+    this.broadcast('_rpc_applicationUpdated:', toApplicationDict(app));
+  }
+
+  /**
+   * Removes an application, along with its targets, and notifies the connected clients.
+   *
+   * @param appIdKey - The application identifier key.
+   */
+  removeApplication(appIdKey: string): void {
+    const app = this.requireApplication(appIdKey);
+    this._applications.delete(appIdKey);
+    for (const [targetId, entry] of this._targets) {
+      if (entry.appIdKey === appIdKey) {
+        this._targets.delete(targetId);
+      }
+    }
+    this.broadcast('_rpc_applicationDisconnected:', toApplicationDict(app));
+  }
+
+  /**
+   * Replaces the pages of an application and sends the new listing to the connected clients.
+   *
+   * @param appIdKey - The application identifier key.
+   * @param pages - The new list of pages.
+   */
+  setPages(appIdKey: string, pages: MockPage[]): void {
+    const app = this.requireApplication(appIdKey);
+    app.pages = structuredClone(pages);
+    this.broadcast('_rpc_applicationSentListing:', {
+      WIRApplicationIdentifierKey: appIdKey,
+      WIRListingKey: toListingDict(app),
+    });
+  }
+
+  /**
+   * Creates a target for a page and sends `Target.targetCreated` to the connected clients.
+   *
+   * @param appIdKey - The application identifier key.
+   * @param pageIdKey - The page identifier key.
+   * @param info - Optional target properties. A unique target id is generated if not provided.
+   * @returns The information about the created target.
+   */
+  createTarget(appIdKey: string, pageIdKey: PageIdKey, info: Partial<TargetInfo> = {}): TargetInfo {
+    this.requireApplication(appIdKey);
+    const targetInfo: TargetInfo = {
+      targetId: info.targetId ?? `page-${++this._targetCounter}`,
+      type: info.type ?? ('page' as TargetType),
+      isProvisional: info.isProvisional ?? false,
+      isPaused: info.isPaused ?? false,
+    };
+    this._targets.set(targetInfo.targetId, {appIdKey, pageIdKey, info: targetInfo});
+    this.sendData(
+      appIdKey,
+      {
+        method: 'Target.targetCreated',
+        params: {targetInfo},
+      },
+      pageIdKey,
+    );
+    return targetInfo;
+  }
+
+  /**
+   * Commits a provisional target, replacing the old target of the same page,
+   * and sends `Target.didCommitProvisionalTarget` to the connected clients.
+   *
+   * @param oldTargetId - The identifier of the target being replaced.
+   * @param newTargetId - The identifier of the provisional target.
+   */
+  commitProvisionalTarget(oldTargetId: TargetId, newTargetId: TargetId): void {
+    const entry = this.requireTarget(newTargetId);
+    entry.info.isProvisional = false;
+    this.sendData(
+      entry.appIdKey,
+      {
+        method: 'Target.didCommitProvisionalTarget',
+        params: {oldTargetId, newTargetId},
+      },
+      entry.pageIdKey,
+    );
+  }
+
+  /**
+   * Destroys a target and sends `Target.targetDestroyed` to the connected clients.
+   *
+   * @param targetId - The identifier of the target to destroy.
+   */
+  destroyTarget(targetId: TargetId): void {
+    const {appIdKey, pageIdKey} = this.requireTarget(targetId);
+    this._targets.delete(targetId);
+    this.sendData(
+      appIdKey,
+      {
+        method: 'Target.targetDestroyed',
+        params: {targetId},
+      },
+      pageIdKey,
+    );
+  }
+
+  /**
+   * Gets the identifier of the target currently attached to a page.
+   *
+   * @param appIdKey - The application identifier key.
+   * @param pageIdKey - The page identifier key.
+   * @returns The target identifier, or undefined if there is none.
+   */
+  getTargetId(appIdKey: string, pageIdKey: PageIdKey): TargetId | undefined {
+    let result: TargetId | undefined;
+    for (const [targetId, entry] of this._targets) {
+      if (entry.appIdKey === appIdKey && String(entry.pageIdKey) === String(pageIdKey)) {
+        // the most recent target wins, like after committing a provisional one
+        result = targetId;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Sends a protocol event from a target to the connected clients,
+   * e.g. 'Console.messageAdded' or 'Page.loadEventFired'.
+   *
+   * @param targetId - The identifier of the target emitting the event.
+   * @param method - The event name.
+   * @param params - The event parameters.
+   */
+  sendEvent(targetId: TargetId, method: string, params: StringRecord = {}): void {
+    const {appIdKey, pageIdKey} = this.requireTarget(targetId);
+    this.sendData(appIdKey, wrapTargetMessage(targetId, {method, params}), pageIdKey);
+  }
+
+  /**
+   * Sends a raw plist message to the connected clients.
+   *
+   * @param selector - The message selector, e.g. '_rpc_reportCurrentState:'.
+   * @param argument - The message argument dictionary.
+   */
+  broadcast(selector: string, argument: StringRecord): void {
+    for (const socket of this._sockets) {
+      writeMessage(socket, selector, argument);
+    }
+  }
+
+  /**
+   * Handles a new client connection by decoding the incoming frames.
+   *
+   * @param socket - The client socket.
+   */
+  protected onConnection(socket: net.Socket): void {
+    this._sockets.add(socket);
+    this.emit('connection', socket);
+
+    let buffer = Buffer.alloc(0);
+    socket.on('data', (chunk: Buffer) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      while (buffer.length >= HEADER_LENGTH) {
+        const frameLength = buffer.readUInt32BE(0);
+        if (buffer.length < HEADER_LENGTH + frameLength) {
+          break;
+        }
+        const payload = buffer.subarray(HEADER_LENGTH, HEADER_LENGTH + frameLength);
+        buffer = buffer.subarray(HEADER_LENGTH + frameLength);
+        // the client sends empty frames to flush the socket on real devices
+        if (payload.length === 0 || payload.toString().trim() === '') {
+          continue;
+        }
+        let message: StringRecord;
+        try {
+          message = plist.parsePlist(payload) as StringRecord;
+        } catch (err: any) {
+          log.warn(`Mock Web Inspector cannot parse the received frame: ${err.message}`);
+          continue;
+        }
+        this.handleMessage(socket, message).catch((err: any) => {
+          log.warn(`Mock Web Inspector failed to handle '${message.__selector}': ${err.message}`);
+        });
+      }
+    });
+    socket.on('error', (err) => log.debug(`Mock Web Inspector client socket error: ${err.message}`));
+    socket.on('close', () => this._sockets.delete(socket));
+  }
+
+  /**
+   * Handles a single message received from a client.
+   *
+   * @param socket - The client socket the message came from.
+   * @param message - The decoded plist message.
+   */
+  protected async handleMessage(socket: net.Socket, message: StringRecord): Promise<void> {
+    this.emit('message', message);
+    const argument: StringRecord = message.__argument ?? {};
+    switch (message.__selector) {
+      case '_rpc_reportIdentifier:':
+        if (this._automationAvailability) {
+          writeMessage(socket, '_rpc_reportCurrentState:', {
+            WIRAutomationAvailabilityKey: this._automationAvailability,
+          });
+        }
+        writeMessage(socket, '_rpc_reportConnectedApplicationList:', {
+          WIRApplicationDictionaryKey: Object.fromEntries(
+            [...this._applications.values()].map((app) => [app.id, toApplicationDict(app)]),
+          ),
+        });
+        writeMessage(socket, '_rpc_reportConnectedDriverList:', {WIRDriverDictionaryKey: {}});
+        return;
+      case '_rpc_forwardGetListing:': {
+        const app = this._applications.get(argument.WIRApplicationIdentifierKey);
+        if (app) {
+          writeMessage(socket, '_rpc_applicationSentListing:', {
+            WIRApplicationIdentifierKey: app.id,
+            WIRListingKey: toListingDict(app),
+          });
+        }
+        return;
+      }
+      case '_rpc_forwardSocketSetup:': {
+        const appIdKey = argument.WIRApplicationIdentifierKey;
+        const pageIdKey = argument.WIRPageIdentifierKey;
+        // like WebKit, messages from the page are addressed to the sender which has set it up
+        if (argument.WIRSenderKey) {
+          this._senderKeys.set(toPageKey(appIdKey, pageIdKey), argument.WIRSenderKey);
+        }
+        const targetId = this.getTargetId(appIdKey, pageIdKey);
+        if (targetId) {
+          // like WebKit, the existing target is announced to the new sender, e.g. after reconnecting
+          const {info: targetInfo} = this.requireTarget(targetId);
+          this.sendData(appIdKey, {method: 'Target.targetCreated', params: {targetInfo}}, pageIdKey);
+        } else if (this._autoCreateTargets && this._applications.has(appIdKey)) {
+          this.createTarget(appIdKey, pageIdKey);
+        }
+        return;
+      }
+      case '_rpc_forwardSocketData:':
+        await this.handleSocketData(socket, argument);
+        return;
+      case '_rpc_requestApplicationLaunch:':
+        this.emit('launchApplication', argument.WIRApplicationBundleIdentifierKey);
+        return;
+      default:
+        // e.g. '_rpc_forwardIndicateWebView:', which only highlights the web view
+        return;
+    }
+  }
+
+  /**
+   * Handles a `_rpc_forwardSocketData:` message, which carries either a command
+   * wrapped into `Target.sendMessageToTarget` or a direct `Target.*` command.
+   *
+   * @param socket - The client socket the message came from.
+   * @param argument - The message argument dictionary.
+   */
+  protected async handleSocketData(socket: net.Socket, argument: StringRecord): Promise<void> {
+    const appIdKey: string = argument.WIRApplicationIdentifierKey;
+    const pageIdKey: PageIdKey | undefined = argument.WIRPageIdentifierKey;
+    const data: StringRecord = JSON.parse(Buffer.from(argument.WIRSocketDataKey).toString('utf8'));
+    const reply = (payload: StringRecord) =>
+      writeMessage(
+        socket,
+        '_rpc_applicationSentData:',
+        toSentDataArgument(appIdKey, payload, this.getSenderKey(appIdKey, pageIdKey)),
+      );
+
+    if (data.method !== 'Target.sendMessageToTarget') {
+      const response = await this.runCommand({
+        id: data.id,
+        method: data.method,
+        params: data.params ?? {},
+        appIdKey,
+        pageIdKey,
+      });
+      reply({id: data.id, ...response});
+      return;
+    }
+
+    const {targetId, message} = data.params ?? {};
+    if (!this._targets.has(targetId)) {
+      reply({id: data.id, error: {message: MISSING_TARGET_ERROR, code: SERVER_ERROR_CODE}});
+      return;
+    }
+    // acknowledge the wrapper message first, like WebKit does
+    reply({id: data.id, result: {}});
+
+    const command = JSON.parse(message);
+    const response = await this.runCommand({
+      id: command.id,
+      method: command.method,
+      params: command.params ?? {},
+      appIdKey,
+      pageIdKey,
+      targetId,
+    });
+    reply(wrapTargetMessage(targetId, {id: command.id, ...response}));
+  }
+
+  /**
+   * Records a command and runs its handler.
+   *
+   * @param command - The received command.
+   * @returns Either the `result` or the `error` part of the response.
+   */
+  protected async runCommand(command: MockReceivedCommand): Promise<StringRecord> {
+    this.receivedCommands.push(command);
+    this.emit('command', command);
+
+    const {method, params, appIdKey, pageIdKey, targetId} = command;
+    const handler = this._commandHandlers.get(method) ?? this._defaultCommandHandler;
+    try {
+      const result = await handler(params, {method, appIdKey, pageIdKey, targetId});
+      return {result: result ?? {}};
+    } catch (err: any) {
+      return {
+        error: {
+          message: err.message,
+          code: err.code ?? SERVER_ERROR_CODE,
+        },
+      };
+    }
+  }
+
+  /**
+   * Sends a `_rpc_applicationSentData:` message to the connected clients.
+   *
+   * @param appIdKey - The application the data originates from.
+   * @param payload - The JSON payload.
+   * @param pageIdKey - The page the data originates from, if any.
+   */
+  protected sendData(appIdKey: string, payload: StringRecord, pageIdKey?: PageIdKey): void {
+    this.broadcast(
+      '_rpc_applicationSentData:',
+      toSentDataArgument(appIdKey, payload, this.getSenderKey(appIdKey, pageIdKey)),
+    );
+  }
+
+  private getSenderKey(appIdKey: string, pageIdKey?: PageIdKey): string | undefined {
+    return pageIdKey === undefined ? undefined : this._senderKeys.get(toPageKey(appIdKey, pageIdKey));
+  }
+
+  private requireApplication(appIdKey: string): MockApplication {
+    const app = this._applications.get(appIdKey);
+    if (!app) {
+      throw new Error(`The application '${appIdKey}' is unknown to the mock Web Inspector`);
+    }
+    return app;
+  }
+
+  private requireTarget(targetId: TargetId): TargetEntry {
+    const entry = this._targets.get(targetId);
+    if (!entry) {
+      throw new Error(`The target '${targetId}' is unknown to the mock Web Inspector`);
+    }
+    return entry;
+  }
+}
+
+/**
+ * Builds the protocol result of a `Runtime.evaluate` call returning the given value by value.
+ *
+ * @param value - The value the evaluation should return.
+ * @returns The `Runtime.evaluate` result object.
+ */
+export function toEvaluationResult(value: any): StringRecord {
+  return {
+    result: {
+      type: value === null ? 'object' : typeof value,
+      ...(value === null ? {subtype: 'null'} : {}),
+      value,
+    },
+    wasThrown: false,
+  };
+}
+
+/**
+ * The handler used for commands that have no dedicated handler. Enabling domains and
+ * the like just succeed, while `Runtime.evaluate` reports every page as loaded.
+ */
+function defaultHandler(params: StringRecord, {method}: MockCommandContext): any {
+  if (method === 'Runtime.evaluate') {
+    return toEvaluationResult(
+      util.hasValue(params.expression) && params.expression.includes('document.readyState') ? 'complete' : undefined,
+    );
+  }
+  if (method === 'Runtime.awaitPromise' || method === 'Runtime.callFunctionOn') {
+    return toEvaluationResult(undefined);
+  }
+  return {};
+}
+
+function toApplicationDict(app: MockApplication): StringRecord {
+  const dict: StringRecord = {
+    WIRApplicationIdentifierKey: app.id,
+    WIRApplicationBundleIdentifierKey: app.bundleId,
+    WIRApplicationNameKey: app.name ?? app.bundleId,
+    WIRIsApplicationProxyKey: !!app.isProxy,
+    WIRIsApplicationActiveKey: app.isActive === false ? 0 : 1,
+    WIRRemoteAutomationEnabledKey: app.isAutomationEnabled ?? true,
+  };
+  if (app.hostId) {
+    dict.WIRHostApplicationIdentifierKey = app.hostId;
+  }
+  return dict;
+}
+
+function toListingDict(app: MockApplication): StringRecord {
+  return Object.fromEntries(
+    (app.pages ?? []).map((page) => [
+      String(page.id),
+      {
+        WIRPageIdentifierKey: page.id,
+        WIRTitleKey: page.title,
+        WIRURLKey: page.url,
+        WIRTypeKey: page.type ?? 'WIRTypeWebPage',
+        ...(page.isKey ? {WIRConnectionIdentifierKey: util.uuidV4()} : {}),
+      },
+    ]),
+  );
+}
+
+function toSentDataArgument(appIdKey: string, payload: StringRecord, destinationKey?: string): StringRecord {
+  return {
+    WIRApplicationIdentifierKey: appIdKey,
+    WIRDestinationKey: destinationKey,
+    WIRMessageDataKey: Buffer.from(JSON.stringify(payload)),
+  };
+}
+
+function toPageKey(appIdKey: string, pageIdKey: PageIdKey): string {
+  return `${appIdKey}:${pageIdKey}`;
+}
+
+function wrapTargetMessage(targetId: TargetId, message: StringRecord): StringRecord {
+  return {
+    method: 'Target.dispatchMessageFromTarget',
+    params: {
+      targetId,
+      message: JSON.stringify(message),
+    },
+  };
+}
+
+function writeMessage(socket: net.Socket, selector: string, argument: StringRecord): void {
+  if (socket.destroyed) {
+    return;
+  }
+  const payload = plist.createBinaryPlist({
+    __selector: selector,
+    __argument: omitUndefined(argument),
+  });
+  const header = Buffer.alloc(HEADER_LENGTH);
+  header.writeUInt32BE(payload.length, 0);
+  socket.write(Buffer.concat([header, payload]));
+}
+
+function omitUndefined(obj: StringRecord): StringRecord {
+  return Object.fromEntries(Object.entries(obj).filter(([, value]) => value !== undefined));
+}
@@ -0,0 +1,3 @@
+export {TraceRecorder, TRACING_INSTRUMENTS} from './trace-recorder.js';
+export type * from './trace-recorder.js';
+export type * from './trace-event.js';
@@ -0,0 +1,46 @@
+/**
+ * Types of the JSON Trace Event Format, as loaded by Perfetto and chrome://tracing.
+ * https://docs.google.com/document/d/1CvAClvFfyA5R-PhYUmn5OOQtYMH4h6I0nSsKchNAySU
+ */
+
+export type TraceEventPhase = 'X' | 'i' | 'C' | 'M';
+
+export interface TraceEvent {
+  name: string;
+  cat: string;
+  ph: TraceEventPhase;
+  /** Microseconds */
+  ts: number;
+  /** Microseconds, for complete ('X') events */
+  dur?: number;
+  pid: number;
+  tid: number;
+  /** The scope of instant ('i') events */
+  s?: 't' | 'p' | 'g';
+  args?: Record<string, any>;
+}
+
+export interface TraceStackFrame {
+  name: string;
+  category: string;
+  /** The id of the calling frame in {@link Trace.stackFrames} */
+  parent?: string;
+}
+
+export interface TraceSample {
+  name: string;
+  /** Microseconds */
+  ts: number;
+  tid: number;
+  /** The id of the innermost frame in {@link Trace.stackFrames} */
+  sf: string;
+  weight: number;
+}
+
+export interface Trace {
+  traceEvents: TraceEvent[];
+  stackFrames: Record<string, TraceStackFrame>;
+  samples: TraceSample[];
+  displayTimeUnit: 'ms' | 'ns';
+  metadata?: Record<string, any>;
+}
@@ -0,0 +1,325 @@
+import type {StringRecord} from '@appium/types';
+
+import type {Trace, TraceEvent, TraceSample, TraceStackFrame} from './trace-event.js';
+
+const PROCESS_ID = 1;
+const MAIN_THREAD_ID = 1;
+const LONG_TASK_THRESHOLD_MS = 50;
+const RENDERING_RECORD_TYPES = new Set([
+  'ScheduleStyleRecalculation',
+  'RecalculateStyles',
+  'InvalidateLayout',
+  'Layout',
+  'Paint',
+  'Composite',
+  'RenderingFrame',
+]);
+const SCRIPT_RECORD_TYPES = new Set([
+  'EventDispatch',
+  'TimerFire',
+  'EvaluateScript',
+  'FunctionCall',
+  'FireAnimationFrame',
+  'ObserverCallback',
+]);
+
+/**
+ * The instruments of the `Timeline.setInstruments` protocol command that could be traced.
+ */
+export type TracingInstrument = 'Timeline' | 'ScriptProfiler' | 'CPU';
+
+export const TRACING_INSTRUMENTS: readonly TracingInstrument[] = ['Timeline', 'ScriptProfiler', 'CPU'];
+
+/**
+ * A record of the `Timeline.TimelineEvent` protocol type.
+ * Times are monotonic timestamps, in seconds.
+ */
+export interface TimelineRecord {
+  type: string;
+  data?: StringRecord;
+  startTime?: number;
+  endTime?: number;
+  children?: TimelineRecord[];
+}
+
+/**
+ * A top-level timeline record which blocked the main thread for 50ms or more.
+ */
+export interface LongTask {
+  type: string;
+  /** Milliseconds since the start of the trace */
+  startTimeMs: number;
+  durationMs: number;
+}
+
+/**
+ * The summary of the main thread work recorded in a trace.
+ */
+export interface TimelineMetrics {
+  durationMs: number;
+  layoutCount: number;
+  layoutDurationMs: number;
+  styleRecalcCount: number;
+  styleRecalcDurationMs: number;
+  /** Measured by the script profiler if it was traced, or by the timeline records otherwise */
+  scriptDurationMs: number;
+  longTasks: LongTask[];
+}
+
+/**
+ * A `ScriptProfiler.Event` protocol type, describing a script execution.
+ */
+interface ScriptEvent {
+  startTime: number;
+  endTime: number;
+  type: string;
+}
+
+/**
+ * A `CPUProfiler.Event` protocol type, describing the CPU usage at a point in time.
+ */
+interface CpuUsageEvent {
+  timestamp: number;
+  usage: number;
+  threads?: {name: string; usage: number}[];
+}
+
+/**
+ * A `ScriptProfiler.StackTrace` protocol type. The innermost frame comes first.
+ */
+interface StackTrace {
+  timestamp: number;
+  stackFrames: {name?: string; url?: string; line?: number; column?: number}[];
+}
+
+/**
+ * Collects Timeline, ScriptProfiler and CPUProfiler domain events, and converts them
+ * into the Trace Event Format. Events are expected to be fed through
+ * {@link TraceRecorder.handleEvent}, in the form they are delivered to `TracingEvent` listeners.
+ */
+export class TraceRecorder {
+  private readonly _records: TimelineRecord[];
+  private readonly _scriptEvents: ScriptEvent[];
+  private readonly _cpuUsageEvents: CpuUsageEvent[];
+  private readonly _stackTraces: StackTrace[];
+  private _startTime?: number;
+  private _endTime?: number;
+
+  constructor() {
+    this._records = [];
+    this._scriptEvents = [];
+    this._cpuUsageEvents = [];
+    this._stackTraces = [];
+  }
+
+  /**
+   * Handles a Timeline, ScriptProfiler or CPUProfiler domain event.
+   *
+   * @param method - The event name, e.g. 'Timeline.eventRecorded'.
+   * @param params - The event parameters.
+   */
+  handleEvent(method: string, params: StringRecord): void {
+    switch (method) {
+      case 'Timeline.recordingStarted':
+        this._startTime ??= params?.startTime;
+        break;
+      case 'Timeline.recordingStopped':
+        this._endTime = params?.endTime;
+        break;
+      case 'Timeline.eventRecorded': {
+        const record = params?.record ?? params;
+        if (record?.type) {
+          this._records.push(record);
+        }
+        break;
+      }
+      case 'ScriptProfiler.trackingUpdate':
+        if (params?.event) {
+          this._scriptEvents.push(params.event);
+        }
+        break;
+      case 'ScriptProfiler.trackingComplete':
+        this._stackTraces.push(...(params?.samples?.stackTraces ?? []));
+        break;
+      case 'CPUProfiler.trackingUpdate':
+        if (params?.event) {
+          this._cpuUsageEvents.push(params.event);
+        }
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Converts the collected events into the Trace Event Format. Timeline records become
+   * complete or instant events, script executions become complete events, the CPU usage
+   * becomes counter events and the script profiler samples become stack samples.
+   *
+   * @returns The trace, ready to be serialized as JSON.
+   */
+  toTrace(): Trace {
+    const traceEvents: TraceEvent[] = [
+      toMetadataEvent('process_name', {name: 'WebKit'}),
+      toMetadataEvent('thread_name', {name: 'Main Thread'}),
+    ];
+    const addRecord = ({type, data, startTime, endTime, children = []}: TimelineRecord) => {
+      if (startTime !== undefined) {
+        const event: TraceEvent = {
+          name: type,
+          cat: getRecordCategory(type),
+          ph: endTime === undefined ? 'i' : 'X',
+          ts: toMicroseconds(startTime),
+          pid: PROCESS_ID,
+          tid: MAIN_THREAD_ID,
+        };
+        if (endTime === undefined) {
+          event.s = 't';
+        } else {
+          event.dur = toMicroseconds(endTime - startTime);
+        }
+        if (data && Object.keys(data).length) {
+          event.args = {data};
+        }
+        traceEvents.push(event);
+      }
+      children.forEach(addRecord);
+    };
+    this._records.forEach(addRecord);
+
+    for (const {startTime, endTime, type} of this._scriptEvents) {
+      traceEvents.push({
+        name: 'JavaScript',
+        cat: 'scripting',
+        ph: 'X',
+        ts: toMicroseconds(startTime),
+        dur: toMicroseconds(endTime - startTime),
+        pid: PROCESS_ID,
+        tid: MAIN_THREAD_ID,
+        args: {type},
+      });
+    }
+    for (const {timestamp, usage, threads = []} of this._cpuUsageEvents) {
+      const args: Record<string, number> = {total: usage};
+      for (const {name, usage: threadUsage} of threads) {
+        args[name] = (args[name] ?? 0) + threadUsage;
+      }
+      traceEvents.push({
+        name: 'CPU usage',
+        cat: 'cpu',
+        ph: 'C',
+        ts: toMicroseconds(timestamp),
+        pid: PROCESS_ID,
+        tid: 0,
+        args,
+      });
+    }
+
+    const {stackFrames, samples} = this.toSamples();
+    return {traceEvents, stackFrames, samples, displayTimeUnit: 'ms'};
+  }
+
+  /**
+   * Summarizes the main thread work recorded so far.
+   *
+   * @returns The timeline metrics.
+   */
+  getTimelineMetrics(): TimelineMetrics {
+    const metrics: TimelineMetrics = {
+      durationMs: 0,
+      layoutCount: 0,
+      layoutDurationMs: 0,
+      styleRecalcCount: 0,
+      styleRecalcDurationMs: 0,
+      scriptDurationMs: 0,
+      longTasks: [],
+    };
+    const startTimes = this._records.flatMap(({startTime}) => (startTime === undefined ? [] : [startTime]));
+    const endTimes = this._records.flatMap(({endTime}) => (endTime === undefined ? [] : [endTime]));
+    const traceStartTime = this._startTime ?? (startTimes.length ? Math.min(...startTimes) : 0);
+    const traceEndTime = this._endTime ?? (endTimes.length ? Math.max(...endTimes) : traceStartTime);
+    metrics.durationMs = toMilliseconds(traceEndTime - traceStartTime);
+
+    let recordsScriptDuration = 0;
+    const visit = (record: TimelineRecord, inScript: boolean) => {
+      const durationMs = getDurationMs(record);
+      if (record.type === 'Layout') {
+        metrics.layoutCount++;
+        metrics.layoutDurationMs += durationMs;
+      } else if (record.type === 'RecalculateStyles') {
+        metrics.styleRecalcCount++;
+        metrics.styleRecalcDurationMs += durationMs;
+      }
+      // nested script records are already part of the outer ones
+      const isScript = SCRIPT_RECORD_TYPES.has(record.type);
+      if (isScript && !inScript) {
+        recordsScriptDuration += durationMs;
+      }
+      for (const child of record.children ?? []) {
+        visit(child, inScript || isScript);
+      }
+    };
+    for (const record of this._records) {
+      visit(record, false);
+      const durationMs = getDurationMs(record);
+      if (durationMs >= LONG_TASK_THRESHOLD_MS && record.startTime !== undefined) {
+        metrics.longTasks.push({
+          type: record.type,
+          startTimeMs: toMilliseconds(record.startTime - traceStartTime),
+          durationMs,
+        });
+      }
+    }
+    metrics.scriptDurationMs = this._scriptEvents.length
+      ? this._scriptEvents.reduce((total, {startTime, endTime}) => total + toMilliseconds(endTime - startTime), 0)
+      : recordsScriptDuration;
+    return metrics;
+  }
+
+  private toSamples(): Pick<Trace, 'stackFrames' | 'samples'> {
+    const stackFrames: Record<string, TraceStackFrame> = {};
+    const frameIds = new Map<string, string>();
+    const samples: TraceSample[] = [];
+    for (const {timestamp, stackFrames: frames} of this._stackTraces) {
+      let parent: string | undefined;
+      for (const {name, url = '', line = 0, column = 0} of [...frames].reverse()) {
+        const frameName = `${name || '(anonymous function)'}${url ? ` ${url}:${line}:${column}` : ''}`;
+        const key = `${parent ?? ''}\n${frameName}`;
+        let id = frameIds.get(key);
+        if (!id) {
+          id = String(frameIds.size + 1);
+          frameIds.set(key, id);
+          stackFrames[id] = {name: frameName, category: 'JavaScript', ...(parent ? {parent} : {})};
+        }
+        parent = id;
+      }
+      if (parent) {
+        samples.push({name: 'sample', ts: toMicroseconds(timestamp), tid: MAIN_THREAD_ID, sf: parent, weight: 1});
+      }
+    }
+    return {stackFrames, samples};
+  }
+}
+
+function toMetadataEvent(name: string, args: Record<string, any>): TraceEvent {
+  return {name, cat: '__metadata', ph: 'M', ts: 0, pid: PROCESS_ID, tid: MAIN_THREAD_ID, args};
+}
+
+function getRecordCategory(type: string): string {
+  if (RENDERING_RECORD_TYPES.has(type)) {
+    return 'rendering';
+  }
+  return SCRIPT_RECORD_TYPES.has(type) ? 'scripting' : 'timeline';
+}
+
+function getDurationMs({startTime, endTime}: TimelineRecord): number {
+  return startTime === undefined || endTime === undefined ? 0 : toMilliseconds(endTime - startTime);
+}
+
+function toMicroseconds(seconds: number): number {
+  return Math.round(seconds * 1e6);
+}
+
+function toMilliseconds(seconds: number): number {
+  return Math.round(seconds * 1e6) / 1e3;
+}
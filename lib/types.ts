@@ -31,7 +31,7 @@ export interface Page {
 
 export type AppDict = StringRecord<AppInfo>;
 
-export type EventListener = (error?: Error, event?: StringRecord, method?: string) => any;
+export type EventListener = (error?: Error, event?: StringRecord, method?: string, origin?: MessageOrigin) => any;
 
 export interface RemoteDebuggerOptions {
   /** id of the app being connected to */
@@ -73,6 +73,44 @@ export interface RemoteDebuggerOptions {
   targetCreationTimeoutMs?: number;
   pageLoadStrategy?: string;
   log?: AppiumLogger;
+  /** path to a JSONL file to record all the Web Inspector communication to, for later replay */
+  sessionRecordingPath?: string;
+  /**
+   * path to a JSONL file created with `sessionRecordingPath`. If set, no connection to
+   * the Web Inspector is made, and the recorded session is replayed instead
+   */
+  sessionReplayPath?: string;
+  /** the maximum number of console messages kept for `getConsoleLogs`. Defaults to 1000 */
+  consoleBufferSize?: number;
+  /**
+   * check the parameters of the protocol commands against the protocol schemas before sending them,
+   * so an invalid parameter fails the command instead of being ignored by the Web Inspector
+   */
+  validateProtocolParams?: boolean;
+  /**
+   * fail the protocol commands which are not available on the `platformVersion`, according to the
+   * protocol snapshots of the iOS versions, before sending them
+   */
+  checkCommandAvailability?: boolean;
+  /**
+   * re-establish the connection if the Web Inspector connection goes away unexpectedly.
+   * If not set, the debugger stays disconnected
+   */
+  reconnect?: ReconnectOptions;
+}
+
+/**
+ * The policy of re-establishing a lost Web Inspector connection.
+ */
+export interface ReconnectOptions {
+  /** how many times to try to reconnect before giving up. Defaults to 5 */
+  maxAttempts?: number;
+  /** how long to wait before the first attempt, in milliseconds. Defaults to 500 */
+  initialDelayMs?: number;
+  /** the maximum time to wait between attempts, in milliseconds. Defaults to 10000 */
+  maxDelayMs?: number;
+  /** how much longer to wait before each next attempt. Defaults to 2 */
+  backoffFactor?: number;
 }
 
 export type RemoteDebuggerRealDeviceOptions = RemoteDebuggerRealDeviceSpecificOptions & RemoteDebuggerOptions;
@@ -92,6 +130,12 @@ export interface RpcClientOptions {
   pageLoadTimeoutMs?: number;
   udid?: string;
   targetCreationTimeoutMs?: number;
+  /** path to a JSONL file to record all the Web Inspector communication to */
+  sessionRecordingPath?: string;
+  /** check the parameters of the protocol commands against the protocol schemas before sending them */
+  validateProtocolParams?: boolean;
+  /** fail the protocol commands which are not available on the `platformVersion` before sending them */
+  checkCommandAvailability?: boolean;
 }
 
 /**
@@ -106,6 +150,14 @@ export interface RpcClientSimulatorOptions {
 
 export type AppIdKey = string | number;
 
+/**
+ * The application and target a Web Inspector message has been sent from.
+ */
+export interface MessageOrigin {
+  appIdKey?: AppIdKey;
+  targetId?: TargetId;
+}
+
 export type PageIdKey = string | number;
 export type TargetId = string;
 export interface RemoteCommandId {
@@ -121,6 +173,8 @@ export interface RemoteCommandOpts {
   targetId?: TargetId;
   bundleId?: string;
   enabled?: boolean;
+  /** resolve with the result as the Web Inspector has sent it, without unwrapping the values of the evaluations */
+  rawResult?: boolean;
   [key: string]: any;
 }
 
@@ -130,6 +184,35 @@ export interface ProtocolCommandOpts {
   params: StringRecord;
 }
 
+/**
+ * The JSON type of a protocol value, with the `$ref`s of the WebKit protocol schemas resolved.
+ */
+export interface ProtocolValueSchema {
+  type: 'string' | 'integer' | 'number' | 'boolean' | 'object' | 'array' | 'any';
+  enum?: string[];
+  /** The type of the items, for arrays */
+  items?: ProtocolValueSchema;
+}
+
+export interface ProtocolParameterSchema extends ProtocolValueSchema {
+  name: string;
+  optional?: boolean;
+}
+
+export interface ProtocolCommandSchema {
+  parameters: ProtocolParameterSchema[];
+}
+
+/**
+ * The iOS versions a protocol domain or command is supported on.
+ */
+export interface ProtocolAvailability {
+  /** the first version supporting it */
+  since?: string;
+  /** the first version not supporting it anymore */
+  until?: string;
+}
+
 export type RawRemoteCommand = RemoteCommandTemplated<StringRecord>;
 
 export type RemoteCommand = RemoteCommandTemplated<Buffer>;
@@ -17,3 +17,37 @@ export class TimeoutError extends Error {
     this.name = 'TimeoutError';
   }
 }
+
+/**
+ * Error thrown when the connection to the Web Inspector is lost while a command
+ * is in flight, or a command is sent after that. The command could be retried
+ * once the connection has been re-established.
+ */
+export class ConnectionLostError extends Error {
+  readonly retriable = true;
+
+  constructor(message: string = 'The connection to the Web Inspector has been lost') {
+    super(message);
+    this.name = 'ConnectionLostError';
+  }
+}
+
+/**
+ * Error thrown when a protocol command is not supported by the iOS version of the device.
+ */
+export class UnsupportedCommandError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'UnsupportedCommandError';
+  }
+}
+
+/**
+ * Error thrown when the parameters of a protocol command do not match its protocol schema.
+ */
+export class ProtocolParamsError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'ProtocolParamsError';
+  }
+}
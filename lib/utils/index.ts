@@ -1,7 +1,19 @@
-export {DelayCancellation, TimeoutError} from './errors.js';
+export {
+  ConnectionLostError,
+  DelayCancellation,
+  ProtocolParamsError,
+  TimeoutError,
+  UnsupportedCommandError,
+} from './errors.js';
 export {defaults, deepEqual, checkParams} from './object.js';
 
-export {WEB_CONTENT_BUNDLE_ID, appInfoFromDict, pageArrayFromDict, appIdsForBundle} from './inspector.js';
+export {
+  WEB_CONTENT_BUNDLE_ID,
+  appInfoFromDict,
+  pageArrayFromDict,
+  appIdsForBundle,
+  checkProtocolResponse,
+} from './inspector.js';
 export {RESPONSE_LOG_LENGTH, simpleStringify, convertJavascriptEvaluationResult} from './javascript.js';
 export {getModuleRoot, getModuleProperties} from './module.js';
 export {canUseWebInspectorShim} from './platform.js';
@@ -96,3 +96,21 @@ export function appIdsForBundle(bundleId: string, appDict: AppDict): string[] {
 
   return util.uniq(appIds);
 }
+
+/**
+ * Checks the response of a protocol command sent to a page. Protocol errors are
+ * delivered as responses rather than rejections, because they come as whole
+ * protocol messages with the message id.
+ *
+ * @param command - The name of the command, for the error message.
+ * @param res - The response received from the Web Inspector.
+ * @returns The response, if it is not an error.
+ * @throws Error if the response is a protocol error.
+ */
+export function checkProtocolResponse<T = any>(command: string, res: T): T {
+  const {error, id} = (res ?? {}) as StringRecord;
+  if (error && id !== undefined) {
+    throw new Error(`'${command}' has failed: ${error.message ?? JSON.stringify(error)}`);
+  }
+  return res;
+}
@@ -0,0 +1,387 @@
+import path from 'node:path';
+import {fileURLToPath} from 'node:url';
+import {parseArgs} from 'node:util';
+
+import {fs, logger, util} from '@appium/support';
+import {exec} from 'teen_process';
+
+const log = logger.getLogger('Protocol');
+
+const WORKING_ROOT_DIR = path.resolve(fileURLToPath(import.meta.url), '..', '..');
+const PROTOCOL_DIRECTORY = path.resolve(WORKING_ROOT_DIR, 'inspector', 'protocol');
+const VERSIONS_DIRECTORY = path.resolve(WORKING_ROOT_DIR, 'inspector', 'versions');
+const REVISION_PATH = path.resolve(WORKING_ROOT_DIR, 'inspector', 'REVISION');
+const OUTPUT_DIRECTORY = path.resolve(WORKING_ROOT_DIR, 'lib', 'protocol', 'generated');
+
+const HEADER = `// Generated by scripts/generate-protocol.mjs from the inspector/ schemas. Do not edit by hand,
+// change the schemas and run 'npm run generate:protocol' instead.
+`;
+
+const PRIMITIVE_TS_TYPES = {
+  string: 'string',
+  integer: 'number',
+  number: 'number',
+  boolean: 'boolean',
+  any: 'any',
+  object: 'Record<string, any>',
+};
+const EMPTY_TS_TYPE = 'Record<string, never>';
+
+// where the schemas are in a WebKit checkout
+const WEBKIT_PROTOCOL_DIRECTORY = path.join('Source', 'JavaScriptCore', 'inspector', 'protocol');
+const WEBKIT_VERSIONS_DIRECTORY = path.join('Source', 'WebInspectorUI', 'Versions');
+const IOS_VERSION_PATTERN = /^Inspector-iOS-(\d+(?:\.\d+)*)\.json$/;
+
+/**
+ * Reads the domains of JSON files. A file holds either one domain, like WebKit's
+ * Source/JavaScriptCore/inspector/protocol/*.json, or a `domains` list, like the snapshots
+ * of Source/WebInspectorUI/Versions.
+ *
+ * @param {string} directory
+ * @param {string[]} names - The names of the files in the directory.
+ * @returns {Promise<any[]>}
+ */
+async function readDomains(directory, names) {
+  const domains = [];
+  for (const name of names) {
+    const json = JSON.parse(await fs.readFile(path.resolve(directory, name), 'utf8'));
+    domains.push(...(json.domains ?? [json]));
+  }
+  return domains;
+}
+
+/**
+ * Reads the protocol snapshots of the iOS versions in inspector/versions, if any.
+ *
+ * @returns {Promise<{version: string, domains: any[]}[]>} From the oldest version to the newest one.
+ */
+async function readVersionSnapshots() {
+  if (!(await fs.exists(VERSIONS_DIRECTORY))) {
+    return [];
+  }
+  const versions = (await fs.readdir(VERSIONS_DIRECTORY))
+    .map((name) => IOS_VERSION_PATTERN.exec(name)?.[1])
+    .filter(Boolean)
+    .sort((a, b) => (util.compareVersions(a, '<', b) ? -1 : 1));
+  const snapshots = [];
+  for (const version of versions) {
+    snapshots.push({version, domains: await readDomains(VERSIONS_DIRECTORY, [`Inspector-iOS-${version}.json`])});
+  }
+  return snapshots;
+}
+
+/**
+ * Copies the protocol schemas and the iOS version snapshots of a WebKit checkout into inspector/,
+ * and records the revision of the checkout in inspector/REVISION.
+ *
+ * @param {string} webkitDir - The root of the WebKit checkout.
+ */
+async function vendorSchemas(webkitDir) {
+  const {stdout} = await exec('git', ['rev-parse', 'HEAD'], {cwd: webkitDir});
+  for (const [source, destination, pattern] of [
+    [WEBKIT_PROTOCOL_DIRECTORY, PROTOCOL_DIRECTORY, /\.json$/],
+    [WEBKIT_VERSIONS_DIRECTORY, VERSIONS_DIRECTORY, IOS_VERSION_PATTERN],
+  ]) {
+    await fs.rimraf(destination);
+    await fs.mkdir(destination, {recursive: true});
+    const names = (await fs.readdir(path.resolve(webkitDir, source))).filter((name) => pattern.test(name));
+    for (const name of names) {
+      await fs.copyFile(path.resolve(webkitDir, source, name), path.resolve(destination, name));
+    }
+    log.info(`Copied ${names.length} files from '${path.resolve(webkitDir, source)}'`);
+  }
+  await fs.writeFile(REVISION_PATH, `${stdout.trim()}\n`);
+}
+
+/**
+ * Adds the commands and the types which have been removed from WebKit, but are still in the
+ * snapshots of older iOS versions, to the current domains.
+ *
+ * @param {any[]} domains - The current domains.
+ * @param {{version: string, domains: any[]}[]} snapshots
+ * @returns {any[]}
+ */
+function mergeRemovedCommands(domains, snapshots) {
+  const merged = new Map(
+    domains.map((domain) => [
+      domain.domain,
+      {...domain, types: [...(domain.types ?? [])], commands: [...(domain.commands ?? [])]},
+    ]),
+  );
+  for (const {domains: snapshotDomains} of snapshots) {
+    for (const {domain, types = [], commands = []} of snapshotDomains) {
+      const current = merged.get(domain);
+      if (!current) {
+        continue;
+      }
+      current.types.push(...types.filter(({id}) => !current.types.some((type) => type.id === id)));
+      current.commands.push(...commands.filter(({name}) => !current.commands.some((command) => command.name === name)));
+    }
+  }
+  return [...merged.values()];
+}
+
+/**
+ * Finds the first iOS version each domain and each command is available in, and the first one
+ * it has been removed from, by looking them up in the snapshots of the iOS versions. The domains
+ * and the commands which are in all the snapshots, or in none of them, are not listed.
+ *
+ * @param {any[]} domains - The current domains.
+ * @param {{version: string, domains: any[]}[]} snapshots - From the oldest version to the newest one.
+ * @returns {Record<string, import('../lib/types.js').ProtocolAvailability>}
+ */
+function findAvailability(domains, snapshots) {
+  const toNames = (snapshotDomains) =>
+    new Set(
+      snapshotDomains.flatMap(({domain, commands = []}) => [domain, ...commands.map(({name}) => `${domain}.${name}`)]),
+    );
+  const current = toNames(domains);
+  const versions = snapshots.map(({version, domains: snapshotDomains}) => ({version, names: toNames(snapshotDomains)}));
+  const latest = versions.at(-1)?.names ?? new Set();
+
+  const availability = {};
+  for (const name of current) {
+    const first = versions.findIndex(({names}) => names.has(name));
+    if (first < 0) {
+      continue;
+    }
+    /** @type {import('../lib/types.js').ProtocolAvailability} */
+    const range = {};
+    if (first > 0) {
+      range.since = versions[first].version;
+    }
+    if (!latest.has(name)) {
+      range.until = versions[versions.findLastIndex(({names}) => names.has(name)) + 1].version;
+    }
+    if (range.since || range.until) {
+      availability[name] = range;
+    }
+  }
+  return availability;
+}
+
+/**
+ * @param {string} name
+ */
+function capitalize(name) {
+  return `${name[0].toUpperCase()}${name.slice(1)}`;
+}
+
+/**
+ * @param {string} [description]
+ * @param {string} indent
+ */
+function toDocComment(description, indent) {
+  if (!description) {
+    return '';
+  }
+  const text = description
+    .replace(/<\/?code>/g, '`')
+    .replace(/<[^>]+>/g, '')
+    .replace(/\*\//g, '*\\/');
+  return `${indent}/** ${text} */\n`;
+}
+
+/**
+ * Makes a `$ref` fully qualified with the domain it belongs to.
+ *
+ * @param {string} ref
+ * @param {string} domain
+ */
+function qualify(ref, domain) {
+  return ref.includes('.') ? ref : `${domain}.${ref}`;
+}
+
+/**
+ * @param {Map<string, any>} types - All the types of all the domains, by their qualified ids.
+ */
+function createTypeResolver(types) {
+  /**
+   * @param {any} schema - A type, a property or a parameter.
+   * @param {string} domain - The domain the schema is declared in.
+   * @returns {string} The TypeScript type.
+   */
+  function toTsType(schema, domain) {
+    if (schema.$ref) {
+      const ref = qualify(schema.$ref, domain);
+      if (!types.has(ref)) {
+        throw new Error(`Unknown type '${schema.$ref}' referenced from the '${domain}' domain`);
+      }
+      return ref.startsWith(`${domain}.`) ? ref.slice(domain.length + 1) : ref;
+    }
+    if (schema.enum) {
+      return schema.enum.map((value) => `'${value}'`).join(' | ');
+    }
+    if (schema.type === 'array') {
+      const itemType = toTsType(schema.items ?? {type: 'any'}, domain);
+      return /[ |]/.test(itemType) ? `(${itemType})[]` : `${itemType}[]`;
+    }
+    if (schema.type === 'object' && schema.properties) {
+      return toTsObject(schema.properties, domain, '  ');
+    }
+    const primitive = PRIMITIVE_TS_TYPES[schema.type];
+    if (!primitive) {
+      throw new Error(`Unknown type '${schema.type}' in the '${domain}' domain`);
+    }
+    return primitive;
+  }
+
+  /**
+   * @param {any[]} [properties]
+   * @param {string} domain
+   * @param {string} indent - The indentation of the closing brace.
+   */
+  function toTsObject(properties, domain, indent) {
+    if (!properties?.length) {
+      return EMPTY_TS_TYPE;
+    }
+    const members = properties.map(
+      (property) =>
+        toDocComment(property.description, `${indent}  `) +
+        `${indent}  ${property.name}${property.optional ? '?' : ''}: ${toTsType(property, domain)};\n`,
+    );
+    return `{\n${members.join('')}${indent}}`;
+  }
+
+  /**
+   * Resolves the `$ref`s down to the JSON type the runtime validation checks the values against.
+   *
+   * @param {any} schema
+   * @param {string} domain
+   * @returns {import('../lib/types.js').ProtocolValueSchema}
+   */
+  function toValueSchema(schema, domain) {
+    if (schema.$ref) {
+      const ref = qualify(schema.$ref, domain);
+      return toValueSchema(types.get(ref), ref.split('.')[0]);
+    }
+    /** @type {import('../lib/types.js').ProtocolValueSchema} */
+    const result = {type: schema.type};
+    if (schema.enum) {
+      result.enum = schema.enum;
+    }
+    if (schema.type === 'array' && schema.items) {
+      result.items = toValueSchema(schema.items, domain);
+    }
+    return result;
+  }
+
+  return {toTsType, toTsObject, toValueSchema};
+}
+
+/**
+ * @param {any[]} domains
+ * @param {ReturnType<typeof createTypeResolver>} resolver
+ */
+function generateTypes(domains, {toTsType, toTsObject}) {
+  const namespaces = [];
+  const commands = [];
+  const events = [];
+  for (const {domain, description, types = [], commands: domainCommands = [], events: domainEvents = []} of domains) {
+    const members = [];
+    for (const type of types) {
+      const doc = toDocComment(type.description, '  ');
+      if (type.type === 'object' && type.properties) {
+        members.push(`${doc}  export interface ${type.id} ${toTsObject(type.properties, domain, '  ')}\n`);
+      } else {
+        members.push(`${doc}  export type ${type.id} = ${toTsType(type, domain)};\n`);
+      }
+    }
+    for (const command of domainCommands) {
+      const name = capitalize(command.name);
+      members.push(
+        toDocComment(`Parameters of '${domain}.${command.name}'.`, '  ') +
+          `  export type ${name}Params = ${toTsObject(command.parameters, domain, '  ')};\n`,
+        toDocComment(`Result of '${domain}.${command.name}'.`, '  ') +
+          `  export type ${name}Result = ${toTsObject(command.returns, domain, '  ')};\n`,
+      );
+      commands.push(
+        toDocComment(command.description, '  ') +
+          `  '${domain}.${command.name}': {params: ${domain}.${name}Params; result: ${domain}.${name}Result};\n`,
+      );
+    }
+    for (const event of domainEvents) {
+      const name = `${capitalize(event.name)}Event`;
+      members.push(
+        toDocComment(event.description, '  ') +
+          `  export type ${name} = ${toTsObject(event.parameters, domain, '  ')};\n`,
+      );
+      events.push(`  '${domain}.${event.name}': ${domain}.${name};\n`);
+    }
+    if (members.length) {
+      namespaces.push(`${toDocComment(description, '')}export namespace ${domain} {\n${members.join('\n')}}\n`);
+    }
+  }
+  return (
+    `${HEADER}\n${namespaces.join('\n')}\n` +
+    `/**\n * The parameters and the results of the protocol commands, by their method names.\n */\n` +
+    `export interface ProtocolCommands {\n${commands.join('')}}\n\n` +
+    `/**\n * The payloads of the protocol events, by their method names.\n */\n` +
+    `export interface ProtocolEvents {\n${events.join('')}}\n`
+  );
+}
+
+/**
+ * @param {any[]} domains
+ * @param {Record<string, import('../lib/types.js').ProtocolAvailability>} availability
+ * @param {ReturnType<typeof createTypeResolver>} resolver
+ */
+function generateSchema(domains, availability, {toValueSchema}) {
+  const commands = [];
+  for (const {domain, commands: domainCommands = []} of domains) {
+    for (const command of domainCommands) {
+      const parameters = (command.parameters ?? []).map((parameter) => ({
+        name: parameter.name,
+        ...(parameter.optional ? {optional: true} : {}),
+        ...toValueSchema(parameter, domain),
+      }));
+      commands.push(`  '${domain}.${command.name}': {parameters: ${JSON.stringify(parameters)}},\n`);
+    }
+  }
+  const iosAvailability = Object.entries(availability).map(
+    ([name, range]) => `  '${name}': ${JSON.stringify(range)},\n`,
+  );
+  return (
+    `${HEADER}\nimport type {ProtocolAvailability, ProtocolCommandSchema} from '../../types.js';\n\n` +
+    `/**\n * The parameters of the protocol commands, by their method names.\n */\n` +
+    `export const PROTOCOL_COMMANDS: Readonly<Record<string, ProtocolCommandSchema>> = {\n${commands.join('')}};\n\n` +
+    `/**\n * The iOS versions supporting the protocol domains and commands, by their names.\n` +
+    ` * Domains and commands which are not listed are supported by all the iOS versions.\n */\n` +
+    `export const IOS_AVAILABILITY: Readonly<Record<string, ProtocolAvailability>> = {\n${iosAvailability.join('')}};\n`
+  );
+}
+
+async function generateProtocol() {
+  const {values} = parseArgs({options: {webkit: {type: 'string'}}});
+  if (values.webkit) {
+    await vendorSchemas(path.resolve(values.webkit));
+  }
+
+  const names = (await fs.readdir(PROTOCOL_DIRECTORY)).filter((name) => name.endsWith('.json')).sort();
+  const snapshots = await readVersionSnapshots();
+  const domains = mergeRemovedCommands(await readDomains(PROTOCOL_DIRECTORY, names), snapshots);
+  const availability = findAvailability(domains, snapshots);
+
+  const types = new Map();
+  for (const {domain, types: domainTypes = []} of domains) {
+    for (const type of domainTypes) {
+      types.set(`${domain}.${type.id}`, type);
+    }
+  }
+  const resolver = createTypeResolver(types);
+
+  await fs.mkdir(OUTPUT_DIRECTORY, {recursive: true});
+  const typesPath = path.resolve(OUTPUT_DIRECTORY, 'types.ts');
+  const schemaPath = path.resolve(OUTPUT_DIRECTORY, 'schema.ts');
+  await fs.writeFile(typesPath, generateTypes(domains, resolver));
+  await fs.writeFile(schemaPath, generateSchema(domains, availability, resolver));
+  // format them like the rest of the sources, so that regenerating them does not make a diff
+  await exec('oxfmt', ['-c', 'oxfmt.config.mjs', typesPath, schemaPath], {cwd: WORKING_ROOT_DIR});
+  log.info(
+    `Generated the protocol of ${domains.length} domains and ${snapshots.length} iOS versions into '${OUTPUT_DIRECTORY}'`,
+  );
+}
+
+(async () => {
+  await generateProtocol();
+})();
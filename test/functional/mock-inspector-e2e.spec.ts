@@ -0,0 +1,881 @@
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import {afterEach, beforeEach, describe, it} from 'node:test';
+
+import {fs, tempDir} from '@appium/support';
+import {retryInterval, waitForCondition} from 'asyncbox';
+
+import {runCli} from '../../lib/cli/cli.js';
+import {ConnectionLostError, createRemoteDebugger, diffHeapSnapshots, readSessionRecording} from '../../lib/index.js';
+import type {TracingInstrument} from '../../lib/index.js';
+import {RemoteDebugger} from '../../lib/remote-debugger.js';
+import {toEvaluationResult} from '../../lib/testing/index.js';
+import {
+  MOCK_APP_ID,
+  MOCK_PAGE_ID,
+  MOCK_PAGE_TITLE,
+  MOCK_PAGE_URL,
+  useMockInspectorFixture,
+} from './mock-inspector-fixture.js';
+
+describe('Remote debugger against a mock Web Inspector', function () {
+  const fixture = useMockInspectorFixture();
+
+  it('should connect and report the connected applications', async function () {
+    const appDict = await fixture.rd().connect(5000);
+    assert.deepStrictEqual(Object.keys(appDict), [MOCK_APP_ID]);
+    assert.strictEqual(appDict[MOCK_APP_ID].bundleId, 'com.apple.mobilesafari');
+  });
+
+  it('should select the app and list its pages', async function () {
+    await fixture.rd().connect(5000);
+    const pages = await fixture.rd().selectApp(MOCK_PAGE_URL, 1);
+    assert.deepStrictEqual(
+      pages.map(({id, title, url}) => ({id, title, url})),
+      [{id: `42.${MOCK_PAGE_ID}`, title: MOCK_PAGE_TITLE, url: MOCK_PAGE_URL}],
+    );
+  });
+
+  it('should select a page and initialize its target', async function () {
+    await fixture.selectTestPage();
+
+    const targetId = fixture.server().getTargetId(MOCK_APP_ID, MOCK_PAGE_ID);
+    assert.ok(targetId);
+    const methods = fixture.server().receivedCommands.map(({method}) => method);
+    for (const method of ['Target.setPauseOnStart', 'Inspector.enable', 'Page.enable', 'Inspector.initialized']) {
+      assert.ok(methods.includes(method), `'${method}' was not sent`);
+    }
+  });
+
+  it('should execute javascript through the pluggable handler', async function () {
+    fixture
+      .server()
+      .setCommandHandler('Runtime.evaluate', ({expression}) =>
+        toEvaluationResult(expression === 'document.readyState;' ? 'complete' : `evaluated: ${expression}`),
+      );
+    await fixture.selectTestPage();
+
+    assert.strictEqual(await fixture.rd().execute('1 + 1'), 'evaluated: 1 + 1');
+  });
+
+  it('should surface exceptions thrown by the page', async function () {
+    await fixture.selectTestPage();
+    fixture.server().setCommandHandler('Runtime.evaluate', () => ({
+      result: {type: 'object', subtype: 'error', description: 'ReferenceError: foo is not defined'},
+      wasThrown: true,
+    }));
+
+    await assert.rejects(fixture.rd().execute('foo()'), /ReferenceError: foo is not defined/);
+  });
+
+  it('should follow provisional targets', async function () {
+    await fixture.selectTestPage();
+    const server = fixture.server();
+    const oldTargetId = server.getTargetId(MOCK_APP_ID, MOCK_PAGE_ID) as string;
+
+    const {targetId: newTargetId} = server.createTarget(MOCK_APP_ID, MOCK_PAGE_ID, {
+      isProvisional: true,
+      isPaused: true,
+    });
+    server.commitProvisionalTarget(oldTargetId, newTargetId);
+    server.destroyTarget(oldTargetId);
+
+    server.setCommandHandler('Runtime.evaluate', (_params, {targetId}) => toEvaluationResult(targetId));
+    await retryInterval(20, 100, async () => {
+      assert.strictEqual(await fixture.rd().execute('1'), newTargetId);
+    });
+  });
+
+  it('should drive several pages at once', async function () {
+    await fixture.selectTestPage();
+    const server = fixture.server();
+    const first = await fixture.rd().page(MOCK_APP_ID, MOCK_PAGE_ID, true);
+    const second = await fixture.rd().page(MOCK_APP_ID, 2, true);
+    assert.strictEqual(await fixture.rd().page(MOCK_APP_ID, 2, true), second);
+    assert.deepStrictEqual(fixture.rd().getPages(), [first, second]);
+
+    server.setCommandHandler('Runtime.evaluate', (_params, {targetId}) => toEvaluationResult(targetId));
+    const firstTargetId = server.getTargetId(MOCK_APP_ID, MOCK_PAGE_ID) as string;
+    const secondTargetId = server.getTargetId(MOCK_APP_ID, 2) as string;
+    assert.deepStrictEqual(await Promise.all([first.execute('1'), second.execute('1')]), [
+      firstTargetId,
+      secondTargetId,
+    ]);
+
+    // the first page gets a new target while the second one is the last selected page
+    server.destroyTarget(firstTargetId);
+    const {targetId: newTargetId} = server.createTarget(MOCK_APP_ID, MOCK_PAGE_ID);
+    await retryInterval(20, 100, async () => {
+      assert.strictEqual(await first.execute('1'), newTargetId);
+    });
+    assert.strictEqual(await second.execute('1'), secondTargetId);
+
+    const loadedPages: string[] = [];
+    first.on('Page.loadEventFired', () => loadedPages.push('first'));
+    second.on('Page.loadEventFired', () => loadedPages.push('second'));
+    server.sendEvent(secondTargetId, 'Page.loadEventFired', {timestamp: 1});
+    await retryInterval(20, 100, async () => {
+      assert.deepStrictEqual(loadedPages, ['second']);
+    });
+  });
+
+  it('should emit page change events when the listing changes', async function () {
+    await fixture.selectTestPage();
+    const pageChange = new Promise<any>((resolve) => fixture.rd().once(RemoteDebugger.EVENT_PAGE_CHANGE, resolve));
+
+    fixture.server().setPages(MOCK_APP_ID, [
+      {id: MOCK_PAGE_ID, url: MOCK_PAGE_URL, title: MOCK_PAGE_TITLE},
+      {id: 2, url: 'about:blank', title: ''},
+    ]);
+
+    const {appIdKey, pageArray} = await pageChange;
+    assert.strictEqual(appIdKey, '42');
+    assert.strictEqual(pageArray.length, 2);
+  });
+
+  it('should capture network events into a HAR', async function () {
+    await fixture.selectTestPage();
+    const server = fixture.server();
+    const targetId = server.getTargetId(MOCK_APP_ID, MOCK_PAGE_ID) as string;
+    server.setCommandHandler('Network.getResponseBody', ({requestId}) => {
+      if (requestId === '1.2') {
+        throw new Error('No resource with given identifier found');
+      }
+      return {body: `body of ${requestId}`, base64Encoded: false};
+    });
+    await fixture.rd().startHarCapture({captureContent: true});
+
+    for (const requestId of ['1.1', '1.2']) {
+      server.sendEvent(targetId, 'Network.requestWillBeSent', {
+        requestId,
+        request: {url: MOCK_PAGE_URL, method: 'GET', headers: {}},
+        timestamp: 1,
+        walltime: 1700000000,
+        type: 'Document',
+      });
+      server.sendEvent(targetId, 'Network.responseReceived', {
+        requestId,
+        timestamp: 1.05,
+        type: 'Document',
+        response: {url: MOCK_PAGE_URL, status: 200, statusText: 'OK', headers: {}, mimeType: 'text/html'},
+      });
+      server.sendEvent(targetId, 'Network.loadingFinished', {requestId, timestamp: 1.1});
+    }
+
+    await retryInterval(20, 100, async () => {
+      assert.strictEqual(server.receivedCommands.filter(({method}) => method === 'Network.getResponseBody').length, 2);
+    });
+    const har = await fixture.rd().stopHarCapture();
+    assert.strictEqual(har.log.entries.length, 2);
+    assert.strictEqual(har.log.entries[0].request.url, MOCK_PAGE_URL);
+    assert.strictEqual(har.log.entries[0].response.content.text, 'body of 1.1');
+    // a body which cannot be retrieved is left out rather than recorded as undefined text
+    assert.strictEqual(har.log.entries[1].response.content.text, undefined);
+    for (const command of server.receivedCommands.filter(({method}) => method === 'Network.getResponseBody')) {
+      assert.strictEqual(command.targetId, targetId);
+      assert.strictEqual(String(command.pageIdKey), String(MOCK_PAGE_ID));
+    }
+  });
+
+  it('should fulfill intercepted requests', async function () {
+    const API_URL = 'http://127.0.0.1:1234/api/users';
+    await fixture.selectTestPage();
+    const server = fixture.server();
+    const targetId = server.getTargetId(MOCK_APP_ID, MOCK_PAGE_ID) as string;
+    const intercepted: string[] = [];
+    const id = await fixture.rd().addInterception({
+      urlPattern: '/api/',
+      handler: ({url}) => {
+        intercepted.push(url);
+        return {action: 'fulfill', status: 201, body: '{}', mimeType: 'application/json'};
+      },
+    });
+    const sentMethods = () => server.receivedCommands.map(({method}) => method);
+    assert.ok(sentMethods().includes('Network.setInterceptionEnabled'));
+    assert.ok(sentMethods().includes('Network.addInterception'));
+
+    server.sendEvent(targetId, 'Network.requestIntercepted', {
+      requestId: '2.1',
+      request: {url: API_URL, method: 'GET', headers: {}},
+    });
+
+    await retryInterval(20, 100, async () => {
+      const fulfilled = server.receivedCommands.find(({method}) => method === 'Network.interceptRequestWithResponse');
+      assert.ok(fulfilled);
+      assert.strictEqual(fulfilled.params.requestId, '2.1');
+      assert.strictEqual(fulfilled.params.status, 201);
+    });
+    assert.deepStrictEqual(intercepted, [API_URL]);
+
+    await fixture.rd().removeInterception(id);
+    assert.ok(sentMethods().includes('Network.removeInterception'));
+  });
+
+  it('should roll back and continue when the interception commands are rejected', async function () {
+    await fixture.selectTestPage();
+    const server = fixture.server();
+    const targetId = server.getTargetId(MOCK_APP_ID, MOCK_PAGE_ID) as string;
+    server.setCommandHandler('Network.addInterception', () => {
+      throw new Error('Interception is not supported');
+    });
+    await assert.rejects(
+      fixture.rd().addInterception({urlPattern: '/api/', handler: () => ({action: 'continue'})}),
+      /'Network.addInterception' has failed: Interception is not supported/,
+    );
+    const enabledStates = () =>
+      server.receivedCommands
+        .filter(({method}) => method === 'Network.setInterceptionEnabled')
+        .map(({params}) => params.enabled);
+    assert.deepStrictEqual(enabledStates(), [true, false]);
+
+    server.setCommandHandler('Network.addInterception', () => ({}));
+    server.setCommandHandler('Network.interceptRequestWithError', () => {
+      throw new Error('Invalid request id');
+    });
+    const id = await fixture.rd().addInterception({
+      urlPattern: '/api/',
+      handler: () => ({action: 'fail', errorType: 'Cancellation'}),
+    });
+    server.sendEvent(targetId, 'Network.requestIntercepted', {
+      requestId: '3.1',
+      request: {url: 'http://127.0.0.1:1234/api/users', method: 'GET', headers: {}},
+    });
+    // the request is continued rather than left paused
+    await retryInterval(20, 100, async () => {
+      const continued = server.receivedCommands.find(({method}) => method === 'Network.interceptContinue');
+      assert.strictEqual(continued?.params.requestId, '3.1');
+    });
+    await fixture.rd().removeInterception(id);
+  });
+
+  it('should collect console messages across page changes', async function () {
+    await fixture.selectTestPage();
+    const server = fixture.server();
+    const targetId = server.getTargetId(MOCK_APP_ID, MOCK_PAGE_ID) as string;
+
+    server.sendEvent(targetId, 'Console.messageAdded', {
+      message: {
+        source: 'console-api',
+        level: 'error',
+        text: 'failed',
+        parameters: [{type: 'object', description: 'Error: failed', subtype: 'error'}],
+      },
+    });
+    server.setPages(MOCK_APP_ID, [
+      {id: MOCK_PAGE_ID, url: MOCK_PAGE_URL, title: MOCK_PAGE_TITLE},
+      {id: 2, url: 'about:blank', title: ''},
+    ]);
+    server.sendEvent(targetId, 'Console.messageAdded', {message: {source: 'console-api', level: 'log', text: 'ok'}});
+
+    await retryInterval(20, 100, async () => {
+      assert.deepStrictEqual(
+        fixture
+          .rd()
+          .getConsoleLogs()
+          .map(({text, pageIdKey}) => [text, pageIdKey]),
+        [
+          ['failed', String(MOCK_PAGE_ID)],
+          ['ok', String(MOCK_PAGE_ID)],
+        ],
+      );
+    });
+    assert.deepStrictEqual(fixture.rd().getConsoleLogs({level: 'error'})[0].args, ['Error: failed']);
+
+    await fixture.rd().clearConsoleLogs();
+    assert.deepStrictEqual(fixture.rd().getConsoleLogs(), []);
+    assert.ok(server.receivedCommands.some(({method}) => method === 'Console.clearMessages'));
+  });
+
+  it('should pause on breakpoints and inspect call frames', async function () {
+    const SCRIPT_URL = 'http://127.0.0.1:1234/app.js';
+    await fixture.selectTestPage();
+    const server = fixture.server();
+    const targetId = server.getTargetId(MOCK_APP_ID, MOCK_PAGE_ID) as string;
+    server.setCommandHandler('Debugger.getScriptSource', ({scriptId}) => ({scriptSource: `// script ${scriptId}`}));
+    server.setCommandHandler('Debugger.setBreakpointByUrl', ({url, lineNumber}) => ({
+      breakpointId: `${url}:${lineNumber}:0`,
+      locations: [{scriptId: '7', lineNumber, columnNumber: 0}],
+    }));
+    server.setCommandHandler('Debugger.evaluateOnCallFrame', ({expression}) => toEvaluationResult(`${expression}!`));
+    server.setCommandHandler('Runtime.getProperties', () => ({
+      properties: [{name: 'count', value: {type: 'number', value: 3, description: '3'}}],
+    }));
+
+    server.sendEvent(targetId, 'Debugger.scriptParsed', {
+      scriptId: '7',
+      url: SCRIPT_URL,
+      startLine: 0,
+      startColumn: 0,
+      endLine: 20,
+      endColumn: 0,
+    });
+    await retryInterval(20, 100, async () => {
+      assert.deepStrictEqual(
+        fixture
+          .rd()
+          .getParsedScripts('app.js')
+          .map(({scriptId}) => scriptId),
+        ['7'],
+      );
+    });
+    assert.strictEqual(await fixture.rd().getScriptSource('7'), '// script 7');
+
+    const breakpoint = await fixture.rd().setBreakpoint({url: SCRIPT_URL, lineNumber: 5, condition: 'count > 2'});
+    const setCommand = server.receivedCommands.find(({method}) => method === 'Debugger.setBreakpointByUrl');
+    assert.deepStrictEqual(setCommand?.params.options, {condition: 'count > 2'});
+    assert.deepStrictEqual(breakpoint.locations, [{scriptId: '7', lineNumber: 5, columnNumber: 0}]);
+
+    server.sendEvent(targetId, 'Debugger.paused', {
+      reason: 'Breakpoint',
+      callFrames: [
+        {
+          callFrameId: '{"ordinal":0}',
+          functionName: 'tick',
+          location: {scriptId: '7', lineNumber: 5, columnNumber: 0},
+          scopeChain: [
+            {type: 'closure', name: 'tick', object: {type: 'object', objectId: 'scope-1'}},
+            {type: 'global', object: {type: 'object', objectId: 'global-1'}},
+          ],
+          this: {type: 'undefined'},
+        },
+      ],
+    });
+    const {callFrames} = await fixture.rd().waitForPause();
+    assert.strictEqual(callFrames[0].url, SCRIPT_URL);
+    assert.strictEqual(await fixture.rd().evaluateOnCallFrame(callFrames[0].callFrameId, 'count'), 'count!');
+    assert.deepStrictEqual(await fixture.rd().getScopeVariables(callFrames[0].callFrameId), [
+      {
+        type: 'closure',
+        name: 'tick',
+        variables: [{name: 'count', value: {type: 'number', value: 3, description: '3'}, preview: '3'}],
+      },
+    ]);
+
+    await fixture.rd().stepOver();
+    assert.strictEqual(fixture.rd().getPausedState(), undefined);
+    await assert.rejects(fixture.rd().resumeExecution(), /not paused/);
+    await fixture.rd().removeBreakpoint(breakpoint.breakpointId);
+    assert.deepStrictEqual(fixture.rd().getBreakpoints(), []);
+    const methods = server.receivedCommands.map(({method}) => method);
+    assert.ok(methods.includes('Debugger.stepOver'));
+    assert.ok(methods.includes('Debugger.removeBreakpoint'));
+  });
+
+  it('should inspect the DOM without running page JavaScript', async function () {
+    await fixture.selectTestPage();
+    const server = fixture.server();
+    const targetId = server.getTargetId(MOCK_APP_ID, MOCK_PAGE_ID) as string;
+    let documentNodeId = 0;
+    server.setCommandHandler('DOM.getDocument', () => ({root: {nodeId: ++documentNodeId, nodeName: '#document'}}));
+    server.setCommandHandler('DOM.querySelector', ({nodeId}) => ({nodeId: nodeId * 10}));
+    server.setCommandHandler('DOM.getAttributes', () => ({attributes: ['id', 'main']}));
+    server.setCommandHandler('Page.snapshotNode', () => ({dataURL: 'data:image/png;base64,iVBORw0KGgo='}));
+
+    assert.strictEqual(await fixture.rd().querySelector('#main'), 10);
+    assert.deepStrictEqual(await fixture.rd().getAttributes(10), {id: 'main'});
+    assert.strictEqual(await fixture.rd().snapshotNode(10), 'iVBORw0KGgo=');
+
+    server.sendEvent(targetId, 'DOM.documentUpdated', {});
+    await retryInterval(20, 100, async () => {
+      assert.strictEqual(await fixture.rd().querySelector('#main'), 20);
+    });
+    const methods = server.receivedCommands.map(({method}) => method);
+    assert.strictEqual(methods.filter((method) => method === 'DOM.getDocument').length, 2);
+  });
+
+  it('should save the storage state and apply it again', async function () {
+    await fixture.selectTestPage();
+    const server = fixture.server();
+    const origin = new URL(MOCK_PAGE_URL).origin;
+    const storages = new Map<string, Map<string, string>>([[`${origin}/true`, new Map([['token', 'secret']])]]);
+    const getStorage = ({securityOrigin, isLocalStorage}: Record<string, any>) => {
+      const key = `${securityOrigin}/${isLocalStorage}`;
+      if (!storages.has(key)) {
+        storages.set(key, new Map());
+      }
+      return storages.get(key) as Map<string, string>;
+    };
+    server.setCommandHandler('Page.getResourceTree', () => ({
+      frameTree: {frame: {id: 'main', url: MOCK_PAGE_URL, securityOrigin: origin}},
+    }));
+    server.setCommandHandler('DOMStorage.getDOMStorageItems', ({storageId}) => ({
+      entries: [...getStorage(storageId).entries()],
+    }));
+    server.setCommandHandler('DOMStorage.clearDOMStorageItems', ({storageId}) => getStorage(storageId).clear());
+    server.setCommandHandler('DOMStorage.setDOMStorageItem', ({storageId, key, value}) => {
+      getStorage(storageId).set(key, value);
+    });
+    server.setCommandHandler('IndexedDB.requestDatabaseNames', () => ({databaseNames: []}));
+
+    const state = await fixture.rd().getStorageState();
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(state)), {
+      origins: [{origin, localStorage: [{name: 'token', value: 'secret'}], sessionStorage: [], indexedDB: []}],
+    });
+
+    storages.get(`${origin}/true`)?.set('stale', 'value');
+    await fixture.rd().setStorageState(state);
+    assert.deepStrictEqual(
+      [...getStorage({securityOrigin: origin, isLocalStorage: true}).entries()],
+      [['token', 'secret']],
+    );
+  });
+
+  it('should export the cookies and import them again', async function () {
+    await fixture.selectTestPage();
+    const server = fixture.server();
+    const jar = new Map<string, Record<string, any>>();
+    server.setCommandHandler('Page.getCookies', () => ({cookies: [...jar.values()]}));
+    server.setCommandHandler('Page.setCookie', ({cookie}) => {
+      if (cookie.value.includes(';')) {
+        throw new Error('The cookie value is invalid');
+      }
+      jar.set(cookie.name, cookie);
+    });
+    server.setCommandHandler('Page.deleteCookie', ({cookieName}) => jar.delete(cookieName));
+
+    const rd = fixture.rd();
+    await rd.importCookies([
+      {name: 'sid', value: 'abc', domain: '.example.com', secure: true, sameSite: 'Strict'},
+      {name: 'theme', value: 'dark', domain: 'other.com'},
+    ]);
+    const exported = await rd.exportCookies({domain: 'example.com'});
+    assert.strictEqual(await rd.deleteAllCookies(), 2);
+    assert.strictEqual(await rd.importCookies(exported), 1);
+    assert.deepStrictEqual(await rd.getAllCookies(), JSON.parse(exported));
+    assert.deepStrictEqual(
+      (await rd.getAllCookies({domain: 'example.com'})).map(({name, secure, sameSite}) => [name, secure, sameSite]),
+      [['sid', true, 'Strict']],
+    );
+
+    await assert.rejects(
+      rd.importCookies([{name: 'bad', value: 'a;b', domain: 'example.com'}]),
+      /WebKit has rejected the cookie 'bad' .*The cookie value is invalid/,
+    );
+  });
+
+  it('should trace the page and summarize its performance', async function () {
+    await fixture.selectTestPage();
+    const server = fixture.server();
+    const targetId = server.getTargetId(MOCK_APP_ID, MOCK_PAGE_ID) as string;
+    const navigation = {
+      type: 'navigate',
+      timeToFirstByteMs: 20,
+      responseEndMs: 30,
+      domInteractiveMs: 60,
+      domContentLoadedMs: 70,
+      loadMs: 90,
+    };
+    server.setCommandHandler('Runtime.evaluate', ({expression}) =>
+      toEvaluationResult(
+        expression.includes('getEntriesByType') ? JSON.stringify({status: 0, value: navigation}) : 'complete',
+      ),
+    );
+    server.setCommandHandler('Timeline.start', () => {
+      server.sendEvent(targetId, 'Timeline.recordingStarted', {startTime: 1});
+      server.sendEvent(targetId, 'Timeline.eventRecorded', {
+        record: {
+          type: 'EvaluateScript',
+          startTime: 1.1,
+          endTime: 1.2,
+          children: [{type: 'Layout', startTime: 1.15, endTime: 1.16}],
+        },
+      });
+      server.sendEvent(targetId, 'CPUProfiler.trackingUpdate', {event: {timestamp: 1.2, usage: 75}});
+    });
+    server.setCommandHandler('Timeline.stop', () => {
+      server.sendEvent(targetId, 'Timeline.recordingStopped', {endTime: 2});
+      setTimeout(() => {
+        server.sendEvent(targetId, 'ScriptProfiler.trackingComplete', {
+          timestamp: 2,
+          samples: {stackTraces: [{timestamp: 1.15, stackFrames: [{name: 'render', url: '', line: 0, column: 0}]}]},
+        });
+      }, 50);
+    });
+
+    const rd = fixture.rd();
+    await assert.rejects(rd.startTracing({instruments: ['Memory' as any]}), /Unknown tracing instruments: Memory/);
+    await rd.startTracing();
+    await assert.rejects(rd.startTracing(), /already in progress/);
+    const trace = await rd.stopTracing();
+
+    const setInstruments = server.receivedCommands.filter(({method}) => method === 'Timeline.setInstruments');
+    assert.deepStrictEqual(setInstruments.at(-1)?.params.instruments, ['Timeline', 'ScriptProfiler', 'CPU']);
+    assert.deepStrictEqual(
+      trace.traceEvents.filter(({ph}) => ph !== 'M').map(({name, ph}) => [name, ph]),
+      [
+        ['EvaluateScript', 'X'],
+        ['Layout', 'X'],
+        ['CPU usage', 'C'],
+      ],
+    );
+    assert.deepStrictEqual(trace.stackFrames, {1: {name: 'render', category: 'JavaScript'}});
+    assert.strictEqual(trace.samples.length, 1);
+
+    const metrics = await rd.getPerformanceMetrics();
+    assert.deepStrictEqual(metrics.navigation, navigation);
+    assert.deepStrictEqual(metrics.timeline, {
+      durationMs: 1000,
+      layoutCount: 1,
+      layoutDurationMs: 10,
+      styleRecalcCount: 0,
+      styleRecalcDurationMs: 0,
+      scriptDurationMs: 100,
+      longTasks: [{type: 'EvaluateScript', startTimeMs: 100, durationMs: 100}],
+    });
+  });
+
+  it('should trace several pages at once', async function () {
+    await fixture.selectTestPage();
+    const server = fixture.server();
+    const rd = fixture.rd();
+    const first = await rd.page(MOCK_APP_ID, MOCK_PAGE_ID, true);
+    const second = await rd.page(MOCK_APP_ID, 2, true);
+    server.setCommandHandler('Timeline.start', (_params, {targetId}) => {
+      server.sendEvent(targetId as string, 'Timeline.eventRecorded', {
+        record: {
+          type: targetId === server.getTargetId(MOCK_APP_ID, 2) ? 'Layout' : 'EvaluateScript',
+          startTime: 1,
+          endTime: 2,
+        },
+      });
+    });
+    const instruments: TracingInstrument[] = ['Timeline'];
+
+    await first.startTracing({instruments});
+    // the debugger has the same page selected as the first handle
+    await assert.rejects(rd.startTracing({instruments}), /already in progress/);
+    await second.startTracing({instruments});
+    const traces = await Promise.all([first.stopTracing(), second.stopTracing()]);
+    assert.deepStrictEqual(
+      traces.map(({traceEvents}) => traceEvents.filter(({ph}) => ph === 'X').map(({name}) => name)),
+      [['EvaluateScript'], ['Layout']],
+    );
+
+    server.setCommandHandler('Timeline.start', () => {
+      throw new Error('Timeline is not available');
+    });
+    await assert.rejects(first.startTracing({instruments}), /'Timeline.start' has failed: Timeline is not available/);
+    await assert.rejects(rd.stopTracing(), /has not been started/);
+  });
+
+  it('should emulate the environment and reset it', async function () {
+    await fixture.selectTestPage();
+    const server = fixture.server();
+    server.setCommandHandler('Page.overrideSetting', () => {
+      throw new Error('Unknown method');
+    });
+
+    const rd = fixture.rd();
+    await rd.emulate({colorScheme: 'dark', networkConditions: 'wifi'});
+    await assert.rejects(rd.emulate({javaScriptEnabled: false}), /'Page.overrideSetting' has failed: Unknown method/);
+    assert.deepStrictEqual(rd.getEmulation(), {colorScheme: 'dark', networkConditions: 'wifi'});
+
+    await rd.resetEmulation();
+    assert.deepStrictEqual(rd.getEmulation(), {});
+    const emulationCommands = server.receivedCommands
+      .filter(({method}) => ['Page.overrideUserPreference', 'Network.setEmulatedConditions'].includes(method))
+      .map(({method, params: {name, value, bytesPerSecondLimit}}) => [method, name ?? bytesPerSecondLimit, value]);
+    assert.deepStrictEqual(emulationCommands, [
+      ['Page.overrideUserPreference', 'PrefersColorScheme', 'Dark'],
+      ['Network.setEmulatedConditions', 3750000, undefined],
+      ['Page.overrideUserPreference', 'PrefersColorScheme', undefined],
+      ['Network.setEmulatedConditions', undefined, undefined],
+    ]);
+  });
+
+  it('should take heap snapshots and report the heap growth', async function () {
+    await fixture.selectTestPage();
+    const server = fixture.server();
+    const targetId = server.getTargetId(MOCK_APP_ID, MOCK_PAGE_ID) as string;
+    const toSnapshotData = (nodes: number[]) =>
+      JSON.stringify({version: 2, type: 'Inspector', nodes, nodeClassNames: ['<root>', 'Object', 'Window']});
+    const startData = toSnapshotData([0, 0, 0, 0, 1, 24, 1, 0, 2, 512, 2, 0]);
+    const endData = toSnapshotData([0, 0, 0, 0, 1, 24, 1, 0, 2, 512, 2, 0, 3, 24, 1, 0, 4, 24, 1, 0]);
+    server.setCommandHandler('Heap.snapshot', () => ({timestamp: 1, snapshotData: startData}));
+    server.setCommandHandler('Heap.startTracking', () => {
+      server.sendEvent(targetId, 'Heap.trackingStart', {timestamp: 2, snapshotData: startData});
+    });
+    server.setCommandHandler('Heap.stopTracking', () => {
+      server.sendEvent(targetId, 'Heap.garbageCollected', {collection: {type: 'full', startTime: 2.5, endTime: 2.51}});
+      server.sendEvent(targetId, 'Heap.trackingComplete', {timestamp: 3, snapshotData: endData});
+    });
+    server.setCommandHandler('Memory.startTracking', () => {
+      server.sendEvent(targetId, 'Memory.trackingStart', {timestamp: 2});
+      server.sendEvent(targetId, 'Memory.trackingUpdate', {
+        event: {timestamp: 2.2, categories: [{type: 'javascript', size: 2048}]},
+      });
+    });
+    server.setCommandHandler('Memory.stopTracking', () => {
+      server.sendEvent(targetId, 'Memory.trackingComplete', {timestamp: 3});
+    });
+
+    const rd = fixture.rd();
+    const tmpDir = await tempDir.openDir();
+    try {
+      const snapshotPath = path.join(tmpDir, 'page.heapsnapshot');
+      const snapshot = await rd.takeHeapSnapshot({path: snapshotPath});
+      assert.deepStrictEqual(snapshot, {timestamp: 1, snapshotData: startData, path: snapshotPath});
+      assert.strictEqual(await fs.readFile(snapshotPath, 'utf8'), startData);
+    } finally {
+      await fs.rimraf(tmpDir);
+    }
+
+    await rd.startMemoryTracking();
+    await rd.startHeapTracking();
+    await assert.rejects(rd.startHeapTracking(), /already tracked/);
+    const {start, end} = await rd.stopHeapTracking();
+    const memory = await rd.stopMemoryTracking();
+
+    assert.deepStrictEqual(
+      [start, end].map(({timestamp}) => timestamp),
+      [2, 3],
+    );
+    const {classes} = diffHeapSnapshots(start, end);
+    assert.deepStrictEqual(
+      classes.map(({className, countDelta, newSize}) => [className, countDelta, newSize]),
+      [['Object', 2, 48]],
+    );
+    assert.deepStrictEqual(memory.total, {latest: 2048, peak: 2048});
+    assert.deepStrictEqual(memory.garbageCollections, {full: 1, partial: 0, durationMs: 10});
+  });
+
+  it('should track the memory of several pages at once', async function () {
+    await fixture.selectTestPage();
+    const server = fixture.server();
+    const rd = fixture.rd();
+    const first = await rd.page(MOCK_APP_ID, MOCK_PAGE_ID, true);
+    const second = await rd.page(MOCK_APP_ID, 2, true);
+    const sizes: Record<string, number> = {
+      [server.getTargetId(MOCK_APP_ID, MOCK_PAGE_ID) as string]: 1024,
+      [server.getTargetId(MOCK_APP_ID, 2) as string]: 4096,
+    };
+    server.setCommandHandler('Memory.startTracking', (_params, {targetId}) => {
+      server.sendEvent(targetId as string, 'Memory.trackingUpdate', {
+        event: {timestamp: 2, categories: [{type: 'javascript', size: sizes[targetId as string]}]},
+      });
+    });
+    server.setCommandHandler('Heap.startTracking', (_params, {targetId}) => {
+      server.sendEvent(targetId as string, 'Heap.trackingStart', {timestamp: 2, snapshotData: targetId});
+    });
+    server.setCommandHandler('Heap.stopTracking', (_params, {targetId}) => {
+      server.sendEvent(targetId as string, 'Heap.trackingComplete', {timestamp: 3, snapshotData: targetId});
+    });
+
+    await first.startMemoryTracking();
+    await assert.rejects(rd.startMemoryTracking(), /already tracked/);
+    await second.startMemoryTracking();
+    await first.startHeapTracking();
+    await second.startHeapTracking();
+    const [firstHeap, secondHeap] = await Promise.all([first.stopHeapTracking(), second.stopHeapTracking()]);
+    assert.deepStrictEqual(
+      [firstHeap, secondHeap].map(({start, end}) => [start.snapshotData, end.snapshotData]),
+      Object.keys(sizes).map((targetId) => [targetId, targetId]),
+    );
+    // the tracking of a page handle is known to the debugger
+    const firstMemory = await rd.stopMemoryTracking();
+    const secondMemory = await second.stopMemoryTracking();
+    assert.deepStrictEqual(
+      [firstMemory, secondMemory].map(({total}) => total.peak),
+      [1024, 4096],
+    );
+  });
+
+  it('should emit the disconnect event once the last application goes away', async function () {
+    await fixture.rd().connect(5000);
+    const disconnected = new Promise<void>((resolve) =>
+      fixture.rd().once(RemoteDebugger.EVENT_DISCONNECT, () => resolve()),
+    );
+
+    fixture.server().removeApplication(MOCK_APP_ID);
+
+    await disconnected;
+  });
+});
+
+describe('Reconnecting to a mock Web Inspector', function () {
+  const fixture = useMockInspectorFixture({reconnect: {initialDelayMs: 50, maxAttempts: 3}});
+
+  it('should fail in-flight commands and restore the session after the socket loss', async function () {
+    const server = fixture.server();
+    server.setCommandHandler('Runtime.evaluate', ({expression}) => {
+      if (expression === 'hang()') {
+        return new Promise(() => {});
+      }
+      return toEvaluationResult(expression === 'document.readyState;' ? 'complete' : `evaluated: ${expression}`);
+    });
+    await fixture.selectTestPage();
+    const rd = fixture.rd();
+    const consoleMessages: string[] = [];
+    rd.startConsole((err, message) => {
+      if (!err && message) {
+        consoleMessages.push(message.text);
+      }
+    });
+    const reconnected = new Promise<void>((resolve) => rd.once(RemoteDebugger.EVENT_RECONNECT, () => resolve()));
+    const lostClient = rd.requireRpcClient();
+
+    const inFlight = rd.execute('hang()');
+    await waitForCondition(() => server.receivedCommands.some(({params}) => params?.expression === 'hang()'), {
+      waitMs: 5000,
+      intervalMs: 50,
+    });
+    server.dropConnections();
+
+    await assert.rejects(inFlight, (err: any) => err instanceof ConnectionLostError && err.retriable);
+    await reconnected;
+    assert.notStrictEqual(rd.requireRpcClient(), lostClient);
+    // the lost client has been disposed of
+    assert.strictEqual((lostClient as any).messageHandler.listenerCount('TargetEvent'), 0);
+    assert.strictEqual(await rd.execute('1 + 1'), 'evaluated: 1 + 1');
+
+    server.sendEvent(server.getTargetId(MOCK_APP_ID, MOCK_PAGE_ID) as string, 'Console.messageAdded', {
+      message: {source: 'console-api', level: 'log', text: 'after reconnect'},
+    });
+    await retryInterval(20, 100, async () => assert.deepStrictEqual(consoleMessages, ['after reconnect']));
+  });
+
+  it('should detach the page handles once reconnected', async function () {
+    const server = fixture.server();
+    server.setCommandHandler('Runtime.evaluate', ({expression}) =>
+      toEvaluationResult(expression === 'document.readyState;' ? 'complete' : `evaluated: ${expression}`),
+    );
+    await fixture.selectTestPage();
+    const rd = fixture.rd();
+    const handle = await rd.page(MOCK_APP_ID, MOCK_PAGE_ID, true);
+    const reconnected = new Promise<void>((resolve) => rd.once(RemoteDebugger.EVENT_RECONNECT, () => resolve()));
+
+    server.dropConnections();
+    await reconnected;
+    assert.ok(handle.isDetached);
+    assert.deepStrictEqual(rd.getPages(), []);
+    await assert.rejects(handle.execute('1 + 1'), (err: any) => err instanceof ConnectionLostError);
+    assert.throws(() => handle.getEmulation(), /has been detached by a reconnection/);
+
+    const newHandle = await rd.page(MOCK_APP_ID, MOCK_PAGE_ID, true);
+    assert.notStrictEqual(newHandle, handle);
+    assert.strictEqual(await newHandle.execute('1 + 1'), 'evaluated: 1 + 1');
+  });
+});
+
+describe('Recording and replaying a Web Inspector session', function () {
+  let tmpDir: string;
+  beforeEach(async function () {
+    tmpDir = await tempDir.openDir();
+  });
+  afterEach(async function () {
+    await fs.rimraf(tmpDir);
+  });
+
+  describe('recording', function () {
+    const fixture = useMockInspectorFixture(() => ({sessionRecordingPath: path.join(tmpDir, 'session.jsonl')}));
+
+    it('should replay a recorded session without a Web Inspector', async function () {
+      const recordingPath = path.join(tmpDir, 'session.jsonl');
+      fixture
+        .server()
+        .setCommandHandler('Runtime.evaluate', ({expression}) =>
+          toEvaluationResult(expression === 'document.readyState;' ? 'complete' : `evaluated: ${expression}`),
+        );
+      await fixture.selectTestPage();
+      assert.strictEqual(await fixture.rd().execute('1 + 1'), 'evaluated: 1 + 1');
+      await fixture.rd().disconnect();
+
+      const entries = await readSessionRecording(recordingPath);
+      assert.strictEqual(entries[0].type, 'header');
+      assert.ok(entries.some(({type}) => type === 'send'));
+      assert.ok(entries.some(({type}) => type === 'receive'));
+
+      const rd = createRemoteDebugger(
+        {
+          bundleId: 'com.apple.mobilesafari',
+          isSafari: true,
+          platformVersion: '18.0',
+          pageLoadMs: 2000,
+          targetCreationTimeoutMs: 5000,
+          sessionReplayPath: recordingPath,
+        },
+        false,
+      );
+      try {
+        const appDict = await rd.connect(5000);
+        assert.deepStrictEqual(Object.keys(appDict), [MOCK_APP_ID]);
+        const pages = await rd.selectApp(MOCK_PAGE_URL, 1);
+        const [appIdKey, pageIdKey] = String(pages[0].id).split('.');
+        await rd.selectPage(appIdKey, parseInt(pageIdKey, 10));
+        assert.strictEqual(await rd.execute('1 + 1'), 'evaluated: 1 + 1');
+      } finally {
+        await rd.disconnect();
+      }
+    });
+  });
+});
+
+describe('Inspecting a mock Web Inspector from the command line', function () {
+  const fixture = useMockInspectorFixture();
+
+  async function run(...argv: string[]): Promise<{code: number; stdout: string; stderr: string}> {
+    const result = {code: 0, stdout: '', stderr: ''};
+    result.code = await runCli(
+      [...argv, '--socket', fixture.server().socketPath as string, '--platform-version', '18.0', '--timeout', '2000'],
+      {
+        stdout: {write: (text: string) => (result.stdout += text)},
+        stderr: {write: (text: string) => (result.stderr += text)},
+      },
+    );
+    return result;
+  }
+
+  it('should list the pages and evaluate scripts on them', async function () {
+    fixture
+      .server()
+      .setCommandHandler('Runtime.evaluate', ({expression}) =>
+        toEvaluationResult(expression === 'document.readyState;' ? 'complete' : {expression}),
+      );
+
+    const pages = await run('pages', '--json');
+    assert.strictEqual(pages.code, 0, pages.stderr);
+    assert.deepStrictEqual(JSON.parse(pages.stdout), [
+      {
+        id: `42.${MOCK_PAGE_ID}`,
+        appIdKey: MOCK_APP_ID,
+        pageIdKey: MOCK_PAGE_ID,
+        bundleId: 'com.apple.mobilesafari',
+        title: MOCK_PAGE_TITLE,
+        url: MOCK_PAGE_URL,
+        isKey: true,
+      },
+    ]);
+
+    const evaluation = await run('eval', 'document.title', '--page', 'index.html', '--json');
+    assert.strictEqual(evaluation.code, 0, evaluation.stderr);
+    assert.deepStrictEqual(JSON.parse(evaluation.stdout), {expression: 'document.title'});
+
+    const missing = await run('eval', 'document.title', '--page', 'other.html');
+    assert.strictEqual(missing.code, 1);
+    assert.match(missing.stderr, /No page matches 'other.html'/);
+  });
+
+  it('should tail the console messages of a page', async function () {
+    const server = fixture.server();
+    const tail = run('console', '--duration', '1500', '--json');
+    // messages logged before the console is tailed are printed as well, once the page is initialized
+    await waitForCondition(() => server.receivedCommands.some(({method}) => method === 'Inspector.initialized'), {
+      waitMs: 1000,
+      intervalMs: 50,
+    });
+    server.sendEvent(server.getTargetId(MOCK_APP_ID, MOCK_PAGE_ID) as string, 'Console.messageAdded', {
+      message: {source: 'console-api', level: 'warning', text: 'deprecated'},
+    });
+
+    const {code, stdout, stderr} = await tail;
+    assert.strictEqual(code, 0, stderr);
+    assert.deepStrictEqual(
+      stdout
+        .trim()
+        .split('\n')
+        .map((line) => JSON.parse(line))
+        .map(({level, text}) => ({level, text})),
+      [{level: 'warning', text: 'deprecated'}],
+    );
+  });
+});
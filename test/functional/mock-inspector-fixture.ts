@@ -0,0 +1,81 @@
+import path from 'node:path';
+import {afterEach, beforeEach} from 'node:test';
+
+import {fs, tempDir, util} from '@appium/support';
+
+import {createRemoteDebugger} from '../../lib/index.js';
+import type {RemoteDebugger} from '../../lib/remote-debugger.js';
+import {MockWebInspectorServer} from '../../lib/testing/index.js';
+import type {MockApplication} from '../../lib/testing/index.js';
+import type {RemoteDebuggerOptions} from '../../lib/types.js';
+
+export const MOCK_APP_ID = 'PID:42';
+export const MOCK_PAGE_ID = 1;
+export const MOCK_PAGE_URL = 'http://127.0.0.1:1234/index.html';
+export const MOCK_PAGE_TITLE = 'Remote debugger test page';
+
+export const MOCK_SAFARI: MockApplication = {
+  id: MOCK_APP_ID,
+  bundleId: 'com.apple.mobilesafari',
+  name: 'Safari',
+  isAutomationEnabled: true,
+  pages: [{id: MOCK_PAGE_ID, url: MOCK_PAGE_URL, title: MOCK_PAGE_TITLE, isKey: true}],
+};
+
+export interface MockInspectorFixture {
+  server(): MockWebInspectorServer;
+  rd(): RemoteDebugger;
+  /** Connects the remote debugger and selects the only page of the mocked Safari */
+  selectTestPage(): Promise<void>;
+}
+
+/**
+ * Registers node:test beforeEach/afterEach hooks that start a mock Web Inspector server
+ * advertising a single Safari page, and create a RemoteDebugger pointed at it.
+ * Call once per describe block. Options depending on other hooks could be provided lazily.
+ */
+export function useMockInspectorFixture(
+  opts: RemoteDebuggerOptions | (() => RemoteDebuggerOptions) = {},
+): MockInspectorFixture {
+  let server: MockWebInspectorServer;
+  let rd: RemoteDebugger;
+  let tmpDir: string;
+
+  beforeEach(async function () {
+    tmpDir = await tempDir.openDir();
+    server = new MockWebInspectorServer({
+      socketPath: path.join(tmpDir, `${util.uuidV4().slice(0, 8)}.sock`),
+      applications: [MOCK_SAFARI],
+    });
+    await server.start();
+    rd = createRemoteDebugger(
+      {
+        bundleId: 'com.apple.mobilesafari',
+        isSafari: true,
+        platformVersion: '18.0',
+        socketPath: server.socketPath,
+        pageLoadMs: 2000,
+        targetCreationTimeoutMs: 5000,
+        ...(typeof opts === 'function' ? opts() : opts),
+      },
+      false,
+    );
+  });
+  afterEach(async function () {
+    await rd?.disconnect();
+    await server?.stop();
+    await fs.rimraf(tmpDir);
+    rd = null as any;
+  });
+
+  return {
+    server: () => server,
+    rd: () => rd,
+    async selectTestPage(): Promise<void> {
+      await rd.connect(5000);
+      const pages = await rd.selectApp(MOCK_PAGE_URL, 1);
+      const [appIdKey, pageIdKey] = String(pages[0].id).split('.');
+      await rd.selectPage(appIdKey, parseInt(pageIdKey, 10));
+    },
+  };
+}
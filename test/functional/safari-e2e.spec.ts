@@ -145,4 +145,32 @@ describe('Safari remote debugger', function () {
       }),
     );
   });
+
+  it('should find elements in the shadow DOM by css selector and by role', async function (ctx: TestContext) {
+    await fixture.selectTestPage();
+
+    await fixture.rd().navToUrl(`${fixture.address()}/shadow-dom.html`);
+
+    const shadowDomSupported = await fixture
+      .rd()
+      .executeAtom('execute_script', ['return !!document.head.attachShadow;']);
+    if (!shadowDomSupported) {
+      return ctx.skip();
+    }
+
+    await assert.doesNotReject(
+      retryInterval(5, 500, async function () {
+        const subContent = await fixture
+          .rd()
+          .executeAtom('find_element_fragment', ['shadow css selector', '#shadowSubContent']);
+        assert.strictEqual(await fixture.rd().executeAtom('get_text', [subContent]), 'It is murky in here');
+
+        const input = await fixture.rd().executeAtom('find_element_fragment', ['role', 'textbox[name="User name"]']);
+        assert.strictEqual(await fixture.rd().executeAtom('get_attribute_value', [input, 'id']), 'username');
+
+        const button = await fixture.rd().executeAtom('find_element_fragment', ['role', 'button[name="Sign in"]']);
+        assert.strictEqual(await fixture.rd().executeAtom('get_attribute_value', [button, 'class']), 'submit');
+      }),
+    );
+  });
 });
@@ -0,0 +1,97 @@
+import assert from 'node:assert/strict';
+import {describe, it} from 'node:test';
+
+import {importAtomsModule} from '../helpers/atoms-module.js';
+
+// Built in the global document installed by the atoms module helper, so the `ShadowRoot` and
+// `Node` globals the module relies on belong to the same realm as the elements.
+async function load(html: string) {
+  const mod = await importAtomsModule(['core', 'accessibility.ts']);
+  document.body.innerHTML = html;
+  return mod;
+}
+
+describe('atoms/src/core/accessibility.ts', function () {
+  describe('getRole (exported)', function () {
+    it('prefers the first token of an explicit role', async function () {
+      const {getRole} = await load('<div role="switch checkbox"></div>');
+      assert.strictEqual(getRole(document.querySelector('div')), 'switch');
+    });
+
+    it('derives the implicit role from the element and its attributes', async function () {
+      const {getRole} = await load(`
+        <a id="link" href="#">a</a><a id="anchor">a</a>
+        <input id="text" /><input id="check" type="checkbox" /><input id="hidden" type="hidden" />
+        <img id="img" alt="A" src="a.png" /><img id="decorative" alt="" src="a.png" />
+        <select id="combo"><option>A</option></select><select id="list" multiple></select>`);
+      const roles = ['link', 'anchor', 'text', 'check', 'hidden', 'img', 'decorative', 'combo', 'list'].map((id) =>
+        getRole(document.getElementById(id)),
+      );
+      assert.deepStrictEqual(roles, [
+        'link',
+        null,
+        'textbox',
+        'checkbox',
+        null,
+        'img',
+        'presentation',
+        'combobox',
+        'listbox',
+      ]);
+    });
+
+    it('only gives a landmark role to headers outside of sectioning content', async function () {
+      const {getRole} = await load('<header id="top"></header><article><header id="inner"></header></article>');
+      assert.strictEqual(getRole(document.getElementById('top')), 'banner');
+      assert.strictEqual(getRole(document.getElementById('inner')), null);
+    });
+  });
+
+  describe('getAccessibleName (exported)', function () {
+    it('follows aria-labelledby before aria-label and the native label', async function () {
+      const {getAccessibleName} = await load(`
+        <span id="first">First</span><span id="last" hidden>name</span>
+        <label for="field">Label</label>
+        <input id="field" aria-labelledby="first last" aria-label="Aria label" />`);
+      assert.strictEqual(getAccessibleName(document.getElementById('field')), 'First name');
+    });
+
+    it('uses aria-label, then the associated labels of a form control', async function () {
+      const {getAccessibleName} = await load(`
+        <button id="labelled" aria-label="Close">X</button>
+        <label>Email <input id="email" /></label>`);
+      assert.strictEqual(getAccessibleName(document.getElementById('labelled')), 'Close');
+      assert.strictEqual(getAccessibleName(document.getElementById('email')), 'Email');
+    });
+
+    it('includes the value of controls embedded in a label', async function () {
+      const {getAccessibleName} = await load(`
+        <label for="remember">Remember me for <input id="days" value="30" /> days</label>
+        <input id="remember" type="checkbox" />`);
+      assert.strictEqual(getAccessibleName(document.getElementById('remember')), 'Remember me for 30 days');
+    });
+
+    it('computes the name from content, skipping hidden descendants', async function () {
+      const {getAccessibleName} = await load(`
+        <button id="save"><span aria-hidden="true">*</span>Save <b>now</b></button>
+        <div id="plain">Not named from content</div>`);
+      assert.strictEqual(getAccessibleName(document.getElementById('save')), 'Save now');
+      assert.strictEqual(getAccessibleName(document.getElementById('plain')), '');
+    });
+
+    it('computes the name from the content of a shadow root and its slots', async function () {
+      const {getAccessibleName} = await load('<div id="host" role="button">Sign in</div>');
+      const host = document.getElementById('host')!;
+      host.attachShadow({mode: 'open'}).innerHTML = '<span>Please</span> <slot></slot>';
+      assert.strictEqual(getAccessibleName(host), 'Please Sign in');
+    });
+
+    it('falls back to the title and the placeholder', async function () {
+      const {getAccessibleName} = await load(`
+        <input id="titled" title="Search the site" placeholder="Search" />
+        <input id="placeholder" placeholder="Search" />`);
+      assert.strictEqual(getAccessibleName(document.getElementById('titled')), 'Search the site');
+      assert.strictEqual(getAccessibleName(document.getElementById('placeholder')), 'Search');
+    });
+  });
+});
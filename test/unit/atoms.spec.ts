@@ -186,6 +186,65 @@ describe('atoms (green path, jsdom, mobile Safari)', function () {
       assert.strictEqual(found.length, 1);
       assert.strictEqual(await runInjectAtom(window, 'get_attribute_value', [found[0], 'id']), 'rel-bottom');
     });
+
+    describe('in shadow roots', function () {
+      beforeEach(function () {
+        const host = window.document.createElement('login-form');
+        host.textContent = 'Sign in';
+        host.attachShadow({mode: 'open'}).innerHTML = `
+          <label for="username">User name</label>
+          <input id="username" class="field" type="text" />
+          <button class="submit" type="submit"><slot></slot></button>
+          <button class="cancel" aria-hidden="true">Cancel</button>`;
+        window.document.body.appendChild(host);
+      });
+
+      it('shadow css selector finds elements of open shadow roots', async function () {
+        const input = await runInjectAtom(window, 'find_element_fragment', ['shadow css selector', 'input.field']);
+        assert.strictEqual(await runInjectAtom(window, 'get_attribute_value', [input, 'id']), 'username');
+        assert.strictEqual(await runInjectAtom(window, 'find_element_fragment', ['css selector', 'input.field']), null);
+      });
+
+      it('shadow css selector lists light DOM and shadow DOM matches in document order', async function () {
+        const found = await runInjectAtom(window, 'find_elements', ['shadow css selector', 'button']);
+        assert.deepStrictEqual(await Promise.all(found.map((el: any) => runInjectAtom(window, 'get_text', [el]))), [
+          'Disabled',
+          'Sign in',
+          'Cancel',
+        ]);
+      });
+
+      it('shadow css selector rejects an invalid selector', async function () {
+        await assert.rejects(
+          runInjectAtom(window, 'find_element_fragment', ['shadow css selector', 'input[']),
+          errors.InvalidSelectorError,
+        );
+      });
+
+      it('role finds an element by its role and accessible name', async function () {
+        const input = await runInjectAtom(window, 'find_element_fragment', ['role', 'textbox[name="User name"]']);
+        assert.strictEqual(await runInjectAtom(window, 'get_attribute_value', [input, 'id']), 'username');
+
+        const button = await runInjectAtom(window, 'find_element_fragment', ['role', `button[name='sign IN' i]`]);
+        assert.strictEqual(await runInjectAtom(window, 'get_attribute_value', [button, 'class']), 'submit');
+      });
+
+      it('role skips the elements hidden from assistive technologies', async function () {
+        const buttons = await runInjectAtom(window, 'find_elements', ['role', 'button']);
+        assert.strictEqual(buttons.length, 3);
+        assert.strictEqual(
+          await runInjectAtom(window, 'find_element_fragment', ['role', 'button[name="Cancel"]']),
+          null,
+        );
+      });
+
+      it('role rejects an invalid role selector', async function () {
+        await assert.rejects(
+          runInjectAtom(window, 'find_element_fragment', ['role', 'button[label="Sign in"]']),
+          errors.InvalidSelectorError,
+        );
+      });
+    });
   });
 
   describe('errors', function () {
@@ -0,0 +1,70 @@
+import assert from 'node:assert/strict';
+import {describe, it} from 'node:test';
+
+import {DEFAULT_APPS_TIMEOUT_MS, parseCliArgs, UsageError} from '../../../lib/cli/options.js';
+
+describe('parseCliArgs', function () {
+  it('should parse the command, its arguments and the options', function () {
+    assert.deepStrictEqual(
+      parseCliArgs([
+        'atom',
+        'get_text',
+        '{"ELEMENT":":wdc:1"}',
+        '--socket',
+        '/tmp/wi.sock',
+        '--platform-version',
+        '18.0',
+        '--page',
+        '42.1',
+        '--json',
+      ]),
+      {
+        command: 'atom',
+        args: ['get_text', '{"ELEMENT":":wdc:1"}'],
+        help: false,
+        version: false,
+        socketPath: '/tmp/wi.sock',
+        host: undefined,
+        port: undefined,
+        udid: undefined,
+        platformVersion: '18.0',
+        timeoutMs: DEFAULT_APPS_TIMEOUT_MS,
+        bundleId: undefined,
+        page: '42.1',
+        json: true,
+        fullPage: false,
+        durationMs: undefined,
+        verbose: false,
+      },
+    );
+    const opts = parseCliArgs(['console', '--udid', '0000-1111', '--platform-version', '18.2', '--duration', '500']);
+    assert.strictEqual(opts.udid, '0000-1111');
+    assert.strictEqual(opts.platformVersion, '18.2');
+    assert.strictEqual(opts.durationMs, 500);
+  });
+
+  it('should not need a connection to print the help or the version', function () {
+    assert.strictEqual(parseCliArgs(['-h']).help, true);
+    assert.strictEqual(parseCliArgs(['--version']).command, undefined);
+  });
+
+  it('should reject invalid command lines', function () {
+    for (const [argv, message] of [
+      [['--socket', '/tmp/wi.sock'], /A command must be provided/],
+      [['inspect', '--socket', '/tmp/wi.sock'], /Unknown command 'inspect'/],
+      [['eval', '--socket', '/tmp/wi.sock'], /needs a script/],
+      [['pages'], /Exactly one of --socket, --port or --udid/],
+      [['pages', '--socket', '/tmp/wi.sock', '--udid', '0000-1111'], /Exactly one of --socket, --port or --udid/],
+      [['pages', '--socket', '/tmp/wi.sock', '--host', '::1'], /--host must be provided along with --port/],
+      [['pages', '--port', '27753', '--timeout', 'soon'], /--timeout must be a non-negative integer/],
+      [['pages', '--port', '27753', '--colour'], /Unknown option '--colour'/],
+      [['pages', '--socket', '/tmp/wi.sock'], /--platform-version must be provided along with --socket or --port/],
+      [['pages', '--port', '27753'], /--platform-version must be provided along with --socket or --port/],
+    ] as const) {
+      assert.throws(
+        () => parseCliArgs([...argv]),
+        (err: Error) => err instanceof UsageError && message.test(err.message),
+      );
+    }
+  });
+});
@@ -0,0 +1,156 @@
+import assert from 'node:assert/strict';
+import {describe, it} from 'node:test';
+
+import {ConsoleCollector} from '../../../lib/console/index.js';
+
+const WALL_TIME = 1700000000;
+const PAGE = {appIdKey: 'PID:42', pageIdKey: 1};
+
+function addMessage(collector: ConsoleCollector, message: Record<string, any>, source = PAGE): void {
+  collector.handleEvent('Console.messageAdded', {source: 'console-api', level: 'log', ...message}, source);
+}
+
+describe('ConsoleCollector', function () {
+  it('should normalize console messages', function () {
+    const collector = new ConsoleCollector();
+    addMessage(collector, {
+      level: 'warning',
+      type: 'log',
+      text: 'count: %d',
+      timestamp: WALL_TIME + 0.5,
+      url: 'https://example.com/app.js',
+      line: 10,
+      column: 4,
+      parameters: [
+        {type: 'string', value: 'count: %d'},
+        {type: 'number', value: 3, description: '3'},
+      ],
+      stackTrace: {
+        callFrames: [
+          {functionName: 'main', url: 'https://example.com/app.js', scriptId: '1', lineNumber: 10, columnNumber: 4},
+        ],
+      },
+    });
+
+    assert.deepStrictEqual(collector.getEntries(), [
+      {
+        id: 1,
+        timestamp: (WALL_TIME + 0.5) * 1000,
+        level: 'warning',
+        source: 'console-api',
+        type: 'log',
+        text: 'count: %d',
+        args: ['count: %d', '3'],
+        url: 'https://example.com/app.js',
+        line: 10,
+        column: 4,
+        stackTrace: [{functionName: 'main', url: 'https://example.com/app.js', lineNumber: 10, columnNumber: 4}],
+        repeatCount: 1,
+        networkRequestId: undefined,
+        appIdKey: 'PID:42',
+        pageIdKey: 1,
+      },
+    ]);
+  });
+
+  it('should accept legacy stack traces and unknown levels', function () {
+    const collector = new ConsoleCollector();
+    addMessage(collector, {
+      level: 'verbose',
+      text: 'a',
+      stackTrace: [{functionName: 'f', url: 'u', lineNumber: 1, columnNumber: 2}],
+    });
+    addMessage(collector, {level: 'fancy', text: 'b'});
+
+    const [first, second] = collector.getEntries();
+    assert.strictEqual(first.level, 'debug');
+    assert.deepStrictEqual(first.stackTrace, [{functionName: 'f', url: 'u', lineNumber: 1, columnNumber: 2}]);
+    assert.strictEqual(second.level, 'log');
+  });
+
+  it('should filter messages by time and severity', function () {
+    const collector = new ConsoleCollector();
+    addMessage(collector, {level: 'debug', text: 'debug', timestamp: WALL_TIME});
+    addMessage(collector, {level: 'info', text: 'info', timestamp: WALL_TIME + 1});
+    addMessage(collector, {level: 'warning', text: 'warning', timestamp: WALL_TIME + 2});
+    addMessage(collector, {level: 'error', text: 'error', timestamp: WALL_TIME + 3});
+
+    const texts = (filter = {}) => collector.getEntries(filter).map(({text}) => text);
+    assert.deepStrictEqual(texts({level: 'log'}), ['info', 'warning', 'error']);
+    assert.deepStrictEqual(texts({level: 'warning'}), ['warning', 'error']);
+    assert.deepStrictEqual(texts({since: (WALL_TIME + 2) * 1000}), ['warning', 'error']);
+    assert.deepStrictEqual(texts({since: new Date((WALL_TIME + 3) * 1000), level: 'error'}), ['error']);
+  });
+
+  it('should drop the oldest messages once the buffer is full', function () {
+    const collector = new ConsoleCollector({maxEntries: 3});
+    for (let i = 1; i <= 5; i++) {
+      addMessage(collector, {text: `message ${i}`});
+    }
+
+    assert.strictEqual(collector.size, 3);
+    assert.deepStrictEqual(
+      collector.getEntries().map(({id, text}) => [id, text]),
+      [
+        [3, 'message 3'],
+        [4, 'message 4'],
+        [5, 'message 5'],
+      ],
+    );
+  });
+
+  it('should update the repeat count of the last message of the page', function () {
+    const collector = new ConsoleCollector();
+    addMessage(collector, {text: 'first page'});
+    addMessage(collector, {text: 'second page'}, {appIdKey: 'PID:42', pageIdKey: 2});
+    collector.handleEvent('Console.messageRepeatCountUpdated', {count: 3}, PAGE);
+
+    assert.deepStrictEqual(
+      collector.getEntries().map(({text, repeatCount}) => [text, repeatCount]),
+      [
+        ['first page', 3],
+        ['second page', 1],
+      ],
+    );
+  });
+
+  it('should ignore messages replayed when the console is enabled again', function () {
+    const collector = new ConsoleCollector({maxEntries: 2});
+    addMessage(collector, {text: 'logged', timestamp: WALL_TIME});
+    addMessage(collector, {text: 'logged', timestamp: WALL_TIME});
+    addMessage(collector, {text: 'logged', timestamp: WALL_TIME}, {appIdKey: 'PID:42', pageIdKey: 2});
+    assert.strictEqual(collector.size, 2);
+
+    // dropped messages are not remembered
+    addMessage(collector, {text: 'other', timestamp: WALL_TIME + 1});
+    addMessage(collector, {text: 'logged', timestamp: WALL_TIME});
+    assert.deepStrictEqual(
+      collector.getEntries().map(({text}) => text),
+      ['other', 'logged'],
+    );
+  });
+
+  it('should not expose the buffered entries', function () {
+    const collector = new ConsoleCollector();
+    addMessage(collector, {text: 'original'});
+    collector.getEntries()[0].text = 'changed';
+    assert.strictEqual(collector.getEntries()[0].text, 'original');
+  });
+
+  it('should clear the buffer', function () {
+    const collector = new ConsoleCollector();
+    addMessage(collector, {text: 'logged', timestamp: WALL_TIME});
+    collector.clear();
+    assert.deepStrictEqual(collector.getEntries(), []);
+
+    addMessage(collector, {text: 'logged', timestamp: WALL_TIME});
+    assert.deepStrictEqual(
+      collector.getEntries().map(({id}) => id),
+      [2],
+    );
+  });
+
+  it('should reject invalid buffer sizes', function () {
+    assert.throws(() => new ConsoleCollector({maxEntries: 0}), /must be a positive integer/);
+  });
+});
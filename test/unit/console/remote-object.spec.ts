@@ -0,0 +1,103 @@
+import assert from 'node:assert/strict';
+import {describe, it} from 'node:test';
+
+import {formatRemoteObject} from '../../../lib/console/index.js';
+
+describe('formatRemoteObject', function () {
+  it('should format primitives', function () {
+    assert.strictEqual(formatRemoteObject({type: 'string', value: 'hello'}), 'hello');
+    assert.strictEqual(formatRemoteObject({type: 'string', value: 'hello'}, true), '"hello"');
+    assert.strictEqual(formatRemoteObject({type: 'number', value: 42, description: '42'}), '42');
+    assert.strictEqual(formatRemoteObject({type: 'number', description: 'NaN'}), 'NaN');
+    assert.strictEqual(formatRemoteObject({type: 'boolean', value: false}), 'false');
+    assert.strictEqual(formatRemoteObject({type: 'undefined'}), 'undefined');
+    assert.strictEqual(formatRemoteObject({type: 'object', subtype: 'null', value: null}), 'null');
+    assert.strictEqual(formatRemoteObject({type: 'function', description: 'function foo() {}'}), 'function foo() {}');
+  });
+
+  it('should format object previews', function () {
+    assert.strictEqual(
+      formatRemoteObject({
+        type: 'object',
+        description: 'Object',
+        preview: {
+          type: 'object',
+          description: 'Object',
+          lossless: false,
+          overflow: true,
+          properties: [
+            {name: 'a', type: 'number', value: '1'},
+            {name: 'b', type: 'string', value: 'x'},
+            {name: 'c', type: 'object', subtype: 'null', value: 'null'},
+            {
+              name: 'd',
+              type: 'object',
+              valuePreview: {type: 'object', subtype: 'array', properties: [{name: '0', type: 'number', value: '2'}]},
+            },
+          ],
+        },
+      }),
+      '{a: 1, b: "x", c: null, d: [2], …}',
+    );
+  });
+
+  it('should format class instances, arrays and collections', function () {
+    assert.strictEqual(
+      formatRemoteObject({
+        type: 'object',
+        className: 'Point',
+        preview: {type: 'object', description: 'Point', properties: [{name: 'x', type: 'number', value: '1'}]},
+      }),
+      'Point {x: 1}',
+    );
+    assert.strictEqual(
+      formatRemoteObject({
+        type: 'object',
+        subtype: 'array',
+        preview: {
+          type: 'object',
+          subtype: 'array',
+          description: 'Array',
+          properties: [
+            {name: '0', type: 'string', value: 'a'},
+            {name: '1', type: 'boolean', value: 'true'},
+          ],
+        },
+      }),
+      '["a", true]',
+    );
+    assert.strictEqual(
+      formatRemoteObject({
+        type: 'object',
+        subtype: 'map',
+        preview: {
+          type: 'object',
+          subtype: 'map',
+          description: 'Map',
+          entries: [
+            {
+              key: {type: 'string', description: 'k'},
+              value: {type: 'number', description: '1'},
+            },
+          ],
+        },
+      }),
+      'Map {k => 1}',
+    );
+  });
+
+  it('should fall back to descriptions', function () {
+    assert.strictEqual(
+      formatRemoteObject({type: 'object', subtype: 'node', description: 'div#main', objectId: '1'}),
+      'div#main',
+    );
+    assert.strictEqual(
+      formatRemoteObject({
+        type: 'object',
+        subtype: 'error',
+        preview: {type: 'object', subtype: 'error', description: 'TypeError: foo'},
+      }),
+      'TypeError: foo',
+    );
+  });
+});
@@ -0,0 +1,102 @@
+import assert from 'node:assert/strict';
+import {describe, it} from 'node:test';
+
+import {
+  matchesCookieFilter,
+  parseNetscapeCookies,
+  toCookie,
+  toCookieUrl,
+  toNetscapeCookies,
+} from '../../../lib/cookies/index.js';
+import type {Cookie} from '../../../lib/cookies/index.js';
+
+const EXPIRES = 1893456000000;
+
+function createCookie(opts: Partial<Cookie> = {}): Cookie {
+  return toCookie({name: 'sid', value: 'abc', domain: '.example.com', ...opts});
+}
+
+describe('cookies', function () {
+  describe('toCookie', function () {
+    it('should fill in the defaults', function () {
+      assert.deepStrictEqual(toCookie({name: 'sid', value: 'abc'}, 'example.com'), {
+        name: 'sid',
+        value: 'abc',
+        domain: 'example.com',
+        path: '/',
+        expires: 0,
+        session: true,
+        httpOnly: false,
+        secure: false,
+        sameSite: 'None',
+      });
+    });
+    it('should normalize the expiration date and sameSite', function () {
+      const cookie = toCookie({
+        name: 'sid',
+        value: 'abc',
+        domain: 'a.com',
+        expires: new Date(EXPIRES),
+        sameSite: 'lax',
+      });
+      assert.strictEqual(cookie.expires, EXPIRES);
+      assert.strictEqual(cookie.session, false);
+      assert.strictEqual(cookie.sameSite, 'Lax');
+    });
+    it('should reject invalid properties', function () {
+      const valid = {name: 'sid', value: 'abc', domain: 'a.com'};
+      assert.throws(() => toCookie({...valid, name: 'a b'}), /non-empty name/);
+      assert.throws(() => toCookie({name: 'sid', value: 'abc'}), /The cookie 'sid' must have a domain/);
+      assert.throws(() => toCookie({...valid, path: 'x'}), /path starting with '\/'/);
+      assert.throws(() => toCookie({...valid, sameSite: 'Always' as any}), /one of None, Lax, Strict/);
+      assert.throws(() => toCookie({...valid, expires: -1}), /must expire at a valid date/);
+      assert.throws(() => toCookie({...valid, expires: new Date('nope')}), /must expire at a valid date/);
+      assert.throws(() => toCookie({...valid, httpOnly: 'yes' as any}), /boolean 'httpOnly'/);
+    });
+  });
+
+  describe('matchesCookieFilter', function () {
+    it('should match the domain and its subdomains', function () {
+      const filter = {domain: 'example.com'};
+      assert.ok(matchesCookieFilter(createCookie(), filter));
+      assert.ok(matchesCookieFilter(createCookie({domain: 'api.Example.com'}), filter));
+      assert.ok(!matchesCookieFilter(createCookie({domain: 'notexample.com'}), filter));
+      assert.ok(!matchesCookieFilter(createCookie(), {...filter, name: 'other'}));
+    });
+  });
+
+  describe('toCookieUrl', function () {
+    it('should build a URL the cookie is sent to', function () {
+      assert.strictEqual(toCookieUrl(createCookie({path: '/app', secure: true})), 'https://example.com/app');
+    });
+  });
+
+  describe('Netscape format', function () {
+    it('should serialize and parse cookies', function () {
+      const cookies = [
+        createCookie({expires: EXPIRES, session: false, secure: true}),
+        createCookie({name: 'token', domain: 'api.example.com', httpOnly: true}),
+      ];
+      const content = toNetscapeCookies(cookies);
+      assert.deepStrictEqual(content.split('\n').slice(2), [
+        '.example.com\tTRUE\t/\tTRUE\t1893456000\tsid\tabc',
+        '#HttpOnly_api.example.com\tFALSE\t/\tFALSE\t0\ttoken\tabc',
+        '',
+      ]);
+      assert.deepStrictEqual(parseNetscapeCookies(content), cookies);
+    });
+    it('should parse cookies with an empty value', function () {
+      const cookies = [createCookie({name: 'empty', value: ''})];
+      const content = toNetscapeCookies(cookies);
+      assert.deepStrictEqual(parseNetscapeCookies(content), cookies);
+      assert.deepStrictEqual(parseNetscapeCookies(content.replaceAll('\n', '\r\n')), cookies);
+    });
+    it('should report malformed lines', function () {
+      assert.throws(() => parseNetscapeCookies('# comment\n\nexample.com\tFALSE\t/'), /Line 3 .* 7 tab-separated/);
+      assert.throws(
+        () => parseNetscapeCookies('example.com\tFALSE\t/\tFALSE\tsoon\tsid\tabc'),
+        /invalid expiration time 'soon'/,
+      );
+    });
+  });
+});
@@ -0,0 +1,95 @@
+import assert from 'node:assert/strict';
+import {describe, it} from 'node:test';
+
+import {DebuggerSession} from '../../../lib/debugger/index.js';
+
+function parseScript(session: DebuggerSession, scriptId: string, url: string): void {
+  session.handleEvent('Debugger.scriptParsed', {
+    scriptId,
+    url,
+    startLine: 0,
+    startColumn: 0,
+    endLine: 10,
+    endColumn: 0,
+  });
+}
+
+describe('DebuggerSession', function () {
+  it('should track parsed scripts', function () {
+    const session = new DebuggerSession();
+    parseScript(session, '1', 'https://example.com/app.js');
+    parseScript(session, '2', 'https://example.com/vendor.js');
+    parseScript(session, '3', '');
+
+    assert.deepStrictEqual(
+      session.getScripts().map(({scriptId}) => scriptId),
+      ['1', '2', '3'],
+    );
+    assert.deepStrictEqual(
+      session.getScripts('app.js').map(({scriptId}) => scriptId),
+      ['1'],
+    );
+    assert.deepStrictEqual(
+      session.getScripts(/vendor\.js$/).map(({scriptId}) => scriptId),
+      ['2'],
+    );
+    assert.strictEqual(session.getScript('2')?.url, 'https://example.com/vendor.js');
+  });
+
+  it('should report the paused state with script URLs', function () {
+    const session = new DebuggerSession();
+    parseScript(session, '1', 'https://example.com/app.js');
+    session.handleEvent('Debugger.paused', {
+      reason: 'Breakpoint',
+      data: {breakpointId: 'bp1'},
+      callFrames: [
+        {
+          callFrameId: 'frame1',
+          functionName: 'main',
+          location: {scriptId: '1', lineNumber: 4, columnNumber: 2},
+          scopeChain: [],
+          this: {type: 'undefined'},
+        },
+      ],
+    });
+
+    assert.strictEqual(session.pausedState?.reason, 'Breakpoint');
+    assert.strictEqual(session.pausedState?.callFrames[0].url, 'https://example.com/app.js');
+
+    session.handleEvent('Debugger.resumed');
+    assert.strictEqual(session.pausedState, undefined);
+  });
+
+  it('should resolve breakpoint locations', function () {
+    const session = new DebuggerSession();
+    session.addBreakpoint({breakpointId: 'bp1', url: 'https://example.com/app.js', lineNumber: 4, locations: []});
+    session.handleEvent('Debugger.breakpointResolved', {
+      breakpointId: 'bp1',
+      location: {scriptId: '1', lineNumber: 4, columnNumber: 0},
+    });
+    session.handleEvent('Debugger.breakpointResolved', {breakpointId: 'unknown', location: {}});
+
+    assert.deepStrictEqual(session.getBreakpoints()[0].locations, [{scriptId: '1', lineNumber: 4, columnNumber: 0}]);
+    assert.ok(session.removeBreakpoint('bp1'));
+    assert.ok(!session.removeBreakpoint('bp1'));
+    assert.deepStrictEqual(session.getBreakpoints(), []);
+  });
+
+  it('should forget scripts and breakpoint locations once the page navigates', function () {
+    const session = new DebuggerSession();
+    parseScript(session, '1', 'https://example.com/app.js');
+    session.addBreakpoint({
+      breakpointId: 'bp1',
+      url: 'https://example.com/app.js',
+      lineNumber: 4,
+      locations: [{scriptId: '1', lineNumber: 4}],
+    });
+    session.handleEvent('Debugger.paused', {reason: 'other', callFrames: []});
+
+    session.handleEvent('Debugger.globalObjectCleared');
+
+    assert.deepStrictEqual(session.getScripts(), []);
+    assert.strictEqual(session.pausedState, undefined);
+    assert.deepStrictEqual(session.getBreakpoints()[0].locations, []);
+  });
+});
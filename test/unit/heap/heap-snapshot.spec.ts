@@ -0,0 +1,84 @@
+import assert from 'node:assert/strict';
+import {describe, it} from 'node:test';
+
+import {diffHeapSnapshots, summarizeHeapSnapshot} from '../../../lib/heap/index.js';
+
+type Node = [id: number, size: number, className: string, flags?: number];
+
+function toSnapshotData(nodes: Node[]): string {
+  const nodeClassNames = [...new Set(['<root>', ...nodes.map(([, , className]) => className)])];
+  return JSON.stringify({
+    version: 2,
+    type: 'Inspector',
+    nodes: [[0, 0, '<root>', 0] as Node, ...nodes].flatMap(([id, size, className, flags = 0]) => [
+      id,
+      size,
+      nodeClassNames.indexOf(className),
+      flags,
+    ]),
+    nodeClassNames,
+    edges: [],
+    edgeTypes: ['Internal', 'Property', 'Index', 'Variable'],
+    edgeNames: [],
+  });
+}
+
+const BEFORE = toSnapshotData([
+  [1, 32, 'Object'],
+  [2, 16, 'Object'],
+  [3, 64, 'Array'],
+  [4, 100, 'Structure', 1],
+]);
+const AFTER = toSnapshotData([
+  [1, 32, 'Object'],
+  [3, 64, 'Array'],
+  [5, 48, 'HTMLDivElement'],
+  [6, 48, 'HTMLDivElement'],
+  [7, 16, 'Object'],
+  [8, 200, 'Structure', 1],
+]);
+
+describe('heap snapshots', function () {
+  describe('summarizeHeapSnapshot', function () {
+    it('should summarize the objects by class, without the internal ones', function () {
+      assert.deepStrictEqual(summarizeHeapSnapshot(AFTER), {
+        count: 5,
+        size: 208,
+        classes: [
+          {className: 'HTMLDivElement', count: 2, size: 96},
+          {className: 'Array', count: 1, size: 64},
+          {className: 'Object', count: 2, size: 48},
+        ],
+      });
+      assert.strictEqual(summarizeHeapSnapshot({timestamp: 1, snapshotData: AFTER}, {includeInternal: true}).size, 408);
+    });
+
+    it('should reject data which is not a heap snapshot', function () {
+      assert.throws(() => summarizeHeapSnapshot('{"nodes'), /not valid JSON/);
+      assert.throws(() => summarizeHeapSnapshot('{"traceEvents": []}'), /has no nodes/);
+    });
+  });
+
+  describe('diffHeapSnapshots', function () {
+    it('should report the growth by class and the new objects still alive', function () {
+      assert.deepStrictEqual(diffHeapSnapshots(BEFORE, AFTER), {
+        countDelta: 2,
+        sizeDelta: 96,
+        newCount: 3,
+        newSize: 112,
+        classes: [
+          {
+            className: 'HTMLDivElement',
+            count: 2,
+            size: 96,
+            countDelta: 2,
+            sizeDelta: 96,
+            newCount: 2,
+            newSize: 96,
+          },
+          {className: 'Object', count: 2, size: 48, countDelta: 0, sizeDelta: 0, newCount: 1, newSize: 16},
+        ],
+      });
+    });
+  });
+});
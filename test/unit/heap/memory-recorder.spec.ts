@@ -0,0 +1,45 @@
+import assert from 'node:assert/strict';
+import {describe, it} from 'node:test';
+
+import {MemoryRecorder} from '../../../lib/heap/index.js';
+
+describe('MemoryRecorder', function () {
+  it('should summarize the memory usage, the pressure and the garbage collections', function () {
+    const recorder = new MemoryRecorder();
+    recorder.handleEvent('Memory.trackingStart', {timestamp: 10});
+    recorder.handleEvent('Memory.trackingUpdate', {
+      event: {
+        timestamp: 10.5,
+        categories: [
+          {type: 'javascript', size: 4000},
+          {type: 'images', size: 1000},
+        ],
+      },
+    });
+    recorder.handleEvent('Heap.garbageCollected', {collection: {type: 'partial', startTime: 10.6, endTime: 10.601}});
+    recorder.handleEvent('Heap.garbageCollected', {collection: {type: 'full', startTime: 10.7, endTime: 10.72}});
+    recorder.handleEvent('Memory.memoryPressure', {timestamp: 10.8, severity: 'non-critical'});
+    recorder.handleEvent('Memory.trackingUpdate', {
+      event: {
+        timestamp: 11,
+        categories: [
+          {type: 'javascript', size: 2500},
+          {type: 'images', size: 1500},
+        ],
+      },
+    });
+    recorder.handleEvent('Memory.trackingComplete', {timestamp: 12});
+
+    assert.deepStrictEqual(recorder.getSummary(), {
+      durationMs: 2000,
+      sampleCount: 2,
+      total: {latest: 4000, peak: 5000},
+      categories: {
+        javascript: {latest: 2500, peak: 4000},
+        images: {latest: 1500, peak: 1500},
+      },
+      pressureEvents: [{timestamp: 10.8, severity: 'non-critical'}],
+      garbageCollections: {full: 1, partial: 1, durationMs: 21},
+    });
+  });
+});
@@ -0,0 +1,35 @@
+import sinon from 'sinon';
+
+export type SendHandler = (command: string, opts: Record<string, any>) => any;
+
+export interface MixinContextOptions {
+  /** Extra properties of the context, e.g. stubs of the other debugger methods */
+  props?: Record<string, any>;
+  /** Mixins bound to the context, so they could call each other through it */
+  mixins?: Record<string, unknown>;
+}
+
+// Stands in for the RemoteDebugger the mixins are called on: the page 1 of the app 'appId'
+// is selected and `_rpcClient.send` is a spy answering with the given handler.
+export function createMixinContext(send: SendHandler = () => ({}), opts: MixinContextOptions = {}): any {
+  const {props = {}, mixins = {}} = opts;
+  const ctx: any = {
+    _appIdKey: 'appId',
+    _pageIdKey: 1,
+    log: {debug: () => {}, warn: () => {}},
+    _rpcClient: {
+      isConnected: true,
+      send: sinon.spy(async (command: string, params: any) => await send(command, params)),
+    },
+    requireRpcClient() {
+      return this._rpcClient;
+    },
+    ...props,
+  };
+  for (const [name, mixin] of Object.entries(mixins)) {
+    if (typeof mixin === 'function') {
+      ctx[name] = mixin.bind(ctx);
+    }
+  }
+  return ctx;
+}
@@ -1,6 +1,10 @@
 import assert from 'node:assert/strict';
+import {EventEmitter} from 'node:events';
 import {describe, it, beforeEach} from 'node:test';
 
+import {retryInterval} from 'asyncbox';
+import sinon from 'sinon';
+
 import {getPossibleDebuggerAppKeys} from '../../../lib/mixins/connect.js';
 import {RemoteDebugger} from '../../../lib/remote-debugger.js';
 import type {AppInfo} from '../../../lib/types.js';
@@ -186,4 +190,113 @@ describe('connect', function () {
       });
     });
   });
+
+  describe('onConnectionLost', function () {
+    const BUNDLE_ID = 'io.appium.test';
+    const PAGE_URL = 'https://appium.io/';
+
+    function createClient() {
+      const client = new EventEmitter() as any;
+      client.send = sinon.stub().resolves({});
+      client.connect = sinon.stub().resolves();
+      client.disconnect = sinon.stub().resolves();
+      client.isConnected = true;
+      return client;
+    }
+
+    function setSelectedPage(appIdKey: string, pageIdKey: number): void {
+      (rd as any)._appDict = {
+        [appIdKey]: {id: appIdKey, bundleId: BUNDLE_ID, pageArray: [{id: pageIdKey, url: PAGE_URL}]},
+      };
+      (rd as any)._appIdKey = appIdKey;
+      (rd as any)._pageIdKey = pageIdKey;
+    }
+
+    let lostClient: any;
+    let newClient: any;
+
+    beforeEach(function () {
+      rd = new RemoteDebugger({reconnect: {initialDelayMs: 1, maxAttempts: 1}});
+      lostClient = createClient();
+      newClient = createClient();
+      (rd as any)._rpcClient = lostClient;
+      setSelectedPage('PID:42', 1);
+
+      // the app gets a new process and the page a new identifier after reconnecting
+      newClient.selectApp = sinon
+        .stub()
+        .resolves(['PID:43', {2: {WIRPageIdentifierKey: 2, WIRURLKey: PAGE_URL, WIRTitleKey: 'Appium'}}]);
+      sinon.stub(rd, 'initRpcClient').callsFake(async () => {
+        (rd as any)._rpcClient = newClient;
+      });
+      sinon.stub(rd, 'setConnectionKey').callsFake(async () => {
+        (rd as any)._appDict = {'PID:43': {id: 'PID:43', bundleId: BUNDLE_ID}};
+      });
+      sinon.stub(rd, 'selectPage').callsFake(async (appIdKey, pageIdKey) => {
+        (rd as any)._appIdKey = appIdKey;
+        (rd as any)._pageIdKey = pageIdKey;
+      });
+    });
+
+    it('should intercept the requests of the page selected again', async function () {
+      const handler = sinon.stub().resolves({action: 'continue'});
+      await rd.addInterception({urlPattern: 'https://appium.io/api', handler});
+      await rd.addInterception({urlPattern: 'https://appium.io/api', handler});
+      const reconnected = new Promise<void>((resolve) => rd.once(RemoteDebugger.EVENT_RECONNECT, () => resolve()));
+
+      await rd.onConnectionLost(new Error('socket closed'));
+      await reconnected;
+      assert.ok(lostClient.disconnect.calledOnce);
+      assert.deepStrictEqual(
+        newClient.send.args.map(([command, params]: [string, object]) => [command, params]),
+        [
+          ['Network.setInterceptionEnabled', {appIdKey: 'PID:43', pageIdKey: 2, enabled: true}],
+          [
+            'Network.addInterception',
+            {
+              appIdKey: 'PID:43',
+              pageIdKey: 2,
+              url: 'https://appium.io/api',
+              caseSensitive: false,
+              isRegex: false,
+              stage: 'request',
+            },
+          ],
+        ],
+      );
+
+      newClient.send.resetHistory();
+      newClient.getPageIdKeyForTarget = sinon.stub().returns(2);
+      newClient.emit(
+        'Network.requestIntercepted',
+        null,
+        {requestId: '7', request: {url: 'https://appium.io/api'}},
+        {
+          appIdKey: 'PID:43',
+          targetId: 'page-2',
+        },
+      );
+      await retryInterval(20, 10, async () => assert.ok(newClient.send.calledOnce));
+      assert.ok(handler.calledOnce);
+      assert.deepStrictEqual(newClient.send.firstCall.args, [
+        'Network.interceptContinue',
+        {appIdKey: 'PID:43', pageIdKey: 2, targetId: 'page-2', requestId: '7', stage: 'request'},
+      ]);
+    });
+
+    it('should end the recordings which cannot be carried over and emit an error', async function () {
+      (rd as any)._tracingSessions = {'PID:42/1': {listener: sinon.spy()}};
+      (rd as any)._heapTrackings = {'PID:42/1': {listener: sinon.spy()}};
+      const errors: Error[] = [];
+      rd.on(RemoteDebugger.EVENT_RECONNECT_ERROR, (err: Error) => errors.push(err));
+
+      await rd.onConnectionLost(new Error('socket closed'));
+      assert.deepStrictEqual((rd as any)._tracingSessions, {});
+      assert.deepStrictEqual((rd as any)._heapTrackings, {});
+      assert.strictEqual(errors.length, 1);
+      assert.match(errors[0].message, /has ended the tracing of the page 'PID:42\/1', the heap tracking/);
+      assert.strictEqual(newClient.listenerCount('TracingEvent'), 0);
+      assert.strictEqual(newClient.listenerCount('MemoryEvent'), 0);
+    });
+  });
 });
@@ -0,0 +1,83 @@
+import assert from 'node:assert/strict';
+import {describe, it} from 'node:test';
+
+import sinon from 'sinon';
+
+import * as cookieMixins from '../../../lib/mixins/cookies.js';
+import {createMixinContext} from '../helpers/mixin-context.js';
+import type {SendHandler} from '../helpers/mixin-context.js';
+
+const COOKIES = [
+  {name: 'sid', value: 'abc', domain: '.example.com', path: '/', expires: 0, session: true},
+  {name: 'theme', value: 'dark', domain: 'other.com', path: '/', expires: 0, session: true},
+].map((cookie) => ({...cookie, httpOnly: false, secure: true, sameSite: 'Lax'}));
+
+function createContext(send: SendHandler = () => ({})): any {
+  return createMixinContext(
+    async (command, opts) => (command === 'Page.getCookies' ? {cookies: COOKIES} : await send(command, opts)),
+    {props: {executeAtom: sinon.stub().resolves('example.com')}, mixins: cookieMixins},
+  );
+}
+
+function sentCommands(ctx: any, command: string): Record<string, any>[] {
+  return ctx._rpcClient.send.args.filter(([name]: any[]) => name === command).map(([, opts]: any[]) => opts);
+}
+
+describe('cookies', function () {
+  it('should filter the cookies by domain', async function () {
+    const ctx = createContext();
+    const cookies = await ctx.getAllCookies({domain: 'www.other.com'});
+    assert.deepStrictEqual(cookies, []);
+    assert.deepStrictEqual(
+      (await ctx.getAllCookies({domain: 'example.com'})).map(({name}: any) => name),
+      ['sid'],
+    );
+  });
+
+  it('should delete the matching cookies', async function () {
+    const ctx = createContext();
+    assert.strictEqual(await ctx.deleteAllCookies({domain: 'other.com'}), 1);
+    assert.deepStrictEqual(
+      sentCommands(ctx, 'Page.deleteCookie').map(({cookieName, url}) => [cookieName, url]),
+      [['theme', 'https://other.com/']],
+    );
+  });
+
+  it('should export cookies and import them back', async function () {
+    for (const format of ['json', 'netscape'] as const) {
+      const ctx = createContext();
+      const data = await ctx.exportCookies({format, domain: 'example.com'});
+      assert.strictEqual(await ctx.importCookies(data), 1);
+      const [{cookie}] = sentCommands(ctx, 'Page.setCookie');
+      // the Netscape format does not keep the SameSite attribute
+      assert.deepStrictEqual(cookie, {...COOKIES[0], sameSite: format === 'json' ? 'Lax' : 'None'});
+    }
+  });
+
+  it('should validate all the cookies before importing any', async function () {
+    const ctx = createContext();
+    await assert.rejects(
+      ctx.importCookies([
+        {name: 'a', value: '1'},
+        {name: 'b', value: '2', sameSite: 'Sometimes'},
+      ]),
+      /The cookie at index 1 cannot be imported: The cookie 'b' must have 'sameSite'/,
+    );
+    assert.deepStrictEqual(sentCommands(ctx, 'Page.setCookie'), []);
+  });
+
+  it('should send the cookies set one by one as they are', async function () {
+    const ctx = createContext();
+    const cookie = {name: 'sid', value: 'abc', domain: 'example.com', expiry: 1700000000, sameSite: 'Unknown'};
+    await ctx.setCookie(cookie);
+    assert.deepStrictEqual(sentCommands(ctx, 'Page.setCookie'), [{appIdKey: 'appId', pageIdKey: 1, cookie}]);
+  });
+
+  it('should name the cookie WebKit rejects', async function () {
+    const ctx = createContext(() => ({id: 1, error: {message: 'Invalid cookie'}}));
+    await assert.rejects(
+      ctx.importCookies([{name: 'sid', value: 'abc'}]),
+      /WebKit has rejected the cookie 'sid' for 'example.com\/': .*Invalid cookie/,
+    );
+  });
+});
@@ -0,0 +1,131 @@
+import assert from 'node:assert/strict';
+import {describe, it} from 'node:test';
+
+import {
+  getAttributes,
+  onDocumentUpdated,
+  querySelector,
+  querySelectorAll,
+  requestNode,
+  snapshotNode,
+} from '../../../lib/mixins/dom.js';
+import {createMixinContext} from '../helpers/mixin-context.js';
+import type {SendHandler} from '../helpers/mixin-context.js';
+
+function createContext(send: SendHandler): any {
+  return createMixinContext(send, {props: {_documentNodeIds: {}}});
+}
+
+describe('dom', function () {
+  describe('querySelector', function () {
+    it('should query the cached document', async function () {
+      const ctx = createContext((command) => {
+        switch (command) {
+          case 'DOM.getDocument':
+            return {root: {nodeId: 1}};
+          case 'DOM.querySelector':
+            return {nodeId: 5};
+          case 'DOM.querySelectorAll':
+            return {nodeIds: [5, 6]};
+        }
+      });
+
+      assert.strictEqual(await querySelector.call(ctx, '#main'), 5);
+      assert.deepStrictEqual(await querySelectorAll.call(ctx, 'div'), [5, 6]);
+
+      const commands = ctx._rpcClient.send.args.map(([command]: any[]) => command);
+      assert.deepStrictEqual(commands, ['DOM.getDocument', 'DOM.querySelector', 'DOM.querySelectorAll']);
+      assert.deepStrictEqual(ctx._rpcClient.send.lastCall.args[1], {
+        appIdKey: 'appId',
+        pageIdKey: 1,
+        nodeId: 1,
+        selector: 'div',
+      });
+    });
+
+    it('should return null if nothing matches', async function () {
+      const ctx = createContext(() => ({nodeId: 0, root: {nodeId: 1}}));
+      assert.strictEqual(await querySelector.call(ctx, '#missing'), null);
+    });
+
+    it('should request the document again once it has been updated', async function () {
+      let rootNodeId = 1;
+      const ctx = createContext((command, {nodeId}) =>
+        command === 'DOM.getDocument' ? {root: {nodeId: rootNodeId++}} : {nodeId: nodeId + 10},
+      );
+
+      assert.strictEqual(await querySelector.call(ctx, 'p'), 11);
+      onDocumentUpdated.call(ctx);
+      assert.strictEqual(await querySelector.call(ctx, 'p'), 12);
+    });
+
+    it('should retry with a fresh document if the cached one is gone', async function () {
+      let rootNodeId = 1;
+      const ctx = createContext((command, {nodeId}) => {
+        if (command === 'DOM.getDocument') {
+          return {root: {nodeId: rootNodeId++}};
+        }
+        return nodeId === 1 ? {id: 3, error: {code: -32000, message: 'Missing node for given nodeId'}} : {nodeId: 7};
+      });
+
+      assert.strictEqual(await querySelector.call(ctx, 'p'), 7);
+      assert.deepStrictEqual(ctx._documentNodeIds, {'appId/1': 2});
+    });
+
+    it('should fail if no page is selected', async function () {
+      const ctx = createContext(() => ({}));
+      ctx._pageIdKey = undefined;
+      await assert.rejects(querySelector.call(ctx, 'p'), /page must be selected/);
+    });
+  });
+
+  describe('getAttributes', function () {
+    it('should map interleaved attribute names and values', async function () {
+      const ctx = createContext(() => ({attributes: ['id', 'main', 'class', 'a b']}));
+      assert.deepStrictEqual(await getAttributes.call(ctx, 3), {id: 'main', class: 'a b'});
+    });
+
+    it('should surface protocol errors', async function () {
+      const ctx = createContext(() => ({id: 2, error: {code: -32000, message: 'Node is not an Element'}}));
+      await assert.rejects(getAttributes.call(ctx, 3), /'DOM.getAttributes' has failed: Node is not an Element/);
+    });
+  });
+
+  describe('requestNode', function () {
+    it('should push the cached element to the client and release it', async function () {
+      const ctx = createContext((command) => {
+        switch (command) {
+          case 'Runtime.evaluate':
+            return {result: {type: 'object', objectId: 'obj-1'}, wasThrown: false};
+          case 'DOM.getDocument':
+            return {root: {nodeId: 1}};
+          case 'DOM.requestNode':
+            return {nodeId: 9};
+          default:
+            return {};
+        }
+      });
+
+      const nodeId = await requestNode.call(ctx, {
+        ELEMENT: ':wdc:1',
+        'element-6066-11e4-a52e-4f735466cecf': ':wdc:1',
+      });
+
+      assert.strictEqual(nodeId, 9);
+      const calls = ctx._rpcClient.send.args;
+      assert.match(calls[0][1].expression, /\(":wdc:1"\)$/);
+      assert.deepStrictEqual(
+        calls.map(([command]: any[]) => command),
+        ['Runtime.evaluate', 'DOM.getDocument', 'DOM.requestNode', 'Runtime.releaseObject'],
+      );
+      assert.strictEqual(calls[3][1].objectId, 'obj-1');
+    });
+  });
+
+  describe('snapshotNode', function () {
+    it('should strip the data URL prefix', async function () {
+      const ctx = createContext(() => ({dataURL: 'data:image/png;base64,iVBORw0KGgo='}));
+      assert.strictEqual(await snapshotNode.call(ctx, 3), 'iVBORw0KGgo=');
+    });
+  });
+});
@@ -0,0 +1,99 @@
+import assert from 'node:assert/strict';
+import {describe, it} from 'node:test';
+
+import * as emulationMixins from '../../../lib/mixins/emulation.js';
+import {createMixinContext} from '../helpers/mixin-context.js';
+import type {SendHandler} from '../helpers/mixin-context.js';
+
+function createContext(send?: SendHandler): any {
+  return createMixinContext(send, {props: {_emulations: {}}, mixins: emulationMixins});
+}
+
+// undefined parameters are dropped when the command is serialized, which removes an override
+function sentCommands(ctx: any): [string, Record<string, any>][] {
+  return ctx._rpcClient.send.args.map(([command, opts]: any[]) => {
+    const params = JSON.parse(JSON.stringify(opts));
+    delete params.appIdKey;
+    delete params.pageIdKey;
+    return [command, params];
+  });
+}
+
+describe('emulation', function () {
+  it('should send the protocol command of each override', async function () {
+    const ctx = createContext();
+    await ctx.emulate({
+      viewport: {width: 390, height: 844},
+      media: 'print',
+      colorScheme: 'dark',
+      reducedMotion: 'no-preference',
+      contrast: 'more',
+      javaScriptEnabled: false,
+      imagesEnabled: true,
+      cacheDisabled: true,
+      networkConditions: '3g',
+    });
+    assert.deepStrictEqual(sentCommands(ctx), [
+      ['Page.setScreenSizeOverride', {width: 390, height: 844}],
+      ['Page.setEmulatedMedia', {media: 'print'}],
+      ['Page.overrideUserPreference', {name: 'PrefersColorScheme', value: 'Dark'}],
+      ['Page.overrideUserPreference', {name: 'PrefersReducedMotion', value: 'NoPreference'}],
+      ['Page.overrideUserPreference', {name: 'PrefersContrast', value: 'More'}],
+      ['Page.overrideSetting', {setting: 'ScriptEnabled', value: false}],
+      ['Page.overrideSetting', {setting: 'ImagesEnabled', value: true}],
+      ['Network.setResourceCachingDisabled', {disabled: true}],
+      ['Network.setEmulatedConditions', {bytesPerSecondLimit: 97500}],
+    ]);
+  });
+
+  it('should track the overrides of each page', async function () {
+    const ctx = createContext();
+    assert.deepStrictEqual(await ctx.emulate({media: 'print', networkConditions: {bytesPerSecondLimit: 1000}}), {
+      media: 'print',
+      networkConditions: {bytesPerSecondLimit: 1000},
+    });
+    assert.deepStrictEqual(await ctx.emulate({media: null, colorScheme: 'light'}), {
+      networkConditions: {bytesPerSecondLimit: 1000},
+      colorScheme: 'light',
+    });
+    assert.deepStrictEqual(sentCommands(ctx)[2], ['Page.setEmulatedMedia', {media: ''}]);
+
+    ctx._pageIdKey = 2;
+    assert.deepStrictEqual(ctx.getEmulation(), {});
+  });
+
+  it('should validate all the options before applying any of them', async function () {
+    const ctx = createContext();
+    await assert.rejects(ctx.emulate({media: 'print', colorScheme: 'blue'}), /colorScheme emulation must be one of/);
+    await assert.rejects(ctx.emulate({viewport: {width: 0, height: 100}}), /positive integer dimensions/);
+    await assert.rejects(ctx.emulate({networkConditions: '5g'}), /networkConditions emulation must be one of/);
+    await assert.rejects(ctx.emulate({zoom: 2}), /Unknown emulation options: zoom/);
+    assert.strictEqual(ctx._rpcClient.send.callCount, 0);
+  });
+
+  it('should remove only the applied overrides on reset', async function () {
+    const ctx = createContext();
+    await ctx.emulate({viewport: {width: 390, height: 844}, javaScriptEnabled: false, networkConditions: 'edge'});
+    ctx._rpcClient.send.resetHistory();
+
+    await ctx.resetEmulation();
+    assert.deepStrictEqual(sentCommands(ctx), [
+      ['Page.setScreenSizeOverride', {}],
+      ['Page.overrideSetting', {setting: 'ScriptEnabled'}],
+      ['Network.setEmulatedConditions', {}],
+    ]);
+    assert.deepStrictEqual(ctx.getEmulation(), {});
+  });
+
+  it('should remove the other overrides if one of them cannot be removed', async function () {
+    const ctx = createContext((command, {value}) => {
+      if (command === 'Page.overrideUserPreference' && value === undefined) {
+        throw new Error('Unknown method');
+      }
+    });
+    await ctx.emulate({colorScheme: 'dark', media: 'print'});
+
+    await assert.rejects(ctx.resetEmulation(), /Cannot remove the emulated colorScheme \(Unknown method\)/);
+    assert.deepStrictEqual(ctx.getEmulation(), {colorScheme: 'dark'});
+  });
+});
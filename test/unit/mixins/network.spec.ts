@@ -0,0 +1,106 @@
+import assert from 'node:assert/strict';
+import {describe, it} from 'node:test';
+
+import AsyncLock from 'async-lock';
+import sinon from 'sinon';
+
+import * as networkMixins from '../../../lib/mixins/network.js';
+import {createMixinContext} from '../helpers/mixin-context.js';
+import type {SendHandler} from '../helpers/mixin-context.js';
+
+function createContext(send: SendHandler = () => ({})): any {
+  const ctx = createMixinContext(
+    async (command, opts) => {
+      // answer asynchronously, so that concurrent calls interleave
+      await new Promise((resolve) => setImmediate(resolve));
+      return await send(command, opts);
+    },
+    {props: {_interceptions: [], _interceptionLock: new AsyncLock()}, mixins: networkMixins},
+  );
+  ctx._rpcClient.on = sinon.spy();
+  ctx._rpcClient.off = sinon.spy();
+  return ctx;
+}
+
+function sentCommands(ctx: any): string[] {
+  return ctx._rpcClient.send.args.map(([command, {enabled}]: any[]) =>
+    enabled === undefined ? command : `${command}(${enabled})`,
+  );
+}
+
+describe('network', function () {
+  describe('addInterception', function () {
+    it('should enable the interception of the page once for concurrent calls', async function () {
+      const ctx = createContext();
+      const handler = () => {};
+      const ids = await Promise.all([
+        ctx.addInterception({urlPattern: '/api', handler}),
+        ctx.addInterception({urlPattern: '/api', handler}),
+        ctx.addInterception({urlPattern: '/assets', handler}),
+      ]);
+
+      assert.strictEqual(new Set(ids).size, 3);
+      assert.strictEqual(ctx._interceptions.length, 3);
+      assert.deepStrictEqual(sentCommands(ctx), [
+        'Network.setInterceptionEnabled(true)',
+        'Network.addInterception',
+        'Network.addInterception',
+      ]);
+      assert.strictEqual(ctx._rpcClient.on.callCount, 2);
+    });
+
+    it('should leave the page as it was if the interception cannot be added', async function () {
+      const ctx = createContext((command) =>
+        command === 'Network.addInterception' ? {id: 1, error: {message: 'Invalid pattern'}} : {},
+      );
+      await assert.rejects(ctx.addInterception({urlPattern: '/api', handler: () => {}}), /Invalid pattern/);
+
+      assert.deepStrictEqual(ctx._interceptions, []);
+      assert.deepStrictEqual(sentCommands(ctx), [
+        'Network.setInterceptionEnabled(true)',
+        'Network.addInterception',
+        'Network.setInterceptionEnabled(false)',
+      ]);
+      assert.strictEqual(ctx._interceptionListeners, undefined);
+      assert.strictEqual(ctx._rpcClient.off.callCount, 2);
+    });
+  });
+
+  describe('removeInterception', function () {
+    it('should keep the interception if it cannot be removed', async function () {
+      let isRejected = true;
+      const ctx = createContext((command) =>
+        command === 'Network.removeInterception' && isRejected ? {id: 1, error: {message: 'Page is gone'}} : {},
+      );
+      const id = await ctx.addInterception({urlPattern: '/api', handler: () => {}});
+
+      await assert.rejects(ctx.removeInterception(id), /Page is gone/);
+      assert.deepStrictEqual(
+        ctx._interceptions.map((item: any) => item.id),
+        [id],
+      );
+      assert.ok(ctx._interceptionListeners);
+
+      isRejected = false;
+      await ctx.removeInterception(id);
+      assert.deepStrictEqual(ctx._interceptions, []);
+      assert.strictEqual(ctx._interceptionListeners, undefined);
+    });
+
+    it('should remove an interception once for concurrent calls', async function () {
+      const ctx = createContext();
+      const id = await ctx.addInterception({urlPattern: '/api', handler: () => {}});
+      ctx._rpcClient.send.resetHistory();
+
+      const results = await Promise.allSettled([ctx.removeInterception(id), ctx.removeInterception(id)]);
+      assert.deepStrictEqual(
+        results.map(({status}) => status),
+        ['fulfilled', 'rejected'],
+      );
+      assert.deepStrictEqual(sentCommands(ctx), [
+        'Network.removeInterception',
+        'Network.setInterceptionEnabled(false)',
+      ]);
+    });
+  });
+});
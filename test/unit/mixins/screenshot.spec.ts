@@ -0,0 +1,121 @@
+import assert from 'node:assert/strict';
+import {describe, it} from 'node:test';
+
+import sinon from 'sinon';
+
+import {
+  MAX_SNAPSHOT_TILE_SIZE,
+  captureElementScreenshot,
+  captureScreenshot,
+  splitIntoTiles,
+} from '../../../lib/mixins/screenshot.js';
+import {createMixinContext} from '../helpers/mixin-context.js';
+
+const DEVICE_PIXEL_RATIO = 2;
+// like the screenshot mixin, the tests rendering images need the optional 'sharp' module
+const sharp = await import('sharp').then(({default: module}) => module).catch(() => undefined);
+const WITH_SHARP = {skip: sharp ? false : `the optional 'sharp' module is not installed`};
+
+async function renderTile({width, height}: Record<string, number>): Promise<string> {
+  const image = await sharp!({
+    create: {
+      width: width * DEVICE_PIXEL_RATIO,
+      height: height * DEVICE_PIXEL_RATIO,
+      channels: 3,
+      background: {r: 255, g: 0, b: 0},
+    },
+  })
+    .png()
+    .toBuffer();
+  return `data:image/png;base64,${image.toString('base64')}`;
+}
+
+function createContext(rect: Record<string, number>): any {
+  return createMixinContext(async (_command, opts) => ({dataURL: await renderTile(opts)}), {
+    props: {executeAtom: sinon.stub().resolves(rect)},
+  });
+}
+
+describe('screenshot', function () {
+  describe('splitIntoTiles', function () {
+    it('should not split small areas', function () {
+      assert.deepStrictEqual(splitIntoTiles({x: 5, y: 10, width: 100, height: 50}), [
+        {x: 5, y: 10, width: 100, height: 50},
+      ]);
+    });
+
+    it('should split large areas row by row', function () {
+      assert.deepStrictEqual(splitIntoTiles({x: 0, y: 0, width: 150, height: 120}, 100), [
+        {x: 0, y: 0, width: 100, height: 100},
+        {x: 100, y: 0, width: 50, height: 100},
+        {x: 0, y: 100, width: 100, height: 20},
+        {x: 100, y: 100, width: 50, height: 20},
+      ]);
+    });
+  });
+
+  describe('captureScreenshot', function () {
+    it('should return the snapshot as is by default', WITH_SHARP, async function () {
+      const ctx = createContext({x: 0, y: 0, width: 4, height: 3});
+      const screenshot = await captureScreenshot.call(ctx);
+      const {width, height, format} = await sharp!(Buffer.from(screenshot, 'base64')).metadata();
+      assert.deepStrictEqual([width, height, format], [8, 6, 'png']);
+      assert.strictEqual(ctx._rpcClient.send.firstCall.args[1].coordinateSystem, 'Viewport');
+    });
+
+    it('should stitch full page tiles in page coordinates', WITH_SHARP, async function () {
+      const height = MAX_SNAPSHOT_TILE_SIZE + 10;
+      const ctx = createContext({width: 3, height});
+      const screenshot = await captureScreenshot.call(ctx, {fullPage: true});
+
+      const calls = ctx._rpcClient.send.args.map(([, {y, height, coordinateSystem}]: any[]) => [
+        y,
+        height,
+        coordinateSystem,
+      ]);
+      assert.deepStrictEqual(calls, [
+        [0, MAX_SNAPSHOT_TILE_SIZE, 'Page'],
+        [MAX_SNAPSHOT_TILE_SIZE, 10, 'Page'],
+      ]);
+      const {data, info} = await sharp!(Buffer.from(screenshot, 'base64')).raw().toBuffer({resolveWithObject: true});
+      assert.deepStrictEqual([info.width, info.height], [6, height * DEVICE_PIXEL_RATIO]);
+      // the bottom row comes from the second tile, so nothing should be left transparent
+      const lastPixel = data.subarray(data.length - info.channels);
+      assert.deepStrictEqual([...lastPixel], [255, 0, 0, 255]);
+    });
+
+    it('should encode JPEG images in CSS pixels', WITH_SHARP, async function () {
+      const ctx = createContext({x: 0, y: 0, width: 4, height: 3});
+      const screenshot = await captureScreenshot.call(ctx, {format: 'jpeg', quality: 50, scale: 1});
+      const {width, height, format} = await sharp!(Buffer.from(screenshot, 'base64')).metadata();
+      assert.deepStrictEqual([width, height, format], [4, 3, 'jpeg']);
+    });
+
+    it('should validate image options', async function () {
+      const ctx = createContext({x: 0, y: 0, width: 4, height: 3});
+      await assert.rejects(captureScreenshot.call(ctx, {format: 'gif' as any}), /'png' or 'jpeg'/);
+      await assert.rejects(captureScreenshot.call(ctx, {format: 'jpeg', quality: 0}), /from 1 to 100/);
+      await assert.rejects(captureScreenshot.call(ctx, {scale: -1}), /positive number/);
+      assert.strictEqual(ctx._rpcClient.send.callCount, 0);
+    });
+  });
+
+  describe('captureElementScreenshot', function () {
+    it('should capture the element rect in page coordinates', WITH_SHARP, async function () {
+      const ctx = createContext({x: 20, y: 1500, width: 4, height: 2});
+      await captureElementScreenshot.call(ctx, ':wdc:3', {frames: [':wdc:1']});
+
+      const [atom, [, [element]], frames] = ctx.executeAtom.firstCall.args;
+      assert.strictEqual(atom, 'execute_script');
+      assert.deepStrictEqual(element, {ELEMENT: ':wdc:3', 'element-6066-11e4-a52e-4f735466cecf': ':wdc:3'});
+      assert.deepStrictEqual(frames, [':wdc:1']);
+      const {x, y, width, height, coordinateSystem} = ctx._rpcClient.send.firstCall.args[1];
+      assert.deepStrictEqual([x, y, width, height, coordinateSystem], [20, 1500, 4, 2, 'Page']);
+    });
+
+    it('should fail for elements without size', async function () {
+      const ctx = createContext({x: 0, y: 0, width: 0, height: 0});
+      await assert.rejects(captureElementScreenshot.call(ctx, ':wdc:3'), /has no size/);
+    });
+  });
+});
@@ -0,0 +1,182 @@
+import assert from 'node:assert/strict';
+import {describe, it} from 'node:test';
+
+import sinon from 'sinon';
+
+import {getStorageState, setStorageState} from '../../../lib/mixins/storage.js';
+import {createMixinContext} from '../helpers/mixin-context.js';
+import type {SendHandler} from '../helpers/mixin-context.js';
+
+const PAGE_ORIGIN = 'https://example.com';
+const FRAME_ORIGIN = 'https://frame.example.com';
+
+const FRAME_TREE = {
+  frame: {id: 'main', securityOrigin: PAGE_ORIGIN},
+  childFrames: [{frame: {id: 'blank', securityOrigin: '://'}}, {frame: {id: 'child', securityOrigin: FRAME_ORIGIN}}],
+};
+
+function createContext(send: SendHandler): any {
+  return createMixinContext(send, {
+    props: {executeAtom: sinon.stub(), executeAtomAsync: sinon.stub().resolves({error: null})},
+  });
+}
+
+describe('storage', function () {
+  describe('getStorageState', function () {
+    it('should capture the storage of all the origins of the page', async function () {
+      const ctx = createContext((command, opts) => {
+        switch (command) {
+          case 'Page.getResourceTree':
+            return {frameTree: FRAME_TREE};
+          case 'DOMStorage.getDOMStorageItems': {
+            const {securityOrigin, isLocalStorage} = opts.storageId;
+            return {entries: [[isLocalStorage ? 'local' : 'session', securityOrigin]]};
+          }
+          case 'IndexedDB.requestDatabaseNames':
+            return {databaseNames: opts.securityOrigin === PAGE_ORIGIN ? ['app'] : []};
+          case 'IndexedDB.requestDatabase':
+            return {
+              databaseWithObjectStores: {
+                name: 'app',
+                version: 3,
+                objectStores: [
+                  {
+                    name: 'todos',
+                    keyPath: {type: 'string', string: 'id'},
+                    autoIncrement: true,
+                    indexes: [
+                      {name: 'byTag', keyPath: {type: 'array', array: ['tag']}, unique: false, multiEntry: true},
+                    ],
+                  },
+                ],
+              },
+            };
+          case 'IndexedDB.requestData':
+            return opts.skipCount === 0
+              ? {
+                  objectStoreDataEntries: [
+                    {primaryKey: {type: 'number', value: 1}, value: {type: 'object', objectId: 'obj-1'}},
+                  ],
+                  hasMore: true,
+                }
+              : {
+                  objectStoreDataEntries: [
+                    {primaryKey: {type: 'number', value: 2}, value: {type: 'string', value: 'b'}},
+                  ],
+                  hasMore: false,
+                };
+          case 'Runtime.callFunctionOn':
+            return JSON.stringify({id: 1, title: 'a'});
+        }
+        return {};
+      });
+
+      const state = await getStorageState.call(ctx);
+
+      assert.deepStrictEqual(
+        state.origins.map(({origin, localStorage, sessionStorage}) => [origin, localStorage, sessionStorage]),
+        [
+          [PAGE_ORIGIN, [{name: 'local', value: PAGE_ORIGIN}], [{name: 'session', value: PAGE_ORIGIN}]],
+          [FRAME_ORIGIN, [{name: 'local', value: FRAME_ORIGIN}], [{name: 'session', value: FRAME_ORIGIN}]],
+        ],
+      );
+      assert.deepStrictEqual(state.origins[0].indexedDB, [
+        {
+          name: 'app',
+          version: 3,
+          objectStores: [
+            {
+              name: 'todos',
+              keyPath: 'id',
+              autoIncrement: true,
+              indexes: [{name: 'byTag', keyPath: ['tag'], unique: false, multiEntry: true}],
+              records: [
+                {key: 1, value: {id: 1, title: 'a'}},
+                {key: 2, value: 'b'},
+              ],
+            },
+          ],
+        },
+      ]);
+      assert.deepStrictEqual(state.origins[1].indexedDB, []);
+      const released = ctx._rpcClient.send.args.filter(([command]: any[]) => command === 'Runtime.releaseObject');
+      assert.deepStrictEqual(
+        released.map(([, {objectId}]: any[]) => objectId),
+        ['obj-1'],
+      );
+    });
+
+    it('should fall back to atoms for the page origin', async function () {
+      const ctx = createContext((command) => {
+        if (command === 'Page.getResourceTree') {
+          return {frameTree: {frame: {securityOrigin: PAGE_ORIGIN}}};
+        }
+        return {id: 1, error: {message: `'DOMStorage' domain was not found`}};
+      });
+      ctx.executeAtom.withArgs('get_local_storage_keys').resolves(['token']);
+      ctx.executeAtom.withArgs('get_local_storage_item', ['token']).resolves('secret');
+      ctx.executeAtom.withArgs('get_session_storage_keys').resolves([]);
+
+      const state = await getStorageState.call(ctx, {indexedDB: false});
+
+      assert.deepStrictEqual(state, {
+        origins: [
+          {
+            origin: PAGE_ORIGIN,
+            localStorage: [{name: 'token', value: 'secret'}],
+            sessionStorage: [],
+            indexedDB: [],
+          },
+        ],
+      });
+    });
+  });
+
+  describe('setStorageState', function () {
+    it('should replace the storage of the loaded origins', async function () {
+      const ctx = createContext((command) => (command === 'Page.getResourceTree' ? {frameTree: FRAME_TREE} : {}));
+      const indexedDB = [{name: 'app', version: 1, objectStores: []}];
+
+      await setStorageState.call(ctx, {
+        origins: [
+          {origin: PAGE_ORIGIN, localStorage: [{name: 'token', value: 'secret'}], sessionStorage: [], indexedDB},
+          {origin: 'https://other.com', localStorage: [{name: 'a', value: 'b'}], sessionStorage: [], indexedDB: []},
+        ],
+      });
+
+      const calls = ctx._rpcClient.send.args
+        .filter(([command]: any[]) => command.startsWith('DOMStorage.'))
+        .map(([command, {storageId, key, value}]: any[]) => [command, storageId, key, value]);
+      const local = {securityOrigin: PAGE_ORIGIN, isLocalStorage: true};
+      const session = {securityOrigin: PAGE_ORIGIN, isLocalStorage: false};
+      assert.deepStrictEqual(calls, [
+        ['DOMStorage.clearDOMStorageItems', local, undefined, undefined],
+        ['DOMStorage.setDOMStorageItem', local, 'token', 'secret'],
+        ['DOMStorage.clearDOMStorageItems', session, undefined, undefined],
+      ]);
+      const [atom, [, [databases]]] = ctx.executeAtomAsync.firstCall.args;
+      assert.strictEqual(atom, 'execute_async_script');
+      assert.deepStrictEqual(databases, indexedDB);
+    });
+
+    it('should fail if the page cannot restore the databases', async function () {
+      const ctx = createContext(() => ({frameTree: FRAME_TREE}));
+      ctx.executeAtomAsync.resolves({error: `The database 'app' is in use by the page and cannot be replaced`});
+      const origins = [
+        {
+          origin: PAGE_ORIGIN,
+          localStorage: [],
+          sessionStorage: [],
+          indexedDB: [{name: 'app', version: 1, objectStores: []}],
+        },
+      ];
+      await assert.rejects(setStorageState.call(ctx, {origins}), /is in use by the page/);
+    });
+
+    it('should validate the state', async function () {
+      const ctx = createContext(() => ({}));
+      await assert.rejects(setStorageState.call(ctx, {} as any), /'origins' array/);
+      assert.strictEqual(ctx._rpcClient.send.callCount, 0);
+    });
+  });
+});
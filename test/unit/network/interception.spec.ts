@@ -0,0 +1,101 @@
+import assert from 'node:assert/strict';
+import {describe, it} from 'node:test';
+
+import {matchesPattern, toInterceptionCommand, toProtocolPattern} from '../../../lib/network/index.js';
+import type {InterceptedRequest} from '../../../lib/network/index.js';
+
+describe('network interception', function () {
+  describe('toProtocolPattern', function () {
+    it('should default to intercepting all requests', function () {
+      assert.deepStrictEqual(toProtocolPattern({}), {url: '', caseSensitive: false, isRegex: false, stage: 'request'});
+    });
+    it('should convert regular expressions', function () {
+      assert.deepStrictEqual(toProtocolPattern({urlPattern: /api\/v\d/i, stage: 'response'}), {
+        url: 'api\\/v\\d',
+        caseSensitive: false,
+        isRegex: true,
+        stage: 'response',
+      });
+    });
+    it('should reject unknown stages', function () {
+      assert.throws(() => toProtocolPattern({stage: 'foo' as any}), /must be either 'request' or 'response'/);
+    });
+  });
+
+  describe('matchesPattern', function () {
+    const url = 'https://example.com/API/users?id=1';
+    it('should match substrings like Web Inspector', function () {
+      assert.ok(matchesPattern(toProtocolPattern({urlPattern: '/api/users'}), url));
+      assert.ok(!matchesPattern(toProtocolPattern({urlPattern: '/api/users', caseSensitive: true}), url));
+      assert.ok(matchesPattern(toProtocolPattern({urlPattern: ''}), url));
+    });
+    it('should match regular expressions', function () {
+      assert.ok(matchesPattern(toProtocolPattern({urlPattern: /users\?id=\d+$/}), url));
+      assert.ok(!matchesPattern(toProtocolPattern({urlPattern: /^http:/}), url));
+    });
+  });
+
+  describe('toInterceptionCommand', function () {
+    const request: InterceptedRequest = {
+      requestId: '1',
+      stage: 'request',
+      url: 'https://example.com/',
+      request: {url: 'https://example.com/', method: 'GET', headers: {Accept: '*/*', 'X-Remove': '1'}},
+    };
+    const response: InterceptedRequest = {...request, stage: 'response', request: undefined, response: {}};
+
+    it('should continue requests', function () {
+      assert.deepStrictEqual(toInterceptionCommand(request, {action: 'continue'}), [
+        'Network.interceptContinue',
+        {requestId: '1', stage: 'request'},
+      ]);
+    });
+    it('should merge modified headers', function () {
+      const [command, params] = toInterceptionCommand(request, {
+        action: 'modify',
+        headers: {'x-remove': null, Authorization: 'Bearer foo'},
+        postData: 'a=1',
+      });
+      assert.strictEqual(command, 'Network.interceptWithRequest');
+      assert.deepStrictEqual(params.headers, {Accept: '*/*', Authorization: 'Bearer foo'});
+      assert.strictEqual(params.postData, Buffer.from('a=1').toString('base64'));
+    });
+    it('should fail requests', function () {
+      assert.deepStrictEqual(toInterceptionCommand(request, {action: 'fail', errorType: 'Timeout'}), [
+        'Network.interceptRequestWithError',
+        {requestId: '1', errorType: 'Timeout'},
+      ]);
+    });
+    it('should fulfill requests with a canned response', function () {
+      assert.deepStrictEqual(
+        toInterceptionCommand(request, {action: 'fulfill', status: 404, body: 'nope', mimeType: 'text/html'}),
+        [
+          'Network.interceptRequestWithResponse',
+          {
+            requestId: '1',
+            content: Buffer.from('nope').toString('base64'),
+            base64Encoded: true,
+            mimeType: 'text/html',
+            status: 404,
+            statusText: 'Not Found',
+            headers: {'Content-Type': 'text/html'},
+          },
+        ],
+      );
+    });
+    it('should replace responses', function () {
+      const [command, params] = toInterceptionCommand(response, {
+        action: 'fulfill',
+        headers: {'content-type': 'application/json; charset=utf-8'},
+        body: '{}',
+      });
+      assert.strictEqual(command, 'Network.interceptWithResponse');
+      assert.strictEqual(params.mimeType, 'application/json');
+      assert.deepStrictEqual(params.headers, {'content-type': 'application/json; charset=utf-8'});
+    });
+    it('should only modify or fail at the request stage', function () {
+      assert.throws(() => toInterceptionCommand(response, {action: 'modify'}), /only be modified/);
+      assert.throws(() => toInterceptionCommand(response, {action: 'fail'}), /only be failed/);
+    });
+  });
+});
@@ -0,0 +1,190 @@
+import assert from 'node:assert/strict';
+import {describe, it} from 'node:test';
+
+import {NetworkRecorder} from '../../../lib/network/index.js';
+
+const CREATOR = {name: 'test', version: '1.0.0'};
+const WALL_TIME = 1700000000;
+
+function sendRequest(recorder: NetworkRecorder, requestId: string, url: string, timestamp = 10, extra = {}): void {
+  recorder.handleEvent('Network.requestWillBeSent', {
+    requestId,
+    request: {url, method: 'GET', headers: {Cookie: 'a=1; b=2'}},
+    timestamp,
+    walltime: WALL_TIME + timestamp,
+    type: 'Document',
+    ...extra,
+  });
+}
+
+describe('NetworkRecorder', function () {
+  it('should assemble a complete request into a HAR entry', async function () {
+    const recorder = new NetworkRecorder({creator: CREATOR});
+    sendRequest(recorder, '1', 'https://example.com/index.html?q=1&x=y');
+    recorder.handleEvent('Network.responseReceived', {
+      requestId: '1',
+      timestamp: 10.1,
+      type: 'Document',
+      response: {
+        url: 'https://example.com/index.html?q=1&x=y',
+        status: 200,
+        statusText: 'OK',
+        headers: {'Content-Type': 'text/html', 'Set-Cookie': 'sid=abc; Path=/; HttpOnly; Secure\nfoo=bar'},
+        mimeType: 'text/html',
+        source: 'network',
+      },
+    });
+    recorder.handleEvent('Network.dataReceived', {requestId: '1', dataLength: 100, encodedDataLength: 40});
+    recorder.handleEvent('Network.dataReceived', {requestId: '1', dataLength: 50, encodedDataLength: 20});
+    recorder.handleEvent('Network.loadingFinished', {
+      requestId: '1',
+      timestamp: 10.25,
+      metrics: {protocol: 'http/1.1', remoteAddress: '93.184.216.34:443', requestHeaders: {Cookie: 'a=1; b=2'}},
+    });
+
+    const har = await recorder.toHar();
+    assert.strictEqual(har.log.version, '1.2');
+    assert.deepStrictEqual(har.log.creator, CREATOR);
+    assert.strictEqual(har.log.entries.length, 1);
+    const [entry] = har.log.entries;
+    assert.strictEqual(entry.startedDateTime, new Date((WALL_TIME + 10) * 1000).toISOString());
+    assert.strictEqual(Math.round(entry.time), 250);
+    assert.strictEqual(Math.round(entry.timings.wait), 100);
+    assert.strictEqual(Math.round(entry.timings.receive), 150);
+    assert.strictEqual(entry.timings.dns, -1);
+    assert.strictEqual(entry.request.httpVersion, 'HTTP/1.1');
+    assert.deepStrictEqual(entry.request.queryString, [
+      {name: 'q', value: '1'},
+      {name: 'x', value: 'y'},
+    ]);
+    assert.deepStrictEqual(entry.request.cookies, [
+      {name: 'a', value: '1'},
+      {name: 'b', value: '2'},
+    ]);
+    assert.strictEqual(entry.response.status, 200);
+    assert.deepStrictEqual(entry.response.cookies, [
+      {name: 'sid', value: 'abc', path: '/', httpOnly: true, secure: true},
+      {name: 'foo', value: 'bar'},
+    ]);
+    assert.strictEqual(entry.response.headers.filter(({name}) => name === 'Set-Cookie').length, 2);
+    assert.deepStrictEqual(entry.response.content, {size: 150, mimeType: 'text/html'});
+    assert.strictEqual(entry.response.bodySize, 60);
+    assert.strictEqual(entry.serverIPAddress, '93.184.216.34');
+    assert.strictEqual(entry._resourceType, 'Document');
+  });
+
+  it('should use resource timing when it is available', async function () {
+    const recorder = new NetworkRecorder({creator: CREATOR});
+    sendRequest(recorder, '1', 'https://example.com/');
+    recorder.handleEvent('Network.responseReceived', {
+      requestId: '1',
+      timestamp: 10.2,
+      response: {
+        status: 200,
+        headers: {},
+        timing: {
+          startTime: 10,
+          fetchStart: 10.01,
+          domainLookupStart: 0,
+          domainLookupEnd: 5,
+          connectStart: 5,
+          connectEnd: 30,
+          secureConnectionStart: 15,
+          requestStart: 30,
+          responseStart: 80,
+          responseEnd: 90,
+        },
+      },
+    });
+    recorder.handleEvent('Network.loadingFinished', {requestId: '1', timestamp: 10.2});
+
+    const [{timings, time}] = (await recorder.toHar()).log.entries;
+    assert.deepStrictEqual(
+      Object.fromEntries(Object.entries(timings).map(([name, value]) => [name, Math.round(value as number)])),
+      {blocked: 10, dns: 5, connect: 25, ssl: 15, send: 0, wait: 50, receive: 10},
+    );
+    assert.strictEqual(Math.round(time), 100);
+  });
+
+  it('should create an entry for each redirect hop', async function () {
+    const recorder = new NetworkRecorder({creator: CREATOR});
+    sendRequest(recorder, '1', 'http://example.com/');
+    sendRequest(recorder, '1', 'https://example.com/', 10.1, {
+      redirectResponse: {status: 301, statusText: 'Moved Permanently', headers: {Location: 'https://example.com/'}},
+    });
+    recorder.handleEvent('Network.responseReceived', {requestId: '1', timestamp: 10.2, response: {status: 200}});
+    recorder.handleEvent('Network.loadingFinished', {requestId: '1', timestamp: 10.3});
+
+    const {entries} = (await recorder.toHar()).log;
+    assert.deepStrictEqual(
+      entries.map(({request, response}) => [request.url, response.status, response.redirectURL]),
+      [
+        ['http://example.com/', 301, 'https://example.com/'],
+        ['https://example.com/', 200, ''],
+      ],
+    );
+  });
+
+  it('should report failed requests and skip the ones without a response', async function () {
+    const recorder = new NetworkRecorder({creator: CREATOR});
+    sendRequest(recorder, '1', 'https://example.com/failed');
+    recorder.handleEvent('Network.loadingFailed', {requestId: '1', timestamp: 11, errorText: 'Connection refused'});
+    sendRequest(recorder, '2', 'https://example.com/pending');
+
+    const {entries} = (await recorder.toHar()).log;
+    assert.strictEqual(entries.length, 1);
+    assert.strictEqual(entries[0].response.status, 0);
+    assert.strictEqual(entries[0].response._error, 'Connection refused');
+  });
+
+  it('should report responses served from the memory cache', async function () {
+    const recorder = new NetworkRecorder({creator: CREATOR});
+    sendRequest(recorder, '1', 'https://example.com/');
+    recorder.handleEvent('Network.requestServedFromMemoryCache', {
+      requestId: '2',
+      timestamp: 12,
+      resource: {url: 'https://example.com/logo.png', type: 'Image', mimeType: 'image/png', bodySize: 1024},
+    });
+
+    const [entry] = (await recorder.toHar()).log.entries;
+    assert.strictEqual(entry.request.url, 'https://example.com/logo.png');
+    assert.strictEqual(entry.startedDateTime, new Date((WALL_TIME + 12) * 1000).toISOString());
+    assert.strictEqual(entry._fromCache, 'memory');
+    assert.strictEqual(entry.response.bodySize, 0);
+    assert.strictEqual(entry.response.content.size, 1024);
+  });
+
+  it('should fetch response bodies if requested', async function () {
+    const requested: any[] = [];
+    const recorder = new NetworkRecorder({
+      creator: CREATOR,
+      captureContent: true,
+      getResponseBody: async (requestId, origin) => {
+        requested.push([requestId, origin]);
+        if (requestId === '2') {
+          throw new Error('No resource with given identifier found');
+        }
+        return {body: 'aGVsbG8=', base64Encoded: true};
+      },
+    });
+    const origin = {appIdKey: 'PID:42', targetId: 'page-1'};
+    for (const requestId of ['1', '2']) {
+      recorder.handleEvent(
+        'Network.requestWillBeSent',
+        {requestId, request: {url: `https://example.com/${requestId}`}, timestamp: 10, walltime: WALL_TIME + 10},
+        origin,
+      );
+      recorder.handleEvent('Network.responseReceived', {requestId, timestamp: 10.1, response: {status: 200}}, origin);
+      recorder.handleEvent('Network.loadingFinished', {requestId, timestamp: 10.2}, origin);
+    }
+
+    const {entries} = (await recorder.toHar()).log;
+    assert.deepStrictEqual(requested, [
+      ['1', origin],
+      ['2', origin],
+    ]);
+    assert.strictEqual(entries[0].response.content.text, 'aGVsbG8=');
+    assert.strictEqual(entries[0].response.content.encoding, 'base64');
+    assert.strictEqual(entries[1].response.content.text, undefined);
+  });
+});
@@ -0,0 +1,155 @@
+import assert from 'node:assert/strict';
+import {readFileSync} from 'node:fs';
+import path from 'node:path';
+import {describe, it} from 'node:test';
+
+import sinon from 'sinon';
+
+import {
+  assertCommandSupported,
+  createProtocolDomains,
+  getProtocolCommand,
+  validateProtocolParams,
+} from '../../../lib/protocol/index.js';
+import {getModuleRoot, ProtocolParamsError, UnsupportedCommandError} from '../../../lib/utils/index.js';
+
+// the hand-maintained table of the commands and their parameters the schemas have replaced
+const TABLE_COMMANDS: Record<string, string[]> = JSON.parse(
+  readFileSync(path.resolve(getModuleRoot(), 'test', 'fixtures', 'protocol', 'commands.json'), 'utf8'),
+);
+// the parameters of the table which are not parameters of the command in the schemas
+const TABLE_ERRATA: Record<string, string[]> = {
+  // the result of the command
+  'Page.archive': ['data'],
+};
+
+const AVAILABILITY = {
+  Animation: {since: '13.4'},
+  'Network.addInterception': {since: '13.4'},
+  'Target.exists': {until: '13.4'},
+};
+
+describe('protocol', function () {
+  describe('getProtocolCommand', function () {
+    it('should take the parameters of the schema from the options', function () {
+      const command = getProtocolCommand(
+        '1',
+        'Network.getResponseBody',
+        {requestId: '42', appIdKey: 'PID:42', pageIdKey: 1, unrelated: true},
+        true,
+      );
+      assert.deepStrictEqual(command, {id: '1', method: 'Network.getResponseBody', params: {requestId: '42'}});
+    });
+    it('should keep the default parameters unless they are set', function () {
+      const {params} = getProtocolCommand('1', 'Runtime.evaluate', {expression: '1', returnByValue: undefined});
+      assert.strictEqual(params.objectGroup, 'console');
+      assert.strictEqual(params.expression, '1');
+      assert.ok(!Object.hasOwn(params, 'returnByValue'));
+    });
+    it('should reject the commands missing from the schemas', function () {
+      assert.throws(
+        () => getProtocolCommand('1', 'Custom.doSomething', {value: 2}),
+        /Unknown command: 'Custom.doSomething'/,
+      );
+    });
+    it('should send the commands of the hand-maintained table with their parameters', function () {
+      for (const [method, names] of Object.entries(TABLE_COMMANDS)) {
+        const expected = names.filter((name) => !TABLE_ERRATA[method]?.includes(name));
+        const opts = Object.fromEntries(names.map((name) => [name, `${name}-value`]));
+        const {params} = getProtocolCommand('1', method, {...opts, appIdKey: 'PID:42', pageIdKey: 1}, true);
+        assert.deepStrictEqual(Object.keys(params).sort(), expected.sort(), method);
+      }
+    });
+  });
+
+  describe('assertCommandSupported', function () {
+    it('should reject the commands which are newer than the iOS version', function () {
+      assert.throws(
+        () => assertCommandSupported('Network.addInterception', '13.3', AVAILABILITY),
+        (err: any) => err instanceof UnsupportedCommandError && /needs iOS 13\.4 or newer/.test(err.message),
+      );
+      assertCommandSupported('Network.addInterception', '13.4', AVAILABILITY);
+    });
+    it('should reject the commands of domains which are newer than the iOS version', function () {
+      assert.throws(
+        () => assertCommandSupported('Animation.enable', '13.0', AVAILABILITY),
+        /'Animation' needs iOS 13\.4/,
+      );
+      assertCommandSupported('Animation.enable', '16.0', AVAILABILITY);
+    });
+    it('should reject the commands which have been removed from the iOS version', function () {
+      assert.throws(
+        () => assertCommandSupported('Target.exists', '14.0', AVAILABILITY),
+        /has been removed in iOS 13\.4/,
+      );
+      assertCommandSupported('Target.exists', '13.0', AVAILABILITY);
+    });
+    it('should not check anything if the iOS version is unknown', function () {
+      assertCommandSupported('Network.addInterception', undefined, AVAILABILITY);
+      assertCommandSupported('Network.addInterception', '', AVAILABILITY);
+    });
+    it('should accept the commands which are not listed', function () {
+      assertCommandSupported('Page.reload', '9.3', AVAILABILITY);
+      assertCommandSupported('Page.reload', '9.3');
+    });
+  });
+
+  describe('validateProtocolParams', function () {
+    it('should accept valid parameters', function () {
+      validateProtocolParams('Network.addInterception', {url: 'https://', stage: 'request', caseSensitive: true});
+      validateProtocolParams('Timeline.setInstruments', {instruments: ['Timeline', 'CPU']});
+    });
+    it('should reject missing required parameters', function () {
+      assert.throws(
+        () => validateProtocolParams('Network.getResponseBody', {}),
+        (err: any) => err instanceof ProtocolParamsError && /needs the 'requestId' parameter/.test(err.message),
+      );
+    });
+    it('should reject values of the wrong type', function () {
+      assert.throws(
+        () => validateProtocolParams('Timeline.start', {maxCallStackDepth: 1.5}),
+        /'maxCallStackDepth' parameter of 'Timeline.start' must be an integer, got 1.5/,
+      );
+    });
+    it('should reject values which are not enumerated', function () {
+      assert.throws(
+        () => validateProtocolParams('Network.addInterception', {url: '', stage: 'body'}),
+        /must be one of 'request', 'response', got "body"/,
+      );
+      assert.throws(
+        () => validateProtocolParams('Timeline.setInstruments', {instruments: ['Timeline', 'GPU']}),
+        /has an invalid item at index 1/,
+      );
+    });
+  });
+
+  describe('createProtocolDomains', function () {
+    it('should send the commands of the domains', async function () {
+      const backend = {
+        send: sinon.stub().resolves({body: 'hello', base64Encoded: false}),
+        on: sinon.stub(),
+      };
+      const domains = createProtocolDomains(backend);
+
+      const result = await domains.Network.getResponseBody({requestId: '42'}, {appIdKey: 'PID:42', pageIdKey: 1});
+      assert.deepStrictEqual(result, {body: 'hello', base64Encoded: false});
+      assert.deepStrictEqual(backend.send.firstCall.args, [
+        'Network.getResponseBody',
+        {requestId: '42'},
+        {appIdKey: 'PID:42', pageIdKey: 1},
+      ]);
+
+      await domains.Page.enable();
+      assert.deepStrictEqual(backend.send.secondCall.args, ['Page.enable', {}, {}]);
+    });
+    it('should subscribe to the events of the domains', function () {
+      const off = sinon.spy();
+      const backend = {send: sinon.stub(), on: sinon.stub().returns(off)};
+      const listener = sinon.spy();
+
+      const unsubscribe = createProtocolDomains(backend).Network.on('loadingFinished', listener);
+      assert.strictEqual(unsubscribe, off);
+      assert.deepStrictEqual(backend.on.firstCall.args, ['Network.loadingFinished', listener]);
+    });
+  });
+});
@@ -17,6 +17,7 @@ describe('RemoteMessages', function () {
       'Page.enable',
       'Timeline.start',
       'Timeline.stop',
+      'Network.getResponseBody',
     ];
     for (const command of commands) {
       it(`should be able to retrieve ${command} command`, function () {
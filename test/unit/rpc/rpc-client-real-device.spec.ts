@@ -0,0 +1,62 @@
+import assert from 'node:assert/strict';
+import {EventEmitter} from 'node:events';
+import {afterEach, beforeEach, describe, it} from 'node:test';
+
+import {services} from 'appium-ios-device';
+import sinon from 'sinon';
+
+import {RpcClientRealDevice} from '../../../lib/rpc/rpc-client-real-device.js';
+
+describe('RpcClientRealDevice', function () {
+  let socket: EventEmitter & {destroyed?: boolean};
+  let startWebInspectorService: sinon.SinonStub;
+
+  beforeEach(function () {
+    socket = new EventEmitter();
+    startWebInspectorService = sinon.stub(services, 'startWebInspectorService').resolves({
+      _socketClient: socket,
+      listenMessage: () => {},
+      sendMessage: () => {},
+      close: () => socket.emit('close'),
+    } as any);
+  });
+  afterEach(function () {
+    startWebInspectorService.restore();
+  });
+
+  it('should report the connection loss once the service socket goes away', async function () {
+    const client = new RpcClientRealDevice({udid: 'test-udid', platformVersion: '17.0'});
+    const onConnectionLost = sinon.spy();
+    client.on('connectionLost', onConnectionLost);
+    await client.connect();
+
+    socket.emit('error', new Error('read ECONNRESET'));
+    socket.emit('close');
+
+    assert.strictEqual(client.isConnected, false);
+    assert.strictEqual(onConnectionLost.callCount, 1);
+    assert.match(onConnectionLost.firstCall.args[0].message, /Web Inspector service socket error: read ECONNRESET/);
+  });
+
+  it('should not report a connection loss on disconnect', async function () {
+    const client = new RpcClientRealDevice({udid: 'test-udid', platformVersion: '17.0'});
+    const onConnectionLost = sinon.spy();
+    client.on('connectionLost', onConnectionLost);
+    await client.connect();
+
+    await client.disconnect();
+
+    assert.strictEqual(onConnectionLost.callCount, 0);
+  });
+
+  it('should clean up on disconnect after a connection loss', async function () {
+    const client = new RpcClientRealDevice({udid: 'test-udid', platformVersion: '17.0'});
+    client.on('Runtime.executionContextCreated', () => {});
+    await client.connect();
+    socket.emit('close');
+
+    await client.disconnect();
+
+    assert.strictEqual((client as any).messageHandler.listenerCount('Runtime.executionContextCreated'), 0);
+  });
+});
@@ -0,0 +1,137 @@
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import {afterEach, beforeEach, describe, it} from 'node:test';
+
+import {fs, tempDir} from '@appium/support';
+import {waitForCondition} from 'asyncbox';
+
+import {RpcClientReplay} from '../../../lib/rpc/rpc-client-replay.js';
+
+function entry(type: 'send' | 'receive', __selector: string, __argument: Record<string, any> = {}) {
+  return JSON.stringify({type, elapsedMs: 0, message: {__selector, __argument}});
+}
+
+describe('rpc-client-replay', function () {
+  let tmpDir: string;
+  let replayPath: string;
+  let client: RpcClientReplay;
+  beforeEach(async function () {
+    tmpDir = await tempDir.openDir();
+    replayPath = path.join(tmpDir, 'session.jsonl');
+  });
+  afterEach(async function () {
+    await client?.disconnect();
+    await fs.rimraf(tmpDir);
+  });
+
+  it('should replay received messages before the first sent one on connect', async function () {
+    await fs.writeFile(
+      replayPath,
+      [
+        JSON.stringify({type: 'header', version: 1}),
+        entry('receive', '_rpc_reportConnectedApplicationList:', {WIRApplicationDictionaryKey: {foo: {}}}),
+      ].join('\n'),
+    );
+    client = new RpcClientReplay({replayPath});
+    const received = new Promise((resolve) =>
+      client.once('_rpc_reportConnectedApplicationList:', (_err: any, apps: any) => resolve(apps)),
+    );
+    await client.connect();
+    assert.deepStrictEqual(await received, {foo: {}});
+    await client.disconnect();
+  });
+
+  it('should route responses to the ids of the current session', async function () {
+    // the recording used other message ids than the ones the client is going to use
+    await fs.writeFile(
+      replayPath,
+      [
+        entry('send', '_rpc_forwardSocketData:', {
+          WIRSocketDataKey: {
+            id: 11,
+            method: 'Target.sendMessageToTarget',
+            params: {targetId: 'page-1', message: JSON.stringify({id: 10, method: 'Runtime.evaluate'})},
+          },
+        }),
+        entry('receive', '_rpc_applicationSentData:', {
+          WIRMessageDataKey: {id: 11, result: {}},
+        }),
+        entry('receive', '_rpc_applicationSentData:', {
+          WIRMessageDataKey: {
+            method: 'Target.dispatchMessageFromTarget',
+            params: {
+              targetId: 'page-1',
+              message: JSON.stringify({id: 10, result: {result: {type: 'number', value: 2}, wasThrown: false}}),
+            },
+          },
+        }),
+      ].join('\n'),
+    );
+    client = new RpcClientReplay({replayPath});
+    await client.connect();
+
+    const result = await client.send('Runtime.evaluate', {
+      appIdKey: 'PID:1',
+      pageIdKey: 1,
+      targetId: 'page-1',
+      expression: '1 + 1',
+    });
+    assert.strictEqual(result, 2);
+    assert.ok(client.isExhausted);
+  });
+
+  it('should route the target events of each page to the senders of the current session', async function () {
+    const setupPage = (pageIdKey: number, senderId: string) =>
+      entry('send', '_rpc_forwardSocketSetup:', {
+        WIRApplicationIdentifierKey: 'PID:42',
+        WIRSenderKey: senderId,
+        WIRPageIdentifierKey: pageIdKey,
+      });
+    const createTarget = (targetId: string, senderId: string) =>
+      entry('receive', '_rpc_applicationSentData:', {
+        WIRApplicationIdentifierKey: 'PID:42',
+        WIRDestinationKey: senderId,
+        WIRMessageDataKey: {method: 'Target.targetCreated', params: {targetInfo: {targetId, type: 'page'}}},
+      });
+    // the pages had other senders in the recorded session
+    await fs.writeFile(
+      replayPath,
+      [
+        setupPage(1, 'recorded-sender-1'),
+        setupPage(2, 'recorded-sender-2'),
+        createTarget('page-2', 'recorded-sender-2'),
+        createTarget('page-1', 'recorded-sender-1'),
+      ].join('\n'),
+    );
+    client = new RpcClientReplay({replayPath});
+    const destinations: Record<string, string> = {};
+    client.on('Target.targetCreated', (_err: any, _app: string, {targetId}: any, destination: string) => {
+      destinations[targetId] = destination;
+    });
+    await client.connect();
+
+    const senderIds = [client.getSenderId('PID:42', 1), client.getSenderId('PID:42', 2)];
+    for (const [index, senderId] of senderIds.entries()) {
+      await client.sendMessage({
+        __selector: '_rpc_forwardSocketSetup:',
+        __argument: {WIRApplicationIdentifierKey: 'PID:42', WIRSenderKey: senderId, WIRPageIdentifierKey: index + 1},
+      });
+    }
+    await waitForCondition(() => client.isExhausted && Object.keys(destinations).length === 2, {
+      waitMs: 1000,
+      intervalMs: 10,
+    });
+    assert.deepStrictEqual(destinations, {'page-1': senderIds[0], 'page-2': senderIds[1]});
+  });
+
+  it('should fail when the session diverges from the recording', async function () {
+    await fs.writeFile(replayPath, entry('send', '_rpc_reportIdentifier:'));
+    client = new RpcClientReplay({replayPath});
+    await client.connect();
+
+    await assert.rejects(
+      client.send('Page.enable', {appIdKey: 'PID:1', pageIdKey: 1, targetId: 'page-1'}),
+      /diverged from the recording at entry #1. Sent: '_rpc_forwardSocketData: .*Page.enable'; expected: '_rpc_reportIdentifier:'/,
+    );
+  });
+});
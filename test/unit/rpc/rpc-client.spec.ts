@@ -4,6 +4,15 @@ import {describe, it} from 'node:test';
 import sinon from 'sinon';
 
 import {RpcClient} from '../../../lib/rpc/rpc-client.js';
+import {ConnectionLostError, ProtocolParamsError} from '../../../lib/utils/index.js';
+
+class LosableRpcClient extends RpcClient {
+  override async sendMessage(): Promise<void> {}
+
+  loseConnection(reason: string): void {
+    this.handleConnectionLost(reason);
+  }
+}
 
 describe('rpc-client', function () {
   describe('.send', function () {
@@ -32,4 +41,135 @@ describe('rpc-client', function () {
       assert.deepStrictEqual(waitForTargetSpy.firstCall.args, ['appId', 'pageKey']);
     });
   });
+  describe('.handleConnectionLost', function () {
+    it('should fail in-flight and later requests with a retriable error', async function () {
+      const client = new LosableRpcClient();
+      // keep the request waiting for a reply
+      client.on('_rpc_reportIdentifier:', () => {});
+      const onConnectionLost = sinon.spy();
+      client.on('connectionLost', onConnectionLost);
+
+      const inFlight = client.send('setConnectionKey', {});
+      await new Promise(setImmediate);
+      client.loseConnection('socket closed');
+
+      await assert.rejects(inFlight, (err: any) => err instanceof ConnectionLostError && err.retriable === true);
+      await assert.rejects(client.send('setConnectionKey', {}), ConnectionLostError);
+      assert.strictEqual(client.isConnected, false);
+      assert.strictEqual(onConnectionLost.callCount, 1);
+      assert.match(onConnectionLost.firstCall.args[0].message, /socket closed/);
+
+      client.loseConnection('socket closed again');
+      assert.strictEqual(onConnectionLost.callCount, 1);
+    });
+  });
+  describe('.sendToDevice', function () {
+    it('should validate the protocol parameters if asked to', async function () {
+      const client = new LosableRpcClient({validateProtocolParams: true});
+      await assert.rejects(client.sendToDevice('Network.getResponseBody', {}), ProtocolParamsError);
+    });
+  });
+  describe('.domains', function () {
+    it('should send the commands with their target and return the raw result', async function () {
+      const client = new RpcClient();
+      const send = sinon.stub(client, 'send').resolves({body: 'hello', base64Encoded: false});
+
+      const result = await client.domains.Network.getResponseBody(
+        {requestId: '42'},
+        {appIdKey: 'PID:42', pageIdKey: 1},
+      );
+      assert.deepStrictEqual(result, {body: 'hello', base64Encoded: false});
+      assert.deepStrictEqual(send.firstCall.args, [
+        'Network.getResponseBody',
+        {appIdKey: 'PID:42', pageIdKey: 1, requestId: '42', rawResult: true},
+      ]);
+    });
+    it('should reject the protocol errors', async function () {
+      const client = new RpcClient();
+      sinon.stub(client, 'send').resolves({id: 3, error: {message: 'No resource with given identifier found'}});
+
+      await assert.rejects(
+        client.domains.Network.getResponseBody({requestId: '42'}),
+        /'Network.getResponseBody' has failed: No resource with given identifier found/,
+      );
+    });
+    it('should call the event listeners until they are removed', function () {
+      const client = new RpcClient();
+      const listener = sinon.spy();
+      const origin = {appIdKey: 'PID:42', targetId: 'page-1'};
+      const messageHandler = (client as any).messageHandler;
+
+      const off = client.domains.Network.on('loadingFinished', listener);
+      messageHandler.emit('TargetEvent', null, 'Network.loadingFinished', {requestId: '42'}, origin);
+      messageHandler.emit('TargetEvent', null, 'Network.loadingFailed', {requestId: '43'}, origin);
+      off();
+      messageHandler.emit('TargetEvent', null, 'Network.loadingFinished', {requestId: '44'}, origin);
+
+      assert.strictEqual(listener.callCount, 1);
+      assert.deepStrictEqual(listener.firstCall.args, [{requestId: '42'}, origin]);
+    });
+  });
+  describe('.getSenderId', function () {
+    it('should use a separate sender for each page', function () {
+      const client = new RpcClient();
+      const first = client.getSenderId('PID:42', 1);
+      const second = client.getSenderId('PID:42', 2);
+
+      assert.notStrictEqual(first, second);
+      assert.strictEqual(client.getSenderId('PID:42', 1), first);
+      assert.notStrictEqual(client.getSenderId('PID:43', 1), first);
+      assert.ok(![first, second].includes(client.getSenderId('PID:42')));
+      assert.strictEqual(client.getSenderId(), client.getSenderId('PID:42'));
+    });
+  });
+  describe('pending target notifications', function () {
+    it('should be forgotten once the page is not listed anymore', async function () {
+      const client = new RpcClient();
+      client.targets['PID:42'] = {1: 'page-1', 2: 'page-2'} as any;
+      await client.selectPage('PID:42', 1);
+      await client.selectPage('PID:42', 2);
+
+      // the page gets a new target when it navigates to another process
+      await client.removeTarget(undefined, 'PID:42', {targetId: 'page-1'} as any);
+      assert.strictEqual((client as any)._pendingTargetNotifications.size, 2);
+      (client as any).messageHandler.emit('_rpc_forwardGetListing:', null, 'PID:42', {
+        2: {WIRPageIdentifierKey: 2, WIRURLKey: 'https://appium.io/'},
+      });
+      assert.deepStrictEqual([...(client as any)._pendingTargetNotifications.keys()], ['PID:42:2']);
+    });
+    it('should be forgotten once the application is disconnected', async function () {
+      const client = new RpcClient();
+      client.targets['PID:42'] = {1: 'page-1'} as any;
+      await client.selectPage('PID:42', 1);
+
+      (client as any).messageHandler.emit('_rpc_applicationDisconnected:', null, {
+        WIRApplicationIdentifierKey: 'PID:42',
+      });
+      assert.strictEqual((client as any)._pendingTargetNotifications.size, 0);
+    });
+  });
+  describe('.disconnect', function () {
+    it('should forget the pending target notifications', async function () {
+      const client = new RpcClient();
+      client.targets['PID:42'] = {1: 'page-1'} as any;
+      await client.selectPage('PID:42', 1);
+
+      await client.disconnect();
+      assert.strictEqual((client as any)._pendingTargetNotifications.size, 0);
+      assert.strictEqual((client as any)._pendingTargetNotification, undefined);
+    });
+  });
+  describe('.isFromPage', function () {
+    it('should tell the pages apart by the message target', function () {
+      const client = new RpcClient();
+      client.targets['PID:42'] = {1: 'page-1', 2: 'page-2'} as any;
+
+      assert.ok(client.isFromPage({appIdKey: 'PID:42', targetId: 'page-1'}, 'PID:42', 1));
+      assert.ok(!client.isFromPage({appIdKey: 'PID:42', targetId: 'page-2'}, 'PID:42', 1));
+      assert.ok(!client.isFromPage({appIdKey: 'PID:43', targetId: 'page-1'}, 'PID:42', 1));
+      // provisional targets are not mapped to pages yet
+      assert.ok(client.isFromPage({appIdKey: 'PID:42', targetId: 'page-3'}, 'PID:42', 1));
+      assert.ok(client.isFromPage(undefined, 'PID:42', 1));
+    });
+  });
 });
@@ -0,0 +1,130 @@
+import assert from 'node:assert/strict';
+import {describe, it} from 'node:test';
+
+import RpcMessageHandler from '../../../lib/rpc/rpc-message-handler.js';
+
+function targetMessage(targetId: string, message: Record<string, any>) {
+  return {
+    __selector: '_rpc_applicationSentData:',
+    __argument: {
+      WIRApplicationIdentifierKey: 'PID:42',
+      WIRMessageDataKey: JSON.stringify({
+        method: 'Target.dispatchMessageFromTarget',
+        params: {targetId, message: JSON.stringify(message)},
+      }),
+    },
+  };
+}
+
+describe('RpcMessageHandler', function () {
+  it('should aggregate network events', async function () {
+    const handler = new RpcMessageHandler();
+    const events: any[] = [];
+    handler.on('NetworkEvent', (err, params, method, origin) => events.push([err, params, method, origin]));
+
+    await handler.handleMessage(
+      targetMessage('page-1', {method: 'Network.loadingFinished', params: {requestId: '1', timestamp: 1}}),
+    );
+
+    assert.deepStrictEqual(events, [
+      [undefined, {requestId: '1', timestamp: 1}, 'Network.loadingFinished', {appIdKey: 'PID:42', targetId: 'page-1'}],
+    ]);
+  });
+
+  it('should report the origin of intercepted requests', async function () {
+    const handler = new RpcMessageHandler();
+    const intercepted: any[] = [];
+    const aggregated: any[] = [];
+    handler.on('Network.requestIntercepted', (_err, params, origin) => intercepted.push([params, origin]));
+    handler.on('NetworkEvent', (_err, params, method) => aggregated.push([params, method]));
+
+    const params = {requestId: '2', request: {url: 'https://example.com/'}};
+    await handler.handleMessage(targetMessage('page-2', {method: 'Network.requestIntercepted', params}));
+
+    assert.deepStrictEqual(intercepted, [[params, {appIdKey: 'PID:42', targetId: 'page-2'}]]);
+    assert.deepStrictEqual(aggregated, [[params, 'Network.requestIntercepted']]);
+  });
+
+  it('should aggregate profiling events', async function () {
+    const handler = new RpcMessageHandler();
+    const events: any[] = [];
+    handler.on('TracingEvent', (_err, params, method, origin) => events.push([params, method, origin]));
+
+    const record = {type: 'Layout', startTime: 1, endTime: 2};
+    await handler.handleMessage(targetMessage('page-3', {method: 'Timeline.eventRecorded', params: {record}}));
+    await handler.handleMessage(targetMessage('page-3', {method: 'CPUProfiler.trackingStart', params: {timestamp: 1}}));
+    await handler.handleMessage(targetMessage('page-3', {method: 'Network.dataReceived', params: {requestId: '1'}}));
+
+    const origin = {appIdKey: 'PID:42', targetId: 'page-3'};
+    assert.deepStrictEqual(events, [
+      [{record}, 'Timeline.eventRecorded', origin],
+      [{timestamp: 1}, 'CPUProfiler.trackingStart', origin],
+    ]);
+  });
+
+  it('should aggregate memory events', async function () {
+    const handler = new RpcMessageHandler();
+    const events: any[] = [];
+    handler.on('MemoryEvent', (_err, params, method, origin) => events.push([params, method, origin]));
+
+    const collection = {type: 'full', startTime: 1, endTime: 1.1};
+    await handler.handleMessage(targetMessage('page-3', {method: 'Heap.garbageCollected', params: {collection}}));
+    await handler.handleMessage(targetMessage('page-3', {method: 'Memory.trackingStart', params: {timestamp: 1}}));
+    await handler.handleMessage(targetMessage('page-3', {method: 'Timeline.recordingStarted', params: {startTime: 1}}));
+
+    const origin = {appIdKey: 'PID:42', targetId: 'page-3'};
+    assert.deepStrictEqual(events, [
+      [{collection}, 'Heap.garbageCollected', origin],
+      [{timestamp: 1}, 'Memory.trackingStart', origin],
+    ]);
+  });
+
+  it('should aggregate all target events with their origin', async function () {
+    const handler = new RpcMessageHandler();
+    const events: any[] = [];
+    handler.on('TargetEvent', (_err, method, params, origin) => events.push([method, params, origin]));
+
+    await handler.handleMessage(targetMessage('page-4', {method: 'Page.loadEventFired', params: {timestamp: 1}}));
+    await handler.handleMessage(targetMessage('page-4', {id: 5, result: {}}));
+
+    assert.deepStrictEqual(events, [['Page.loadEventFired', {timestamp: 1}, {appIdKey: 'PID:42', targetId: 'page-4'}]]);
+  });
+
+  it('should report the destination of created targets', async function () {
+    const handler = new RpcMessageHandler();
+    const targets: any[] = [];
+    handler.on('Target.targetCreated', (_err, app, targetInfo, destination) =>
+      targets.push([app, targetInfo, destination]),
+    );
+
+    const targetInfo = {targetId: 'page-5', type: 'page'};
+    await handler.handleMessage({
+      __selector: '_rpc_applicationSentData:',
+      __argument: {
+        WIRApplicationIdentifierKey: 'PID:42',
+        WIRDestinationKey: 'sender-1',
+        WIRMessageDataKey: JSON.stringify({method: 'Target.targetCreated', params: {targetInfo}}),
+      },
+    });
+
+    assert.deepStrictEqual(targets, [['PID:42', targetInfo, 'sender-1']]);
+  });
+
+  it('should aggregate console and debugger events with their origin', async function () {
+    const handler = new RpcMessageHandler();
+    const events: any[] = [];
+    handler.on('ConsoleEvent', (_err, params, method, origin) => events.push([params, method, origin]));
+    handler.on('DebuggerEvent', (_err, params, method, origin) => events.push([params, method, origin]));
+
+    await handler.handleMessage(
+      targetMessage('page-3', {method: 'Console.messageAdded', params: {message: {text: 'hello'}}}),
+    );
+    await handler.handleMessage(targetMessage('page-3', {method: 'Debugger.resumed', params: {}}));
+
+    const origin = {appIdKey: 'PID:42', targetId: 'page-3'};
+    assert.deepStrictEqual(events, [
+      [{text: 'hello'}, 'Console.messageAdded', origin],
+      [{}, 'Debugger.resumed', origin],
+    ]);
+  });
+});
@@ -0,0 +1,93 @@
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import {afterEach, beforeEach, describe, it} from 'node:test';
+
+import {fs, tempDir} from '@appium/support';
+
+import {
+  SessionRecorder,
+  deserializeMessage,
+  readSessionRecording,
+  serializeMessage,
+} from '../../../lib/rpc/session-recorder.js';
+
+describe('session-recorder', function () {
+  let tmpDir: string;
+  let recordingPath: string;
+  beforeEach(async function () {
+    tmpDir = await tempDir.openDir();
+    recordingPath = path.join(tmpDir, 'session.jsonl');
+  });
+  afterEach(async function () {
+    await fs.rimraf(tmpDir);
+  });
+
+  describe('serializeMessage', function () {
+    it('should parse JSON data keys', function () {
+      const message = {
+        __selector: '_rpc_forwardSocketData:',
+        __argument: {
+          WIRConnectionIdentifierKey: 'conn',
+          WIRSocketDataKey: Buffer.from(JSON.stringify({id: 1, method: 'Page.enable'})),
+        },
+      };
+      assert.deepStrictEqual(serializeMessage(message), {
+        __selector: '_rpc_forwardSocketData:',
+        __argument: {WIRConnectionIdentifierKey: 'conn', WIRSocketDataKey: {id: 1, method: 'Page.enable'}},
+      });
+    });
+    it('should keep data keys that are not JSON as strings', function () {
+      const message = {__selector: 'foo', __argument: {WIRMessageDataKey: Buffer.from('not json')}};
+      assert.strictEqual(serializeMessage(message).__argument.WIRMessageDataKey, 'not json');
+    });
+    it('should be reverted by deserializeMessage', function () {
+      const data = {id: 2, result: {}};
+      const message = {__selector: '_rpc_applicationSentData:', __argument: {WIRMessageDataKey: JSON.stringify(data)}};
+      assert.deepStrictEqual(deserializeMessage(serializeMessage(message)), message);
+    });
+  });
+
+  describe('SessionRecorder', function () {
+    it('should write a header and the recorded messages', async function () {
+      const recorder = new SessionRecorder(recordingPath, {platformVersion: '18.0'});
+      recorder.record('send', {__selector: '_rpc_reportIdentifier:', __argument: {WIRConnectionIdentifierKey: 'c'}});
+      recorder.record('receive', {__selector: '_rpc_reportSetup:', __argument: {}});
+      await recorder.close();
+
+      const entries = await readSessionRecording(recordingPath);
+      assert.deepStrictEqual(
+        entries.map(({type}) => type),
+        ['header', 'send', 'receive'],
+      );
+      assert.strictEqual((entries[0] as any).platformVersion, '18.0');
+      assert.ok(Number.isInteger((entries[1] as any).elapsedMs));
+    });
+    it('should append to an existing recording', async function () {
+      for (let i = 0; i < 2; i++) {
+        const recorder = new SessionRecorder(recordingPath);
+        recorder.record('receive', {__selector: '_rpc_reportSetup:', __argument: {}});
+        await recorder.close();
+      }
+      const entries = await readSessionRecording(recordingPath);
+      assert.deepStrictEqual(
+        entries.map(({type}) => type),
+        ['header', 'receive', 'header', 'receive'],
+      );
+    });
+  });
+
+  describe('readSessionRecording', function () {
+    it('should point to invalid lines', async function () {
+      await fs.writeFile(recordingPath, '{"type":"header","version":1}\n{oops\n');
+      await assert.rejects(readSessionRecording(recordingPath), /Line 2 .* is not valid JSON/);
+    });
+    it('should reject unknown entry types', async function () {
+      await fs.writeFile(recordingPath, '{"type":"foo"}\n');
+      await assert.rejects(readSessionRecording(recordingPath), /Line 1 .* unknown entry type/);
+    });
+    it('should reject newer recording versions', async function () {
+      await fs.writeFile(recordingPath, '{"type":"header","version":1000}\n');
+      await assert.rejects(readSessionRecording(recordingPath), /only versions up to 1 are supported/);
+    });
+  });
+});
@@ -0,0 +1,64 @@
+import assert from 'node:assert/strict';
+import {describe, it} from 'node:test';
+
+import {MockWebInspectorServer, toEvaluationResult} from '../../../lib/testing/index.js';
+
+describe('MockWebInspectorServer', function () {
+  it('should only be exported from the testing subpath of the package', async function () {
+    // a variable, so that the build does not need the declarations of the package itself
+    const specifier = 'appium-remote-debugger/testing';
+    const testing = await import(specifier);
+    assert.strictEqual(testing.MockWebInspectorServer, MockWebInspectorServer);
+    assert.strictEqual(testing.toEvaluationResult, toEvaluationResult);
+    assert.ok(!('MockWebInspectorServer' in (await import('../../../lib/index.js'))));
+  });
+
+  describe('toEvaluationResult', function () {
+    it('should wrap primitive values', function () {
+      assert.deepStrictEqual(toEvaluationResult('foo'), {
+        result: {type: 'string', value: 'foo'},
+        wasThrown: false,
+      });
+    });
+    it('should mark null as an object subtype', function () {
+      assert.deepStrictEqual(toEvaluationResult(null), {
+        result: {type: 'object', subtype: 'null', value: null},
+        wasThrown: false,
+      });
+    });
+  });
+
+  describe('lifecycle', function () {
+    it('should listen on an ephemeral TCP port and stop', async function () {
+      const server = new MockWebInspectorServer();
+      await server.start();
+      try {
+        assert.ok(server.isListening);
+        assert.ok((server.port ?? 0) > 0);
+        assert.strictEqual(server.socketPath, undefined);
+      } finally {
+        await server.stop();
+      }
+      assert.strictEqual(server.isListening, false);
+    });
+  });
+
+  describe('targets', function () {
+    it('should track created, committed and destroyed targets', function () {
+      const server = new MockWebInspectorServer({
+        applications: [{id: 'PID:1', bundleId: 'com.example', pages: [{id: 1, url: 'about:blank', title: ''}]}],
+      });
+      const {targetId: first} = server.createTarget('PID:1', 1);
+      assert.strictEqual(server.getTargetId('PID:1', 1), first);
+
+      const {targetId: second} = server.createTarget('PID:1', 1, {isProvisional: true});
+      server.commitProvisionalTarget(first, second);
+      assert.strictEqual(server.getTargetId('PID:1', 1), second);
+
+      server.destroyTarget(first);
+      assert.strictEqual(server.getTargetId('PID:1', 1), second);
+      server.destroyTarget(second);
+      assert.strictEqual(server.getTargetId('PID:1', 1), undefined);
+    });
+  });
+});
@@ -0,0 +1,121 @@
+import assert from 'node:assert/strict';
+import {describe, it} from 'node:test';
+
+import {TraceRecorder} from '../../../lib/tracing/index.js';
+
+function createRecorder(): TraceRecorder {
+  const recorder = new TraceRecorder();
+  recorder.handleEvent('Timeline.recordingStarted', {startTime: 10});
+  recorder.handleEvent('Timeline.eventRecorded', {
+    record: {
+      type: 'RenderingFrame',
+      startTime: 10.1,
+      endTime: 10.18,
+      children: [
+        {
+          type: 'TimerFire',
+          startTime: 10.1,
+          endTime: 10.13,
+          data: {timerId: 1},
+          children: [{type: 'FunctionCall', startTime: 10.11, endTime: 10.12}],
+        },
+        {type: 'RecalculateStyles', startTime: 10.14, endTime: 10.15},
+        {type: 'Layout', startTime: 10.15, endTime: 10.17},
+      ],
+    },
+  });
+  recorder.handleEvent('Timeline.eventRecorded', {
+    record: {type: 'TimeStamp', startTime: 10.5, data: {message: 'ready'}},
+  });
+  recorder.handleEvent('Timeline.recordingStopped', {endTime: 11});
+  return recorder;
+}
+
+describe('TraceRecorder', function () {
+  describe('toTrace', function () {
+    it('should convert timeline records', function () {
+      const {traceEvents} = createRecorder().toTrace();
+      const events = traceEvents.filter(({ph}) => ph !== 'M');
+      assert.deepStrictEqual(
+        events.map(({name, cat, ph, ts, dur}) => [name, cat, ph, ts, dur]),
+        [
+          ['RenderingFrame', 'rendering', 'X', 10100000, 80000],
+          ['TimerFire', 'scripting', 'X', 10100000, 30000],
+          ['FunctionCall', 'scripting', 'X', 10110000, 10000],
+          ['RecalculateStyles', 'rendering', 'X', 10140000, 10000],
+          ['Layout', 'rendering', 'X', 10150000, 20000],
+          ['TimeStamp', 'timeline', 'i', 10500000, undefined],
+        ],
+      );
+      assert.deepStrictEqual(events[1].args, {data: {timerId: 1}});
+      assert.strictEqual(events[5].s, 't');
+    });
+
+    it('should convert profiler events and samples', function () {
+      const recorder = new TraceRecorder();
+      recorder.handleEvent('ScriptProfiler.trackingUpdate', {event: {startTime: 1, endTime: 1.5, type: 'API'}});
+      recorder.handleEvent('CPUProfiler.trackingUpdate', {
+        event: {
+          timestamp: 2,
+          usage: 40,
+          threads: [
+            {name: 'Main Thread', usage: 30},
+            {name: 'Worker', usage: 10},
+          ],
+        },
+      });
+      const frames = (names: string[]) =>
+        names.map((name) => ({name, url: 'https://a.com/app.js', line: 1, column: 2}));
+      recorder.handleEvent('ScriptProfiler.trackingComplete', {
+        timestamp: 3,
+        samples: {
+          stackTraces: [
+            {timestamp: 1.1, stackFrames: frames(['inner', 'outer'])},
+            {timestamp: 1.2, stackFrames: frames(['other', 'outer'])},
+          ],
+        },
+      });
+
+      const {traceEvents, stackFrames, samples} = recorder.toTrace();
+      assert.deepStrictEqual(
+        traceEvents.filter(({ph}) => ph !== 'M').map(({name, ph, ts, dur, args}) => [name, ph, ts, dur, args]),
+        [
+          ['JavaScript', 'X', 1000000, 500000, {type: 'API'}],
+          ['CPU usage', 'C', 2000000, undefined, {total: 40, 'Main Thread': 30, Worker: 10}],
+        ],
+      );
+      assert.deepStrictEqual(stackFrames, {
+        1: {name: 'outer https://a.com/app.js:1:2', category: 'JavaScript'},
+        2: {name: 'inner https://a.com/app.js:1:2', category: 'JavaScript', parent: '1'},
+        3: {name: 'other https://a.com/app.js:1:2', category: 'JavaScript', parent: '1'},
+      });
+      assert.deepStrictEqual(
+        samples.map(({ts, sf}) => [ts, sf]),
+        [
+          [1100000, '2'],
+          [1200000, '3'],
+        ],
+      );
+    });
+  });
+
+  describe('getTimelineMetrics', function () {
+    it('should summarize the main thread work', function () {
+      assert.deepStrictEqual(createRecorder().getTimelineMetrics(), {
+        durationMs: 1000,
+        layoutCount: 1,
+        layoutDurationMs: 20,
+        styleRecalcCount: 1,
+        styleRecalcDurationMs: 10,
+        scriptDurationMs: 30,
+        longTasks: [{type: 'RenderingFrame', startTimeMs: 100, durationMs: 80}],
+      });
+    });
+
+    it('should prefer the script profiler to measure the script time', function () {
+      const recorder = createRecorder();
+      recorder.handleEvent('ScriptProfiler.trackingUpdate', {event: {startTime: 10.1, endTime: 10.125, type: 'API'}});
+      assert.strictEqual(recorder.getTimelineMetrics().scriptDurationMs, 25);
+    });
+  });
+});